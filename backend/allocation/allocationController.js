@@ -5,8 +5,11 @@ const AuthDAL = require('../auth/authDal');
 const logger = require('../utils/logger');
 const { ALL_PERIODS } = require('../constants/periods');
 const ValidationError = require('../utils/errors').ValidationError;
+const { assertCompanyAccess } = require('../utils/requestCompany');
 const productionSiteDAL = require('../productionSite/productionSiteDAL');
-const { calculateAllocations, filterConsumptionSites } = require('../services/allocationCalculatorService');
+const allocationService = require('../services/allocationService');
+const { calculateAllocations, resolveCalculationInputs } = require('../services/allocationCalculatorService');
+const { ALLOCATION_MODE, optimizeAllocations } = require('../services/allocationOptimizerService');
 const docClient = require('../utils/db');
 const { ScanCommand } = require('@aws-sdk/lib-dynamodb');
 
@@ -23,6 +26,55 @@ function transformAllocationRecord(record) {
   };
 }
 
+// Company of the signed-in user, from the session or its metadata
+const getUserCompanyId = (user) => user?.companyId ||
+    user?.metadata?.companyId ||
+    user?.metadata?.accessibleSites?.companyId ||
+    (Array.isArray(user?.companyIds) && user.companyIds.length > 0 ? user.companyIds[0] : null);
+
+// Production site by company, falling back to the site ID alone
+const findProductionSite = async (companyId, productionSiteId) => {
+    let site = null;
+    try {
+        site = await productionSiteDAL.getItem(companyId, productionSiteId);
+        if (!site) {
+            const { Items: sites } = await docClient.send(new ScanCommand({
+                TableName: 'ProductionSiteTable',
+                FilterExpression: 'productionSiteId = :productionSiteId',
+                ExpressionAttributeValues: {
+                    ':productionSiteId': productionSiteId
+                },
+                Limit: 1
+            }));
+            site = sites && sites.length > 0 ? sites[0] : null;
+        }
+    } catch (error) {
+        logger.error('Error fetching production site:', error);
+        throw new Error(`Error looking up production site: ${error.message}`);
+    }
+
+    if (!site) {
+        const { Items: allSites = [] } = await docClient.send(new ScanCommand({
+            TableName: 'ProductionSiteTable',
+            Limit: 20 // Limit to prevent too much data
+        }));
+
+        throw new ValidationError(
+            `Production site not found. Requested: ${productionSiteId} (Company: ${companyId}). ` +
+            `Available production sites (${allSites.length}): ${allSites.map(s =>
+                `${s.siteName || s.name || 'Unnamed'} (ID: ${s.productionSiteId || s.id}, Company: ${s.companyId})`
+            ).join('; ')}`
+        );
+    }
+    return site;
+};
+
+/**
+ * Save allocations. The change in each allocation's units is carried into the
+ * production site's banking record (banking sites) or lapse record (other
+ * sites) for the month, and the allocations, banking and lapse records are
+ * committed together by allocationService.commitAllocationBatch.
+ */
 const createAllocation = async (req, res, next) => {
     try {
         const allocations = req.validatedAllocations || [];
@@ -30,25 +82,7 @@ const createAllocation = async (req, res, next) => {
             return res.status(400).json({ success: false, message: 'No allocations provided' });
         }
 
-        // Get company ID from authenticated user with multiple fallbacks
-        let userCompanyId = req.user?.companyId;
-        
-        // Fallback 1: Try to get from metadata
-        if (!userCompanyId) {
-            userCompanyId = req.user?.metadata?.companyId;
-        }
-        
-        // Fallback 2: Try to get from metadata.accessibleSites
-        if (!userCompanyId && req.user?.metadata?.accessibleSites?.companyId) {
-            userCompanyId = req.user.metadata.accessibleSites.companyId;
-        }
-        
-        // Fallback 3: Try to get from companyIds array (first one)
-        if (!userCompanyId && Array.isArray(req.user?.companyIds) && req.user.companyIds.length > 0) {
-            userCompanyId = req.user.companyIds[0];
-        }
-        
-        
+        const userCompanyId = getUserCompanyId(req.user);
         if (!userCompanyId) {
             logger.error('No company ID found in user session', { 
                 userId: req.user?.userId,
@@ -59,262 +93,146 @@ const createAllocation = async (req, res, next) => {
                 message: 'User company information not found' 
             });
         }
+        const effectiveCompanyId = String(userCompanyId);
 
+        const sites = new Map();
+        const siteRecords = new Map();
+        const changed = [];
         const results = [];
-        
-        // Process each allocation sequentially to properly handle lapse and banking units
+
         for (const alloc of allocations) {
-            try {
-                if (!alloc.pk || !alloc.sk) {
-                    throw new ValidationError('Invalid allocation: missing pk or sk');
-                }
+            if (!alloc.pk || !alloc.sk) {
+                throw new ValidationError('Invalid allocation: missing pk or sk');
+            }
 
-                const [pkCompanyId, productionSiteId, consumptionSiteId] = alloc.pk.split('_');
-                const month = alloc.sk;
-                
-                // Log the allocation being processed
-                logger.info(`Processing allocation`, {
-                    pk: alloc.pk,
-                    sk: alloc.sk,
-                    pkCompanyId,
-                    productionSiteId,
-                    consumptionSiteId,
-                    month,
-                    userCompanyId,
-                    userId: req.user?.userId
-                });
-                
-                if (!productionSiteId) {
-                    throw new ValidationError('Missing production site ID in allocation PK');
-                }
-                
-                // Always use the company ID from the authenticated user's session
-                const effectiveCompanyId = userCompanyId;
-                console.log(`Looking up production site ${productionSiteId} for company ${effectiveCompanyId}`);
-                
-                // Try to find the production site using the exact ID from the PK
-                let site = null;
-                try {
-                    // First try with the effective company ID
-                    site = await productionSiteDAL.getItem(effectiveCompanyId, productionSiteId);
-                    
-                    if (!site) {
-                        console.log('Site not found with company ID, trying with productionSiteId only');
-                        // Try alternative lookup by productionSiteId only if not found
-                        const { Items: sites } = await docClient.send(new ScanCommand({
-                            TableName: 'ProductionSiteTable',
-                            FilterExpression: 'productionSiteId = :productionSiteId',
-                            ExpressionAttributeValues: {
-                                ':productionSiteId': productionSiteId
-                            },
-                            Limit: 1
-                        }));
-                        
-                        site = sites && sites.length > 0 ? sites[0] : null;
-                    }
-                } catch (error) {
-                    console.error('Error fetching production site:', error);
-                    throw new Error(`Error looking up production site: ${error.message}`);
-                }
-                
-                // If site not found, provide helpful error message
-                if (!site) {
-                    const { Items: allSites = [] } = await docClient.send(new ScanCommand({
-                        TableName: 'ProductionSiteTable',
-                        Limit: 20 // Limit to prevent too much data
-                    }));
-                    
-                    const availableSites = allSites.map(s => ({
-                        name: s.siteName || s.name || 'Unnamed',
-                        id: s.productionSiteId || s.id,
-                        companyId: s.companyId,
-                        pk: s.pk
-                    }));
-                    
-                    throw new ValidationError(
-                        `Production site not found. Requested: ${productionSiteId} (Company: ${effectiveCompanyId}). ` +
-                        `Available production sites (${availableSites.length}): ${availableSites.map(s => 
-                            `${s.name} (ID: ${s.id}, Company: ${s.companyId})`
-                        ).join('; ')}`
-                    );
-                }
-                
-                // Process the allocation with the found site
-                const bankingEnabled = Number(site.banking || 0) === 1;
-                const type = alloc.type?.toUpperCase() || 'ALLOCATION';
-
-                // Get existing records
-                const existingAlloc = await allocationDAL.getItem({ pk: alloc.pk, sk: alloc.sk });
-                let bankingRecord = null;
-                let existingLapse = null;
-
-                // Fetch banking record if banking is enabled
-                if (bankingEnabled) {
-                    try {
-                        bankingRecord = await bankingDAL.getBanking(`${effectiveCompanyId}_${productionSiteId}`, month);
-                    } catch (error) {
-                        logger.info('No existing banking record found, will create if needed', {
-                            companyId: effectiveCompanyId,
-                            productionSiteId,
-                            month
-                        });
-                    }
-                }
+            const [pkCompanyId, productionSiteId, consumptionSiteId] = alloc.pk.split('_');
+            const month = alloc.sk;
+            if (!productionSiteId) {
+                throw new ValidationError('Missing production site ID in allocation PK');
+            }
 
-                // Fetch existing lapse record
-                const lapseRecords = await lapseService.getLapsesByProductionSite(productionSiteId, month, month, effectiveCompanyId);
-                if (lapseRecords?.length) {
-                    existingLapse = lapseRecords[0];
-                }
+            // Always save under the company of the authenticated user's session
+            const pk = [effectiveCompanyId, productionSiteId, consumptionSiteId].join('_');
+            logger.info(`Processing allocation`, {
+                pk,
+                sk: month,
+                pkCompanyId,
+                userCompanyId: effectiveCompanyId,
+                userId: req.user?.userId
+            });
 
-                // Create or update the allocation
-                const merged = existingAlloc
-                    ? { ...existingAlloc, ...alloc, updatedat: new Date().toISOString() }
-                    : { ...alloc, createdat: new Date().toISOString(), updatedat: new Date().toISOString() };
-                
-                // Only update if there are actual changes
-                const hasChanges = ALL_PERIODS.some(period => {
-                    const oldVal = Number(existingAlloc?.[period] || 0);
-                    const newVal = Number(alloc[period] || 0);
-                    return oldVal !== newVal;
-                });
+            if (!sites.has(productionSiteId)) {
+                sites.set(productionSiteId, await findProductionSite(effectiveCompanyId, productionSiteId));
+            }
+            const site = sites.get(productionSiteId);
+            const bankingEnabled = Number(site.banking || 0) === 1;
+
+            const existingAlloc = await allocationDAL.getItem({ pk, sk: month });
+            const deltas = ALL_PERIODS.reduce((acc, period) => {
+                acc[period] = Number(alloc[period] || 0) - Number(existingAlloc?.[period] || 0);
+                return acc;
+            }, {});
+
+            // Only save if there are actual changes
+            if (ALL_PERIODS.every(period => deltas[period] === 0)) {
+                results.push({ ...(existingAlloc || alloc), unchanged: true });
+                continue;
+            }
 
-                let result;
-                if (hasChanges) {
-                    result = await allocationDAL.putItem(merged);
-                } else {
-                    // Return the existing record as is if no changes
-                    result = existingAlloc || merged;
-                    result.unchanged = true; // Flag to indicate no changes were made
-                }
-                results.push(result);
-
-                // Handle each period's changes
-                for (const period of ALL_PERIODS) {
-                    const oldVal = Number(existingAlloc?.[period] || 0);
-                    const newVal = Number(alloc[period] || 0);
-                    const delta = newVal - oldVal;
-                    
-                    if (delta === 0) continue;
-
-                    if (bankingEnabled) {
-                        // Handle banking site logic
-                        if (!bankingRecord) {
-                            // Ensure the allocation PK uses the effective company ID
-                            const pkParts = alloc.pk.split('_');
-                            if (pkParts[0] !== effectiveCompanyId) {
-                                pkParts[0] = effectiveCompanyId;
-                                alloc.pk = pkParts.join('_');
-                                logger.info(`Updated allocation PK to use effective company ID`, {
-                                    oldPk: alloc.pk,
-                                    newPk: alloc.pk,
-                                    effectiveCompanyId
-                                });
-                            }
-                            // Create new banking record if it doesn't exist
-                            bankingRecord = {
-                                pk: `${effectiveCompanyId}_${productionSiteId}`,
-                                sk: month,
-                                companyId: effectiveCompanyId,
-                                productionSiteId,
-                                month,
-                                siteName: site.siteName || `${effectiveCompanyId}_${productionSiteId}`,
-                                type: 'BANKING',
-                                status: 'active',
-                                createdat: new Date().toISOString(),
-                                updatedat: new Date().toISOString()
-                            };
-                            
-                            // Initialize all periods to 0
-                            ALL_PERIODS.forEach(p => {
-                                bankingRecord[p] = 0;
-                            });
-                            
-                            // Save the new banking record
-                            try {
-                                await bankingDAL.putItem(bankingRecord);
-                                logger.info(`Created new banking record`, {
-                                    pk: bankingRecord.pk,
-                                    sk: bankingRecord.sk,
-                                    companyId: effectiveCompanyId,
-                                    productionSiteId
-                                });
-                            } catch (error) {
-                                logger.error('Error creating banking record', {
-                                    error: error.message,
-                                    companyId: effectiveCompanyId,
-                                    productionSiteId,
-                                    month
-                                });
-                                throw error;
-                            }
-                        }
-
-                        // Update banking record with delta
-                        const currentBanking = Number(bankingRecord[period] || 0);
-                        bankingRecord[period] = currentBanking + delta;
-                        bankingRecord.updatedat = new Date().toISOString();
-
-                        // Save updated banking record
-                        try {
-                            await bankingDAL.putItem(bankingRecord);
-                        } catch (error) {
-                            logger.error('Error updating banking record', {
-                                error: error.message,
-                                companyId: effectiveCompanyId,
-                                productionSiteId,
-                                month,
-                                period
-                            });
-                            throw error;
-                        }
-                    } else {
-                        // Handle non-banking (lapse) logic
-                        const lapsePk = `${effectiveCompanyId}_${productionSiteId}`;
-                        const lapseUpdates = existingLapse?.allocated || {};
-                        
-                        // Only update the periods that are being changed
-                        if (delta > 0) {
-                            lapseUpdates[period] = (Number(lapseUpdates[period]) || 0) + delta;
-                            
-                            if (!existingLapse) {
-                                // Create new lapse record if it doesn't exist
-                                await lapseService.create({
-                                    companyId: effectiveCompanyId,
-                                    productionSiteId,
-                                    month,
-                                    allocated: { [period]: delta },
-                                    siteName: site.siteName || `${effectiveCompanyId}_${productionSiteId}`
-                                });
-                            } else {
-                                // Update existing lapse record
-                                await lapseService.update(lapsePk, month, { 
-                                    allocated: lapseUpdates,
-                                    updatedat: new Date().toISOString()
-                                });
-                            }
-                        }
+            // The validator defaults version; the stored version is what gets checked
+            const { version, ...fields } = alloc;
+            changed.push({
+                ...fields,
+                pk,
+                version: existingAlloc ? Number(existingAlloc.version || 0) : null
+            });
+
+            const recordKey = `${productionSiteId}_${month}`;
+            if (!siteRecords.has(recordKey)) {
+                const existing = bankingEnabled
+                    ? await bankingDAL.getBanking(`${effectiveCompanyId}_${productionSiteId}`, month)
+                    : (await lapseService.getLapsesByProductionSite(productionSiteId, month, month, effectiveCompanyId))[0];
+                siteRecords.set(recordKey, {
+                    bankingEnabled,
+                    record: {
+                        productionSiteId,
+                        month,
+                        siteName: site.siteName || `${effectiveCompanyId}_${productionSiteId}`,
+                        ...ALL_PERIODS.reduce((acc, period) => {
+                            acc[period] = Number(existing?.[period] || 0);
+                            return acc;
+                        }, {}),
+                        version: existing ? Number(existing.version || 0) : null
                     }
-                }
-            } catch (error) {
-                logger.error('Error processing allocation', {
-                    error: error.message,
-                    companyId: effectiveCompanyId,
-                    productionSiteId,
-                    month,
-                    stack: error.stack
                 });
-                throw error; // Re-throw to be caught by the outer catch
             }
+
+            // Banking follows every change in allocated units; lapse only grows
+            const { record } = siteRecords.get(recordKey);
+            ALL_PERIODS.forEach(period => {
+                if (bankingEnabled || deltas[period] > 0) {
+                    record[period] = Math.max(0, record[period] + deltas[period]);
+                }
+            });
+        }
+
+        let transactionId = null;
+        let adjustments = [];
+        if (changed.length > 0) {
+            const siteRecordList = [...siteRecords.values()];
+            const committed = await allocationService.commitAllocationBatch(effectiveCompanyId, {
+                allocations: changed,
+                banking: siteRecordList.filter(entry => entry.bankingEnabled).map(entry => entry.record),
+                lapse: siteRecordList.filter(entry => !entry.bankingEnabled).map(entry => entry.record)
+            }, { idempotencyKey: req.get('Idempotency-Key'), changedBy: req.user?.username || null });
+            results.push(...committed.allocations);
+            transactionId = committed.transactionId;
+            adjustments = committed.adjustments;
         }
 
-        return res.status(201).json({ success: true, data: results });
+        return res.status(201).json({ success: true, data: results, transactionId, adjustments });
     } catch (error) {
         logger.error('[AllocationController] Create Error:', error);
         next(error);
     }
 };
 
+/**
+ * Save a month's allocations with the banking and lapse records the Allocation
+ * page calculated for them. Each production site's records are committed
+ * atomically, with version checks; send an Idempotency-Key header so a retried
+ * request is not applied twice.
+ * Body:
+ *   - allocations: allocation records (pk, sk, c1-c5, charge, version)
+ *   - banking: banked units per production site ({ productionSiteId, month, c1-c5, version })
+ *   - lapse: lapsed units per production site, same shape as banking
+ */
+const commitAllocations = async (req, res, next) => {
+    try {
+        const companyId = getUserCompanyId(req.user);
+        if (!companyId) {
+            return res.status(403).json({ success: false, message: 'User company information not found' });
+        }
+
+        const result = await allocationService.commitAllocationBatch(String(companyId), req.body, {
+            idempotencyKey: req.get('Idempotency-Key') || req.body.idempotencyKey,
+            changedBy: req.user?.username || null
+        });
+
+        logger.info(`[AllocationController] Committed allocation batch ${result.transactionId}`, {
+            allocations: result.allocations.length,
+            banking: result.banking.length,
+            lapse: result.lapse.length,
+            adjustments: result.adjustments.length,
+            replayed: result.replayed
+        });
+        res.status(result.replayed ? 200 : 201).json({ success: true, data: result });
+    } catch (error) {
+        logger.error('[AllocationController] Commit Error:', error);
+        next(error);
+    }
+};
+
 // Calculate total allocation across all periods
 const calculateTotal = (allocation) => {
     return ALL_PERIODS.reduce((sum, key) => sum + (Number(allocation[key]) || 0), 0);
@@ -355,35 +273,51 @@ const getAllAllocations = async (req, res, next) => {
     }
 };
 
-// Update an existing allocation
+// Update an existing allocation. If the month has already been invoiced, a
+// credit or debit note is raised for the change.
 const updateAllocation = async (req, res, next) => {
     try {
-        const { id } = req.params;
-        const updates = req.body;
+        const { pk, sk } = req.params;
+        const [updates = req.body] = req.validatedAllocations || [];
         
-        if (!id) {
-            throw new ValidationError('Allocation ID is required');
+        if (!pk || !sk) {
+            throw new ValidationError('Allocation pk and sk are required');
         }
-        
-        const updated = await allocationDAL.updateItem(id, updates);
-        res.json({ success: true, data: updated });
+        assertCompanyAccess(req, pk.split('_')[0]);
+
+        const result = await allocationService.updateAllocation(pk, sk, updates, {
+            changedBy: req.user?.username || null
+        });
+        if (!result) {
+            return res.status(404).json({ success: false, message: `Allocation ${pk}/${sk} not found` });
+        }
+
+        res.json({ success: true, data: result.allocation, adjustments: result.adjustments });
     } catch (error) {
         logger.error('Error updating allocation:', error);
         next(error);
     }
 };
 
-// Delete an allocation
+// Delete an allocation. If the month has already been invoiced, a credit note
+// is raised for the units taken off the bill.
 const deleteAllocation = async (req, res, next) => {
     try {
-        const { id } = req.params;
-        
-        if (!id) {
-            throw new ValidationError('Allocation ID is required');
+        const { pk, sk } = req.params;
+        const [companyId, productionSiteId, consumptionSiteId] = String(pk || '').split('_');
+        if (!productionSiteId || !consumptionSiteId || !sk) {
+            throw new ValidationError('Allocation pk (companyId_productionSiteId_consumptionSiteId) and sk are required');
         }
-        
-        await allocationDAL.deleteItem(id);
-        res.json({ success: true, message: 'Allocation deleted successfully' });
+        assertCompanyAccess(req, companyId);
+
+        const result = await allocationService.deleteAllocation(pk, sk, {
+            changedBy: req.user?.username || null
+        });
+        if (!result) {
+            return res.status(404).json({ success: false, message: `Allocation ${pk}/${sk} not found` });
+        }
+
+        res.json({ success: true, message: 'Allocation deleted successfully', adjustments: result.adjustments });
     } catch (error) {
         logger.error('Error deleting allocation:', error);
         next(error);
@@ -495,89 +429,37 @@ const getFilteredAllocations = async (req, res, next) => {
 };
 
 /**
- * Calculate allocations with consumption site filtering
- * Query parameters:
- *   - includeConsumptionSites: comma-separated list of consumption site IDs to include
- *   - excludeConsumptionSites: comma-separated list of consumption site IDs to exclude
- *   - month: month for allocation (MMYYYY format)
+ * Run the allocation engine for a month without saving anything. The Allocation
+ * page uses this so what it shows is exactly what will be persisted.
+ * Body:
+ *   - month: allocation month (MMYYYY)
+ *   - productionUnits, consumptionUnits: unit records for the month
+ *   - bankingUnits: banked units available for the month (optional)
+ *   - captiveData: captive entries to use (optional, loaded for the
+ *     production units' generator companies when omitted)
+ *   - consumptionSitePriorityMap, consumptionSiteIncludeExclude (optional)
+ *   - mode: 'greedy' (default) or 'optimal' to minimise lapse; the optimal
+ *     result carries `optimization` with the units saved against greedy
  */
-const calculateAllocationsWithFiltering = async (req, res, next) => {
+const calculateAllocationPlan = async (req, res, next) => {
     try {
-        const { month, includeConsumptionSites, excludeConsumptionSites } = req.query;
-        
-        if (!month) {
-            return res.status(400).json({
-                success: false,
-                message: 'Month parameter is required (MMYYYY format)'
-            });
+        const mode = req.body.mode || ALLOCATION_MODE.GREEDY;
+        if (!Object.values(ALLOCATION_MODE).includes(mode)) {
+            throw new ValidationError(`mode must be one of: ${Object.values(ALLOCATION_MODE).join(', ')}`);
         }
 
-        // Parse include/exclude site lists
-        const includeSites = includeConsumptionSites 
-            ? includeConsumptionSites.split(',').map(s => s.trim()).filter(s => s)
-            : [];
-        
-        const excludeSites = excludeConsumptionSites
-            ? excludeConsumptionSites.split(',').map(s => s.trim()).filter(s => s)
-            : [];
-
-        logger.info('Calculate allocations with filtering', {
-            month,
-            includeSites,
-            excludeSites
-        });
+        const inputs = await resolveCalculationInputs(req.body);
+        const result = mode === ALLOCATION_MODE.OPTIMAL
+            ? optimizeAllocations(inputs)
+            : calculateAllocations(inputs);
 
-        // Fetch all production units for the month
-        const allAllocations = await allocationDAL.getAllocationsByMonth(month);
-        
-        // Group by production site
-        const productionUnitsMap = new Map();
-        allAllocations.forEach(alloc => {
-            const pkParts = (alloc.pk || '').split('_');
-            const productionSiteId = pkParts[1];
-            
-            if (productionSiteId && !productionUnitsMap.has(productionSiteId)) {
-                productionUnitsMap.set(productionSiteId, {
-                    productionSiteId,
-                    c1: alloc.c1 || 0,
-                    c2: alloc.c2 || 0,
-                    c3: alloc.c3 || 0,
-                    c4: alloc.c4 || 0,
-                    c5: alloc.c5 || 0,
-                    siteName: alloc.siteName,
-                    type: alloc.type,
-                    month: alloc.month || month
-                });
-            }
-        });
-
-        const productionUnits = Array.from(productionUnitsMap.values());
-
-        // For now, we'll use mock consumption units
-        // In a real implementation, these would be fetched from consumption site data
-        logger.warn('[calculateAllocationsWithFiltering] Using empty consumption units - implement fetching from consumption sites');
-        const consumptionUnits = [];
-
-        // Calculate allocations with filtering
-        const result = calculateAllocations({
-            productionUnits,
-            consumptionUnits,
-            bankingUnits: [],
-            includeConsumptionSites: includeSites,
-            excludeConsumptionSites: excludeSites
-        });
-
-        return res.json({
+        logger.info(`[AllocationController] Calculated ${mode} allocations for ${inputs.month}`, result.summary);
+        res.json({
             success: true,
-            data: result,
-            filters: {
-                month,
-                includeSites,
-                excludeSites
-            }
+            data: result
         });
     } catch (error) {
-        logger.error('Error calculating allocations with filtering:', error);
+        logger.error('[AllocationController] Calculate Error:', error);
         next(error);
     }
 };
@@ -585,6 +467,7 @@ const calculateAllocationsWithFiltering = async (req, res, next) => {
 // Export all controller functions
 module.exports = {
     createAllocation,
+    commitAllocations,
     getAllocations,
     getAllAllocations,
     updateAllocation,
@@ -595,6 +478,6 @@ module.exports = {
     updateFormVBSite,
     getChargingAllocation,
     getFilteredAllocations,
-    calculateAllocationsWithFiltering,
+    calculateAllocationPlan,
     calculateTotal
 };
\ No newline at end of file
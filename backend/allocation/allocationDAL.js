@@ -1,15 +1,14 @@
 const {
-  PutCommand,
   GetCommand,
   QueryCommand,
-  UpdateCommand,
-  DeleteCommand,
-  ScanCommand
+  ScanCommand,
+  TransactWriteCommand
 } = require('@aws-sdk/lib-dynamodb');
 const TableNames = require('../constants/tableNames');
 const logger = require('../utils/logger');
 const docClient = require('../utils/db');
 const { formatMonthYearKey } = require('../utils/dateUtils');
+const { buildVersionedPut } = require('../utils/transactWrite');
 
 class AllocationDAL {
   constructor() {
@@ -72,99 +71,118 @@ class AllocationDAL {
     }
   }
 
-  // The main create/update method
-  async createOrUpdateAllocation(item) {
-    try {
-      this.validateItem(item);
-      const now = new Date().toISOString();
-
-      // Extract IDs from PK (format: companyId_productionSiteId_consumptionSiteId)
-      const pkParts = (item.pk || '').split('_');
-      const companyId = pkParts[0];
-      const productionSiteId = pkParts[1];
-      const consumptionSiteId = pkParts[2];
-      
-      if (!productionSiteId) {
-        throw new Error('Invalid allocation: Missing production site ID in primary key');
-      }
-      
-      if (!companyId) {
-        throw new Error('Invalid allocation: Missing company ID in primary key');
-      }
+  /**
+   * Update that moves the charge flag to the allocation with the most units
+   * among the month's other allocations, or null when there are none
+   */
+  async buildChargeTransfer(sk, pk, now) {
+    const otherAllocations = (await this.getAllocationsByMonth(sk)).filter(a => a.pk !== pk);
+    if (otherAllocations.length === 0) {
+      return null;
+    }
 
-      // Ensure the item has the correct company ID
-      if (item.companyId && item.companyId !== companyId) {
-        console.warn(`Company ID mismatch: PK has ${companyId}, item has ${item.companyId}. Using PK value.`);
-      }
-      
-      // Ensure the item has the correct production site ID
-      if (item.productionSiteId && String(item.productionSiteId) !== productionSiteId) {
-        console.warn(`Production site ID mismatch: PK has ${productionSiteId}, item has ${item.productionSiteId}. Using PK value.`);
-      }
-      
-      // Update item with correct IDs
-      const updatedItem = {
-        ...item,
-        companyId,
-        productionSiteId,
-        consumptionSiteId,
-        updatedat: now
-      };
+    const newChargingAllocation = otherAllocations.reduce((max, curr) => {
+      const maxTotal = ['c1', 'c2', 'c3', 'c4', 'c5']
+        .reduce((sum, period) => sum + (max[period] || 0), 0);
+      const currTotal = ['c1', 'c2', 'c3', 'c4', 'c5']
+        .reduce((sum, period) => sum + (curr[period] || 0), 0);
+      return currTotal > maxTotal ? curr : max;
+    });
 
-      // Get existing charge allocation for this production site and month if any
-      if (updatedItem.charge === 1) {
-        const existingCharge = await this.getChargingAllocation(updatedItem.sk, productionSiteId);
-        if (existingCharge && existingCharge.pk !== updatedItem.pk) {
-          throw new Error(`Production site ${productionSiteId} already has a charge for month ${updatedItem.sk}`);
+    return {
+      Update: {
+        TableName: this.tableName,
+        Key: { pk: newChargingAllocation.pk, sk: newChargingAllocation.sk },
+        UpdateExpression: 'SET charge = :charge, updatedAt = :updatedAt, version = :version',
+        ExpressionAttributeValues: {
+          ':charge': 1,
+          ':updatedAt': now,
+          ':version': (newChargingAllocation.version || 0) + 1
         }
       }
+    };
+  }
 
-      // Check if allocation exists and handle version
-      const existing = await this.getAllocation(updatedItem.pk, updatedItem.sk);
-      let allocation = {
-        ...updatedItem,
-        updatedAt: now,
-        version: existing ? (existing.version || 0) + 1 : 1
-      };
+  /**
+   * Build the writes that save an allocation without sending them: the
+   * allocation, checked against the stored version, and moving the charge flag
+   * to another allocation of the month when it is taken off this one.
+   * @param {Object} item - Allocation to save
+   * @param {Object} [options]
+   * @param {number} [options.expectedVersion] - Version the change was based on;
+   *   defaults to the stored one
+   * @returns {Promise<{allocation: Object, transactItems: Array<Object>}>}
+   */
+  async planAllocationWrite(item, { expectedVersion } = {}) {
+    this.validateItem(item);
+    const now = new Date().toISOString();
+
+    // Extract IDs from PK (format: companyId_productionSiteId_consumptionSiteId)
+    const pkParts = (item.pk || '').split('_');
+    const companyId = pkParts[0];
+    const productionSiteId = pkParts[1];
+    const consumptionSiteId = pkParts[2];
+
+    if (!productionSiteId) {
+      throw new Error('Invalid allocation: Missing production site ID in primary key');
+    }
 
-      // Set creation timestamp for new allocations
-      if (!existing) {
-        allocation.createdAt = now;
-      } else if (existing.charge === 1 && item.charge === 0) {
-        // If removing charge flag, ensure another allocation gets it
-        const allMonthAllocations = await this.getAllocationsByMonth(item.sk);
-        const otherAllocations = allMonthAllocations.filter(a => a.pk !== item.pk);
-        
-        if (otherAllocations.length > 0) {
-          // Find the allocation with the highest total units to be the new charging allocation
-          const newChargingAllocation = otherAllocations.reduce((max, curr) => {
-            const maxTotal = ['c1', 'c2', 'c3', 'c4', 'c5']
-              .reduce((sum, period) => sum + (max[period] || 0), 0);
-            const currTotal = ['c1', 'c2', 'c3', 'c4', 'c5']
-              .reduce((sum, period) => sum + (curr[period] || 0), 0);
-            return currTotal > maxTotal ? curr : max;
-          });
-          
-          // Set charge=1 on the new charging allocation
-          await this.docClient.send(new UpdateCommand({
-            TableName: this.tableName,
-            Key: { pk: newChargingAllocation.pk, sk: newChargingAllocation.sk },
-            UpdateExpression: 'SET charge = :charge, updatedAt = :updatedAt, version = :version',
-            ExpressionAttributeValues: {
-              ':charge': 1,
-              ':updatedAt': now,
-              ':version': (newChargingAllocation.version || 0) + 1
-            }
-          }));
-        }
+    if (!companyId) {
+      throw new Error('Invalid allocation: Missing company ID in primary key');
+    }
+
+    // Ensure the item has the correct company ID
+    if (item.companyId && item.companyId !== companyId) {
+      console.warn(`Company ID mismatch: PK has ${companyId}, item has ${item.companyId}. Using PK value.`);
+    }
+
+    // Ensure the item has the correct production site ID
+    if (item.productionSiteId && String(item.productionSiteId) !== productionSiteId) {
+      console.warn(`Production site ID mismatch: PK has ${productionSiteId}, item has ${item.productionSiteId}. Using PK value.`);
+    }
+
+    // Update item with correct IDs
+    const { version, ...updatedItem } = {
+      ...item,
+      companyId,
+      productionSiteId,
+      consumptionSiteId,
+      updatedat: now
+    };
+
+    // Get existing charge allocation for this production site and month if any
+    if (updatedItem.charge === 1) {
+      const existingCharge = await this.getChargingAllocation(updatedItem.sk, productionSiteId);
+      if (existingCharge && existingCharge.pk !== updatedItem.pk) {
+        throw new Error(`Production site ${productionSiteId} already has a charge for month ${updatedItem.sk}`);
       }
+    }
 
-      // Create or update the allocation
-      await this.docClient.send(new PutCommand({
-        TableName: this.tableName,
-        Item: allocation
-      }));
+    const existing = await this.getAllocation(updatedItem.pk, updatedItem.sk);
+    const transactItems = [];
+
+    // If removing charge flag, ensure another allocation gets it
+    if (existing?.charge === 1 && item.charge === 0) {
+      const transfer = await this.buildChargeTransfer(item.sk, item.pk, now);
+      if (transfer) transactItems.push(transfer);
+    }
+
+    const put = buildVersionedPut(this.tableName, {
+      ...updatedItem,
+      updatedAt: now,
+      // Set creation timestamp for new allocations
+      ...(!existing && { createdAt: now })
+    }, expectedVersion ?? (existing ? Number(existing.version || 0) : null));
+    transactItems.push(put);
+
+    return { allocation: put.Put.Item, transactItems };
+  }
 
+  // The main create/update method
+  async createOrUpdateAllocation(item) {
+    try {
+      const { allocation, transactItems } = await this.planAllocationWrite(item);
+      await this.docClient.send(new TransactWriteCommand({ TransactItems: transactItems }));
       return allocation;
     } catch (error) {
       logger.error('[AllocationDAL] CreateOrUpdate Error:', error);
@@ -190,54 +208,63 @@ class AllocationDAL {
     }
   }
 
-  async deleteAllocation(companyId, productionSiteId, consumptionSiteId, sk) {
-    try {
-      this.validateSortKey(sk);
-      const pk = this.generatePK(companyId, productionSiteId, consumptionSiteId);
-
-      // Check if this is the charging allocation
-      const allocation = await this.getAllocation(pk, sk);
-      if (allocation?.charge === 1) {
-        // Find a new allocation to set as charging
-        const monthAllocations = await this.getAllocationsByMonth(sk);
-        const otherAllocations = monthAllocations.filter(a => a.pk !== pk);
-        
-        if (otherAllocations.length > 0) {
-          const newChargingAllocation = otherAllocations.reduce((max, curr) => {
-            const maxTotal = ['c1', 'c2', 'c3', 'c4', 'c5']
-              .reduce((sum, period) => sum + (max[period] || 0), 0);
-            const currTotal = ['c1', 'c2', 'c3', 'c4', 'c5']
-              .reduce((sum, period) => sum + (curr[period] || 0), 0);
-            return currTotal > maxTotal ? curr : max;
-          });
-
-          await this.docClient.send(new UpdateCommand({
-            TableName: this.tableName,
-            Key: { pk: newChargingAllocation.pk, sk: newChargingAllocation.sk },
-            UpdateExpression: 'SET charge = :charge, updatedAt = :updatedAt, version = :version',
-            ExpressionAttributeValues: {
-              ':charge': 1,
-              ':updatedAt': new Date().toISOString(),
-              ':version': (newChargingAllocation.version || 0) + 1
-            }
-          }));
-        }
-      }
+  /**
+   * Build the writes that delete an allocation without sending them: the
+   * delete, checked against the stored version, and moving the charge flag to
+   * another allocation of the month when this one carries it.
+   * @returns {Promise<{allocation: Object|null, transactItems: Array<Object>}>}
+   *   The stored allocation, or null when there is none to delete
+   */
+  async planAllocationDelete(companyId, productionSiteId, consumptionSiteId, sk) {
+    this.validateSortKey(sk);
+    const pk = this.generatePK(companyId, productionSiteId, consumptionSiteId);
+
+    const allocation = await this.getAllocation(pk, sk);
+    if (!allocation) {
+      return { allocation: null, transactItems: [] };
+    }
+
+    const transactItems = [];
+    // Check if this is the charging allocation
+    if (allocation.charge === 1) {
+      const transfer = await this.buildChargeTransfer(sk, pk, new Date().toISOString());
+      if (transfer) transactItems.push(transfer);
+    }
 
-      const result = await this.docClient.send(new DeleteCommand({
+    const hasVersion = allocation.version !== undefined && allocation.version !== null;
+    transactItems.push({
+      Delete: {
         TableName: this.tableName,
         Key: { pk, sk },
-        ReturnValues: 'ALL_OLD'
-      }));
+        ConditionExpression: hasVersion ? '#version = :expected' : 'attribute_exists(pk) AND attribute_not_exists(#version)',
+        ExpressionAttributeNames: { '#version': 'version' },
+        ...(hasVersion && { ExpressionAttributeValues: { ':expected': allocation.version } })
+      }
+    });
+
+    return { allocation, transactItems };
+  }
 
-      return result.Attributes || null;
+  async deleteAllocation(companyId, productionSiteId, consumptionSiteId, sk) {
+    try {
+      const { allocation, transactItems } = await this.planAllocationDelete(companyId, productionSiteId, consumptionSiteId, sk);
+      if (!allocation) {
+        return null;
+      }
+
+      await this.docClient.send(new TransactWriteCommand({ TransactItems: transactItems }));
+      return allocation;
     } catch (error) {
       logger.error('[AllocationDAL] Delete Error:', error);
       throw error;
     }
   }
 
-  async getAllocationsByMonth(month) {
+  /**
+   * Allocations for a month, across every page of the scan. Pass a company to
+   * keep only its allocations (pk prefix `${companyId}_`).
+   */
+  async getAllocationsByMonth(month, companyId = null) {
     try {
       const sk = formatMonthYearKey(month);
       this.validateSortKey(sk);
@@ -247,9 +274,23 @@ class AllocationDAL {
         FilterExpression: 'sk = :sk',
         ExpressionAttributeValues: { ':sk': sk }
       };
+      if (companyId !== null && companyId !== undefined) {
+        params.FilterExpression += ' AND begins_with(pk, :companyPrefix)';
+        params.ExpressionAttributeValues[':companyPrefix'] = `${companyId}_`;
+      }
 
-      const result = await this.docClient.send(new ScanCommand(params));
-      return result.Items || [];
+      const items = [];
+      let lastEvaluatedKey;
+      do {
+        const result = await this.docClient.send(new ScanCommand({
+          ...params,
+          ExclusiveStartKey: lastEvaluatedKey
+        }));
+        items.push(...(result.Items || []));
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+
+      return items;
     } catch (error) {
       logger.error('[AllocationDAL] GetByMonth Error:', error);
       throw error;
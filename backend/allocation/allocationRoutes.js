@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const allocationController = require('./allocationController');
 const validateAllocation = require('./allocationValidator');
-const validateJson = require('../middleware/validatejson');
+const validateJson = require('../middleware/validateJson');
 
 // Create single allocation
 router.post('/', validateJson, validateAllocation, allocationController.createAllocation);
@@ -10,8 +10,11 @@ router.post('/', validateJson, validateAllocation, allocationController.createAl
 // Create batch allocations
 router.post('/batch', validateJson, validateAllocation, allocationController.createAllocation);
 
-// Calculate allocations with consumption site filtering
-router.get('/calculate/with-filtering', allocationController.calculateAllocationsWithFiltering);
+// Save allocations with their banking and lapse records in one transaction
+router.post('/commit', validateJson, allocationController.commitAllocations);
+
+// Calculate allocations for a month without saving them
+router.post('/calculate', validateJson, allocationController.calculateAllocationPlan);
 
 // Get all allocations (for report page, no month filter)
 router.get('/', allocationController.getAllAllocations);
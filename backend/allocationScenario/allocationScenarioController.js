@@ -0,0 +1,87 @@
+const allocationScenarioService = require('./allocationScenarioService');
+const logger = require('../utils/logger');
+const { resolveCompanyId } = require('../utils/requestCompany');
+
+const sendError = (res, error, fallbackMessage) => {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+        success: false,
+        message: statusCode === 500 ? fallbackMessage : error.message,
+        error: statusCode === 500 ? error.message : undefined
+    });
+};
+
+// Compare the allocation as it stands with one or more what-if scenarios; nothing is saved
+exports.simulateScenarios = async (req, res) => {
+    try {
+        const comparison = await allocationScenarioService.simulateScenarios(req.body);
+        res.json({
+            success: true,
+            data: comparison
+        });
+    } catch (error) {
+        logger.error('[AllocationScenarioController] Simulate Error:', error);
+        sendError(res, error, 'Error simulating allocation scenarios');
+    }
+};
+
+// List saved scenarios, optionally for one month: ?companyId=&month=MMYYYY
+exports.getScenarios = async (req, res) => {
+    try {
+        const scenarios = await allocationScenarioService.listScenarios(resolveCompanyId(req), {
+            month: req.query.month
+        });
+        res.json({
+            success: true,
+            data: scenarios
+        });
+    } catch (error) {
+        logger.error('[AllocationScenarioController] List Error:', error);
+        sendError(res, error, 'Error fetching scenarios');
+    }
+};
+
+exports.getScenario = async (req, res) => {
+    try {
+        const scenario = await allocationScenarioService.getScenario(resolveCompanyId(req), req.params.scenarioId);
+        res.json({
+            success: true,
+            data: scenario
+        });
+    } catch (error) {
+        logger.error('[AllocationScenarioController] Get Error:', error);
+        sendError(res, error, 'Error fetching scenario');
+    }
+};
+
+exports.saveScenario = async (req, res) => {
+    try {
+        const scenario = await allocationScenarioService.saveScenario(
+            resolveCompanyId(req),
+            req.body,
+            req.user?.username || null
+        );
+        res.status(201).json({
+            success: true,
+            message: 'Scenario saved successfully',
+            data: scenario
+        });
+    } catch (error) {
+        logger.error('[AllocationScenarioController] Save Error:', error);
+        sendError(res, error, 'Error saving scenario');
+    }
+};
+
+exports.deleteScenario = async (req, res) => {
+    try {
+        const scenario = await allocationScenarioService.deleteScenario(resolveCompanyId(req), req.params.scenarioId);
+        res.json({
+            success: true,
+            message: 'Scenario deleted successfully',
+            data: scenario
+        });
+    } catch (error) {
+        logger.error('[AllocationScenarioController] Delete Error:', error);
+        sendError(res, error, 'Error deleting scenario');
+    }
+};
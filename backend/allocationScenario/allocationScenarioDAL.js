@@ -0,0 +1,202 @@
+const { GetCommand, QueryCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const docClient = require('../utils/db');
+const TableNames = require('../constants/tableNames');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+
+const RECORD_TYPE = {
+    SCENARIO: 'SCENARIO',
+    RESULT_PART: 'RESULT_PART',
+    NAME: 'NAME'
+};
+
+// A scenario's allocation result is stored as JSON split over several items to
+// stay under DynamoDB's 400 KB item limit. 100,000 characters is at most
+// 300 KB of UTF-8; the parts, the scenario and its name are written in one
+// transaction, which must stay under 4 MB.
+const RESULT_PART_LENGTH = 100000;
+const MAX_RESULT_PARTS = 12;
+
+const partKey = (scenarioId, index) => `${scenarioId}#PART#${String(index).padStart(4, '0')}`;
+const nameKey = (month, name) => `NAME#${month}#${String(name).toLowerCase()}`;
+
+/**
+ * Saved allocation what-if scenarios. Each scenario is stored with
+ * pk = companyId and:
+ * - sk = scenarioId: the scenario, its overrides and summaries
+ * - sk = scenarioId#PART#nnnn: its allocation result, in order
+ * - sk = NAME#month#name: reserves the name for the month
+ * Scenarios saved before results were split keep `result` on the scenario item.
+ */
+class AllocationScenarioDAL {
+    constructor() {
+        this.tableName = TableNames.ALLOCATION_SCENARIO;
+    }
+
+    /**
+     * Save a scenario with its result. Fails with TransactionCanceledException
+     * when the name is already taken for the month.
+     * @param {Object} scenario - Scenario including `result`
+     * @returns {Promise<Object>} Stored scenario, with its result
+     */
+    async createScenario({ result, ...scenario }) {
+        const pk = String(scenario.companyId);
+        const json = JSON.stringify(result ?? null);
+        const partCount = Math.max(1, Math.ceil(json.length / RESULT_PART_LENGTH));
+        if (partCount > MAX_RESULT_PARTS) {
+            throw new ValidationError('The scenario result is too large to save; narrow the sites it covers');
+        }
+
+        const item = {
+            ...scenario,
+            pk,
+            sk: scenario.scenarioId,
+            companyId: pk,
+            recordType: RECORD_TYPE.SCENARIO,
+            resultParts: partCount
+        };
+        const parts = Array.from({ length: partCount }, (_, index) => ({
+            pk,
+            sk: partKey(scenario.scenarioId, index),
+            recordType: RECORD_TYPE.RESULT_PART,
+            scenarioId: scenario.scenarioId,
+            data: json.slice(index * RESULT_PART_LENGTH, (index + 1) * RESULT_PART_LENGTH)
+        }));
+        const newItem = (Item) => ({
+            Put: {
+                TableName: this.tableName,
+                Item,
+                ConditionExpression: 'attribute_not_exists(pk) AND attribute_not_exists(sk)'
+            }
+        });
+
+        try {
+            await docClient.send(new TransactWriteCommand({
+                TransactItems: [
+                    newItem({
+                        pk,
+                        sk: nameKey(scenario.month, scenario.name),
+                        recordType: RECORD_TYPE.NAME,
+                        scenarioId: scenario.scenarioId
+                    }),
+                    newItem(item),
+                    ...parts.map(newItem)
+                ]
+            }));
+            return { ...item, result };
+        } catch (error) {
+            logger.error(`[AllocationScenarioDAL] Error creating scenario: ${error.message}`, { companyId: scenario.companyId });
+            throw error;
+        }
+    }
+
+    /**
+     * A scenario with its result put back together
+     */
+    async getScenario(companyId, scenarioId) {
+        try {
+            const items = await this.getScenarioItems(companyId, scenarioId);
+            const scenario = items.find(item => item.sk === scenarioId);
+            if (!scenario) return null;
+            if (!scenario.resultParts) return scenario;
+
+            const parts = items.filter(item => item.recordType === RECORD_TYPE.RESULT_PART);
+            if (parts.length !== scenario.resultParts) {
+                throw new Error(`Scenario ${scenarioId} has ${parts.length} of ${scenario.resultParts} result parts`);
+            }
+            return { ...scenario, result: JSON.parse(parts.map(part => part.data).join('')) };
+        } catch (error) {
+            logger.error(`[AllocationScenarioDAL] Error fetching scenario: ${error.message}`, { companyId, scenarioId });
+            throw error;
+        }
+    }
+
+    // The scenario item and its result parts, in sk order
+    async getScenarioItems(companyId, scenarioId) {
+        const items = [];
+        let lastEvaluatedKey;
+        do {
+            const response = await docClient.send(new QueryCommand({
+                TableName: this.tableName,
+                KeyConditionExpression: 'pk = :pk AND begins_with(sk, :scenarioId)',
+                ExpressionAttributeValues: {
+                    ':pk': String(companyId),
+                    ':scenarioId': scenarioId
+                },
+                ExclusiveStartKey: lastEvaluatedKey
+            }));
+            items.push(...(response.Items || []));
+            lastEvaluatedKey = response.LastEvaluatedKey;
+        } while (lastEvaluatedKey);
+        return items;
+    }
+
+    /**
+     * Scenarios saved for a company, optionally for one month only. Results
+     * are not read.
+     * @param {string|number} companyId - Company ID
+     * @param {Object} [filters]
+     * @param {string} [filters.month] - Month in MMYYYY format
+     * @returns {Promise<Array>} Scenarios
+     */
+    async getScenariosByCompany(companyId, { month } = {}) {
+        try {
+            const filters = ['(attribute_not_exists(recordType) OR recordType = :scenario)'];
+            if (month) filters.push('#month = :month');
+
+            const items = [];
+            let lastEvaluatedKey;
+            do {
+                const response = await docClient.send(new QueryCommand({
+                    TableName: this.tableName,
+                    KeyConditionExpression: 'pk = :pk',
+                    FilterExpression: filters.join(' AND '),
+                    ...(month && { ExpressionAttributeNames: { '#month': 'month' } }),
+                    ExpressionAttributeValues: {
+                        ':pk': String(companyId),
+                        ':scenario': RECORD_TYPE.SCENARIO,
+                        ...(month && { ':month': month })
+                    },
+                    ExclusiveStartKey: lastEvaluatedKey
+                }));
+                items.push(...(response.Items || []));
+                lastEvaluatedKey = response.LastEvaluatedKey;
+            } while (lastEvaluatedKey);
+            return items;
+        } catch (error) {
+            logger.error(`[AllocationScenarioDAL] Error listing scenarios: ${error.message}`, { companyId, month });
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a scenario, its result parts and its name reservation together
+     * @returns {Promise<Object|null>} The deleted scenario, or null when not found
+     */
+    async deleteScenario(companyId, scenarioId) {
+        try {
+            const items = await this.getScenarioItems(companyId, scenarioId);
+            const scenario = items.find(item => item.sk === scenarioId);
+            if (!scenario) return null;
+
+            const keys = items.map(({ pk, sk }) => ({ pk, sk }));
+            const { Item: nameItem } = await docClient.send(new GetCommand({
+                TableName: this.tableName,
+                Key: { pk: String(companyId), sk: nameKey(scenario.month, scenario.name) }
+            }));
+            if (nameItem?.scenarioId === scenarioId) {
+                keys.push({ pk: nameItem.pk, sk: nameItem.sk });
+            }
+
+            await docClient.send(new TransactWriteCommand({
+                TransactItems: keys.map(Key => ({ Delete: { TableName: this.tableName, Key } }))
+            }));
+            return scenario;
+        } catch (error) {
+            logger.error(`[AllocationScenarioDAL] Error deleting scenario: ${error.message}`, { companyId, scenarioId });
+            throw error;
+        }
+    }
+}
+
+module.exports = new AllocationScenarioDAL();
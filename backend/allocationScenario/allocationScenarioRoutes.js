@@ -0,0 +1,16 @@
+const express = require('express');
+const allocationScenarioController = require('./allocationScenarioController');
+const validateJson = require('../middleware/validateJson');
+
+const router = express.Router();
+
+// Run what-if scenarios against the month's inputs without saving anything
+router.post('/simulate', validateJson, allocationScenarioController.simulateScenarios);
+
+// Saved scenarios, filterable by ?month=MMYYYY
+router.get('/', allocationScenarioController.getScenarios);
+router.post('/', validateJson, allocationScenarioController.saveScenario);
+router.get('/:scenarioId', allocationScenarioController.getScenario);
+router.delete('/:scenarioId', allocationScenarioController.deleteScenario);
+
+module.exports = router;
@@ -0,0 +1,292 @@
+const { v4: uuidv4 } = require('uuid');
+const allocationScenarioDAL = require('./allocationScenarioDAL');
+const { calculateAllocations, resolveCalculationInputs } = require('../services/allocationCalculatorService');
+const logger = require('../utils/logger');
+const { ALL_PERIODS } = require('../constants/periods');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const SUMMARY_FIELDS = ['allocated', 'banked', 'lapsed', 'unmetDemand'];
+const MAX_NAME_LENGTH = 100;
+
+const isNonNegative = (value) => value !== null && value !== '' && Number.isFinite(Number(value)) && Number(value) >= 0;
+
+/**
+ * Validate scenario overrides
+ * @param {Object} overrides - { captivePercentages, excludedConsumptionSites, includedConsumptionSites, bankingBalances }
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+const validateOverrides = (overrides) => {
+    const errors = [];
+    if (overrides === undefined || overrides === null) return errors;
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return ['overrides must be an object'];
+    }
+
+    const { captivePercentages, excludedConsumptionSites, includedConsumptionSites, bankingBalances } = overrides;
+    if (captivePercentages !== undefined) {
+        if (!Array.isArray(captivePercentages)) {
+            errors.push('captivePercentages must be an array');
+        } else {
+            captivePercentages.forEach((entry, index) => {
+                if (!entry?.generatorCompanyId || !entry?.shareholderCompanyId) {
+                    errors.push(`captivePercentages[${index}] needs generatorCompanyId and shareholderCompanyId`);
+                }
+                if (!isNonNegative(entry?.allocationPercentage) || Number(entry.allocationPercentage) > 100) {
+                    errors.push(`captivePercentages[${index}].allocationPercentage must be between 0 and 100`);
+                }
+            });
+        }
+    }
+    [['excludedConsumptionSites', excludedConsumptionSites], ['includedConsumptionSites', includedConsumptionSites]]
+        .filter(([, value]) => value !== undefined && !Array.isArray(value))
+        .forEach(([field]) => errors.push(`${field} must be an array of consumption site IDs`));
+    if (bankingBalances !== undefined) {
+        if (!Array.isArray(bankingBalances)) {
+            errors.push('bankingBalances must be an array');
+        } else {
+            bankingBalances.forEach((balance, index) => {
+                if (!balance?.productionSiteId) {
+                    errors.push(`bankingBalances[${index}].productionSiteId is required`);
+                }
+                ALL_PERIODS
+                    .filter(period => balance?.[period] !== undefined && !isNonNegative(balance[period]))
+                    .forEach(period => errors.push(`bankingBalances[${index}].${period} must be a non-negative number`));
+            });
+        }
+    }
+    return errors;
+};
+
+const toIdList = (value) => {
+    if (Array.isArray(value)) return value.map(String);
+    if (value && typeof value === 'object') return Object.keys(value).filter(id => value[id]);
+    return [];
+};
+
+/**
+ * Apply scenario overrides to calculation inputs without changing them.
+ * - captivePercentages replace the percentage of a generator/shareholder pair
+ *   (0 takes the pair out); unknown pairs are added
+ * - excludedConsumptionSites / includedConsumptionSites adjust the include/exclude lists
+ * - bankingBalances replace the banked units available to a production site
+ * @param {Object} inputs - Parameters for calculateAllocations
+ * @param {Object} [overrides] - Scenario overrides
+ * @returns {Object} Parameters for calculateAllocations
+ */
+const applyOverrides = (inputs, overrides = {}) => {
+    const {
+        captivePercentages = [],
+        excludedConsumptionSites = [],
+        includedConsumptionSites = [],
+        bankingBalances = []
+    } = overrides || {};
+
+    const captive = new Map(inputs.captiveData.map(entry => [
+        `${entry.generatorCompanyId}-${entry.shareholderCompanyId}`,
+        { ...entry }
+    ]));
+    captivePercentages.forEach(entry => {
+        const key = `${entry.generatorCompanyId}-${entry.shareholderCompanyId}`;
+        captive.set(key, {
+            ...(captive.get(key) || {
+                generatorCompanyId: entry.generatorCompanyId,
+                shareholderCompanyId: entry.shareholderCompanyId
+            }),
+            allocationPercentage: Number(entry.allocationPercentage),
+            allocationStatus: 'active'
+        });
+    });
+
+    const includeExclude = inputs.consumptionSiteIncludeExclude || {};
+    const included = new Set([...toIdList(includeExclude.included), ...includedConsumptionSites.map(String)]);
+    const excluded = new Set(toIdList(includeExclude.excluded).filter(id => !included.has(id)));
+    excludedConsumptionSites.map(String).forEach(id => {
+        excluded.add(id);
+        included.delete(id);
+    });
+
+    const bankingUnits = inputs.bankingUnits.map(unit => ({ ...unit }));
+    bankingBalances.forEach(balance => {
+        const siteId = String(balance.productionSiteId);
+        const units = ALL_PERIODS.reduce((acc, period) => {
+            acc[period] = Number(balance[period]) || 0;
+            return acc;
+        }, {});
+        const existing = bankingUnits.find(unit => String(unit.productionSiteId || unit.id) === siteId);
+        if (existing) {
+            Object.assign(existing, units);
+        } else {
+            const site = inputs.productionUnits.find(unit => String(unit.productionSiteId || unit.id) === siteId) || {};
+            bankingUnits.push({
+                productionSiteId: siteId,
+                siteName: site.siteName,
+                generatorCompanyId: site.generatorCompanyId,
+                month: inputs.month,
+                ...units
+            });
+        }
+    });
+
+    return {
+        ...inputs,
+        captiveData: [...captive.values()],
+        consumptionSiteIncludeExclude: {
+            ...includeExclude,
+            included: [...included],
+            excluded: [...excluded]
+        },
+        bankingUnits
+    };
+};
+
+/**
+ * Scenario totals minus baseline totals
+ */
+const compareSummaries = (baseline, scenario) => SUMMARY_FIELDS.reduce((acc, field) => {
+    acc[field] = (scenario[field] || 0) - (baseline[field] || 0);
+    return acc;
+}, {});
+
+const assertValidOverrides = (overrides) => {
+    const errors = validateOverrides(overrides);
+    if (errors.length > 0) {
+        throw new ValidationError(errors.join('; '));
+    }
+};
+
+const runScenario = (inputs, baseline, overrides) => {
+    const result = calculateAllocations(applyOverrides(inputs, overrides));
+    return {
+        result,
+        summary: result.summary,
+        difference: compareSummaries(baseline.summary, result.summary)
+    };
+};
+
+/**
+ * Run the allocation engine for the inputs as they are and for each scenario,
+ * so the totals can be compared side by side. Nothing is saved.
+ * @param {Object} body - Calculation inputs (as for POST /api/allocation/calculate)
+ *   plus `scenarios`: [{ name, overrides }]
+ * @returns {Promise<Object>} { month, baseline: { summary, result }, scenarios: [{ name, overrides, summary, difference, result }] }
+ */
+const simulateScenarios = async (body = {}) => {
+    const { scenarios = [] } = body;
+    if (!Array.isArray(scenarios)) {
+        throw new ValidationError('scenarios must be an array');
+    }
+    scenarios.forEach(scenario => assertValidOverrides(scenario?.overrides));
+
+    const inputs = await resolveCalculationInputs(body);
+    const baseline = calculateAllocations(inputs);
+
+    return {
+        month: inputs.month,
+        baseline: { summary: baseline.summary, result: baseline },
+        scenarios: scenarios.map((scenario, index) => ({
+            name: scenario.name || `Scenario ${index + 1}`,
+            overrides: scenario.overrides || {},
+            ...runScenario(inputs, baseline, scenario.overrides)
+        }))
+    };
+};
+
+/**
+ * Run a scenario and save it under a name. Names are unique per company and month.
+ * @param {string|number} companyId - Company ID
+ * @param {Object} body - Calculation inputs plus name, description and overrides
+ * @param {string} [createdBy] - Username of the user saving it
+ * @returns {Promise<Object>} Saved scenario
+ */
+const saveScenario = async (companyId, body = {}, createdBy = null) => {
+    if (!companyId) {
+        throw new ValidationError('companyId is required');
+    }
+    const name = String(body.name || '').trim();
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        throw new ValidationError(`name is required and must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    assertValidOverrides(body.overrides);
+
+    const inputs = await resolveCalculationInputs(body);
+    const duplicateName = () => new ConflictError(`A scenario named "${name}" already exists for ${inputs.month}`);
+    // Scenarios saved before names were reserved have no name item to collide with
+    const existing = await allocationScenarioDAL.getScenariosByCompany(companyId, { month: inputs.month });
+    if (existing.some(scenario => scenario.name.toLowerCase() === name.toLowerCase())) {
+        throw duplicateName();
+    }
+
+    const baseline = calculateAllocations(inputs);
+    const { result, summary, difference } = runScenario(inputs, baseline, body.overrides);
+
+    let scenario;
+    try {
+        scenario = await allocationScenarioDAL.createScenario({
+            companyId,
+            scenarioId: uuidv4(),
+            name,
+            description: body.description || null,
+            month: inputs.month,
+            overrides: body.overrides || {},
+            baselineSummary: baseline.summary,
+            summary,
+            difference,
+            result,
+            createdBy,
+            createdAt: new Date().toISOString()
+        });
+    } catch (error) {
+        // The name item is the first write; its condition failing means another save took the name
+        const reasons = error.name === 'TransactionCanceledException' ? error.CancellationReasons || [] : [];
+        if (reasons[0]?.Code === 'ConditionalCheckFailed') {
+            throw duplicateName();
+        }
+        throw error;
+    }
+
+    logger.info(`[AllocationScenarioService] Saved scenario "${name}" for company ${companyId}, ${inputs.month}`);
+    return scenario;
+};
+
+/**
+ * Saved scenarios without their full allocation results, for side-by-side comparison
+ * @param {string|number} companyId - Company ID
+ * @param {Object} [filters]
+ * @param {string} [filters.month] - Month in MMYYYY format
+ * @returns {Promise<Array>} Scenarios, newest first
+ */
+const listScenarios = async (companyId, { month } = {}) => {
+    if (!companyId) {
+        throw new ValidationError('companyId is required');
+    }
+    const scenarios = await allocationScenarioDAL.getScenariosByCompany(companyId, { month });
+    return scenarios
+        .map(({ result, ...scenario }) => scenario)
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+};
+
+const getScenario = async (companyId, scenarioId) => {
+    const scenario = await allocationScenarioDAL.getScenario(companyId, scenarioId);
+    if (!scenario) {
+        throw new NotFoundError(`Scenario ${scenarioId} not found`);
+    }
+    return scenario;
+};
+
+const deleteScenario = async (companyId, scenarioId) => {
+    const scenario = await allocationScenarioDAL.deleteScenario(companyId, scenarioId);
+    if (!scenario) {
+        throw new NotFoundError(`Scenario ${scenarioId} not found`);
+    }
+    return scenario;
+};
+
+module.exports = {
+    validateOverrides,
+    applyOverrides,
+    simulateScenarios,
+    saveScenario,
+    listScenarios,
+    getScenario,
+    deleteScenario
+};
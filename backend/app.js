@@ -4,11 +4,14 @@ const cors = require('cors');
 const helmet = require('helmet');
 const bodyParser = require('body-parser');
 const logger = require('./utils/logger');
+const { parseTrustProxy } = require('./utils/trustProxy');
 const requestLogger = require('./middleware/requestLogger');
-const { authenticateToken, checkPermission } = require('./middleware/authorization');
+const errorHandler = require('./middleware/errorHandler');
+const { authenticateToken, checkMethodPermission } = require('./middleware/authorization');
 
 // Import routes
 const authRoutes = require('./auth/authRoutes');
+const userRoutes = require('./user/userRoutes');
 const productionSiteRoutes = require('./productionSite/productionSiteRoutes');
 const productionUnitRoutes = require('./productionUnit/productionUnitRoutes');
 const productionChargeRoutes = require('./productionCharge/productionChargeRoutes');
@@ -22,44 +25,24 @@ const lapseRoutes = require('./lapse/lapseRoutes');
 const captiveRoutes = require('./captive/captiveRoutes');
 const companyRoutes = require('./company/companyRoutes');
 const siteAccessRoutes = require('./routes/siteAccessRoutes');
-const reportRoutes = require('./routes/reportRoutes');
+const formRoutes = require('./routes/formRoutes');
 const graphicalReportRoutes = require('./graphicalReport/graphicalReportRoutes');
 const invoiceRoutes = require('./invoice/invoiceRoutes');
+const tariffRoutes = require('./tariff/tariffRoutes');
+const allocationScenarioRoutes = require('./allocationScenario/allocationScenarioRoutes');
+const bankingLedgerRoutes = require('./bankingLedger/bankingLedgerRoutes');
+const bankingSettlementRoutes = require('./bankingSettlement/bankingSettlementRoutes');
+const periodDefinitionRoutes = require('./periodDefinition/periodDefinitionRoutes');
+const chargeCodeRoutes = require('./chargeCode/chargeCodeRoutes');
+const chargeApportionmentRoutes = require('./chargeApportionment/chargeApportionmentRoutes');
+const meterReadingRoutes = require('./meterReading/meterReadingRoutes');
+const shareLinkRoutes = require('./shareLink/shareLinkRoutes');
 
 const app = express();
 
-// Remove auth for site detail endpoints
-const removeAuthForDetail = (router) => {
-    const wrappedRouter = express.Router();
-    router.stack.forEach((layer) => {
-        if (layer.route) {
-            const path = layer.route.path;
-            const methods = layer.route.methods;
-            
-            // If this is a details endpoint (has :companyId and :siteId params)
-            if (path.includes(':companyId') && (path.includes(':productionSiteId') || path.includes(':consumptionSiteId'))) {
-                // For GET requests, don't use auth middleware
-                if (methods.get) {
-                    wrappedRouter.get(path, layer.route.stack
-                        .filter(s => !s.name.includes('authenticate') && !s.name.includes('validateSite'))
-                        .map(s => s.handle));
-                }
-                // For other methods, keep all middleware
-                Object.keys(methods).forEach(method => {
-                    if (method !== 'get') {
-                        wrappedRouter[method](path, layer.route.stack.map(s => s.handle));
-                    }
-                });
-            } else {
-                // For non-details endpoints, keep all middleware
-                Object.keys(methods).forEach(method => {
-                    wrappedRouter[method](path, layer.route.stack.map(s => s.handle));
-                });
-            }
-        }
-    });
-    return wrappedRouter;
-};
+// Client addresses for the login throttle and audit come from X-Forwarded-For
+// only through the proxies named in TRUST_PROXY
+app.set('trust proxy', parseTrustProxy());
 
 // Security middleware
 app.use(helmet());
@@ -73,7 +56,7 @@ const corsOptions = {
     ],
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key']
 };
 
 app.use(cors(corsOptions));
@@ -93,100 +76,98 @@ app.get('/health', (req, res) => {
     res.json({ status: 'up', timestamp: new Date().toISOString() });
 });
 
-// API Routes
-console.log('Mounting API routes...');
-
 // Public routes (no auth required)
 app.use('/api/auth', authRoutes);
 app.use('/api/health', healthRoutes);
 
-// Protected routes (require authentication)
-app.use('/api/roles', authenticateToken, roleRoutes);
+// Signed share links; the router authenticates everything except opening a link
+app.use('/api/share-links', shareLinkRoutes);
 
-// Protected routes with resource-specific permissions, but details pages are public
-app.use('/api/site-access', authenticateToken, siteAccessRoutes);
-app.use('/api/production-site', authenticateToken, checkPermission('production', 'READ'), removeAuthForDetail(productionSiteRoutes));
-app.use('/api/consumption-site', authenticateToken, checkPermission('consumption', 'READ'), removeAuthForDetail(consumptionSiteRoutes));
+// Protected routes (require authentication)
+app.use('/api/user', authenticateToken, userRoutes);
+app.use('/api/roles', authenticateToken, checkMethodPermission('roles'), roleRoutes);
+app.use('/api/form', authenticateToken, formRoutes);
+app.use('/api/graphical-report', authenticateToken, graphicalReportRoutes);
+
+// Protected routes with resource-specific permissions
+app.use('/api/site-access', authenticateToken,
+    checkMethodPermission('users', { '/grant-access': 'UPDATE', '/update-site-access': 'UPDATE' }),
+    siteAccessRoutes);
+app.use('/api/production-site', authenticateToken, checkMethodPermission('production'), productionSiteRoutes);
+app.use('/api/consumption-site', authenticateToken, checkMethodPermission('consumption'), consumptionSiteRoutes);
 app.use('/api/production-unit', authenticateToken,
-    checkPermission('production-units', 'READ'),
-    removeAuthForDetail(productionUnitRoutes));
-    
+    checkMethodPermission('production-units'),
+    productionUnitRoutes);
+
 app.use('/api/production-charge', authenticateToken,
-    checkPermission('production-charges', 'READ'),
-    removeAuthForDetail(productionChargeRoutes));
-    
+    checkMethodPermission('production-charges', { '/import/preview': 'READ' }),
+    productionChargeRoutes);
+
 app.use('/api/consumption-unit', authenticateToken,
-    checkPermission('consumption-units', 'READ'),
-    removeAuthForDetail(consumptionUnitRoutes));
-    
+    checkMethodPermission('consumption-units'),
+    consumptionUnitRoutes);
+
+app.use('/api/meter-readings', authenticateToken,
+    checkMethodPermission('production-units', { '/import/preview': 'READ' }),
+    checkMethodPermission('consumption-units', { '/import/preview': 'READ' }),
+    meterReadingRoutes);
+
+// Mounted ahead of /api/allocation so /:pk/:sk there does not catch scenario IDs
+app.use('/api/allocation/scenarios', authenticateToken,
+    checkMethodPermission('allocation', { '/simulate': 'READ' }),
+    allocationScenarioRoutes);
+
 app.use('/api/allocation', authenticateToken,
-    checkPermission('allocation', 'READ'),
+    checkMethodPermission('allocation', { '/calculate': 'READ' }),
     allocationRoutes);
-    
+
+// Mounted ahead of /api/banking so /:pk/:sk there does not catch ledger or settlement paths
+app.use('/api/banking/ledger', authenticateToken,
+    checkMethodPermission('banking'),
+    bankingLedgerRoutes);
+
+app.use('/api/banking/settlement', authenticateToken,
+    checkMethodPermission('banking', { '/preview': 'READ' }),
+    bankingSettlementRoutes);
+
 app.use('/api/banking', authenticateToken,
-    checkPermission('banking', 'READ'),
+    checkMethodPermission('banking'),
     bankingRoutes);
-    
+
 app.use('/api/lapse', authenticateToken,
-    checkPermission('lapse', 'READ'),
+    checkMethodPermission('lapse'),
     lapseRoutes);
-    
+
 app.use('/api/captive', authenticateToken,
-    checkPermission('captive', 'READ'),
+    checkMethodPermission('captive', { '/update-bulk': 'UPDATE' }),
     captiveRoutes);
 
 app.use('/api/company', authenticateToken,
-    checkPermission('company', 'READ'),
+    checkMethodPermission('company'),
     companyRoutes);
-    
-// Report routes (require authentication)
-app.use('/api/reports', authenticateToken, checkPermission('view_reports'), reportRoutes);
-app.use('/api/graphical-report', authenticateToken, checkPermission('view_reports'), graphicalReportRoutes);
 
-console.log('All routes mounted with authorization');
+app.use('/api/invoice', authenticateToken,
+    checkMethodPermission('invoice', { '/tax/calculate': 'READ' }),
+    invoiceRoutes);
+
+app.use('/api/tariff', authenticateToken,
+    checkMethodPermission('tariffs'),
+    tariffRoutes);
+
+app.use('/api/periods', authenticateToken,
+    checkMethodPermission('periods'),
+    periodDefinitionRoutes);
+
+app.use('/api/charge-codes', authenticateToken,
+    checkMethodPermission('charge-codes'),
+    chargeCodeRoutes);
+
+app.use('/api/charge-apportionment', authenticateToken,
+    checkMethodPermission('production-charges'),
+    chargeApportionmentRoutes);
 
 // Error handling middleware
-app.use((err, req, res, next) => {
-    logger.error('Error:', err);
-
-    // Axios/network error handling for API proxy or fetch failures
-    if (err.isAxiosError || err.code === 'ECONNREFUSED' || err.code === 'ENOTFOUND') {
-        return res.status(502).json({
-            success: false,
-            message: 'Failed to connect to backend service or external API',
-            detail: process.env.NODE_ENV === 'development' ? err.message : undefined
-        });
-    }
-
-    // Specific error handling
-    if (err.name === 'ValidationError') {
-        return res.status(400).json({
-            success: false,
-            message: 'Validation Error',
-            errors: err.errors
-        });
-    }
-
-    if (err.name === 'UnauthorizedError') {
-        return res.status(401).json({
-            success: false,
-            message: 'Unauthorized'
-        });
-    }
-
-    if (err.name === 'ConditionalCheckFailedException') {
-        return res.status(409).json({
-            success: false,
-            message: 'Version conflict or item already exists'
-        });
-    }
-
-    // Default error response
-    res.status(500).json({
-        success: false,
-        message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
-    });
-});
+app.use(errorHandler);
 
 // 404 handler
 app.use((req, res) => {
@@ -197,10 +178,4 @@ app.use((req, res) => {
     });
 });
 
-const PORT = process.env.PORT || 3333;
-
-app.listen(PORT, () => {
-    logger.info(`Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
-});
-
-module.exports = app;
\ No newline at end of file
+module.exports = app;
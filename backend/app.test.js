@@ -0,0 +1,62 @@
+const request = require('supertest');
+
+jest.mock('./utils/logger');
+
+const app = require('./app');
+
+describe('app', () => {
+    it.each([
+        '/api/user/all',
+        '/api/roles',
+        '/api/form',
+        '/api/graphical-report',
+        '/api/site-access',
+        '/api/production-site',
+        '/api/consumption-site',
+        '/api/production-unit',
+        '/api/production-charge',
+        '/api/consumption-unit',
+        '/api/meter-readings',
+        '/api/allocation/scenarios',
+        '/api/allocation',
+        '/api/banking/ledger',
+        '/api/banking/settlement',
+        '/api/banking',
+        '/api/lapse',
+        '/api/captive',
+        '/api/company',
+        '/api/invoice',
+        '/api/tariff',
+        '/api/periods',
+        '/api/charge-codes',
+        '/api/charge-apportionment',
+        '/api/share-links/production/1/3'
+    ])('mounts %s behind sign-in', async (path) => {
+        const response = await request(app).get(path);
+
+        expect(response.status).toBe(401);
+    });
+
+    it('answers the health check without sign-in', async () => {
+        const response = await request(app).get('/health');
+
+        expect(response.status).toBe(200);
+    });
+
+    it('returns 404 for an unknown route', async () => {
+        const response = await request(app).get('/api/unknown');
+
+        expect(response.status).toBe(404);
+        expect(response.body).toEqual({ success: false, message: 'Route not found' });
+    });
+
+    it('allows the idempotency header from the frontend origin', async () => {
+        const response = await request(app).options('/api/allocation/commit')
+            .set('Origin', 'http://localhost:3000')
+            .set('Access-Control-Request-Method', 'POST')
+            .set('Access-Control-Request-Headers', 'content-type,idempotency-key');
+
+        expect(response.headers['access-control-allow-origin']).toBe('http://localhost:3000');
+        expect(response.headers['access-control-allow-headers']).toContain('Idempotency-Key');
+    });
+});
@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
 const AuthDAL = require('./authDal');
+const { checkLoginPassword } = require('./passwordService');
+const sessionService = require('./sessionService');
 const { mapRoleIdToName } = require('../utils/roleMapper');
 
 class AuthController {
@@ -8,44 +10,17 @@ class AuthController {
         this.authDal = new AuthDAL();
     }
 
-    generateTokens(userData) {
-        const accessToken = jwt.sign(
-            {
-                userId: userData.userId || userData.username, // Use userId if available, fallback to username
-                username: userData.username,
-                role: userData.role,
-                roleName: userData.roleName, // Include normalized role name
-                permissions: userData.permissions,
-                emailId: userData.email,
-                companyId: userData.companyId, // Include company ID in the token
-                metadata: userData.metadata, // Include full metadata for additional company information
-                tokenType: 'access'
-            },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '1h' }
-        );
-
-        const refreshToken = jwt.sign(
-            {
-                username: userData.username,
-                tokenType: 'refresh'
-            },
-            process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key',
-            { expiresIn: '7d' }
-        );
-
-        return { accessToken, refreshToken };
-    }
-
     async login(username, password) {
         try {
             logger.info(`Login attempt for user: ${username}`);
             // Get user from UserTable
             const userData = await this.authDal.getUserFromUserTable(username);
+            // Run before the user is checked, so unknown usernames take as long as wrong passwords
+            const passwordMatches = await checkLoginPassword(userData, password);
             if (!userData) {
                 throw new Error('User not found');
             }
-            if (userData.password !== password) {
+            if (!passwordMatches) {
                 throw new Error('Invalid credentials');
             }
 
@@ -92,15 +67,22 @@ class AuthController {
                 metadata: userData.metadata || {}
             };
             
-            const { accessToken, refreshToken } = this.generateTokens(userInfo);
-
-            // Store refresh token
-            await this.authDal.storeRefreshToken(username, refreshToken);
+            const { sessionId, accessToken, refreshToken } = await sessionService.createSession({
+                userId,
+                username,
+                role: userData.role,
+                roleName,
+                permissions,
+                emailId: userData.email,
+                companyId: userData.companyId,
+                metadata: userData.metadata || {}
+            });
 
             return {
                 success: true,
                 accessToken,
                 refreshToken,
+                sessionId,
                 user: userInfo
             };
         } catch (error) {
@@ -109,74 +91,19 @@ class AuthController {
         }
     }
 
-    async refreshToken(refreshToken) {
+    /**
+     * Rotate a session's refresh token and issue a new access token
+     * @param {string} refreshToken - Current refresh token of the session
+     * @param {Object} [context] - { ip, userAgent } of the request
+     */
+    async refreshToken(refreshToken, context = {}) {
         try {
-            // Verify refresh token
-            const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key');
-            
-            if (decoded.tokenType !== 'refresh') {
-                throw new Error('Invalid token type');
-            }
-
-            // Get user data
-            const userData = await this.authDal.getUserFromUserTable(decoded.username);
-            if (!userData) {
-                throw new Error('User not found');
-            }
-
-            // Verify refresh token is still valid in database
-            const storedToken = await this.authDal.getRefreshToken(decoded.username);
-            if (storedToken !== refreshToken) {
-                throw new Error('Invalid refresh token');
-            }
-
-            // Map role to proper role name
-            let roleName = userData.role || userData.roleId || 'USER';
-            
-            // Use roleMapper to convert database roleId to friendly name
-            if (userData.roleId) {
-                roleName = mapRoleIdToName(userData.roleId);
-            } else if (roleName && typeof roleName === 'string') {
-                const roleNameUpper = roleName.toUpperCase();
-                if (roleNameUpper === 'SUPERADMIN' || roleNameUpper === 'SUPER_ADMIN') {
-                    roleName = 'SUPERADMIN';
-                } else if (roleNameUpper === 'ADMIN') {
-                    roleName = 'ADMIN';
-                } else if (roleNameUpper === 'USER') {
-                    roleName = 'USER';
-                } else if (roleNameUpper === 'VIEWER') {
-                    roleName = 'VIEWER';
-                } else {
-                    roleName = 'USER';
-                }
-            }
-
-            const permissions = userData.metadata?.permissions || (roleName === 'ADMIN' || roleName === 'SUPERADMIN'
-                ? ['CREATE', 'READ', 'UPDATE', 'DELETE']
-                : ['READ']);
-
-            const userInfo = {
-                username: userData.username,
-                userId: userData.userId || userData.username,
-                role: userData.role,
-                roleName: roleName,
-                permissions,
-                emailId: userData.email,
-                email: userData.email,
-                companyId: userData.companyId
-            };
-
-            // Generate new tokens
-            const tokens = this.generateTokens(userInfo);
-            
-            // Update stored refresh token
-            await this.authDal.storeRefreshToken(decoded.username, tokens.refreshToken);
-
+            const { sessionId, accessToken, refreshToken: newRefreshToken } = await sessionService.refreshSession(refreshToken, context);
             return {
                 success: true,
-                accessToken: tokens.accessToken,
-                refreshToken: tokens.refreshToken,
-                user: userInfo
+                accessToken,
+                refreshToken: newRefreshToken,
+                sessionId
             };
         } catch (error) {
             logger.error('Token refresh error:', error);
@@ -2,13 +2,13 @@ const { ScanCommand, PutCommand, UpdateCommand, QueryCommand, GetCommand } = req
 const logger = require('../utils/logger');
 const docClient = require('../utils/db');
 const TableNames = require('../constants/tableNames');
+const { hashPassword, isPasswordHash } = require('../utils/password');
 
 class AuthDAL {
     constructor() {
         this.docClient = docClient;
         this.userTable = 'UserTable';
         this.roleTable = 'RoleTable';
-        this.tokenTable = 'TokenTable';
     }
 
     async validateTables() {
@@ -202,7 +202,7 @@ class AuthDAL {
             Item: {
                 username: userData.username,
                 email: userData.email,
-                password: userData.password,
+                password: isPasswordHash(userData.password) ? userData.password : await hashPassword(userData.password),
                 roleId: roleIdToStore,
                 metadata: {
                     department: userData.metadata?.department || 'General',
@@ -226,24 +226,36 @@ class AuthDAL {
         }
     }
 
-    async updatePassword(username, hashedPassword) {
+    /**
+     * Store a new password hash. With `expectedPassword` the update only applies
+     * while the stored value is unchanged, so a concurrent change is not lost.
+     */
+    async updatePassword(username, hashedPassword, { expectedPassword } = {}) {
         if (!username || !hashedPassword) {
             throw new Error('Missing required data');
         }
+        if (!isPasswordHash(hashedPassword)) {
+            throw new Error('updatePassword expects a bcrypt hash, not a plaintext password');
+        }
 
+        const now = new Date().toISOString();
         const command = new UpdateCommand({
             TableName: this.userTable,
             Key: { username },
-            UpdateExpression: 'SET #pwd = :pwd, updatedAt = :updatedAt, version = version + :inc',
+            UpdateExpression: 'SET #pwd = :pwd, passwordChangedAt = :updatedAt, updatedAt = :updatedAt, version = if_not_exists(version, :zero) + :inc',
             ExpressionAttributeNames: {
                 '#pwd': 'password'
             },
             ExpressionAttributeValues: {
                 ':pwd': hashedPassword,
-                ':updatedAt': new Date().toISOString(),
-                ':inc': 1
+                ':updatedAt': now,
+                ':zero': 0,
+                ':inc': 1,
+                ...(expectedPassword !== undefined && { ':expectedPassword': expectedPassword })
             },
-            ConditionExpression: 'attribute_exists(username)'
+            ConditionExpression: expectedPassword !== undefined
+                ? 'attribute_exists(username) AND #pwd = :expectedPassword'
+                : 'attribute_exists(username)'
         });
 
         try {
@@ -277,13 +289,15 @@ class AuthDAL {
         }
     }
 
+    // A successful login also clears any failed-login count and lockout
     async updateLastLogin(username) {
         const command = new UpdateCommand({
             TableName: this.userTable,
             Key: { username },
-            UpdateExpression: 'SET lastLogin = :lastLogin',
+            UpdateExpression: 'SET lastLogin = :lastLogin, failedLoginCount = :zero REMOVE lockedUntil',
             ExpressionAttributeValues: {
-                ':lastLogin': new Date().toISOString()
+                ':lastLogin': new Date().toISOString(),
+                ':zero': 0
             }
         });
 
@@ -296,6 +310,99 @@ class AuthDAL {
         }
     }
 
+    /**
+     * Count a failed login for a user. Failures after windowStart add to the
+     * count; an earlier last failure starts the count again at one. Each step
+     * is a single conditional update, so concurrent failures are all counted.
+     * @param {string} username
+     * @param {Object} failure - { failedAt, windowStart } as ISO timestamps
+     * @returns {Promise<number>} The failed-login count after this failure
+     */
+    async incrementFailedLogins(username, { failedAt, windowStart }) {
+        const send = async (updateExpression, conditionExpression) => {
+            const { Attributes } = await this.docClient.send(new UpdateCommand({
+                TableName: this.userTable,
+                Key: { username },
+                UpdateExpression: updateExpression,
+                ConditionExpression: `attribute_exists(username) AND ${conditionExpression}`,
+                ExpressionAttributeValues: {
+                    ':one': 1,
+                    ':failedAt': failedAt,
+                    ':windowStart': windowStart
+                },
+                ReturnValues: 'UPDATED_NEW'
+            }));
+            return Number(Attributes.failedLoginCount);
+        };
+        const addToWindow = () => send(
+            'ADD failedLoginCount :one SET lastFailedLoginAt = :failedAt',
+            'lastFailedLoginAt > :windowStart'
+        );
+
+        try {
+            try {
+                return await addToWindow();
+            } catch (error) {
+                if (error.name !== 'ConditionalCheckFailedException') throw error;
+            }
+            try {
+                return await send(
+                    'SET failedLoginCount = :one, lastFailedLoginAt = :failedAt',
+                    '(attribute_not_exists(lastFailedLoginAt) OR lastFailedLoginAt <= :windowStart)'
+                );
+            } catch (error) {
+                // Another failure opened a new window in the meantime
+                if (error.name !== 'ConditionalCheckFailedException') throw error;
+            }
+            return await addToWindow();
+        } catch (error) {
+            logger.error('Record failed login error:', error);
+            throw error;
+        }
+    }
+
+    // Lock a user out until the given time
+    async lockUser(username, lockedUntil) {
+        const command = new UpdateCommand({
+            TableName: this.userTable,
+            Key: { username },
+            UpdateExpression: 'SET lockedUntil = :lockedUntil',
+            ExpressionAttributeValues: {
+                ':lockedUntil': lockedUntil
+            },
+            ConditionExpression: 'attribute_exists(username)'
+        });
+
+        try {
+            await this.docClient.send(command);
+            return { success: true };
+        } catch (error) {
+            logger.error('Lock user error:', error);
+            throw error;
+        }
+    }
+
+    async clearLoginFailures(username) {
+        const command = new UpdateCommand({
+            TableName: this.userTable,
+            Key: { username },
+            UpdateExpression: 'SET failedLoginCount = :zero, updatedAt = :updatedAt REMOVE lockedUntil, lastFailedLoginAt',
+            ExpressionAttributeValues: {
+                ':zero': 0,
+                ':updatedAt': new Date().toISOString()
+            },
+            ConditionExpression: 'attribute_exists(username)'
+        });
+
+        try {
+            await this.docClient.send(command);
+            return { success: true };
+        } catch (error) {
+            logger.error('Clear login failures error:', error);
+            throw error;
+        }
+    }
+
     async getAllUsers() {
         const command = new ScanCommand({
             TableName: this.userTable,
@@ -338,56 +445,6 @@ class AuthDAL {
         }
     }
 
-    async storeRefreshToken(username, token) {
-        try {
-            const now = new Date().toISOString();
-            await this.docClient.send(new PutCommand({
-                TableName: this.tokenTable,
-                Item: {
-                    username,
-                    token,
-                    createdAt: now,
-                    updatedAt: now
-                }
-            }));
-            return true;
-        } catch (error) {
-            logger.error('Store refresh token error:', error);
-            throw error;
-        }
-    }
-
-    async getRefreshToken(username) {
-        try {
-            const { Item } = await this.docClient.send(new GetCommand({
-                TableName: this.tokenTable,
-                Key: { username }
-            }));
-            return Item?.token;
-        } catch (error) {
-            logger.error('Get refresh token error:', error);
-            throw error;
-        }
-    }
-
-    async revokeRefreshToken(username) {
-        try {
-            await this.docClient.send(new UpdateCommand({
-                TableName: this.tokenTable,
-                Key: { username },
-                UpdateExpression: 'SET revoked = :revoked, updatedAt = :updatedAt',
-                ExpressionAttributeValues: {
-                    ':revoked': true,
-                    ':updatedAt': new Date().toISOString()
-                }
-            }));
-            return true;
-        } catch (error) {
-            logger.error('Revoke refresh token error:', error);
-            throw error;
-        }
-    }
-
     /**
      * Extract company ID from user metadata
      * Handles multiple formats: direct companyId, metadata structure, and DynamoDB L/S format
@@ -0,0 +1,87 @@
+const AuthDAL = require('./authDal');
+
+jest.mock('../utils/logger');
+
+const conditionFailed = () => Object.assign(new Error('The conditional request failed'), {
+    name: 'ConditionalCheckFailedException'
+});
+
+describe('incrementFailedLogins', () => {
+    let authDal;
+    let users;
+
+    // Evaluates the two updates incrementFailedLogins sends against an
+    // in-memory user, one command at a time as DynamoDB does
+    const send = async ({ input }) => {
+        await Promise.resolve();
+        const user = users[input.Key.username];
+        const values = input.ExpressionAttributeValues;
+        if (!user) throw conditionFailed();
+
+        const inWindow = user.lastFailedLoginAt !== undefined && user.lastFailedLoginAt > values[':windowStart'];
+        if (input.UpdateExpression.startsWith('ADD')) {
+            if (!inWindow) throw conditionFailed();
+            user.failedLoginCount = (user.failedLoginCount || 0) + values[':one'];
+        } else {
+            if (inWindow) throw conditionFailed();
+            user.failedLoginCount = values[':one'];
+        }
+        user.lastFailedLoginAt = values[':failedAt'];
+        return { Attributes: { failedLoginCount: user.failedLoginCount, lastFailedLoginAt: user.lastFailedLoginAt } };
+    };
+
+    const failure = (minute) => ({
+        failedAt: `2025-04-01T09:${String(minute).padStart(2, '0')}:00.000Z`,
+        windowStart: `2025-04-01T08:${String(minute + 45).padStart(2, '0')}:00.000Z`
+    });
+
+    beforeEach(() => {
+        authDal = new AuthDAL();
+        users = { operator: { username: 'operator' } };
+        authDal.docClient = { send: jest.fn(send) };
+    });
+
+    it('starts the count at one for a user with no earlier failure', async () => {
+        await expect(authDal.incrementFailedLogins('operator', failure(0))).resolves.toBe(1);
+
+        expect(users.operator).toMatchObject({ failedLoginCount: 1, lastFailedLoginAt: failure(0).failedAt });
+    });
+
+    it('adds to the count while failures stay within the window', async () => {
+        await authDal.incrementFailedLogins('operator', failure(0));
+        await authDal.incrementFailedLogins('operator', failure(5));
+
+        await expect(authDal.incrementFailedLogins('operator', failure(10))).resolves.toBe(3);
+    });
+
+    it('starts again at one when the last failure is older than the window', async () => {
+        users.operator = { username: 'operator', failedLoginCount: 4, lastFailedLoginAt: '2025-04-01T08:00:00.000Z' };
+
+        await expect(authDal.incrementFailedLogins('operator', failure(0))).resolves.toBe(1);
+    });
+
+    it('counts every one of several failures sent at once', async () => {
+        const counts = await Promise.all([0, 0, 0, 0, 0].map(minute => authDal.incrementFailedLogins('operator', failure(minute))));
+
+        expect(counts.sort()).toEqual([1, 2, 3, 4, 5]);
+        expect(users.operator.failedLoginCount).toBe(5);
+    });
+
+    it('adds to a window another failure opened between its two updates', async () => {
+        // The first update finds no window; before the reset lands, another failure opens one
+        authDal.docClient.send
+            .mockImplementationOnce(async (command) => {
+                await send(command).catch(() => {});
+                users.operator = { ...users.operator, failedLoginCount: 1, lastFailedLoginAt: failure(0).failedAt };
+                throw conditionFailed();
+            });
+
+        await expect(authDal.incrementFailedLogins('operator', failure(0))).resolves.toBe(2);
+        expect(authDal.docClient.send).toHaveBeenCalledTimes(3);
+    });
+
+    it('fails for an unknown user', async () => {
+        await expect(authDal.incrementFailedLogins('nobody', failure(0)))
+            .rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+    });
+});
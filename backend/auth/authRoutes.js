@@ -1,11 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
-const jwt = require('jsonwebtoken');
 const { authenticateToken } = require('../middleware/authorization');
 const AuthDAL = require('./authDal');
+const sessionService = require('./sessionService');
+const refreshTokenRoute = require('./refreshTokenRoute');
+const { checkLoginPassword, changePassword } = require('./passwordService');
+const {
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    getLoginHistory
+} = require('./loginSecurityService');
 const authDal = new AuthDAL();
 
+const sendLocked = (res, lockedUntil) => res.status(423).json({
+    success: false,
+    message: `Account locked after repeated failed logins. Try again in ${Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 60000))} minute(s) or ask an administrator to unlock it.`,
+    code: 'ACCOUNT_LOCKED',
+    lockedUntil
+});
+
 // Login route
 router.post('/login', async (req, res) => {
     try {
@@ -20,18 +35,26 @@ router.post('/login', async (req, res) => {
 
         logger.info(`Login attempt for user: ${username}`);        // Get user data
         const user = await authDal.getUserByUsername(username);
-        
-        if (!user) {
-            logger.warn(`User not found: ${username}`);
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid username or password'
-            });
-        }
+        const attempt = { username, ip: req.ip, userAgent: req.get('user-agent') };
 
-        // Password check would normally use bcrypt.compare
-        if (password !== user.password) {
-            logger.warn(`Invalid password for user: ${username}`);
+        const access = await checkLoginAllowed(user, attempt);
+        if (!access.allowed) {
+            res.set('Retry-After', String(access.retryAfterSeconds));
+            return access.lockedUntil
+                ? sendLocked(res, access.lockedUntil)
+                : res.status(429).json({
+                    success: false,
+                    message: 'Too many failed login attempts from this address. Try again later.',
+                    code: 'TOO_MANY_ATTEMPTS'
+                });
+        }
+        
+        if (!(await checkLoginPassword(user, password))) {
+            logger.warn(user ? `Invalid password for user: ${username}` : `User not found: ${username}`);
+            const { lockedUntil } = await recordLoginFailure(user, attempt);
+            if (lockedUntil) {
+                return sendLocked(res, lockedUntil);
+            }
             return res.status(401).json({
                 success: false,
                 message: 'Invalid username or password'
@@ -94,8 +117,8 @@ router.post('/login', async (req, res) => {
 
         logger.info(`Login successful - user: ${username}, companyId: ${companyId}`);
 
-        // Create JWT token with role permissions, accessible sites, and company ID
-        const token = jwt.sign(
+        // Start a session; its access token carries role permissions, accessible sites, and company ID
+        const { sessionId, accessToken: token, refreshToken } = await sessionService.createSession(
             {
                 username,
                 roleId: role.roleId,
@@ -108,16 +131,18 @@ router.post('/login', async (req, res) => {
                 companyId: companyId || null,
                 companyIds: accessibleCompanyIds.length ? accessibleCompanyIds : (companyId ? [companyId] : [])
             },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '24h' }
+            { ip: attempt.ip, userAgent: attempt.userAgent || null }
         );
 
         // Update last login time
         await authDal.updateLastLogin(username);
+        await recordLoginSuccess(attempt);
 
         logger.info(`Successful login for user: ${username}`);        res.json({
             success: true,
             token,
+            refreshToken,
+            sessionId,
             user: {
                 username,
                 email: user.email,
@@ -159,6 +184,103 @@ router.post('/login', async (req, res) => {
     }
 });
 
+router.use(refreshTokenRoute);
+
+// Sign out the session a refresh token belongs to; works with an expired access token
+router.post('/logout', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
+        await sessionService.signOut(refreshToken);
+        res.json({ success: true, message: 'Signed out' });
+    } catch (error) {
+        logger.error(`[AuthRoutes] Error signing out: ${error.message}`);
+        const statusCode = error.statusCode || 500;
+        res.status(statusCode).json({
+            success: false,
+            message: statusCode === 500 ? 'Failed to sign out' : error.message
+        });
+    }
+});
+
+// Signed-in sessions of the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await sessionService.listSessions(req.user.username, req.user.sessionId);
+        res.json({ success: true, data: sessions });
+    } catch (error) {
+        logger.error(`[AuthRoutes] Error listing sessions for ${req.user?.username}: ${error.message}`);
+        res.status(500).json({ success: false, message: 'Failed to retrieve sessions' });
+    }
+});
+
+// Sign out every other session of the current user
+router.delete('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const count = await sessionService.revokeAllSessions(req.user.username, {
+            exceptSessionId: req.user.sessionId
+        });
+        res.json({ success: true, message: `Signed out ${count} other session(s)`, data: { count } });
+    } catch (error) {
+        logger.error(`[AuthRoutes] Error signing out sessions for ${req.user?.username}: ${error.message}`);
+        res.status(500).json({ success: false, message: 'Failed to sign out sessions' });
+    }
+});
+
+// Sign out one session of the current user
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+    try {
+        await sessionService.revokeSession(req.user.username, req.params.sessionId);
+        res.json({ success: true, message: 'Session signed out' });
+    } catch (error) {
+        logger.error(`[AuthRoutes] Error signing out session ${req.params.sessionId}: ${error.message}`);
+        const statusCode = error.statusCode || 500;
+        res.status(statusCode).json({
+            success: false,
+            message: statusCode === 500 ? 'Failed to sign out session' : error.message
+        });
+    }
+});
+
+// Change the signed-in user's password
+router.post('/change-password', authenticateToken, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        await changePassword(req.user.username, currentPassword, newPassword, { sessionId: req.user.sessionId });
+        res.json({
+            success: true,
+            message: 'Password changed successfully'
+        });
+    } catch (error) {
+        logger.error(`[AuthRoutes] Error changing password for ${req.user?.username}: ${error.message}`);
+        const statusCode = error.statusCode || 500;
+        res.status(statusCode).json({
+            success: false,
+            message: statusCode === 500 ? 'Failed to change password' : error.message
+        });
+    }
+});
+
+// Login history of the signed-in user (?limit, ?from, ?to)
+router.get('/login-history', authenticateToken, async (req, res) => {
+    try {
+        const history = await getLoginHistory(req.user.username, req.query);
+        res.json({ success: true, data: history });
+    } catch (error) {
+        logger.error(`[AuthRoutes] Error fetching login history for ${req.user?.username}: ${error.message}`);
+        const statusCode = error.statusCode || 500;
+        res.status(statusCode).json({
+            success: false,
+            message: statusCode === 500 ? 'Failed to retrieve login history' : error.message
+        });
+    }
+});
+
 // Get accessible sites for the current user
 router.get('/accessible-sites', authenticateToken, async (req, res) => {
     try {
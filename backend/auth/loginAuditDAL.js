@@ -0,0 +1,65 @@
+const { PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const docClient = require('../utils/db');
+const TableNames = require('../constants/tableNames');
+const logger = require('../utils/logger');
+
+/**
+ * Login attempts are stored with pk = username as typed and
+ * sk = ISO timestamp#attemptId, so one user's history is a single query in
+ * time order.
+ */
+class LoginAuditDAL {
+    constructor() {
+        this.tableName = TableNames.LOGIN_AUDIT;
+    }
+
+    async createEntry(item) {
+        try {
+            await docClient.send(new PutCommand({
+                TableName: this.tableName,
+                Item: { ...item, pk: item.username, sk: `${item.timestamp}#${item.attemptId}` }
+            }));
+            return item;
+        } catch (error) {
+            logger.error(`[LoginAuditDAL] Error recording login attempt: ${error.message}`, { username: item.username });
+            throw error;
+        }
+    }
+
+    /**
+     * Most recent attempts first
+     * @param {string} username
+     * @param {Object} options - { limit, from, to } with from/to as ISO timestamps
+     */
+    async getEntriesByUsername(username, { limit, from, to } = {}) {
+        const values = { ':pk': username };
+        let keyCondition = 'pk = :pk';
+        if (from && to) {
+            keyCondition += ' AND sk BETWEEN :from AND :to';
+            values[':from'] = from;
+            values[':to'] = `${to}#~`;
+        } else if (from) {
+            keyCondition += ' AND sk >= :from';
+            values[':from'] = from;
+        } else if (to) {
+            keyCondition += ' AND sk <= :to';
+            values[':to'] = `${to}#~`;
+        }
+
+        try {
+            const { Items } = await docClient.send(new QueryCommand({
+                TableName: this.tableName,
+                KeyConditionExpression: keyCondition,
+                ExpressionAttributeValues: values,
+                ScanIndexForward: false,
+                Limit: limit
+            }));
+            return (Items || []).map(({ pk, sk, ...item }) => item);
+        } catch (error) {
+            logger.error(`[LoginAuditDAL] Error fetching login history: ${error.message}`, { username });
+            throw error;
+        }
+    }
+}
+
+module.exports = new LoginAuditDAL();
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const AuthDAL = require('./authDal');
+const loginAuditDAL = require('./loginAuditDAL');
+const { checkIp, recordIpFailure } = require('./loginThrottle');
+const { LOGIN_SECURITY, LOGIN_OUTCOMES, LOGIN_FAILURE_REASONS } = require('../constants/loginSecurity');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const authDal = new AuthDAL();
+
+const MINUTE_MS = 60 * 1000;
+const MAX_AUDITED_USERNAME_LENGTH = 128;
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * When a user's lockout ends, or null if the account is not locked
+ * @param {Object} user - User record
+ * @returns {string|null} ISO timestamp
+ */
+const getLockedUntil = (user, now = new Date()) => (
+    user?.lockedUntil && new Date(user.lockedUntil) > now ? user.lockedUntil : null
+);
+
+/**
+ * Record one login attempt. Audit failures are logged and never fail the login.
+ * @param {Object} attempt - { username, outcome, reason, ip, userAgent }
+ */
+const recordAttempt = async ({ username, outcome, reason = null, ip = null, userAgent = null }) => {
+    const entry = {
+        username: String(username).slice(0, MAX_AUDITED_USERNAME_LENGTH),
+        attemptId: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        outcome,
+        reason,
+        ip,
+        userAgent: userAgent ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null
+    };
+    try {
+        await loginAuditDAL.createEntry(entry);
+    } catch (error) {
+        logger.warn(`[LoginSecurity] Could not record login attempt for ${entry.username}: ${error.message}`);
+    }
+    return entry;
+};
+
+/**
+ * Check the IP throttle and the user's lockout before a password is checked.
+ * Refused attempts are audited.
+ * @param {Object|null} user - User record, null for an unknown username
+ * @param {Object} attempt - { username, ip, userAgent }
+ * @returns {Promise<{allowed: boolean, outcome?: string, lockedUntil?: string, retryAfterSeconds?: number}>}
+ */
+const checkLoginAllowed = async (user, attempt) => {
+    const ipStatus = checkIp(attempt.ip);
+    if (ipStatus.throttled) {
+        logger.warn(`[LoginSecurity] Login throttled for IP ${attempt.ip}`);
+        await recordAttempt({ ...attempt, outcome: LOGIN_OUTCOMES.THROTTLED, reason: LOGIN_FAILURE_REASONS.IP_THROTTLED });
+        return { allowed: false, outcome: LOGIN_OUTCOMES.THROTTLED, retryAfterSeconds: ipStatus.retryAfterSeconds };
+    }
+
+    const lockedUntil = getLockedUntil(user);
+    if (lockedUntil) {
+        logger.warn(`[LoginSecurity] Login refused for locked user: ${attempt.username}`);
+        await recordAttempt({ ...attempt, outcome: LOGIN_OUTCOMES.LOCKED, reason: LOGIN_FAILURE_REASONS.ACCOUNT_LOCKED });
+        return {
+            allowed: false,
+            outcome: LOGIN_OUTCOMES.LOCKED,
+            lockedUntil,
+            retryAfterSeconds: Math.ceil((new Date(lockedUntil) - Date.now()) / 1000)
+        };
+    }
+
+    return { allowed: true };
+};
+
+/**
+ * Count a failed login against the IP address and, for a known user, against
+ * the account, locking it once MAX_FAILED_ATTEMPTS is reached within the window
+ * @param {Object|null} user - User record, null for an unknown username
+ * @param {Object} attempt - { username, ip, userAgent }
+ * @returns {Promise<{lockedUntil: string|null}>}
+ */
+const recordLoginFailure = async (user, attempt) => {
+    recordIpFailure(attempt.ip);
+    await recordAttempt({
+        ...attempt,
+        outcome: LOGIN_OUTCOMES.FAILURE,
+        reason: user ? LOGIN_FAILURE_REASONS.INVALID_PASSWORD : LOGIN_FAILURE_REASONS.UNKNOWN_USER
+    });
+    if (!user) {
+        return { lockedUntil: null };
+    }
+
+    // The count is taken from the atomic increment, not the user record read
+    // before the password check, so parallel attempts cannot slip past the limit
+    const now = new Date();
+    let lockedUntil = null;
+    let failedLoginCount;
+    try {
+        failedLoginCount = await authDal.incrementFailedLogins(user.username, {
+            failedAt: now.toISOString(),
+            windowStart: new Date(now.getTime() - LOGIN_SECURITY.FAILURE_WINDOW_MINUTES * MINUTE_MS).toISOString()
+        });
+        if (failedLoginCount >= LOGIN_SECURITY.MAX_FAILED_ATTEMPTS) {
+            lockedUntil = new Date(now.getTime() + LOGIN_SECURITY.LOCKOUT_MINUTES * MINUTE_MS).toISOString();
+            await authDal.lockUser(user.username, lockedUntil);
+        }
+    } catch (error) {
+        logger.warn(`[LoginSecurity] Could not record failed login for ${user.username}: ${error.message}`);
+        return { lockedUntil: null };
+    }
+
+    if (lockedUntil) {
+        logger.warn(`[LoginSecurity] User ${user.username} locked until ${lockedUntil} after ${failedLoginCount} failed logins`);
+    }
+    return { lockedUntil };
+};
+
+/**
+ * Audit a successful login. The failed-login count is cleared by updateLastLogin.
+ * @param {Object} attempt - { username, ip, userAgent }
+ */
+const recordLoginSuccess = (attempt) => recordAttempt({ ...attempt, outcome: LOGIN_OUTCOMES.SUCCESS });
+
+/**
+ * Clear a user's lockout and failed-login count (administrator action)
+ * @param {string} username
+ * @param {string} [unlockedBy] - Administrator performing the unlock
+ */
+const unlockUser = async (username, unlockedBy = null) => {
+    try {
+        await authDal.clearLoginFailures(username);
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            throw new NotFoundError(`User ${username} not found`);
+        }
+        throw error;
+    }
+    logger.info(`[LoginSecurity] User ${username} unlocked by ${unlockedBy || 'unknown'}`);
+};
+
+/**
+ * Login attempts for a username, most recent first
+ * @param {string} username
+ * @param {Object} [options]
+ * @param {number|string} [options.limit] - At most MAX_HISTORY_LIMIT
+ * @param {string} [options.from] - ISO date or timestamp, inclusive
+ * @param {string} [options.to] - ISO date or timestamp, inclusive
+ * @returns {Promise<Array<Object>>}
+ */
+const getLoginHistory = async (username, { limit, from, to } = {}) => {
+    const parsedLimit = limit === undefined ? LOGIN_SECURITY.DEFAULT_HISTORY_LIMIT : Number(limit);
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > LOGIN_SECURITY.MAX_HISTORY_LIMIT) {
+        throw new ValidationError(`limit must be a whole number from 1 to ${LOGIN_SECURITY.MAX_HISTORY_LIMIT}`);
+    }
+    [['from', from], ['to', to]].forEach(([field, value]) => {
+        if (value !== undefined && Number.isNaN(Date.parse(value))) {
+            throw new ValidationError(`${field} must be an ISO date or timestamp`);
+        }
+    });
+
+    return loginAuditDAL.getEntriesByUsername(username, {
+        limit: parsedLimit,
+        from: from ? new Date(from).toISOString() : undefined,
+        to: to ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to).toISOString() : undefined
+    });
+};
+
+module.exports = {
+    getLockedUntil,
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    unlockUser,
+    getLoginHistory
+};
@@ -0,0 +1,138 @@
+const AuthDAL = require('./authDal');
+const loginAuditDAL = require('./loginAuditDAL');
+const loginThrottle = require('./loginThrottle');
+const { checkLoginAllowed, recordLoginFailure, getLockedUntil } = require('./loginSecurityService');
+const { LOGIN_SECURITY, LOGIN_OUTCOMES, LOGIN_FAILURE_REASONS } = require('../constants/loginSecurity');
+
+jest.mock('../utils/logger');
+jest.mock('./loginThrottle', () => ({
+    checkIp: jest.fn(),
+    recordIpFailure: jest.fn()
+}));
+
+const NOW = new Date('2025-04-01T09:00:00.000Z');
+const MINUTE_MS = 60 * 1000;
+
+describe('login security', () => {
+    let count;
+    let incrementFailedLogins;
+    let lockUser;
+    let createEntry;
+
+    const user = { username: 'operator' };
+    const attempt = { username: 'operator', ip: '10.0.0.1', userAgent: 'jest' };
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: NOW });
+        count = 0;
+        incrementFailedLogins = jest.spyOn(AuthDAL.prototype, 'incrementFailedLogins').mockImplementation(async () => ++count);
+        lockUser = jest.spyOn(AuthDAL.prototype, 'lockUser').mockResolvedValue({ success: true });
+        createEntry = jest.spyOn(loginAuditDAL, 'createEntry').mockResolvedValue();
+        loginThrottle.checkIp.mockReturnValue({ throttled: false, retryAfterSeconds: 0 });
+        loginThrottle.recordIpFailure.mockClear();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    describe('lockout', () => {
+        it(`locks the account on the ${LOGIN_SECURITY.MAX_FAILED_ATTEMPTS}th failure within the window`, async () => {
+            for (let i = 1; i < LOGIN_SECURITY.MAX_FAILED_ATTEMPTS; i++) {
+                await expect(recordLoginFailure(user, attempt)).resolves.toEqual({ lockedUntil: null });
+            }
+            expect(lockUser).not.toHaveBeenCalled();
+
+            const { lockedUntil } = await recordLoginFailure(user, attempt);
+
+            const expected = new Date(NOW.getTime() + LOGIN_SECURITY.LOCKOUT_MINUTES * MINUTE_MS).toISOString();
+            expect(lockedUntil).toBe(expected);
+            expect(lockUser).toHaveBeenCalledWith('operator', expected);
+        });
+
+        it('counts failures within the configured window', async () => {
+            await recordLoginFailure(user, attempt);
+
+            expect(incrementFailedLogins).toHaveBeenCalledWith('operator', {
+                failedAt: NOW.toISOString(),
+                windowStart: new Date(NOW.getTime() - LOGIN_SECURITY.FAILURE_WINDOW_MINUTES * MINUTE_MS).toISOString()
+            });
+        });
+
+        it('goes by the atomic count, not the count on the user record read before', async () => {
+            count = LOGIN_SECURITY.MAX_FAILED_ATTEMPTS - 1;
+
+            const { lockedUntil } = await recordLoginFailure({ ...user, failedLoginCount: 0 }, attempt);
+
+            expect(lockedUntil).not.toBeNull();
+        });
+
+        it('refuses a locked account until the lockout ends', async () => {
+            const lockedUntil = new Date(NOW.getTime() + 10 * MINUTE_MS).toISOString();
+
+            await expect(checkLoginAllowed({ ...user, lockedUntil }, attempt)).resolves.toEqual({
+                allowed: false,
+                outcome: LOGIN_OUTCOMES.LOCKED,
+                lockedUntil,
+                retryAfterSeconds: 600
+            });
+            expect(createEntry).toHaveBeenCalledWith(expect.objectContaining({
+                outcome: LOGIN_OUTCOMES.LOCKED,
+                reason: LOGIN_FAILURE_REASONS.ACCOUNT_LOCKED
+            }));
+
+            jest.setSystemTime(new Date(lockedUntil).getTime() + 1);
+            await expect(checkLoginAllowed({ ...user, lockedUntil }, attempt)).resolves.toEqual({ allowed: true });
+        });
+
+        it('treats an expired lockout as unlocked', () => {
+            expect(getLockedUntil({ lockedUntil: '2025-04-01T08:59:59.000Z' }, NOW)).toBeNull();
+            expect(getLockedUntil({ lockedUntil: '2025-04-01T09:00:01.000Z' }, NOW)).toBe('2025-04-01T09:00:01.000Z');
+            expect(getLockedUntil(null, NOW)).toBeNull();
+        });
+
+        it('does not fail the login response when the failure cannot be stored', async () => {
+            incrementFailedLogins.mockRejectedValue(new Error('throttled'));
+
+            await expect(recordLoginFailure(user, attempt)).resolves.toEqual({ lockedUntil: null });
+        });
+    });
+
+    describe('unknown usernames', () => {
+        it('count against the address and are audited, without touching any account', async () => {
+            await expect(recordLoginFailure(null, { ...attempt, username: 'nobody' })).resolves.toEqual({ lockedUntil: null });
+
+            expect(loginThrottle.recordIpFailure).toHaveBeenCalledWith('10.0.0.1');
+            expect(incrementFailedLogins).not.toHaveBeenCalled();
+            expect(createEntry).toHaveBeenCalledWith(expect.objectContaining({
+                username: 'nobody',
+                outcome: LOGIN_OUTCOMES.FAILURE,
+                reason: LOGIN_FAILURE_REASONS.UNKNOWN_USER
+            }));
+        });
+    });
+
+    describe('IP throttle', () => {
+        it('refuses a throttled address before looking at the account', async () => {
+            loginThrottle.checkIp.mockReturnValue({ throttled: true, retryAfterSeconds: 120 });
+
+            await expect(checkLoginAllowed(user, attempt)).resolves.toEqual({
+                allowed: false,
+                outcome: LOGIN_OUTCOMES.THROTTLED,
+                retryAfterSeconds: 120
+            });
+            expect(loginThrottle.checkIp).toHaveBeenCalledWith('10.0.0.1');
+            expect(createEntry).toHaveBeenCalledWith(expect.objectContaining({
+                outcome: LOGIN_OUTCOMES.THROTTLED,
+                reason: LOGIN_FAILURE_REASONS.IP_THROTTLED
+            }));
+        });
+
+        it('counts every failed login against the address', async () => {
+            await recordLoginFailure(user, attempt);
+
+            expect(loginThrottle.recordIpFailure).toHaveBeenCalledWith('10.0.0.1');
+        });
+    });
+});
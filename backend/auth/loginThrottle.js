@@ -0,0 +1,54 @@
+const { LOGIN_SECURITY } = require('../constants/loginSecurity');
+
+const WINDOW_MS = LOGIN_SECURITY.IP_WINDOW_MINUTES * 60 * 1000;
+
+// Failed login timestamps per IP address. Held in process memory: limits
+// apply per server instance and reset on restart, while the per-user lockout
+// is stored on the user record.
+const failuresByIp = new Map();
+
+const recentFailures = (ip, now) => {
+    const recent = (failuresByIp.get(ip) || []).filter(time => now - time < WINDOW_MS);
+    if (recent.length > 0) {
+        failuresByIp.set(ip, recent);
+    } else {
+        failuresByIp.delete(ip);
+    }
+    return recent;
+};
+
+// Drop addresses whose failures have all aged out
+const sweep = (now) => {
+    for (const ip of failuresByIp.keys()) {
+        recentFailures(ip, now);
+    }
+};
+
+/**
+ * Whether an IP address has used up its failed logins for the window
+ * @param {string} ip
+ * @returns {{throttled: boolean, retryAfterSeconds: number}}
+ */
+const checkIp = (ip, now = Date.now()) => {
+    const recent = recentFailures(ip, now);
+    if (recent.length < LOGIN_SECURITY.MAX_FAILED_ATTEMPTS_PER_IP) {
+        return { throttled: false, retryAfterSeconds: 0 };
+    }
+    return {
+        throttled: true,
+        retryAfterSeconds: Math.ceil((recent[0] + WINDOW_MS - now) / 1000)
+    };
+};
+
+/**
+ * Count a failed login against an IP address
+ * @param {string} ip
+ */
+const recordIpFailure = (ip, now = Date.now()) => {
+    if (failuresByIp.size > 10000) {
+        sweep(now);
+    }
+    failuresByIp.set(ip, [...recentFailures(ip, now), now]);
+};
+
+module.exports = { checkIp, recordIpFailure };
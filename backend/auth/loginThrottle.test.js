@@ -0,0 +1,60 @@
+const { LOGIN_SECURITY } = require('../constants/loginSecurity');
+
+const WINDOW_MS = LOGIN_SECURITY.IP_WINDOW_MINUTES * 60 * 1000;
+const LIMIT = LOGIN_SECURITY.MAX_FAILED_ATTEMPTS_PER_IP;
+const START = Date.UTC(2025, 3, 1, 9, 0, 0);
+
+describe('login throttle', () => {
+    let checkIp;
+    let recordIpFailure;
+
+    // Failures are kept in module state; each test starts with none
+    beforeEach(() => {
+        jest.isolateModules(() => {
+            ({ checkIp, recordIpFailure } = require('./loginThrottle'));
+        });
+    });
+
+    const fail = (ip, times, now = START) => {
+        for (let i = 0; i < times; i++) recordIpFailure(ip, now);
+    };
+
+    it('lets an address through until it reaches the limit', () => {
+        fail('10.0.0.1', LIMIT - 1);
+        expect(checkIp('10.0.0.1', START)).toEqual({ throttled: false, retryAfterSeconds: 0 });
+
+        fail('10.0.0.1', 1);
+        expect(checkIp('10.0.0.1', START)).toEqual({ throttled: true, retryAfterSeconds: WINDOW_MS / 1000 });
+    });
+
+    it('counts each address separately', () => {
+        fail('10.0.0.1', LIMIT);
+
+        expect(checkIp('10.0.0.1', START).throttled).toBe(true);
+        expect(checkIp('10.0.0.2', START).throttled).toBe(false);
+    });
+
+    it('tells the client when the oldest failure leaves the window', () => {
+        fail('10.0.0.1', 1, START);
+        fail('10.0.0.1', LIMIT - 1, START + 60 * 1000);
+
+        const status = checkIp('10.0.0.1', START + 5 * 60 * 1000);
+
+        expect(status).toEqual({ throttled: true, retryAfterSeconds: (WINDOW_MS - 5 * 60 * 1000) / 1000 });
+    });
+
+    it('lets the address in again once failures age out of the window', () => {
+        fail('10.0.0.1', 1, START);
+        fail('10.0.0.1', LIMIT - 1, START + 60 * 1000);
+
+        expect(checkIp('10.0.0.1', START + WINDOW_MS).throttled).toBe(false);
+        expect(checkIp('10.0.0.1', START + 60 * 1000 + WINDOW_MS).throttled).toBe(false);
+    });
+
+    it('only counts failures within the window towards the limit', () => {
+        fail('10.0.0.1', LIMIT - 1, START);
+        fail('10.0.0.1', 1, START + WINDOW_MS);
+
+        expect(checkIp('10.0.0.1', START + WINDOW_MS).throttled).toBe(false);
+    });
+});
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const AuthDAL = require('./authDal');
+const sessionService = require('./sessionService');
+const { SESSION_REVOKE_REASONS } = require('../constants/sessions');
+const { hashPassword, verifyPassword, validatePassword } = require('../utils/password');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const authDal = new AuthDAL();
+
+// Hash of a random password, compared against when the username is unknown so
+// that a login takes as long whether or not the user exists
+let dummyHash = null;
+const getDummyHash = () => {
+    if (!dummyHash) {
+        dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    return dummyHash;
+};
+
+// Sessions left signed in would outlive the old password; a failure here is logged
+// rather than reported, as the password itself has already been replaced
+const signOutSessions = async (username, options) => {
+    try {
+        await sessionService.revokeAllSessions(username, { reason: SESSION_REVOKE_REASONS.PASSWORD_CHANGED, ...options });
+    } catch (error) {
+        logger.error(`[PasswordService] Could not sign out sessions of user ${username}: ${error.message}`);
+    }
+};
+
+/**
+ * Check the password given at login. A legacy plaintext password, or a hash
+ * made with fewer rounds than configured, is replaced with a fresh hash once
+ * it has matched; a failed upgrade is logged and does not fail the login.
+ * For an unknown username the password is still run through bcrypt, against a
+ * dummy hash, so the response time does not reveal which usernames exist.
+ * @param {Object|null} user - User record including the stored password, null for an unknown username
+ * @param {string} password - Password supplied at login
+ * @returns {Promise<boolean>} Whether the password matched
+ */
+const checkLoginPassword = async (user, password) => {
+    if (!user) {
+        await verifyPassword(String(password ?? ''), await getDummyHash());
+        return false;
+    }
+
+    const { valid, needsRehash } = await verifyPassword(password, user.password);
+    if (valid && needsRehash) {
+        try {
+            const hashed = await hashPassword(password);
+            await authDal.updatePassword(user.username, hashed, { expectedPassword: user.password });
+            logger.info(`[PasswordService] Upgraded stored password for user: ${user.username}`);
+        } catch (error) {
+            logger.warn(`[PasswordService] Could not upgrade stored password for user ${user.username}: ${error.message}`);
+        }
+    }
+    return valid;
+};
+
+/**
+ * Validate a new password against the policy and hash it for storage
+ * @param {string} password - Proposed password
+ * @param {string} [username] - Owner of the password
+ * @returns {Promise<string>} bcrypt hash
+ */
+const hashNewPassword = async (password, username) => {
+    const errors = validatePassword(password, { username });
+    if (errors.length > 0) {
+        throw new ValidationError(errors.join('; '));
+    }
+    return hashPassword(password);
+};
+
+/**
+ * Change a user's own password after confirming the current one. The user's
+ * other sessions are signed out.
+ * @param {string} username - User changing their password
+ * @param {string} currentPassword - Password the user signed in with
+ * @param {string} newPassword - Replacement password
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] - Session making the change, kept signed in
+ */
+const changePassword = async (username, currentPassword, newPassword, { sessionId = null } = {}) => {
+    if (!currentPassword || !newPassword) {
+        throw new ValidationError('Current password and new password are required');
+    }
+
+    const user = await authDal.getUserFromUserTable(username);
+    if (!user) {
+        throw new NotFoundError(`User ${username} not found`);
+    }
+
+    const { valid } = await verifyPassword(currentPassword, user.password);
+    if (!valid) {
+        throw new ValidationError('Current password is incorrect');
+    }
+    if (currentPassword === newPassword) {
+        throw new ValidationError('New password must be different from the current password');
+    }
+
+    const hashed = await hashNewPassword(newPassword, username);
+    try {
+        await authDal.updatePassword(username, hashed, { expectedPassword: user.password });
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            throw new ConflictError('Password was changed by another request, sign in again and retry');
+        }
+        throw error;
+    }
+    logger.info(`[PasswordService] Password changed for user: ${username}`);
+    await signOutSessions(username, { exceptSessionId: sessionId, revokedBy: username });
+};
+
+/**
+ * Set a new password for a user without the current one (administrator reset).
+ * All of the user's sessions are signed out.
+ * @param {string} username - User whose password is reset
+ * @param {string} newPassword - Replacement password
+ * @param {string} [resetBy] - Administrator performing the reset
+ */
+const resetPassword = async (username, newPassword, resetBy = null) => {
+    const hashed = await hashNewPassword(newPassword, username);
+    try {
+        await authDal.updatePassword(username, hashed);
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            throw new NotFoundError(`User ${username} not found`);
+        }
+        throw error;
+    }
+    logger.info(`[PasswordService] Password reset for user ${username} by ${resetBy || 'unknown'}`);
+    await signOutSessions(username, { revokedBy: resetBy });
+};
+
+module.exports = {
+    checkLoginPassword,
+    hashNewPassword,
+    changePassword,
+    resetPassword
+};
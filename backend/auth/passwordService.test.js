@@ -0,0 +1,90 @@
+const bcrypt = require('bcryptjs');
+const AuthDAL = require('./authDal');
+const { checkLoginPassword, hashNewPassword } = require('./passwordService');
+const { hashPassword } = require('../utils/password');
+const { BCRYPT_ROUNDS } = require('../constants/passwordPolicy');
+const { ValidationError } = require('../utils/errors');
+
+jest.mock('../utils/logger');
+
+describe('login password check', () => {
+    let updatePassword;
+
+    beforeEach(() => {
+        updatePassword = jest.spyOn(AuthDAL.prototype, 'updatePassword').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('replaces a legacy plaintext password with a hash once it matches', async () => {
+        const user = { username: 'operator', password: 'legacy123' };
+
+        await expect(checkLoginPassword(user, 'legacy123')).resolves.toBe(true);
+
+        expect(updatePassword).toHaveBeenCalledTimes(1);
+        const [username, hashed, options] = updatePassword.mock.calls[0];
+        expect(username).toBe('operator');
+        expect(options).toEqual({ expectedPassword: 'legacy123' });
+        await expect(bcrypt.compare('legacy123', hashed)).resolves.toBe(true);
+        expect(bcrypt.getRounds(hashed)).toBe(BCRYPT_ROUNDS);
+    });
+
+    it('leaves a legacy password alone when it does not match', async () => {
+        await expect(checkLoginPassword({ username: 'operator', password: 'legacy123' }, 'guess1234')).resolves.toBe(false);
+
+        expect(updatePassword).not.toHaveBeenCalled();
+    });
+
+    it('rehashes a hash made with fewer rounds', async () => {
+        const weak = await bcrypt.hash('secret123', 4);
+
+        await expect(checkLoginPassword({ username: 'operator', password: weak }, 'secret123')).resolves.toBe(true);
+
+        expect(updatePassword).toHaveBeenCalledWith('operator', expect.any(String), { expectedPassword: weak });
+        expect(bcrypt.getRounds(updatePassword.mock.calls[0][1])).toBe(BCRYPT_ROUNDS);
+    });
+
+    it('does not rewrite a current hash', async () => {
+        const hash = await hashPassword('secret123');
+
+        await expect(checkLoginPassword({ username: 'operator', password: hash }, 'secret123')).resolves.toBe(true);
+
+        expect(updatePassword).not.toHaveBeenCalled();
+    });
+
+    it('runs bcrypt for an unknown username so it takes as long as a wrong password', async () => {
+        const compare = jest.spyOn(bcrypt, 'compare');
+
+        await expect(checkLoginPassword(null, 'secret123')).resolves.toBe(false);
+        await expect(checkLoginPassword(null, undefined)).resolves.toBe(false);
+
+        expect(compare).toHaveBeenCalledTimes(2);
+        const [, dummy] = compare.mock.calls[0];
+        expect(bcrypt.getRounds(dummy)).toBe(BCRYPT_ROUNDS);
+        expect(compare.mock.calls[1][1]).toBe(dummy);
+        expect(updatePassword).not.toHaveBeenCalled();
+    });
+
+    it('still signs the user in when the upgrade cannot be stored', async () => {
+        updatePassword.mockRejectedValue(Object.assign(new Error('changed'), { name: 'ConditionalCheckFailedException' }));
+
+        await expect(checkLoginPassword({ username: 'operator', password: 'legacy123' }, 'legacy123')).resolves.toBe(true);
+    });
+});
+
+describe('new password', () => {
+    it('is hashed when it meets the policy', async () => {
+        const hashed = await hashNewPassword('abcdefg1', 'operator');
+
+        await expect(bcrypt.compare('abcdefg1', hashed)).resolves.toBe(true);
+    });
+
+    it('is rejected with every broken rule when it does not', async () => {
+        await expect(hashNewPassword('short', 'operator')).rejects.toThrow(ValidationError);
+        await expect(hashNewPassword('short', 'operator')).rejects.toThrow(
+            'Password must be at least 8 characters; Password must contain a digit'
+        );
+    });
+});
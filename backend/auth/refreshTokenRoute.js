@@ -1,14 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const AuthController = require('./authController');
+const authController = require('./authController');
 const logger = require('../utils/logger');
 
-const authController = new AuthController();
-
+// Exchange a refresh token for a new access token and a rotated refresh token
 router.post('/refresh', async (req, res) => {
     try {
         const { refreshToken } = req.body;
-        
+
         if (!refreshToken) {
             return res.status(400).json({
                 success: false,
@@ -16,16 +15,19 @@ router.post('/refresh', async (req, res) => {
             });
         }
 
-        const result = await authController.refreshToken(refreshToken);
+        const result = await authController.refreshToken(refreshToken, {
+            ip: req.ip,
+            userAgent: req.get('user-agent') || null
+        });
         res.json(result);
     } catch (error) {
         logger.error('Token refresh error:', error);
-        
-        // Handle specific error cases
-        if (error.message.includes('invalid') || error.message.includes('expired')) {
+
+        if (error.statusCode === 401) {
             return res.status(401).json({
                 success: false,
-                message: 'Invalid or expired refresh token'
+                message: error.message,
+                code: error.code
             });
         }
 
@@ -0,0 +1,124 @@
+const { PutCommand, GetCommand, UpdateCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const docClient = require('../utils/db');
+const TableNames = require('../constants/tableNames');
+const logger = require('../utils/logger');
+
+/**
+ * Sessions are stored with pk = username and sk = sessionId, so all of a
+ * user's sessions are one query.
+ */
+class SessionDAL {
+    constructor() {
+        this.tableName = TableNames.AUTH_SESSION;
+    }
+
+    async createSession(item) {
+        try {
+            await docClient.send(new PutCommand({
+                TableName: this.tableName,
+                Item: { ...item, pk: item.username, sk: item.sessionId },
+                ConditionExpression: 'attribute_not_exists(pk) AND attribute_not_exists(sk)'
+            }));
+            return item;
+        } catch (error) {
+            logger.error(`[SessionDAL] Error creating session: ${error.message}`, { username: item.username });
+            throw error;
+        }
+    }
+
+    async getSession(username, sessionId) {
+        try {
+            const { Item } = await docClient.send(new GetCommand({
+                TableName: this.tableName,
+                Key: { pk: username, sk: sessionId }
+            }));
+            if (!Item) {
+                return null;
+            }
+            const { pk, sk, ...session } = Item;
+            return session;
+        } catch (error) {
+            logger.error(`[SessionDAL] Error fetching session: ${error.message}`, { username, sessionId });
+            throw error;
+        }
+    }
+
+    async getSessionsByUsername(username) {
+        try {
+            const items = [];
+            let lastEvaluatedKey;
+            do {
+                const response = await docClient.send(new QueryCommand({
+                    TableName: this.tableName,
+                    KeyConditionExpression: 'pk = :pk',
+                    ExpressionAttributeValues: { ':pk': username },
+                    ExclusiveStartKey: lastEvaluatedKey
+                }));
+                items.push(...(response.Items || []));
+                lastEvaluatedKey = response.LastEvaluatedKey;
+            } while (lastEvaluatedKey);
+            return items.map(({ pk, sk, ...session }) => session);
+        } catch (error) {
+            logger.error(`[SessionDAL] Error listing sessions: ${error.message}`, { username });
+            throw error;
+        }
+    }
+
+    /**
+     * Move a session to a new refresh token, failing with
+     * ConditionalCheckFailedException if it was rotated or revoked since
+     * `expectedJti` was read
+     */
+    async rotateSession(username, sessionId, expectedJti, { currentJti, rotatedAt, expiresAt, lastIp, lastUserAgent }) {
+        try {
+            const { Attributes } = await docClient.send(new UpdateCommand({
+                TableName: this.tableName,
+                Key: { pk: username, sk: sessionId },
+                UpdateExpression: 'SET currentJti = :currentJti, previousJti = :expectedJti, rotatedAt = :rotatedAt, lastUsedAt = :rotatedAt, expiresAt = :expiresAt, lastIp = :lastIp, lastUserAgent = :lastUserAgent',
+                ConditionExpression: 'currentJti = :expectedJti AND attribute_not_exists(revokedAt)',
+                ExpressionAttributeValues: {
+                    ':currentJti': currentJti,
+                    ':expectedJti': expectedJti,
+                    ':rotatedAt': rotatedAt,
+                    ':expiresAt': expiresAt,
+                    ':lastIp': lastIp,
+                    ':lastUserAgent': lastUserAgent
+                },
+                ReturnValues: 'ALL_NEW'
+            }));
+            const { pk, sk, ...session } = Attributes;
+            return session;
+        } catch (error) {
+            logger.error(`[SessionDAL] Error rotating session: ${error.message}`, { username, sessionId });
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a session revoked. Returns false when it was already revoked.
+     */
+    async revokeSession(username, sessionId, { revokedAt, revokedReason, revokedBy }) {
+        try {
+            await docClient.send(new UpdateCommand({
+                TableName: this.tableName,
+                Key: { pk: username, sk: sessionId },
+                UpdateExpression: 'SET revokedAt = :revokedAt, revokedReason = :revokedReason, revokedBy = :revokedBy',
+                ConditionExpression: 'attribute_exists(pk) AND attribute_not_exists(revokedAt)',
+                ExpressionAttributeValues: {
+                    ':revokedAt': revokedAt,
+                    ':revokedReason': revokedReason,
+                    ':revokedBy': revokedBy
+                }
+            }));
+            return true;
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                return false;
+            }
+            logger.error(`[SessionDAL] Error revoking session: ${error.message}`, { username, sessionId });
+            throw error;
+        }
+    }
+}
+
+module.exports = new SessionDAL();
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const sessionDAL = require('./sessionDAL');
+const { SESSION_SETTINGS, SESSION_REVOKE_REASONS } = require('../constants/sessions');
+const { UnauthorizedError, NotFoundError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const accessSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+const refreshSecret = () => process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key';
+
+const refreshExpiry = (from) => new Date(from.getTime() + SESSION_SETTINGS.REFRESH_TOKEN_TTL_DAYS * DAY_MS).toISOString();
+
+const isActive = (session, now = new Date()) => Boolean(session)
+    && !session.revokedAt
+    && new Date(session.expiresAt) > now;
+
+// Sign the access token for a session from the claims captured at login
+const signAccessToken = (session) => jwt.sign(
+    { ...session.accessClaims, sessionId: session.sessionId, tokenType: 'access' },
+    accessSecret(),
+    { expiresIn: SESSION_SETTINGS.ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Sign the access token for a session, and the refresh token for the
+ * session's current token id
+ */
+const signTokens = (session) => ({
+    accessToken: signAccessToken(session),
+    refreshToken: jwt.sign(
+        { username: session.username, sessionId: session.sessionId, jti: session.currentJti, tokenType: 'refresh' },
+        refreshSecret(),
+        { expiresIn: `${SESSION_SETTINGS.REFRESH_TOKEN_TTL_DAYS}d` }
+    )
+});
+
+const invalidRefreshToken = () => new UnauthorizedError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+
+const decodeRefreshToken = (refreshToken, options = {}) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(refreshToken, refreshSecret(), options);
+    } catch (error) {
+        throw invalidRefreshToken();
+    }
+    if (decoded.tokenType !== 'refresh' || !decoded.username || !decoded.sessionId || !decoded.jti) {
+        throw invalidRefreshToken();
+    }
+    return decoded;
+};
+
+/**
+ * Start a session at login
+ * @param {Object} accessClaims - Claims for the access token; must include username
+ * @param {Object} [context] - { ip, userAgent } of the login request
+ * @returns {Promise<{sessionId: string, accessToken: string, refreshToken: string}>}
+ */
+const createSession = async (accessClaims, { ip = null, userAgent = null } = {}) => {
+    const now = new Date();
+    const session = {
+        username: accessClaims.username,
+        sessionId: crypto.randomUUID(),
+        currentJti: crypto.randomUUID(),
+        previousJti: null,
+        accessClaims,
+        ip,
+        userAgent,
+        lastIp: ip,
+        lastUserAgent: userAgent,
+        createdAt: now.toISOString(),
+        rotatedAt: now.toISOString(),
+        lastUsedAt: now.toISOString(),
+        expiresAt: refreshExpiry(now)
+    };
+    await sessionDAL.createSession(session);
+    return { sessionId: session.sessionId, ...signTokens(session) };
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Presenting a refresh token the session has already rotated away from means
+ * it was copied, so the session is revoked. The token replaced within the
+ * last REUSE_GRACE_SECONDS, presented from the same IP and user agent as the
+ * refresh that replaced it, covers concurrent refreshes: it gets a new access
+ * token only, never the session's current refresh token.
+ * @param {string} refreshToken
+ * @param {Object} [context] - { ip, userAgent } of the refresh request
+ * @returns {Promise<{sessionId: string, accessToken: string, refreshToken?: string}>}
+ */
+const refreshSession = async (refreshToken, context = {}, retry = true) => {
+    const decoded = decodeRefreshToken(refreshToken);
+    const session = await sessionDAL.getSession(decoded.username, decoded.sessionId);
+    if (!session) {
+        throw invalidRefreshToken();
+    }
+    if (session.revokedAt) {
+        throw new UnauthorizedError('This session has been signed out', 'SESSION_REVOKED');
+    }
+    if (!isActive(session)) {
+        throw invalidRefreshToken();
+    }
+
+    const now = new Date();
+    if (decoded.jti !== session.currentJti) {
+        const withinGrace = decoded.jti === session.previousJti
+            && now - new Date(session.rotatedAt) < SESSION_SETTINGS.REUSE_GRACE_SECONDS * 1000
+            && (context.ip || null) === (session.lastIp || null)
+            && (context.userAgent || null) === (session.lastUserAgent || null);
+        if (withinGrace) {
+            return { sessionId: session.sessionId, accessToken: signAccessToken(session) };
+        }
+
+        await sessionDAL.revokeSession(session.username, session.sessionId, {
+            revokedAt: now.toISOString(),
+            revokedReason: SESSION_REVOKE_REASONS.TOKEN_REUSE,
+            revokedBy: null
+        });
+        logger.warn(`[SessionService] Refresh token reuse for user ${session.username}, session ${session.sessionId} revoked`, {
+            ip: context.ip || null
+        });
+        throw new UnauthorizedError('Refresh token was already used; this session has been signed out', 'TOKEN_REUSE');
+    }
+
+    try {
+        const rotated = await sessionDAL.rotateSession(session.username, session.sessionId, decoded.jti, {
+            currentJti: crypto.randomUUID(),
+            rotatedAt: now.toISOString(),
+            expiresAt: refreshExpiry(now),
+            lastIp: context.ip || null,
+            lastUserAgent: context.userAgent || null
+        });
+        return { sessionId: rotated.sessionId, ...signTokens(rotated) };
+    } catch (error) {
+        // Rotated or revoked by a concurrent request; re-evaluate against the stored state
+        if (error.name === 'ConditionalCheckFailedException' && retry) {
+            return refreshSession(refreshToken, context, false);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Whether the session an access token belongs to is still signed in
+ * @param {string} username
+ * @param {string} sessionId
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (username, sessionId) => isActive(await sessionDAL.getSession(username, sessionId));
+
+/**
+ * A user's signed-in sessions, most recently used first
+ * @param {string} username
+ * @param {string} [currentSessionId] - Marked `current: true` in the list
+ * @returns {Promise<Array<Object>>}
+ */
+const listSessions = async (username, currentSessionId = null) => {
+    const now = new Date();
+    const sessions = await sessionDAL.getSessionsByUsername(username);
+    return sessions
+        .filter(session => isActive(session, now))
+        .map(session => ({
+            sessionId: session.sessionId,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            ip: session.lastIp || session.ip,
+            userAgent: session.lastUserAgent || session.userAgent,
+            current: session.sessionId === currentSessionId
+        }))
+        .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+};
+
+/**
+ * Sign out one session
+ * @param {string} username - Owner of the session
+ * @param {string} sessionId
+ * @param {Object} [options] - { reason, revokedBy }
+ */
+const revokeSession = async (username, sessionId, { reason = SESSION_REVOKE_REASONS.SIGN_OUT, revokedBy = null } = {}) => {
+    const session = await sessionDAL.getSession(username, sessionId);
+    if (!isActive(session)) {
+        throw new NotFoundError(`Session ${sessionId} not found`);
+    }
+    await sessionDAL.revokeSession(username, sessionId, {
+        revokedAt: new Date().toISOString(),
+        revokedReason: reason,
+        revokedBy: revokedBy || username
+    });
+    logger.info(`[SessionService] Session ${sessionId} of user ${username} signed out (${reason})`);
+};
+
+/**
+ * Sign out every session of a user, optionally keeping one
+ * @param {string} username
+ * @param {Object} [options] - { exceptSessionId, reason, revokedBy }
+ * @returns {Promise<number>} Number of sessions signed out
+ */
+const revokeAllSessions = async (username, { exceptSessionId = null, reason = SESSION_REVOKE_REASONS.SIGN_OUT, revokedBy = null } = {}) => {
+    const now = new Date();
+    const sessions = (await sessionDAL.getSessionsByUsername(username))
+        .filter(session => isActive(session, now) && session.sessionId !== exceptSessionId);
+
+    let revoked = 0;
+    for (const session of sessions) {
+        const changed = await sessionDAL.revokeSession(username, session.sessionId, {
+            revokedAt: now.toISOString(),
+            revokedReason: reason,
+            revokedBy: revokedBy || username
+        });
+        if (changed) {
+            revoked += 1;
+        }
+    }
+    logger.info(`[SessionService] Signed out ${revoked} session(s) of user ${username} (${reason})`);
+    return revoked;
+};
+
+/**
+ * Sign out the session a refresh token belongs to. An expired refresh token
+ * is still accepted so a client can always sign out.
+ * @param {string} refreshToken
+ */
+const signOut = async (refreshToken) => {
+    const decoded = decodeRefreshToken(refreshToken, { ignoreExpiration: true });
+    const session = await sessionDAL.getSession(decoded.username, decoded.sessionId);
+    if (!isActive(session)) {
+        return;
+    }
+    await sessionDAL.revokeSession(decoded.username, decoded.sessionId, {
+        revokedAt: new Date().toISOString(),
+        revokedReason: SESSION_REVOKE_REASONS.SIGN_OUT,
+        revokedBy: decoded.username
+    });
+};
+
+module.exports = {
+    createSession,
+    refreshSession,
+    isSessionActive,
+    listSessions,
+    revokeSession,
+    revokeAllSessions,
+    signOut
+};
@@ -0,0 +1,215 @@
+const jwt = require('jsonwebtoken');
+const sessionDAL = require('./sessionDAL');
+const sessionService = require('./sessionService');
+const { SESSION_SETTINGS, SESSION_REVOKE_REASONS } = require('../constants/sessions');
+const { UnauthorizedError } = require('../utils/errors');
+
+jest.mock('../utils/logger');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const NOW = new Date('2025-04-01T09:00:00.000Z');
+const CLIENT = { ip: '10.0.0.1', userAgent: 'browser' };
+
+const conditionFailed = () => Object.assign(new Error('The conditional request failed'), {
+    name: 'ConditionalCheckFailedException'
+});
+
+describe('refreshing a session', () => {
+    let sessions;
+
+    const stored = (sessionId) => sessions.get(sessionId);
+    const decode = (token) => jwt.decode(token);
+
+    // Applies a rotation as the conditional update in sessionDAL does
+    const rotate = async (username, sessionId, expectedJti, changes) => {
+        const session = stored(sessionId);
+        if (!session || session.currentJti !== expectedJti || session.revokedAt) {
+            throw conditionFailed();
+        }
+        const rotated = { ...session, ...changes, previousJti: expectedJti, lastUsedAt: changes.rotatedAt };
+        sessions.set(sessionId, rotated);
+        return { ...rotated };
+    };
+
+    const signIn = () => sessionService.createSession({ username: 'operator', role: 'USER' }, CLIENT);
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: NOW });
+        sessions = new Map();
+        jest.spyOn(sessionDAL, 'createSession').mockImplementation(async (item) => {
+            sessions.set(item.sessionId, { ...item });
+            return item;
+        });
+        jest.spyOn(sessionDAL, 'getSession').mockImplementation(async (username, sessionId) => {
+            const session = stored(sessionId);
+            return session && session.username === username ? { ...session } : null;
+        });
+        jest.spyOn(sessionDAL, 'rotateSession').mockImplementation(rotate);
+        jest.spyOn(sessionDAL, 'revokeSession').mockImplementation(async (username, sessionId, revocation) => {
+            sessions.set(sessionId, { ...stored(sessionId), ...revocation });
+            return true;
+        });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    describe('rotation', () => {
+        it('issues a new refresh token and retires the one presented', async () => {
+            const login = await signIn();
+            jest.advanceTimersByTime(60 * 1000);
+
+            const refreshed = await sessionService.refreshSession(login.refreshToken, CLIENT);
+
+            expect(refreshed.sessionId).toBe(login.sessionId);
+            expect(refreshed.refreshToken).toBeDefined();
+            expect(decode(refreshed.refreshToken).jti).not.toBe(decode(login.refreshToken).jti);
+            expect(decode(refreshed.accessToken)).toMatchObject({
+                username: 'operator',
+                role: 'USER',
+                sessionId: login.sessionId,
+                tokenType: 'access'
+            });
+            expect(stored(login.sessionId)).toMatchObject({
+                currentJti: decode(refreshed.refreshToken).jti,
+                previousJti: decode(login.refreshToken).jti,
+                rotatedAt: new Date(NOW.getTime() + 60 * 1000).toISOString()
+            });
+        });
+
+        it('keeps rotating on every refresh', async () => {
+            const login = await signIn();
+            const first = await sessionService.refreshSession(login.refreshToken, CLIENT);
+            const second = await sessionService.refreshSession(first.refreshToken, CLIENT);
+
+            expect(stored(login.sessionId).currentJti).toBe(decode(second.refreshToken).jti);
+        });
+
+        it('rejects an access token presented as a refresh token', async () => {
+            const login = await signIn();
+
+            await expect(sessionService.refreshSession(login.accessToken, CLIENT))
+                .rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+        });
+
+        it('rejects a signed-out session', async () => {
+            const login = await signIn();
+            await sessionService.signOut(login.refreshToken);
+
+            await expect(sessionService.refreshSession(login.refreshToken, CLIENT))
+                .rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+        });
+    });
+
+    describe('reuse', () => {
+        it('signs the session out when a rotated-away token comes back after the grace window', async () => {
+            const login = await signIn();
+            const refreshed = await sessionService.refreshSession(login.refreshToken, CLIENT);
+            jest.advanceTimersByTime(SESSION_SETTINGS.REUSE_GRACE_SECONDS * 1000);
+
+            const reuse = sessionService.refreshSession(login.refreshToken, CLIENT);
+
+            await expect(reuse).rejects.toBeInstanceOf(UnauthorizedError);
+            await expect(reuse).rejects.toMatchObject({ code: 'TOKEN_REUSE' });
+            expect(stored(login.sessionId)).toMatchObject({
+                revokedAt: expect.any(String),
+                revokedReason: SESSION_REVOKE_REASONS.TOKEN_REUSE
+            });
+            // The legitimate holder of the newer token is signed out too
+            await expect(sessionService.refreshSession(refreshed.refreshToken, CLIENT))
+                .rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+        });
+
+        it('signs the session out when an older token than the previous one comes back', async () => {
+            const login = await signIn();
+            const first = await sessionService.refreshSession(login.refreshToken, CLIENT);
+            await sessionService.refreshSession(first.refreshToken, CLIENT);
+
+            await expect(sessionService.refreshSession(login.refreshToken, CLIENT))
+                .rejects.toMatchObject({ code: 'TOKEN_REUSE' });
+        });
+
+        it('signs the session out when the previous token comes from another client within the window', async () => {
+            const login = await signIn();
+            await sessionService.refreshSession(login.refreshToken, CLIENT);
+
+            await expect(sessionService.refreshSession(login.refreshToken, { ...CLIENT, ip: '10.9.9.9' }))
+                .rejects.toMatchObject({ code: 'TOKEN_REUSE' });
+            expect(stored(login.sessionId).revokedReason).toBe(SESSION_REVOKE_REASONS.TOKEN_REUSE);
+        });
+
+        it('signs the session out when the previous token comes from another user agent within the window', async () => {
+            const login = await signIn();
+            await sessionService.refreshSession(login.refreshToken, CLIENT);
+
+            await expect(sessionService.refreshSession(login.refreshToken, { ...CLIENT, userAgent: 'curl' }))
+                .rejects.toMatchObject({ code: 'TOKEN_REUSE' });
+        });
+    });
+
+    describe('grace window', () => {
+        it('gives the same client an access token only for the token just replaced', async () => {
+            const login = await signIn();
+            const refreshed = await sessionService.refreshSession(login.refreshToken, CLIENT);
+            jest.advanceTimersByTime(SESSION_SETTINGS.REUSE_GRACE_SECONDS * 1000 - 1);
+
+            const concurrent = await sessionService.refreshSession(login.refreshToken, CLIENT);
+
+            expect(concurrent).toEqual({ sessionId: login.sessionId, accessToken: expect.any(String) });
+            expect(concurrent.refreshToken).toBeUndefined();
+            expect(decode(concurrent.accessToken)).toMatchObject({ sessionId: login.sessionId, tokenType: 'access' });
+            expect(stored(login.sessionId).revokedAt).toBeUndefined();
+            expect(stored(login.sessionId).currentJti).toBe(decode(refreshed.refreshToken).jti);
+        });
+    });
+
+    describe('concurrent rotation', () => {
+        it('retries against the stored session when another request rotated it first', async () => {
+            const login = await signIn();
+            // Another tab on the same client rotates the session between the read and the update
+            sessionDAL.rotateSession.mockImplementationOnce(async (username, sessionId, expectedJti, changes) => {
+                await rotate(username, sessionId, expectedJti, { ...changes, currentJti: 'other-tab' });
+                throw conditionFailed();
+            });
+
+            const result = await sessionService.refreshSession(login.refreshToken, CLIENT);
+
+            expect(sessionDAL.getSession).toHaveBeenCalledTimes(2);
+            expect(result).toEqual({ sessionId: login.sessionId, accessToken: expect.any(String) });
+            expect(stored(login.sessionId)).toMatchObject({ currentJti: 'other-tab' });
+            expect(stored(login.sessionId).revokedAt).toBeUndefined();
+        });
+
+        it('treats the retry as reuse when the other request came from another client', async () => {
+            const login = await signIn();
+            sessionDAL.rotateSession.mockImplementationOnce(async (username, sessionId, expectedJti, changes) => {
+                await rotate(username, sessionId, expectedJti, { ...changes, lastIp: '10.9.9.9' });
+                throw conditionFailed();
+            });
+
+            await expect(sessionService.refreshSession(login.refreshToken, CLIENT))
+                .rejects.toMatchObject({ code: 'TOKEN_REUSE' });
+        });
+
+        it('retries only once', async () => {
+            const login = await signIn();
+            sessionDAL.rotateSession.mockRejectedValue(conditionFailed());
+
+            await expect(sessionService.refreshSession(login.refreshToken, CLIENT))
+                .rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+            expect(sessionDAL.rotateSession).toHaveBeenCalledTimes(2);
+        });
+
+        it('does not retry other errors', async () => {
+            const login = await signIn();
+            sessionDAL.rotateSession.mockRejectedValue(new Error('network down'));
+
+            await expect(sessionService.refreshSession(login.refreshToken, CLIENT)).rejects.toThrow('network down');
+            expect(sessionDAL.rotateSession).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -1,4 +1,5 @@
 const bankingDAL = require('./bankingDAL');
+const bankingLedgerService = require('../bankingLedger/bankingLedgerService');
 const logger = require('../utils/logger');
 const { ALL_PERIODS } = require('../constants/periods');
 
@@ -61,8 +62,10 @@ const createBanking = async (req, res) => {
                 continue;
             }
             try {
-                // Store c1-c5 at root level
-                const result = await bankingDAL.createBanking(validation.data);
+                // Store c1-c5 at root level; the ledger is adjusted to match
+                const result = await bankingLedgerService.saveBankingRecord(validation.data, {
+                    createdBy: req.user?.username || null
+                });
                 results.push(result);
             } catch (error) {
                 logger.error('[BankingController] Create Error:', { error: error.message, data: banking });
@@ -135,7 +138,9 @@ const updateBanking = async (req, res) => {
             });
         }
 
-        const result = await bankingDAL.updateBanking(pk, sk, validation.data);
+        const result = await bankingLedgerService.saveBankingRecord(validation.data, {
+            createdBy: req.user?.username || null
+        });
         res.json({
             success: true,
             data: result
@@ -152,16 +157,17 @@ const updateBanking = async (req, res) => {
 const deleteBanking = async (req, res) => {
     try {
         const { pk, sk } = req.params;
-        await bankingDAL.deleteBanking(pk, sk);
+        await bankingLedgerService.deleteBankingRecord(pk, sk, { createdBy: req.user?.username || null });
         res.json({
             success: true,
             message: 'Banking record deleted successfully'
         });
     } catch (error) {
         logger.error('[BankingController] Delete Error:', error);
-        res.status(500).json({
+        const statusCode = error.statusCode || 500;
+        res.status(statusCode).json({
             success: false,
-            message: 'Internal server error'
+            message: statusCode === 500 ? 'Internal server error' : error.message
         });
     }
 };
@@ -237,12 +237,18 @@ class BankingDAL {
 
     async getAllBanking() {
         try {
-            const response = await this.docClient.send(new ScanCommand({
-                TableName: this.tableName
-            }));
-            
+            const items = [];
+            let lastEvaluatedKey;
+            do {
+                const response = await this.docClient.send(new ScanCommand({
+                    TableName: this.tableName,
+                    ExclusiveStartKey: lastEvaluatedKey
+                }));
+                items.push(...(response.Items || []));
+                lastEvaluatedKey = response.LastEvaluatedKey;
+            } while (lastEvaluatedKey);
+
             // Transform and validate the data
-            const items = response.Items || [];
             return items.map(item => ({
                 ...item,
                 c1: Number(item.c1 || 0),
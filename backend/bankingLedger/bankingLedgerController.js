@@ -0,0 +1,47 @@
+const bankingLedgerService = require('./bankingLedgerService');
+const logger = require('../utils/logger');
+const { resolveCompanyId } = require('../utils/requestCompany');
+
+const sendError = (res, error, fallbackMessage) => {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+        success: false,
+        message: statusCode === 500 ? fallbackMessage : error.message,
+        error: statusCode === 500 ? error.message : undefined
+    });
+};
+
+// Movements and running balance of a site: ?companyId=&fromMonth=MMYYYY&toMonth=MMYYYY
+exports.getLedger = async (req, res) => {
+    try {
+        const ledger = await bankingLedgerService.getLedger(resolveCompanyId(req), req.params.productionSiteId, {
+            fromMonth: req.query.fromMonth,
+            toMonth: req.query.toMonth
+        });
+        res.json({
+            success: true,
+            data: ledger
+        });
+    } catch (error) {
+        logger.error('[BankingLedgerController] Get Error:', error);
+        sendError(res, error, 'Error fetching banking ledger');
+    }
+};
+
+exports.createAdjustment = async (req, res) => {
+    try {
+        const entry = await bankingLedgerService.recordAdjustment(
+            resolveCompanyId(req),
+            req.body,
+            req.user?.username || null
+        );
+        res.status(201).json({
+            success: true,
+            message: 'Banking adjustment recorded',
+            data: entry
+        });
+    } catch (error) {
+        logger.error('[BankingLedgerController] Adjustment Error:', error);
+        sendError(res, error, 'Error recording banking adjustment');
+    }
+};
@@ -0,0 +1,100 @@
+const { PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const docClient = require('../utils/db');
+const TableNames = require('../constants/tableNames');
+const logger = require('../utils/logger');
+const { BANKING_MOVEMENT_ORDER } = require('../constants/bankingMovements');
+
+// MMYYYY → YYYYMM, so months sort chronologically
+const toSortableMonth = (month) => `${month.slice(2)}${month.slice(0, 2)}`;
+
+/**
+ * Banking ledger movements, stored with pk = companyId_productionSiteId and
+ * sk = YYYYMM#order#entryKey so a query returns them in the order they apply
+ */
+class BankingLedgerDAL {
+    constructor() {
+        this.tableName = TableNames.BANKING_LEDGER;
+    }
+
+    toSortableMonth(month) {
+        return toSortableMonth(month);
+    }
+
+    buildKey(companyId, productionSiteId, month, movementType, entryKey) {
+        return {
+            pk: `${companyId}_${productionSiteId}`,
+            sk: `${toSortableMonth(month)}#${BANKING_MOVEMENT_ORDER[movementType]}#${entryKey}`
+        };
+    }
+
+    /**
+     * TransactWriteItems entry that writes an entry, replacing any entry with the same key
+     */
+    buildPutItem(entry) {
+        return {
+            Put: {
+                TableName: this.tableName,
+                Item: entry
+            }
+        };
+    }
+
+    buildDeleteItem(key) {
+        return {
+            Delete: {
+                TableName: this.tableName,
+                Key: key
+            }
+        };
+    }
+
+    async createEntry(entry) {
+        try {
+            await docClient.send(new PutCommand({
+                TableName: this.tableName,
+                Item: entry,
+                ConditionExpression: 'attribute_not_exists(pk) AND attribute_not_exists(sk)'
+            }));
+            return entry;
+        } catch (error) {
+            logger.error(`[BankingLedgerDAL] Error creating entry: ${error.message}`, { pk: entry.pk, sk: entry.sk });
+            throw error;
+        }
+    }
+
+    /**
+     * Entries for a production site, oldest first
+     * @param {string} companyId - Company ID
+     * @param {string} productionSiteId - Production site ID
+     * @param {Object} [range]
+     * @param {string} [range.toMonth] - Last month to include (MMYYYY)
+     * @returns {Promise<Array>} Ledger entries
+     */
+    async getEntries(companyId, productionSiteId, { toMonth } = {}) {
+        try {
+            const items = [];
+            let lastEvaluatedKey;
+            do {
+                const response = await docClient.send(new QueryCommand({
+                    TableName: this.tableName,
+                    KeyConditionExpression: toMonth ? 'pk = :pk AND sk < :before' : 'pk = :pk',
+                    ExpressionAttributeValues: {
+                        ':pk': `${companyId}_${productionSiteId}`,
+                        // '$' sorts after '#', so every entry of toMonth is included
+                        ...(toMonth && { ':before': `${toSortableMonth(toMonth)}$` })
+                    },
+                    ScanIndexForward: true,
+                    ExclusiveStartKey: lastEvaluatedKey
+                }));
+                items.push(...(response.Items || []));
+                lastEvaluatedKey = response.LastEvaluatedKey;
+            } while (lastEvaluatedKey);
+            return items;
+        } catch (error) {
+            logger.error(`[BankingLedgerDAL] Error fetching entries: ${error.message}`, { companyId, productionSiteId, toMonth });
+            throw error;
+        }
+    }
+}
+
+module.exports = new BankingLedgerDAL();
@@ -0,0 +1,13 @@
+const express = require('express');
+const bankingLedgerController = require('./bankingLedgerController');
+const validateJson = require('../middleware/validateJson');
+
+const router = express.Router();
+
+// Record a manual correction to a site's banked units
+router.post('/adjustments', validateJson, bankingLedgerController.createAdjustment);
+
+// Movements of a production site with the running balance after each
+router.get('/:productionSiteId', bankingLedgerController.getLedger);
+
+module.exports = router;
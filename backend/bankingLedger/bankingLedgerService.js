@@ -0,0 +1,441 @@
+const { v4: uuidv4 } = require('uuid');
+const bankingLedgerDAL = require('./bankingLedgerDAL');
+const bankingDAL = require('../banking/bankingDAL');
+const logger = require('../utils/logger');
+const { ALL_PERIODS } = require('../constants/periods');
+const { BANKING_MOVEMENT, BANKING_MOVEMENT_SIGN } = require('../constants/bankingMovements');
+const { buildVersionedPut, commitTransactions } = require('../utils/transactWrite');
+const { ValidationError } = require('../utils/errors');
+
+const MONTH_PATTERN = /^(0[1-9]|1[0-2])\d{4}$/;
+const MAX_REASON_LENGTH = 500;
+
+// Entry key of the movements written when a month's allocations are saved;
+// saving the month again replaces them
+const ALLOCATION_ENTRY_KEY = 'allocation';
+
+// Entry key of the balance carried over from the banking records
+const OPENING_ENTRY_KEY = 'opening';
+
+// Entry key of the adjustment that keeps a month's balance in line with a
+// banking record saved through /api/banking
+const RECORD_ENTRY_KEY = 'banking_record';
+
+const emptyUnits = () => ALL_PERIODS.reduce((acc, period) => {
+    acc[period] = 0;
+    return acc;
+}, {});
+
+/**
+ * Whole units per period
+ * @param {Object} units - c1-c5 values
+ * @param {Object} [options]
+ * @param {boolean} [options.signed] - Allow negative values
+ */
+const toUnits = (units = {}, { signed = false } = {}) => ALL_PERIODS.reduce((acc, period) => {
+    const value = Number(units?.[period] ?? 0);
+    if (!Number.isFinite(value) || (!signed && value < 0)) {
+        throw new ValidationError(`${period} must be a ${signed ? '' : 'non-negative '}number`);
+    }
+    acc[period] = Math.round(value);
+    return acc;
+}, {});
+
+const hasUnits = (units) => ALL_PERIODS.some(period => units[period] !== 0);
+
+const addUnits = (a, b) => ALL_PERIODS.reduce((acc, period) => {
+    acc[period] = (a[period] || 0) + (b[period] || 0);
+    return acc;
+}, {});
+
+// Signed change an entry makes to the balance
+const getChange = (entry) => ALL_PERIODS.reduce((acc, period) => {
+    acc[period] = BANKING_MOVEMENT_SIGN[entry.movementType] * (Number(entry.units?.[period]) || 0);
+    return acc;
+}, {});
+
+const assertMonth = (month, field = 'month') => {
+    if (!MONTH_PATTERN.test(month || '')) {
+        throw new ValidationError(`${field} must be in MMYYYY format`);
+    }
+};
+
+// Banking records are keyed companyId_productionSiteId; some older ones end in _BANK
+const parseBankingPk = (pk) => {
+    const [companyId, productionSiteId, ...rest] = String(pk || '').replace(/_BANK$/, '').split('_');
+    if (!companyId || !productionSiteId || rest.length > 0) {
+        throw new ValidationError('pk must be companyId_productionSiteId');
+    }
+    return { companyId, productionSiteId };
+};
+
+// Units banked according to a banking record
+const getRecordUnits = (record) => ALL_PERIODS.reduce((acc, period) => {
+    acc[period] = Math.max(0, Math.round(Number(record?.[period]) || 0));
+    return acc;
+}, {});
+
+const buildEntry = (companyId, productionSiteId, month, movementType, units, details = {}) => {
+    const { entryKey, reason = null, reference = null, source, createdBy = null, createdAt, charge } = details;
+    return {
+        ...bankingLedgerDAL.buildKey(companyId, productionSiteId, month, movementType, entryKey),
+        entryId: entryKey,
+        companyId: String(companyId),
+        productionSiteId: String(productionSiteId),
+        month,
+        movementType,
+        units,
+        // Units deducted as banking charge before `units` were banked
+        ...(charge && { charge }),
+        reason,
+        reference,
+        source,
+        createdBy,
+        createdAt
+    };
+};
+
+/**
+ * Ledger writes for the units banked and drawn when a month's allocations are
+ * saved. They replace the movements of any earlier save of that month, and
+ * belong in the same transaction as the banking record they explain.
+ * @param {string} companyId - Company ID
+ * @param {string} productionSiteId - Production site ID
+ * @param {string} month - Month in MMYYYY format
+ * @param {Object} movements - { banked, drawn, charge }, c1-c5 units each; charge is
+ *   recorded on the banked entry
+ * @param {Object} [details] - { reference, createdBy }
+ * @returns {Array<Object>} TransactWriteItems entries
+ */
+const buildAllocationMovementWrites = (companyId, productionSiteId, month, { banked, drawn, charge } = {}, details = {}) => {
+    assertMonth(month);
+    const createdAt = new Date().toISOString();
+
+    return [[BANKING_MOVEMENT.BANKED, banked], [BANKING_MOVEMENT.DRAWN, drawn]].map(([movementType, units]) => {
+        const normalized = toUnits(units);
+        if (!hasUnits(normalized)) {
+            return bankingLedgerDAL.buildDeleteItem(
+                bankingLedgerDAL.buildKey(companyId, productionSiteId, month, movementType, ALLOCATION_ENTRY_KEY)
+            );
+        }
+        return bankingLedgerDAL.buildPutItem(buildEntry(companyId, productionSiteId, month, movementType, normalized, {
+            entryKey: ALLOCATION_ENTRY_KEY,
+            reference: details.reference,
+            source: 'allocation',
+            createdBy: details.createdBy,
+            createdAt,
+            ...(movementType === BANKING_MOVEMENT.BANKED && charge && hasUnits(toUnits(charge)) && { charge: toUnits(charge) })
+        }));
+    });
+};
+
+/**
+ * Ledger write expiring banked units, e.g. at financial-year settlement. The
+ * entry key makes it idempotent: writing the same expiry again replaces it.
+ * @param {string} companyId - Company ID
+ * @param {string} productionSiteId - Production site ID
+ * @param {string} month - Month in MMYYYY format
+ * @param {Object} units - c1-c5 units that expire
+ * @param {Object} details - { entryKey, reason, reference, createdBy }
+ * @returns {Object} TransactWriteItems entry
+ */
+const buildExpiryWrite = (companyId, productionSiteId, month, units, details = {}) => {
+    assertMonth(month);
+    if (!details.entryKey) {
+        throw new ValidationError('An expiry needs an entry key');
+    }
+    return bankingLedgerDAL.buildPutItem(buildEntry(companyId, productionSiteId, month, BANKING_MOVEMENT.EXPIRED, toUnits(units), {
+        ...details,
+        source: 'settlement',
+        createdAt: new Date().toISOString()
+    }));
+};
+
+/**
+ * Ledger write that brings a site's balance at the end of a month to the units
+ * of its banking record: one adjustment for the difference, replacing the one
+ * written for an earlier save of the record. Without a record the adjustment
+ * is removed.
+ */
+const buildRecordCorrectionWrite = async (companyId, productionSiteId, month, record, details = {}) => {
+    const key = bankingLedgerDAL.buildKey(companyId, productionSiteId, month, BANKING_MOVEMENT.ADJUSTMENT, RECORD_ENTRY_KEY);
+    const balance = (await bankingLedgerDAL.getEntries(companyId, productionSiteId, { toMonth: month }))
+        .filter(entry => entry.sk !== key.sk)
+        .reduce((acc, entry) => addUnits(acc, getChange(entry)), emptyUnits());
+
+    const target = record ? getRecordUnits(record) : balance;
+    const units = ALL_PERIODS.reduce((acc, period) => {
+        acc[period] = target[period] - balance[period];
+        return acc;
+    }, {});
+    if (!hasUnits(units)) {
+        return bankingLedgerDAL.buildDeleteItem(key);
+    }
+    return bankingLedgerDAL.buildPutItem(buildEntry(companyId, productionSiteId, month, BANKING_MOVEMENT.ADJUSTMENT, units, {
+        entryKey: RECORD_ENTRY_KEY,
+        reason: `Banking record for ${month} set to ${ALL_PERIODS.map(period => `${period} ${target[period]}`).join(', ')}`,
+        source: 'banking',
+        createdBy: details.createdBy || null,
+        createdAt: new Date().toISOString()
+    }));
+};
+
+/**
+ * Save a banking record (the /api/banking endpoints) together with the ledger
+ * adjustment that makes the month's balance match it
+ * @param {Object} record - pk (companyId_productionSiteId), sk (MMYYYY), siteName, c1-c5 and any other fields
+ * @param {Object} [details] - { createdBy }
+ * @returns {Promise<Object>} Stored banking record
+ */
+const saveBankingRecord = async (record, details = {}) => {
+    const { companyId, productionSiteId } = parseBankingPk(record.pk);
+    const pk = `${companyId}_${productionSiteId}`;
+    const month = record.sk;
+    assertMonth(month, 'sk');
+
+    const existing = await bankingDAL.getBanking(pk, month);
+    const { charge, version, createdAt, updatedAt, ...fields } = record;
+    const units = ALL_PERIODS.reduce((acc, period) => {
+        acc[period] = Number(record[period] || 0);
+        return acc;
+    }, {});
+    const now = new Date().toISOString();
+    const put = buildVersionedPut(bankingDAL.tableName, {
+        ...(existing || {}),
+        ...fields,
+        pk,
+        sk: month,
+        ...units,
+        totalBanking: bankingDAL.calculateTotal(units),
+        siteName: fields.siteName ?? existing?.siteName ?? '',
+        type: existing?.type || 'BANK',
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+    }, existing ? Number(existing.version || 0) : null);
+
+    await commitTransactions([[
+        put,
+        await buildRecordCorrectionWrite(companyId, productionSiteId, month, put.Put.Item, details)
+    ]], uuidv4());
+    return put.Put.Item;
+};
+
+/**
+ * Delete a banking record and the ledger adjustment saved with it
+ * @returns {Promise<boolean>} False when there was no record
+ */
+const deleteBankingRecord = async (bankingPk, month, details = {}) => {
+    const { companyId, productionSiteId } = parseBankingPk(bankingPk);
+    const pk = `${companyId}_${productionSiteId}`;
+    assertMonth(month, 'sk');
+
+    const existing = await bankingDAL.getBanking(pk, month);
+    if (!existing) return false;
+
+    await commitTransactions([[
+        {
+            Delete: {
+                TableName: bankingDAL.tableName,
+                Key: { pk, sk: month },
+                ConditionExpression: 'attribute_not_exists(#version) OR #version = :expected',
+                ExpressionAttributeNames: { '#version': 'version' },
+                ExpressionAttributeValues: { ':expected': Number(existing.version || 0) }
+            }
+        },
+        await buildRecordCorrectionWrite(companyId, productionSiteId, month, null, details)
+    ]], uuidv4());
+    return true;
+};
+
+/**
+ * Carry the balances kept in the banking records before the ledger existed
+ * into the ledger. A site gets an opening entry for the units of its last
+ * banking record before its first ledger movement, in that record's month.
+ * Sites that already have an opening entry are left alone, so running it again
+ * changes nothing.
+ * @param {Object} [options]
+ * @param {string} [options.companyId] - Only this company's sites
+ * @param {boolean} [options.apply] - Write the entries; otherwise they are only returned
+ * @param {string} [options.createdBy] - Recorded on the entries
+ * @returns {Promise<Array>} { companyId, productionSiteId, month, units, status } per site
+ */
+const migrateOpeningBalances = async ({ companyId, apply = false, createdBy = null } = {}) => {
+    const recordsBySite = new Map();
+    (await bankingDAL.getAllBanking()).forEach(record => {
+        let site;
+        try {
+            site = parseBankingPk(record.pk);
+        } catch (error) {
+            logger.warn(`[BankingLedgerService] Skipping banking record with pk ${record.pk}`);
+            return;
+        }
+        if (!MONTH_PATTERN.test(record.sk || '') || (companyId && site.companyId !== String(companyId))) return;
+        const key = `${site.companyId}_${site.productionSiteId}`;
+        if (!recordsBySite.has(key)) recordsBySite.set(key, { ...site, records: [] });
+        recordsBySite.get(key).records.push(record);
+    });
+
+    const openings = [];
+    for (const site of recordsBySite.values()) {
+        const entries = await bankingLedgerDAL.getEntries(site.companyId, site.productionSiteId);
+        const base = { companyId: site.companyId, productionSiteId: site.productionSiteId };
+        const opening = entries.find(entry => entry.movementType === BANKING_MOVEMENT.OPENING);
+        if (opening) {
+            openings.push({ ...base, month: opening.month, units: opening.units, status: 'already_opened' });
+            continue;
+        }
+
+        const firstMonth = entries.length > 0 ? bankingLedgerDAL.toSortableMonth(entries[0].month) : null;
+        const last = site.records
+            .filter(record => !firstMonth || bankingLedgerDAL.toSortableMonth(record.sk) < firstMonth)
+            .sort((a, b) => bankingLedgerDAL.toSortableMonth(a.sk).localeCompare(bankingLedgerDAL.toSortableMonth(b.sk)))
+            .pop();
+        const units = getRecordUnits(last);
+        if (!last || !hasUnits(units)) {
+            openings.push({ ...base, month: last?.sk || null, units, status: 'nothing_banked' });
+            continue;
+        }
+
+        openings.push({
+            ...base,
+            month: last.sk,
+            units,
+            status: 'pending',
+            write: bankingLedgerDAL.buildPutItem(buildEntry(site.companyId, site.productionSiteId, last.sk, BANKING_MOVEMENT.OPENING, units, {
+                entryKey: OPENING_ENTRY_KEY,
+                reason: `Balance of the banking record for ${last.sk}`,
+                reference: `${last.pk}/${last.sk}`,
+                source: 'migration',
+                createdBy,
+                createdAt: new Date().toISOString()
+            }))
+        });
+    }
+
+    const pending = openings.filter(opening => opening.status === 'pending');
+    if (apply && pending.length > 0) {
+        await commitTransactions(pending.map(opening => [opening.write]), uuidv4());
+        logger.info(`[BankingLedgerService] Opened the banking ledger of ${pending.length} site(s)`, { companyId });
+    }
+    return openings.map(({ write, ...opening }) => ({
+        ...opening,
+        ...(apply && opening.status === 'pending' && { status: 'opened' })
+    }));
+};
+
+/**
+ * Entries with the signed change each makes and the balance after it
+ */
+const withRunningBalance = (entries) => {
+    let balance = emptyUnits();
+    return entries.map(entry => {
+        const change = getChange(entry);
+        balance = addUnits(balance, change);
+        return { ...entry, change, balance: { ...balance } };
+    });
+};
+
+/**
+ * Banking ledger of a production site: every movement in the range with the
+ * running balance per period after it, plus the balances either side
+ * @param {string} companyId - Company ID
+ * @param {string} productionSiteId - Production site ID
+ * @param {Object} [range]
+ * @param {string} [range.fromMonth] - First month shown (MMYYYY); earlier movements make up the opening balance
+ * @param {string} [range.toMonth] - Last month shown (MMYYYY)
+ * @returns {Promise<Object>} { productionSiteId, openingBalance, entries, totals, closingBalance }
+ */
+const getLedger = async (companyId, productionSiteId, { fromMonth, toMonth } = {}) => {
+    if (!companyId || !productionSiteId) {
+        throw new ValidationError('companyId and productionSiteId are required');
+    }
+    if (fromMonth) assertMonth(fromMonth, 'fromMonth');
+    if (toMonth) assertMonth(toMonth, 'toMonth');
+
+    const rows = withRunningBalance(await bankingLedgerDAL.getEntries(companyId, productionSiteId, { toMonth }));
+    const from = fromMonth ? bankingLedgerDAL.toSortableMonth(fromMonth) : '';
+    const earlier = rows.filter(row => bankingLedgerDAL.toSortableMonth(row.month) < from);
+    const entries = rows.slice(earlier.length);
+
+    const openingBalance = earlier.length > 0 ? earlier[earlier.length - 1].balance : emptyUnits();
+    const totals = Object.values(BANKING_MOVEMENT).reduce((acc, movementType) => {
+        acc[movementType] = entries
+            .filter(entry => entry.movementType === movementType)
+            .reduce((sum, entry) => addUnits(sum, entry.change), emptyUnits());
+        return acc;
+    }, {});
+
+    return {
+        companyId: String(companyId),
+        productionSiteId: String(productionSiteId),
+        fromMonth: fromMonth || null,
+        toMonth: toMonth || null,
+        openingBalance,
+        entries,
+        totals,
+        closingBalance: entries.length > 0 ? entries[entries.length - 1].balance : openingBalance
+    };
+};
+
+/**
+ * Banked units per period at the end of a month
+ */
+const getBalance = async (companyId, productionSiteId, month) => {
+    assertMonth(month);
+    const { closingBalance } = await getLedger(companyId, productionSiteId, { toMonth: month });
+    return closingBalance;
+};
+
+/**
+ * Record a manual correction to a production site's banked units
+ * @param {string} companyId - Company ID
+ * @param {Object} body - { productionSiteId, month, units (signed c1-c5), reason }
+ * @param {string} [createdBy] - Username of the user making the adjustment
+ * @returns {Promise<Object>} Ledger entry
+ */
+const recordAdjustment = async (companyId, body = {}, createdBy = null) => {
+    const { productionSiteId, month } = body;
+    if (!companyId || !productionSiteId) {
+        throw new ValidationError('companyId and productionSiteId are required');
+    }
+    assertMonth(month);
+    const reason = String(body.reason || '').trim();
+    if (!reason || reason.length > MAX_REASON_LENGTH) {
+        throw new ValidationError(`reason is required and must be at most ${MAX_REASON_LENGTH} characters`);
+    }
+    const units = toUnits(body.units, { signed: true });
+    if (!hasUnits(units)) {
+        throw new ValidationError('An adjustment must change at least one period');
+    }
+
+    const balance = await getBalance(companyId, productionSiteId, month);
+    const overdrawn = ALL_PERIODS.find(period => balance[period] + units[period] < 0);
+    if (overdrawn) {
+        throw new ValidationError(
+            `Adjustment would take the ${overdrawn} balance below zero (${balance[overdrawn]} banked at the end of ${month})`
+        );
+    }
+
+    const createdAt = new Date().toISOString();
+    const entry = await bankingLedgerDAL.createEntry(buildEntry(companyId, productionSiteId, month, BANKING_MOVEMENT.ADJUSTMENT, units, {
+        entryKey: `${createdAt}#${uuidv4()}`,
+        reason,
+        source: 'manual',
+        createdBy,
+        createdAt
+    }));
+
+    logger.info(`[BankingLedgerService] Adjustment recorded for site ${productionSiteId}, ${month}`, { companyId, units, createdBy });
+    return entry;
+};
+
+module.exports = {
+    buildAllocationMovementWrites,
+    buildExpiryWrite,
+    saveBankingRecord,
+    deleteBankingRecord,
+    migrateOpeningBalances,
+    getLedger,
+    getBalance,
+    recordAdjustment
+};
@@ -0,0 +1,66 @@
+const bankingSettlementService = require('./bankingSettlementService');
+const logger = require('../utils/logger');
+const { resolveCompanyId } = require('../utils/requestCompany');
+
+const sendError = (res, error, fallbackMessage) => {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+        success: false,
+        message: statusCode === 500 ? fallbackMessage : error.message,
+        error: statusCode === 500 ? error.message : undefined
+    });
+};
+
+// What settling { financialYear, rules } would do; nothing is written
+exports.previewSettlement = async (req, res) => {
+    try {
+        const plan = await bankingSettlementService.previewSettlement(
+            resolveCompanyId(req),
+            req.body.financialYear,
+            req.body.rules || {}
+        );
+        res.json({
+            success: true,
+            data: plan
+        });
+    } catch (error) {
+        logger.error('[BankingSettlementController] Preview Error:', error);
+        sendError(res, error, 'Error previewing banking settlement');
+    }
+};
+
+// Settle { financialYear, rules }; sites settled before are left as they are
+exports.runSettlement = async (req, res) => {
+    try {
+        const result = await bankingSettlementService.runSettlement(
+            resolveCompanyId(req),
+            req.body.financialYear,
+            req.body.rules || {},
+            { createdBy: req.user?.username || null }
+        );
+        res.json({
+            success: true,
+            message: `Settled ${result.settledSites.length} production site(s) for FY ${result.financialYear}`,
+            data: result
+        });
+    } catch (error) {
+        logger.error('[BankingSettlementController] Run Error:', error);
+        sendError(res, error, 'Error running banking settlement');
+    }
+};
+
+exports.getSettlements = async (req, res) => {
+    try {
+        const settlements = await bankingSettlementService.getSettlements(
+            resolveCompanyId(req),
+            req.params.financialYear
+        );
+        res.json({
+            success: true,
+            data: settlements
+        });
+    } catch (error) {
+        logger.error('[BankingSettlementController] Get Error:', error);
+        sendError(res, error, 'Error fetching banking settlements');
+    }
+};
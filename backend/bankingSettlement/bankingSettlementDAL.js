@@ -0,0 +1,60 @@
+const { QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const docClient = require('../utils/db');
+const TableNames = require('../constants/tableNames');
+const logger = require('../utils/logger');
+
+/**
+ * Financial-year banking settlements, one item per production site:
+ * pk = companyId_financialYear, sk = productionSiteId. The item records what
+ * happened to the site's remaining banked units and, for encashment, the
+ * amount due; its existence marks the site as settled for the year.
+ */
+class BankingSettlementDAL {
+    constructor() {
+        this.tableName = TableNames.BANKING_SETTLEMENT;
+    }
+
+    buildKey(companyId, financialYear, productionSiteId) {
+        return {
+            pk: `${companyId}_${financialYear}`,
+            sk: String(productionSiteId)
+        };
+    }
+
+    /**
+     * TransactWriteItems entry that creates a settlement, failing if the site
+     * was already settled for the year
+     */
+    buildCreateItem(settlement) {
+        return {
+            Put: {
+                TableName: this.tableName,
+                Item: settlement,
+                ConditionExpression: 'attribute_not_exists(pk)'
+            }
+        };
+    }
+
+    async getSettlements(companyId, financialYear) {
+        try {
+            const items = [];
+            let lastEvaluatedKey;
+            do {
+                const response = await docClient.send(new QueryCommand({
+                    TableName: this.tableName,
+                    KeyConditionExpression: 'pk = :pk',
+                    ExpressionAttributeValues: { ':pk': `${companyId}_${financialYear}` },
+                    ExclusiveStartKey: lastEvaluatedKey
+                }));
+                items.push(...(response.Items || []));
+                lastEvaluatedKey = response.LastEvaluatedKey;
+            } while (lastEvaluatedKey);
+            return items;
+        } catch (error) {
+            logger.error(`[BankingSettlementDAL] Error fetching settlements: ${error.message}`, { companyId, financialYear });
+            throw error;
+        }
+    }
+}
+
+module.exports = new BankingSettlementDAL();
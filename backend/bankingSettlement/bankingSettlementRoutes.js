@@ -0,0 +1,16 @@
+const express = require('express');
+const bankingSettlementController = require('./bankingSettlementController');
+const validateJson = require('../middleware/validateJson');
+
+const router = express.Router();
+
+// Preview the financial-year settlement without writing anything
+router.post('/preview', validateJson, bankingSettlementController.previewSettlement);
+
+// Settle a financial year; re-running it only settles sites not yet settled
+router.post('/', validateJson, bankingSettlementController.runSettlement);
+
+// Settlements recorded for a financial year (e.g. 2024-25)
+router.get('/:financialYear', bankingSettlementController.getSettlements);
+
+module.exports = router;
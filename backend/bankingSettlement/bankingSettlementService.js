@@ -0,0 +1,337 @@
+const { v4: uuidv4 } = require('uuid');
+const bankingSettlementDAL = require('./bankingSettlementDAL');
+const bankingDAL = require('../banking/bankingDAL');
+const lapseDAL = require('../lapse/lapseDAL');
+const productionSiteDAL = require('../productionSite/productionSiteDAL');
+const bankingLedgerService = require('../bankingLedger/bankingLedgerService');
+const logger = require('../utils/logger');
+const { ALL_PERIODS } = require('../constants/periods');
+const { SETTLEMENT_ACTION, DEFAULT_SETTLEMENT_RULES } = require('../constants/bankingSettlement');
+const { buildVersionedPut, commitTransactions } = require('../utils/transactWrite');
+const { ValidationError } = require('../utils/errors');
+
+// Status of a site in a settlement plan
+const SITE_STATUS = {
+    PENDING: 'pending',     // has banked units and will be settled by a run
+    SETTLED: 'settled',     // settled by an earlier run
+    NOTHING_BANKED: 'nothing_banked'
+};
+
+/**
+ * Accepts 2024-25, 2024-2025 or 2024 (the April the year starts in)
+ * @returns {Object} { financialYear: '2024-25', month: '032025' } - month is the year's last (MMYYYY)
+ */
+const parseFinancialYear = (value) => {
+    const match = String(value ?? '').trim().match(/^(\d{4})(?:-(\d{2}|\d{4}))?$/);
+    const startYear = match ? Number(match[1]) : NaN;
+    const endYear = startYear + 1;
+    if (!match || (match[2] && Number(match[2]) !== endYear % 10 ** match[2].length)) {
+        throw new ValidationError('financialYear must look like 2024-25');
+    }
+    return {
+        financialYear: `${startYear}-${String(endYear).slice(2)}`,
+        month: `03${endYear}`
+    };
+};
+
+const getConfiguredRules = () => {
+    if (!process.env.BANKING_SETTLEMENT_RULES) return {};
+    try {
+        return JSON.parse(process.env.BANKING_SETTLEMENT_RULES);
+    } catch (error) {
+        throw new Error(`BANKING_SETTLEMENT_RULES is not valid JSON: ${error.message}`);
+    }
+};
+
+const assertAction = (action, label) => {
+    if (!Object.values(SETTLEMENT_ACTION).includes(action)) {
+        throw new ValidationError(`${label} must be one of: ${Object.values(SETTLEMENT_ACTION).join(', ')}`);
+    }
+};
+
+const assertRate = (rate, label) => {
+    if (rate !== null && rate !== undefined && (!Number.isFinite(Number(rate)) || Number(rate) < 0)) {
+        throw new ValidationError(`${label} must be a non-negative number`);
+    }
+};
+
+/**
+ * Settlement rules: the defaults, then BANKING_SETTLEMENT_RULES, then the
+ * overrides given for this run
+ */
+const resolveRules = (overrides = {}) => {
+    const configured = getConfiguredRules();
+    const rules = {
+        ...DEFAULT_SETTLEMENT_RULES,
+        ...configured,
+        ...overrides,
+        actionsByType: { ...DEFAULT_SETTLEMENT_RULES.actionsByType, ...configured.actionsByType, ...overrides.actionsByType },
+        sites: { ...DEFAULT_SETTLEMENT_RULES.sites, ...configured.sites, ...overrides.sites }
+    };
+
+    assertAction(rules.defaultAction, 'defaultAction');
+    Object.entries(rules.actionsByType).forEach(([type, action]) => assertAction(action, `actionsByType.${type}`));
+    Object.entries(rules.sites).forEach(([siteId, rule]) => {
+        if (rule?.action) assertAction(rule.action, `sites.${siteId}.action`);
+        assertRate(rule?.encashmentRate, `sites.${siteId}.encashmentRate`);
+    });
+    assertRate(rules.encashmentRate, 'encashmentRate');
+    const percentage = Number(rules.encashmentPercentage);
+    if (!Number.isFinite(percentage) || percentage < 0 || percentage > 100) {
+        throw new ValidationError('encashmentPercentage must be between 0 and 100');
+    }
+
+    return {
+        ...rules,
+        actionsByType: Object.fromEntries(
+            Object.entries(rules.actionsByType).map(([type, action]) => [type.toUpperCase(), action])
+        ),
+        encashmentPercentage: percentage
+    };
+};
+
+// Site override first, then the site's type, then the default
+const getSiteRule = (rules, site) => {
+    const siteRule = rules.sites[site.productionSiteId] || {};
+    const action = siteRule.action || rules.actionsByType[String(site.type || '').toUpperCase()] || rules.defaultAction;
+    const rate = siteRule.encashmentRate ?? rules.encashmentRate;
+    return {
+        action,
+        encashmentRate: action === SETTLEMENT_ACTION.ENCASH && rate !== null && rate !== undefined ? Number(rate) : null
+    };
+};
+
+// A balance below zero in some period has nothing to settle there
+const getBankedUnits = (balance) => ALL_PERIODS.reduce((acc, period) => {
+    acc[period] = Math.max(0, Math.round(Number(balance?.[period]) || 0));
+    return acc;
+}, {});
+
+const sumUnits = (units) => ALL_PERIODS.reduce((sum, period) => sum + units[period], 0);
+
+// Units to settle are the site's banking ledger balance at the end of March.
+// Pending sites keep the banking record of that month, when there is one, for
+// the run's version checks.
+const buildPlan = async (companyId, financialYear, ruleOverrides) => {
+    if (!companyId) {
+        throw new ValidationError('companyId is required');
+    }
+    const fy = parseFinancialYear(financialYear);
+    const rules = resolveRules(ruleOverrides);
+
+    const [sites, settlements] = await Promise.all([
+        productionSiteDAL.getByCompanyId(companyId),
+        bankingSettlementDAL.getSettlements(companyId, fy.financialYear)
+    ]);
+    const settled = new Map(settlements.map(settlement => [settlement.sk, settlement]));
+
+    const plannedSites = await Promise.all(sites.map(async site => {
+        const base = {
+            productionSiteId: site.productionSiteId,
+            siteName: site.name,
+            siteType: site.type
+        };
+        if (settled.has(site.productionSiteId)) {
+            return { ...base, ...settled.get(site.productionSiteId), status: SITE_STATUS.SETTLED };
+        }
+
+        const [balance, banking] = await Promise.all([
+            bankingLedgerService.getBalance(companyId, site.productionSiteId, fy.month),
+            bankingDAL.getBanking(`${companyId}_${site.productionSiteId}`, fy.month)
+        ]);
+        const units = getBankedUnits(balance);
+        const totalUnits = sumUnits(units);
+        if (totalUnits === 0) {
+            return { ...base, status: SITE_STATUS.NOTHING_BANKED, units, totalUnits };
+        }
+
+        const { action, encashmentRate } = getSiteRule(rules, site);
+        const amount = encashmentRate === null
+            ? null
+            : Math.round(totalUnits * encashmentRate * rules.encashmentPercentage) / 100;
+        return {
+            ...base,
+            status: SITE_STATUS.PENDING,
+            action,
+            units,
+            totalUnits,
+            ...(action === SETTLEMENT_ACTION.ENCASH && {
+                encashmentRate,
+                encashmentPercentage: rules.encashmentPercentage,
+                amount
+            }),
+            banking: banking || null
+        };
+    }));
+
+    const pending = plannedSites.filter(site => site.status === SITE_STATUS.PENDING);
+    const unitsFor = action => pending
+        .filter(site => site.action === action)
+        .reduce((sum, site) => sum + site.totalUnits, 0);
+
+    return {
+        companyId: String(companyId),
+        financialYear: fy.financialYear,
+        month: fy.month,
+        rules,
+        sites: plannedSites,
+        totals: {
+            pendingSites: pending.length,
+            settledSites: plannedSites.filter(site => site.status === SITE_STATUS.SETTLED).length,
+            lapseUnits: unitsFor(SETTLEMENT_ACTION.LAPSE),
+            encashUnits: unitsFor(SETTLEMENT_ACTION.ENCASH),
+            encashAmount: Math.round(pending.reduce((sum, site) => sum + (site.amount || 0), 0) * 100) / 100
+        }
+    };
+};
+
+const withoutBankingRecords = (plan) => ({
+    ...plan,
+    sites: plan.sites.map(({ banking, ...site }) => site)
+});
+
+/**
+ * Work out what settling a financial year would do, site by site, without
+ * writing anything. Sites settled by an earlier run are listed as settled.
+ * @param {string} companyId - Company ID
+ * @param {string|number} financialYear - e.g. 2024-25
+ * @param {Object} [ruleOverrides] - Rules for this run, see DEFAULT_SETTLEMENT_RULES
+ * @returns {Promise<Object>} { companyId, financialYear, month, rules, sites, totals }
+ */
+const previewSettlement = async (companyId, financialYear, ruleOverrides = {}) =>
+    withoutBankingRecords(await buildPlan(companyId, financialYear, ruleOverrides));
+
+/**
+ * Writes that settle one site: the settlement record, an expiry in the banking
+ * ledger, the month's banking record (if there is one) emptied and, for lapse,
+ * the units added to the month's lapse record. Committed together.
+ */
+const buildSiteWrites = async (companyId, plan, site, { runId, createdBy, now }) => {
+    const sitePk = `${companyId}_${site.productionSiteId}`;
+    const { financialYear, month } = plan;
+    const lapsing = site.action === SETTLEMENT_ACTION.LAPSE;
+    const existingLapse = lapsing
+        ? (await lapseDAL.getLapsesByProductionSite(companyId, site.productionSiteId, month, month))[0] || null
+        : null;
+
+    const { banking, status, ...settlement } = site;
+    const writes = [
+        bankingSettlementDAL.buildCreateItem({
+            ...bankingSettlementDAL.buildKey(companyId, financialYear, site.productionSiteId),
+            ...settlement,
+            companyId,
+            financialYear,
+            month,
+            runId,
+            settledBy: createdBy,
+            settledAt: now
+        }),
+        bankingLedgerService.buildExpiryWrite(companyId, site.productionSiteId, month, site.units, {
+            entryKey: `settlement_${financialYear}`,
+            reason: `FY ${financialYear} settlement: ${lapsing ? 'lapsed' : 'encashed'}`,
+            reference: runId,
+            createdBy
+        })
+    ];
+
+    if (banking) {
+        writes.push(buildVersionedPut(bankingDAL.tableName, {
+            ...banking,
+            ...ALL_PERIODS.reduce((acc, period) => ({ ...acc, [period]: 0 }), {}),
+            totalBanking: 0,
+            settledFinancialYear: financialYear,
+            updatedAt: now
+        }, Number(banking.version || 0)));
+    }
+
+    if (lapsing) {
+        writes.push(buildVersionedPut(lapseDAL.tableName, {
+            ...(existingLapse || {}),
+            pk: sitePk,
+            sk: month,
+            companyId,
+            productionSiteId: site.productionSiteId,
+            month,
+            siteName: existingLapse?.siteName || site.siteName || '',
+            type: 'LAPSE',
+            ...ALL_PERIODS.reduce((acc, period) => ({
+                ...acc,
+                [period]: (Number(existingLapse?.[period]) || 0) + site.units[period]
+            }), {}),
+            settledFinancialYear: financialYear,
+            createdat: existingLapse?.createdat || now,
+            updatedat: now
+        }, existingLapse ? Number(existingLapse.version || 0) : null));
+    }
+
+    return writes;
+};
+
+/**
+ * Settle a financial year: every site still holding banked units at the end
+ * of March has them lapsed or encashed according to the rules. Each site is
+ * committed atomically and only once; running the settlement again settles
+ * only the sites that were not settled before and changes nothing otherwise.
+ * @param {string} companyId - Company ID
+ * @param {string|number} financialYear - e.g. 2024-25
+ * @param {Object} [ruleOverrides] - Rules for this run, see DEFAULT_SETTLEMENT_RULES
+ * @param {Object} [options]
+ * @param {string} [options.createdBy] - Username running the settlement
+ * @returns {Promise<Object>} The plan as previewed, with runId and the sites settled by this run
+ */
+const runSettlement = async (companyId, financialYear, ruleOverrides = {}, { createdBy = null } = {}) => {
+    const timer = logger.startTimer();
+    const plan = await buildPlan(companyId, financialYear, ruleOverrides);
+    const pending = plan.sites.filter(site => site.status === SITE_STATUS.PENDING);
+
+    const missingRates = pending.filter(site => site.action === SETTLEMENT_ACTION.ENCASH && site.encashmentRate === null);
+    if (missingRates.length > 0) {
+        throw new ValidationError(
+            `No encashment rate for: ${missingRates.map(site => site.siteName || site.productionSiteId).join(', ')}`
+        );
+    }
+
+    const runId = uuidv4();
+    const now = new Date().toISOString();
+    const groups = await Promise.all(pending.map(site =>
+        buildSiteWrites(String(companyId), plan, site, { runId, createdBy, now })
+    ));
+    const transactions = await commitTransactions(groups, runId);
+
+    timer.end('Banking Settlement Run', {
+        companyId,
+        financialYear: plan.financialYear,
+        runId,
+        settled: pending.length,
+        transactions
+    });
+
+    const result = withoutBankingRecords(plan);
+    return {
+        ...result,
+        runId,
+        transactions,
+        settledSites: result.sites
+            .filter(site => site.status === SITE_STATUS.PENDING)
+            .map(site => ({ ...site, status: SITE_STATUS.SETTLED, runId }))
+    };
+};
+
+/**
+ * Settlements recorded for a financial year
+ */
+const getSettlements = async (companyId, financialYear) => {
+    if (!companyId) {
+        throw new ValidationError('companyId is required');
+    }
+    const { financialYear: fy } = parseFinancialYear(financialYear);
+    return bankingSettlementDAL.getSettlements(companyId, fy);
+};
+
+module.exports = {
+    SITE_STATUS,
+    parseFinancialYear,
+    previewSettlement,
+    runSettlement,
+    getSettlements
+};
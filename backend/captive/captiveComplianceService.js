@@ -0,0 +1,274 @@
+const captiveDAL = require('./captiveDAL');
+const productionUnitDAL = require('../productionUnit/productionUnitDAL');
+const productionSiteDAL = require('../productionSite/productionSiteDAL');
+const consumptionSiteDAL = require('../consumptionSite/consumptionSiteDAL');
+const AllocationDAL = require('../allocation/allocationDAL');
+const { CAPTIVE_RULES } = require('../constants/captive');
+const { getFinancialYearMonths } = require('../utils/dateUtils');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const allocationDAL = new AllocationDAL();
+
+const UNIT_FIELDS = ['c1', 'c2', 'c3', 'c4', 'c5'];
+
+const sumUnits = (item) => UNIT_FIELDS.reduce((sum, field) => sum + (Number(item[field]) || 0), 0);
+const round = (value) => Math.round(value);
+const toPercentage = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+
+// Production and consumption site IDs of an allocation record (companyId_prod_cons, or legacy prod_cons)
+const parseAllocationKey = (pk) => {
+    const parts = String(pk || '').split('_');
+    return parts.length === 2
+        ? { companyId: null, productionSiteId: parts[0], consumptionSiteId: parts[1] }
+        : { companyId: parts[0], productionSiteId: parts[1], consumptionSiteId: parts[2] };
+};
+
+/**
+ * Units the plant generated each month (before auxiliary consumption), the
+ * auxiliary consumption recorded with its production units and the units it
+ * supplied to each captive shareholder
+ */
+const collectMonthlyUnits = ({ months, plantSiteIds, companyId, shareholderBySite, productionUnits, allocations }) => {
+    const monthly = new Map(months.map(month => [month, {
+        generation: 0,
+        auxiliary: 0,
+        auxiliaryRecorded: false,
+        hasData: false,
+        consumptionByShareholder: new Map()
+    }]));
+
+    productionUnits.forEach(unit => {
+        const [unitCompanyId, siteId] = String(unit.pk || '').split('_');
+        const entry = monthly.get(unit.sk);
+        if (!entry || unitCompanyId !== String(companyId) || !plantSiteIds.has(siteId)) return;
+        entry.generation += sumUnits(unit);
+        if (unit.auxiliaryConsumption !== undefined && unit.auxiliaryConsumption !== null && unit.auxiliaryConsumption !== '') {
+            entry.auxiliary += Number(unit.auxiliaryConsumption) || 0;
+            entry.auxiliaryRecorded = true;
+        }
+        entry.hasData = true;
+    });
+
+    allocations.forEach(allocation => {
+        const key = parseAllocationKey(allocation.pk);
+        const entry = monthly.get(allocation.sk);
+        if (!entry || (key.companyId !== null && key.companyId !== String(companyId))) return;
+        if (!plantSiteIds.has(String(key.productionSiteId))) return;
+        const shareholderCompanyId = shareholderBySite.get(String(key.consumptionSiteId));
+        if (!shareholderCompanyId) return;
+        entry.consumptionByShareholder.set(
+            shareholderCompanyId,
+            (entry.consumptionByShareholder.get(shareholderCompanyId) || 0) + sumUnits(allocation)
+        );
+    });
+
+    return monthly;
+};
+
+/**
+ * Year-end outlook from the months elapsed so far, assuming the remaining
+ * months generate and supply at the average rate to date
+ */
+const predictYearEnd = ({ monthsElapsed, monthsRemaining, aggregate, consumption }) => {
+    const minRatio = CAPTIVE_RULES.MIN_CONSUMPTION_PERCENTAGE / 100;
+    const projectedAggregate = monthsElapsed > 0 ? aggregate / monthsElapsed * (monthsElapsed + monthsRemaining) : 0;
+    const projectedConsumption = monthsElapsed > 0 ? consumption / monthsElapsed * (monthsElapsed + monthsRemaining) : 0;
+    const consumptionStillRequired = Math.max(0, projectedAggregate * minRatio - consumption);
+    return {
+        monthsElapsed,
+        monthsRemaining,
+        projectedAggregateGeneration: round(projectedAggregate),
+        projectedCaptiveConsumption: round(projectedConsumption),
+        projectedConsumptionPercentage: toPercentage(projectedConsumption, projectedAggregate),
+        consumptionStillRequired: round(consumptionStillRequired),
+        requiredMonthlyConsumption: monthsRemaining > 0 ? round(consumptionStillRequired / monthsRemaining) : null,
+        willPass: monthsElapsed > 0 && projectedConsumption >= projectedAggregate * minRatio
+    };
+};
+
+/**
+ * Check a captive generating plant against the 26% ownership and 51%
+ * consumption conditions for a financial year. The plant is the generator
+ * company's production sites, or one of them; ownership comes from the
+ * company's active CaptiveTable shareholdings and consumption is the units
+ * allocated to the shareholders' consumption sites, against generation net
+ * of the auxiliary consumption recorded on the production units. Months are checked
+ * cumulatively up to the latest month with generation recorded, and the
+ * year-end result is projected from the rate so far.
+ * @param {string|number} companyId - Generator company
+ * @param {Object} params
+ * @param {string} params.financialYear - Financial year, e.g. 2024-2025
+ * @param {string} [params.productionSiteId] - Check one production site instead of all of the company's
+ * @returns {Promise<Object>} { ownership, consumption, months, shareholders, prediction, compliant, flags }
+ */
+const checkCompliance = async (companyId, { financialYear, productionSiteId } = {}) => {
+    if (!companyId) {
+        throw new ValidationError('companyId is required');
+    }
+    let months;
+    try {
+        months = getFinancialYearMonths(financialYear);
+    } catch (error) {
+        throw new ValidationError(error.message);
+    }
+
+    const [captives, productionSites, consumptionSites, productionUnits, allocations] = await Promise.all([
+        captiveDAL.getCaptivesByGenerator(companyId),
+        productionSiteDAL.getAllProductionSites(),
+        consumptionSiteDAL.getAllConsumptionSites(),
+        productionUnitDAL.getAllProductionUnits(),
+        allocationDAL.getAllAllocatedUnits()
+    ]);
+
+    const plantSites = productionSites.filter(site => String(site.companyId) === String(companyId)
+        && (!productionSiteId || String(site.productionSiteId) === String(productionSiteId)));
+    if (productionSiteId && plantSites.length === 0) {
+        throw new NotFoundError(`Production site ${productionSiteId} not found for company ${companyId}`);
+    }
+
+    // Captive users: active shareholders other than the generator itself
+    const shareholders = captives
+        .filter(captive => (captive.allocationStatus || 'active') === 'active'
+            && String(captive.shareholderCompanyId) !== String(companyId))
+        .map(captive => ({
+            shareholderCompanyId: String(captive.shareholderCompanyId),
+            shareholderCompanyName: captive.shareholderCompanyName || `Company ${captive.shareholderCompanyId}`,
+            ownershipPercentage: Number(captive.allocationPercentage) || 0
+        }));
+    const shareholderIds = new Set(shareholders.map(item => item.shareholderCompanyId));
+    const shareholderBySite = new Map(consumptionSites
+        .filter(site => shareholderIds.has(String(site.companyId)))
+        .map(site => [String(site.consumptionSiteId), String(site.companyId)]));
+
+    const monthly = collectMonthlyUnits({
+        months,
+        plantSiteIds: new Set(plantSites.map(site => String(site.productionSiteId))),
+        companyId,
+        shareholderBySite,
+        productionUnits,
+        allocations
+    });
+
+    // The year has progressed to the latest month with generation recorded
+    const lastElapsedIndex = months.reduce((last, month, index) => (monthly.get(month).hasData ? index : last), -1);
+    const elapsedMonths = months.slice(0, lastElapsedIndex + 1);
+    const minRatio = CAPTIVE_RULES.MIN_CONSUMPTION_PERCENTAGE / 100;
+
+    let cumulativeAggregate = 0;
+    let cumulativeConsumption = 0;
+    const monthResults = elapsedMonths.map(month => {
+        const entry = monthly.get(month);
+        const aggregate = Math.max(0, entry.generation - entry.auxiliary);
+        const consumption = [...entry.consumptionByShareholder.values()].reduce((sum, units) => sum + units, 0);
+        cumulativeAggregate += aggregate;
+        cumulativeConsumption += consumption;
+        const shortfall = Math.max(0, cumulativeAggregate * minRatio - cumulativeConsumption);
+        return {
+            month,
+            generation: round(entry.generation),
+            auxiliaryConsumption: round(entry.auxiliary),
+            auxiliaryRecorded: entry.auxiliaryRecorded,
+            aggregateGeneration: round(aggregate),
+            captiveConsumption: round(consumption),
+            consumptionPercentage: toPercentage(consumption, aggregate),
+            cumulativeAggregateGeneration: round(cumulativeAggregate),
+            cumulativeCaptiveConsumption: round(cumulativeConsumption),
+            cumulativeConsumptionPercentage: toPercentage(cumulativeConsumption, cumulativeAggregate),
+            shortfall: round(shortfall),
+            status: shortfall > 0 ? 'shortfall' : 'met'
+        };
+    });
+
+    const totalOwnership = shareholders.reduce((sum, item) => sum + item.ownershipPercentage, 0);
+    const ownership = {
+        totalPercentage: Math.round(totalOwnership * 100) / 100,
+        requiredPercentage: CAPTIVE_RULES.MIN_OWNERSHIP_PERCENTAGE,
+        compliant: totalOwnership >= CAPTIVE_RULES.MIN_OWNERSHIP_PERCENTAGE,
+        shareholders
+    };
+
+    const generation = monthResults.reduce((sum, item) => sum + item.generation, 0);
+    const requiredConsumption = cumulativeAggregate * minRatio;
+    const consumption = {
+        generation,
+        auxiliaryConsumption: monthResults.reduce((sum, item) => sum + item.auxiliaryConsumption, 0),
+        aggregateGeneration: round(cumulativeAggregate),
+        captiveConsumption: round(cumulativeConsumption),
+        consumptionPercentage: toPercentage(cumulativeConsumption, cumulativeAggregate),
+        requiredPercentage: CAPTIVE_RULES.MIN_CONSUMPTION_PERCENTAGE,
+        requiredConsumption: round(requiredConsumption),
+        shortfall: round(Math.max(0, requiredConsumption - cumulativeConsumption)),
+        compliant: cumulativeConsumption >= requiredConsumption
+    };
+
+    // Each shareholder's consumption to date against its proportion of the 51%
+    const variation = CAPTIVE_RULES.PROPORTIONALITY_VARIATION_PERCENTAGE / 100;
+    const shareholderResults = shareholders.map(shareholder => {
+        const units = elapsedMonths.reduce(
+            (sum, month) => sum + (monthly.get(month).consumptionByShareholder.get(shareholder.shareholderCompanyId) || 0),
+            0
+        );
+        const required = totalOwnership > 0 ? requiredConsumption * shareholder.ownershipPercentage / totalOwnership : 0;
+        const minimum = required * (1 - variation);
+        const maximum = required * (1 + variation);
+        return {
+            ...shareholder,
+            captiveConsumption: round(units),
+            requiredConsumption: round(required),
+            minimumConsumption: round(minimum),
+            maximumConsumption: round(maximum),
+            status: units < minimum ? 'below' : (units > maximum ? 'above' : 'within')
+        };
+    });
+
+    const prediction = predictYearEnd({
+        monthsElapsed: elapsedMonths.length,
+        monthsRemaining: months.length - elapsedMonths.length,
+        aggregate: cumulativeAggregate,
+        consumption: cumulativeConsumption
+    });
+
+    const flags = [
+        ...monthResults
+            .filter(item => !item.auxiliaryRecorded)
+            .map(item => `${item.month}: no auxiliary consumption recorded; generation is counted in full`),
+        ...(!ownership.compliant
+            ? [`Captive users hold ${ownership.totalPercentage}% of the plant, below the required ${CAPTIVE_RULES.MIN_OWNERSHIP_PERCENTAGE}%`]
+            : []),
+        ...monthResults
+            .filter(item => item.status === 'shortfall')
+            .map(item => `${item.month}: captive consumption to date is ${item.cumulativeConsumptionPercentage}% of aggregate generation, ${item.shortfall} units short of ${CAPTIVE_RULES.MIN_CONSUMPTION_PERCENTAGE}%`),
+        ...shareholderResults
+            .filter(item => item.status !== 'within')
+            .map(item => `${item.shareholderCompanyName} consumed ${item.captiveConsumption} units, ${item.status} the ${item.minimumConsumption} to ${item.maximumConsumption} units due in proportion to its shareholding`),
+        ...(prediction.monthsElapsed > 0 && !prediction.willPass
+            ? [`At the current rate the year ends at ${prediction.projectedConsumptionPercentage}% captive consumption; ${prediction.consumptionStillRequired} more units are needed`]
+            : [])
+    ];
+
+    logger.info(`[CaptiveComplianceService] Checked company ${companyId} for ${financialYear}`, {
+        productionSiteId: productionSiteId || null,
+        monthsElapsed: prediction.monthsElapsed,
+        ownership: ownership.totalPercentage,
+        consumptionPercentage: consumption.consumptionPercentage
+    });
+
+    return {
+        financialYear,
+        generatorCompanyId: String(companyId),
+        productionSiteId: productionSiteId ? String(productionSiteId) : null,
+        productionSites: plantSites.map(site => ({ productionSiteId: String(site.productionSiteId), name: site.name })),
+        ownership,
+        consumption,
+        months: monthResults,
+        shareholders: shareholderResults,
+        prediction,
+        compliant: ownership.compliant && consumption.compliant,
+        flags
+    };
+};
+
+module.exports = {
+    checkCompliance
+};
@@ -1,5 +1,7 @@
 const captiveDAL = require('./captiveDAL');
+const captiveComplianceService = require('./captiveComplianceService');
 const logger = require('../utils/logger');
+const { assertCompanyAccess } = require('../utils/requestCompany');
 const { validationResult } = require('express-validator');
 // DynamoDB client is already required via captiveDAL
 
@@ -72,6 +74,29 @@ exports.getAllocationPercentages = async (req, res) => {
     }
 };
 
+// 26% ownership / 51% consumption check of a generator's captive plant: ?financialYear=2024-2025[&productionSiteId=]
+exports.getCompliance = async (req, res) => {
+    try {
+        assertCompanyAccess(req, req.params.companyId);
+        const result = await captiveComplianceService.checkCompliance(req.params.companyId, {
+            financialYear: req.query.financialYear,
+            productionSiteId: req.query.productionSiteId
+        });
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error checking captive compliance:', error);
+        const statusCode = error.statusCode || 500;
+        res.status(statusCode).json({
+            success: false,
+            message: statusCode === 500 ? 'Error checking captive compliance' : error.message,
+            error: statusCode === 500 ? error.message : undefined
+        });
+    }
+};
+
 // Get all Captive entries
 exports.getAllCaptives = async (req, res) => {
     try {
@@ -20,6 +20,9 @@ router.get('/generator/:id', captiveController.getCaptivesByGenerator);
 // Get allocation percentages for a company
 router.get('/allocations/:companyId', captiveController.getAllocationPercentages);
 
+// Captive status check of a generator company's plant for a financial year
+router.get('/compliance/:companyId', captiveController.getCompliance);
+
 // Get specific Captive entry by generator and shareholder company IDs
 router.get('/:generatorCompanyId/:shareholderCompanyId', captiveController.getCaptiveByCompanies);
 
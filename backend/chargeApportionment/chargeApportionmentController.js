@@ -0,0 +1,85 @@
+const chargeApportionmentService = require('./chargeApportionmentService');
+const logger = require('../utils/logger');
+const { resolveCompanyId } = require('../utils/requestCompany');
+
+const sendError = (res, error, fallbackMessage) => {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+        success: false,
+        message: statusCode === 500 ? fallbackMessage : error.message,
+        error: statusCode === 500 ? error.message : undefined
+    });
+};
+
+// Saved apportionments of a month: ?month=MMYYYY[&productionSiteId=]
+exports.getApportionments = async (req, res) => {
+    try {
+        const apportionments = await chargeApportionmentService.listApportionments(resolveCompanyId(req), {
+            month: req.query.month,
+            productionSiteId: req.query.productionSiteId
+        });
+        res.json({
+            success: true,
+            data: apportionments
+        });
+    } catch (error) {
+        logger.error('[ChargeApportionmentController] List Error:', error);
+        sendError(res, error, 'Error fetching charge apportionments');
+    }
+};
+
+// Apportionment as it would be saved now: ?month=MMYYYY[&productionSiteId=]. Nothing is written.
+exports.previewApportionments = async (req, res) => {
+    try {
+        const apportionments = await chargeApportionmentService.calculateApportionments(resolveCompanyId(req), {
+            month: req.query.month,
+            productionSiteId: req.query.productionSiteId
+        });
+        res.json({
+            success: true,
+            data: apportionments
+        });
+    } catch (error) {
+        logger.error('[ChargeApportionmentController] Preview Error:', error);
+        sendError(res, error, 'Error calculating charge apportionments');
+    }
+};
+
+// Charges a consumption site bears for a month: ?month=MMYYYY
+exports.getConsumptionSiteCharges = async (req, res) => {
+    try {
+        const charges = await chargeApportionmentService.getConsumptionSiteCharges(
+            resolveCompanyId(req),
+            req.params.consumptionSiteId,
+            req.query.month
+        );
+        res.json({
+            success: true,
+            data: charges
+        });
+    } catch (error) {
+        logger.error('[ChargeApportionmentController] Consumption Site Error:', error);
+        sendError(res, error, 'Error fetching consumption site charges');
+    }
+};
+
+// Apportion and save a month's charges: body { month, productionSiteId }
+exports.apportionCharges = async (req, res) => {
+    try {
+        const result = await chargeApportionmentService.apportionCharges(resolveCompanyId(req), {
+            month: req.body.month,
+            productionSiteId: req.body.productionSiteId
+        }, {
+            idempotencyKey: req.get('Idempotency-Key'),
+            calculatedBy: req.user?.username || null
+        });
+        res.json({
+            success: true,
+            message: `Apportioned charges for ${result.apportionments.length} production site(s)`,
+            data: result
+        });
+    } catch (error) {
+        logger.error('[ChargeApportionmentController] Apportion Error:', error);
+        sendError(res, error, 'Error apportioning charges');
+    }
+};
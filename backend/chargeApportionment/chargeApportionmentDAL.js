@@ -0,0 +1,58 @@
+const { GetCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const docClient = require('../utils/db');
+const TableNames = require('../constants/tableNames');
+const logger = require('../utils/logger');
+
+/**
+ * Apportionments are stored like the charges they split: pk =
+ * companyId_productionSiteId, sk = month (MMYYYY). Writes go through
+ * utils/transactWrite so a month is saved for all sites at once.
+ */
+class ChargeApportionmentDAL {
+    constructor() {
+        this.tableName = TableNames.CHARGE_APPORTIONMENT;
+    }
+
+    getKey(companyId, productionSiteId, month) {
+        return { pk: `${companyId}_${productionSiteId}`, sk: month };
+    }
+
+    async getApportionment(companyId, productionSiteId, month) {
+        try {
+            const { Item } = await docClient.send(new GetCommand({
+                TableName: this.tableName,
+                Key: this.getKey(companyId, productionSiteId, month)
+            }));
+            return Item || null;
+        } catch (error) {
+            logger.error(`[ChargeApportionmentDAL] Error fetching apportionment: ${error.message}`, {
+                companyId, productionSiteId, month
+            });
+            throw error;
+        }
+    }
+
+    // All production sites of a company apportioned for a month
+    async getApportionmentsByMonth(companyId, month) {
+        try {
+            const items = [];
+            let lastEvaluatedKey;
+            do {
+                const response = await docClient.send(new ScanCommand({
+                    TableName: this.tableName,
+                    FilterExpression: 'begins_with(pk, :prefix) AND sk = :month',
+                    ExpressionAttributeValues: { ':prefix': `${companyId}_`, ':month': month },
+                    ExclusiveStartKey: lastEvaluatedKey
+                }));
+                items.push(...(response.Items || []));
+                lastEvaluatedKey = response.LastEvaluatedKey;
+            } while (lastEvaluatedKey);
+            return items;
+        } catch (error) {
+            logger.error(`[ChargeApportionmentDAL] Error listing apportionments: ${error.message}`, { companyId, month });
+            throw error;
+        }
+    }
+}
+
+module.exports = new ChargeApportionmentDAL();
@@ -0,0 +1,19 @@
+const express = require('express');
+const chargeApportionmentController = require('./chargeApportionmentController');
+const validateJson = require('../middleware/validateJson');
+
+const router = express.Router();
+
+// Saved apportionments of a month (?month=MMYYYY, optional productionSiteId)
+router.get('/', chargeApportionmentController.getApportionments);
+
+// Apportionment without saving it
+router.get('/preview', chargeApportionmentController.previewApportionments);
+
+// Charges borne by one consumption site in a month
+router.get('/consumption-site/:consumptionSiteId', chargeApportionmentController.getConsumptionSiteCharges);
+
+// Apportion and save a month's charges for one or all production sites
+router.post('/', validateJson, chargeApportionmentController.apportionCharges);
+
+module.exports = router;
@@ -0,0 +1,339 @@
+const { v4: uuidv4 } = require('uuid');
+const chargeApportionmentDAL = require('./chargeApportionmentDAL');
+const AllocationDAL = require('../allocation/allocationDAL');
+const productionChargeDAL = require('../productionCharge/productionChargeDAL');
+const productionSiteDAL = require('../productionSite/productionSiteDAL');
+const consumptionSiteDAL = require('../consumptionSite/consumptionSiteDAL');
+const captiveDAL = require('../captive/captiveDAL');
+const chargeCodeService = require('../chargeCode/chargeCodeService');
+const TableNames = require('../constants/tableNames');
+const { APPORTIONMENT_BASIS } = require('../constants/chargeCodes');
+const { buildVersionedPut, commitTransactions } = require('../utils/transactWrite');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const allocationDAL = new AllocationDAL();
+
+const MONTH_PATTERN = /^(0[1-9]|1[0-2])\d{4}$/;
+const UNIT_FIELDS = ['c1', 'c2', 'c3', 'c4', 'c5'];
+
+const assertMonth = (month) => {
+    if (!MONTH_PATTERN.test(month || '')) {
+        throw new ValidationError(`Invalid month: ${month}. Must be in MMYYYY format (e.g., 042025)`);
+    }
+};
+
+const roundTo2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Split an amount in proportion to weights, in paise, handing the paise lost
+ * to rounding to the largest remainders so the shares add up to the amount.
+ * @param {number} amount - Amount to split
+ * @param {Array<number>} weights - Non-negative weights, at least one positive
+ * @returns {Array<number>} Share of each weight
+ */
+const splitAmount = (amount, weights) => {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const paise = Math.round(amount * 100);
+    const exact = weights.map(weight => paise * weight / totalWeight);
+    const shares = exact.map(Math.floor);
+    let remainder = paise - shares.reduce((sum, share) => sum + share, 0);
+    exact
+        .map((value, index) => ({ index, fraction: value - shares[index] }))
+        .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+        .forEach(({ index }) => {
+            if (remainder > 0) {
+                shares[index] += 1;
+                remainder -= 1;
+            }
+        });
+    return shares.map(share => share / 100);
+};
+
+// Production and consumption site IDs of an allocation record (companyId_prod_cons, or legacy prod_cons)
+const parseAllocationKey = (pk) => {
+    const parts = String(pk || '').split('_');
+    return parts.length === 2
+        ? { companyId: null, productionSiteId: parts[0], consumptionSiteId: parts[1] }
+        : { companyId: parts[0], productionSiteId: parts[1], consumptionSiteId: parts[2] };
+};
+
+const sumUnits = (allocation) => UNIT_FIELDS.reduce(
+    (sum, field) => sum + Math.max(0, Number(allocation[field] ?? allocation.allocated?.[field] ?? 0) || 0),
+    0
+);
+
+/**
+ * Everything the apportionment of a company's month needs, loaded once:
+ * its production sites, the consumption sites, the month's allocated units
+ * per production site, the active captive percentages and the charge codes.
+ */
+const loadContext = async (companyId, month) => {
+    const [productionSites, consumptionSites, allocations, captives, chargeCodes] = await Promise.all([
+        productionSiteDAL.getAllProductionSites(),
+        consumptionSiteDAL.getAllConsumptionSites(),
+        allocationDAL.getAllocationsByMonth(month, companyId),
+        captiveDAL.getCaptivesByGenerator(companyId),
+        chargeCodeService.listChargeCodes({ month })
+    ]);
+
+    const unitsBySite = new Map();
+    allocations.forEach(allocation => {
+        const key = parseAllocationKey(allocation.pk);
+        if (key.companyId !== null && String(key.companyId) !== String(companyId)) return;
+        const units = sumUnits(allocation);
+        if (units <= 0) return;
+        const siteUnits = unitsBySite.get(String(key.productionSiteId)) || new Map();
+        siteUnits.set(String(key.consumptionSiteId), (siteUnits.get(String(key.consumptionSiteId)) || 0) + units);
+        unitsBySite.set(String(key.productionSiteId), siteUnits);
+    });
+
+    return {
+        companyId: String(companyId),
+        month,
+        productionSites: productionSites.filter(site => String(site.companyId) === String(companyId)),
+        consumptionSites: new Map(consumptionSites.map(site => [String(site.consumptionSiteId), site])),
+        unitsBySite,
+        captivePercentages: new Map(captives
+            .filter(captive => (captive.allocationStatus || 'active') === 'active')
+            .map(captive => [String(captive.shareholderCompanyId), Number(captive.allocationPercentage || 0)])),
+        chargeCodes
+    };
+};
+
+/**
+ * Weight of each recipient for a basis. With captive percentage each
+ * shareholder's percentage is split among its consumption sites by their
+ * allocated units.
+ */
+const getWeights = (recipients, basis) => {
+    if (basis !== APPORTIONMENT_BASIS.CAPTIVE_PERCENTAGE) {
+        return recipients.map(recipient => recipient.units);
+    }
+    const unitsByShareholder = recipients.reduce((acc, recipient) => acc.set(
+        recipient.shareholderCompanyId,
+        (acc.get(recipient.shareholderCompanyId) || 0) + recipient.units
+    ), new Map());
+    return recipients.map(recipient => recipient.captivePercentage * recipient.units
+        / unitsByShareholder.get(recipient.shareholderCompanyId));
+};
+
+/**
+ * Split one production site's charge record for the month across the
+ * consumption sites that were allocated its units
+ * @returns {Object} Apportionment: codes with the basis applied, shares per consumption site, warnings
+ */
+const apportionSite = (context, site, chargeRecord) => {
+    const siteUnits = context.unitsBySite.get(String(site.productionSiteId)) || new Map();
+    const recipients = [...siteUnits.entries()]
+        .map(([consumptionSiteId, units]) => {
+            const consumptionSite = context.consumptionSites.get(consumptionSiteId);
+            const shareholderCompanyId = consumptionSite ? String(consumptionSite.companyId) : null;
+            return {
+                consumptionSiteId,
+                consumptionSiteName: consumptionSite?.name || `Site ${consumptionSiteId}`,
+                shareholderCompanyId,
+                units,
+                captivePercentage: context.captivePercentages.get(shareholderCompanyId) || 0,
+                charges: {},
+                total: 0
+            };
+        })
+        .sort((a, b) => a.consumptionSiteName.localeCompare(b.consumptionSiteName));
+    const warnings = [];
+
+    const codes = context.chargeCodes.map(({ code, description, apportionmentBasis }) => {
+        const amount = roundTo2(chargeRecord?.[code.toLowerCase()] || 0);
+        let appliedBasis = apportionmentBasis;
+        let weights = recipients.length > 0 ? getWeights(recipients, appliedBasis) : [];
+
+        if (amount !== 0 && recipients.length > 0 && weights.every(weight => weight === 0)) {
+            warnings.push(`${code}: no captive percentage for the shareholders supplied by ${site.name}; apportioned by allocated units`);
+            appliedBasis = APPORTIONMENT_BASIS.ALLOCATED_UNITS;
+            weights = getWeights(recipients, appliedBasis);
+        }
+
+        if (amount === 0 || recipients.length === 0) {
+            if (amount !== 0) {
+                warnings.push(`${code}: ${site.name} has no allocated units in ${context.month}, so ${amount} is not apportioned`);
+            }
+            return { code, description, apportionmentBasis, appliedBasis, amount, apportioned: 0, unapportioned: amount };
+        }
+
+        splitAmount(amount, weights).forEach((share, index) => {
+            recipients[index].charges[code] = share;
+        });
+        return { code, description, apportionmentBasis, appliedBasis, amount, apportioned: amount, unapportioned: 0 };
+    });
+
+    recipients.forEach(recipient => {
+        recipient.total = roundTo2(Object.values(recipient.charges).reduce((sum, amount) => sum + amount, 0));
+    });
+
+    return {
+        companyId: context.companyId,
+        productionSiteId: String(site.productionSiteId),
+        productionSiteName: site.name || `Site ${site.productionSiteId}`,
+        month: context.month,
+        chargeVersion: chargeRecord ? Number(chargeRecord.version || 0) : null,
+        chargeUpdatedAt: chargeRecord?.updatedat || null,
+        totalUnits: recipients.reduce((sum, recipient) => sum + recipient.units, 0),
+        codes,
+        shares: recipients,
+        total: roundTo2(codes.reduce((sum, code) => sum + code.amount, 0)),
+        unapportioned: roundTo2(codes.reduce((sum, code) => sum + code.unapportioned, 0)),
+        warnings
+    };
+};
+
+/**
+ * Apportion the charges of one production site, or of every production site
+ * of the company with charges recorded for the month, without saving
+ * @param {string} companyId - Generator company
+ * @param {Object} params
+ * @param {string} params.month - Month in MMYYYY format
+ * @param {string} [params.productionSiteId] - Only this production site
+ * @returns {Promise<Array<Object>>} One apportionment per production site
+ */
+const calculateApportionments = async (companyId, { month, productionSiteId } = {}) => {
+    if (!companyId) {
+        throw new ValidationError('companyId is required');
+    }
+    assertMonth(month);
+
+    const context = await loadContext(companyId, month);
+    const sites = productionSiteId
+        ? context.productionSites.filter(site => String(site.productionSiteId) === String(productionSiteId))
+        : context.productionSites;
+    if (productionSiteId && sites.length === 0) {
+        throw new NotFoundError(`Production site ${productionSiteId} not found for company ${companyId}`);
+    }
+
+    const results = await Promise.all(sites.map(async site => {
+        const chargeRecord = await productionChargeDAL.getItem(`${companyId}_${site.productionSiteId}`, month);
+        return (chargeRecord || productionSiteId) ? apportionSite(context, site, chargeRecord) : null;
+    }));
+    return results.filter(Boolean);
+};
+
+/**
+ * Apportion and save a month's charges. All production sites are written
+ * together with a version check, so a concurrent run fails with a ConflictError
+ * instead of overwriting.
+ * @param {string} companyId - Generator company
+ * @param {Object} params - month and optional productionSiteId, as for calculateApportionments
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey] - Client key for safe retries
+ * @param {string} [options.calculatedBy] - Username of the user running it
+ * @returns {Promise<Object>} { transactionId, apportionments }
+ */
+const apportionCharges = async (companyId, params = {}, { idempotencyKey, calculatedBy = null } = {}) => {
+    const apportionments = await calculateApportionments(companyId, params);
+    if (apportionments.length === 0) {
+        throw new ValidationError(`No production charges recorded for ${params.month}`);
+    }
+
+    const now = new Date().toISOString();
+    const writes = await Promise.all(apportionments.map(async apportionment => {
+        const existing = await chargeApportionmentDAL.getApportionment(companyId, apportionment.productionSiteId, apportionment.month);
+        const item = {
+            ...chargeApportionmentDAL.getKey(companyId, apportionment.productionSiteId, apportionment.month),
+            ...apportionment,
+            calculatedBy,
+            calculatedAt: now
+        };
+        return [buildVersionedPut(TableNames.CHARGE_APPORTIONMENT, item, existing ? Number(existing.version || 0) : null)];
+    }));
+
+    const transactionId = idempotencyKey ? String(idempotencyKey) : uuidv4();
+    await commitTransactions(writes, transactionId);
+
+    logger.info(`[ChargeApportionmentService] Apportioned charges for company ${companyId}, ${params.month}`, {
+        transactionId,
+        sites: apportionments.length,
+        unapportioned: roundTo2(apportionments.reduce((sum, item) => sum + item.unapportioned, 0))
+    });
+
+    return { transactionId, apportionments };
+};
+
+// A saved apportionment is stale once the charge record it split has changed
+const withStaleFlag = async (apportionment) => {
+    const chargeRecord = await productionChargeDAL.getItem(apportionment.pk, apportionment.sk);
+    const { pk, sk, ...item } = apportionment;
+    return {
+        ...item,
+        stale: !chargeRecord
+            || Number(chargeRecord.version || 0) !== apportionment.chargeVersion
+            || (chargeRecord.updatedat || null) !== apportionment.chargeUpdatedAt
+    };
+};
+
+/**
+ * Saved apportionments of a month, flagged `stale` when the charges changed
+ * after they were saved. Allocation changes are not detected; apportion the
+ * month again after reallocating.
+ * @param {string} companyId - Generator company
+ * @param {Object} params - month and optional productionSiteId
+ * @returns {Promise<Array<Object>>}
+ */
+const listApportionments = async (companyId, { month, productionSiteId } = {}) => {
+    if (!companyId) {
+        throw new ValidationError('companyId is required');
+    }
+    assertMonth(month);
+
+    const stored = productionSiteId
+        ? [await chargeApportionmentDAL.getApportionment(companyId, productionSiteId, month)].filter(Boolean)
+        : await chargeApportionmentDAL.getApportionmentsByMonth(companyId, month);
+    const apportionments = await Promise.all(stored.map(withStaleFlag));
+    return apportionments.sort((a, b) => a.productionSiteName.localeCompare(b.productionSiteName));
+};
+
+/**
+ * Charges a consumption site bears for a month, one entry per production site
+ * that supplied it, from the saved apportionments
+ * @returns {Promise<Object>} { consumptionSiteId, month, sources, total }
+ */
+const getConsumptionSiteCharges = async (companyId, consumptionSiteId, month) => {
+    const apportionments = await listApportionments(companyId, { month });
+    const sources = apportionments
+        .map(apportionment => ({
+            productionSiteId: apportionment.productionSiteId,
+            productionSiteName: apportionment.productionSiteName,
+            stale: apportionment.stale,
+            share: apportionment.shares.find(share => share.consumptionSiteId === String(consumptionSiteId))
+        }))
+        .filter(source => source.share)
+        .map(({ share, ...source }) => ({ ...source, units: share.units, charges: share.charges, total: share.total }));
+
+    return {
+        consumptionSiteId: String(consumptionSiteId),
+        month,
+        sources,
+        total: roundTo2(sources.reduce((sum, source) => sum + source.total, 0))
+    };
+};
+
+/**
+ * Apportionment to show on a production site's invoice: the saved one while it
+ * is current, otherwise calculated afresh
+ * @returns {Promise<Object|null>} Apportionment, or null when the site has no charges
+ */
+const getInvoiceApportionment = async (companyId, productionSiteId, month) => {
+    const [saved] = await listApportionments(companyId, { month, productionSiteId });
+    if (saved && !saved.stale) {
+        return saved;
+    }
+    const [calculated] = await calculateApportionments(companyId, { month, productionSiteId });
+    return calculated && calculated.chargeVersion !== null ? calculated : null;
+};
+
+module.exports = {
+    splitAmount,
+    calculateApportionments,
+    apportionCharges,
+    listApportionments,
+    getConsumptionSiteCharges,
+    getInvoiceApportionment
+};
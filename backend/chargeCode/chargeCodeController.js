@@ -0,0 +1,71 @@
+const chargeCodeService = require('./chargeCodeService');
+const logger = require('../utils/logger');
+
+const sendError = (res, error, fallbackMessage) => {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+        success: false,
+        message: statusCode === 500 ? fallbackMessage : error.message,
+        error: statusCode === 500 ? error.message : undefined
+    });
+};
+
+// Charge-code catalogue; ?month=MMYYYY limits it to the codes active that month
+exports.getChargeCodes = async (req, res) => {
+    try {
+        const chargeCodes = await chargeCodeService.listChargeCodes({ month: req.query.month });
+        res.json({
+            success: true,
+            data: chargeCodes
+        });
+    } catch (error) {
+        logger.error('[ChargeCodeController] List Error:', error);
+        sendError(res, error, 'Error fetching charge codes');
+    }
+};
+
+exports.createChargeCode = async (req, res) => {
+    try {
+        const chargeCode = await chargeCodeService.createChargeCode(req.body, req.user?.username || null);
+        res.status(201).json({
+            success: true,
+            message: 'Charge code created successfully',
+            data: chargeCode
+        });
+    } catch (error) {
+        logger.error('[ChargeCodeController] Create Error:', error);
+        sendError(res, error, 'Error creating charge code');
+    }
+};
+
+exports.updateChargeCode = async (req, res) => {
+    try {
+        const chargeCode = await chargeCodeService.updateChargeCode(
+            req.params.code.toUpperCase(),
+            req.body,
+            req.user?.username || null
+        );
+        res.json({
+            success: true,
+            message: 'Charge code updated successfully',
+            data: chargeCode
+        });
+    } catch (error) {
+        logger.error('[ChargeCodeController] Update Error:', error);
+        sendError(res, error, 'Error updating charge code');
+    }
+};
+
+exports.deleteChargeCode = async (req, res) => {
+    try {
+        const chargeCode = await chargeCodeService.deleteChargeCode(req.params.code.toUpperCase());
+        res.json({
+            success: true,
+            message: 'Charge code deleted successfully',
+            data: chargeCode
+        });
+    } catch (error) {
+        logger.error('[ChargeCodeController] Delete Error:', error);
+        sendError(res, error, 'Error deleting charge code');
+    }
+};
@@ -0,0 +1,100 @@
+const { PutCommand, GetCommand, QueryCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const docClient = require('../utils/db');
+const TableNames = require('../constants/tableNames');
+const logger = require('../utils/logger');
+
+const PK = 'CHARGE_CODES';
+
+/**
+ * Charge codes are stored with pk = CHARGE_CODES and sk = code (C001), so the
+ * whole catalogue is one query.
+ */
+class ChargeCodeDAL {
+    constructor() {
+        this.tableName = TableNames.CHARGE_CODE;
+    }
+
+    async createChargeCode(item) {
+        try {
+            await docClient.send(new PutCommand({
+                TableName: this.tableName,
+                Item: { ...item, pk: PK, sk: item.code },
+                ConditionExpression: 'attribute_not_exists(pk) AND attribute_not_exists(sk)'
+            }));
+            return item;
+        } catch (error) {
+            logger.error(`[ChargeCodeDAL] Error creating charge code: ${error.message}`, { code: item.code });
+            throw error;
+        }
+    }
+
+    async getChargeCode(code) {
+        try {
+            const { Item } = await docClient.send(new GetCommand({
+                TableName: this.tableName,
+                Key: { pk: PK, sk: code }
+            }));
+            return Item || null;
+        } catch (error) {
+            logger.error(`[ChargeCodeDAL] Error fetching charge code: ${error.message}`, { code });
+            throw error;
+        }
+    }
+
+    /**
+     * Replace a charge code, failing with ConditionalCheckFailedException if it
+     * was changed since `expectedVersion` was read
+     */
+    async replaceChargeCode(item, expectedVersion) {
+        try {
+            await docClient.send(new PutCommand({
+                TableName: this.tableName,
+                Item: { ...item, pk: PK, sk: item.code },
+                ConditionExpression: 'attribute_exists(pk) AND #version = :expectedVersion',
+                ExpressionAttributeNames: { '#version': 'version' },
+                ExpressionAttributeValues: { ':expectedVersion': Number(expectedVersion) }
+            }));
+            return item;
+        } catch (error) {
+            logger.error(`[ChargeCodeDAL] Error updating charge code: ${error.message}`, { code: item.code });
+            throw error;
+        }
+    }
+
+    async deleteChargeCode(code) {
+        try {
+            const { Attributes } = await docClient.send(new DeleteCommand({
+                TableName: this.tableName,
+                Key: { pk: PK, sk: code },
+                ReturnValues: 'ALL_OLD'
+            }));
+            return Attributes || null;
+        } catch (error) {
+            logger.error(`[ChargeCodeDAL] Error deleting charge code: ${error.message}`, { code });
+            throw error;
+        }
+    }
+
+    async getAllChargeCodes() {
+        try {
+            const items = [];
+            let lastEvaluatedKey;
+            do {
+                const response = await docClient.send(new QueryCommand({
+                    TableName: this.tableName,
+                    KeyConditionExpression: 'pk = :pk',
+                    ExpressionAttributeValues: { ':pk': PK },
+                    ExclusiveStartKey: lastEvaluatedKey
+                }));
+                items.push(...(response.Items || []));
+                lastEvaluatedKey = response.LastEvaluatedKey;
+            } while (lastEvaluatedKey);
+            return items;
+        } catch (error) {
+            logger.error(`[ChargeCodeDAL] Error listing charge codes: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = new ChargeCodeDAL();
@@ -0,0 +1,17 @@
+const express = require('express');
+const chargeCodeController = require('./chargeCodeController');
+const validateJson = require('../middleware/validateJson');
+
+const router = express.Router();
+
+// Charge-code catalogue (?month=MMYYYY for the codes active that month)
+router.get('/', chargeCodeController.getChargeCodes);
+
+// Add a charge code
+router.post('/', validateJson, chargeCodeController.createChargeCode);
+
+// Update a charge code, or delete one added to the master
+router.put('/:code', validateJson, chargeCodeController.updateChargeCode);
+router.delete('/:code', chargeCodeController.deleteChargeCode);
+
+module.exports = router;
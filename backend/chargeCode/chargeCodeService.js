@@ -0,0 +1,218 @@
+const chargeCodeDAL = require('./chargeCodeDAL');
+const { APPORTIONMENT_BASIS, DEFAULT_CHARGE_CODES } = require('../constants/chargeCodes');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Codes become lower-case attributes on ProductionChargeTable records (C012 → c012)
+const CODE_PATTERN = /^C\d{3}$/;
+const MONTH_PATTERN = /^(0[1-9]|1[0-2])\d{4}$/;
+const MAX_DESCRIPTION_LENGTH = 100;
+const BASIS_VALUES = Object.values(APPORTIONMENT_BASIS);
+
+// MMYYYY → YYYYMM so months compare as strings
+const toComparableMonth = (month) => `${month.slice(2)}${month.slice(0, 2)}`;
+
+const isDefaultCode = (code) => DEFAULT_CHARGE_CODES.some(item => item.code === code);
+
+/**
+ * Validate a charge-code record
+ * @param {Object} data - { code, description, taxable, apportionmentBasis, activeFrom, activeTo }
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+const validateChargeCode = (data) => {
+    const errors = [];
+    if (!CODE_PATTERN.test(data.code || '')) {
+        errors.push('code must be C followed by three digits (e.g. C012)');
+    }
+    if (typeof data.description !== 'string' || !data.description.trim() || data.description.length > MAX_DESCRIPTION_LENGTH) {
+        errors.push(`description must be text of 1 to ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    if (typeof data.taxable !== 'boolean') {
+        errors.push('taxable must be true or false');
+    }
+    if (!BASIS_VALUES.includes(data.apportionmentBasis)) {
+        errors.push(`apportionmentBasis must be one of ${BASIS_VALUES.join(', ')}`);
+    }
+    ['activeFrom', 'activeTo'].forEach(field => {
+        if (data[field] !== null && data[field] !== undefined && !MONTH_PATTERN.test(data[field])) {
+            errors.push(`${field} must be a month in MMYYYY format, or null`);
+        }
+    });
+    if (MONTH_PATTERN.test(data.activeFrom || '') && MONTH_PATTERN.test(data.activeTo || '')
+        && toComparableMonth(data.activeTo) < toComparableMonth(data.activeFrom)) {
+        errors.push('activeTo cannot be before activeFrom');
+    }
+    return errors;
+};
+
+const assertValid = (data) => {
+    const errors = validateChargeCode(data);
+    if (errors.length > 0) {
+        throw new ValidationError(errors.join('; '));
+    }
+};
+
+const normalizeChargeCode = (data) => ({
+    code: data.code,
+    description: data.description.trim(),
+    taxable: data.taxable,
+    apportionmentBasis: data.apportionmentBasis,
+    activeFrom: data.activeFrom || null,
+    activeTo: data.activeTo || null
+});
+
+const assertMonth = (month) => {
+    if (!MONTH_PATTERN.test(month || '')) {
+        throw new ValidationError(`Invalid month: ${month}. Must be in MMYYYY format (e.g., 042025)`);
+    }
+};
+
+/**
+ * Whether a charge code can be used for a month
+ * @param {Object} chargeCode - Catalogue entry
+ * @param {string} month - Month in MMYYYY format
+ * @returns {boolean}
+ */
+const isActiveInMonth = (chargeCode, month) => {
+    const value = toComparableMonth(month);
+    return (!chargeCode.activeFrom || toComparableMonth(chargeCode.activeFrom) <= value)
+        && (!chargeCode.activeTo || toComparableMonth(chargeCode.activeTo) >= value);
+};
+
+/**
+ * The charge-code catalogue: the standard C001-C011 codes, overridden by any
+ * stored record for the same code, plus the codes added to the master. Entries
+ * without a stored record have version null.
+ * @param {Object} [options]
+ * @param {string} [options.month] - Only codes active in this month (MMYYYY)
+ * @returns {Promise<Array<Object>>} Charge codes in code order
+ */
+const listChargeCodes = async ({ month } = {}) => {
+    if (month !== undefined) {
+        assertMonth(month);
+    }
+    const stored = await chargeCodeDAL.getAllChargeCodes();
+    const catalogue = new Map(DEFAULT_CHARGE_CODES.map(item => [item.code, { ...item, version: null }]));
+    stored.forEach(({ pk, sk, ...item }) => catalogue.set(item.code, item));
+
+    return [...catalogue.values()]
+        .filter(item => !month || isActiveInMonth(item, month))
+        .sort((a, b) => a.code.localeCompare(b.code));
+};
+
+/**
+ * Add a charge code to the master. Codes already in the catalogue, including
+ * the standard ones, are changed with updateChargeCode instead.
+ * @param {Object} data - code, description, taxable, apportionmentBasis, activeFrom, activeTo
+ * @param {string} [createdBy] - Username of the user creating it
+ * @returns {Promise<Object>} Stored charge code
+ */
+const createChargeCode = async (data, createdBy = null) => {
+    const input = {
+        taxable: true,
+        apportionmentBasis: APPORTIONMENT_BASIS.ALLOCATED_UNITS,
+        ...data,
+        code: typeof data.code === 'string' ? data.code.trim().toUpperCase() : data.code
+    };
+    assertValid(input);
+    if (isDefaultCode(input.code)) {
+        throw new ConflictError(`${input.code} is already in the charge-code master; update it instead`);
+    }
+
+    const now = new Date().toISOString();
+    const item = {
+        ...normalizeChargeCode(input),
+        version: 1,
+        createdBy,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    try {
+        return await chargeCodeDAL.createChargeCode(item);
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            throw new ConflictError(`${input.code} is already in the charge-code master; update it instead`);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Update the description, taxability, apportionment basis or active months of
+ * a charge code. The first change to a standard code stores it in the master.
+ */
+const updateChargeCode = async (code, updates, updatedBy = null) => {
+    const stored = await chargeCodeDAL.getChargeCode(code);
+    const existing = stored || DEFAULT_CHARGE_CODES.find(item => item.code === code);
+    if (!existing) {
+        throw new NotFoundError(`Charge code ${code} not found`);
+    }
+
+    const merged = ['description', 'taxable', 'apportionmentBasis', 'activeFrom', 'activeTo'].reduce((acc, field) => ({
+        ...acc,
+        [field]: updates[field] !== undefined ? updates[field] : existing[field]
+    }), { code });
+    assertValid(merged);
+
+    const now = new Date().toISOString();
+    if (!stored) {
+        try {
+            return await chargeCodeDAL.createChargeCode({
+                ...normalizeChargeCode(merged),
+                version: 1,
+                createdBy: updatedBy,
+                createdAt: now,
+                updatedAt: now
+            });
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                throw new ConflictError(`Charge code ${code} was modified by another request, reload and try again`);
+            }
+            throw error;
+        }
+    }
+
+    const expectedVersion = updates.version !== undefined && updates.version !== null ? updates.version : stored.version;
+    const { pk, sk, ...current } = stored;
+    const item = {
+        ...current,
+        ...normalizeChargeCode(merged),
+        version: Number(stored.version) + 1,
+        updatedBy,
+        updatedAt: now
+    };
+
+    try {
+        return await chargeCodeDAL.replaceChargeCode(item, expectedVersion);
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            throw new ConflictError(`Charge code ${code} was modified by another request, reload and try again`);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Remove a code added to the master. Standard codes stay in the catalogue;
+ * set activeTo to stop using one.
+ */
+const deleteChargeCode = async (code) => {
+    if (isDefaultCode(code)) {
+        throw new ValidationError(`${code} is a standard charge code; set activeTo to stop using it`);
+    }
+    const deleted = await chargeCodeDAL.deleteChargeCode(code);
+    if (!deleted) {
+        throw new NotFoundError(`Charge code ${code} not found`);
+    }
+    const { pk, sk, ...item } = deleted;
+    return item;
+};
+
+module.exports = {
+    validateChargeCode,
+    isActiveInMonth,
+    listChargeCodes,
+    createChargeCode,
+    updateChargeCode,
+    deleteChargeCode
+};
@@ -1,5 +1,7 @@
 const companyDAL = require('./companyDAL');
 const logger = require('../utils/logger');
+const { validateNumberingScheme } = require('../invoice/invoiceNumbering');
+const { validateTaxConfig } = require('../invoice/invoiceTax');
 
 // Create a new company
 exports.createCompany = async (req, res) => {
@@ -119,6 +121,28 @@ exports.updateCompany = async (req, res) => {
       });
     }
 
+    if (updates.invoiceNumbering !== undefined) {
+      const numberingErrors = validateNumberingScheme(updates.invoiceNumbering);
+      if (numberingErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid invoiceNumbering settings',
+          errors: numberingErrors
+        });
+      }
+    }
+
+    if (updates.taxConfig !== undefined) {
+      const taxErrors = validateTaxConfig(updates.taxConfig);
+      if (taxErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid taxConfig settings',
+          errors: taxErrors
+        });
+      }
+    }
+
     const updated = await companyDAL.updateCompany(companyId, updates);
 
     if (!updated) {
@@ -156,7 +156,9 @@ const updateCompany = async (companyId, updates) => {
       'contactPerson',
       'mobile',
       'emailId',
-      'managingDirector'
+      'managingDirector',
+      'invoiceNumbering',
+      'taxConfig'
     ];
 
     allowedFields.forEach((field) => {
@@ -0,0 +1,29 @@
+// Movements recorded in the banking ledger
+const BANKING_MOVEMENT = {
+    OPENING: 'opening',         // balance carried over from the banking records kept before the ledger
+    BANKED: 'banked',           // surplus production banked for the month
+    DRAWN: 'drawn',             // banked units used by allocations
+    EXPIRED: 'expired',         // balance written off at financial-year end
+    ADJUSTMENT: 'adjustment'    // manual correction, either direction
+};
+
+// How each movement changes the balance. Adjustments carry their own sign.
+const BANKING_MOVEMENT_SIGN = {
+    [BANKING_MOVEMENT.OPENING]: 1,
+    [BANKING_MOVEMENT.BANKED]: 1,
+    [BANKING_MOVEMENT.DRAWN]: -1,
+    [BANKING_MOVEMENT.EXPIRED]: -1,
+    [BANKING_MOVEMENT.ADJUSTMENT]: 1
+};
+
+// Order of movements within a month: the carried-over balance opens it,
+// production is banked and drawn, corrections follow and expiry closes it
+const BANKING_MOVEMENT_ORDER = {
+    [BANKING_MOVEMENT.OPENING]: 0,
+    [BANKING_MOVEMENT.BANKED]: 1,
+    [BANKING_MOVEMENT.DRAWN]: 2,
+    [BANKING_MOVEMENT.ADJUSTMENT]: 3,
+    [BANKING_MOVEMENT.EXPIRED]: 4
+};
+
+module.exports = { BANKING_MOVEMENT, BANKING_MOVEMENT_SIGN, BANKING_MOVEMENT_ORDER };
@@ -0,0 +1,22 @@
+// What happens to units still banked when the financial year closes
+const SETTLEMENT_ACTION = {
+    LAPSE: 'lapse',     // written off as lapsed units
+    ENCASH: 'encash'    // bought back by the distribution licensee
+};
+
+// Rules used when a settlement run does not override them. The deployment can
+// replace any of these with a JSON object in BANKING_SETTLEMENT_RULES.
+//   defaultAction        - action for sites no other rule matches
+//   actionsByType        - action per production site type (WIND, SOLAR, ...)
+//   sites                - per-site overrides: { [productionSiteId]: { action, encashmentRate } }
+//   encashmentRate       - rupees per unit before the percentage is applied
+//   encashmentPercentage - share of the rate paid for encashed units
+const DEFAULT_SETTLEMENT_RULES = {
+    defaultAction: SETTLEMENT_ACTION.LAPSE,
+    actionsByType: {},
+    sites: {},
+    encashmentRate: null,
+    encashmentPercentage: 75
+};
+
+module.exports = { SETTLEMENT_ACTION, DEFAULT_SETTLEMENT_RULES };
@@ -0,0 +1,11 @@
+// Captive generating plant conditions (Electricity Rules, 2005, rule 3)
+const CAPTIVE_RULES = {
+    // Captive users together must hold at least this share of the plant's ownership
+    MIN_OWNERSHIP_PERCENTAGE: 26,
+    // ... and consume at least this share of its aggregate generation in the year
+    MIN_CONSUMPTION_PERCENTAGE: 51,
+    // Each captive user consumes in proportion to its shareholding, within this variation
+    PROPORTIONALITY_VARIATION_PERCENTAGE: 10
+};
+
+module.exports = { CAPTIVE_RULES };
@@ -0,0 +1,33 @@
+// Open-access adjustment charge codes as they appear on the generator statement.
+// ProductionChargeTable stores each one as a lower-case attribute (c001 ... c011).
+const OA_CHARGE_CODES = [
+    { code: 'C001', description: 'AMR Meter Reading Charges' },
+    { code: 'C002', description: 'O&M Charges' },
+    { code: 'C003', description: 'Transmission Charges' },
+    { code: 'C004', description: 'System Operation Charges' },
+    { code: 'C005', description: 'RKvah Penalty' },
+    { code: 'C006', description: 'Import Energy Charges' },
+    { code: 'C007', description: 'Scheduling Charges' },
+    { code: 'C008', description: 'Other Charges' },
+    { code: 'C009', description: 'Charge C009' },
+    { code: 'C010', description: 'DSM Charges' },
+    { code: 'C011', description: 'WHLC' }
+];
+
+// How a generator's charge is shared out among the consumption sites it supplies
+const APPORTIONMENT_BASIS = {
+    ALLOCATED_UNITS: 'allocated_units',
+    CAPTIVE_PERCENTAGE: 'captive_percentage'
+};
+
+// Catalogue entries used for any code the charge-code master has no record of
+const DEFAULT_CHARGE_CODES = OA_CHARGE_CODES.map(({ code, description }) => ({
+    code,
+    description,
+    taxable: true,
+    apportionmentBasis: APPORTIONMENT_BASIS.ALLOCATED_UNITS,
+    activeFrom: null,
+    activeTo: null
+}));
+
+module.exports = { OA_CHARGE_CODES, APPORTIONMENT_BASIS, DEFAULT_CHARGE_CODES };
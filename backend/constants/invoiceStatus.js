@@ -0,0 +1,28 @@
+const INVOICE_STATUS = {
+    DRAFT: 'draft',
+    ISSUED: 'issued',
+    PAID: 'paid',
+    CANCELLED: 'cancelled'
+};
+
+// Allowed lifecycle moves; anything not listed here is rejected
+const INVOICE_STATUS_TRANSITIONS = {
+    [INVOICE_STATUS.DRAFT]: [INVOICE_STATUS.ISSUED, INVOICE_STATUS.CANCELLED],
+    [INVOICE_STATUS.ISSUED]: [INVOICE_STATUS.PAID, INVOICE_STATUS.CANCELLED],
+    [INVOICE_STATUS.PAID]: [],
+    [INVOICE_STATUS.CANCELLED]: []
+};
+
+// Documents stored in InvoiceTable. Credit and debit notes adjust an issued
+// invoice and carry their own number series.
+const INVOICE_DOCUMENT_TYPE = {
+    INVOICE: 'invoice',
+    CREDIT_NOTE: 'credit_note',
+    DEBIT_NOTE: 'debit_note'
+};
+
+// Fields a user may change on a draft invoice. Totals are recalculated from
+// the line items; everything else is fixed when the invoice is generated.
+const INVOICE_EDITABLE_FIELDS = ['invoiceDate', 'dueDate', 'lineItems', 'notes'];
+
+module.exports = { INVOICE_STATUS, INVOICE_STATUS_TRANSITIONS, INVOICE_DOCUMENT_TYPE, INVOICE_EDITABLE_FIELDS };
@@ -0,0 +1,10 @@
+// Why units lapsed, as worked out by the lapse analytics
+const LAPSE_REASON = {
+    NO_DEMAND: 'no_consumer_demand',         // every consumption site's demand was already met
+    PEAK_RESTRICTION: 'peak_restriction',    // period rules kept units from demand left in other periods
+    EXCLUDED_SITE: 'excluded_site',          // demand was left at a site kept out of the allocation
+    CAPTIVE_SHARE: 'captive_share_limit',    // demand was left but the shareholder's captive share was used up
+    SETTLEMENT: 'banking_settlement'         // banked units written off at financial-year end
+};
+
+module.exports = { LAPSE_REASON };
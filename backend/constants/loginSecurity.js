@@ -0,0 +1,31 @@
+// Account lockout and login throttling limits
+const LOGIN_SECURITY = {
+    // Failed logins for one user within the window that lock the account
+    MAX_FAILED_ATTEMPTS: 5,
+    FAILURE_WINDOW_MINUTES: 15,
+    LOCKOUT_MINUTES: 15,
+    // Failed logins from one IP address within the window before further attempts are refused
+    MAX_FAILED_ATTEMPTS_PER_IP: 20,
+    IP_WINDOW_MINUTES: 15,
+    // Login history returned per request when no limit is given, and the most allowed
+    DEFAULT_HISTORY_LIMIT: 50,
+    MAX_HISTORY_LIMIT: 500
+};
+
+// Outcome recorded for each login attempt in LoginAuditTable
+const LOGIN_OUTCOMES = {
+    SUCCESS: 'success',
+    FAILURE: 'failure',
+    LOCKED: 'locked',
+    THROTTLED: 'throttled'
+};
+
+// Why an attempt did not succeed
+const LOGIN_FAILURE_REASONS = {
+    UNKNOWN_USER: 'unknown_user',
+    INVALID_PASSWORD: 'invalid_password',
+    ACCOUNT_LOCKED: 'account_locked',
+    IP_THROTTLED: 'ip_throttled'
+};
+
+module.exports = { LOGIN_SECURITY, LOGIN_OUTCOMES, LOGIN_FAILURE_REASONS };
@@ -0,0 +1,14 @@
+// Rules for passwords set through user creation, change and admin reset.
+// Passwords stored before hashing was introduced are not re-checked.
+const PASSWORD_POLICY = {
+    MIN_LENGTH: 8,
+    // bcrypt only reads the first 72 bytes of a password
+    MAX_BYTES: 72,
+    REQUIRE_LETTER: true,
+    REQUIRE_DIGIT: true
+};
+
+// bcrypt cost factor; stored hashes below this are upgraded at the next login
+const BCRYPT_ROUNDS = 10;
+
+module.exports = { PASSWORD_POLICY, BCRYPT_ROUNDS };
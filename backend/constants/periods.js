@@ -2,4 +2,23 @@ const ALL_PERIODS = ['c1', 'c2', 'c3', 'c4', 'c5'];
 const PEAK_PERIODS = ['c2', 'c3'];
 const NON_PEAK_PERIODS = ['c1', 'c4', 'c5'];
 
-module.exports = { ALL_PERIODS, PEAK_PERIODS, NON_PEAK_PERIODS };
\ No newline at end of file
+// Period definitions used for any month no stored definition covers: peak
+// units may serve any period, off-peak units only their own. Hours are left
+// empty as they depend on the tariff order in force.
+const DEFAULT_PERIOD_DEFINITION = {
+    effectiveFrom: null,
+    periods: ALL_PERIODS.map(code => ({
+        code,
+        name: code.toUpperCase(),
+        hours: [],
+        peak: PEAK_PERIODS.includes(code)
+    })),
+    allocationMatrix: ALL_PERIODS.reduce((acc, source) => ({
+        ...acc,
+        [source]: PEAK_PERIODS.includes(source) ? [...ALL_PERIODS] : [source]
+    }), {}),
+    version: 0,
+    isDefault: true
+};
+
+module.exports = { ALL_PERIODS, PEAK_PERIODS, NON_PEAK_PERIODS, DEFAULT_PERIOD_DEFINITION };
@@ -0,0 +1,19 @@
+// Sign-in sessions: each login starts one, and its refresh token is rotated on every refresh
+const SESSION_SETTINGS = {
+    ACCESS_TOKEN_TTL: '1h',
+    // A session ends when its refresh token goes unused this long
+    REFRESH_TOKEN_TTL_DAYS: 7,
+    // The token a session rotated away from is still honoured this long, so two
+    // tabs refreshing at once do not look like token theft
+    REUSE_GRACE_SECONDS: 30
+};
+
+// Why a session was ended
+const SESSION_REVOKE_REASONS = {
+    SIGN_OUT: 'sign_out',
+    TOKEN_REUSE: 'token_reuse',
+    PASSWORD_CHANGED: 'password_changed',
+    ADMIN_SIGN_OUT: 'admin_sign_out'
+};
+
+module.exports = { SESSION_SETTINGS, SESSION_REVOKE_REASONS };
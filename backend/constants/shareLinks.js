@@ -0,0 +1,21 @@
+// Signed links that let someone without an account view one site's data for one month
+const SHARE_LINK_SETTINGS = {
+    DEFAULT_EXPIRY_HOURS: 72,
+    MAX_EXPIRY_HOURS: 30 * 24
+};
+
+// Sites a link can be created for, with the permission resource that guards each
+const SHARE_SITE_TYPES = {
+    production: 'production',
+    consumption: 'consumption'
+};
+
+// Events recorded in a link's audit trail
+const SHARE_LINK_EVENTS = {
+    CREATED: 'created',
+    VIEWED: 'viewed',
+    REJECTED: 'rejected',
+    REVOKED: 'revoked'
+};
+
+module.exports = { SHARE_LINK_SETTINGS, SHARE_SITE_TYPES, SHARE_LINK_EVENTS };
@@ -11,7 +11,19 @@ const TableNames = {
     ALLOCATION_DETAILS: 'AllocationDetailsTable',
     LAPSE: 'LapseTable',
     COMPANY: 'CompanyTable',
-    CAPTIVE: 'CaptiveTable'
+    CAPTIVE: 'CaptiveTable',
+    INVOICE: 'InvoiceTable',
+    COUNTERS: 'CounterTable',
+    TARIFF: 'TariffTable',
+    ALLOCATION_SCENARIO: 'AllocationScenarioTable',
+    BANKING_LEDGER: 'BankingLedgerTable',
+    BANKING_SETTLEMENT: 'BankingSettlementTable',
+    PERIOD_DEFINITION: 'PeriodDefinitionTable',
+    CHARGE_CODE: 'ChargeCodeTable',
+    CHARGE_APPORTIONMENT: 'ChargeApportionmentTable',
+    LOGIN_AUDIT: 'LoginAuditTable',
+    AUTH_SESSION: 'AuthSessionTable',
+    SHARE_LINK: 'ShareLinkTable'
 };
 
 module.exports = TableNames;
\ No newline at end of file
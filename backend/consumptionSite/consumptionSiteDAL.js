@@ -280,6 +280,7 @@ const getAllConsumptionSites = async () => {
             version: Number(item.version || 1),
             timetolive: Number(item.timetolive || 0),
             annualConsumption: Number(item.annualConsumption || 0),
+            htscNo: item.htscNo || '',
             createdat: item.createdat || new Date().toISOString(),
             updatedat: item.updatedat || new Date().toISOString()
         }));
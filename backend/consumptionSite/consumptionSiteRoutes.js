@@ -1,8 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const consumptionSiteController = require('./consumptionSiteController');
-const validateConsumptionSite = require('./ConsumptionSitevalidator');
-const validateConsumptionSiteUpdate = require('./ConsumptionSiteUpdatevalidator');
+const validateConsumptionSite = require('./consumptionSiteValidator');
+const validateConsumptionSiteUpdate = require('./consumptionSiteUpdateValidator');
 const validateSiteAccess = require('../middleware/validateSiteAccess');
 const { authenticateToken } = require('../middleware/authorization');
 
@@ -11,7 +11,7 @@ router.get('/all',
     authenticateToken,
     consumptionSiteController.getAllConsumptionSites);
 
-// Get specific consumption site - No auth required for details page
+// Get specific consumption site
 router.get('/:companyId/:consumptionSiteId', 
     consumptionSiteController.getConsumptionSite
 );
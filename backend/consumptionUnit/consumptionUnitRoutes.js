@@ -1,9 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const consumptionUnitController = require('./consumptionUnitController');
-const validateConsumptionUnit = require('./ConsumptionUnitvalidator');
+const validateConsumptionUnit = require('./consumptionUnitValidator');
 
-// All get operations do not require auth for details views
+// Create a consumption unit for a site
 router.post('/:companyId/:consumptionSiteId', validateConsumptionUnit, consumptionUnitController.createConsumptionUnit);
 
 // Get all consumption units for a site
@@ -0,0 +1,113 @@
+const invoiceDAL = require('./invoiceDAL');
+const invoiceService = require('./invoiceService');
+const { priceAllocation, priceUnits } = require('../tariff/tariffService');
+const productionSiteDAL = require('../productionSite/productionSiteDAL');
+const consumptionSiteDAL = require('../consumptionSite/consumptionSiteDAL');
+const { ALL_PERIODS } = require('../constants/periods');
+const { INVOICE_STATUS, INVOICE_DOCUMENT_TYPE } = require('../constants/invoiceStatus');
+
+// Only invoices that have gone out need a note; drafts are simply regenerated
+const BILLED_STATUSES = [INVOICE_STATUS.ISSUED, INVOICE_STATUS.PAID];
+
+const getUnits = (allocation) => ALL_PERIODS.reduce((acc, period) => {
+    acc[period] = Math.round(Number(allocation?.[period] ?? allocation?.allocated?.[period] ?? 0));
+    return acc;
+}, {});
+
+const findSiteName = (sites, idField, id) => {
+    const site = sites.find(candidate => String(candidate[idField]) === String(id));
+    return site?.name || `Site ${id}`;
+};
+
+/**
+ * Price the unit change with the rates the original invoice used for this site
+ * pair, so the note reverses exactly what was billed. Pairs that were not on the
+ * invoice are priced from the tariff master.
+ */
+const priceDelta = async (invoice, units, parties) => {
+    const billedRow = (invoice.siteRows || []).find(row =>
+        String(row.productionSiteId) === String(parties.productionSiteId) &&
+        String(row.consumptionSiteId) === String(parties.consumptionSiteId));
+
+    if (billedRow?.rates) {
+        const rates = ALL_PERIODS.reduce((acc, period) => {
+            acc[period] = billedRow.rates[period]?.rate || 0;
+            return acc;
+        }, {});
+        return { tariff: billedRow.tariff, ...priceUnits(units, rates) };
+    }
+
+    return priceAllocation(invoice.month, parties, units);
+};
+
+/**
+ * Build the credit/debit notes a change to an allocation needs when its month
+ * has already been billed. Nothing is stored; callers write the notes in the
+ * same transaction as the allocation change.
+ * @param {Object|null} before - Allocation as stored before the change
+ * @param {Object} after - Allocation as it is (or will be) stored after the change
+ * @param {string} [changedBy] - Username making the change
+ * @returns {Promise<Array>} Notes to store, empty when nothing billed is affected
+ */
+const planAllocationAdjustments = async (before, after, changedBy = null) => {
+    const [companyId, productionSiteId, consumptionSiteId] = (after.pk || '').split('_');
+    const month = after.sk;
+
+    const beforeUnits = getUnits(before);
+    const afterUnits = getUnits(after);
+    const delta = ALL_PERIODS.reduce((acc, period) => {
+        acc[period] = afterUnits[period] - beforeUnits[period];
+        return acc;
+    }, {});
+    if (ALL_PERIODS.every(period => delta[period] === 0)) {
+        return [];
+    }
+
+    const billed = (await invoiceDAL.getInvoicesByCompany(companyId, { month }))
+        .filter(invoice => (invoice.documentType || INVOICE_DOCUMENT_TYPE.INVOICE) === INVOICE_DOCUMENT_TYPE.INVOICE)
+        .filter(invoice => BILLED_STATUSES.includes(invoice.status))
+        .filter(invoice => !invoice.productionSiteId || String(invoice.productionSiteId) === String(productionSiteId));
+    if (billed.length === 0) {
+        return [];
+    }
+
+    const [productionSites, consumptionSites] = await Promise.all([
+        productionSiteDAL.getAllProductionSites(),
+        consumptionSiteDAL.getAllConsumptionSites()
+    ]);
+    const consumptionSite = consumptionSites.find(site => String(site.consumptionSiteId) === String(consumptionSiteId));
+    const parties = {
+        companyId,
+        productionSiteId,
+        consumptionSiteId,
+        shareholderCompanyId: consumptionSite?.companyId
+    };
+    const totalDelta = ALL_PERIODS.reduce((sum, period) => sum + delta[period], 0);
+
+    const notes = [];
+    for (const invoice of billed) {
+        const pricing = await priceDelta(invoice, delta, parties);
+        const siteRow = {
+            productionSiteId,
+            productionSiteName: findSiteName(productionSites, 'productionSiteId', productionSiteId),
+            consumptionSiteId,
+            consumptionSiteName: consumptionSite?.name || `Site ${consumptionSiteId}`,
+            ...delta,
+            total: totalDelta,
+            rates: pricing ? pricing.periods : null,
+            tariff: pricing ? pricing.tariff : null,
+            amount: pricing ? pricing.amount : null
+        };
+
+        notes.push(await invoiceService.buildAdjustmentNote(invoice, {
+            siteRow,
+            allocationKey: { pk: after.pk, sk: after.sk },
+            reason: `Allocation ${after.pk} for ${month} changed by ${totalDelta} units after invoice ${invoice.invoiceNumber}`
+        }, changedBy));
+    }
+    return notes;
+};
+
+module.exports = {
+    planAllocationAdjustments
+};
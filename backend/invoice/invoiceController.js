@@ -1,29 +1,27 @@
-const { v4: uuidv4 } = require('uuid');
-const { processAllocations } = require('./invoiceCalculator');
+const invoiceService = require('./invoiceService');
+const { renderInvoicePdf } = require('./invoicePdfRenderer');
+const logger = require('../utils/logger');
+const { resolveCompanyId } = require('../utils/requestCompany');
+
+const sendError = (res, error, fallbackMessage) => {
+  const statusCode = error.statusCode || 500;
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode === 500 ? (error.message || fallbackMessage) : error.message,
+    error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+  });
+};
 
 class InvoiceController {
   /**
-   * Generate an invoice for the given company, month, and year
+   * Generate an invoice for the given company, month, and year and store it as a draft
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  /**
-   * Get invoice configuration for a company
-   * @param {string} companyId - Company ID
-   * @returns {Object} Configuration object with unitPrice and taxRate
-   */
-  static getInvoiceConfig(companyId) {
-    // TODO: Fetch these values from database/configuration service
-    // This is a temporary implementation
-    return {
-      unitPrice: 6.0, // Default unit price, should be fetched from company settings
-      taxRate: 0.18   // Default tax rate (18%), should be configurable
-    };
-  }
-
   async generateInvoice(req, res) {
     try {
-      const { companyId, month, year, allocations = [], charges = [] } = req.body;
+      const { productionSiteId, month, year, charges = [] } = req.body;
+      const companyId = resolveCompanyId(req);
 
       // Validate input
       if (!companyId || !month || !year) {
@@ -33,52 +31,44 @@ class InvoiceController {
         });
       }
 
-      // Get invoice configuration
-      const { unitPrice, taxRate } = InvoiceController.getInvoiceConfig(companyId);
-
-      // Process allocations and calculate invoice
-      const invoiceData = await processAllocations({
+      const invoice = await invoiceService.generateInvoice({
         companyId,
+        productionSiteId,
         month,
         year,
-        allocations,
         charges,
-        unitPrice,
-        taxRate
+        createdBy: req.user?.username || null
       });
 
-      // Generate invoice number (you can customize this format)
-      const invoiceNumber = `INV-${year}${month.toString().padStart(2, '0')}-${uuidv4().substring(0, 6).toUpperCase()}`;
-
-      // Create invoice object
-      const invoice = {
-        invoiceId: uuidv4(),
-        invoiceNumber,
-        companyId,
-        period: `${year}-${month.toString().padStart(2, '0')}`,
-        issueDate: new Date().toISOString(),
-        dueDate: new Date(new Date().setDate(new Date().getDate() + 30)).toISOString(),
-        status: 'generated',
-        ...invoiceData
-      };
-
-      // Here you would typically save the invoice to your database
-      // await InvoiceModel.create(invoice);
-
-      res.status(200).json({
+      res.status(201).json({
         success: true,
         data: invoice,
         message: 'Invoice generated successfully'
       });
 
     } catch (error) {
-      console.error('Error generating invoice:', error);
-      
-      res.status(500).json({
-        success: false,
-        message: error.message || 'Failed to generate invoice',
-        error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      logger.error('[InvoiceController] Generate Error:', error);
+      sendError(res, error, 'Failed to generate invoice');
+    }
+  }
+
+  /**
+   * Calculate the tax breakdown for a set of charges
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async calculateTax(req, res) {
+    try {
+      const { charges } = req.body;
+      const breakdown = await invoiceService.calculateInvoiceTax(resolveCompanyId(req), charges);
+
+      res.json({
+        success: true,
+        data: breakdown
       });
+    } catch (error) {
+      logger.error('[InvoiceController] Tax Error:', error);
+      sendError(res, error, 'Failed to calculate tax');
     }
   }
 
@@ -90,23 +80,134 @@ class InvoiceController {
   async getInvoice(req, res) {
     try {
       const { invoiceId } = req.params;
-      
-      // Here you would typically fetch the invoice from your database
-      // const invoice = await InvoiceModel.findById(invoiceId);
-      
-      // For now, we'll return a 404
-      return res.status(404).json({
-        success: false,
-        message: 'Invoice not found'
+      const invoice = await invoiceService.getInvoice(resolveCompanyId(req), invoiceId);
+
+      res.json({
+        success: true,
+        data: invoice
+      });
+    } catch (error) {
+      logger.error('[InvoiceController] Get Error:', error);
+      sendError(res, error, 'Failed to fetch invoice');
+    }
+  }
+
+  /**
+   * Download a stored invoice as a PDF
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getInvoicePdf(req, res) {
+    try {
+      const { invoiceId } = req.params;
+      const invoice = await invoiceService.getInvoice(resolveCompanyId(req), invoiceId);
+      const pdf = await renderInvoicePdf(invoice);
+      const fileName = `${(invoice.invoiceNumber || invoice.invoiceId).replace(/[^\w.-]+/g, '-')}.pdf`;
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${fileName}"`,
+        'Content-Length': pdf.length
+      });
+      res.send(pdf);
+    } catch (error) {
+      logger.error('[InvoiceController] PDF Error:', error);
+      sendError(res, error, 'Failed to render invoice PDF');
+    }
+  }
+
+  /**
+   * List invoices for a company, optionally filtered by month (MMYYYY) and status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getInvoices(req, res) {
+    try {
+      const { month, status } = req.query;
+      const invoices = await invoiceService.listInvoices(resolveCompanyId(req), { month, status });
+
+      res.json({
+        success: true,
+        data: invoices
+      });
+    } catch (error) {
+      logger.error('[InvoiceController] List Error:', error);
+      sendError(res, error, 'Failed to fetch invoices');
+    }
+  }
+
+  /**
+   * List the credit and debit notes raised against an invoice
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAdjustmentNotes(req, res) {
+    try {
+      const { invoiceId } = req.params;
+      const notes = await invoiceService.listAdjustmentNotes(resolveCompanyId(req), invoiceId);
+
+      res.json({
+        success: true,
+        data: notes
       });
-      
     } catch (error) {
-      console.error('Error fetching invoice:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to fetch invoice',
-        error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      logger.error('[InvoiceController] Adjustments Error:', error);
+      sendError(res, error, 'Failed to fetch adjustment notes');
+    }
+  }
+
+  /**
+   * Update a draft invoice
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateInvoice(req, res) {
+    try {
+      const { invoiceId } = req.params;
+      const { version, companyId, ...updates } = req.body;
+      const invoice = await invoiceService.updateDraftInvoice(resolveCompanyId(req), invoiceId, updates, version);
+
+      res.json({
+        success: true,
+        data: invoice,
+        message: 'Invoice updated successfully'
       });
+    } catch (error) {
+      logger.error('[InvoiceController] Update Error:', error);
+      sendError(res, error, 'Failed to update invoice');
+    }
+  }
+
+  /**
+   * Change the lifecycle status of an invoice (issue, mark paid, cancel)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateInvoiceStatus(req, res) {
+    try {
+      const { invoiceId } = req.params;
+      const { status, reason } = req.body;
+
+      if (!status) {
+        return res.status(400).json({
+          success: false,
+          message: 'status is required'
+        });
+      }
+
+      const invoice = await invoiceService.changeInvoiceStatus(resolveCompanyId(req), invoiceId, status, {
+        changedBy: req.user?.username || null,
+        reason
+      });
+
+      res.json({
+        success: true,
+        data: invoice,
+        message: `Invoice marked as ${invoice.status}`
+      });
+    } catch (error) {
+      logger.error('[InvoiceController] Status Error:', error);
+      sendError(res, error, 'Failed to update invoice status');
     }
   }
 }
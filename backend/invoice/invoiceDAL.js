@@ -0,0 +1,278 @@
+const { PutCommand, GetCommand, UpdateCommand, QueryCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const docClient = require('../utils/db');
+const TableNames = require('../constants/tableNames');
+const logger = require('../utils/logger');
+const { INVOICE_STATUS, INVOICE_EDITABLE_FIELDS } = require('../constants/invoiceStatus');
+
+// Fields that can never be changed through a status change
+const PROTECTED_FIELDS = ['pk', 'sk', 'invoiceId', 'companyId', 'status', 'version', 'createdAt', 'updatedAt', 'statusHistory'];
+
+// The only fields updateDraft writes: what a user may edit plus the totals
+// recalculated from the line items
+const DRAFT_FIELDS = [
+    ...INVOICE_EDITABLE_FIELDS,
+    'taxConfig', 'subtotal', 'taxableAmount', 'exemptAmount', 'supplyType', 'taxLines', 'tax', 'roundOff', 'total'
+];
+
+class InvoiceDAL {
+    constructor() {
+        this.tableName = TableNames.INVOICE;
+    }
+
+    validateSortKey(month) {
+        if (!month || typeof month !== 'string' || !/^(0[1-9]|1[0-2])\d{4}$/.test(month)) {
+            throw new Error(`Invalid invoice month: ${month}. Must be in MMYYYY format (e.g., 042025)`);
+        }
+    }
+
+    /**
+     * The stored form of a new draft invoice or note
+     */
+    buildNewItem(invoice) {
+        if (!invoice.companyId || !invoice.invoiceId) {
+            throw new Error('companyId and invoiceId are required');
+        }
+        this.validateSortKey(invoice.month);
+
+        const now = new Date().toISOString();
+        return {
+            ...invoice,
+            pk: String(invoice.companyId),
+            sk: invoice.invoiceId,
+            companyId: String(invoice.companyId),
+            status: INVOICE_STATUS.DRAFT,
+            version: 1,
+            statusHistory: [{ status: INVOICE_STATUS.DRAFT, at: now, by: invoice.createdBy || null }],
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Put for a new draft invoice or note, to commit with other writes in a transaction
+     */
+    buildCreatePut(invoice) {
+        return {
+            Put: {
+                TableName: this.tableName,
+                Item: this.buildNewItem(invoice),
+                ConditionExpression: 'attribute_not_exists(pk) AND attribute_not_exists(sk)'
+            }
+        };
+    }
+
+    async createInvoice(invoice) {
+        try {
+            const put = this.buildCreatePut(invoice);
+            await docClient.send(new PutCommand(put.Put));
+            return put.Put.Item;
+        } catch (error) {
+            logger.error(`[InvoiceDAL] Error creating invoice: ${error.message}`, { error });
+            throw error;
+        }
+    }
+
+    async getInvoice(companyId, invoiceId) {
+        try {
+            const { Item } = await docClient.send(new GetCommand({
+                TableName: this.tableName,
+                Key: { pk: String(companyId), sk: invoiceId }
+            }));
+            return Item || null;
+        } catch (error) {
+            logger.error(`[InvoiceDAL] Error fetching invoice: ${error.message}`, { companyId, invoiceId });
+            throw error;
+        }
+    }
+
+    async getInvoicesByCompany(companyId, { month, status } = {}) {
+        try {
+            const params = {
+                TableName: this.tableName,
+                KeyConditionExpression: 'pk = :pk',
+                ExpressionAttributeValues: {
+                    ':pk': String(companyId)
+                }
+            };
+
+            const filters = [];
+            if (month) {
+                this.validateSortKey(month);
+                filters.push('#month = :month');
+                params.ExpressionAttributeValues[':month'] = month;
+            }
+            if (status) {
+                filters.push('#status = :status');
+                params.ExpressionAttributeValues[':status'] = status;
+            }
+            if (filters.length > 0) {
+                params.FilterExpression = filters.join(' AND ');
+                params.ExpressionAttributeNames = {
+                    ...(month && { '#month': 'month' }),
+                    ...(status && { '#status': 'status' })
+                };
+            }
+
+            const items = [];
+            let lastEvaluatedKey;
+            do {
+                const response = await docClient.send(new QueryCommand({
+                    ...params,
+                    ExclusiveStartKey: lastEvaluatedKey
+                }));
+                items.push(...(response.Items || []));
+                lastEvaluatedKey = response.LastEvaluatedKey;
+            } while (lastEvaluatedKey);
+
+            return items;
+        } catch (error) {
+            logger.error(`[InvoiceDAL] Error listing invoices: ${error.message}`, { companyId, month, status });
+            throw error;
+        }
+    }
+
+    /**
+     * Update the content of a draft invoice. The condition expression guarantees
+     * that issued, paid and cancelled invoices are never rewritten.
+     */
+    async updateDraft(companyId, invoiceId, updates, expectedVersion) {
+        try {
+            const updateExpressions = ['#version = #version + :inc', '#updatedAt = :now'];
+            const expressionAttributeNames = {
+                '#status': 'status',
+                '#version': 'version',
+                '#updatedAt': 'updatedAt'
+            };
+            const expressionAttributeValues = {
+                ':draft': INVOICE_STATUS.DRAFT,
+                ':inc': 1,
+                ':now': new Date().toISOString()
+            };
+
+            Object.entries(updates)
+                .filter(([field, value]) => value !== undefined && DRAFT_FIELDS.includes(field))
+                .forEach(([field, value]) => {
+                    expressionAttributeNames[`#${field}`] = field;
+                    expressionAttributeValues[`:${field}`] = value;
+                    updateExpressions.push(`#${field} = :${field}`);
+                });
+
+            let conditionExpression = '#status = :draft';
+            if (expectedVersion !== undefined) {
+                conditionExpression += ' AND #version = :expectedVersion';
+                expressionAttributeValues[':expectedVersion'] = Number(expectedVersion);
+            }
+
+            const { Attributes } = await docClient.send(new UpdateCommand({
+                TableName: this.tableName,
+                Key: { pk: String(companyId), sk: invoiceId },
+                UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+                ConditionExpression: conditionExpression,
+                ExpressionAttributeNames: expressionAttributeNames,
+                ExpressionAttributeValues: expressionAttributeValues,
+                ReturnValues: 'ALL_NEW'
+            }));
+
+            return Attributes;
+        } catch (error) {
+            logger.error(`[InvoiceDAL] Error updating invoice: ${error.message}`, { companyId, invoiceId });
+            throw error;
+        }
+    }
+
+    buildStatusUpdate(companyId, invoiceId, fromStatus, toStatus, extraFields = {}, changedBy = null) {
+        const now = new Date().toISOString();
+        const updateExpressions = [
+            '#status = :toStatus',
+            '#version = #version + :inc',
+            '#updatedAt = :now',
+            '#statusHistory = list_append(if_not_exists(#statusHistory, :emptyList), :historyEntry)'
+        ];
+        const expressionAttributeNames = {
+            '#status': 'status',
+            '#version': 'version',
+            '#updatedAt': 'updatedAt',
+            '#statusHistory': 'statusHistory'
+        };
+        const expressionAttributeValues = {
+            ':fromStatus': fromStatus,
+            ':toStatus': toStatus,
+            ':inc': 1,
+            ':now': now,
+            ':emptyList': [],
+            ':historyEntry': [{ status: toStatus, at: now, by: changedBy }]
+        };
+
+        Object.entries(extraFields)
+            .filter(([field, value]) => value !== undefined && !PROTECTED_FIELDS.includes(field))
+            .forEach(([field, value]) => {
+                expressionAttributeNames[`#${field}`] = field;
+                expressionAttributeValues[`:${field}`] = value;
+                updateExpressions.push(`#${field} = :${field}`);
+            });
+
+        return {
+            TableName: this.tableName,
+            Key: { pk: String(companyId), sk: invoiceId },
+            UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+            ConditionExpression: '#status = :fromStatus',
+            ExpressionAttributeNames: expressionAttributeNames,
+            ExpressionAttributeValues: expressionAttributeValues
+        };
+    }
+
+    /**
+     * Move an invoice from one status to another. Fails with
+     * ConditionalCheckFailedException if the stored status is no longer `fromStatus`.
+     */
+    async updateStatus(companyId, invoiceId, fromStatus, toStatus, extraFields = {}, changedBy = null) {
+        try {
+            const { Attributes } = await docClient.send(new UpdateCommand({
+                ...this.buildStatusUpdate(companyId, invoiceId, fromStatus, toStatus, extraFields, changedBy),
+                ReturnValues: 'ALL_NEW'
+            }));
+
+            return Attributes;
+        } catch (error) {
+            logger.error(`[InvoiceDAL] Error changing invoice status: ${error.message}`, {
+                companyId,
+                invoiceId,
+                fromStatus,
+                toStatus
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Issue a draft invoice and consume its number in one transaction. The counter
+     * item comes from counterDAL.buildIncrementTransactItem, so either both the
+     * counter and the invoice change or neither does.
+     */
+    async issueWithNumber(companyId, invoiceId, counterItem, extraFields, changedBy = null) {
+        try {
+            await docClient.send(new TransactWriteCommand({
+                TransactItems: [
+                    counterItem,
+                    {
+                        Update: this.buildStatusUpdate(
+                            companyId,
+                            invoiceId,
+                            INVOICE_STATUS.DRAFT,
+                            INVOICE_STATUS.ISSUED,
+                            extraFields,
+                            changedBy
+                        )
+                    }
+                ]
+            }));
+
+            return this.getInvoice(companyId, invoiceId);
+        } catch (error) {
+            logger.error(`[InvoiceDAL] Error issuing invoice: ${error.message}`, { companyId, invoiceId });
+            throw error;
+        }
+    }
+}
+
+module.exports = new InvoiceDAL();
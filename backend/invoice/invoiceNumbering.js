@@ -0,0 +1,123 @@
+const companyDAL = require('../company/companyDAL');
+const { getFinancialYear, formatMonthYearKey } = require('../utils/dateUtils');
+const { INVOICE_DOCUMENT_TYPE } = require('../constants/invoiceStatus');
+
+// Used when a company has no invoiceNumbering settings of its own
+const DEFAULT_NUMBERING = {
+    prefix: 'INV',
+    companyCode: null,
+    separator: '/',
+    sequencePadding: 4,
+    resetEachFinancialYear: true
+};
+
+// Credit and debit notes are numbered in their own series, e.g. CN/001/2025-26/0001
+const NOTE_PREFIXES = {
+    [INVOICE_DOCUMENT_TYPE.CREDIT_NOTE]: 'CN',
+    [INVOICE_DOCUMENT_TYPE.DEBIT_NOTE]: 'DN'
+};
+
+/**
+ * Validate an invoiceNumbering settings object supplied through the company API
+ * @param {Object} scheme - Numbering settings
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+const validateNumberingScheme = (scheme) => {
+    const errors = [];
+    if (!scheme || typeof scheme !== 'object' || Array.isArray(scheme)) {
+        return ['invoiceNumbering must be an object'];
+    }
+    if (scheme.prefix !== undefined && !/^[A-Za-z0-9-]{1,10}$/.test(String(scheme.prefix))) {
+        errors.push('prefix must be 1-10 letters, digits or hyphens');
+    }
+    if (scheme.companyCode !== undefined && scheme.companyCode !== null &&
+        !/^[A-Za-z0-9-]{1,10}$/.test(String(scheme.companyCode))) {
+        errors.push('companyCode must be 1-10 letters, digits or hyphens');
+    }
+    if (scheme.separator !== undefined && !['/', '-'].includes(scheme.separator)) {
+        errors.push('separator must be "/" or "-"');
+    }
+    if (scheme.sequencePadding !== undefined) {
+        const padding = Number(scheme.sequencePadding);
+        if (!Number.isInteger(padding) || padding < 1 || padding > 8) {
+            errors.push('sequencePadding must be an integer between 1 and 8');
+        }
+    }
+    if (scheme.resetEachFinancialYear !== undefined && typeof scheme.resetEachFinancialYear !== 'boolean') {
+        errors.push('resetEachFinancialYear must be true or false');
+    }
+    return errors;
+};
+
+/**
+ * Resolve the numbering scheme for a company, falling back to defaults
+ * @param {string|number} companyId - Company ID
+ * @returns {Promise<Object>} Complete numbering scheme
+ */
+const getNumberingScheme = async (companyId) => {
+    const company = await companyDAL.getCompanyById(companyId);
+    const scheme = { ...DEFAULT_NUMBERING, ...(company?.invoiceNumbering || {}) };
+    return {
+        ...scheme,
+        companyCode: scheme.companyCode || String(companyId).padStart(3, '0'),
+        sequencePadding: Number(scheme.sequencePadding)
+    };
+};
+
+/**
+ * Counter key used for a company's invoice (or note) sequence. With a financial-year
+ * reset each year gets its own counter, so numbering restarts at 1 every April.
+ */
+const getCounterId = (companyId, scheme, financialYear, documentType = INVOICE_DOCUMENT_TYPE.INVOICE) => {
+    const series = documentType === INVOICE_DOCUMENT_TYPE.INVOICE ? 'INVOICE' : documentType.toUpperCase();
+    return scheme.resetEachFinancialYear
+        ? `${series}#${companyId}#${financialYear}`
+        : `${series}#${companyId}`;
+};
+
+/**
+ * Format an invoice number, e.g. INV/001/2025-26/0007
+ * @param {Object} scheme - Numbering scheme from getNumberingScheme
+ * @param {string} financialYear - Financial year in YYYY-YYYY format
+ * @param {number} sequence - Sequence value from the counter
+ * @returns {string} Invoice number
+ */
+const formatInvoiceNumber = (scheme, financialYear, sequence) => {
+    const [startYear, endYear] = financialYear.split('-');
+    return [
+        scheme.prefix,
+        scheme.companyCode,
+        `${startYear}-${endYear.substring(2)}`,
+        String(sequence).padStart(scheme.sequencePadding, '0')
+    ].join(scheme.separator);
+};
+
+/**
+ * Work out everything needed to number an invoice or note issued on a given date.
+ * The series follows the financial year of the issue date, not of the billing
+ * month, so a March bill issued in April is numbered in the new year's series.
+ * @param {string|number} companyId - Company ID
+ * @param {Date} issueDate - Date the document is issued
+ * @param {string} [documentType] - One of INVOICE_DOCUMENT_TYPE
+ * @returns {Promise<Object>} { scheme, financialYear, counterId }
+ */
+const getNumberingContext = async (companyId, issueDate, documentType = INVOICE_DOCUMENT_TYPE.INVOICE) => {
+    const companyScheme = await getNumberingScheme(companyId);
+    const scheme = NOTE_PREFIXES[documentType]
+        ? { ...companyScheme, prefix: NOTE_PREFIXES[documentType] }
+        : companyScheme;
+    const financialYear = getFinancialYear(formatMonthYearKey(issueDate));
+    return {
+        scheme,
+        financialYear,
+        counterId: getCounterId(companyId, scheme, financialYear, documentType)
+    };
+};
+
+module.exports = {
+    DEFAULT_NUMBERING,
+    validateNumberingScheme,
+    getNumberingScheme,
+    getNumberingContext,
+    formatInvoiceNumber
+};
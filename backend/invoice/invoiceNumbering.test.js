@@ -0,0 +1,58 @@
+const companyDAL = require('../company/companyDAL');
+const { getNumberingContext, formatInvoiceNumber, validateNumberingScheme } = require('./invoiceNumbering');
+const { INVOICE_DOCUMENT_TYPE } = require('../constants/invoiceStatus');
+
+jest.mock('../utils/logger');
+
+describe('invoice numbering', () => {
+    beforeEach(() => {
+        jest.spyOn(companyDAL, 'getCompanyById').mockResolvedValue({ companyId: 1 });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('formats the number from the scheme, financial year and sequence', async () => {
+        const { scheme, financialYear } = await getNumberingContext(1, new Date(2025, 5, 15));
+
+        expect(formatInvoiceNumber(scheme, financialYear, 7)).toBe('INV/001/2025-26/0007');
+    });
+
+    it('follows the financial year of the issue date', async () => {
+        const march = await getNumberingContext(1, new Date(2026, 2, 31));
+        const april = await getNumberingContext(1, new Date(2026, 3, 1));
+
+        expect(march.financialYear).toBe('2025-2026');
+        expect(march.counterId).toBe('INVOICE#1#2025-2026');
+        expect(april.financialYear).toBe('2026-2027');
+        expect(april.counterId).toBe('INVOICE#1#2026-2027');
+    });
+
+    it('keeps one series across years when the company does not reset it', async () => {
+        companyDAL.getCompanyById.mockResolvedValue({
+            companyId: 1,
+            invoiceNumbering: { prefix: 'STR', companyCode: 'TN', separator: '-', sequencePadding: 6, resetEachFinancialYear: false }
+        });
+
+        const context = await getNumberingContext(1, new Date(2026, 3, 1));
+
+        expect(context.counterId).toBe('INVOICE#1');
+        expect(formatInvoiceNumber(context.scheme, context.financialYear, 12)).toBe('STR-TN-2026-27-000012');
+    });
+
+    it('numbers credit and debit notes in their own series', async () => {
+        const credit = await getNumberingContext(1, new Date(2025, 5, 15), INVOICE_DOCUMENT_TYPE.CREDIT_NOTE);
+        const debit = await getNumberingContext(1, new Date(2025, 5, 15), INVOICE_DOCUMENT_TYPE.DEBIT_NOTE);
+
+        expect(credit.counterId).toBe('CREDIT_NOTE#1#2025-2026');
+        expect(formatInvoiceNumber(credit.scheme, credit.financialYear, 1)).toBe('CN/001/2025-26/0001');
+        expect(debit.counterId).toBe('DEBIT_NOTE#1#2025-2026');
+    });
+
+    it('rejects invalid numbering settings', () => {
+        expect(validateNumberingScheme({ prefix: 'INV', separator: '/' })).toEqual([]);
+        expect(validateNumberingScheme({ separator: '|', sequencePadding: 9 })).toEqual([
+            'separator must be "/" or "-"',
+            'sequencePadding must be an integer between 1 and 8'
+        ]);
+    });
+});
@@ -0,0 +1,263 @@
+const PDFDocument = require('pdfkit');
+const { INVOICE_STATUS, INVOICE_DOCUMENT_TYPE } = require('../constants/invoiceStatus');
+
+const PAGE_MARGIN = 40;
+const ROW_HEIGHT = 18;
+const FONT = 'Helvetica';
+const FONT_BOLD = 'Helvetica-Bold';
+
+const DOCUMENT_TITLES = {
+    [INVOICE_DOCUMENT_TYPE.INVOICE]: 'TAX INVOICE',
+    [INVOICE_DOCUMENT_TYPE.CREDIT_NOTE]: 'CREDIT NOTE',
+    [INVOICE_DOCUMENT_TYPE.DEBIT_NOTE]: 'DEBIT NOTE'
+};
+
+const formatAmount = (value) => Number(value || 0).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+});
+
+const formatUnits = (value) => Number(value || 0).toLocaleString('en-IN');
+
+const formatDate = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return '';
+    const day = String(date.getUTCDate()).padStart(2, '0');
+    const month = date.toLocaleString('en-US', { month: 'short', timeZone: 'UTC' });
+    return `${day} ${month} ${date.getUTCFullYear()}`;
+};
+
+/**
+ * Tax lines to print under the subtotal. Invoices carry either a list of tax
+ * lines or the older single { rate, amount } tax object.
+ */
+const getTaxLines = (invoice) => {
+    if (Array.isArray(invoice.taxLines)) {
+        return invoice.taxLines.map(line => ({
+            label: line.rate !== undefined ? `${line.label} @ ${line.rate}%` : line.label,
+            amount: line.amount
+        }));
+    }
+    if (invoice.tax && Number(invoice.tax.amount)) {
+        return [{ label: `GST @ ${invoice.tax.rate}%`, amount: invoice.tax.amount }];
+    }
+    return [];
+};
+
+/**
+ * Draw a simple bordered table, starting a new page when the next row would not fit
+ * @param {PDFDocument} doc - Target document
+ * @param {Array} columns - [{ header, width, align }]
+ * @param {Array<Array>} rows - Cell text, one array per row
+ * @param {Object} [options]
+ * @param {Array<number>} [options.boldRows] - Indexes of rows to print in bold
+ */
+const drawTable = (doc, columns, rows, { boldRows = [] } = {}) => {
+    const startX = PAGE_MARGIN;
+    const tableWidth = columns.reduce((sum, col) => sum + col.width, 0);
+    const pageBottom = doc.page.height - PAGE_MARGIN - ROW_HEIGHT;
+
+    const drawRow = (cells, bold, shaded) => {
+        if (doc.y > pageBottom) {
+            doc.addPage();
+        }
+        const y = doc.y;
+        if (shaded) {
+            doc.rect(startX, y, tableWidth, ROW_HEIGHT).fill('#F5F5F5');
+            doc.fillColor('#000000');
+        }
+        doc.rect(startX, y, tableWidth, ROW_HEIGHT).stroke();
+
+        let x = startX;
+        doc.font(bold ? FONT_BOLD : FONT).fontSize(8);
+        cells.forEach((cell, index) => {
+            const column = columns[index];
+            doc.text(String(cell ?? ''), x + 4, y + 5, {
+                width: column.width - 8,
+                align: column.align || 'left',
+                lineBreak: false,
+                ellipsis: true
+            });
+            x += column.width;
+        });
+        doc.y = y + ROW_HEIGHT;
+    };
+
+    drawRow(columns.map(col => col.header), true, true);
+    rows.forEach((row, index) => drawRow(row, boldRows.includes(index), false));
+    doc.x = PAGE_MARGIN;
+};
+
+const drawSectionTitle = (doc, title) => {
+    doc.moveDown(1);
+    doc.x = PAGE_MARGIN;
+    doc.font(FONT_BOLD).fontSize(11).text(title);
+    doc.moveDown(0.3);
+};
+
+const drawHeader = (doc, invoice) => {
+    const company = invoice.company || {};
+    const top = doc.y;
+
+    doc.font(FONT_BOLD).fontSize(16).text(company.name || `Company ${invoice.companyId}`, PAGE_MARGIN, top, { width: 300 });
+    doc.font(FONT).fontSize(9);
+    if (company.address) doc.text(company.address, { width: 300 });
+    if (company.gstin) doc.text(`GSTIN: ${company.gstin}`, { width: 300 });
+    if (company.emailId) doc.text(company.emailId, { width: 300 });
+    const leftBottom = doc.y;
+
+    const rightX = doc.page.width - PAGE_MARGIN - 200;
+    const title = DOCUMENT_TITLES[invoice.documentType] || DOCUMENT_TITLES[INVOICE_DOCUMENT_TYPE.INVOICE];
+    doc.font(FONT_BOLD).fontSize(16).text(title, rightX, top, { width: 200, align: 'right' });
+    doc.font(FONT_BOLD).fontSize(9).text((invoice.status || INVOICE_STATUS.DRAFT).toUpperCase(), { width: 200, align: 'right' });
+    doc.font(FONT).fontSize(9)
+        .text(`${invoice.originalInvoiceId ? 'Note' : 'Invoice'} #: ${invoice.invoiceNumber || 'DRAFT'}`, { width: 200, align: 'right' })
+        .text(`Billing period: ${invoice.period?.display || invoice.month}`, { width: 200, align: 'right' })
+        .text(`Invoice date: ${formatDate(invoice.issuedAt || invoice.invoiceDate)}`, { width: 200, align: 'right' })
+        .text(`Due date: ${formatDate(invoice.dueDate)}`, { width: 200, align: 'right' });
+    if (invoice.originalInvoiceId) {
+        doc.text(`Against invoice: ${invoice.originalInvoiceNumber || invoice.originalInvoiceId}`, { width: 200, align: 'right' });
+    }
+
+    doc.y = Math.max(leftBottom, doc.y) + 10;
+    doc.x = PAGE_MARGIN;
+    doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y).stroke();
+};
+
+const drawSiteRows = (doc, siteRows = []) => {
+    drawSectionTitle(doc, 'Allocation & Summary');
+    const periods = ['c1', 'c2', 'c3', 'c4', 'c5'];
+    const columns = [
+        { header: '#', width: 25 },
+        { header: 'Production Site', width: 85 },
+        { header: 'Consumption Site', width: 85 },
+        ...periods.map(period => ({ header: period.toUpperCase(), width: 45, align: 'right' })),
+        { header: 'Total', width: 45, align: 'right' },
+        { header: 'Amount (INR)', width: 50, align: 'right' }
+    ];
+
+    const rows = siteRows.map((row, index) => [
+        index + 1,
+        row.productionSiteName || row.productionSiteId,
+        row.consumptionSiteName || row.consumptionSiteId,
+        ...periods.map(period => formatUnits(row[period])),
+        formatUnits(row.total),
+        row.amount === null || row.amount === undefined ? 'No tariff' : formatAmount(row.amount)
+    ]);
+
+    const totals = periods.map(period => siteRows.reduce((sum, row) => sum + Number(row[period] || 0), 0));
+    rows.push([
+        '',
+        'Total',
+        '',
+        ...totals.map(formatUnits),
+        formatUnits(totals.reduce((sum, value) => sum + value, 0)),
+        formatAmount(siteRows.reduce((sum, row) => sum + Number(row.amount || 0), 0))
+    ]);
+
+    drawTable(doc, columns, rows, { boldRows: [rows.length - 1] });
+};
+
+const drawOaCharges = (doc, oaCharges = []) => {
+    drawSectionTitle(doc, 'OA Adjustment Charges');
+    const columns = [
+        { header: 'Code', width: 60 },
+        { header: 'Description', width: 335 },
+        { header: 'Amount (INR)', width: 120, align: 'right' }
+    ];
+    const rows = oaCharges.map(charge => [charge.code, charge.description, formatAmount(charge.amount)]);
+    rows.push(['', 'Total', formatAmount(oaCharges.reduce((sum, charge) => sum + Number(charge.amount || 0), 0))]);
+
+    drawTable(doc, columns, rows, { boldRows: [rows.length - 1] });
+};
+
+// Each consumption site's share of the OA charges
+const drawChargeApportionment = (doc, apportionment) => {
+    if (!apportionment || apportionment.shares.length === 0) return;
+    drawSectionTitle(doc, 'OA Charges by Consumption Site');
+    const columns = [
+        { header: 'Consumption Site', width: 275 },
+        { header: 'Units', width: 120, align: 'right' },
+        { header: 'Amount (INR)', width: 120, align: 'right' }
+    ];
+    const rows = apportionment.shares.map(share => [share.consumptionSiteName, formatUnits(share.units), formatAmount(share.total)]);
+    if (Number(apportionment.unapportioned)) {
+        rows.push(['Not apportioned', '', formatAmount(apportionment.unapportioned)]);
+    }
+    rows.push([
+        'Total',
+        formatUnits(apportionment.shares.reduce((sum, share) => sum + Number(share.units || 0), 0)),
+        formatAmount(apportionment.shares.reduce((sum, share) => sum + Number(share.total || 0), 0) + Number(apportionment.unapportioned || 0))
+    ]);
+
+    drawTable(doc, columns, rows, { boldRows: [rows.length - 1] });
+};
+
+const drawTotals = (doc, invoice) => {
+    drawSectionTitle(doc, 'Amount Payable');
+    const columns = [
+        { header: 'Description', width: 395 },
+        { header: 'Amount (INR)', width: 120, align: 'right' }
+    ];
+    const rows = [
+        ['Subtotal', formatAmount(invoice.subtotal)],
+        ...getTaxLines(invoice).map(line => [line.label, formatAmount(line.amount)]),
+        ...(Number(invoice.roundOff) ? [['Round off', formatAmount(invoice.roundOff)]] : []),
+        ['Total', formatAmount(invoice.total)]
+    ];
+
+    drawTable(doc, columns, rows, { boldRows: [rows.length - 1] });
+};
+
+/**
+ * Render a stored invoice as a PDF. Output depends only on the invoice record:
+ * document dates come from the invoice and the standard PDF fonts are used, so
+ * rendering the same invoice twice produces identical bytes.
+ * @param {Object} invoice - Stored invoice record
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+    try {
+        const documentDate = new Date(invoice.issuedAt || invoice.createdAt || 0);
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: PAGE_MARGIN,
+            info: {
+                Title: `Invoice ${invoice.invoiceNumber || invoice.invoiceId}`,
+                Author: invoice.company?.name || '',
+                Subject: `Invoice for ${invoice.period?.display || invoice.month}`,
+                CreationDate: documentDate,
+                ModDate: documentDate
+            }
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        drawHeader(doc, invoice);
+        drawSiteRows(doc, invoice.siteRows);
+        if (!invoice.originalInvoiceId) {
+            drawOaCharges(doc, invoice.oaCharges);
+            drawChargeApportionment(doc, invoice.chargeApportionment);
+        }
+        drawTotals(doc, invoice);
+
+        if (invoice.status === INVOICE_STATUS.CANCELLED) {
+            doc.moveDown(1);
+            doc.font(FONT_BOLD).fontSize(10).fillColor('#B00020')
+                .text(`CANCELLED: ${invoice.cancellationReason || ''}`, PAGE_MARGIN);
+            doc.fillColor('#000000');
+        }
+
+        doc.end();
+    } catch (error) {
+        reject(error);
+    }
+});
+
+module.exports = {
+    renderInvoicePdf
+};
@@ -1,22 +1,30 @@
 const express = require('express');
 const router = express.Router();
 const invoiceController = require('./invoiceController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const validateJson = require('../middleware/validateJson');
 
-// Generate a new invoice
-router.post('/generate', authenticateToken, invoiceController.generateInvoice);
+// Generate a new invoice (stored as a draft)
+router.post('/generate', validateJson, invoiceController.generateInvoice);
+
+// Tax breakdown for a set of charges, as it would appear on an invoice
+router.post('/tax/calculate', validateJson, invoiceController.calculateTax);
+
+// Get all invoices for a company, filterable by ?month=MMYYYY&status=draft|issued|paid|cancelled
+router.get('/', invoiceController.getInvoices);
 
 // Get invoice by ID
-router.get('/:invoiceId', authenticateToken, invoiceController.getInvoice);
-
-// Get all invoices for a company
-router.get('/', authenticateToken, (req, res) => {
-  // This would be implemented to return all invoices for the authenticated company
-  res.status(200).json({
-    success: true,
-    data: [],
-    message: 'List of invoices will be returned here'
-  });
-});
+router.get('/:invoiceId', invoiceController.getInvoice);
+
+// Download the stored invoice as a PDF
+router.get('/:invoiceId/pdf', invoiceController.getInvoicePdf);
+
+// Credit and debit notes raised against an invoice
+router.get('/:invoiceId/adjustments', invoiceController.getAdjustmentNotes);
+
+// Update a draft invoice
+router.put('/:invoiceId', validateJson, invoiceController.updateInvoice);
+
+// Issue, mark paid or cancel an invoice
+router.put('/:invoiceId/status', validateJson, invoiceController.updateInvoiceStatus);
 
 module.exports = router;
@@ -1,7 +1,19 @@
+const { v4: uuidv4 } = require('uuid');
 const AllocationDAL = require('../allocation/allocationDAL');
+const invoiceDAL = require('./invoiceDAL');
+const counterDAL = require('../utils/counterDAL');
+const { getNumberingContext, formatInvoiceNumber } = require('./invoiceNumbering');
+const { resolveTaxConfig, getTaxConfig, calculateTax } = require('./invoiceTax');
+const { priceAllocation } = require('../tariff/tariffService');
 const productionSiteDAL = require('../productionSite/productionSiteDAL');
 const consumptionSiteDAL = require('../consumptionSite/consumptionSiteDAL');
+const productionChargeDAL = require('../productionCharge/productionChargeDAL');
+const companyDAL = require('../company/companyDAL');
+const chargeCodeService = require('../chargeCode/chargeCodeService');
+const chargeApportionmentService = require('../chargeApportionment/chargeApportionmentService');
 const logger = require('../utils/logger');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { INVOICE_STATUS, INVOICE_STATUS_TRANSITIONS, INVOICE_DOCUMENT_TYPE, INVOICE_EDITABLE_FIELDS } = require('../constants/invoiceStatus');
 
 // Initialize DAL instance for allocation (since it's a class)
 const allocationDAL = new AllocationDAL();
@@ -60,8 +72,8 @@ const processAllocation = (alloc) => {
         cValues[cKey] = Math.round(Math.max(0, value)); // Ensure non-negative numbers
     });
     
-    // Calculate total allocation
-    const totalAllocation = Object.values(cValues).reduce((sum, val) => sum + val, 0);
+    // Calculate total allocation (the charge flag is not a unit count)
+    const totalAllocation = ['C1', 'C2', 'C3', 'C4', 'C5'].reduce((sum, key) => sum + cValues[key], 0);
     
     // Only include non-zero allocations
     if (totalAllocation > 0) {
@@ -80,12 +92,13 @@ const processAllocation = (alloc) => {
 };
 
 /**
- * Generate invoice data for a specific month and optional sites
+ * Generate invoice data for a company's month and optional sites
+ * @param {string} companyId - Company ID
  * @param {string} month - Month in YYYYMM format
  * @param {Array<string>} siteIds - Optional array of site IDs to filter by
  * @returns {Promise<Array>} Processed invoice data
  */
-const generateInvoiceData = async (month, siteIds = []) => {
+const generateInvoiceData = async (companyId, month, siteIds = []) => {
     try {
         // 1. Format the month to MMYYYY format expected by the database
         const monthStr = String(month);
@@ -95,7 +108,7 @@ const generateInvoiceData = async (month, siteIds = []) => {
         
         // 2. Get allocations and site data in parallel
         const [allocations, productionSites, consumptionSites] = await Promise.all([
-            allocationDAL.getAllocationsByMonth(formattedMonth),
+            allocationDAL.getAllocationsByMonth(formattedMonth, companyId),
             productionSiteDAL.getAllProductionSites(),
             consumptionSiteDAL.getAllConsumptionSites()
         ]);
@@ -153,6 +166,7 @@ const generateInvoiceData = async (month, siteIds = []) => {
                     productionSiteName: prodSite.name,
                     consumptionSiteId,
                     consumptionSiteName: consSite.name,
+                    consumptionSiteCompanyId: consSite.companyId,
                     cValues: { ...cValues }, // Ensure we return a new object
                     total
                 });
@@ -173,28 +187,138 @@ const generateInvoiceData = async (month, siteIds = []) => {
 };
 
 /**
- * Generate an invoice with the provided data
+ * Capture the data an invoice is rendered from, so the stored invoice (and any
+ * PDF produced from it) does not change when sites, allocations or charges are
+ * edited later.
+ * @param {string} companyId - Company ID
+ * @param {string} [productionSiteId] - Production site the invoice is raised for
+ * @param {string} month - Month in MMYYYY format
+ * @returns {Promise<Object>} { company, siteRows, oaCharges, chargeApportionment, taxConfig }
+ */
+const buildInvoiceSnapshot = async (companyId, productionSiteId, month) => {
+    const yearMonth = `${month.substring(2)}${month.substring(0, 2)}`;
+    const [company, invoiceItems, chargeRecord, chargeCodes, apportionment] = await Promise.all([
+        companyDAL.getCompanyById(companyId),
+        generateInvoiceData(companyId, yearMonth, productionSiteId ? [String(productionSiteId)] : []),
+        productionSiteId
+            ? productionChargeDAL.getItem(`${companyId}_${productionSiteId}`, month)
+            : Promise.resolve(null),
+        chargeCodeService.listChargeCodes({ month }),
+        productionSiteId
+            ? chargeApportionmentService.getInvoiceApportionment(companyId, productionSiteId, month)
+            : Promise.resolve(null)
+    ]);
+
+    const siteRows = await Promise.all(invoiceItems
+        .filter(item => !productionSiteId || String(item.productionSiteId) === String(productionSiteId))
+        .map(async item => {
+            const units = {
+                c1: item.cValues.C1,
+                c2: item.cValues.C2,
+                c3: item.cValues.C3,
+                c4: item.cValues.C4,
+                c5: item.cValues.C5
+            };
+            // Allocated units are priced from the tariff master; rows without a tariff stay unpriced
+            const pricing = await priceAllocation(month, {
+                companyId,
+                consumptionSiteId: item.consumptionSiteId,
+                shareholderCompanyId: item.consumptionSiteCompanyId
+            }, units);
+
+            return {
+                productionSiteId: item.productionSiteId,
+                productionSiteName: item.productionSiteName,
+                consumptionSiteId: item.consumptionSiteId,
+                consumptionSiteName: item.consumptionSiteName,
+                ...units,
+                total: item.total,
+                rates: pricing ? pricing.periods : null,
+                tariff: pricing ? pricing.tariff : null,
+                amount: pricing ? pricing.amount : null
+            };
+        }));
+
+    // Charge codes active in the month, as described and taxed by the charge-code master
+    const oaCharges = chargeCodes.map(({ code, description, taxable }) => ({
+        code,
+        description,
+        taxable,
+        amount: Number(chargeRecord?.[code.toLowerCase()] || 0)
+    }));
+
+    return {
+        company: company ? {
+            companyId: String(company.companyId),
+            name: company.companyName,
+            address: company.address || '',
+            emailId: company.emailId || '',
+            mobile: company.mobile || '',
+            gstin: company.gstin || ''
+        } : { companyId: String(companyId), name: '' },
+        siteRows,
+        oaCharges,
+        // How the site's charges split across the consumption sites it supplied
+        chargeApportionment: apportionment ? {
+            codes: apportionment.codes.map(({ code, appliedBasis }) => ({ code, basis: appliedBasis })),
+            shares: apportionment.shares.map(share => ({
+                consumptionSiteId: share.consumptionSiteId,
+                consumptionSiteName: share.consumptionSiteName,
+                units: share.units,
+                charges: share.charges,
+                total: share.total
+            })),
+            unapportioned: apportionment.unapportioned
+        } : null,
+        taxConfig: resolveTaxConfig(company)
+    };
+};
+
+/**
+ * Invoice fields derived from the tax calculation
+ * @param {Array} lineItems - Invoice line items; energy lines are exempt, charges are taxed unless marked exempt
+ * @param {Object} taxConfig - Tax configuration from resolveTaxConfig
+ * @returns {Object} Totals and tax breakdown to store on the invoice
+ */
+const buildTaxFields = (lineItems, taxConfig) => {
+    const breakdown = calculateTax(lineItems.filter(item => ['energy', 'charge'].includes(item.type)), taxConfig);
+    return {
+        subtotal: breakdown.subtotal,
+        taxableAmount: breakdown.taxableAmount,
+        exemptAmount: breakdown.exemptAmount,
+        supplyType: breakdown.supplyType,
+        taxLines: breakdown.taxLines,
+        tax: {
+            amount: breakdown.totalTax
+        },
+        roundOff: breakdown.roundOff,
+        total: breakdown.total
+    };
+};
+
+/**
+ * Generate an invoice with the provided data and store it as a draft
  * @param {Object} params - Invoice generation parameters
  * @param {string} params.companyId - Company ID
  * @param {string} params.month - Month in MM format (01-12)
  * @param {string} params.year - Year in YYYY format
- * @param {Array} params.allocations - Array of allocation records
  * @param {Array} params.charges - Array of charge records
- * @returns {Promise<Object>} Generated invoice data
+ * @param {string} [params.createdBy] - Username of the user generating the invoice
+ * @returns {Promise<Object>} Stored invoice record
  */
-const generateInvoice = async ({ companyId, month, year, allocations = [], charges = [] }) => {
+const generateInvoice = async ({ companyId, productionSiteId, month, year, charges = [], createdBy = null }) => {
     try {
         // Validate input
         if (!companyId || !month || !year) {
-            throw new Error('Missing required parameters: companyId, month, and year are required');
+            throw new ValidationError('Missing required parameters: companyId, month, and year are required');
         }
 
         // Format month to ensure it's 2 digits
         const formattedMonth = String(month).padStart(2, '0');
         const period = `${year}${formattedMonth}`;
 
-        // Calculate invoice number (format: INV-YYYYMM-XXXXX where XXXXX is a random number)
-        const invoiceNumber = `INV-${period}-${Math.floor(10000 + Math.random() * 90000)}`;
+        // Drafts are unnumbered; the sequential number is assigned when the invoice is issued
+        const invoiceNumber = null;
         
         // Calculate invoice date (current date)
         const invoiceDate = new Date().toISOString().split('T')[0];
@@ -204,35 +328,58 @@ const generateInvoice = async ({ companyId, month, year, allocations = [], charg
         dueDate.setDate(dueDate.getDate() + 30);
         const formattedDueDate = dueDate.toISOString().split('T')[0];
 
-        // Process allocations and charges to calculate totals
-        const totalAllocation = allocations.reduce((sum, alloc) => sum + (Number(alloc.allocation) || 0), 0);
-        const totalCharges = charges.reduce((sum, charge) => sum + (Number(charge.amount) || 0), 0);
+        const { company, siteRows, oaCharges, chargeApportionment, taxConfig } = await buildInvoiceSnapshot(
+            companyId,
+            productionSiteId,
+            `${formattedMonth}${year}`
+        );
 
-        // Calculate tax (assuming 18% GST for example)
-        const taxRate = 0.18;
-        const taxAmount = totalCharges * taxRate;
-        const totalAmount = totalCharges + taxAmount;
+        // Without explicit charges, bill the OA adjustment charges recorded for the site
+        if (charges.length === 0) {
+            charges = oaCharges
+                .filter(charge => charge.amount !== 0)
+                .map(charge => ({
+                    code: charge.code,
+                    description: `${charge.code} - ${charge.description}`,
+                    amount: charge.amount
+                }));
+        }
+        const nonTaxableCodes = oaCharges.filter(charge => charge.taxable === false).map(charge => charge.code);
 
-        // Prepare line items (combining allocations and charges)
+        // Prepare line items: allocated energy priced from the tariff master, then charges.
+        // Supply of electricity is outside GST, so energy lines are always exempt, as are
+        // charges whose code the charge-code master marks as not taxable.
         const lineItems = [
-            ...allocations.map(alloc => ({
-                type: 'allocation',
-                description: `Allocation for ${alloc.productionSiteName || 'Site'}`,
-                quantity: 1,
-                unitPrice: alloc.allocation,
-                amount: alloc.allocation
+            ...siteRows.map(row => ({
+                type: 'energy',
+                description: `Energy from ${row.productionSiteName} to ${row.consumptionSiteName}`,
+                productionSiteId: row.productionSiteId,
+                consumptionSiteId: row.consumptionSiteId,
+                quantity: row.total,
+                periods: row.rates,
+                tariff: row.tariff,
+                unpriced: row.amount === null,
+                exempt: true,
+                amount: row.amount || 0
             })),
             ...charges.map(charge => ({
                 type: 'charge',
+                code: charge.code,
                 description: charge.description || 'Service Charge',
                 quantity: charge.quantity || 1,
                 unitPrice: charge.unitPrice || charge.amount,
+                exempt: Boolean(charge.exempt) || nonTaxableCodes.includes(String(charge.code || '').toUpperCase()),
                 amount: charge.amount
             }))
         ];
 
+        // Tax is charged on the charge lines using the company's tax configuration
+        const taxFields = buildTaxFields(lineItems, taxConfig);
+
         // Prepare the invoice object
         const invoice = {
+            invoiceId: uuidv4(),
+            documentType: INVOICE_DOCUMENT_TYPE.INVOICE,
             invoiceNumber,
             invoiceDate,
             dueDate: formattedDueDate,
@@ -241,31 +388,36 @@ const generateInvoice = async ({ companyId, month, year, allocations = [], charg
                 year,
                 display: `${getMonthName(parseInt(formattedMonth, 10))} ${year}`
             },
+            month: `${formattedMonth}${year}`,
             companyId,
-            status: 'generated',
+            productionSiteId: productionSiteId ? String(productionSiteId) : undefined,
+            company,
+            siteRows,
+            oaCharges,
+            chargeApportionment,
             lineItems,
-            subtotal: totalCharges,
-            tax: {
-                rate: taxRate * 100, // Convert to percentage
-                amount: taxAmount
-            },
-            total: totalAmount,
+            taxConfig,
+            ...taxFields,
             currency: 'INR',
             metadata: {
-                allocationsCount: allocations.length,
+                siteRowsCount: siteRows.length,
+                unpricedRowsCount: siteRows.filter(row => row.amount === null).length,
                 chargesCount: charges.length,
                 generatedAt: new Date().toISOString()
-            }
+            },
+            createdBy
         };
 
-        logger.info(`Generated invoice ${invoiceNumber} for company ${companyId}`, {
-            invoiceNumber,
+        const stored = await invoiceDAL.createInvoice(invoice);
+
+        logger.info(`Generated draft invoice ${stored.invoiceId} for company ${companyId}`, {
+            invoiceId: stored.invoiceId,
             companyId,
             period,
-            totalAmount
+            totalAmount: taxFields.total
         });
 
-        return invoice;
+        return stored;
 
     } catch (error) {
         logger.error('Error in generateInvoice service:', {
@@ -277,6 +429,259 @@ const generateInvoice = async ({ companyId, month, year, allocations = [], charg
     }
 };
 
+/**
+ * Get a stored invoice
+ * @param {string} companyId - Company ID
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<Object>} Invoice record
+ */
+const getInvoice = async (companyId, invoiceId) => {
+    if (!companyId || !invoiceId) {
+        throw new ValidationError('companyId and invoiceId are required');
+    }
+
+    const invoice = await invoiceDAL.getInvoice(companyId, invoiceId);
+    if (!invoice) {
+        throw new NotFoundError(`Invoice ${invoiceId} not found`);
+    }
+    return invoice;
+};
+
+/**
+ * List invoices for a company, newest first
+ * @param {string} companyId - Company ID
+ * @param {Object} [filters]
+ * @param {string} [filters.month] - Month in MMYYYY format
+ * @param {string} [filters.status] - One of INVOICE_STATUS
+ * @returns {Promise<Array>} Invoice records
+ */
+const listInvoices = async (companyId, { month, status } = {}) => {
+    if (!companyId) {
+        throw new ValidationError('companyId is required');
+    }
+    if (status && !Object.values(INVOICE_STATUS).includes(status)) {
+        throw new ValidationError(`Invalid status: ${status}`);
+    }
+
+    const invoices = await invoiceDAL.getInvoicesByCompany(companyId, { month, status });
+    return invoices.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+};
+
+/**
+ * Update a draft invoice. Issued, paid and cancelled invoices are immutable.
+ * @param {string} companyId - Company ID
+ * @param {string} invoiceId - Invoice ID
+ * @param {Object} updates - Fields to change; only INVOICE_EDITABLE_FIELDS are accepted
+ * @param {number} [expectedVersion] - Optimistic locking version
+ * @returns {Promise<Object>} Updated invoice
+ */
+const updateDraftInvoice = async (companyId, invoiceId, updates, expectedVersion) => {
+    const unknownFields = Object.keys(updates || {}).filter(field => !INVOICE_EDITABLE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+        throw new ValidationError(`These fields cannot be changed on an invoice: ${unknownFields.join(', ')}`);
+    }
+    if (updates.lineItems !== undefined && !Array.isArray(updates.lineItems)) {
+        throw new ValidationError('lineItems must be an array');
+    }
+
+    const existing = await getInvoice(companyId, invoiceId);
+    if (existing.status !== INVOICE_STATUS.DRAFT) {
+        throw new ConflictError(`Invoice ${invoiceId} is ${existing.status} and can no longer be modified`);
+    }
+
+    // Changed line items invalidate the stored totals, so recalculate them
+    if (Array.isArray(updates.lineItems)) {
+        const taxConfig = existing.taxConfig || await getTaxConfig(companyId);
+        updates = { ...updates, taxConfig, ...buildTaxFields(updates.lineItems, taxConfig) };
+    }
+
+    try {
+        return await invoiceDAL.updateDraft(companyId, invoiceId, updates, expectedVersion);
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            throw new ConflictError(`Invoice ${invoiceId} was modified or issued by another request`);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Move an invoice through its lifecycle (draft -> issued -> paid, or cancelled)
+ * @param {string} companyId - Company ID
+ * @param {string} invoiceId - Invoice ID
+ * @param {string} toStatus - Target status
+ * @param {Object} [options]
+ * @param {string} [options.changedBy] - Username making the change
+ * @param {string} [options.reason] - Cancellation reason
+ * @returns {Promise<Object>} Updated invoice
+ */
+const changeInvoiceStatus = async (companyId, invoiceId, toStatus, { changedBy = null, reason } = {}) => {
+    if (!Object.values(INVOICE_STATUS).includes(toStatus)) {
+        throw new ValidationError(`Invalid status: ${toStatus}`);
+    }
+
+    const existing = await getInvoice(companyId, invoiceId);
+    const allowed = INVOICE_STATUS_TRANSITIONS[existing.status] || [];
+    if (!allowed.includes(toStatus)) {
+        throw new ConflictError(`Cannot change invoice ${invoiceId} from ${existing.status} to ${toStatus}`);
+    }
+    if (toStatus === INVOICE_STATUS.CANCELLED && !reason) {
+        throw new ValidationError('A reason is required to cancel an invoice');
+    }
+
+    if (toStatus === INVOICE_STATUS.ISSUED) {
+        return issueInvoice(existing, changedBy);
+    }
+
+    const now = new Date().toISOString();
+    const extraFields = {
+        ...(toStatus === INVOICE_STATUS.PAID && { paidAt: now }),
+        ...(toStatus === INVOICE_STATUS.CANCELLED && { cancelledAt: now, cancellationReason: reason })
+    };
+
+    try {
+        const updated = await invoiceDAL.updateStatus(companyId, invoiceId, existing.status, toStatus, extraFields, changedBy);
+        logger.info(`Invoice ${invoiceId} moved from ${existing.status} to ${toStatus}`, { companyId, changedBy });
+        return updated;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            throw new ConflictError(`Invoice ${invoiceId} status changed concurrently, please reload`);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Build a draft credit or debit note against an issued invoice, without storing
+ * it. The note carries the unit and amount change for one allocation; it is
+ * issued (and numbered in the CN/DN series) through the normal status change.
+ * @param {Object} original - Issued or paid invoice being adjusted
+ * @param {Object} adjustment
+ * @param {Object} adjustment.siteRow - Signed unit changes { productionSiteId, consumptionSiteId, names, c1..c5, total, rates, tariff, amount }
+ * @param {Object} adjustment.allocationKey - { pk, sk } of the changed allocation
+ * @param {string} [adjustment.reason] - Why the note was raised
+ * @param {string} [createdBy] - Username of the user whose change triggered the note
+ * @returns {Promise<Object>} Note, to store with invoiceDAL.createInvoice or buildCreatePut
+ */
+const buildAdjustmentNote = async (original, { siteRow, allocationKey, reason }, createdBy = null) => {
+    const amountDelta = Number(siteRow.amount || 0);
+    const documentType = amountDelta < 0 || (amountDelta === 0 && siteRow.total < 0)
+        ? INVOICE_DOCUMENT_TYPE.CREDIT_NOTE
+        : INVOICE_DOCUMENT_TYPE.DEBIT_NOTE;
+
+    // Note amounts are positive; the document type says which way they go
+    const lineItems = [{
+        type: 'energy',
+        description: `Allocation change from ${siteRow.productionSiteName} to ${siteRow.consumptionSiteName}`,
+        productionSiteId: siteRow.productionSiteId,
+        consumptionSiteId: siteRow.consumptionSiteId,
+        quantity: Math.abs(siteRow.total),
+        periods: siteRow.rates,
+        tariff: siteRow.tariff,
+        unpriced: siteRow.amount === null,
+        exempt: true,
+        amount: Math.abs(amountDelta)
+    }];
+    const taxConfig = original.taxConfig || await getTaxConfig(original.companyId);
+
+    return {
+        invoiceId: uuidv4(),
+        documentType,
+        invoiceNumber: null,
+        originalInvoiceId: original.invoiceId,
+        originalInvoiceNumber: original.invoiceNumber,
+        invoiceDate: new Date().toISOString().split('T')[0],
+        period: original.period,
+        month: original.month,
+        companyId: original.companyId,
+        productionSiteId: original.productionSiteId,
+        company: original.company,
+        siteRows: [siteRow],
+        oaCharges: [],
+        allocationKey,
+        unitsDelta: siteRow.total,
+        amountDelta,
+        reason: reason || 'Allocation changed after billing',
+        lineItems,
+        taxConfig,
+        ...buildTaxFields(lineItems, taxConfig),
+        currency: 'INR',
+        createdBy
+    };
+};
+
+/**
+ * Credit and debit notes raised against an invoice, oldest first
+ * @param {string} companyId - Company ID
+ * @param {string} invoiceId - Original invoice ID
+ * @returns {Promise<Array>} Notes
+ */
+const listAdjustmentNotes = async (companyId, invoiceId) => {
+    const original = await getInvoice(companyId, invoiceId);
+    const documents = await invoiceDAL.getInvoicesByCompany(companyId, { month: original.month });
+    return documents
+        .filter(document => document.originalInvoiceId === invoiceId)
+        .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+};
+
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+/**
+ * Issue a draft invoice with the next number in its company/financial-year sequence,
+ * taking the financial year from the issue date.
+ * The counter increment and the status change are committed in one transaction,
+ * so a failed issue never leaves a gap and two concurrent issues never share a number.
+ * @param {Object} invoice - Stored draft invoice
+ * @param {string} [changedBy] - Username issuing the invoice
+ * @returns {Promise<Object>} Issued invoice
+ */
+const issueInvoice = async (invoice, changedBy = null) => {
+    const { companyId, invoiceId, documentType } = invoice;
+    const issuedAt = new Date();
+    const { scheme, financialYear, counterId } = await getNumberingContext(companyId, issuedAt, documentType);
+
+    for (let attempt = 1; attempt <= MAX_NUMBERING_ATTEMPTS; attempt++) {
+        const currentValue = await counterDAL.getCurrentValue(counterId);
+        const sequenceNumber = currentValue + 1;
+        const invoiceNumber = formatInvoiceNumber(scheme, financialYear, sequenceNumber);
+
+        try {
+            const issued = await invoiceDAL.issueWithNumber(
+                companyId,
+                invoiceId,
+                counterDAL.buildIncrementTransactItem(counterId, currentValue),
+                {
+                    invoiceNumber,
+                    financialYear,
+                    sequenceNumber,
+                    issuedAt: issuedAt.toISOString(),
+                    issuedBy: changedBy
+                },
+                changedBy
+            );
+            logger.info(`Issued invoice ${invoiceId} as ${invoiceNumber}`, { companyId, changedBy });
+            return issued;
+        } catch (error) {
+            if (error.name !== 'TransactionCanceledException') {
+                throw error;
+            }
+
+            // CancellationReasons follow TransactItems order: [counter, invoice]
+            const [counterReason, invoiceReason] = error.CancellationReasons || [];
+            if (invoiceReason?.Code === 'ConditionalCheckFailed') {
+                throw new ConflictError(`Invoice ${invoiceId} status changed concurrently, please reload`);
+            }
+            if (counterReason?.Code !== 'ConditionalCheckFailed') {
+                throw error;
+            }
+
+            logger.warn(`Invoice counter ${counterId} moved during issue, retrying`, { attempt, invoiceId });
+        }
+    }
+
+    throw new ConflictError('Could not allocate an invoice number, please try again');
+};
+
 /**
  * Helper function to get month name from month number
  * @param {number} month - Month number (1-12)
@@ -290,8 +695,37 @@ function getMonthName(month) {
     return months[month - 1] || '';
 }
 
+/**
+ * Tax breakdown for a set of charges under a company's tax configuration. This
+ * is the calculation stored on invoices, exposed so screens can show the same figures.
+ * @param {string} companyId - Company ID
+ * @param {Array} charges - [{ code, amount }]
+ * @returns {Promise<Object>} Result of calculateTax
+ */
+const calculateInvoiceTax = async (companyId, charges) => {
+    if (!companyId) {
+        throw new ValidationError('companyId is required');
+    }
+    if (!Array.isArray(charges)) {
+        throw new ValidationError('charges must be an array');
+    }
+    const invalid = charges.find(charge => !Number.isFinite(Number(charge?.amount)));
+    if (invalid) {
+        throw new ValidationError(`Invalid amount for charge ${invalid?.code || ''}`.trim());
+    }
+
+    return calculateTax(charges, await getTaxConfig(companyId));
+};
+
 module.exports = {
     generateInvoiceData,
     generateInvoice,
+    getInvoice,
+    listInvoices,
+    updateDraftInvoice,
+    changeInvoiceStatus,
+    calculateInvoiceTax,
+    buildAdjustmentNote,
+    listAdjustmentNotes,
     getCValue  // Export for testing
 };
@@ -0,0 +1,107 @@
+const invoiceDAL = require('./invoiceDAL');
+const counterDAL = require('../utils/counterDAL');
+const companyDAL = require('../company/companyDAL');
+const invoiceService = require('./invoiceService');
+const { INVOICE_STATUS } = require('../constants/invoiceStatus');
+
+jest.mock('../utils/logger');
+
+const cancelled = (...codes) => Object.assign(new Error('Transaction cancelled'), {
+    name: 'TransactionCanceledException',
+    CancellationReasons: codes.map(Code => ({ Code }))
+});
+
+describe('issuing invoices', () => {
+    let counters;
+    let invoices;
+
+    // Mirrors the transaction: the counter moves from :current to :next only
+    // when it still holds :current, together with the invoice leaving draft
+    const issueWithNumber = async (companyId, invoiceId, counterItem, fields) => {
+        const { Key, ExpressionAttributeValues } = counterItem.Update;
+        const invoice = invoices[invoiceId];
+        const counterMatches = (counters[Key.pk] || 0) === ExpressionAttributeValues[':current'];
+        const invoiceMatches = invoice.status === INVOICE_STATUS.DRAFT;
+        if (!counterMatches || !invoiceMatches) {
+            throw cancelled(counterMatches ? 'None' : 'ConditionalCheckFailed', invoiceMatches ? 'None' : 'ConditionalCheckFailed');
+        }
+        counters[Key.pk] = ExpressionAttributeValues[':next'];
+        invoices[invoiceId] = { ...invoice, ...fields, status: INVOICE_STATUS.ISSUED };
+        return invoices[invoiceId];
+    };
+
+    const issue = (invoiceId) => invoiceService.changeInvoiceStatus('1', invoiceId, INVOICE_STATUS.ISSUED, { changedBy: 'tester' });
+
+    beforeEach(() => {
+        counters = {};
+        invoices = Object.fromEntries(['a', 'b', 'c'].map(invoiceId => [
+            invoiceId,
+            { companyId: '1', invoiceId, status: INVOICE_STATUS.DRAFT, documentType: 'invoice' }
+        ]));
+        jest.useFakeTimers({ now: new Date(2025, 5, 15) });
+        jest.spyOn(companyDAL, 'getCompanyById').mockResolvedValue({ companyId: 1 });
+        jest.spyOn(counterDAL, 'getCurrentValue').mockImplementation(async (counterId) => counters[counterId] || 0);
+        jest.spyOn(invoiceDAL, 'getInvoice').mockImplementation(async (companyId, invoiceId) => invoices[invoiceId]);
+        jest.spyOn(invoiceDAL, 'issueWithNumber').mockImplementation(issueWithNumber);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('numbers issued invoices one after another without gaps', async () => {
+        const numbers = [];
+        for (const invoiceId of ['a', 'b', 'c']) {
+            numbers.push((await issue(invoiceId)).invoiceNumber);
+        }
+
+        expect(numbers).toEqual(['INV/001/2025-26/0001', 'INV/001/2025-26/0002', 'INV/001/2025-26/0003']);
+        expect(counters['INVOICE#1#2025-2026']).toBe(3);
+    });
+
+    it('does not use up a number when the invoice cannot be issued', async () => {
+        invoiceDAL.issueWithNumber.mockRejectedValueOnce(new Error('Network error'));
+
+        await expect(issue('a')).rejects.toThrow('Network error');
+        const issued = await issue('b');
+
+        expect(issued.invoiceNumber).toBe('INV/001/2025-26/0001');
+    });
+
+    it('starts a new series when the issue date enters a new financial year', async () => {
+        jest.setSystemTime(new Date(2026, 2, 31));
+        const march = await issue('a');
+        jest.setSystemTime(new Date(2026, 3, 1));
+        const april = await issue('b');
+
+        expect(march).toMatchObject({ invoiceNumber: 'INV/001/2025-26/0001', financialYear: '2025-2026', sequenceNumber: 1 });
+        expect(april).toMatchObject({ invoiceNumber: 'INV/001/2026-27/0001', financialYear: '2026-2027', sequenceNumber: 1 });
+    });
+
+    it('retries with the next number when another issue moves the counter first', async () => {
+        invoiceDAL.issueWithNumber.mockImplementationOnce(async (...args) => {
+            counters['INVOICE#1#2025-2026'] = 1;
+            return issueWithNumber(...args);
+        });
+
+        const issued = await issue('a');
+
+        expect(issued.invoiceNumber).toBe('INV/001/2025-26/0002');
+        expect(invoiceDAL.issueWithNumber).toHaveBeenCalledTimes(2);
+    });
+
+    it('gives up with a conflict when the counter keeps moving', async () => {
+        invoiceDAL.issueWithNumber.mockRejectedValue(cancelled('ConditionalCheckFailed', 'None'));
+
+        await expect(issue('a')).rejects.toMatchObject({ statusCode: 409 });
+        expect(invoiceDAL.issueWithNumber).toHaveBeenCalledTimes(5);
+    });
+
+    it('reports a conflict without retrying when the invoice left draft meanwhile', async () => {
+        invoiceDAL.issueWithNumber.mockRejectedValueOnce(cancelled('None', 'ConditionalCheckFailed'));
+
+        await expect(issue('a')).rejects.toMatchObject({ statusCode: 409 });
+        expect(invoiceDAL.issueWithNumber).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,194 @@
+const companyDAL = require('../company/companyDAL');
+
+const SUPPLY_TYPE = {
+    INTRA_STATE: 'intra-state',
+    INTER_STATE: 'inter-state'
+};
+
+// Used when a company has no taxConfig settings of its own
+const DEFAULT_TAX_CONFIG = {
+    defaultRate: 18,
+    chargeRates: {},
+    exemptCodes: [],
+    supplierStateCode: null,
+    placeOfSupplyStateCode: null,
+    roundToRupee: true
+};
+
+const STATE_CODE_PATTERN = /^\d{2}$/;
+const CHARGE_CODE_PATTERN = /^C\d{3}$/;
+
+const isValidRate = (rate) => {
+    const value = Number(rate);
+    return rate !== null && rate !== '' && Number.isFinite(value) && value >= 0 && value <= 100;
+};
+
+const roundTo = (value, decimals) => {
+    const factor = 10 ** decimals;
+    return Math.round((Number(value) + Number.EPSILON) * factor) / factor;
+};
+
+/**
+ * Validate a taxConfig settings object supplied through the company API
+ * @param {Object} config - Tax settings
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+const validateTaxConfig = (config) => {
+    const errors = [];
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return ['taxConfig must be an object'];
+    }
+    if (config.defaultRate !== undefined && !isValidRate(config.defaultRate)) {
+        errors.push('defaultRate must be a number between 0 and 100');
+    }
+    if (config.chargeRates !== undefined) {
+        if (!config.chargeRates || typeof config.chargeRates !== 'object' || Array.isArray(config.chargeRates)) {
+            errors.push('chargeRates must be an object keyed by charge code');
+        } else {
+            Object.entries(config.chargeRates).forEach(([code, rate]) => {
+                if (!CHARGE_CODE_PATTERN.test(code)) {
+                    errors.push(`chargeRates key ${code} is not a charge code (e.g. C001)`);
+                } else if (!isValidRate(rate)) {
+                    errors.push(`chargeRates.${code} must be a number between 0 and 100`);
+                }
+            });
+        }
+    }
+    if (config.exemptCodes !== undefined) {
+        if (!Array.isArray(config.exemptCodes)) {
+            errors.push('exemptCodes must be an array of charge codes');
+        } else {
+            config.exemptCodes
+                .filter(code => !CHARGE_CODE_PATTERN.test(code))
+                .forEach(code => errors.push(`exemptCodes entry ${code} is not a charge code (e.g. C001)`));
+        }
+    }
+    ['supplierStateCode', 'placeOfSupplyStateCode'].forEach(field => {
+        if (config[field] !== undefined && config[field] !== null && !STATE_CODE_PATTERN.test(String(config[field]))) {
+            errors.push(`${field} must be a two-digit GST state code`);
+        }
+    });
+    if (config.roundToRupee !== undefined && typeof config.roundToRupee !== 'boolean') {
+        errors.push('roundToRupee must be true or false');
+    }
+    return errors;
+};
+
+/**
+ * Merge a company's taxConfig over the defaults. Without an explicit supplier
+ * state the first two digits of the company GSTIN are used.
+ * @param {Object} company - Company record
+ * @returns {Object} Complete tax configuration
+ */
+const resolveTaxConfig = (company) => {
+    const config = { ...DEFAULT_TAX_CONFIG, ...(company?.taxConfig || {}) };
+    const gstinState = company?.gstin ? String(company.gstin).substring(0, 2) : null;
+    return {
+        ...config,
+        defaultRate: Number(config.defaultRate),
+        chargeRates: { ...config.chargeRates },
+        exemptCodes: [...config.exemptCodes],
+        supplierStateCode: config.supplierStateCode || (STATE_CODE_PATTERN.test(gstinState) ? gstinState : null)
+    };
+};
+
+/**
+ * Resolve the tax configuration for a company, falling back to defaults
+ * @param {string|number} companyId - Company ID
+ * @returns {Promise<Object>} Complete tax configuration
+ */
+const getTaxConfig = async (companyId) => {
+    const company = await companyDAL.getCompanyById(companyId);
+    return resolveTaxConfig(company);
+};
+
+/**
+ * Supply is inter-state (IGST) only when both states are known and differ;
+ * otherwise it is treated as intra-state (CGST + SGST).
+ */
+const getSupplyType = (config) => {
+    const { supplierStateCode, placeOfSupplyStateCode } = config;
+    return supplierStateCode && placeOfSupplyStateCode && supplierStateCode !== placeOfSupplyStateCode
+        ? SUPPLY_TYPE.INTER_STATE
+        : SUPPLY_TYPE.INTRA_STATE;
+};
+
+/**
+ * Calculate GST for a set of charges. Charges are grouped by rate and tax is
+ * worked out once per rate, so per-line rounding never adds up to a different
+ * total. With roundToRupee each tax line is rounded to the rupee and the grand
+ * total carries the round-off of the charges themselves.
+ * @param {Array} charges - [{ code, amount, exempt }]; `exempt` marks lines outside GST
+ * @param {Object} config - Tax configuration from resolveTaxConfig
+ * @returns {Object} { supplyType, lines, subtotal, taxableAmount, exemptAmount, taxLines, totalTax, roundOff, total }
+ */
+const calculateTax = (charges = [], config = DEFAULT_TAX_CONFIG) => {
+    const decimals = config.roundToRupee ? 0 : 2;
+    const supplyType = getSupplyType(config);
+
+    const lines = charges.map(charge => {
+        const code = charge.code ? String(charge.code).toUpperCase() : null;
+        const exempt = Boolean(charge.exempt) || Boolean(code && config.exemptCodes.includes(code));
+        const rate = exempt
+            ? 0
+            : Number(code && config.chargeRates[code] !== undefined ? config.chargeRates[code] : config.defaultRate);
+        return { code, amount: roundTo(Number(charge.amount) || 0, 2), rate, exempt };
+    });
+
+    const subtotal = roundTo(lines.reduce((sum, line) => sum + line.amount, 0), 2);
+    const exemptAmount = roundTo(lines.filter(line => line.exempt).reduce((sum, line) => sum + line.amount, 0), 2);
+
+    const taxableByRate = new Map();
+    lines
+        .filter(line => !line.exempt && line.rate > 0)
+        .forEach(line => taxableByRate.set(line.rate, (taxableByRate.get(line.rate) || 0) + line.amount));
+
+    const taxLines = [];
+    [...taxableByRate.entries()]
+        .sort(([rateA], [rateB]) => rateA - rateB)
+        .forEach(([rate, taxable]) => {
+            const taxableAmount = roundTo(taxable, 2);
+            if (supplyType === SUPPLY_TYPE.INTER_STATE) {
+                taxLines.push({
+                    type: 'IGST',
+                    label: 'IGST',
+                    rate,
+                    taxableAmount,
+                    amount: roundTo(taxableAmount * rate / 100, decimals)
+                });
+            } else {
+                const halfRate = rate / 2;
+                const halfAmount = roundTo(taxableAmount * halfRate / 100, decimals);
+                taxLines.push(
+                    { type: 'CGST', label: 'CGST', rate: halfRate, taxableAmount, amount: halfAmount },
+                    { type: 'SGST', label: 'SGST', rate: halfRate, taxableAmount, amount: halfAmount }
+                );
+            }
+        });
+
+    const taxableAmount = roundTo(subtotal - exemptAmount, 2);
+    const totalTax = roundTo(taxLines.reduce((sum, line) => sum + line.amount, 0), 2);
+    const unrounded = roundTo(subtotal + totalTax, 2);
+    const total = roundTo(unrounded, decimals);
+
+    return {
+        supplyType,
+        lines,
+        subtotal,
+        taxableAmount,
+        exemptAmount,
+        taxLines,
+        totalTax,
+        roundOff: roundTo(total - unrounded, 2),
+        total
+    };
+};
+
+module.exports = {
+    SUPPLY_TYPE,
+    DEFAULT_TAX_CONFIG,
+    validateTaxConfig,
+    resolveTaxConfig,
+    getTaxConfig,
+    calculateTax
+};
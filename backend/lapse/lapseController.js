@@ -1,6 +1,7 @@
 const logger = require('../utils/logger');
 const { ALL_PERIODS } = require('../constants/periods');
 const lapseService = require('../services/lapseService');
+const lapseAnalyticsService = require('../services/lapseAnalyticsService');
 
 // Get all lapses for a specific PK (companyId_productionSiteId)
 exports.getLapsesByPk = async (req, res) => {
@@ -195,4 +196,26 @@ exports.deleteLapse = async (req, res) => {
             message: error.message || 'Internal server error'
         });
     }
-};
\ No newline at end of file
+};
+
+// Lapse analytics: ?companyId=&financialYear=2024-25 (or fromMonth=&toMonth= MMYYYY)&productionSiteId=
+exports.getLapseAnalytics = async (req, res) => {
+    try {
+        const { financialYear, fromMonth, toMonth, productionSiteId } = req.query;
+        const analytics = await lapseAnalyticsService.getLapseAnalytics(
+            req.query.companyId || req.user?.companyId,
+            { financialYear, fromMonth, toMonth, productionSiteId }
+        );
+        res.json({
+            success: true,
+            data: analytics
+        });
+    } catch (error) {
+        logger.error('[LapseController] Analytics Error:', error);
+        const statusCode = error.statusCode || 500;
+        res.status(statusCode).json({
+            success: false,
+            message: statusCode === 500 ? 'Error calculating lapse analytics' : error.message
+        });
+    }
+};
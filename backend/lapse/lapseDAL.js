@@ -172,6 +172,31 @@ class LapseDAL {
         }
     }
 
+    async getLapsesByCompany(companyId) {
+        try {
+            if (!companyId) {
+                throw new Error('companyId is required');
+            }
+
+            const items = [];
+            let lastEvaluatedKey;
+            do {
+                const response = await docClient.send(new ScanCommand({
+                    TableName: this.tableName,
+                    FilterExpression: 'begins_with(pk, :companyPrefix)',
+                    ExpressionAttributeValues: { ':companyPrefix': `${companyId}_` },
+                    ExclusiveStartKey: lastEvaluatedKey
+                }));
+                items.push(...(response.Items || []));
+                lastEvaluatedKey = response.LastEvaluatedKey;
+            } while (lastEvaluatedKey);
+            return items;
+        } catch (error) {
+            logger.error(`[LapseDAL] Error fetching lapses by company: ${error.message}`, { companyId });
+            throw error;
+        }
+    }
+
     async getLapsesByProductionSite(companyId, productionSiteId, fromMonth, toMonth) {
         try {
             if (!companyId || !productionSiteId) {
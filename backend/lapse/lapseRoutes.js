@@ -7,6 +7,9 @@ const validateJson = require('../middleware/validateJson');
 // Get all lapse records
 router.get('/', lapseController.getAllLapse);
 
+// Lapsed units by site, period, generator type and reason, with the avoidable share
+router.get('/analytics', lapseController.getLapseAnalytics);
+
 // Get all lapses for a specific PK (companyId_productionSiteId)
 router.get('/:pk', lapseController.getLapsesByPk);
 
@@ -0,0 +1,50 @@
+const meterReadingImportService = require('./meterReadingImportService');
+const logger = require('../utils/logger');
+const { resolveCompanyId } = require('../utils/requestCompany');
+
+const sendError = (res, error, fallbackMessage) => {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+        success: false,
+        message: statusCode === 500 ? fallbackMessage : error.message,
+        error: statusCode === 500 ? error.message : undefined
+    });
+};
+
+/**
+ * Preview a DISCOM/SLDC energy statement: body { rows, month }, where rows are
+ * the sheet rows keyed by column heading. Nothing is written.
+ */
+exports.previewImport = async (req, res) => {
+    try {
+        const preview = await meterReadingImportService.previewImport(resolveCompanyId(req), req.body);
+        res.json({
+            success: true,
+            data: preview
+        });
+    } catch (error) {
+        logger.error('[MeterReadingController] Preview Error:', error);
+        sendError(res, error, 'Error previewing meter readings');
+    }
+};
+
+/**
+ * Write the new and changed production and consumption units of a statement:
+ * body { rows, month, versions }. Send an Idempotency-Key header so a retried
+ * import is applied once.
+ */
+exports.importReadings = async (req, res) => {
+    try {
+        const result = await meterReadingImportService.importReadings(resolveCompanyId(req), req.body, {
+            idempotencyKey: req.get('Idempotency-Key')
+        });
+        res.json({
+            success: true,
+            message: `Imported ${result.created} new and ${result.updated} changed reading(s)`,
+            data: result
+        });
+    } catch (error) {
+        logger.error('[MeterReadingController] Import Error:', error);
+        sendError(res, error, 'Error importing meter readings');
+    }
+};
@@ -0,0 +1,325 @@
+const { v4: uuidv4 } = require('uuid');
+const productionUnitDAL = require('../productionUnit/productionUnitDAL');
+const consumptionUnitDAL = require('../consumptionUnit/consumptionUnitDAL');
+const productionSiteDAL = require('../productionSite/productionSiteDAL');
+const consumptionSiteDAL = require('../consumptionSite/consumptionSiteDAL');
+const TableNames = require('../constants/tableNames');
+const { ALL_PERIODS } = require('../constants/periods');
+const { buildVersionedPut, commitTransactions } = require('../utils/transactWrite');
+const { ValidationError } = require('../utils/errors');
+const { createColumnMapper, normalizeHtsc, normalizeMonth, parseFigure } = require('../utils/statementRows');
+const logger = require('../utils/logger');
+
+// Rows accepted in one statement; a month's statement has one row per service connection
+const MAX_ROWS = 300;
+
+const SITE_TYPE = {
+    PRODUCTION: 'production',
+    CONSUMPTION: 'consumption'
+};
+
+const IMPORT_FIELDS = ALL_PERIODS.map(period => `import_${period}`);
+const EXPORT_FIELDS = ALL_PERIODS.map(period => `export_${period}`);
+
+// Figures compared against the stored record for each site type
+const READING_FIELDS = {
+    [SITE_TYPE.PRODUCTION]: [...IMPORT_FIELDS, ...EXPORT_FIELDS],
+    [SITE_TYPE.CONSUMPTION]: ALL_PERIODS
+};
+
+const mapColumns = createColumnMapper({
+    htscNo: ['htscno', 'htsc', 'htscnumber', 'serviceno', 'servicenumber', 'scno'],
+    month: ['month', 'billingmonth', 'readingmonth'],
+    ...ALL_PERIODS.reduce((acc, period) => ({
+        ...acc,
+        [`import_${period}`]: [`import${period}`, `imp${period}`],
+        [`export_${period}`]: [`export${period}`, `exp${period}`],
+        [period]: [period, `consumption${period}`, `cons${period}`]
+    }), {})
+});
+
+/**
+ * Sites of the company indexed by HTSC number. An HTSC number shared by two
+ * sites cannot be imported, so those are kept as a list and reported per row.
+ */
+const buildSiteIndex = async (companyId) => {
+    const [productionSites, consumptionSites] = await Promise.all([
+        productionSiteDAL.getAllProductionSites(),
+        consumptionSiteDAL.getAllConsumptionSites()
+    ]);
+
+    const index = new Map();
+    const add = (htscNo, site) => {
+        const key = normalizeHtsc(htscNo);
+        if (!key || key === '0') return;
+        index.set(key, [...(index.get(key) || []), site]);
+    };
+
+    productionSites
+        .filter(site => String(site.companyId) === String(companyId))
+        .forEach(site => add(site.htscNo, {
+            type: SITE_TYPE.PRODUCTION,
+            siteId: site.productionSiteId,
+            siteName: site.name
+        }));
+    consumptionSites
+        .filter(site => String(site.companyId) === String(companyId))
+        .forEach(site => add(site.htscNo, {
+            type: SITE_TYPE.CONSUMPTION,
+            siteId: site.consumptionSiteId,
+            siteName: site.name
+        }));
+
+    return index;
+};
+
+/**
+ * Map and validate one statement row
+ * @returns {Object} { rowNumber, htscNo, month, site, readings, errors, warnings }
+ */
+const validateRow = (row, rowNumber, { siteIndex, defaultMonth }) => {
+    const fields = mapColumns(row);
+    const errors = [];
+    const warnings = [];
+    const htscNo = normalizeHtsc(fields.htscNo);
+
+    const month = fields.month !== undefined ? normalizeMonth(fields.month) : defaultMonth;
+    if (!month) {
+        errors.push(fields.month !== undefined
+            ? `Invalid month: ${fields.month}. Use MMYYYY (e.g., 042025)`
+            : 'Month is missing; add a month column or choose the statement month');
+    }
+
+    let site = null;
+    const matches = htscNo ? siteIndex.get(htscNo) || [] : [];
+    if (!htscNo) {
+        errors.push('HTSC number is missing');
+    } else if (matches.length === 0) {
+        errors.push(`HTSC number ${htscNo} does not match any production or consumption site`);
+    } else if (matches.length > 1) {
+        errors.push(`HTSC number ${htscNo} is shared by ${matches.map(match => match.siteName).join(', ')}`);
+    } else {
+        site = matches[0];
+    }
+
+    let readings = null;
+    if (site) {
+        const readingFields = READING_FIELDS[site.type];
+        if (site.type === SITE_TYPE.PRODUCTION && !EXPORT_FIELDS.some(field => fields[field] !== undefined)) {
+            errors.push('Production sites need export figures (export_c1 to export_c5)');
+        } else if (site.type === SITE_TYPE.CONSUMPTION && !ALL_PERIODS.some(field => fields[field] !== undefined)) {
+            errors.push('Consumption sites need consumption figures (c1 to c5)');
+        }
+
+        readings = readingFields.reduce((acc, field) => {
+            const value = parseFigure(fields[field]);
+            if (Number.isNaN(value)) {
+                errors.push(`${field} must be a number, got "${fields[field]}"`);
+            } else if (value < 0) {
+                errors.push(`${field} cannot be negative`);
+            }
+            acc[field] = value;
+            return acc;
+        }, {});
+
+        if (site.type === SITE_TYPE.PRODUCTION) {
+            ALL_PERIODS
+                .filter(period => readings[`import_${period}`] > readings[`export_${period}`])
+                .forEach(period => warnings.push(`Import exceeds export in ${period}; net export is recorded as 0`));
+        }
+    }
+
+    return { rowNumber, htscNo, month, site, readings, errors, warnings };
+};
+
+const getUnitKey = ({ site, month }, companyId) => ({
+    pk: `${companyId}_${site.siteId}`,
+    sk: month
+});
+
+const getExistingUnit = (row, companyId) => {
+    const { pk, sk } = getUnitKey(row, companyId);
+    return row.site.type === SITE_TYPE.PRODUCTION
+        ? productionUnitDAL.getItem(pk, sk)
+        : consumptionUnitDAL.getConsumptionUnit(pk, sk);
+};
+
+const compareReadings = (row, existing) => {
+    if (!existing) return { status: 'new', changes: [] };
+    const changes = READING_FIELDS[row.site.type]
+        .map(field => ({ field, from: Number(existing[field] || 0), to: row.readings[field] }))
+        .filter(change => change.from !== change.to);
+    return { status: changes.length > 0 ? 'changed' : 'unchanged', changes };
+};
+
+const sumFields = (values, fields) => fields.reduce((sum, field) => sum + Number(values[field] || 0), 0);
+
+/**
+ * Unit record in the shape the production and consumption unit controllers
+ * write, so imported months read the same as ones keyed in by hand
+ */
+const buildUnitRecord = (row, companyId, existing, now) => {
+    const { pk, sk } = getUnitKey(row, companyId);
+    const base = {
+        ...(existing || {}),
+        pk,
+        sk,
+        companyId: String(companyId),
+        type: 'UNIT',
+        createdat: existing?.createdat || now,
+        updatedat: now
+    };
+
+    if (row.site.type === SITE_TYPE.CONSUMPTION) {
+        return {
+            ...base,
+            consumptionSiteId: row.site.siteId,
+            ...row.readings,
+            total: sumFields(row.readings, ALL_PERIODS)
+        };
+    }
+
+    const net = ALL_PERIODS.reduce((acc, period) => ({
+        ...acc,
+        [period]: Math.max(0, row.readings[`export_${period}`] - row.readings[`import_${period}`])
+    }), {});
+    return {
+        ...base,
+        productionSiteId: row.site.siteId,
+        date: sk,
+        ...row.readings,
+        import_total: sumFields(row.readings, IMPORT_FIELDS),
+        export_total: sumFields(row.readings, EXPORT_FIELDS),
+        ...ALL_PERIODS.reduce((acc, period) => ({ ...acc, [`net_export_${period}`]: net[period] }), {}),
+        net_export_total: sumFields(net, ALL_PERIODS),
+        ...net,
+        total: sumFields(net, ALL_PERIODS)
+    };
+};
+
+const toPreviewRow = (row, diff, existing) => ({
+    rowNumber: row.rowNumber,
+    htscNo: row.htscNo,
+    month: row.month,
+    siteType: row.site?.type || null,
+    siteId: row.site?.siteId || null,
+    siteName: row.site?.siteName || null,
+    readings: row.readings,
+    status: row.errors.length > 0 ? 'error' : diff.status,
+    changes: diff.changes,
+    version: existing ? Number(existing.version || 0) : null,
+    errors: row.errors,
+    warnings: row.warnings
+});
+
+/**
+ * Map, validate and diff a statement against the stored units
+ * @param {string} companyId - Company the statement belongs to
+ * @param {Object} statement
+ * @param {Array<Object>} statement.rows - Rows keyed by column heading, as read from the CSV or XLSX sheet
+ * @param {string} [statement.month] - Month (MMYYYY) for rows without a month column
+ * @returns {Promise<Object>} { rows, summary }
+ */
+const previewImport = async (companyId, { rows, month } = {}) => {
+    if (!companyId) {
+        throw new ValidationError('companyId is required');
+    }
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw new ValidationError('The statement has no rows');
+    }
+    if (rows.length > MAX_ROWS) {
+        throw new ValidationError(`A statement can have at most ${MAX_ROWS} rows, got ${rows.length}`);
+    }
+    const defaultMonth = month ? normalizeMonth(month) : null;
+    if (month && !defaultMonth) {
+        throw new ValidationError(`Invalid month: ${month}. Must be in MMYYYY format (e.g., 042025)`);
+    }
+
+    const siteIndex = await buildSiteIndex(companyId);
+    const validated = rows.map((row, index) => validateRow(row, index + 1, { siteIndex, defaultMonth }));
+
+    // A site can appear only once per month in a statement
+    const seen = new Map();
+    validated.filter(row => row.site && row.month).forEach(row => {
+        const key = `${row.site.type}:${row.site.siteId}:${row.month}`;
+        if (seen.has(key)) {
+            row.errors.push(`Duplicate of row ${seen.get(key)} for ${row.site.siteName} in ${row.month}`);
+        } else {
+            seen.set(key, row.rowNumber);
+        }
+    });
+
+    const previewRows = await Promise.all(validated.map(async (row) => {
+        if (row.errors.length > 0) {
+            return toPreviewRow(row, { status: 'error', changes: [] }, null);
+        }
+        const existing = await getExistingUnit(row, companyId);
+        return toPreviewRow(row, compareReadings(row, existing), existing);
+    }));
+
+    const summary = previewRows.reduce((acc, row) => {
+        acc[row.status] += 1;
+        return acc;
+    }, { new: 0, changed: 0, unchanged: 0, error: 0 });
+
+    return { rows: previewRows, summary: { total: previewRows.length, ...summary } };
+};
+
+/**
+ * Write the new and changed units of a statement. Nothing is written while any
+ * row has errors. Each unit is written with a version check against the
+ * version shown in the preview (`versions`, keyed by row number) or, without
+ * one, the version read now; a unit changed since fails with a ConflictError.
+ * @param {string} companyId - Company the statement belongs to
+ * @param {Object} statement - rows and month as for previewImport, plus optional versions
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey] - Client key for safe retries
+ * @returns {Promise<Object>} { transactionId, created, updated, unchanged, rows }
+ */
+const importReadings = async (companyId, { rows, month, versions = {} } = {}, { idempotencyKey } = {}) => {
+    const preview = await previewImport(companyId, { rows, month });
+    if (preview.summary.error > 0) {
+        throw new ValidationError(`${preview.summary.error} row(s) have errors; fix the statement and preview it again`);
+    }
+
+    const now = new Date().toISOString();
+    const pending = preview.rows.filter(row => row.status === 'new' || row.status === 'changed');
+    const writes = await Promise.all(pending.map(async (previewRow) => {
+        const row = {
+            site: { type: previewRow.siteType, siteId: previewRow.siteId },
+            month: previewRow.month,
+            readings: previewRow.readings
+        };
+        const existing = previewRow.status === 'new' ? null : await getExistingUnit(row, companyId);
+        const expectedVersion = versions[previewRow.rowNumber] !== undefined
+            ? versions[previewRow.rowNumber]
+            : previewRow.version;
+        const tableName = row.site.type === SITE_TYPE.PRODUCTION
+            ? TableNames.PRODUCTION_UNIT
+            : TableNames.CONSUMPTION_UNIT;
+        return [buildVersionedPut(tableName, buildUnitRecord(row, companyId, existing, now), expectedVersion)];
+    }));
+
+    const transactionId = idempotencyKey ? String(idempotencyKey) : uuidv4();
+    await commitTransactions(writes, transactionId);
+
+    logger.info(`[MeterReadingImportService] Imported statement for company ${companyId}`, {
+        transactionId,
+        created: preview.summary.new,
+        updated: preview.summary.changed,
+        unchanged: preview.summary.unchanged
+    });
+
+    return {
+        transactionId,
+        created: preview.summary.new,
+        updated: preview.summary.changed,
+        unchanged: preview.summary.unchanged,
+        rows: preview.rows
+    };
+};
+
+module.exports = {
+    previewImport,
+    importReadings
+};
@@ -0,0 +1,13 @@
+const express = require('express');
+const meterReadingController = require('./meterReadingController');
+const validateJson = require('../middleware/validateJson');
+
+const router = express.Router();
+
+// Map, validate and diff statement rows against stored production/consumption units
+router.post('/import/preview', validateJson, meterReadingController.previewImport);
+
+// Write the new and changed units of a statement
+router.post('/import', validateJson, meterReadingController.importReadings);
+
+module.exports = router;
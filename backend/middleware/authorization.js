@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
 const AuthDAL = require('../auth/authDal');
+const { isSessionActive } = require('../auth/sessionService');
 const authDal = new AuthDAL();
 
 /**
@@ -8,13 +9,6 @@ const authDal = new AuthDAL();
  */
 const authenticateToken = async (req, res, next) => {
     try {
-        // Skip auth for public routes
-        const isPublicRoute = req.method === 'GET' && req.path.match(/\/(production|consumption)\/\d+\/\d+/);
-        if (isPublicRoute) {
-            logger.info('[Auth] Skipping auth for public route:', req.path);
-            return next();
-        }
-
         const authHeader = req.headers.authorization;
         const token = authHeader && authHeader.split(' ')[1];
 
@@ -40,6 +34,16 @@ const authenticateToken = async (req, res, next) => {
             });
         }
         
+        // Tokens issued before sessions existed carry no sessionId and stay valid until they expire
+        if (decoded.sessionId && !(await isSessionActive(decoded.username, decoded.sessionId))) {
+            logger.warn(`[Auth] Session ${decoded.sessionId} of ${decoded.username} is signed out`);
+            return res.status(401).json({
+                success: false,
+                message: 'This session has been signed out',
+                code: 'SESSION_REVOKED'
+            });
+        }
+        
         // Get fresh user data from database
         const user = await authDal.getUserByUsername(decoded.username);
         if (!user) {
@@ -167,7 +171,13 @@ const authenticateToken = async (req, res, next) => {
                     'banking': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
                     'lapse': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
                     'captive': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
-                    'company': ['CREATE', 'READ', 'UPDATE', 'DELETE']
+                    'company': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    'invoice': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    'tariffs': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    'periods': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    'charge-codes': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    'users': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    'roles': ['CREATE', 'READ', 'UPDATE', 'DELETE']
                 };
             } else if (normalizedRole.toUpperCase() === 'ADMIN') {
                 userPermissions = {
@@ -180,7 +190,13 @@ const authenticateToken = async (req, res, next) => {
                     'banking': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
                     'lapse': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
                     'captive': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
-                    'company': ['CREATE', 'READ', 'UPDATE', 'DELETE']
+                    'company': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    'invoice': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    'tariffs': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    'periods': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    'charge-codes': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    'users': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    'roles': ['CREATE', 'READ', 'UPDATE', 'DELETE']
                 };
             } else if (normalizedRole.toUpperCase() === 'USER') {
                 userPermissions = {
@@ -193,7 +209,13 @@ const authenticateToken = async (req, res, next) => {
                     'banking': ['READ', 'UPDATE'],
                     'lapse': ['READ', 'UPDATE'],
                     'captive': ['READ'],
-                    'company': ['READ']
+                    'company': ['READ'],
+                    'invoice': ['READ'],
+                    'tariffs': ['READ'],
+                    'periods': ['READ'],
+                    'charge-codes': ['READ'],
+                    'users': ['READ'],
+                    'roles': ['READ']
                 };
             } else if (normalizedRole.toUpperCase() === 'VIEWER') {
                 userPermissions = {
@@ -206,7 +228,13 @@ const authenticateToken = async (req, res, next) => {
                     'banking': ['READ'],
                     'lapse': ['READ'],
                     'captive': ['READ'],
-                    'company': ['READ']
+                    'company': ['READ'],
+                    'invoice': ['READ'],
+                    'tariffs': ['READ'],
+                    'periods': ['READ'],
+                    'charge-codes': ['READ'],
+                    'users': ['READ'],
+                    'roles': ['READ']
                 };
             } else {
                 // Default: basic read-only access
@@ -229,6 +257,7 @@ const authenticateToken = async (req, res, next) => {
         req.user = {
             userId: user.userId || user.username, // Use userId if available, fallback to username
             username: decoded.username,
+            sessionId: decoded.sessionId || null,
             email: decoded.emailId || user.email,
             role: normalizedRole.toUpperCase(), // Use normalized role in uppercase for consistent permission checks
             companyId: companyId, // Use the resolved company ID
@@ -345,7 +374,35 @@ const checkPermission = (resource, action) => {
     };
 };
 
+// Permission action a request needs, by HTTP method
+const METHOD_ACTIONS = {
+    GET: 'READ',
+    HEAD: 'READ',
+    OPTIONS: 'READ',
+    POST: 'CREATE',
+    PUT: 'UPDATE',
+    PATCH: 'UPDATE',
+    DELETE: 'DELETE'
+};
+
+/**
+ * Middleware to check permission on a resource for the action implied by the
+ * request method. `pathActions` maps paths (relative to where the router is
+ * mounted) to a different action, e.g. a POST that only previews a result
+ * without saving it needs READ rather than CREATE.
+ * @param {string} resource - Resource name as used in role permissions
+ * @param {Object<string, string>} [pathActions] - Action overrides by path
+ */
+const checkMethodPermission = (resource, pathActions = {}) => {
+    return (req, res, next) => {
+        const path = req.path.replace(/\/+$/, '') || '/';
+        const action = pathActions[path] || METHOD_ACTIONS[req.method.toUpperCase()] || 'UPDATE';
+        return checkPermission(resource, action)(req, res, next);
+    };
+};
+
 module.exports = {
     authenticateToken,
-    checkPermission
+    checkPermission,
+    checkMethodPermission
 };
@@ -0,0 +1,67 @@
+const express = require('express');
+const request = require('supertest');
+const { tokenFor, buildApp } = require('../test/routeTestHelper');
+
+jest.mock('../utils/logger');
+jest.mock('../auth/sessionService', () => ({
+    isSessionActive: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../auth/authDal', () => require('../test/routeTestHelper').mockAuthDal());
+
+const { authenticateToken, checkMethodPermission } = require('./authorization');
+
+const buildRouter = () => {
+    const router = express.Router();
+    const ok = (req, res) => res.json({ success: true });
+    router.get('/', ok);
+    router.post('/', ok);
+    router.post('/preview', ok);
+    router.put('/:id', ok);
+    router.delete('/:id', ok);
+
+    return router;
+};
+
+describe('checkMethodPermission', () => {
+    const app = buildApp('/api/production-site', authenticateToken,
+        checkMethodPermission('production', { '/preview': 'READ' }),
+        buildRouter());
+
+    it('requires a token', async () => {
+        const response = await request(app).get('/api/production-site');
+        expect(response.status).toBe(401);
+    });
+
+    it('lets a viewer read', async () => {
+        const response = await request(app).get('/api/production-site').set('Authorization', tokenFor('viewer'));
+        expect(response.status).toBe(200);
+    });
+
+    it.each([
+        ['post', '/api/production-site', 'CREATE'],
+        ['put', '/api/production-site/1', 'UPDATE'],
+        ['delete', '/api/production-site/1', 'DELETE']
+    ])('refuses a viewer %s %s', async (method, path, action) => {
+        const response = await request(app)[method](path).set('Authorization', tokenFor('viewer')).send({});
+        expect(response.status).toBe(403);
+        expect(response.body.code).toBe('PERMISSION_DENIED');
+        expect(response.body.details.required).toBe(`production:${action}`);
+    });
+
+    it('checks a path override instead of the method', async () => {
+        const response = await request(app).post('/api/production-site/preview').set('Authorization', tokenFor('viewer')).send({});
+        expect(response.status).toBe(200);
+    });
+
+    it('grants a user only the actions of their role', async () => {
+        const update = await request(app).put('/api/production-site/1').set('Authorization', tokenFor('operator')).send({});
+        const remove = await request(app).delete('/api/production-site/1').set('Authorization', tokenFor('operator'));
+        expect(update.status).toBe(200);
+        expect(remove.status).toBe(403);
+    });
+
+    it('lets an admin write', async () => {
+        const response = await request(app).delete('/api/production-site/1').set('Authorization', tokenFor('admin'));
+        expect(response.status).toBe(200);
+    });
+});
@@ -25,6 +25,14 @@ const errorHandler = (err, req, res, next) => {
         });
     }
 
+    // Errors from utils/errors carry their own status (404, 409, ...)
+    if (err.statusCode && err.statusCode < 500) {
+        return res.status(err.statusCode).json({
+            success: false,
+            message: err.message
+        });
+    }
+
     res.status(500).json({
         success: false,
         message: process.env.NODE_ENV === 'production' 
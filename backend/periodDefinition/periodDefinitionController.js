@@ -0,0 +1,84 @@
+const periodDefinitionService = require('./periodDefinitionService');
+const logger = require('../utils/logger');
+
+const sendError = (res, error, fallbackMessage) => {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+        success: false,
+        message: statusCode === 500 ? fallbackMessage : error.message,
+        error: statusCode === 500 ? error.message : undefined
+    });
+};
+
+exports.getDefinitions = async (req, res) => {
+    try {
+        const definitions = await periodDefinitionService.listDefinitions();
+        res.json({
+            success: true,
+            data: definitions
+        });
+    } catch (error) {
+        logger.error('[PeriodDefinitionController] List Error:', error);
+        sendError(res, error, 'Error fetching period definitions');
+    }
+};
+
+// Definitions in force for a month: ?month=MMYYYY
+exports.resolveDefinition = async (req, res) => {
+    try {
+        const definition = await periodDefinitionService.resolveDefinition(req.query.month);
+        res.json({
+            success: true,
+            data: definition
+        });
+    } catch (error) {
+        logger.error('[PeriodDefinitionController] Resolve Error:', error);
+        sendError(res, error, 'Error resolving period definitions');
+    }
+};
+
+exports.createDefinition = async (req, res) => {
+    try {
+        const definition = await periodDefinitionService.createDefinition(req.body, req.user?.username || null);
+        res.status(201).json({
+            success: true,
+            message: 'Period definitions created successfully',
+            data: definition
+        });
+    } catch (error) {
+        logger.error('[PeriodDefinitionController] Create Error:', error);
+        sendError(res, error, 'Error creating period definitions');
+    }
+};
+
+exports.updateDefinition = async (req, res) => {
+    try {
+        const definition = await periodDefinitionService.updateDefinition(
+            req.params.effectiveFrom,
+            req.body,
+            req.user?.username || null
+        );
+        res.json({
+            success: true,
+            message: 'Period definitions updated successfully',
+            data: definition
+        });
+    } catch (error) {
+        logger.error('[PeriodDefinitionController] Update Error:', error);
+        sendError(res, error, 'Error updating period definitions');
+    }
+};
+
+exports.deleteDefinition = async (req, res) => {
+    try {
+        const definition = await periodDefinitionService.deleteDefinition(req.params.effectiveFrom);
+        res.json({
+            success: true,
+            message: 'Period definitions deleted successfully',
+            data: definition
+        });
+    } catch (error) {
+        logger.error('[PeriodDefinitionController] Delete Error:', error);
+        sendError(res, error, 'Error deleting period definitions');
+    }
+};
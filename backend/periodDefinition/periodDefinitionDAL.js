@@ -0,0 +1,126 @@
+const { PutCommand, GetCommand, QueryCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const docClient = require('../utils/db');
+const TableNames = require('../constants/tableNames');
+const logger = require('../utils/logger');
+
+const PK = 'PERIODS';
+
+/**
+ * Period definitions are stored with pk = PERIODS and sk = effectiveFrom month
+ * (YYYY-MM), so the definition in force for a month is the latest sk on or before it.
+ */
+class PeriodDefinitionDAL {
+    constructor() {
+        this.tableName = TableNames.PERIOD_DEFINITION;
+    }
+
+    // MMYYYY → YYYY-MM, the sortable form used as sk
+    toSortKey(month) {
+        return `${month.slice(2)}-${month.slice(0, 2)}`;
+    }
+
+    async createDefinition(item) {
+        try {
+            await docClient.send(new PutCommand({
+                TableName: this.tableName,
+                Item: { ...item, pk: PK, sk: this.toSortKey(item.effectiveFrom) },
+                ConditionExpression: 'attribute_not_exists(pk) AND attribute_not_exists(sk)'
+            }));
+            return item;
+        } catch (error) {
+            logger.error(`[PeriodDefinitionDAL] Error creating definition: ${error.message}`, { effectiveFrom: item.effectiveFrom });
+            throw error;
+        }
+    }
+
+    async getDefinition(effectiveFrom) {
+        try {
+            const { Item } = await docClient.send(new GetCommand({
+                TableName: this.tableName,
+                Key: { pk: PK, sk: this.toSortKey(effectiveFrom) }
+            }));
+            return Item || null;
+        } catch (error) {
+            logger.error(`[PeriodDefinitionDAL] Error fetching definition: ${error.message}`, { effectiveFrom });
+            throw error;
+        }
+    }
+
+    /**
+     * Replace a definition, failing with ConditionalCheckFailedException if it
+     * was changed since `expectedVersion` was read
+     */
+    async replaceDefinition(item, expectedVersion) {
+        try {
+            await docClient.send(new PutCommand({
+                TableName: this.tableName,
+                Item: { ...item, pk: PK, sk: this.toSortKey(item.effectiveFrom) },
+                ConditionExpression: 'attribute_exists(pk) AND #version = :expectedVersion',
+                ExpressionAttributeNames: { '#version': 'version' },
+                ExpressionAttributeValues: { ':expectedVersion': Number(expectedVersion) }
+            }));
+            return item;
+        } catch (error) {
+            logger.error(`[PeriodDefinitionDAL] Error updating definition: ${error.message}`, { effectiveFrom: item.effectiveFrom });
+            throw error;
+        }
+    }
+
+    async deleteDefinition(effectiveFrom) {
+        try {
+            const { Attributes } = await docClient.send(new DeleteCommand({
+                TableName: this.tableName,
+                Key: { pk: PK, sk: this.toSortKey(effectiveFrom) },
+                ReturnValues: 'ALL_OLD'
+            }));
+            return Attributes || null;
+        } catch (error) {
+            logger.error(`[PeriodDefinitionDAL] Error deleting definition: ${error.message}`, { effectiveFrom });
+            throw error;
+        }
+    }
+
+    async getAllDefinitions() {
+        try {
+            const items = [];
+            let lastEvaluatedKey;
+            do {
+                const response = await docClient.send(new QueryCommand({
+                    TableName: this.tableName,
+                    KeyConditionExpression: 'pk = :pk',
+                    ExpressionAttributeValues: { ':pk': PK },
+                    ExclusiveStartKey: lastEvaluatedKey
+                }));
+                items.push(...(response.Items || []));
+                lastEvaluatedKey = response.LastEvaluatedKey;
+            } while (lastEvaluatedKey);
+            return items;
+        } catch (error) {
+            logger.error(`[PeriodDefinitionDAL] Error listing definitions: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Latest definition whose effectiveFrom is on or before `month`
+     * @param {string} month - Month in MMYYYY format
+     * @returns {Promise<Object|null>} Definition record
+     */
+    async getDefinitionInForce(month) {
+        try {
+            const { Items } = await docClient.send(new QueryCommand({
+                TableName: this.tableName,
+                KeyConditionExpression: 'pk = :pk AND sk <= :month',
+                ExpressionAttributeValues: { ':pk': PK, ':month': this.toSortKey(month) },
+                ScanIndexForward: false,
+                Limit: 1
+            }));
+            return Items?.[0] || null;
+        } catch (error) {
+            logger.error(`[PeriodDefinitionDAL] Error resolving definition: ${error.message}`, { month });
+            throw error;
+        }
+    }
+}
+
+module.exports = new PeriodDefinitionDAL();
@@ -0,0 +1,20 @@
+const express = require('express');
+const periodDefinitionController = require('./periodDefinitionController');
+const validateJson = require('../middleware/validateJson');
+
+const router = express.Router();
+
+// List period definitions, oldest first
+router.get('/', periodDefinitionController.getDefinitions);
+
+// Definitions in force for a month (?month=MMYYYY)
+router.get('/resolve', periodDefinitionController.resolveDefinition);
+
+// Create definitions effective from a month
+router.post('/', validateJson, periodDefinitionController.createDefinition);
+
+// Update or delete the definitions starting in a month (MMYYYY)
+router.put('/:effectiveFrom', validateJson, periodDefinitionController.updateDefinition);
+router.delete('/:effectiveFrom', periodDefinitionController.deleteDefinition);
+
+module.exports = router;
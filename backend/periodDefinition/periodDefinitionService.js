@@ -0,0 +1,231 @@
+const periodDefinitionDAL = require('./periodDefinitionDAL');
+const logger = require('../utils/logger');
+const { ALL_PERIODS, DEFAULT_PERIOD_DEFINITION } = require('../constants/periods');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const MONTH_PATTERN = /^(0[1-9]|1[0-2])\d{4}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_NAME_LENGTH = 50;
+
+const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+
+// Minutes of the day a slot covers; a slot ending before it starts runs past midnight
+const slotMinutes = ({ from, to }) => {
+    const start = toMinutes(from);
+    const end = toMinutes(to) || 24 * 60;
+    return end > start
+        ? [[start, end]]
+        : [[start, 24 * 60], [0, end]];
+};
+
+/**
+ * Validate a period definition
+ * @param {Object} data - { effectiveFrom, periods: [{ code, name, hours: [{ from, to }], peak }], allocationMatrix }
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+const validateDefinition = (data) => {
+    const errors = [];
+    if (!MONTH_PATTERN.test(data.effectiveFrom || '')) {
+        errors.push('effectiveFrom must be a month in MMYYYY format');
+    }
+
+    if (!Array.isArray(data.periods)) {
+        errors.push(`periods must list each of ${ALL_PERIODS.join(', ')}`);
+    } else {
+        const codes = data.periods.map(period => period?.code);
+        const missing = ALL_PERIODS.filter(code => !codes.includes(code));
+        if (missing.length > 0 || codes.length !== ALL_PERIODS.length) {
+            errors.push(`periods must list each of ${ALL_PERIODS.join(', ')} exactly once`);
+        }
+
+        const covered = new Map();
+        data.periods.forEach((period, index) => {
+            const label = `periods[${index}]`;
+            if (period?.name !== undefined && (typeof period.name !== 'string' || period.name.length > MAX_NAME_LENGTH)) {
+                errors.push(`${label}.name must be text of at most ${MAX_NAME_LENGTH} characters`);
+            }
+            if (typeof period?.peak !== 'boolean') {
+                errors.push(`${label}.peak must be true or false`);
+            }
+            if (!Array.isArray(period?.hours)) {
+                errors.push(`${label}.hours must be a list of { from, to } times`);
+                return;
+            }
+            period.hours.forEach((slot, slotIndex) => {
+                if (!TIME_PATTERN.test(slot?.from || '') || !TIME_PATTERN.test(slot?.to || '') || slot.from === slot.to) {
+                    errors.push(`${label}.hours[${slotIndex}] must have different from and to times in HH:MM format`);
+                    return;
+                }
+                slotMinutes(slot).forEach(([start, end]) => {
+                    for (let minute = start; minute < end; minute++) {
+                        if (covered.has(minute) && covered.get(minute) !== period.code) {
+                            errors.push(`${label}.hours[${slotIndex}] overlaps the hours of ${covered.get(minute)}`);
+                            return;
+                        }
+                        covered.set(minute, period.code);
+                    }
+                });
+            });
+        });
+    }
+
+    if (!data.allocationMatrix || typeof data.allocationMatrix !== 'object' || Array.isArray(data.allocationMatrix)) {
+        errors.push('allocationMatrix must give, for each period, the periods its units may be allocated to');
+    } else {
+        ALL_PERIODS.forEach(source => {
+            const targets = data.allocationMatrix[source];
+            if (!Array.isArray(targets) || targets.some(target => !ALL_PERIODS.includes(target))) {
+                errors.push(`allocationMatrix.${source} must be a list of periods (${ALL_PERIODS.join(', ')})`);
+            }
+        });
+    }
+    return errors;
+};
+
+const assertValid = (data) => {
+    const errors = validateDefinition(data);
+    if (errors.length > 0) {
+        throw new ValidationError(errors.join('; '));
+    }
+};
+
+// Periods in c1-c5 order; a period can always serve its own slot
+const normalizeDefinition = (data) => ({
+    periods: ALL_PERIODS.map(code => {
+        const period = data.periods.find(item => item.code === code);
+        return {
+            code,
+            name: (period.name || '').trim() || code.toUpperCase(),
+            hours: period.hours.map(({ from, to }) => ({ from, to })),
+            peak: period.peak
+        };
+    }),
+    allocationMatrix: ALL_PERIODS.reduce((acc, source) => ({
+        ...acc,
+        [source]: ALL_PERIODS.filter(target => target === source || data.allocationMatrix[source].includes(target))
+    }), {})
+});
+
+const assertMonth = (month, field = 'month') => {
+    if (!MONTH_PATTERN.test(month || '')) {
+        throw new ValidationError(`Invalid ${field}: ${month}. Must be in MMYYYY format (e.g., 042025)`);
+    }
+};
+
+/**
+ * Create the period definitions that apply from a month. Only one definition
+ * can start in a given month.
+ * @param {Object} data - effectiveFrom, periods, allocationMatrix, description
+ * @param {string} [createdBy] - Username of the user creating it
+ * @returns {Promise<Object>} Stored definition
+ */
+const createDefinition = async (data, createdBy = null) => {
+    assertValid(data);
+
+    const now = new Date().toISOString();
+    const item = {
+        effectiveFrom: data.effectiveFrom,
+        ...normalizeDefinition(data),
+        description: data.description || '',
+        version: 1,
+        createdBy,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    try {
+        return await periodDefinitionDAL.createDefinition(item);
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            throw new ConflictError(`Period definitions already start in ${data.effectiveFrom}`);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Update the periods, allocation matrix or description of a definition. The
+ * start month identifies it and cannot change.
+ */
+const updateDefinition = async (effectiveFrom, updates, updatedBy = null) => {
+    assertMonth(effectiveFrom, 'effectiveFrom');
+    const existing = await periodDefinitionDAL.getDefinition(effectiveFrom);
+    if (!existing) {
+        throw new NotFoundError(`No period definitions starting ${effectiveFrom}`);
+    }
+
+    const merged = {
+        ...existing,
+        periods: updates.periods !== undefined ? updates.periods : existing.periods,
+        allocationMatrix: updates.allocationMatrix !== undefined ? updates.allocationMatrix : existing.allocationMatrix,
+        description: updates.description !== undefined ? updates.description : existing.description
+    };
+    assertValid(merged);
+
+    const expectedVersion = updates.version !== undefined ? updates.version : existing.version;
+    const item = {
+        ...merged,
+        ...normalizeDefinition(merged),
+        version: Number(existing.version) + 1,
+        updatedBy,
+        updatedAt: new Date().toISOString()
+    };
+
+    try {
+        return await periodDefinitionDAL.replaceDefinition(item, expectedVersion);
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            throw new ConflictError('Period definitions were modified by another request, reload and try again');
+        }
+        throw error;
+    }
+};
+
+const deleteDefinition = async (effectiveFrom) => {
+    assertMonth(effectiveFrom, 'effectiveFrom');
+    const deleted = await periodDefinitionDAL.deleteDefinition(effectiveFrom);
+    if (!deleted) {
+        throw new NotFoundError(`No period definitions starting ${effectiveFrom}`);
+    }
+    return deleted;
+};
+
+// Stored definitions, oldest first
+const listDefinitions = async () => {
+    const definitions = await periodDefinitionDAL.getAllDefinitions();
+    return definitions.sort((a, b) => a.sk.localeCompare(b.sk));
+};
+
+/**
+ * Definition in force for a month from a list of stored definitions (as
+ * returned by listDefinitions), or the default when none has started yet
+ */
+const pickDefinition = (definitions, month) => {
+    const sortKey = periodDefinitionDAL.toSortKey(month);
+    return definitions.filter(definition => definition.sk <= sortKey).pop() || DEFAULT_PERIOD_DEFINITION;
+};
+
+/**
+ * Period definitions in force for a month: the latest stored definition
+ * starting on or before it, or the default c2/c3 peak definition
+ * @param {string} month - Month in MMYYYY format
+ * @returns {Promise<Object>} Definition
+ */
+const resolveDefinition = async (month) => {
+    assertMonth(month);
+    const definition = await periodDefinitionDAL.getDefinitionInForce(month);
+    if (!definition) {
+        logger.debug(`[PeriodDefinitionService] No stored period definitions for ${month}, using default`);
+    }
+    return definition || DEFAULT_PERIOD_DEFINITION;
+};
+
+module.exports = {
+    validateDefinition,
+    createDefinition,
+    updateDefinition,
+    deleteDefinition,
+    listDefinitions,
+    pickDefinition,
+    resolveDefinition
+};
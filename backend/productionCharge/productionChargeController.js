@@ -1,5 +1,8 @@
 const productionChargeDAL = require('./productionChargeDAL');
+const productionChargeImportService = require('./productionChargeImportService');
+const chargeCodeService = require('../chargeCode/chargeCodeService');
 const logger = require('../utils/logger');
+const { resolveCompanyId } = require('../utils/requestCompany');
 
 // Helper functions
 const formatToMMYYYY = (dateString) => {
@@ -16,7 +19,72 @@ const formatToMonthYear = (mmyyyy) => {
     return date.toLocaleString('default', { month: 'short', year: 'numeric' });
 };
 
+const sendError = (res, error, fallbackMessage) => {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+        success: false,
+        message: statusCode === 500 ? fallbackMessage : error.message,
+        error: statusCode === 500 ? error.message : undefined
+    });
+};
+
+// Charge attributes (c001 ...) that are not codes of the charge-code master active in the month
+const findUnknownChargeFields = async (chargeData, month) => {
+    const fields = Object.keys(chargeData).filter(field => /^c\d{3}$/i.test(field));
+    if (fields.length === 0) return [];
+    const active = (await chargeCodeService.listChargeCodes({ month })).map(({ code }) => code.toLowerCase());
+    return fields.filter(field => !active.includes(field.toLowerCase()));
+};
+
 // Controller methods
+// Charge-code master; ?month=MMYYYY limits it to the codes active that month
+exports.getChargeCodes = async (req, res) => {
+    try {
+        const chargeCodes = await chargeCodeService.listChargeCodes({ month: req.query.month });
+        res.json({
+            success: true,
+            data: chargeCodes
+        });
+    } catch (error) {
+        logger.error('[ProductionChargeController] Charge Codes Error:', error);
+        sendError(res, error, 'Error fetching charge codes');
+    }
+};
+
+/**
+ * Preview a month's generator charge statement across production sites:
+ * body { rows, month }. Nothing is written.
+ */
+exports.previewImport = async (req, res) => {
+    try {
+        const preview = await productionChargeImportService.previewImport(resolveCompanyId(req), req.body);
+        res.json({
+            success: true,
+            data: preview
+        });
+    } catch (error) {
+        logger.error('[ProductionChargeController] Import Preview Error:', error);
+        sendError(res, error, 'Error previewing charges');
+    }
+};
+
+// Save the new and changed charges of a statement: body { rows, month, versions }
+exports.importCharges = async (req, res) => {
+    try {
+        const result = await productionChargeImportService.importCharges(resolveCompanyId(req), req.body, {
+            idempotencyKey: req.get('Idempotency-Key')
+        });
+        res.json({
+            success: true,
+            message: `Imported charges for ${result.created} new and ${result.updated} changed site month(s)`,
+            data: result
+        });
+    } catch (error) {
+        logger.error('[ProductionChargeController] Import Error:', error);
+        sendError(res, error, 'Error importing charges');
+    }
+};
+
 exports.getAllCharges = async (req, res) => {
     try {
         const { companyId, productionSiteId } = req.params;
@@ -88,6 +156,14 @@ exports.createCharge = async (req, res) => {
         const sk = formatToMMYYYY(date);
         const pk = `${companyId}_${productionSiteId}`;
 
+        const unknownFields = await findUnknownChargeFields(chargeData, sk);
+        if (unknownFields.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Not charge codes active in ${sk}: ${unknownFields.map(field => field.toUpperCase()).join(', ')}`
+            });
+        }
+
         const chargeItem = {
             pk,
             sk,
@@ -135,6 +211,14 @@ exports.updateCharge = async (req, res) => {
             });
         }
 
+        const unknownFields = await findUnknownChargeFields(updateData, sk);
+        if (unknownFields.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Not charge codes active in ${sk}: ${unknownFields.map(field => field.toUpperCase()).join(', ')}`
+            });
+        }
+
         logger.info('[ProductionChargeController] Updating charge:', { pk, sk, version });
         const result = await productionChargeDAL.updateItem(pk, sk, {
             ...updateData,
@@ -0,0 +1,298 @@
+const { v4: uuidv4 } = require('uuid');
+const productionChargeDAL = require('./productionChargeDAL');
+const productionSiteDAL = require('../productionSite/productionSiteDAL');
+const TableNames = require('../constants/tableNames');
+const chargeCodeService = require('../chargeCode/chargeCodeService');
+const { buildVersionedPut, commitTransactions } = require('../utils/transactWrite');
+const { ValidationError } = require('../utils/errors');
+const { createColumnMapper, normalizeHtsc, normalizeMonth, parseFigure } = require('../utils/statementRows');
+const logger = require('../utils/logger');
+
+// Rows accepted in one statement: one per production site, or one per site and charge code
+const MAX_ROWS = 1000;
+
+const CODE_PATTERN = /^c\d{3}$/i;
+
+// Charge record attribute for a code: C001 → c001
+const toField = (code) => code.toLowerCase();
+
+/**
+ * Statements come either wide (one row per site with a column per charge code,
+ * headed by the code or its description) or long (one row per site and code
+ * with "Charge Code" and "Amount" columns).
+ */
+const createStatementMapper = (chargeCodes) => createColumnMapper({
+    htscNo: ['htscno', 'htsc', 'htscnumber', 'serviceno', 'servicenumber', 'scno'],
+    month: ['month', 'billingmonth', 'chargemonth'],
+    chargeCode: ['chargecode', 'code'],
+    amount: ['amount', 'chargeamount', 'value'],
+    ...chargeCodes.reduce((acc, { code, description }) => ({
+        ...acc,
+        [toField(code)]: [code, description]
+    }), {})
+});
+
+// Columns headed like a charge code that is not in the master, e.g. "C099"
+const findUnknownCodeColumns = (row, chargeCodes) => Object.keys(row || {})
+    .map(heading => String(heading).trim())
+    .filter(heading => CODE_PATTERN.test(heading) && !chargeCodes.some(({ code }) => code === heading.toUpperCase()));
+
+// Production sites of the company indexed by HTSC number
+const buildSiteIndex = async (companyId) => {
+    const sites = await productionSiteDAL.getAllProductionSites();
+    return sites
+        .filter(site => String(site.companyId) === String(companyId))
+        .reduce((index, site) => {
+            const key = normalizeHtsc(site.htscNo);
+            if (key && key !== '0') {
+                index.set(key, [...(index.get(key) || []), { siteId: site.productionSiteId, siteName: site.name }]);
+            }
+            return index;
+        }, new Map());
+};
+
+const validateAmount = (field, value, errors) => {
+    const amount = parseFigure(value);
+    if (Number.isNaN(amount)) {
+        errors.push(`${field.toUpperCase()} must be a number, got "${value}"`);
+    } else if (amount < 0) {
+        errors.push(`${field.toUpperCase()} cannot be negative`);
+    }
+    return amount;
+};
+
+/**
+ * Map and validate one statement row against the charge-code master
+ * @returns {Object} { rowNumber, htscNo, month, site, charges, errors }
+ */
+const validateRow = (row, rowNumber, { siteIndex, defaultMonth, chargeCodes, mapColumns }) => {
+    const fields = mapColumns(row);
+    const errors = [];
+    const htscNo = normalizeHtsc(fields.htscNo);
+
+    const month = fields.month !== undefined ? normalizeMonth(fields.month) : defaultMonth;
+    if (!month) {
+        errors.push(fields.month !== undefined
+            ? `Invalid month: ${fields.month}. Use MMYYYY (e.g., 042025)`
+            : 'Month is missing; add a month column or choose the statement month');
+    }
+
+    let site = null;
+    const matches = htscNo ? siteIndex.get(htscNo) || [] : [];
+    if (!htscNo) {
+        errors.push('HTSC number is missing');
+    } else if (matches.length === 0) {
+        errors.push(`HTSC number ${htscNo} does not match any production site`);
+    } else if (matches.length > 1) {
+        errors.push(`HTSC number ${htscNo} is shared by ${matches.map(match => match.siteName).join(', ')}`);
+    } else {
+        site = matches[0];
+    }
+
+    // A code is only accepted for months it is active in
+    const checkActive = (code) => {
+        const chargeCode = chargeCodes.find(item => item.code === code);
+        if (month && !chargeCodeService.isActiveInMonth(chargeCode, month)) {
+            errors.push(`Charge code ${code} is not active in ${month}`);
+        }
+    };
+
+    const charges = {};
+    if (fields.chargeCode !== undefined) {
+        const code = String(fields.chargeCode).trim().toUpperCase();
+        if (!chargeCodes.some(item => item.code === code)) {
+            errors.push(`Charge code ${code} is not in the charge-code master`);
+        } else {
+            checkActive(code);
+            charges[toField(code)] = validateAmount(toField(code), fields.amount, errors);
+        }
+    } else {
+        findUnknownCodeColumns(row, chargeCodes)
+            .forEach(heading => errors.push(`Column ${heading} is not a charge code in the master`));
+        chargeCodes
+            .filter(({ code }) => fields[toField(code)] !== undefined)
+            .forEach(({ code }) => {
+                checkActive(code);
+                charges[toField(code)] = validateAmount(toField(code), fields[toField(code)], errors);
+            });
+        if (Object.keys(charges).length === 0) {
+            errors.push('No charge amounts found; use a column per charge code or Charge Code and Amount columns');
+        }
+    }
+
+    return { rowNumber, htscNo, month, site, charges, errors };
+};
+
+/**
+ * Combine rows into one set of charges per site and month. Long-format
+ * statements spread a site's charges over several rows; the same code given
+ * twice for a site and month is an error.
+ */
+const groupBySiteMonth = (rows) => {
+    const groups = new Map();
+    rows.filter(row => row.site && row.month).forEach(row => {
+        const key = `${row.site.siteId}:${row.month}`;
+        const group = groups.get(key) || { site: row.site, month: row.month, charges: {}, sources: {}, rowNumbers: [] };
+        Object.entries(row.charges).forEach(([field, amount]) => {
+            if (group.sources[field] !== undefined) {
+                row.errors.push(`${field.toUpperCase()} for ${row.site.siteName} in ${row.month} is also given in row ${group.sources[field]}`);
+                return;
+            }
+            group.sources[field] = row.rowNumber;
+            group.charges[field] = amount;
+        });
+        group.rowNumbers.push(row.rowNumber);
+        groups.set(key, group);
+    });
+    return [...groups.values()];
+};
+
+const getChargeKey = ({ site, month }, companyId) => ({
+    pk: `${companyId}_${site.siteId}`,
+    sk: month
+});
+
+const compareCharges = (group, existing) => {
+    if (!existing) return { status: 'new', changes: [] };
+    const changes = Object.entries(group.charges)
+        .map(([field, to]) => ({ field: field.toUpperCase(), from: Number(existing[field] || 0), to }))
+        .filter(change => change.from !== change.to);
+    return { status: changes.length > 0 ? 'changed' : 'unchanged', changes };
+};
+
+/**
+ * Map, validate and diff a month's charge statement against the stored
+ * production charges
+ * @param {string} companyId - Company the statement belongs to
+ * @param {Object} statement
+ * @param {Array<Object>} statement.rows - Rows keyed by column heading, as read from the CSV or XLSX sheet
+ * @param {string} [statement.month] - Month (MMYYYY) for rows without a month column
+ * @returns {Promise<Object>} { rows, charges, summary } - rows carry validation errors;
+ *   charges are the per-site, per-month changes that would be saved
+ */
+const previewImport = async (companyId, { rows, month } = {}) => {
+    if (!companyId) {
+        throw new ValidationError('companyId is required');
+    }
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw new ValidationError('The statement has no rows');
+    }
+    if (rows.length > MAX_ROWS) {
+        throw new ValidationError(`A statement can have at most ${MAX_ROWS} rows, got ${rows.length}`);
+    }
+    const defaultMonth = month ? normalizeMonth(month) : null;
+    if (month && !defaultMonth) {
+        throw new ValidationError(`Invalid month: ${month}. Must be in MMYYYY format (e.g., 042025)`);
+    }
+
+    const [siteIndex, chargeCodes] = await Promise.all([
+        buildSiteIndex(companyId),
+        chargeCodeService.listChargeCodes()
+    ]);
+    const mapColumns = createStatementMapper(chargeCodes);
+    const validated = rows.map((row, index) => validateRow(row, index + 1, { siteIndex, defaultMonth, chargeCodes, mapColumns }));
+    const groups = groupBySiteMonth(validated);
+
+    const failedRows = new Set(validated.filter(row => row.errors.length > 0).map(row => row.rowNumber));
+    const charges = await Promise.all(groups
+        .filter(group => !group.rowNumbers.some(rowNumber => failedRows.has(rowNumber)))
+        .map(async (group) => {
+            const { pk, sk } = getChargeKey(group, companyId);
+            const existing = await productionChargeDAL.getItem(pk, sk);
+            return {
+                productionSiteId: group.site.siteId,
+                siteName: group.site.siteName,
+                month: group.month,
+                charges: group.charges,
+                rowNumbers: group.rowNumbers,
+                version: existing ? Number(existing.version || 0) : null,
+                ...compareCharges(group, existing)
+            };
+        }));
+
+    const summary = charges.reduce((acc, charge) => {
+        acc[charge.status] += 1;
+        return acc;
+    }, { new: 0, changed: 0, unchanged: 0 });
+
+    return {
+        rows: validated.map(row => ({
+            rowNumber: row.rowNumber,
+            htscNo: row.htscNo,
+            month: row.month,
+            productionSiteId: row.site?.siteId || null,
+            siteName: row.site?.siteName || null,
+            charges: row.charges,
+            errors: row.errors
+        })),
+        charges,
+        summary: { rows: validated.length, errors: failedRows.size, ...summary }
+    };
+};
+
+/**
+ * Save the new and changed production charges of a statement. Nothing is
+ * saved while any row has errors. Codes not in the statement keep their stored
+ * amounts (0 for the codes active in a new month). Each record is written with a version check
+ * against the version shown in the preview (`versions`, keyed by
+ * `${productionSiteId}_${month}`), so a charge edited since fails with a ConflictError.
+ * @param {string} companyId - Company the statement belongs to
+ * @param {Object} statement - rows and month as for previewImport, plus optional versions
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey] - Client key for safe retries
+ * @returns {Promise<Object>} { transactionId, created, updated, unchanged, charges }
+ */
+const importCharges = async (companyId, { rows, month, versions = {} } = {}, { idempotencyKey } = {}) => {
+    const preview = await previewImport(companyId, { rows, month });
+    if (preview.summary.errors > 0) {
+        throw new ValidationError(`${preview.summary.errors} row(s) have errors; fix the statement and preview it again`);
+    }
+
+    const now = new Date().toISOString();
+    const chargeCodes = await chargeCodeService.listChargeCodes();
+    const pending = preview.charges.filter(charge => charge.status !== 'unchanged');
+    const writes = await Promise.all(pending.map(async (charge) => {
+        const pk = `${companyId}_${charge.productionSiteId}`;
+        const existing = charge.status === 'new' ? null : await productionChargeDAL.getItem(pk, charge.month);
+        const versionKey = `${charge.productionSiteId}_${charge.month}`;
+        const expectedVersion = versions[versionKey] !== undefined ? versions[versionKey] : charge.version;
+        const item = {
+            ...chargeCodes
+                .filter(chargeCode => chargeCodeService.isActiveInMonth(chargeCode, charge.month))
+                .reduce((acc, { code }) => ({ ...acc, [toField(code)]: 0 }), {}),
+            ...(existing || {}),
+            pk,
+            sk: charge.month,
+            companyId: String(companyId),
+            productionSiteId: String(charge.productionSiteId),
+            ...charge.charges,
+            createdat: existing?.createdat || now,
+            updatedat: now,
+            timetolive: existing?.timetolive || 0
+        };
+        return [buildVersionedPut(TableNames.PRODUCTION_CHARGE, item, expectedVersion)];
+    }));
+
+    const transactionId = idempotencyKey ? String(idempotencyKey) : uuidv4();
+    await commitTransactions(writes, transactionId);
+
+    logger.info(`[ProductionChargeImportService] Imported charges for company ${companyId}`, {
+        transactionId,
+        created: preview.summary.new,
+        updated: preview.summary.changed,
+        unchanged: preview.summary.unchanged
+    });
+
+    return {
+        transactionId,
+        created: preview.summary.new,
+        updated: preview.summary.changed,
+        unchanged: preview.summary.unchanged,
+        charges: preview.charges
+    };
+};
+
+module.exports = {
+    previewImport,
+    importCharges
+};
@@ -3,6 +3,14 @@ const router = express.Router();
 const productionChargeController = require('./productionChargeController');
 const validateJson = require('../middleware/validateJson');
 
+// Charge-code master (?month=MMYYYY for the codes active that month)
+router.get('/codes', productionChargeController.getChargeCodes);
+
+// Bulk import of a month's charge statement across production sites; ahead of
+// /:companyId/:productionSiteId so "import" is not taken as a company ID
+router.post('/import/preview', validateJson, productionChargeController.previewImport);
+router.post('/import', validateJson, productionChargeController.importCharges);
+
 // Get all charges for a company/site
 router.get('/:companyId/:productionSiteId/all', productionChargeController.getAllCharges);
 
@@ -2,6 +2,7 @@ const productionSiteDAL = require('./productionSiteDAL');
 const companyDAL = require('../company/companyDAL');
 const logger = require('../utils/logger');
 const TableNames = require('../constants/tableNames');
+const { ALL_PERIODS } = require('../constants/periods');
 const { updateUserSiteAccess, removeSiteAccess } = require('../services/siteAccessService');
 
 // Validation functions
@@ -97,6 +98,41 @@ const validateDecimal = (value, fieldName) => {
     }
 };
 
+// Banking charge: an overall percentage and optional per-period (c1-c5)
+// percentages that override it. Normalizes the values in place.
+const validateBankingCharge = (data) => {
+    const checkPercentage = (value, fieldName) => {
+        const validation = validateDecimal(value, fieldName);
+        if (validation.isValid && validation.value > 100) {
+            return { isValid: false, error: `${fieldName} cannot exceed 100`, code: 'INVALID_NUMBER' };
+        }
+        return validation;
+    };
+
+    if (data.bankingChargePercentage !== undefined) {
+        const validation = checkPercentage(data.bankingChargePercentage, 'Banking Charge (%)');
+        if (!validation.isValid) return validation;
+        data.bankingChargePercentage = validation.value;
+    }
+
+    if (data.bankingChargeByPeriod !== undefined && data.bankingChargeByPeriod !== null) {
+        if (typeof data.bankingChargeByPeriod !== 'object' || Array.isArray(data.bankingChargeByPeriod)) {
+            return { isValid: false, error: 'Banking charge by period must be an object of c1-c5 percentages', code: 'INVALID_NUMBER' };
+        }
+        const byPeriod = {};
+        for (const period of ALL_PERIODS) {
+            const value = data.bankingChargeByPeriod[period];
+            if (value === undefined || value === null || value === '') continue;
+            const validation = checkPercentage(value, `Banking Charge ${period.toUpperCase()} (%)`);
+            if (!validation.isValid) return validation;
+            byPeriod[period] = validation.value;
+        }
+        data.bankingChargeByPeriod = byPeriod;
+    }
+
+    return { isValid: true };
+};
+
 // CRUD Operations
 const createProductionSite = async (req, res) => {
     try {
@@ -133,6 +169,15 @@ const createProductionSite = async (req, res) => {
             }
         }
 
+        const bankingChargeValidation = validateBankingCharge(req.body);
+        if (!bankingChargeValidation.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: bankingChargeValidation.error,
+                code: bankingChargeValidation.code
+            });
+        }
+
         // Validate dateOfCommission if provided
         if (req.body.dateOfCommission !== undefined) {
             const dateValidation = validateDate(req.body.dateOfCommission, 'Date of Commission');
@@ -261,6 +306,15 @@ const updateProductionSite = async (req, res) => {
             }
         }
 
+        const bankingChargeValidation = validateBankingCharge(updates);
+        if (!bankingChargeValidation.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: bankingChargeValidation.error,
+                code: bankingChargeValidation.code
+            });
+        }
+
         // Validate dateOfCommission if provided
         if (updates.dateOfCommission !== undefined) {
             const dateValidation = validateDate(updates.dateOfCommission, 'Date of Commission');
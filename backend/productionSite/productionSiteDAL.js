@@ -92,6 +92,8 @@ const create = async (item) => {
                 location: item.location,
                 type: item.type,
                 banking: new Decimal(item.banking || 0).toString(),
+                bankingChargePercentage: new Decimal(item.bankingChargePercentage || 0).toString(),
+                bankingChargeByPeriod: item.bankingChargeByPeriod || {},
                 capacity_MW: new Decimal(item.capacity_MW || 0).toString(),
                 annualProduction_L: new Decimal(annualProduction).toString(),
                 revenuePerUnit: new Decimal(item.revenuePerUnit || 0).toString(),
@@ -251,6 +253,12 @@ const updateItem = async (companyId, productionSiteId, updates) => {
             location: updates.location || existing.location,
             type: updates.type || existing.type,
             banking: new Decimal(banking).toString(),
+            bankingChargePercentage: updates.bankingChargePercentage !== undefined
+                ? new Decimal(updates.bankingChargePercentage || 0).toString()
+                : (existing.bankingChargePercentage || '0'),
+            bankingChargeByPeriod: updates.bankingChargeByPeriod !== undefined
+                ? (updates.bankingChargeByPeriod || {})
+                : (existing.bankingChargeByPeriod || {}),
             capacity_MW: updates.capacity_MW ? new Decimal(updates.capacity_MW).toString() : existing.capacity_MW,
             annualProduction_L: new Decimal(annualProduction).toString(),
             revenuePerUnit: updates.revenuePerUnit !== undefined ? new Decimal(updates.revenuePerUnit).toString() : (existing.revenuePerUnit || '0'),
@@ -392,6 +400,8 @@ const getAllProductionSites = async () => {
             htscNo: item.htscNo || '0',
             injectionVoltage_KV: item.injectionVoltage_KV || '0',
             banking: String(item.banking || '0'),
+            bankingChargePercentage: item.bankingChargePercentage || '0',
+            bankingChargeByPeriod: item.bankingChargeByPeriod || {},
             revenuePerUnit: item.revenuePerUnit || '0',
             dateOfCommission: item.dateOfCommission || null,
             createdat: item.createdat || new Date().toISOString(),
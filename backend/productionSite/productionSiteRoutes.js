@@ -10,7 +10,7 @@ router.get('/all',
     productionSiteController.getAllProductionSites
 );
 
-// GET production site by IDs - No auth required for details page
+// GET production site by IDs
 router.get('/:companyId/:productionSiteId', 
     productionSiteController.getProductionSite
 );
@@ -0,0 +1,50 @@
+/**
+ * Carry the balances of the banking records into the banking ledger.
+ *
+ *   node scripts/openBankingLedger.js [--company 1] [--apply]
+ *
+ * Each production site gets an opening entry for the units of its last banking
+ * record before its first ledger movement. Without --apply the entries are
+ * only previewed. Sites that already have an opening entry are skipped, so
+ * running it again changes nothing.
+ */
+require('dotenv').config();
+const bankingLedgerService = require('../bankingLedger/bankingLedgerService');
+
+const parseArgs = (argv) => {
+    const args = { apply: false };
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (arg === '--apply') args.apply = true;
+        else if (arg === '--company') args.companyId = argv[++index];
+        else throw new Error(`Unknown argument: ${arg}\nUsage: node scripts/openBankingLedger.js [--company <companyId>] [--apply]`);
+    }
+    return args;
+};
+
+async function openBankingLedger() {
+    try {
+        const { companyId, apply } = parseArgs(process.argv.slice(2));
+        const openings = await bankingLedgerService.migrateOpeningBalances({
+            companyId,
+            apply,
+            createdBy: 'openBankingLedger script'
+        });
+
+        console.table(openings.map(opening => ({
+            company: opening.companyId,
+            site: opening.productionSiteId,
+            month: opening.month || '',
+            status: opening.status,
+            ...opening.units
+        })));
+        if (!apply) {
+            console.log('Preview only; run again with --apply to write the opening entries.');
+        }
+    } catch (error) {
+        console.error('Opening the banking ledger failed:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+openBankingLedger();
@@ -0,0 +1,68 @@
+/**
+ * Financial-year banking settlement from the command line.
+ *
+ *   node scripts/settleBanking.js --company 1 --fy 2024-25 [--rules rules.json] [--apply]
+ *
+ * Without --apply the settlement is only previewed. --rules points to a JSON
+ * file of rule overrides (see constants/bankingSettlement.js). Running it
+ * again for the same year only settles sites that are not settled yet.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const bankingSettlementService = require('../bankingSettlement/bankingSettlementService');
+
+const parseArgs = (argv) => {
+    const args = { apply: false };
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (arg === '--apply') args.apply = true;
+        else if (arg === '--company') args.companyId = argv[++index];
+        else if (arg === '--fy') args.financialYear = argv[++index];
+        else if (arg === '--rules') args.rulesFile = argv[++index];
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (!args.companyId || !args.financialYear) {
+        throw new Error('Usage: node scripts/settleBanking.js --company <companyId> --fy <2024-25> [--rules <file>] [--apply]');
+    }
+    return args;
+};
+
+const printPlan = (plan) => {
+    console.log(`Banking settlement for company ${plan.companyId}, FY ${plan.financialYear} (banking as of ${plan.month})`);
+    console.table(plan.sites.map(site => ({
+        site: site.siteName || site.productionSiteId,
+        status: site.status,
+        action: site.action || '',
+        units: site.totalUnits || 0,
+        rate: site.encashmentRate ?? '',
+        amount: site.amount ?? ''
+    })));
+    console.log('Totals:', plan.totals);
+};
+
+async function settleBanking() {
+    try {
+        const { companyId, financialYear, rulesFile, apply } = parseArgs(process.argv.slice(2));
+        const rules = rulesFile
+            ? JSON.parse(fs.readFileSync(path.resolve(process.cwd(), rulesFile), 'utf8'))
+            : {};
+
+        if (!apply) {
+            printPlan(await bankingSettlementService.previewSettlement(companyId, financialYear, rules));
+            console.log('Preview only; run again with --apply to settle.');
+            return;
+        }
+
+        const result = await bankingSettlementService.runSettlement(companyId, financialYear, rules, {
+            createdBy: 'settleBanking script'
+        });
+        printPlan(result);
+        console.log(`Settled ${result.settledSites.length} site(s) in run ${result.runId}`);
+    } catch (error) {
+        console.error('Banking settlement failed:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+settleBanking();
@@ -1,417 +1,607 @@
 // Energy Allocation Service
-// Handles allocation of energy from production to consumption sites
-// with support for peak/off-peak periods, banking, and lapse tracking
-
-// Constants
-const PEAK_PERIODS = ['c2', 'c3'];
-const NON_PEAK_PERIODS = ['c1', 'c4', 'c5'];
-const ALL_PERIODS = [...NON_PEAK_PERIODS, ...PEAK_PERIODS];
+// The single allocation engine: shares production between captive shareholders'
+// consumption sites month by month, then banks or lapses whatever is left.
+// The Allocation page calls it through POST /api/allocation/calculate, so what
+// the page shows is exactly what gets saved.
+
+const { ALL_PERIODS, DEFAULT_PERIOD_DEFINITION } = require('../constants/periods');
+const periodRules = require('../utils/periodRules');
+const periodDefinitionService = require('../periodDefinition/periodDefinitionService');
+const captiveDAL = require('../captive/captiveDAL');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+
+const RECORD_TYPE = {
+  ALLOCATION: 'ALLOCATION',
+  BANKING: 'BANKING',
+  LAPSE: 'LAPSE'
+};
 
 /**
- * Checks if allocation from source period to target period is allowed
+ * Checks if allocation from source period to target period is allowed by the
+ * allocation matrix of the month's period definitions
  * @param {string} sourcePeriod - The source period (c1-c5)
  * @param {string} targetPeriod - The target period (c1-c5)
+ * @param {Object} [definition] - Period definitions; defaults to c2/c3 peak serving any period
  * @returns {boolean} - True if allocation is allowed
  */
-function isAllocationAllowed(sourcePeriod, targetPeriod) {
-  // Peak units can be used for any period
-  if (PEAK_PERIODS.includes(sourcePeriod)) return true;
-  // Non-peak units can only be used for the same period
-  return sourcePeriod === targetPeriod;
+function isAllocationAllowed(sourcePeriod, targetPeriod, definition = DEFAULT_PERIOD_DEFINITION) {
+  return periodRules.isAllocationAllowed(sourcePeriod, targetPeriod, definition);
+}
+
+/**
+ * Read c1-c5 from a unit, either at the root or under `allocated`
+ * @param {Object} unit - Unit record
+ * @returns {Object} Whole units per period
+ */
+function toUnits(unit = {}) {
+  return ALL_PERIODS.reduce((acc, period) => {
+    const value = unit[period] ?? unit.allocated?.[period] ?? 0;
+    acc[period] = Math.max(0, Math.round(Number(value) || 0));
+    return acc;
+  }, {});
+}
+
+function sumUnits(units = {}) {
+  return ALL_PERIODS.reduce((sum, period) => sum + (Number(units[period]) || 0), 0);
+}
+
+/**
+ * Only wind sites with their `banking` flag set may bank unused units; solar
+ * sites, and wind sites without the flag, lapse them.
+ * @param {Object} unit - Production unit or site
+ * @returns {boolean}
+ */
+function isBankingEnabled(unit = {}) {
+  if (String(unit.type || '').toUpperCase() !== 'WIND') return false;
+  if (typeof unit.bankingEnabled === 'boolean') return unit.bankingEnabled;
+  return Number(unit.banking) === 1 || unit.banking === true;
 }
 
 /**
- * Deep clones an object with unit values
- * @param {Object} obj - Object with c1-c5 properties
- * @returns {Object} Deep cloned object
+ * Convert an include/exclude list to a Set of string IDs. Accepts an array of
+ * IDs or an object of { siteId: true }.
  */
-function cloneUnits(obj) {
-  return JSON.parse(JSON.stringify({
-    c1: +obj.c1 || 0,
-    c2: +obj.c2 || 0,
-    c3: +obj.c3 || 0,
-    c4: +obj.c4 || 0,
-    c5: +obj.c5 || 0
-  }));
+function toIdSet(value) {
+  if (Array.isArray(value)) return new Set(value.map(id => String(id)));
+  if (value && typeof value === 'object') {
+    return new Set(Object.keys(value).filter(id => value[id]));
+  }
+  return new Set();
 }
 
 /**
- * Filters consumption units based on include and exclude lists
+ * Filters consumption units based on include/exclude settings. A site on both
+ * lists is excluded; sites on neither follow `excludeByDefault`.
  * @param {Array} consumptionUnits - Array of consumption units
- * @param {Array} includeConsumptionSites - Array of consumption site IDs to include (if provided, only these are used)
- * @param {Array} excludeConsumptionSites - Array of consumption site IDs to exclude
+ * @param {Object} [settings]
+ * @param {Array|Object} [settings.included] - Consumption site IDs to include
+ * @param {Array|Object} [settings.excluded] - Consumption site IDs to exclude
+ * @param {boolean} [settings.excludeByDefault] - Exclude sites on neither list
  * @returns {Array} Filtered consumption units
  */
-function filterConsumptionSites(consumptionUnits = [], includeConsumptionSites = [], excludeConsumptionSites = []) {
-  console.log('[filterConsumptionSites] Starting filter with:',
-    `include=${includeConsumptionSites?.length || 0} sites`,
-    `exclude=${excludeConsumptionSites?.length || 0} sites`);
-
-  if (!Array.isArray(consumptionUnits) || consumptionUnits.length === 0) {
-    console.log('[filterConsumptionSites] No consumption units to filter');
-    return [];
-  }
+function filterConsumptionUnits(consumptionUnits = [], { included, excluded, excludeByDefault = false } = {}) {
+  const includedSites = toIdSet(included);
+  const excludedSites = toIdSet(excluded);
+
+  return consumptionUnits.filter(unit => {
+    const siteId = String(unit.consumptionSiteId || unit.id || '');
+    if (excludedSites.has(siteId)) return false;
+    if (includedSites.has(siteId)) return true;
+    return !excludeByDefault;
+  });
+}
 
-  let filtered = [...consumptionUnits];
+/**
+ * Distributes percentages as whole numbers that sum to exactly 100, giving the
+ * spare points to the largest remainders
+ * @param {Array<{id: string, percentage: number}>} items - Shares to normalise
+ * @returns {Array<{id: string, percentage: number}>} Whole-number shares
+ */
+function normalizeToWholePercentages(items) {
+  const total = items.reduce((sum, item) => sum + item.percentage, 0);
+  if (!items.length || total <= 0) return [];
 
-  // If include list is provided, only use those sites
-  if (Array.isArray(includeConsumptionSites) && includeConsumptionSites.length > 0) {
-    filtered = filtered.filter(unit => {
-      const siteId = unit.consumptionSiteId || unit.id;
-      const isIncluded = includeConsumptionSites.includes(siteId) || 
-                         includeConsumptionSites.includes(String(siteId));
-      if (!isIncluded) {
-        console.log(`[filterConsumptionSites] Filtering out site ${siteId} (not in include list)`);
-      }
-      return isIncluded;
-    });
-    console.log(`[filterConsumptionSites] After include filter: ${filtered.length} units remain`);
-  }
+  const scaled = items.map(item => {
+    const exact = (item.percentage / total) * 100;
+    return { ...item, percentage: Math.floor(exact), remainder: exact % 1 };
+  });
+  let spare = 100 - scaled.reduce((sum, item) => sum + item.percentage, 0);
+
+  return [...scaled]
+    .sort((a, b) => b.remainder - a.remainder)
+    .map(({ remainder, ...item }) => ({
+      ...item,
+      percentage: item.percentage + (spare-- > 0 ? 1 : 0)
+    }));
+}
 
-  // Apply exclude list
-  if (Array.isArray(excludeConsumptionSites) && excludeConsumptionSites.length > 0) {
-    filtered = filtered.filter(unit => {
-      const siteId = unit.consumptionSiteId || unit.id;
-      const isExcluded = excludeConsumptionSites.includes(siteId) || 
-                         excludeConsumptionSites.includes(String(siteId));
-      if (isExcluded) {
-        console.log(`[filterConsumptionSites] Filtering out site ${siteId} (in exclude list)`);
-      }
-      return !isExcluded;
-    });
-    console.log(`[filterConsumptionSites] After exclude filter: ${filtered.length} units remain`);
-  }
+/**
+ * Build generatorCompanyId → [{ id, percentage }] from active captive entries,
+ * with each generator's shares normalised to whole percentages summing to 100
+ * @param {Array} captiveData - Captive entries
+ * @returns {Map<string, Array>} Shares per generator, largest first
+ */
+function buildCaptiveShares(captiveData = []) {
+  const byGenerator = new Map();
+
+  captiveData.forEach(entry => {
+    const generatorId = String(entry?.generatorCompanyId || '');
+    const shareholderId = String(entry?.shareholderCompanyId || '');
+    const percentage = Math.max(0, Math.min(100, Number(entry?.allocationPercentage) || 0));
+    const status = String(entry?.allocationStatus || 'active').toLowerCase();
+    if (!generatorId || !shareholderId || percentage <= 0 || status !== 'active') return;
+
+    const shares = byGenerator.get(generatorId) || new Map();
+    shares.set(shareholderId, (shares.get(shareholderId) || 0) + percentage);
+    byGenerator.set(generatorId, shares);
+  });
 
-  console.log(`[filterConsumptionSites] Final filtered result: ${filtered.length} units from ${consumptionUnits.length} original`);
-  return filtered;
+  const result = new Map();
+  byGenerator.forEach((shares, generatorId) => {
+    const normalized = normalizeToWholePercentages(
+      [...shares.entries()].map(([id, percentage]) => ({ id, percentage }))
+    );
+    result.set(generatorId, normalized.sort((a, b) => b.percentage - a.percentage));
+  });
+  return result;
 }
 
 /**
- * Advanced Energy Allocation Calculator
- * 
- * Allocates energy from production to consumption sites following these rules:
- * 1. Peak units (c2, c3) can be used for any period, non-peak only for matching periods
- * 2. Allocation order: Solar → Wind (non-banking) → Wind (banking) → Banked units
- * 3. Only wind farms with banking enabled can bank unused units
- * 4. Solar and non-banking wind farms have their unused units lapsed
- * 
- * @param {Object} params - Input parameters
- * @param {Array} params.productionUnits - Array of production units
- * @param {Array} params.consumptionUnits - Array of consumption units
- * @param {Array} params.bankingUnits - Array of banked units from previous periods
- * @param {Array} params.includeConsumptionSites - Array of consumption site IDs to include (if provided, only these are used)
- * @param {Array} params.excludeConsumptionSites - Array of consumption site IDs to exclude
- * @returns {Object} Allocation results including allocations, banking, and lapsed units
+ * Banking charge per period as a percentage of the units banked: the site's
+ * rate for the period where one is set (`bankingChargeByPeriod`), otherwise
+ * its overall `bankingChargePercentage`
+ * @param {Object} unit - Production unit or site
+ * @returns {Object} c1-c5 percentages
  */
-function calculateAllocations({ productionUnits = [], consumptionUnits = [], bankingUnits = [], includeConsumptionSites = [], excludeConsumptionSites = [] }) {
-  console.log('[calculateAllocations] Starting allocation process');
-  
-  // Filter consumption sites based on include/exclude lists
-  consumptionUnits = filterConsumptionSites(consumptionUnits, includeConsumptionSites, excludeConsumptionSites);
-  
-  // Ensure all production units have proper initialization
-  productionUnits = productionUnits.map(unit => ({
-    ...unit,
-    type: (unit.type || 'solar').toUpperCase(),
-    unitBankingEnabled: unit.unitBankingEnabled ?? (unit.type?.toUpperCase() === 'WIND' && Number(unit.banking) === 1),
-    productionSiteId: unit.productionSiteId || unit.id,
-    productionSite: unit.productionSite || unit.siteName,
-    siteName: unit.siteName || `Production-${unit.id}`,
-    month: unit.month
-  }));
-
-  // Log initial state
-  console.log(`[calculateAllocations] Processing ${productionUnits.length} production units, ${consumptionUnits.length} consumption units (after filtering), ${bankingUnits.length} banking units`);
-  
-  // Prepare data structures
-  const allocations = [];
-  const newBankingAllocations = [];
-  const lapsedAllocations = [];
-
-  // Process input units
-  const processProductionUnit = (unit) => {
-    const processed = {
-      ...unit,
-      productionSiteId: unit.productionSiteId || unit.id,
-      productionSite: unit.productionSite || unit.siteName,
-      siteName: unit.siteName,
-      type: (unit.type || '').toUpperCase(),
-      bankingEnabled: unit.unitBankingEnabled ?? (unit.type?.toUpperCase() === 'WIND' && Number(unit.banking) === 1),
-      remaining: cloneUnits(unit)
-    };
-    
-    console.log(`[processProductionUnit] Processed unit ${processed.productionSiteId} (${processed.type}):`, 
-      `banking=${processed.bankingEnabled}`, 
-      `remaining=`, processed.remaining);
-      
-    return processed;
+function getBankingChargeRates(unit = {}) {
+  const overall = Number(unit.bankingChargePercentage) || 0;
+  return ALL_PERIODS.reduce((acc, period) => {
+    const override = unit.bankingChargeByPeriod?.[period];
+    const rate = override === undefined || override === null || override === '' ? overall : Number(override);
+    acc[period] = Math.min(100, Math.max(0, Number.isFinite(rate) ? rate : 0));
+    return acc;
+  }, {});
+}
+
+/**
+ * Units deducted as banking charge from units about to be banked
+ */
+function applyBankingCharge(units, rates) {
+  return ALL_PERIODS.reduce((acc, period) => {
+    acc[period] = Math.min(units[period], Math.round(units[period] * (rates?.[period] || 0) / 100));
+    return acc;
+  }, {});
+}
+
+function createProducer(unit, productionSites) {
+  const siteId = String(unit.productionSiteId || unit.id || '');
+  const siteInfo = productionSites.find(site => String(site.productionSiteId || site.id || '') === siteId) || {};
+
+  return {
+    productionSiteId: siteId,
+    siteName: unit.siteName || unit.name || siteInfo.name || `Production-${siteId}`,
+    type: String(unit.type || siteInfo.type || '').toUpperCase(),
+    month: unit.month,
+    generatorCompanyId: String(unit.generatorCompanyId || siteInfo.generatorCompanyId || unit.companyId || ''),
+    bankingEnabled: isBankingEnabled({ ...siteInfo, ...unit }),
+    bankingChargeRates: getBankingChargeRates({ ...siteInfo, ...unit }),
+    commissionDate: unit.commissionDate || unit.dateOfCommission ||
+      siteInfo.commissionDate || siteInfo.dateOfCommission || null,
+    remaining: toUnits(unit)
   };
+}
 
-  const processConsumptionUnit = (unit) => ({
-    ...unit,
-    consumptionSiteId: unit.consumptionSiteId || unit.id,
-    consumptionSite: unit.consumptionSite || unit.siteName,
-    remaining: cloneUnits(unit)
-  });
+function createConsumer(unit) {
+  return {
+    consumptionSiteId: String(unit.consumptionSiteId || unit.id || ''),
+    siteName: unit.siteName || unit.name || '',
+    month: unit.month,
+    shareholderCompanyId: String(unit.shareholderCompanyId || unit.companyId || ''),
+    irType: unit.irType,
+    injection: unit.injection ? { ...unit.injection } : undefined,
+    reduction: unit.reduction ? { ...unit.reduction } : undefined,
+    remaining: toUnits(unit)
+  };
+}
 
-  // Process all units with enhanced logging
-  console.log('[calculateAllocations] Processing production units');
-  const prodUnits = productionUnits.map(processProductionUnit);
-  
-  console.log('[calculateAllocations] Processing consumption units');
-  const consUnits = consumptionUnits.map(unit => {
-    const processed = processConsumptionUnit(unit);
-    console.log(`[processConsumptionUnit] Processed consumption unit ${processed.consumptionSiteId}:`, 
-      `remaining=`, processed.remaining);
-    return processed;
-  });
-  
-  console.log('[calculateAllocations] Processing banked units');
-  const bankUnits = bankingUnits.map(u => {
-    const processed = {
-      ...processProductionUnit(u),
-      isBanked: true
-    };
-    console.log(`[processBankedUnit] Processed banked unit ${processed.productionSiteId}:`, 
-      `remaining=`, processed.remaining);
-    return processed;
-  });
+/**
+ * Producers whose leftovers lapse are drawn before banking-enabled ones, so
+ * that as little as possible lapses; within each group newer sites go first.
+ */
+function compareProducers(a, b) {
+  if (a.bankingEnabled !== b.bankingEnabled) return a.bankingEnabled ? 1 : -1;
+  const dateA = a.commissionDate ? new Date(a.commissionDate).getTime() || 0 : 0;
+  const dateB = b.commissionDate ? new Date(b.commissionDate).getTime() || 0 : 0;
+  if (dateA !== dateB) return dateB - dateA;
+  return a.productionSiteId.localeCompare(b.productionSiteId);
+}
 
-  // Categorize production units
-  const solarUnits = prodUnits.filter(u => u.type === 'SOLAR');
-  const windUnits = prodUnits.filter(u => u.type === 'WIND' && !u.bankingEnabled);
-  const bankingWindUnits = prodUnits.filter(u => u.type === 'WIND' && u.bankingEnabled);
-
-  // Sort consumption sites by priority (first selected site first, then by month and name)
-  const sortedConsUnits = [...consUnits].sort((a, b) => {
-    if (a.month && b.month) {
-      const monthA = parseInt(a.month.substring(0, 2));
-      const monthB = parseInt(b.month.substring(0, 2));
-      const yearA = parseInt(a.month.substring(2));
-      const yearB = parseInt(b.month.substring(2));
-      if (yearA !== yearB) return yearA - yearB;
-      if (monthA !== monthB) return monthA - monthB;
-    }
-    return (a.siteName || '').localeCompare(b.siteName || '');
-  });
+/**
+ * Consumers with a priority come first (1 = highest); the rest follow by
+ * largest demand
+ */
+function compareConsumers(priorityMap) {
+  return (a, b) => {
+    const priorityA = Number(priorityMap[a.consumptionSiteId]) || Infinity;
+    const priorityB = Number(priorityMap[b.consumptionSiteId]) || Infinity;
+    if (priorityA !== priorityB) return priorityA - priorityB;
+    const demandDiff = sumUnits(b.remaining) - sumUnits(a.remaining);
+    if (demandDiff !== 0) return demandDiff;
+    return a.consumptionSiteId.localeCompare(b.consumptionSiteId);
+  };
+}
 
-  /**
-   * Allocates units from a production source to consumption sites
-   * @param {Object} source - Production source (solar, wind, or banked units)
-   * @param {string} sourceType - Type of source ('solar', 'wind', 'banked')
-   * @param {boolean} isBanking - Whether to bank unused units (for wind with banking)
-   */
-  const allocateFromSource = (source, sourceType, isBanking = false) => {
-    const allocation = {
-      productionSiteId: source.productionSiteId,
-      productionSite: source.productionSite,
-      siteType: source.type,
-      siteName: source.siteName,
-      month: source.month,
-      allocated: { c1: 0, c2: 0, c3: 0, c4: 0, c5: 0 }
-    };
-
-    // Track remaining capacity per period
-    const remaining = cloneUnits(source.remaining);
-    let hasAllocation = false;
-
-    // Try to allocate to each consumption site
-    for (const cons of sortedConsUnits) {
-      if (!cons.month || (source.month && cons.month !== source.month)) continue;
-
-      // Create allocation record for this consumption site
-      const siteAllocation = {
-        ...allocation,
-        consumptionSiteId: cons.consumptionSiteId,
-        consumptionSite: cons.consumptionSite,
-        allocated: { c1: 0, c2: 0, c3: 0, c4: 0, c5: 0 }
-      };
-
-      // Try to allocate for each period
-      for (const period of ALL_PERIODS) {
-        if (cons.remaining[period] <= 0) continue;
-
-        // Find available units in source that can be allocated to this period
-        for (const srcPeriod of ALL_PERIODS) {
-          if (remaining[srcPeriod] <= 0) continue;
-          if (!isAllocationAllowed(srcPeriod, period)) continue;
-
-          const allocAmount = Math.min(
-            remaining[srcPeriod],
-            cons.remaining[period]
-          );
-
-          if (allocAmount > 0) {
-            remaining[srcPeriod] -= allocAmount;
-            cons.remaining[period] -= allocAmount;
-            siteAllocation.allocated[period] += allocAmount;
-            hasAllocation = true;
-          }
-        }
-      }
+/**
+ * Banked units belong to the generator that banked them and can only be drawn
+ * by consumption sites of its captive shareholders
+ * @param {Object} bank - Banked units, as prepared by prepareAllocationUnits
+ * @param {Object} consumer - Consumer
+ * @param {Map<string, Array>} captiveShares - From buildCaptiveShares
+ * @returns {boolean}
+ */
+function canDrawBanked(bank, consumer, captiveShares) {
+  return (captiveShares.get(bank.generatorCompanyId) || [])
+    .some(share => share.id === consumer.shareholderCompanyId);
+}
 
-      // Add allocation if any units were allocated to this site
-      if (Object.values(siteAllocation.allocated).some(v => v > 0)) {
-        allocations.push(siteAllocation);
-      }
-    }
+/**
+ * Units a consumer takes for a period: its remaining need, raised by an
+ * injection or lowered by a reduction for that period
+ */
+function getConsumerNeed(consumer, period) {
+  const need = consumer.remaining[period];
+  const injection = Number(consumer.injection?.[period]) || 0;
+  const reduction = Number(consumer.reduction?.[period]) || 0;
+  if (injection > 0) return need + injection;
+  if (reduction > 0) return Math.max(0, need - reduction);
+  return need;
+}
 
-    // Handle unused units (bank or lapse)
-    const unused = Object.entries(remaining).reduce((sum, [_, val]) => sum + val, 0);
-    if (unused > 0) {
-      if (isBanking) {
-        // Bank unused units
-        newBankingAllocations.push({
-          productionSiteId: source.productionSiteId,
-          productionSite: source.productionSite,
-          siteName: source.siteName,
-          month: source.month,
-          banked: remaining
-        });
-      } else {
-        // Add to lapsed units
-        lapsedAllocations.push({
-          productionSiteId: source.productionSiteId,
-          productionSite: source.productionSite,
-          siteName: source.siteName,
-          month: source.month,
-          lapsed: remaining
+/**
+ * Units of each source period a shareholder may draw from its generator's production
+ */
+function getShareCap(production, percentage) {
+  return ALL_PERIODS.reduce((acc, period) => {
+    acc[period] = Math.floor(production[period] * percentage / 100);
+    return acc;
+  }, {});
+}
+
+function createLeftoverRecord(producer, type, month, units) {
+  const isBanking = type === RECORD_TYPE.BANKING;
+  return {
+    id: `${type.toLowerCase()}_${producer.productionSiteId}_${month}`,
+    type,
+    productionSiteId: producer.productionSiteId,
+    productionSite: producer.siteName,
+    siteName: producer.siteName,
+    consumptionSiteId: isBanking ? 'BANK' : 'LAPSE',
+    consumptionSite: isBanking ? 'Banking' : 'Lapsed',
+    generatorCompanyId: producer.generatorCompanyId,
+    bankingEnabled: isBanking,
+    month,
+    allocated: units,
+    ...(isBanking && {
+      // Units banked from surplus and drawn by allocations this month, for the banking ledger
+      movements: { banked: toUnits(), drawn: toUnits() },
+      // Units deducted as banking charge before the surplus was banked
+      bankingCharge: toUnits()
+    })
+  };
+}
+
+/**
+ * Turn calculation inputs into the working producer, consumer and banked-unit
+ * lists the calculator (and the optimiser) allocate between
+ * @param {Object} params - Parameters as for calculateAllocations
+ * @returns {Object} { month, producers, consumers, banked, captiveShares, periodDefinition }
+ */
+function prepareAllocationUnits({
+  month,
+  productionUnits = [],
+  consumptionUnits = [],
+  bankingUnits = [],
+  captiveData = [],
+  productionSites = [],
+  consumptionSitePriorityMap = {},
+  consumptionSiteIncludeExclude = {},
+  periodDefinition
+}) {
+  const priorityMap = Object.fromEntries(
+    Object.entries(consumptionSitePriorityMap || {}).map(([id, priority]) => [String(id), priority])
+  );
+  const inMonth = unit => !unit.month || !month || String(unit.month) === String(month);
+
+  return {
+    month,
+    producers: productionUnits
+      .filter(Boolean)
+      .map(unit => createProducer(unit, productionSites))
+      .filter(inMonth)
+      .sort(compareProducers),
+    consumers: filterConsumptionUnits(consumptionUnits.filter(Boolean), consumptionSiteIncludeExclude)
+      .map(createConsumer)
+      .filter(inMonth)
+      .sort(compareConsumers(priorityMap)),
+    banked: bankingUnits
+      .filter(unit => unit && String(unit.month || month) === String(month))
+      .map(unit => ({ ...createProducer(unit, productionSites), available: toUnits(unit) })),
+    captiveShares: buildCaptiveShares(captiveData),
+    periodDefinition: periodDefinition || DEFAULT_PERIOD_DEFINITION
+  };
+}
+
+/**
+ * Collects allocated units into one record per production/consumption site pair
+ * @param {string} month - Allocation month (MMYYYY)
+ * @returns {Object} { add(producer, consumer, period, units, allocationPercentage), records() }
+ */
+function createAllocationBook(month) {
+  const allocations = new Map();
+  return {
+    add(producer, consumer, period, units, allocationPercentage) {
+      const key = `${producer.productionSiteId}_${consumer.consumptionSiteId}`;
+      if (!allocations.has(key)) {
+        allocations.set(key, {
+          type: RECORD_TYPE.ALLOCATION,
+          productionSiteId: producer.productionSiteId,
+          productionSite: producer.siteName,
+          consumptionSiteId: consumer.consumptionSiteId,
+          consumptionSite: consumer.siteName,
+          generatorCompanyId: producer.generatorCompanyId,
+          shareholderCompanyId: consumer.shareholderCompanyId,
+          month,
+          allocationPercentage,
+          allocated: toUnits(),
+          ...(consumer.irType && { irType: consumer.irType }),
+          ...(consumer.injection && { injection: { ...consumer.injection } }),
+          ...(consumer.reduction && { reduction: { ...consumer.reduction } })
         });
       }
+      allocations.get(key).allocated[period] += units;
+    },
+    records() {
+      return [...allocations.values()];
     }
+  };
+}
 
-    return hasAllocation;
+/**
+ * Bank or lapse what the producers and banked units have left, note what
+ * was banked and drawn, and total up
+ * @param {string} month - Allocation month (MMYYYY)
+ * @param {Array} allocations - Allocation records
+ * @param {Object} units - { producers, banked, consumers } with their remaining units
+ * @returns {Object} { allocations, bankingAllocations, lapseAllocations, remainingConsumption, summary }
+ */
+function buildAllocationResult(month, allocations, { producers, banked, consumers }) {
+  const bankingAllocations = new Map();
+  const lapseAllocations = new Map();
+  const addLeftover = (producer, type, units = producer.remaining) => {
+    if (sumUnits(units) <= 0) return;
+    const target = type === RECORD_TYPE.BANKING ? bankingAllocations : lapseAllocations;
+    const existing = target.get(producer.productionSiteId);
+    if (existing) {
+      ALL_PERIODS.forEach(period => { existing.allocated[period] += units[period]; });
+    } else {
+      target.set(producer.productionSiteId, createLeftoverRecord(producer, type, month, { ...units }));
+    }
+  };
+  // Units banked, drawn or charged for this month, kept apart from the balance
+  const addToBankingRecord = (producer, field, units) => {
+    if (sumUnits(units) <= 0) return;
+    // A bank drawn down to nothing still needs a record to carry the movement
+    if (!bankingAllocations.has(producer.productionSiteId)) {
+      bankingAllocations.set(producer.productionSiteId, createLeftoverRecord(producer, RECORD_TYPE.BANKING, month, toUnits()));
+    }
+    const record = bankingAllocations.get(producer.productionSiteId);
+    const target = field === 'bankingCharge' ? record.bankingCharge : record.movements[field];
+    ALL_PERIODS.forEach(period => { target[period] += units[period]; });
   };
 
-  // Execute allocation in priority order
-  console.log('[calculateAllocations] Starting main allocation phase');
-  const allocationOrder = [
-    { sources: solarUnits, type: 'solar', bank: false },
-    { sources: windUnits, type: 'wind', bank: false },
-    { sources: bankingWindUnits, type: 'wind', bank: true },
-    { sources: bankUnits, type: 'banked', bank: false }
-  ];
-
-  for (const { sources, type, bank } of allocationOrder) {
-    console.log(`[calculateAllocations] Processing ${type} sources (banking: ${bank})`);
-    for (const source of sources) {
-      console.log(`[calculateAllocations] Allocating from ${source.type} source ${source.productionSiteId || 'banked'}`);
-      allocateFromSource(source, type, bank);
+  producers.forEach(producer => {
+    if (!producer.bankingEnabled) {
+      addLeftover(producer, RECORD_TYPE.LAPSE);
+      return;
     }
-  }
+    // The banking charge is deducted from surplus production as it is banked
+    const charge = applyBankingCharge(producer.remaining, producer.bankingChargeRates);
+    const net = ALL_PERIODS.reduce((acc, period) => {
+      acc[period] = producer.remaining[period] - charge[period];
+      return acc;
+    }, {});
+    addLeftover(producer, RECORD_TYPE.BANKING, net);
+    addToBankingRecord(producer, 'banked', net);
+    addToBankingRecord(producer, 'bankingCharge', charge);
+  });
+  banked.forEach(bank => {
+    addLeftover(bank, RECORD_TYPE.BANKING);
+    addToBankingRecord(bank, 'drawn', ALL_PERIODS.reduce((acc, period) => {
+      acc[period] = bank.available[period] - bank.remaining[period];
+      return acc;
+    }, {}));
+  });
 
-  // Final allocation pass to handle any remaining consumption
-  const finalAllocationPass = () => {
-    console.log('[finalAllocationPass] Starting final allocation pass for remaining consumption');
-    
-    let totalRemainingConsumption = 0;
-    let totalRemainingProduction = 0;
-    
-    // Calculate total remaining consumption and production
-    sortedConsUnits.forEach(cons => {
-      ALL_PERIODS.forEach(period => {
-        totalRemainingConsumption += cons.remaining[period] || 0;
+  const result = {
+    allocations,
+    bankingAllocations: [...bankingAllocations.values()],
+    lapseAllocations: [...lapseAllocations.values()],
+    remainingConsumption: consumers
+      .filter(consumer => sumUnits(consumer.remaining) > 0)
+      .map(consumer => ({
+        consumptionSiteId: consumer.consumptionSiteId,
+        siteName: consumer.siteName,
+        remaining: { ...consumer.remaining }
+      }))
+  };
+  result.summary = {
+    allocated: result.allocations.reduce((sum, record) => sum + sumUnits(record.allocated), 0),
+    banked: result.bankingAllocations.reduce((sum, record) => sum + sumUnits(record.allocated), 0),
+    lapsed: result.lapseAllocations.reduce((sum, record) => sum + sumUnits(record.allocated), 0),
+    bankingCharge: result.bankingAllocations.reduce((sum, record) => sum + sumUnits(record.bankingCharge), 0),
+    unmetDemand: result.remainingConsumption.reduce((sum, consumer) => sum + sumUnits(consumer.remaining), 0)
+  };
+  return result;
+}
+
+/**
+ * Energy Allocation Calculator
+ *
+ * 1. Each generator company's production is shared between its captive
+ *    shareholders by their (whole-number) allocation percentages, worked out
+ *    on the production before any allocation.
+ * 2. Within a share, consumption sites are served in priority order, and
+ *    producers whose leftovers would lapse are used before banking-enabled ones.
+ * 3. Units of a period can serve the periods the month's period definitions
+ *    allow (by default peak c2/c3 serve any period, non-peak only their own);
+ *    the same period is drawn first, then peak periods.
+ * 4. Banked units for the month then cover any remaining demand of the
+ *    generator's captive shareholders, same period only.
+ * 5. Leftover production is banked when the site is a wind site with its
+ *    banking flag set and lapses otherwise; leftover banked units stay banked. The site's banking
+ *    charge is deducted from production as it is banked.
+ *
+ * @param {Object} params - Input parameters
+ * @param {string} params.month - Allocation month (MMYYYY)
+ * @param {Array} params.productionUnits - Production units for the month
+ * @param {Array} params.consumptionUnits - Consumption units for the month
+ * @param {Array} [params.bankingUnits] - Banked units available for the month
+ * @param {Array} [params.captiveData] - Captive entries { generatorCompanyId, shareholderCompanyId, allocationPercentage }
+ * @param {Array} [params.productionSites] - Site records used to fill in generator company, banking flag and charge, and commission date
+ * @param {Object} [params.consumptionSitePriorityMap] - consumptionSiteId → priority
+ * @param {Object} [params.consumptionSiteIncludeExclude] - { included, excluded, excludeByDefault }
+ * @param {Object} [params.periodDefinition] - Period definitions in force for the month
+ * @returns {Object} { allocations, bankingAllocations, lapseAllocations, remainingConsumption, summary }
+ */
+function calculateAllocations(params) {
+  const { month, producers, consumers, banked, captiveShares, periodDefinition } = prepareAllocationUnits(params);
+  const book = createAllocationBook(month);
+
+  // 1-3: captive shares
+  captiveShares.forEach((shares, generatorId) => {
+    const generatorSites = producers.filter(producer => producer.generatorCompanyId === generatorId);
+    if (generatorSites.length === 0) return;
+
+    const production = ALL_PERIODS.reduce((acc, period) => {
+      acc[period] = generatorSites.reduce((sum, site) => sum + site.remaining[period], 0);
+      return acc;
+    }, {});
+
+    shares.forEach(({ id: shareholderId, percentage }) => {
+      const shareholderConsumers = consumers.filter(consumer => consumer.shareholderCompanyId === shareholderId);
+      if (shareholderConsumers.length === 0) return;
+
+      // Units of each source period this shareholder may still draw
+      const cap = getShareCap(production, percentage);
+
+      shareholderConsumers.forEach(consumer => {
+        ALL_PERIODS.forEach(period => {
+          let need = getConsumerNeed(consumer, period);
+
+          for (const sourcePeriod of periodRules.getSourcePeriods(period, periodDefinition)) {
+            for (const producer of generatorSites) {
+              if (need <= 0) return;
+              const take = Math.min(need, cap[sourcePeriod], producer.remaining[sourcePeriod]);
+              if (take <= 0) continue;
+
+              producer.remaining[sourcePeriod] -= take;
+              cap[sourcePeriod] -= take;
+              consumer.remaining[period] = Math.max(0, consumer.remaining[period] - take);
+              need -= take;
+              book.add(producer, consumer, period, take, percentage);
+            }
+          }
+        });
       });
     });
-    
-    // Get all remaining production from all sources
-    const allRemainingProduction = [
-      ...solarUnits,
-      ...windUnits,
-      ...bankingWindUnits
-    ].reduce((total, source) => {
+  });
+
+  // 4: banked units cover what is still unmet for the generator's shareholders
+  banked.forEach(bank => {
+    consumers.filter(consumer => canDrawBanked(bank, consumer, captiveShares)).forEach(consumer => {
       ALL_PERIODS.forEach(period => {
-        total += source.remaining[period] || 0;
+        const take = Math.min(consumer.remaining[period], bank.remaining[period]);
+        if (take <= 0) return;
+        bank.remaining[period] -= take;
+        consumer.remaining[period] -= take;
+        book.add(bank, consumer, period, take, 100);
       });
-      return total;
-    }, 0);
-    
-    console.log(`[finalAllocationPass] Remaining consumption: ${totalRemainingConsumption}, Remaining production: ${allRemainingProduction}`);
-    
-    // If there's remaining consumption and production, try to allocate it
-    if (totalRemainingConsumption > 0 && allRemainingProduction > 0) {
-      console.log('[finalAllocationPass] Attempting to allocate remaining production to remaining consumption');
-      
-      for (const cons of sortedConsUnits) {
-        for (const period of ALL_PERIODS) {
-          if (cons.remaining[period] <= 0) continue;
-          
-          // Try all sources
-          const sources = [...solarUnits, ...windUnits, ...bankingWindUnits];
-          for (const source of sources) {
-            for (const srcPeriod of ALL_PERIODS) {
-              if (source.remaining[srcPeriod] <= 0) continue;
-              
-              const allocAmount = Math.min(
-                source.remaining[srcPeriod],
-                cons.remaining[period]
-              );
-              
-              if (allocAmount > 0) {
-                source.remaining[srcPeriod] -= allocAmount;
-                cons.remaining[period] -= allocAmount;
-                
-                // Create or update allocation
-                const existingAlloc = allocations.find(a => 
-                  a.productionSiteId === source.productionSiteId &&
-                  a.consumptionSiteId === cons.consumptionSiteId
-                );
-                
-                if (existingAlloc) {
-                  existingAlloc.allocated[period] = (existingAlloc.allocated[period] || 0) + allocAmount;
-                } else {
-                  allocations.push({
-                    productionSiteId: source.productionSiteId,
-                    productionSite: source.productionSite,
-                    siteType: source.type,
-                    siteName: source.siteName,
-                    month: source.month,
-                    consumptionSiteId: cons.consumptionSiteId,
-                    consumptionSite: cons.consumptionSite,
-                    allocated: { [period]: allocAmount }
-                  });
-                }
-                
-                console.log(`[finalAllocationPass] Allocated ${allocAmount} from ${source.productionSiteId} (${srcPeriod}) to ${cons.consumptionSiteId} (${period})`);
-              }
-            }
-          }
-        }
-      }
-    }
-  };
-  
-  // Run the final allocation pass
-  finalAllocationPass();
-
-  // Calculate final remaining consumption and production
-  const remainingConsumption = sortedConsUnits.reduce((total, cons) => {
-    return total + Object.values(cons.remaining || {}).reduce((sum, val) => sum + val, 0);
-  }, 0);
-  
-  const remainingProduction = [...solarUnits, ...windUnits, ...bankingWindUnits].reduce((total, source) => {
-    return total + Object.values(source.remaining || {}).reduce((sum, val) => sum + val, 0);
-  }, 0);
-
-  // Log final summary
-  console.log('=== FINAL ALLOCATION SUMMARY ===');
-  console.log('Total allocations:', allocations.length);
-  console.log('Total banking allocations:', newBankingAllocations.length);
-  console.log('Total lapsed allocations:', lapsedAllocations.length);
-  console.log('Remaining consumption:', remainingConsumption);
-  console.log('Remaining production:', remainingProduction);
-  console.log('===============================');
+    });
+  });
+
+  // 5: leftovers
+  const result = buildAllocationResult(month, book.records(), { producers, banked, consumers });
+  logger.debug(`[AllocationCalculator] ${month}: ${producers.length} producers, ${consumers.length} consumers`, result.summary);
+  return result;
+}
+
+/**
+ * Validate the inputs of a calculation request, load the captive entries for
+ * the production units' generator companies when none were supplied, and the
+ * period definitions in force for the month
+ * @param {Object} body - Request body with month, productionUnits, consumptionUnits,
+ *   bankingUnits, captiveData, productionSites, consumptionSitePriorityMap, consumptionSiteIncludeExclude
+ * @returns {Promise<Object>} Parameters for calculateAllocations
+ */
+async function resolveCalculationInputs(body = {}) {
+  const {
+    month,
+    productionUnits,
+    consumptionUnits,
+    bankingUnits = [],
+    productionSites = [],
+    consumptionSitePriorityMap = {},
+    consumptionSiteIncludeExclude = {}
+  } = body;
+
+  if (!/^(0[1-9]|1[0-2])\d{4}$/.test(String(month || ''))) {
+    throw new ValidationError('month is required in MMYYYY format');
+  }
+  if (!Array.isArray(productionUnits) || !Array.isArray(consumptionUnits)) {
+    throw new ValidationError('productionUnits and consumptionUnits must be arrays');
+  }
+  if (!Array.isArray(bankingUnits) || !Array.isArray(productionSites)) {
+    throw new ValidationError('bankingUnits and productionSites must be arrays');
+  }
+
+  let { captiveData } = body;
+  if (!Array.isArray(captiveData)) {
+    const generatorIds = [...new Set(productionUnits
+      .map(unit => unit.generatorCompanyId || unit.companyId)
+      .filter(Boolean)
+      .map(String))];
+    captiveData = (await Promise.all(generatorIds.map(id => captiveDAL.getCaptivesByGenerator(id)))).flat();
+  }
+  const periodDefinition = await periodDefinitionService.resolveDefinition(month);
 
   return {
-    allocations,
-    bankingAllocations: newBankingAllocations,
-    lapseAllocations: lapsedAllocations,
-    remainingConsumption,
-    remainingProduction
+    month,
+    productionUnits,
+    consumptionUnits,
+    bankingUnits,
+    captiveData,
+    productionSites,
+    consumptionSitePriorityMap,
+    consumptionSiteIncludeExclude,
+    periodDefinition
   };
 }
 
 module.exports = {
+  RECORD_TYPE,
+  isAllocationAllowed,
+  isBankingEnabled,
+  filterConsumptionUnits,
+  normalizeToWholePercentages,
   calculateAllocations,
-  filterConsumptionSites
+  resolveCalculationInputs,
+  // Shared with the allocation optimiser
+  sumUnits,
+  getShareCap,
+  canDrawBanked,
+  getConsumerNeed,
+  prepareAllocationUnits,
+  createAllocationBook,
+  buildAllocationResult
 };
@@ -0,0 +1,232 @@
+const {
+  calculateAllocations,
+  isAllocationAllowed,
+  isBankingEnabled,
+  normalizeToWholePercentages
+} = require('./allocationCalculatorService');
+const { DEFAULT_PERIOD_DEFINITION } = require('../constants/periods');
+
+jest.mock('../utils/logger');
+
+const MONTH = '042025';
+
+const units = (values = {}) => ({ c1: 0, c2: 0, c3: 0, c4: 0, c5: 0, ...values });
+
+const producer = (id, values, site = {}) => ({
+  productionSiteId: id,
+  generatorCompanyId: 'G1',
+  type: 'SOLAR',
+  month: MONTH,
+  ...units(values),
+  ...site
+});
+
+const consumer = (id, shareholderCompanyId, values) => ({
+  consumptionSiteId: id,
+  shareholderCompanyId,
+  month: MONTH,
+  ...units(values)
+});
+
+const captive = (shareholderCompanyId, allocationPercentage, extra = {}) => ({
+  generatorCompanyId: 'G1',
+  shareholderCompanyId,
+  allocationPercentage,
+  ...extra
+});
+
+const allocatedTo = (result, consumptionSiteId) => result.allocations
+  .filter(record => record.consumptionSiteId === consumptionSiteId)
+  .reduce((acc, record) => {
+    Object.keys(acc).forEach(period => { acc[period] += record.allocated[period]; });
+    return acc;
+  }, units());
+
+describe('allocation calculator', () => {
+  describe('captive shares', () => {
+    it('splits a generator\'s production between shareholders by their percentages', () => {
+      const result = calculateAllocations({
+        month: MONTH,
+        productionUnits: [producer('P1', { c1: 1000 })],
+        consumptionUnits: [consumer('C1', 'S1', { c1: 1000 }), consumer('C2', 'S2', { c1: 1000 })],
+        captiveData: [captive('S1', 60), captive('S2', 40)]
+      });
+
+      expect(allocatedTo(result, 'C1').c1).toBe(600);
+      expect(allocatedTo(result, 'C2').c1).toBe(400);
+      expect(result.summary).toMatchObject({ allocated: 1000, lapsed: 0, unmetDemand: 1000 });
+    });
+
+    it('does not let a shareholder take more than its share when others need less', () => {
+      const result = calculateAllocations({
+        month: MONTH,
+        productionUnits: [producer('P1', { c1: 1000 })],
+        consumptionUnits: [consumer('C1', 'S1', { c1: 1000 }), consumer('C2', 'S2', { c1: 100 })],
+        captiveData: [captive('S1', 50), captive('S2', 50)]
+      });
+
+      expect(allocatedTo(result, 'C1').c1).toBe(500);
+      expect(allocatedTo(result, 'C2').c1).toBe(100);
+      expect(result.lapseAllocations[0].allocated.c1).toBe(400);
+    });
+
+    it('ignores inactive captive entries', () => {
+      const result = calculateAllocations({
+        month: MONTH,
+        productionUnits: [producer('P1', { c1: 100 })],
+        consumptionUnits: [consumer('C1', 'S1', { c1: 100 }), consumer('C2', 'S2', { c1: 100 })],
+        captiveData: [captive('S1', 100), captive('S2', 100, { allocationStatus: 'inactive' })]
+      });
+
+      expect(allocatedTo(result, 'C1').c1).toBe(100);
+      expect(allocatedTo(result, 'C2').c1).toBe(0);
+    });
+
+    it('rounds shares to whole percentages that add up to 100', () => {
+      const shares = normalizeToWholePercentages([
+        { id: 'S1', percentage: 1 },
+        { id: 'S2', percentage: 1 },
+        { id: 'S3', percentage: 1 }
+      ]);
+
+      expect(shares.map(share => share.percentage).sort()).toEqual([33, 33, 34]);
+    });
+  });
+
+  describe('period matching', () => {
+    it('lets peak units serve non-peak demand but not the other way round', () => {
+      expect(isAllocationAllowed('c2', 'c1')).toBe(true);
+      expect(isAllocationAllowed('c3', 'c5')).toBe(true);
+      expect(isAllocationAllowed('c1', 'c2')).toBe(false);
+      expect(isAllocationAllowed('c4', 'c4')).toBe(true);
+    });
+
+    it('draws the same period first, then peak periods', () => {
+      const result = calculateAllocations({
+        month: MONTH,
+        productionUnits: [producer('P1', { c1: 50, c2: 50 })],
+        consumptionUnits: [consumer('C1', 'S1', { c1: 80 })],
+        captiveData: [captive('S1', 100)]
+      });
+
+      expect(allocatedTo(result, 'C1').c1).toBe(80);
+      expect(result.lapseAllocations[0].allocated).toEqual(units({ c2: 20 }));
+    });
+
+    it('leaves peak demand unmet from non-peak production', () => {
+      const result = calculateAllocations({
+        month: MONTH,
+        productionUnits: [producer('P1', { c1: 100 })],
+        consumptionUnits: [consumer('C1', 'S1', { c2: 100 })],
+        captiveData: [captive('S1', 100)]
+      });
+
+      expect(result.allocations).toEqual([]);
+      expect(result.summary).toMatchObject({ allocated: 0, lapsed: 100, unmetDemand: 100 });
+    });
+
+    it('follows the allocation matrix of the month\'s period definitions', () => {
+      const periodDefinition = {
+        ...DEFAULT_PERIOD_DEFINITION,
+        allocationMatrix: { ...DEFAULT_PERIOD_DEFINITION.allocationMatrix, c1: ['c1', 'c2'] }
+      };
+      const result = calculateAllocations({
+        month: MONTH,
+        productionUnits: [producer('P1', { c1: 100 })],
+        consumptionUnits: [consumer('C1', 'S1', { c2: 100 })],
+        captiveData: [captive('S1', 100)],
+        periodDefinition
+      });
+
+      expect(allocatedTo(result, 'C1').c2).toBe(100);
+    });
+  });
+
+  describe('banking eligibility', () => {
+    it('only lets wind sites with the banking flag bank', () => {
+      expect(isBankingEnabled({ type: 'WIND', banking: 1 })).toBe(true);
+      expect(isBankingEnabled({ type: 'wind', banking: true })).toBe(true);
+      expect(isBankingEnabled({ type: 'WIND', banking: 0 })).toBe(false);
+      expect(isBankingEnabled({ type: 'SOLAR', banking: 1 })).toBe(false);
+      expect(isBankingEnabled({ type: 'WIND', banking: 1, bankingEnabled: false })).toBe(false);
+    });
+
+    it('banks a wind site\'s leftover and lapses a solar site\'s', () => {
+      const result = calculateAllocations({
+        month: MONTH,
+        productionUnits: [
+          producer('WIND1', { c1: 100 }, { type: 'WIND', banking: 1 }),
+          producer('SOLAR1', { c1: 100 }, { type: 'SOLAR', banking: 1 })
+        ],
+        consumptionUnits: [],
+        captiveData: [captive('S1', 100)]
+      });
+
+      expect(result.bankingAllocations.map(record => record.productionSiteId)).toEqual(['WIND1']);
+      expect(result.lapseAllocations.map(record => record.productionSiteId)).toEqual(['SOLAR1']);
+    });
+
+    it('uses lapsing producers before banking ones', () => {
+      const result = calculateAllocations({
+        month: MONTH,
+        productionUnits: [
+          producer('WIND1', { c1: 100 }, { type: 'WIND', banking: 1 }),
+          producer('SOLAR1', { c1: 100 })
+        ],
+        consumptionUnits: [consumer('C1', 'S1', { c1: 100 })],
+        captiveData: [captive('S1', 100)]
+      });
+
+      expect(result.allocations.map(record => record.productionSiteId)).toEqual(['SOLAR1']);
+      expect(result.summary).toMatchObject({ allocated: 100, banked: 100, lapsed: 0 });
+    });
+  });
+
+  describe('leftovers', () => {
+    it('deducts the banking charge from the units banked', () => {
+      const result = calculateAllocations({
+        month: MONTH,
+        productionUnits: [producer('WIND1', { c1: 1000 }, { type: 'WIND', banking: 1, bankingChargePercentage: 5 })],
+        consumptionUnits: [consumer('C1', 'S1', { c1: 600 })],
+        captiveData: [captive('S1', 100)]
+      });
+
+      const [bank] = result.bankingAllocations;
+      expect(bank.allocated.c1).toBe(380);
+      expect(bank.bankingCharge.c1).toBe(20);
+      expect(bank.movements.banked.c1).toBe(380);
+      expect(result.summary).toMatchObject({ allocated: 600, banked: 380, bankingCharge: 20, lapsed: 0, unmetDemand: 0 });
+    });
+
+    it('covers unmet demand from banked units of the same period and keeps the rest banked', () => {
+      const result = calculateAllocations({
+        month: MONTH,
+        productionUnits: [producer('P1', { c1: 100 })],
+        consumptionUnits: [consumer('C1', 'S1', { c1: 150, c2: 10 })],
+        bankingUnits: [producer('WIND1', { c1: 80 }, { type: 'WIND', banking: 1 })],
+        captiveData: [captive('S1', 100)]
+      });
+
+      expect(allocatedTo(result, 'C1')).toEqual(units({ c1: 150 }));
+      const [bank] = result.bankingAllocations;
+      expect(bank.allocated.c1).toBe(30);
+      expect(bank.movements.drawn.c1).toBe(50);
+      expect(result.remainingConsumption).toEqual([
+        { consumptionSiteId: 'C1', siteName: '', remaining: units({ c2: 10 }) }
+      ]);
+    });
+
+    it('lapses everything when no shareholder consumes', () => {
+      const result = calculateAllocations({
+        month: MONTH,
+        productionUnits: [producer('P1', { c1: 10, c4: 5 })],
+        consumptionUnits: [],
+        captiveData: []
+      });
+
+      expect(result.lapseAllocations).toHaveLength(1);
+      expect(result.lapseAllocations[0]).toMatchObject({ type: 'LAPSE', consumptionSiteId: 'LAPSE', allocated: units({ c1: 10, c4: 5 }) });
+      expect(result.summary.lapsed).toBe(15);
+    });
+  });
+});
@@ -0,0 +1,266 @@
+// Allocation Optimizer
+// Optional alternative to the greedy calculator: finds the allocation with the
+// least lapse (and, after that, the least banking) under the same captive
+// percentage and c1-c5 period rules.
+
+const { ALL_PERIODS } = require('../constants/periods');
+const logger = require('../utils/logger');
+const {
+  isAllocationAllowed,
+  getShareCap,
+  getConsumerNeed,
+  canDrawBanked,
+  prepareAllocationUnits,
+  createAllocationBook,
+  buildAllocationResult,
+  calculateAllocations
+} = require('./allocationCalculatorService');
+
+const ALLOCATION_MODE = {
+  GREEDY: 'greedy',
+  OPTIMAL: 'optimal'
+};
+
+const UNLIMITED = Number.MAX_SAFE_INTEGER;
+
+/**
+ * Directed network with integer capacities, solved for maximum flow with
+ * Dinic's algorithm. Capacities of edges out of the source may be raised
+ * between solves to continue from the current flow.
+ */
+class FlowNetwork {
+  constructor() {
+    this.edges = [];
+  }
+
+  addNode() {
+    this.edges.push([]);
+    return this.edges.length - 1;
+  }
+
+  addEdge(from, to, capacity) {
+    const forward = { to, capacity, flow: 0 };
+    const backward = { to: from, capacity: 0, flow: 0 };
+    forward.reverse = backward;
+    backward.reverse = forward;
+    this.edges[from].push(forward);
+    this.edges[to].push(backward);
+    return forward;
+  }
+
+  buildLevels(source, sink) {
+    const level = new Array(this.edges.length).fill(-1);
+    level[source] = 0;
+    const queue = [source];
+    for (let head = 0; head < queue.length; head++) {
+      const node = queue[head];
+      this.edges[node].forEach(edge => {
+        if (level[edge.to] < 0 && edge.capacity - edge.flow > 0) {
+          level[edge.to] = level[node] + 1;
+          queue.push(edge.to);
+        }
+      });
+    }
+    return level[sink] < 0 ? null : level;
+  }
+
+  /**
+   * Push as much additional flow from source to sink as the capacities allow
+   * @returns {number} Flow added
+   */
+  maxFlow(source, sink) {
+    let total = 0;
+    let level;
+    while ((level = this.buildLevels(source, sink))) {
+      const next = new Array(this.edges.length).fill(0);
+      const push = (node, limit) => {
+        if (node === sink) return limit;
+        for (; next[node] < this.edges[node].length; next[node]++) {
+          const edge = this.edges[node][next[node]];
+          const residual = edge.capacity - edge.flow;
+          if (residual <= 0 || level[edge.to] !== level[node] + 1) continue;
+          const pushed = push(edge.to, Math.min(limit, residual));
+          if (pushed > 0) {
+            edge.flow += pushed;
+            edge.reverse.flow -= pushed;
+            return pushed;
+          }
+        }
+        return 0;
+      };
+
+      let pushed;
+      while ((pushed = push(source, UNLIMITED)) > 0) {
+        total += pushed;
+      }
+    }
+    return total;
+  }
+}
+
+/**
+ * Optimising Energy Allocation
+ *
+ * The allocation is a linear programme whose constraints (production per site
+ * and period, each shareholder's captive share of each source period, the
+ * peak/non-peak rules and each consumption site's demand) form a flow network:
+ *
+ *   source → producer period → shareholder share (capped) → consumer period → sink
+ *   source → banked units period → shareholder consumer period (same period only)
+ *
+ * Network LPs have whole-number optimal solutions that maximum flow finds
+ * exactly. The flow is maximised in three stages, each continuing from the
+ * last without reducing what earlier stages sent out of the source:
+ *   1. production from sites without banking (every unit used is a unit not lapsed)
+ *   2. production from banking-enabled sites (every unit used is a unit not banked)
+ *   3. previously banked units
+ * so lapse is as small as it can be and, given that, so is banking. Consumption
+ * site priorities are not a constraint in this mode.
+ *
+ * @param {Object} params - Parameters as for calculateAllocations
+ * @returns {Object} calculateAllocations result plus `optimization`:
+ *   { greedy, lapseSaved, bankingSaved, allocatedGained }
+ */
+function optimizeAllocations(params) {
+  const { month, producers, consumers, banked, captiveShares, periodDefinition } = prepareAllocationUnits(params);
+  const network = new FlowNetwork();
+  const source = network.addNode();
+  const sink = network.addNode();
+
+  // Consumer demand per period
+  const consumerNodes = new Map();
+  consumers.forEach(consumer => {
+    const nodes = {};
+    ALL_PERIODS.forEach(period => {
+      nodes[period] = network.addNode();
+      network.addEdge(nodes[period], sink, getConsumerNeed(consumer, period));
+    });
+    consumerNodes.set(consumer, nodes);
+  });
+
+  // Production per site and period; capacities are opened stage by stage
+  const sourceEdges = { lapsing: [], banking: [], banked: [] };
+  const producerNodes = new Map();
+  producers.forEach(producer => {
+    const nodes = {};
+    ALL_PERIODS.forEach(period => {
+      nodes[period] = network.addNode();
+      const edge = network.addEdge(source, nodes[period], 0);
+      (producer.bankingEnabled ? sourceEdges.banking : sourceEdges.lapsing)
+        .push({ edge, units: producer.remaining[period] });
+    });
+    producerNodes.set(producer, nodes);
+  });
+
+  // Captive shares: each shareholder's cap on each source period of its generator
+  const shareFlows = [];
+  captiveShares.forEach((shares, generatorId) => {
+    const generatorSites = producers.filter(producer => producer.generatorCompanyId === generatorId);
+    if (generatorSites.length === 0) return;
+
+    const production = ALL_PERIODS.reduce((acc, period) => {
+      acc[period] = generatorSites.reduce((sum, site) => sum + site.remaining[period], 0);
+      return acc;
+    }, {});
+
+    shares.forEach(({ id: shareholderId, percentage }) => {
+      const shareholderConsumers = consumers.filter(consumer => consumer.shareholderCompanyId === shareholderId);
+      if (shareholderConsumers.length === 0) return;
+      const cap = getShareCap(production, percentage);
+
+      ALL_PERIODS.forEach(sourcePeriod => {
+        if (cap[sourcePeriod] <= 0) return;
+        const shareIn = network.addNode();
+        const shareOut = network.addNode();
+        network.addEdge(shareIn, shareOut, cap[sourcePeriod]);
+
+        const inflows = generatorSites.map(producer => ({
+          producer,
+          edge: network.addEdge(producerNodes.get(producer)[sourcePeriod], shareIn, UNLIMITED)
+        }));
+        const outflows = [];
+        shareholderConsumers.forEach(consumer => {
+          ALL_PERIODS
+            .filter(period => isAllocationAllowed(sourcePeriod, period, periodDefinition))
+            .forEach(period => outflows.push({
+              consumer,
+              period,
+              edge: network.addEdge(shareOut, consumerNodes.get(consumer)[period], UNLIMITED)
+            }));
+        });
+        shareFlows.push({ sourcePeriod, percentage, inflows, outflows });
+      });
+    });
+  });
+
+  // Banked units, usable in the same period by the generator's captive shareholders
+  const bankedFlows = [];
+  banked.forEach(bank => {
+    const drawers = consumers.filter(consumer => canDrawBanked(bank, consumer, captiveShares));
+    ALL_PERIODS.forEach(period => {
+      const node = network.addNode();
+      sourceEdges.banked.push({ edge: network.addEdge(source, node, 0), units: bank.remaining[period] });
+      drawers.forEach(consumer => {
+        bankedFlows.push({
+          bank,
+          consumer,
+          period,
+          edge: network.addEdge(node, consumerNodes.get(consumer)[period], UNLIMITED)
+        });
+      });
+    });
+  });
+
+  ['lapsing', 'banking', 'banked'].forEach(stage => {
+    sourceEdges[stage].forEach(({ edge, units }) => { edge.capacity = units; });
+    network.maxFlow(source, sink);
+  });
+
+  // Split each share's flow back into producer → consumer allocations
+  const book = createAllocationBook(month);
+  shareFlows.forEach(({ sourcePeriod, percentage, inflows, outflows }) => {
+    const supply = inflows
+      .filter(({ edge }) => edge.flow > 0)
+      .map(({ producer, edge }) => ({ producer, units: edge.flow }));
+    outflows
+      .filter(({ edge }) => edge.flow > 0)
+      .forEach(({ consumer, period, edge }) => {
+        let units = edge.flow;
+        while (units > 0 && supply.length > 0) {
+          const take = Math.min(units, supply[0].units);
+          const { producer } = supply[0];
+          producer.remaining[sourcePeriod] -= take;
+          consumer.remaining[period] = Math.max(0, consumer.remaining[period] - take);
+          book.add(producer, consumer, period, take, percentage);
+          units -= take;
+          supply[0].units -= take;
+          if (supply[0].units === 0) supply.shift();
+        }
+      });
+  });
+  bankedFlows
+    .filter(({ edge }) => edge.flow > 0)
+    .forEach(({ bank, consumer, period, edge }) => {
+      bank.remaining[period] -= edge.flow;
+      consumer.remaining[period] = Math.max(0, consumer.remaining[period] - edge.flow);
+      book.add(bank, consumer, period, edge.flow, 100);
+    });
+
+  const result = buildAllocationResult(month, book.records(), { producers, banked, consumers });
+  const greedy = calculateAllocations(params).summary;
+  result.optimization = {
+    greedy,
+    lapseSaved: greedy.lapsed - result.summary.lapsed,
+    bankingSaved: greedy.banked - result.summary.banked,
+    allocatedGained: result.summary.allocated - greedy.allocated
+  };
+
+  logger.debug(`[AllocationOptimizer] ${month}: lapse ${result.summary.lapsed} vs greedy ${greedy.lapsed}, ` +
+    `banked ${result.summary.banked} vs greedy ${greedy.banked}`);
+  return result;
+}
+
+module.exports = {
+  ALLOCATION_MODE,
+  optimizeAllocations
+};
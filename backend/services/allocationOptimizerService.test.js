@@ -0,0 +1,217 @@
+const { optimizeAllocations } = require('./allocationOptimizerService');
+const { calculateAllocations } = require('./allocationCalculatorService');
+const { DEFAULT_PERIOD_DEFINITION } = require('../constants/periods');
+
+jest.mock('../utils/logger');
+
+const MONTH = '042025';
+
+const units = (values = {}) => ({ c1: 0, c2: 0, c3: 0, c4: 0, c5: 0, ...values });
+
+const producer = (id, values, site = {}) => ({
+  productionSiteId: id,
+  generatorCompanyId: 'G1',
+  type: 'SOLAR',
+  month: MONTH,
+  ...units(values),
+  ...site
+});
+
+const consumer = (id, shareholderCompanyId, values) => ({
+  consumptionSiteId: id,
+  shareholderCompanyId,
+  month: MONTH,
+  ...units(values)
+});
+
+const captive = (shareholderCompanyId, allocationPercentage, extra = {}) => ({
+  generatorCompanyId: 'G1',
+  shareholderCompanyId,
+  allocationPercentage,
+  ...extra
+});
+
+const allocatedTo = (result, consumptionSiteId) => result.allocations
+  .filter(record => record.consumptionSiteId === consumptionSiteId)
+  .reduce((acc, record) => {
+    Object.keys(acc).forEach(period => { acc[period] += record.allocated[period]; });
+    return acc;
+  }, units());
+
+// c2 units may only serve c1/c2 and c3 units only c1/c3, so serving c1 demand
+// from c2 first (as the greedy order does) strands c2 demand
+const narrowPeakDefinition = {
+  ...DEFAULT_PERIOD_DEFINITION,
+  allocationMatrix: { ...DEFAULT_PERIOD_DEFINITION.allocationMatrix, c2: ['c1', 'c2'], c3: ['c1', 'c3'] }
+};
+
+describe('allocation optimizer', () => {
+  describe('against the greedy calculator', () => {
+    it('allocates what the greedy order strands', () => {
+      const params = {
+        month: MONTH,
+        productionUnits: [producer('P1', { c2: 50, c3: 50 })],
+        consumptionUnits: [consumer('C1', 'S1', { c1: 50 }), consumer('C2', 'S1', { c2: 50 })],
+        captiveData: [captive('S1', 100)],
+        periodDefinition: narrowPeakDefinition
+      };
+
+      const result = optimizeAllocations(params);
+
+      expect(calculateAllocations(params).summary).toMatchObject({ allocated: 50, lapsed: 50, unmetDemand: 50 });
+      expect(result.summary).toMatchObject({ allocated: 100, lapsed: 0, unmetDemand: 0 });
+      expect(result.optimization).toMatchObject({ allocatedGained: 50, lapseSaved: 50, bankingSaved: 0 });
+    });
+
+    it.each([
+      ['one site, two shareholders', {
+        productionUnits: [producer('P1', { c1: 300, c2: 200, c4: 100 })],
+        consumptionUnits: [consumer('C1', 'S1', { c1: 250, c2: 50 }), consumer('C2', 'S2', { c2: 300, c4: 20 })],
+        captiveData: [captive('S1', 70), captive('S2', 30)]
+      }],
+      ['wind and solar with banked units', {
+        productionUnits: [
+          producer('WIND1', { c1: 400, c3: 100 }, { type: 'WIND', banking: 1 }),
+          producer('SOLAR1', { c1: 200, c5: 50 })
+        ],
+        consumptionUnits: [consumer('C1', 'S1', { c1: 500, c3: 50, c5: 80 })],
+        bankingUnits: [producer('WIND1', { c1: 100, c5: 40 }, { type: 'WIND', banking: 1 })],
+        captiveData: [captive('S1', 100)]
+      }],
+      ['narrow peak periods', {
+        productionUnits: [producer('P1', { c2: 120, c3: 80, c4: 30 })],
+        consumptionUnits: [consumer('C1', 'S1', { c1: 100, c4: 60 }), consumer('C2', 'S2', { c2: 90, c3: 40 })],
+        captiveData: [captive('S1', 50), captive('S2', 50)],
+        periodDefinition: narrowPeakDefinition
+      }]
+    ])('never allocates less or lapses more than greedy: %s', (_name, params) => {
+      const result = optimizeAllocations({ month: MONTH, ...params });
+      const greedy = calculateAllocations({ month: MONTH, ...params }).summary;
+
+      expect(result.summary.allocated).toBeGreaterThanOrEqual(greedy.allocated);
+      expect(result.summary.lapsed).toBeLessThanOrEqual(greedy.lapsed);
+      expect(result.optimization.greedy).toEqual(greedy);
+    });
+  });
+
+  describe('constraints', () => {
+    it('keeps each shareholder within its captive share', () => {
+      const result = optimizeAllocations({
+        month: MONTH,
+        productionUnits: [producer('P1', { c1: 1000 })],
+        consumptionUnits: [consumer('C1', 'S1', { c1: 1000 }), consumer('C2', 'S2', { c1: 100 })],
+        captiveData: [captive('S1', 60), captive('S2', 40)]
+      });
+
+      expect(allocatedTo(result, 'C1').c1).toBe(600);
+      expect(allocatedTo(result, 'C2').c1).toBe(100);
+      expect(result.lapseAllocations[0].allocated.c1).toBe(300);
+    });
+
+    it('only serves consumers of the generator\'s shareholders', () => {
+      const result = optimizeAllocations({
+        month: MONTH,
+        productionUnits: [producer('P1', { c1: 100 })],
+        consumptionUnits: [consumer('C1', 'OTHER', { c1: 100 })],
+        captiveData: [captive('S1', 100)]
+      });
+
+      expect(result.allocations).toEqual([]);
+      expect(result.summary).toMatchObject({ lapsed: 100, unmetDemand: 100 });
+    });
+
+    it('does not serve peak demand from non-peak production', () => {
+      const result = optimizeAllocations({
+        month: MONTH,
+        productionUnits: [producer('P1', { c1: 100, c4: 100 })],
+        consumptionUnits: [consumer('C1', 'S1', { c2: 100, c3: 100 })],
+        captiveData: [captive('S1', 100)]
+      });
+
+      expect(result.allocations).toEqual([]);
+      expect(result.summary).toMatchObject({ allocated: 0, lapsed: 200, unmetDemand: 200 });
+    });
+
+    it('serves non-peak demand from peak production', () => {
+      const result = optimizeAllocations({
+        month: MONTH,
+        productionUnits: [producer('P1', { c2: 100 })],
+        consumptionUnits: [consumer('C1', 'S1', { c1: 40, c5: 60 })],
+        captiveData: [captive('S1', 100)]
+      });
+
+      expect(allocatedTo(result, 'C1')).toEqual(units({ c1: 40, c5: 60 }));
+      expect(result.summary).toMatchObject({ allocated: 100, lapsed: 0 });
+    });
+
+    it('draws banked units only in the period they were banked', () => {
+      const result = optimizeAllocations({
+        month: MONTH,
+        productionUnits: [],
+        consumptionUnits: [consumer('C1', 'S1', { c1: 50, c2: 50 })],
+        bankingUnits: [producer('WIND1', { c1: 80 }, { type: 'WIND', banking: 1 })],
+        captiveData: [captive('S1', 100)]
+      });
+
+      expect(allocatedTo(result, 'C1')).toEqual(units({ c1: 50 }));
+      expect(result.bankingAllocations[0].movements.drawn.c1).toBe(50);
+    });
+  });
+
+  describe('stages', () => {
+    const twoGenerators = {
+      month: MONTH,
+      productionUnits: [
+        producer('WIND1', { c1: 100 }, { type: 'WIND', banking: 1 }),
+        producer('SOLAR2', { c1: 100 }, { generatorCompanyId: 'G2' })
+      ],
+      consumptionUnits: [consumer('C1', 'S1', { c1: 100 })],
+      captiveData: [captive('S1', 100), captive('S1', 100, { generatorCompanyId: 'G2' })]
+    };
+
+    it('uses production that would lapse before production that would bank', () => {
+      const result = optimizeAllocations(twoGenerators);
+
+      expect(result.allocations.map(record => record.productionSiteId)).toEqual(['SOLAR2']);
+      expect(result.bankingAllocations.map(record => record.productionSiteId)).toEqual(['WIND1']);
+      expect(result.summary).toMatchObject({ allocated: 100, banked: 100, lapsed: 0 });
+    });
+
+    it('reports the lapse saved against greedy even when more is banked', () => {
+      const result = optimizeAllocations(twoGenerators);
+
+      expect(result.optimization).toMatchObject({ lapseSaved: 100, bankingSaved: -100, allocatedGained: 0 });
+    });
+
+    it('uses this month\'s production before banked units', () => {
+      const result = optimizeAllocations({
+        month: MONTH,
+        productionUnits: [producer('WIND1', { c1: 100 }, { type: 'WIND', banking: 1 })],
+        consumptionUnits: [consumer('C1', 'S1', { c1: 100 })],
+        bankingUnits: [producer('WIND1', { c1: 100 }, { type: 'WIND', banking: 1 })],
+        captiveData: [captive('S1', 100)]
+      });
+
+      expect(result.allocations.map(record => record.productionSiteId)).toEqual(['WIND1']);
+      const [bank] = result.bankingAllocations;
+      expect(bank.movements.drawn.c1).toBe(0);
+      expect(bank.allocated.c1).toBe(100);
+    });
+
+    it('turns to banked units once production runs out', () => {
+      const result = optimizeAllocations({
+        month: MONTH,
+        productionUnits: [producer('SOLAR1', { c1: 60 })],
+        consumptionUnits: [consumer('C1', 'S1', { c1: 100 })],
+        bankingUnits: [producer('WIND1', { c1: 100 }, { type: 'WIND', banking: 1 })],
+        captiveData: [captive('S1', 100)]
+      });
+
+      expect(allocatedTo(result, 'C1').c1).toBe(100);
+      const [bank] = result.bankingAllocations;
+      expect(bank.movements.drawn.c1).toBe(40);
+      expect(bank.allocated.c1).toBe(60);
+      expect(result.summary).toMatchObject({ lapsed: 0, unmetDemand: 0 });
+    });
+  });
+});
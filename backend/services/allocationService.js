@@ -1,16 +1,61 @@
-const { PEAK_PERIODS, NON_PEAK_PERIODS, ALL_PERIODS } = require('../constants/periods');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { ALL_PERIODS } = require('../constants/periods');
+const { getPeakPeriods, getNonPeakPeriods } = require('../utils/periodRules');
 const validationService = require('./validationService');
 const allocationDAL = require('../allocation/allocationDAL');
 const logger = require('../utils/logger');
-const allocationCalculator = require('./allocationCalculatorService');
 const notificationService = require('./notificationService');
-const ValidationUtil = require('../utils/validation');
-const { ValidationError, DatabaseError } = require('../utils/errors');
+const { ValidationError, ConflictError } = require('../utils/errors');
 const bankingDAL = require('../banking/bankingDAL');
 const lapseDAL = require('../lapse/lapseDAL');
+const invoiceDAL = require('../invoice/invoiceDAL');
+const bankingLedgerService = require('../bankingLedger/bankingLedgerService');
+const { buildVersionedPut, commitTransactions } = require('../utils/transactWrite');
 const { ScanCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
 const docClient = require('../utils/db');
 
+const MONTH_PATTERN = /^(0[1-9]|1[0-2])\d{4}$/;
+
+const toPeriodUnits = (record, label) => ALL_PERIODS.reduce((acc, period) => {
+    const value = Number(record?.allocated?.[period] ?? record?.[period] ?? 0);
+    if (!Number.isFinite(value) || value < 0) {
+        throw new ValidationError(`${label}: ${period} must be a non-negative number`);
+    }
+    acc[period] = Math.round(value);
+    return acc;
+}, {});
+
+// JSON with object keys sorted, so equal payloads serialise the same whatever their key order
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+/**
+ * Hash of a validated batch, stored with its idempotency key so a key reused
+ * for different changes can be told apart from a retry
+ * @param {Map<string, Object>} groups - Batch as returned by groupBatch
+ * @returns {string} sha256 hex digest
+ */
+const hashBatch = (groups) => crypto
+    .createHash('sha256')
+    .update(canonicalJson([...groups.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([, group]) => ({
+            ...group,
+            allocations: [...group.allocations].sort((a, b) => a.pk.localeCompare(b.pk))
+        }))))
+    .digest('hex');
+
 class AllocationService {
     static instance = null;
 
@@ -18,8 +63,6 @@ class AllocationService {
         this.allocationDAL = new allocationDAL();
         this.bankingDAL = bankingDAL;
         this.lapseDAL = lapseDAL;
-        this.pendingTransactions = new Map();
-        this.lockTimeout = 30000; // 30 seconds
     }
 
     static getInstance() {
@@ -29,340 +72,364 @@ class AllocationService {
         return AllocationService.instance;
     }
 
-    async createAllocation(data) {
+    /**
+     * Save allocations together with the banking and lapse records they produce.
+     *
+     * Writes are grouped by production site and month; each group (its
+     * allocations, its banking record and its lapse record) is committed with
+     * TransactWriteItems, so it is saved completely or not at all. Groups are
+     * packed into as few transactions as the 100-item limit allows.
+     *
+     * Every item is written with a version check: the version read here, or the
+     * `version` the client loaded when one is given. A record changed by another
+     * request in the meantime fails the whole group with a ConflictError.
+     *
+     * Written items carry the idempotency key as `transactionId` and a hash of
+     * the batch as `payloadHash`. Repeating a request with the same key skips
+     * groups that were already committed, so a retry after a timeout or a
+     * partial failure finishes the batch without applying anything twice. Reusing
+     * a key for a different batch fails with a ConflictError.
+     *
+     * @param {string} companyId - Company the records belong to
+     * @param {Object} batch
+     * @param {Array} [batch.allocations] - Allocation records: pk (companyId_productionSiteId_consumptionSiteId),
+     *   sk (MMYYYY), c1-c5, charge and optionally the loaded `version`
+     * @param {Array} [batch.banking] - Banked units per production site and month:
+     *   { productionSiteId, month, c1-c5, siteName, version, movements, bankingCharge }.
+     *   When `movements` ({ banked, drawn }, c1-c5 each) is given, the month's
+     *   banking ledger entries are replaced in the same transaction.
+     *   `bankingCharge` (c1-c5) is the units deducted as banking charge.
+     * @param {Array} [batch.lapse] - Lapsed units per production site and month, same shape as banking
+     * Allocations changed in a month that has already been invoiced get a
+     * credit or debit note, as a PUT to one allocation does. The notes are
+     * written in their group's transaction, so a group is never saved without
+     * them.
+     *
+     * @param {Object} [options]
+     * @param {string} [options.idempotencyKey] - Client key for safe retries; generated when omitted
+     * @param {string} [options.changedBy] - Username making the change, recorded on notes
+     * @returns {Promise<Object>} { transactionId, transactions, replayed, allocations, banking, lapse,
+     *   adjustments }
+     */
+    async commitAllocationBatch(companyId, { allocations = [], banking = [], lapse = [] } = {}, { idempotencyKey, changedBy = null } = {}) {
         const timer = logger.startTimer();
-        let transactionId = null;
-
-        try {
-            // Normalize and validate data
-            const validation = validationService.validateAllocation(data);
-            if (!validation.isValid) {
-                throw {
-                    statusCode: 400,
-                    message: 'Validation failed',
-                    errors: validation.errors
-                };
-            }
-
-            const normalizedData = validation.normalizedData;
-            transactionId = this.generateTransactionId();
-
-            // Try to acquire lock
-            await this.acquireLock(normalizedData.productionSiteId, transactionId);
-
-            // Create the allocation record
-            const allocation = await this.allocationDAL.createAllocation(normalizedData);
-
-            // If this is a banking allocation, update banking records
-            if (normalizedData.type === 'BANKING') {
-                await this.handleBankingCreation(normalizedData, transactionId);
-            }
-
-            // If this is a lapse allocation, create lapse record
-            if (normalizedData.type === 'LAPSE') {
-                await this.handleLapseCreation(normalizedData, transactionId);
-            }
-
-            // Notify clients
-            await notificationService.emit('allocation.created', allocation);
-
-            timer.end('Allocation Created', {
-                allocationId: allocation.pk,
-                transactionId
-            });
-
-            return allocation;
-
-        } catch (error) {
-            logger.error('[AllocationService] Create Error:', error);
-            if (transactionId) {
-                await this.rollbackTransaction(transactionId);
-            }
-            throw error;
-        } finally {
-            if (transactionId && data.productionSiteId) {
-                await this.releaseLock(data.productionSiteId, transactionId);
-            }
+        if (!companyId) {
+            throw new ValidationError('companyId is required');
         }
-    }
-
-    async createBatchAllocation(allocations) {
-        // Validate all allocations first
-        const validations = allocations.map(allocation => 
-            validationService.validateAllocation(allocation)
-        );
-
-        const invalidValidations = validations.filter(v => !v.isValid);
-        if (invalidValidations.length > 0) {
-            throw {
-                statusCode: 400,
-                message: 'Validation failed for some allocations',
-                errors: invalidValidations.map(v => v.errors)
-            };
+        if (![allocations, banking, lapse].every(Array.isArray)) {
+            throw new ValidationError('allocations, banking and lapse must be arrays');
         }
 
-        const transactionId = this.generateTransactionId();
-
-        try {
-            // Create all allocations
-            const results = await Promise.all(
-                validations.map(async v => {
-                    const allocation = await this.allocationDAL.createAllocation(v.normalizedData);
-                    
-                    // Handle banking/lapse records
-                    if (v.normalizedData.type === 'BANKING') {
-                        await this.handleBankingCreation(v.normalizedData, transactionId);
-                    } else if (v.normalizedData.type === 'LAPSE') {
-                        await this.handleLapseCreation(v.normalizedData, transactionId);
-                    }
-
-                    return allocation;
-                })
-            );
-
-            // Notify for batch creation
-            await notificationService.emit('allocation.batchCreated', results);
-
-            return results;
+        const transactionId = idempotencyKey ? String(idempotencyKey) : uuidv4();
+        const groups = this.groupBatch(String(companyId), { allocations, banking, lapse });
+        const payloadHash = hashBatch(groups);
+        const now = new Date().toISOString();
 
-        } catch (error) {
-            logger.error('[AllocationService] Batch Create Error:', error);
-            await this.rollbackTransaction(transactionId);
-            throw error;
-        }
-    }
-
-    async handleBankingCreation(bankingData, transactionId) {
-        try {
-            const total = this.calculateAllocationTotal(bankingData);
-            await this.bankingDAL.create({
-                siteId: bankingData.productionSiteId,
-                amount: total,
-                type: 'credit',
-                date: new Date().toISOString(),
+        const plans = await Promise.all([...groups.values()].map(group =>
+            this.planGroupWrites(String(companyId), group, {
                 transactionId,
-                month: bankingData.month
-            });
-        } catch (error) {
-            logger.error('[AllocationService] Banking Creation Error:', error);
-            throw error;
+                payloadHash,
+                replayable: Boolean(idempotencyKey),
+                now,
+                changedBy
+            })
+        ));
+        const pending = plans.filter(plan => !plan.committed);
+        const transactions = await commitTransactions(pending.map(plan => plan.transactItems), transactionId);
+
+        const saved = plans.reduce((acc, plan) => {
+            acc.allocations.push(...plan.records.allocations);
+            if (plan.records.banking) acc.banking.push(plan.records.banking);
+            if (plan.records.lapse) acc.lapse.push(plan.records.lapse);
+            return acc;
+        }, { allocations: [], banking: [], lapse: [] });
+
+        if (pending.length > 0) {
+            notificationService.emit('allocation.batchCreated', saved.allocations);
         }
-    }
 
-    async handleLapseCreation(lapseData, transactionId) {
-        try {
-            const total = this.calculateAllocationTotal(lapseData);
-            await this.lapseDAL.createLapse({
-                ...lapseData,
-                amount: total,
-                transactionId
-            });
-        } catch (error) {
-            logger.error('[AllocationService] Lapse Creation Error:', error);
-            throw error;
-        }
-    }
+        timer.end('Allocation Batch Committed', {
+            transactionId,
+            groups: plans.length,
+            alreadyCommitted: plans.length - pending.length,
+            transactions
+        });
 
-    async updateAllocation(id, updateData) {
-        const timer = logger.startTimer();
-        let transactionId = null;
+        return {
+            transactionId,
+            transactions,
+            replayed: plans.length > 0 && pending.length === 0,
+            ...saved,
+            adjustments: pending.flatMap(plan => plan.adjustments)
+        };
+    }
 
-        try {
-            // Validate update data
-            ValidationUtil.validateId(id);
-            ValidationUtil.validateAllocationData(updateData);
-
-            // Get existing allocation
-            const existingAllocation = await this.allocationDAL.get(id);
-            if (!existingAllocation) {
-                throw new ValidationError('Allocation not found');
+    /**
+     * Validate a batch and group it by production site and month
+     * @returns {Map<string, Object>} `${productionSiteId}_${month}` → { productionSiteId, month, allocations, banking, lapse }
+     */
+    groupBatch(companyId, { allocations, banking, lapse }) {
+        const groups = new Map();
+        const getGroup = (productionSiteId, month) => {
+            const key = `${productionSiteId}_${month}`;
+            if (!groups.has(key)) {
+                groups.set(key, { productionSiteId, month, allocations: [], banking: null, lapse: null });
             }
+            return groups.get(key);
+        };
 
-            // Generate transaction ID and acquire lock
-            transactionId = this.generateTransactionId();
-            await this.acquireLock(existingAllocation.productionSiteId, transactionId);
-
-            // Recalculate allocation
-            const calculationResult = allocationCalculator.calculateAllocation(
-                updateData.productionAmount,
-                updateData.consumptionAmount,
-                { minThreshold: updateData.minThreshold }
-            );
-
-            // Handle banking changes
-            if (calculationResult.productionRemainder !== existingAllocation.productionRemainder) {
-                await this.handleBankingUpdate(
-                    existingAllocation,
-                    calculationResult,
-                    transactionId
-                );
+        const seen = new Set();
+        allocations.forEach((allocation, index) => {
+            const label = `allocations[${index}]`;
+            const [pkCompanyId, productionSiteId, consumptionSiteId] = String(allocation?.pk || '').split('_');
+            if (!productionSiteId || !consumptionSiteId) {
+                throw new ValidationError(`${label}: pk must be companyId_productionSiteId_consumptionSiteId`);
             }
-
-            // Validate charge if it's being updated
-            if (updateData.charge !== undefined) {
-                await this.validateAllocationCharge(existingAllocation.sk, existingAllocation.pk, updateData.charge);
+            if (pkCompanyId !== companyId) {
+                throw new ValidationError(`${label}: belongs to company ${pkCompanyId}, not ${companyId}`);
             }
-
-            // Update allocation record
-            const updatedAllocation = await this.allocationDAL.update(id, {
-                ...updateData,
-                ...calculationResult,
-                transactionId,
-                charge: updateData.charge ? 1 : 0, // Store as 1/0 in database
-                version: existingAllocation.version + 1
-            });
-
-            // Notify clients
-            await notificationService.emit('allocation.updated', updatedAllocation);
-
-            timer.end('Allocation Updated', {
-                allocationId: id,
-                transactionId
-            });
-
-            return updatedAllocation;
-
-        } catch (error) {
-            logger.error('Allocation Update Failed', {
-                error: error.message,
-                stack: error.stack,
-                allocationId: id,
-                transactionId
-            });
-
-            if (transactionId) {
-                await this.rollbackTransaction(transactionId);
+            const key = `${allocation.pk}#${allocation.sk}`;
+            if (seen.has(key)) {
+                throw new ValidationError(`${label}: ${allocation.pk} for ${allocation.sk} appears more than once`);
             }
-
-            throw error;
-        } finally {
-            if (transactionId) {
-                await this.releaseLock(updateData.productionSiteId, transactionId);
+            seen.add(key);
+
+            const { allocated, ...rest } = allocation;
+            const item = { ...rest, ...toPeriodUnits(allocation, label), companyId, productionSiteId, consumptionSiteId };
+            try {
+                this.allocationDAL.validateItem(item);
+            } catch (error) {
+                throw new ValidationError(`${label}: ${error.message}`);
             }
-        }
-    }
-
-    async deleteAllocation(id) {
-        const timer = logger.startTimer();
-        let transactionId = null;
-
-        try {
-            ValidationUtil.validateId(id);
-
-            const allocation = await this.allocationDAL.get(id);
-            if (!allocation) {
-                throw new ValidationError('Allocation not found');
-            }
-
-            transactionId = this.generateTransactionId();
-            await this.acquireLock(allocation.productionSiteId, transactionId);
+            getGroup(productionSiteId, item.sk).allocations.push(item);
+        });
 
-            // Delete related records
-            await Promise.all([
-                this.bankingDAL.deleteByAllocationId(id),
-                this.lapseDAL.deleteByAllocationId(id)
-            ]);
+        [['banking', banking], ['lapse', lapse]].forEach(([kind, records]) => {
+            records.forEach((record, index) => {
+                const label = `${kind}[${index}]`;
+                const month = record?.month || record?.sk;
+                if (!record?.productionSiteId || !MONTH_PATTERN.test(month || '')) {
+                    throw new ValidationError(`${label}: productionSiteId and month (MMYYYY) are required`);
+                }
+                const group = getGroup(String(record.productionSiteId), month);
+                if (group[kind]) {
+                    throw new ValidationError(`${label}: ${kind} for production site ${record.productionSiteId} and ${month} appears more than once`);
+                }
+                group[kind] = { ...record, units: toPeriodUnits(record, label) };
+                if (kind === 'banking' && record.bankingCharge) {
+                    group.banking.bankingCharge = toPeriodUnits(record.bankingCharge, `${label}.bankingCharge`);
+                }
+                if (kind === 'banking' && record.movements) {
+                    group.banking.movements = {
+                        banked: toPeriodUnits(record.movements.banked, `${label}.movements.banked`),
+                        drawn: toPeriodUnits(record.movements.drawn, `${label}.movements.drawn`),
+                        charge: group.banking.bankingCharge
+                    };
+                }
+            });
+        });
 
-            // Delete allocation
-            await this.allocationDAL.delete(id);
+        return groups;
+    }
 
-            // Notify clients
-            await notificationService.emit('allocation.deleted', { id, ...allocation });
+    /**
+     * Read the current records of one group and build its versioned writes.
+     * A group whose records all carry this transactionId was committed by an
+     * earlier attempt and is returned as committed.
+     * @throws {ConflictError} When a record carries this transactionId from a different batch
+     */
+    async planGroupWrites(companyId, group, { transactionId, payloadHash, replayable, now, changedBy = null }) {
+        const { productionSiteId, month } = group;
+        const sitePk = `${companyId}_${productionSiteId}`;
+        const charged = group.allocations.filter(allocation => allocation.charge === 1);
+        if (charged.length > 1) {
+            throw new ValidationError(`Production site ${productionSiteId} can only have one charged allocation for ${month}`);
+        }
 
-            timer.end('Allocation Deleted', {
-                allocationId: id,
-                transactionId
-            });
+        const [existingAllocations, existingBanking, existingLapse, chargingAllocation] = await Promise.all([
+            Promise.all(group.allocations.map(allocation => this.allocationDAL.getAllocation(allocation.pk, allocation.sk))),
+            group.banking ? this.bankingDAL.getBanking(sitePk, month) : null,
+            group.lapse
+                ? this.lapseDAL.getLapsesByProductionSite(companyId, productionSiteId, month, month).then(items => items[0] || null)
+                : null,
+            charged.length > 0 ? this.allocationDAL.getChargingAllocation(month, productionSiteId) : null
+        ]);
+
+        if (chargingAllocation && !group.allocations.some(allocation => allocation.pk === chargingAllocation.pk)) {
+            throw new ValidationError(`Production site ${productionSiteId} already has a charge for month ${month}`);
+        }
 
-        } catch (error) {
-            logger.error('Allocation Deletion Failed', {
-                error: error.message,
-                stack: error.stack,
-                allocationId: id,
-                transactionId
-            });
+        const existingRecords = [
+            ...existingAllocations,
+            ...(group.banking ? [existingBanking] : []),
+            ...(group.lapse ? [existingLapse] : [])
+        ];
+        const replayedRecords = existingRecords.filter(record => record?.transactionId === transactionId);
+        if (replayable && replayedRecords.some(record => record.payloadHash !== payloadHash)) {
+            throw new ConflictError('This idempotency key was already used for a different set of changes');
+        }
+        if (replayable && replayedRecords.length === existingRecords.length) {
+            return {
+                committed: true,
+                transactItems: [],
+                adjustments: [],
+                records: {
+                    allocations: existingAllocations,
+                    banking: existingBanking || null,
+                    lapse: existingLapse || null
+                }
+            };
+        }
 
-            if (transactionId) {
-                await this.rollbackTransaction(transactionId);
-            }
+        const expectedVersion = (record, existing) => {
+            if (record.version !== undefined && record.version !== null) return Number(record.version);
+            return existing ? Number(existing.version || 0) : null;
+        };
+        const transactItems = [];
+        const records = { allocations: [], banking: null, lapse: null };
+
+        group.allocations.forEach((allocation, index) => {
+            const existing = existingAllocations[index];
+            const { version, ...fields } = allocation;
+            const put = buildVersionedPut(this.allocationDAL.tableName, {
+                ...(existing || {}),
+                ...fields,
+                transactionId,
+                payloadHash,
+                createdAt: existing?.createdAt || now,
+                updatedAt: now,
+                updatedat: now
+            }, expectedVersion(allocation, existing));
+            transactItems.push(put);
+            records.allocations.push(put.Put.Item);
+        });
 
-            throw error;
-        } finally {
-            if (transactionId) {
-                await this.releaseLock(allocation.productionSiteId, transactionId);
+        if (group.banking) {
+            const { version, units, siteName, bankingCharge } = group.banking;
+            const put = buildVersionedPut(this.bankingDAL.tableName, {
+                ...(existingBanking || {}),
+                pk: sitePk,
+                sk: month,
+                companyId,
+                productionSiteId,
+                month,
+                siteName: siteName || existingBanking?.siteName || '',
+                type: existingBanking?.type || 'BANK',
+                ...units,
+                totalBanking: this.bankingDAL.calculateTotal(units),
+                ...(bankingCharge && {
+                    bankingCharge,
+                    totalBankingCharge: this.bankingDAL.calculateTotal(bankingCharge)
+                }),
+                transactionId,
+                payloadHash,
+                createdAt: existingBanking?.createdAt || now,
+                updatedAt: now
+            }, expectedVersion({ version }, existingBanking));
+            transactItems.push(put);
+            records.banking = put.Put.Item;
+
+            if (group.banking.movements) {
+                transactItems.push(...bankingLedgerService.buildAllocationMovementWrites(
+                    companyId, productionSiteId, month, group.banking.movements, { reference: transactionId }
+                ));
             }
         }
-    }
 
-    async handleBankingUpdate(existingAllocation, newCalculation, transactionId) {
-        // Reverse previous banking if it exists
-        if (existingAllocation.bankingDetails) {
-            await this.bankingDAL.create({
-                siteId: existingAllocation.productionSiteId,
-                amount: -existingAllocation.bankingDetails.bankableAmount,
-                type: 'debit',
-                date: existingAllocation.date,
+        if (group.lapse) {
+            const { version, units, siteName } = group.lapse;
+            const put = buildVersionedPut(this.lapseDAL.tableName, {
+                ...(existingLapse || {}),
+                pk: sitePk,
+                sk: month,
+                companyId,
+                productionSiteId,
+                month,
+                siteName: siteName || existingLapse?.siteName || '',
+                type: 'LAPSE',
+                ...units,
                 transactionId,
-                allocationId: existingAllocation.id
-            });
+                payloadHash,
+                createdat: existingLapse?.createdat || now,
+                updatedat: now
+            }, expectedVersion({ version }, existingLapse));
+            transactItems.push(put);
+            records.lapse = put.Put.Item;
         }
 
-        // Create new banking record if needed
-        if (newCalculation.bankingDetails?.bankableAmount > 0) {
-            await this.bankingDAL.create({
-                siteId: existingAllocation.productionSiteId,
-                amount: newCalculation.bankingDetails.bankableAmount,
-                type: 'credit',
-                date: existingAllocation.date,
-                transactionId,
-                allocationId: existingAllocation.id
+        // Required here: the site DALs it loads require this service through cleanupRelatedData
+        const { planAllocationAdjustments } = require('../invoice/invoiceAdjustmentService');
+        const adjustments = [];
+        for (const [index, allocation] of records.allocations.entries()) {
+            const notes = await planAllocationAdjustments(existingAllocations[index], allocation, changedBy);
+            notes.forEach(note => {
+                const put = invoiceDAL.buildCreatePut(note);
+                transactItems.push(put);
+                adjustments.push(put.Put.Item);
             });
         }
-    }
 
-    generateTransactionId() {
-        return `tr-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        return { committed: false, transactItems, records, adjustments };
     }
 
-    async acquireLock(resourceId, transactionId) {
-        const lockKey = `lock:${resourceId}`;
-        const currentLock = this.pendingTransactions.get(lockKey);
-
-        if (currentLock && Date.now() - currentLock.timestamp < this.lockTimeout) {
-            throw new Error('Resource is locked by another transaction');
+    /**
+     * Save a change to one allocation. When its month has already been
+     * invoiced, the credit or debit notes for the change are written in the
+     * same transaction, so the allocation never changes without them.
+     * @param {string} pk - companyId_productionSiteId_consumptionSiteId
+     * @param {string} sk - Month (MMYYYY)
+     * @param {Object} updates - Fields to change
+     * @param {Object} [options] - { changedBy }
+     * @returns {Promise<Object|null>} { allocation, adjustments }, or null when the allocation does not exist
+     */
+    async updateAllocation(pk, sk, updates, { changedBy = null } = {}) {
+        const existing = await this.allocationDAL.getAllocation(pk, sk);
+        if (!existing) {
+            return null;
         }
 
-        this.pendingTransactions.set(lockKey, {
-            transactionId,
-            timestamp: Date.now()
-        });
+        const { allocation, transactItems } = await this.allocationDAL.planAllocationWrite(
+            { ...existing, ...updates, pk, sk },
+            { expectedVersion: Number(existing.version || 0) }
+        );
+        const adjustments = await this.commitWithAdjustments(existing, allocation, transactItems, changedBy);
+        return { allocation, adjustments };
     }
 
-    async releaseLock(resourceId, transactionId) {
-        const lockKey = `lock:${resourceId}`;
-        const currentLock = this.pendingTransactions.get(lockKey);
-
-        if (currentLock && currentLock.transactionId === transactionId) {
-            this.pendingTransactions.delete(lockKey);
+    /**
+     * Delete one allocation, writing a credit note in the same transaction when
+     * its month has already been invoiced
+     * @param {string} pk - companyId_productionSiteId_consumptionSiteId
+     * @param {string} sk - Month (MMYYYY)
+     * @param {Object} [options] - { changedBy }
+     * @returns {Promise<Object|null>} { allocation, adjustments }, or null when the allocation does not exist
+     */
+    async deleteAllocation(pk, sk, { changedBy = null } = {}) {
+        const [companyId, productionSiteId, consumptionSiteId] = String(pk).split('_');
+        const { allocation, transactItems } = await this.allocationDAL.planAllocationDelete(
+            companyId, productionSiteId, consumptionSiteId, sk
+        );
+        if (!allocation) {
+            return null;
         }
-    }
 
-    async rollbackTransaction(transactionId) {
-        try {
-            await Promise.all([
-                this.allocationDAL.deleteByTransactionId(transactionId),
-                this.bankingDAL.deleteByTransactionId(transactionId),
-                this.lapseDAL.deleteByTransactionId(transactionId)
-            ]);
+        const adjustments = await this.commitWithAdjustments(allocation, { pk, sk }, transactItems, changedBy);
+        return { allocation, adjustments };
+    }
 
-            logger.info('Transaction Rolled Back', { transactionId });
-        } catch (error) {
-            logger.error('Transaction Rollback Failed', {
-                error: error.message,
-                transactionId
-            });
-            throw new DatabaseError('Failed to rollback transaction');
+    // Commit an allocation's writes together with the notes its change needs
+    async commitWithAdjustments(before, after, transactItems, changedBy) {
+        // Required here: the site DALs it loads require this service through cleanupRelatedData
+        const { planAllocationAdjustments } = require('../invoice/invoiceAdjustmentService');
+        const notePuts = (await planAllocationAdjustments(before, after, changedBy))
+            .map(note => invoiceDAL.buildCreatePut(note));
+
+        await commitTransactions([[...transactItems, ...notePuts]], uuidv4());
+        const adjustments = notePuts.map(put => put.Put.Item);
+        if (adjustments.length > 0) {
+            logger.info(`[AllocationService] Raised ${adjustments.length} note(s) for allocation ${after.pk}/${after.sk}`);
         }
+        return adjustments;
     }
 
     calculateAllocationTotal(allocation) {
@@ -371,16 +438,16 @@ class AllocationService {
         return ALL_PERIODS.reduce((sum, period) => sum + (normalized[period] || 0), 0);
     }
 
-    calculatePeakTotal(allocation) {
+    calculatePeakTotal(allocation, periodDefinition) {
         if (!allocation?.allocated) return 0;
         const normalized = validationService.normalizeAllocatedValues(allocation.allocated);
-        return PEAK_PERIODS.reduce((sum, period) => sum + normalized[period], 0);
+        return getPeakPeriods(periodDefinition).reduce((sum, period) => sum + normalized[period], 0);
     }
 
-    calculateNonPeakTotal(allocation) {
+    calculateNonPeakTotal(allocation, periodDefinition) {
         if (!allocation?.allocated) return 0;
         const normalized = validationService.normalizeAllocatedValues(allocation.allocated);
-        return NON_PEAK_PERIODS.reduce((sum, period) => sum + normalized[period], 0);
+        return getNonPeakPeriods(periodDefinition).reduce((sum, period) => sum + normalized[period], 0);
     }
 
     calculateAllocationSummary(allocations) {
@@ -0,0 +1,108 @@
+const { commitTransactions } = require('../utils/transactWrite');
+const allocationService = require('./allocationService');
+const { ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+jest.mock('../utils/logger');
+jest.mock('../utils/transactWrite', () => ({
+    ...jest.requireActual('../utils/transactWrite'),
+    commitTransactions: jest.fn()
+}));
+jest.mock('../invoice/invoiceAdjustmentService', () => ({
+    planAllocationAdjustments: jest.fn().mockResolvedValue([])
+}));
+
+const allocation = (consumptionSiteId, c1) => ({
+    pk: `1_10_${consumptionSiteId}`,
+    sk: '042025',
+    c1,
+    c2: 0,
+    c3: 0,
+    c4: 0,
+    c5: 0,
+    charge: 0
+});
+
+describe('committing an allocation batch with an idempotency key', () => {
+    let stored;
+
+    // Applies committed puts the way DynamoDB would, so later reads see them
+    const commit = async (groups) => {
+        groups.flat().forEach(({ Put }) => {
+            if (Put) stored.set(`${Put.TableName}:${Put.Item.pk}:${Put.Item.sk}`, Put.Item);
+        });
+        return groups.length;
+    };
+
+    beforeEach(() => {
+        stored = new Map();
+        logger.startTimer.mockReturnValue({ end: jest.fn() });
+        commitTransactions.mockReset().mockImplementation(commit);
+        const { allocationDAL, bankingDAL, lapseDAL } = allocationService;
+        jest.spyOn(allocationDAL, 'getAllocation').mockImplementation(async (pk, sk) =>
+            stored.get(`${allocationDAL.tableName}:${pk}:${sk}`) || null);
+        jest.spyOn(allocationDAL, 'getChargingAllocation').mockResolvedValue(null);
+        jest.spyOn(bankingDAL, 'getBanking').mockImplementation(async (pk, sk) =>
+            stored.get(`${bankingDAL.tableName}:${pk}:${sk}`) || null);
+        jest.spyOn(lapseDAL, 'getLapsesByProductionSite').mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const commitBatch = (batch, idempotencyKey = 'key-1') =>
+        allocationService.commitAllocationBatch('1', batch, { idempotencyKey });
+
+    it('stores the key and a hash of the batch on every record', async () => {
+        const result = await commitBatch({
+            allocations: [allocation('20', 100)],
+            banking: [{ productionSiteId: '10', month: '042025', c1: 5 }]
+        });
+
+        expect(result.replayed).toBe(false);
+        const records = [...stored.values()];
+        expect(records).toHaveLength(2);
+        expect(records.every(record => record.transactionId === 'key-1')).toBe(true);
+        expect(new Set(records.map(record => record.payloadHash)).size).toBe(1);
+        expect(records[0].payloadHash).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('replays a retry of the same batch without writing again', async () => {
+        const batch = { allocations: [allocation('20', 100), allocation('21', 50)] };
+        await commitBatch(batch);
+
+        const retry = await commitBatch({ allocations: [...batch.allocations].reverse() });
+
+        expect(retry.replayed).toBe(true);
+        expect(commitTransactions).toHaveBeenCalledTimes(2);
+        expect(commitTransactions.mock.calls[1][0]).toEqual([]);
+    });
+
+    it('rejects the key reused for a different batch with 409', async () => {
+        await commitBatch({ allocations: [allocation('20', 100)] });
+
+        const reuse = commitBatch({ allocations: [allocation('20', 90)] });
+
+        await expect(reuse).rejects.toBeInstanceOf(ConflictError);
+        await expect(reuse).rejects.toMatchObject({ statusCode: 409 });
+        expect(commitTransactions).toHaveBeenCalledTimes(1);
+        expect(stored.get(`${allocationService.allocationDAL.tableName}:1_10_20:042025`).c1).toBe(100);
+    });
+
+    it('rejects the key reused for a batch that only adds records', async () => {
+        await commitBatch({ allocations: [allocation('20', 100)] });
+
+        await expect(commitBatch({ allocations: [allocation('20', 100), allocation('21', 50)] }))
+            .rejects.toBeInstanceOf(ConflictError);
+    });
+
+    it('accepts a different batch under a new key', async () => {
+        await commitBatch({ allocations: [allocation('20', 100)] });
+
+        const result = await commitBatch({ allocations: [allocation('20', 90)] }, 'key-2');
+
+        expect(result.replayed).toBe(false);
+        expect(stored.get(`${allocationService.allocationDAL.tableName}:1_10_20:042025`).transactionId).toBe('key-2');
+    });
+});
@@ -61,7 +61,9 @@ async function calculateFormVAMetrics(financialYear) {
         const totalGeneratedUnits = calculateTotalUnits(filteredProductionData);
         const auxiliaryConsumption = calculateTotalUnits(filteredConsumptionData);
         const totalBankingUnits = calculateTotalUnits(filteredBankingData);
-        const aggregateGeneration = totalGeneratedUnits + totalBankingUnits;
+        // Units deducted as banking charge never reach the bank or a captive user
+        const bankingChargeUnits = calculateTotalUnits(filteredBankingData.map(item => item.bankingCharge || {}));
+        const aggregateGeneration = totalGeneratedUnits + totalBankingUnits - bankingChargeUnits;
         const percentage51 = Math.round(aggregateGeneration * 0.51);
         const totalAllocatedUnits = calculateTotalUnits(filteredAllocationData);
         const percentageAdjusted = aggregateGeneration > 0 
@@ -110,6 +112,7 @@ async function calculateFormVAMetrics(financialYear) {
         logger.info('Form VA Calculations:', {
             totalGeneratedUnits,
             auxiliaryConsumption,
+            bankingChargeUnits,
             aggregateGeneration,
             percentage51,
             totalAllocatedUnits,
@@ -129,6 +132,7 @@ async function calculateFormVAMetrics(financialYear) {
         return {
             totalGeneratedUnits,
             auxiliaryConsumption,
+            bankingChargeUnits,
             aggregateGeneration,
             percentage51,
             totalAllocatedUnits,
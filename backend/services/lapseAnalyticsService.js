@@ -0,0 +1,394 @@
+const lapseDAL = require('../lapse/lapseDAL');
+const productionSiteDAL = require('../productionSite/productionSiteDAL');
+const productionUnitDAL = require('../productionUnit/productionUnitDAL');
+const consumptionUnitDAL = require('../consumptionUnit/consumptionUnitDAL');
+const bankingDAL = require('../banking/bankingDAL');
+const AllocationDAL = require('../allocation/allocationDAL');
+const allocationDAL = new AllocationDAL();
+const captiveDAL = require('../captive/captiveDAL');
+const bankingSettlementDAL = require('../bankingSettlement/bankingSettlementDAL');
+const { parseFinancialYear } = require('../bankingSettlement/bankingSettlementService');
+const {
+    calculateAllocations,
+    isBankingEnabled,
+    normalizeToWholePercentages,
+    sumUnits
+} = require('./allocationCalculatorService');
+const periodDefinitionService = require('../periodDefinition/periodDefinitionService');
+const { getTargetPeriods } = require('../utils/periodRules');
+const { ALL_PERIODS } = require('../constants/periods');
+const { LAPSE_REASON } = require('../constants/lapseReasons');
+const { SETTLEMENT_ACTION } = require('../constants/bankingSettlement');
+const { ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const MONTH_PATTERN = /^(0[1-9]|1[0-2])\d{4}$/;
+const MAX_MONTHS = 36;
+
+const emptyUnits = () => ALL_PERIODS.reduce((acc, period) => ({ ...acc, [period]: 0 }), {});
+
+const emptyReasons = () => Object.values(LAPSE_REASON).reduce((acc, reason) => ({ ...acc, [reason]: 0 }), {});
+
+const toUnits = (item = {}) => ALL_PERIODS.reduce((acc, period) => ({
+    ...acc,
+    [period]: Math.max(0, Math.round(Number(item[period]) || 0))
+}), {});
+
+const addUnits = (target, units) => {
+    ALL_PERIODS.forEach(period => { target[period] += units[period] || 0; });
+    return target;
+};
+
+const addReasons = (target, reasons) => {
+    Object.keys(reasons).forEach(reason => { target[reason] += reasons[reason]; });
+    return target;
+};
+
+// MMYYYY → months since year 0, so ranges can be walked
+const toMonthIndex = (month) => Number(month.slice(2)) * 12 + Number(month.slice(0, 2)) - 1;
+
+const fromMonthIndex = (index) => `${String(index % 12 + 1).padStart(2, '0')}${Math.floor(index / 12)}`;
+
+/**
+ * Months to analyse: the financial year when one is given, otherwise
+ * fromMonth to toMonth inclusive
+ * @returns {Array<string>} Months in MMYYYY format, oldest first
+ */
+const resolveMonths = ({ financialYear, fromMonth, toMonth }) => {
+    let from = fromMonth;
+    let to = toMonth;
+    if (financialYear) {
+        to = parseFinancialYear(financialYear).month;
+        from = `04${Number(to.slice(2)) - 1}`;
+    } else if (!MONTH_PATTERN.test(fromMonth || '') || !MONTH_PATTERN.test(toMonth || '')) {
+        throw new ValidationError('financialYear, or fromMonth and toMonth in MMYYYY format, are required');
+    }
+
+    const count = toMonthIndex(to) - toMonthIndex(from) + 1;
+    if (count < 1) {
+        throw new ValidationError('fromMonth must not be after toMonth');
+    }
+    if (count > MAX_MONTHS) {
+        throw new ValidationError(`At most ${MAX_MONTHS} months can be analysed at once`);
+    }
+    return Array.from({ length: count }, (_, offset) => fromMonthIndex(toMonthIndex(from) + offset));
+};
+
+// Site ID from a unit, banking or lapse pk (companyId_siteId)
+const siteIdOf = (item) => String(item.productionSiteId || item.consumptionSiteId || String(item.pk || '').split('_')[1] || '');
+
+const isCompanyItem = (companyId) => (item) => String(item.pk || '').startsWith(`${companyId}_`);
+
+/**
+ * Demand each consumption site still had once the month's allocations were
+ * made. Sites that were served and still fell short were held back by the
+ * captive shares; sites of a captive shareholder that got nothing at all are
+ * taken to have been excluded from the run.
+ * @returns {Object} { pools: { excluded, share } (c1-c5 each), excludedSites }
+ */
+const buildDemandPools = (consumptionUnits, allocations, shareholderIds) => {
+    const allocatedBySite = new Map();
+    allocations.forEach(allocation => {
+        const consumptionSiteId = String(allocation.pk || '').split('_')[2];
+        if (!consumptionSiteId) return;
+        allocatedBySite.set(consumptionSiteId, addUnits(allocatedBySite.get(consumptionSiteId) || emptyUnits(), toUnits(allocation)));
+    });
+
+    const pools = { excluded: emptyUnits(), share: emptyUnits() };
+    const excludedSites = [];
+    consumptionUnits.forEach(unit => {
+        const siteId = siteIdOf(unit);
+        const demand = toUnits(unit);
+        const allocated = allocatedBySite.get(siteId);
+        const excluded = !allocated && allocations.length > 0 &&
+            shareholderIds.has(String(unit.companyId)) && sumUnits(demand) > 0;
+        if (excluded) excludedSites.push(siteId);
+
+        const unmet = ALL_PERIODS.reduce((acc, period) => ({
+            ...acc,
+            [period]: Math.max(0, demand[period] - (allocated?.[period] || 0))
+        }), {});
+        addUnits(excluded ? pools.excluded : pools.share, unmet);
+    });
+    return { pools, excludedSites };
+};
+
+// Take up to `units` from the pool across the given periods; returns what was taken
+const takeFromPool = (pool, periods, units) => {
+    let left = units;
+    for (const period of periods) {
+        const take = Math.min(left, pool[period]);
+        pool[period] -= take;
+        left -= take;
+        if (left <= 0) break;
+    }
+    return units - left;
+};
+
+/**
+ * Split lapsed units by reason against the demand left unmet that month.
+ * Units that some leftover demand could have used are put down to an excluded
+ * site first, then to the captive share; the rest lapsed either because
+ * the period rules kept them from demand in other periods or because there was no demand.
+ * The pools are used up as they are matched, so shared demand is counted once.
+ * Which periods units could have served comes from the month's period definitions.
+ */
+const attributeLapse = (units, pools, periodDefinition) => {
+    const reasons = emptyReasons();
+    ALL_PERIODS.forEach(period => {
+        let left = units[period];
+        if (left <= 0) return;
+        const reachable = getTargetPeriods(period, periodDefinition);
+
+        const excluded = takeFromPool(pools.excluded, reachable, left);
+        reasons[LAPSE_REASON.EXCLUDED_SITE] += excluded;
+        left -= excluded;
+        const share = takeFromPool(pools.share, reachable, left);
+        reasons[LAPSE_REASON.CAPTIVE_SHARE] += share;
+        left -= share;
+        if (left <= 0) return;
+
+        const demandElsewhere = ALL_PERIODS.some(other =>
+            !reachable.includes(other) && pools.excluded[other] + pools.share[other] > 0);
+        reasons[demandElsewhere ? LAPSE_REASON.PEAK_RESTRICTION : LAPSE_REASON.NO_DEMAND] += left;
+    });
+    return reasons;
+};
+
+/**
+ * Captive percentages in proportion to each shareholder's demand for the
+ * month, as whole numbers summing to 100 per generator. Generators whose
+ * shareholders had no demand keep their percentages.
+ */
+const demandWeightedCaptive = (captiveData, consumptionUnits) => {
+    const demandByCompany = consumptionUnits.reduce((acc, unit) => {
+        const id = String(unit.companyId);
+        acc.set(id, (acc.get(id) || 0) + sumUnits(toUnits(unit)));
+        return acc;
+    }, new Map());
+
+    const byGenerator = captiveData.reduce((acc, entry) => {
+        const id = String(entry.generatorCompanyId);
+        acc.set(id, [...(acc.get(id) || []), entry]);
+        return acc;
+    }, new Map());
+
+    return [...byGenerator.entries()].flatMap(([generatorCompanyId, entries]) => {
+        const shares = normalizeToWholePercentages(entries.map(entry => ({
+            id: String(entry.shareholderCompanyId),
+            percentage: demandByCompany.get(String(entry.shareholderCompanyId)) || 0
+        })));
+        if (shares.length === 0) return entries;
+        return shares.map(({ id, percentage }) => ({
+            generatorCompanyId,
+            shareholderCompanyId: id,
+            allocationPercentage: percentage,
+            allocationStatus: 'active'
+        }));
+    });
+};
+
+/**
+ * Re-run the month's allocation from the stored production, consumption and
+ * banking, once with the captive percentages as they are and once with
+ * demand-weighted percentages. The difference in lapse is the estimate of
+ * what better percentages would have saved. Sites excluded from the month's
+ * run stay excluded.
+ */
+const estimateAvoidableLapse = (month, inputs, siteFilter) => {
+    const lapsedAt = (result) => result.lapseAllocations
+        .filter(record => !siteFilter || String(record.productionSiteId) === siteFilter)
+        .reduce((sum, record) => sum + sumUnits(record.allocated), 0);
+
+    const baseline = calculateAllocations({ month, ...inputs });
+    const excluded = new Set(inputs.consumptionSiteIncludeExclude.excluded);
+    const captiveData = demandWeightedCaptive(
+        inputs.captiveData,
+        inputs.consumptionUnits.filter(unit => !excluded.has(unit.consumptionSiteId))
+    );
+    const scenario = calculateAllocations({ month, ...inputs, captiveData });
+    const lapsed = lapsedAt(baseline);
+    const lapsedWithSuggestedShares = lapsedAt(scenario);
+
+    return {
+        month,
+        lapsed,
+        lapsedWithSuggestedShares,
+        avoidable: Math.max(0, lapsed - lapsedWithSuggestedShares),
+        suggestedCaptivePercentages: captiveData.map(({ generatorCompanyId, shareholderCompanyId, allocationPercentage }) => ({
+            generatorCompanyId,
+            shareholderCompanyId,
+            allocationPercentage
+        }))
+    };
+};
+
+// Units of a year-end settlement that went to the lapse record, per site and financial year
+const loadSettlementLapse = async (companyId, lapses) => {
+    const financialYears = [...new Set(lapses.map(lapse => lapse.settledFinancialYear).filter(Boolean))];
+    const settled = new Map();
+    for (const financialYear of financialYears) {
+        const settlements = await bankingSettlementDAL.getSettlements(companyId, financialYear);
+        settlements
+            .filter(settlement => settlement.action === SETTLEMENT_ACTION.LAPSE)
+            .forEach(settlement => settled.set(`${financialYear}#${settlement.productionSiteId}`, toUnits(settlement.units)));
+    }
+    return settled;
+};
+
+const groupTotals = () => ({ lapsed: 0, byPeriod: emptyUnits(), byReason: emptyReasons() });
+
+const addToGroup = (group, units, reasons) => {
+    group.lapsed += sumUnits(units);
+    addUnits(group.byPeriod, units);
+    addReasons(group.byReason, reasons);
+    return group;
+};
+
+/**
+ * Lapsed units of a company broken down by site, period, generator type,
+ * month and reason, with an estimate of how much different captive
+ * percentages would have avoided
+ * @param {string|number} companyId - Company ID
+ * @param {Object} params - financialYear, or fromMonth and toMonth (MMYYYY); optional productionSiteId
+ * @returns {Promise<Object>} Lapse analytics
+ */
+const getLapseAnalytics = async (companyId, { financialYear, fromMonth, toMonth, productionSiteId } = {}) => {
+    if (!companyId) {
+        throw new ValidationError('companyId is required');
+    }
+    const months = resolveMonths({ financialYear, fromMonth, toMonth });
+    const monthSet = new Set(months);
+    const siteFilter = productionSiteId ? String(productionSiteId) : null;
+    const ofCompany = isCompanyItem(companyId);
+
+    const [lapseItems, productionSites, productionUnits, consumptionUnits, bankingItems, allocations, captives, periodDefinitions] = await Promise.all([
+        lapseDAL.getLapsesByCompany(companyId),
+        productionSiteDAL.getAllProductionSites(),
+        productionUnitDAL.getAllProductionUnits(),
+        consumptionUnitDAL.getAllConsumptionUnits(),
+        bankingDAL.getAllBankingUnits(),
+        allocationDAL.getAllAllocatedUnits(),
+        captiveDAL.getCaptivesByGenerator(companyId),
+        periodDefinitionService.listDefinitions()
+    ]);
+
+    const captiveData = captives.filter(entry =>
+        String(entry.allocationStatus || 'active').toLowerCase() === 'active' && Number(entry.allocationPercentage) > 0);
+    const shareholderIds = new Set(captiveData.map(entry => String(entry.shareholderCompanyId)));
+    const companySites = productionSites.filter(site => String(site.companyId) === String(companyId));
+    const siteById = new Map(companySites.map(site => [site.productionSiteId, site]));
+
+    const lapses = lapseItems.filter(lapse =>
+        monthSet.has(lapse.sk) && (!siteFilter || siteIdOf(lapse) === siteFilter));
+    const settled = await loadSettlementLapse(companyId, lapses);
+
+    // Consumption of the company and its captive shareholders
+    const consumersOf = (month) => consumptionUnits.filter(unit => unit.sk === month &&
+        (String(unit.companyId) === String(companyId) || shareholderIds.has(String(unit.companyId))));
+
+    const totals = groupTotals();
+    const bySite = new Map();
+    const byGeneratorType = new Map();
+    const byMonth = new Map(months.map(month => [month, { month, ...groupTotals() }]));
+    const estimates = [];
+
+    for (const month of months) {
+        const monthLapses = lapses.filter(lapse => lapse.sk === month);
+        if (monthLapses.length === 0) continue;
+
+        const monthConsumers = consumersOf(month);
+        const periodDefinition = periodDefinitionService.pickDefinition(periodDefinitions, month);
+        const { pools, excludedSites } = buildDemandPools(
+            monthConsumers,
+            allocations.filter(allocation => allocation.sk === month && ofCompany(allocation)),
+            shareholderIds
+        );
+
+        let allocationLapse = 0;
+        monthLapses.forEach(lapse => {
+            const siteId = siteIdOf(lapse);
+            const site = siteById.get(siteId) || {};
+            const units = toUnits(lapse);
+
+            // Year-end settlement units are split off before the rest is matched to demand
+            const settledUnits = settled.get(`${lapse.settledFinancialYear}#${siteId}`) || emptyUnits();
+            const fromSettlement = ALL_PERIODS.reduce((acc, period) => ({
+                ...acc,
+                [period]: Math.min(units[period], settledUnits[period])
+            }), {});
+            const fromAllocation = ALL_PERIODS.reduce((acc, period) => ({
+                ...acc,
+                [period]: units[period] - fromSettlement[period]
+            }), {});
+
+            const reasons = attributeLapse(fromAllocation, pools, periodDefinition);
+            reasons[LAPSE_REASON.SETTLEMENT] += sumUnits(fromSettlement);
+            allocationLapse += sumUnits(fromAllocation);
+
+            const type = site.type || 'unknown';
+            const bankingEnabled = isBankingEnabled(site);
+            if (!bySite.has(siteId)) {
+                bySite.set(siteId, {
+                    productionSiteId: siteId,
+                    siteName: site.name || lapse.siteName || `Production-${siteId}`,
+                    type,
+                    bankingEnabled,
+                    ...groupTotals()
+                });
+            }
+            const typeKey = `${type}#${bankingEnabled}`;
+            if (!byGeneratorType.has(typeKey)) {
+                byGeneratorType.set(typeKey, { type, bankingEnabled, ...groupTotals() });
+            }
+
+            addToGroup(totals, units, reasons);
+            addToGroup(bySite.get(siteId), units, reasons);
+            addToGroup(byGeneratorType.get(typeKey), units, reasons);
+            addToGroup(byMonth.get(month), units, reasons);
+        });
+
+        if (allocationLapse > 0) {
+            const previous = fromMonthIndex(toMonthIndex(month) - 1);
+            estimates.push(estimateAvoidableLapse(month, {
+                productionUnits: productionUnits
+                    .filter(unit => unit.sk === month && ofCompany(unit))
+                    .map(unit => ({ ...unit, productionSiteId: siteIdOf(unit), generatorCompanyId: String(companyId), month })),
+                consumptionUnits: monthConsumers
+                    .map(unit => ({ ...unit, consumptionSiteId: siteIdOf(unit), shareholderCompanyId: String(unit.companyId), month })),
+                // What was banked at the end of the previous month was available to draw
+                bankingUnits: bankingItems
+                    .filter(item => item.sk === previous && ofCompany(item))
+                    .map(item => ({ ...toUnits(item), productionSiteId: siteIdOf(item), generatorCompanyId: String(companyId), month })),
+                captiveData,
+                productionSites: companySites,
+                consumptionSiteIncludeExclude: { excluded: excludedSites },
+                periodDefinition
+            }, siteFilter));
+        }
+    }
+
+    logger.info(`[LapseAnalytics] ${companyId}: ${totals.lapsed} units lapsed over ${months.length} months`, totals.byReason);
+
+    return {
+        companyId: String(companyId),
+        fromMonth: months[0],
+        toMonth: months[months.length - 1],
+        productionSiteId: siteFilter,
+        totalLapsed: totals.lapsed,
+        byPeriod: totals.byPeriod,
+        byReason: totals.byReason,
+        bySite: [...bySite.values()].sort((a, b) => b.lapsed - a.lapsed),
+        byGeneratorType: [...byGeneratorType.values()].sort((a, b) => b.lapsed - a.lapsed),
+        byMonth: [...byMonth.values()],
+        avoidable: {
+            method: 'demand_weighted_captive_percentages',
+            total: estimates.reduce((sum, estimate) => sum + estimate.avoidable, 0),
+            months: estimates
+        }
+    };
+};
+
+module.exports = {
+    getLapseAnalytics
+};
@@ -1,4 +1,5 @@
-const { PEAK_PERIODS, NON_PEAK_PERIODS, ALL_PERIODS } = require('../constants/periods');
+const { ALL_PERIODS } = require('../constants/periods');
+const { getPeakPeriods, getNonPeakPeriods } = require('../utils/periodRules');
 const logger = require('../utils/logger');
 
 class ValidationService {
@@ -80,9 +81,9 @@ class ValidationService {
         };
     }
 
-    validatePeakNonPeakMixing(allocated) {
-        const hasPeak = PEAK_PERIODS.some(period => allocated[period] > 0);
-        const hasNonPeak = NON_PEAK_PERIODS.some(period => allocated[period] > 0);
+    validatePeakNonPeakMixing(allocated, periodDefinition) {
+        const hasPeak = getPeakPeriods(periodDefinition).some(period => allocated[period] > 0);
+        const hasNonPeak = getNonPeakPeriods(periodDefinition).some(period => allocated[period] > 0);
 
         if (hasPeak && hasNonPeak) {
             return {
@@ -0,0 +1,91 @@
+const shareLinkService = require('./shareLinkService');
+const logger = require('../utils/logger');
+
+const sendError = (res, error, fallbackMessage) => {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+        success: false,
+        message: statusCode === 500 ? fallbackMessage : error.message,
+        error: statusCode === 500 ? error.message : undefined
+    });
+};
+
+const requestContext = (req) => ({
+    ip: req.ip,
+    userAgent: req.get('user-agent') || null
+});
+
+const siteScope = (req) => ({
+    siteType: req.params.siteType,
+    companyId: req.params.companyId,
+    siteId: req.params.siteId
+});
+
+exports.createShareLink = async (req, res) => {
+    try {
+        const { link, token } = await shareLinkService.createShareLink(req.body, req.user.username, requestContext(req));
+        res.status(201).json({
+            success: true,
+            message: 'Share link created successfully',
+            data: { ...link, token }
+        });
+    } catch (error) {
+        logger.error('[ShareLinkController] Create Error:', error);
+        sendError(res, error, 'Error creating share link');
+    }
+};
+
+exports.getShareLinks = async (req, res) => {
+    try {
+        const links = await shareLinkService.listShareLinks(siteScope(req));
+        res.json({
+            success: true,
+            data: links
+        });
+    } catch (error) {
+        logger.error('[ShareLinkController] List Error:', error);
+        sendError(res, error, 'Error fetching share links');
+    }
+};
+
+exports.revokeShareLink = async (req, res) => {
+    try {
+        const link = await shareLinkService.revokeShareLink(siteScope(req), req.params.shareId, req.user.username, requestContext(req));
+        res.json({
+            success: true,
+            message: 'Share link revoked successfully',
+            data: link
+        });
+    } catch (error) {
+        logger.error('[ShareLinkController] Revoke Error:', error);
+        sendError(res, error, 'Error revoking share link');
+    }
+};
+
+// Audit trail of one link (?limit)
+exports.getShareLinkAudit = async (req, res) => {
+    try {
+        const entries = await shareLinkService.getShareLinkAudit(siteScope(req), req.params.shareId, { limit: req.query.limit });
+        res.json({
+            success: true,
+            data: entries
+        });
+    } catch (error) {
+        logger.error('[ShareLinkController] Audit Error:', error);
+        sendError(res, error, 'Error fetching share link audit');
+    }
+};
+
+// Site data a share token grants, for viewers without an account
+exports.viewSharedSite = async (req, res) => {
+    try {
+        const data = await shareLinkService.viewSharedSite(req.params.token, requestContext(req));
+        res.json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        logger.error('[ShareLinkController] View Error:', error);
+        sendError(res, error, 'Error opening share link');
+    }
+};
@@ -0,0 +1,168 @@
+const { PutCommand, GetCommand, UpdateCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const docClient = require('../utils/db');
+const TableNames = require('../constants/tableNames');
+const logger = require('../utils/logger');
+
+const LINK_PREFIX = 'LINK#';
+const AUDIT_PREFIX = 'AUDIT#';
+
+const sitePk = (siteType, companyId, siteId) => `${siteType}#${companyId}_${siteId}`;
+
+/**
+ * Share links are stored with pk = siteType#companyId_siteId and
+ * sk = LINK#shareId, next to their audit entries at
+ * sk = AUDIT#shareId#timestamp#eventId, so a site's links and one link's
+ * audit trail are each a single query.
+ */
+class ShareLinkDAL {
+    constructor() {
+        this.tableName = TableNames.SHARE_LINK;
+    }
+
+    async createLink(item) {
+        try {
+            await docClient.send(new PutCommand({
+                TableName: this.tableName,
+                Item: {
+                    ...item,
+                    pk: sitePk(item.siteType, item.companyId, item.siteId),
+                    sk: `${LINK_PREFIX}${item.shareId}`
+                },
+                ConditionExpression: 'attribute_not_exists(pk) AND attribute_not_exists(sk)'
+            }));
+            return item;
+        } catch (error) {
+            logger.error(`[ShareLinkDAL] Error creating share link: ${error.message}`, { shareId: item.shareId });
+            throw error;
+        }
+    }
+
+    async getLink(siteType, companyId, siteId, shareId) {
+        try {
+            const { Item } = await docClient.send(new GetCommand({
+                TableName: this.tableName,
+                Key: { pk: sitePk(siteType, companyId, siteId), sk: `${LINK_PREFIX}${shareId}` }
+            }));
+            if (!Item) {
+                return null;
+            }
+            const { pk, sk, ...link } = Item;
+            return link;
+        } catch (error) {
+            logger.error(`[ShareLinkDAL] Error fetching share link: ${error.message}`, { shareId });
+            throw error;
+        }
+    }
+
+    async getLinksBySite(siteType, companyId, siteId) {
+        try {
+            const items = [];
+            let lastEvaluatedKey;
+            do {
+                const response = await docClient.send(new QueryCommand({
+                    TableName: this.tableName,
+                    KeyConditionExpression: 'pk = :pk AND begins_with(sk, :prefix)',
+                    ExpressionAttributeValues: {
+                        ':pk': sitePk(siteType, companyId, siteId),
+                        ':prefix': LINK_PREFIX
+                    },
+                    ExclusiveStartKey: lastEvaluatedKey
+                }));
+                items.push(...(response.Items || []));
+                lastEvaluatedKey = response.LastEvaluatedKey;
+            } while (lastEvaluatedKey);
+            return items.map(({ pk, sk, ...link }) => link);
+        } catch (error) {
+            logger.error(`[ShareLinkDAL] Error listing share links: ${error.message}`, { siteType, companyId, siteId });
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a link revoked. Returns false when it was already revoked.
+     */
+    async revokeLink(siteType, companyId, siteId, shareId, { revokedAt, revokedBy }) {
+        try {
+            await docClient.send(new UpdateCommand({
+                TableName: this.tableName,
+                Key: { pk: sitePk(siteType, companyId, siteId), sk: `${LINK_PREFIX}${shareId}` },
+                UpdateExpression: 'SET revokedAt = :revokedAt, revokedBy = :revokedBy',
+                ConditionExpression: 'attribute_exists(pk) AND attribute_not_exists(revokedAt)',
+                ExpressionAttributeValues: {
+                    ':revokedAt': revokedAt,
+                    ':revokedBy': revokedBy
+                }
+            }));
+            return true;
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                return false;
+            }
+            logger.error(`[ShareLinkDAL] Error revoking share link: ${error.message}`, { shareId });
+            throw error;
+        }
+    }
+
+    /**
+     * Count a view of the link and record when it was last used
+     */
+    async recordView(siteType, companyId, siteId, shareId, viewedAt) {
+        try {
+            await docClient.send(new UpdateCommand({
+                TableName: this.tableName,
+                Key: { pk: sitePk(siteType, companyId, siteId), sk: `${LINK_PREFIX}${shareId}` },
+                UpdateExpression: 'SET viewCount = if_not_exists(viewCount, :zero) + :one, lastViewedAt = :viewedAt',
+                ConditionExpression: 'attribute_exists(pk)',
+                ExpressionAttributeValues: {
+                    ':zero': 0,
+                    ':one': 1,
+                    ':viewedAt': viewedAt
+                }
+            }));
+        } catch (error) {
+            logger.error(`[ShareLinkDAL] Error recording share link view: ${error.message}`, { shareId });
+            throw error;
+        }
+    }
+
+    async createAuditEntry(item) {
+        try {
+            await docClient.send(new PutCommand({
+                TableName: this.tableName,
+                Item: {
+                    ...item,
+                    pk: sitePk(item.siteType, item.companyId, item.siteId),
+                    sk: `${AUDIT_PREFIX}${item.shareId}#${item.timestamp}#${item.eventId}`
+                }
+            }));
+            return item;
+        } catch (error) {
+            logger.error(`[ShareLinkDAL] Error recording share link event: ${error.message}`, { shareId: item.shareId });
+            throw error;
+        }
+    }
+
+    /**
+     * Most recent events first
+     */
+    async getAuditEntries(siteType, companyId, siteId, shareId, { limit } = {}) {
+        try {
+            const { Items } = await docClient.send(new QueryCommand({
+                TableName: this.tableName,
+                KeyConditionExpression: 'pk = :pk AND begins_with(sk, :prefix)',
+                ExpressionAttributeValues: {
+                    ':pk': sitePk(siteType, companyId, siteId),
+                    ':prefix': `${AUDIT_PREFIX}${shareId}#`
+                },
+                ScanIndexForward: false,
+                Limit: limit
+            }));
+            return (Items || []).map(({ pk, sk, ...entry }) => entry);
+        } catch (error) {
+            logger.error(`[ShareLinkDAL] Error fetching share link audit: ${error.message}`, { shareId });
+            throw error;
+        }
+    }
+}
+
+module.exports = new ShareLinkDAL();
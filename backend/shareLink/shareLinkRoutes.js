@@ -0,0 +1,72 @@
+const express = require('express');
+const shareLinkController = require('./shareLinkController');
+const validateJson = require('../middleware/validateJson');
+const { authenticateToken, checkPermission } = require('../middleware/authorization');
+const { SHARE_SITE_TYPES } = require('../constants/shareLinks');
+const { isAdmin } = require('../utils/requestCompany');
+
+const router = express.Router();
+
+// Permission on the shared site's resource, for the site type in the path or body
+const checkSitePermission = (action) => (req, res, next) => {
+    const siteType = req.params.siteType || req.body?.siteType;
+    if (!Object.prototype.hasOwnProperty.call(SHARE_SITE_TYPES, siteType)) {
+        return res.status(400).json({
+            success: false,
+            message: `siteType must be one of ${Object.keys(SHARE_SITE_TYPES).join(', ')}`
+        });
+    }
+    return checkPermission(SHARE_SITE_TYPES[siteType], action)(req, res, next);
+};
+
+// Sites granted to a user outside their own company, by site type
+const ACCESSIBLE_SITE_LISTS = {
+    production: 'productionSites',
+    consumption: 'consumptionSites'
+};
+
+// The shared site, from the path or body, must belong to the user's company or
+// be one of the sites granted to them; admins may share any site
+const checkSiteAccess = (req, res, next) => {
+    if (isAdmin(req.user)) {
+        return next();
+    }
+    const { siteType, companyId, siteId } = req.params.siteType ? req.params : (req.body || {});
+    if (companyId === undefined || companyId === null || siteId === undefined || siteId === null) {
+        return res.status(400).json({
+            success: false,
+            message: 'companyId and siteId are required'
+        });
+    }
+
+    const ownCompany = String(companyId) === String(req.user?.companyId ?? '');
+    const grantedSites = req.user?.accessibleSites?.[ACCESSIBLE_SITE_LISTS[siteType]]?.L || [];
+    const granted = grantedSites.some(site => site?.S === `${companyId}_${siteId}`);
+    if (!ownCompany && !granted) {
+        return res.status(403).json({
+            success: false,
+            message: `You don't have access to this ${siteType} site`
+        });
+    }
+    next();
+};
+
+// Open a share link; the signed token is the only credential
+router.get('/view/:token', shareLinkController.viewSharedSite);
+
+// Every route below requires a signed-in user
+router.use(authenticateToken);
+
+// Create a link to one site and month; sharing needs UPDATE on the site
+router.post('/', validateJson, checkSitePermission('UPDATE'), checkSiteAccess, shareLinkController.createShareLink);
+
+// Links created for a site
+router.get('/:siteType/:companyId/:siteId', checkSitePermission('READ'), checkSiteAccess, shareLinkController.getShareLinks);
+
+// Who created, used and revoked a link
+router.get('/:siteType/:companyId/:siteId/:shareId/audit', checkSitePermission('READ'), checkSiteAccess, shareLinkController.getShareLinkAudit);
+
+// Revoke a link before it expires
+router.delete('/:siteType/:companyId/:siteId/:shareId', checkSitePermission('UPDATE'), checkSiteAccess, shareLinkController.revokeShareLink);
+
+module.exports = router;
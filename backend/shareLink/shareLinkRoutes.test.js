@@ -0,0 +1,66 @@
+const request = require('supertest');
+const { tokenFor, buildApp } = require('../test/routeTestHelper');
+
+jest.mock('../utils/logger');
+jest.mock('../auth/sessionService', () => ({
+    isSessionActive: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('./shareLinkController', () => {
+    const ok = (req, res) => res.json({ success: true });
+    return {
+        viewSharedSite: ok,
+        createShareLink: jest.fn((req, res) => res.status(201).json({ success: true })),
+        getShareLinks: jest.fn(ok),
+        getShareLinkAudit: jest.fn(ok),
+        revokeShareLink: jest.fn(ok)
+    };
+});
+jest.mock('../auth/authDal', () => require('../test/routeTestHelper').mockAuthDal());
+
+const shareLinkController = require('./shareLinkController');
+const shareLinkRoutes = require('./shareLinkRoutes');
+
+const app = buildApp('/api/share-links', shareLinkRoutes);
+
+describe('share link routes', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    it('lists links for a site of the user\'s company', async () => {
+        const response = await request(app).get('/api/share-links/production/1/3').set('Authorization', tokenFor('operator'));
+        expect(response.status).toBe(200);
+    });
+
+    it('lists links for a site granted to the user in another company', async () => {
+        const response = await request(app).get('/api/share-links/production/2/7/abc/audit').set('Authorization', tokenFor('operator'));
+        expect(response.status).toBe(200);
+    });
+
+    it.each([
+        ['get', '/api/share-links/production/2/8'],
+        ['get', '/api/share-links/production/2/8/abc/audit'],
+        ['get', '/api/share-links/consumption/2/7'],
+        ['delete', '/api/share-links/production/2/8/abc']
+    ])('refuses %s %s for a site of another company', async (method, path) => {
+        const response = await request(app)[method](path).set('Authorization', tokenFor('operator'));
+        expect(response.status).toBe(403);
+        expect(shareLinkController.getShareLinks).not.toHaveBeenCalled();
+        expect(shareLinkController.getShareLinkAudit).not.toHaveBeenCalled();
+        expect(shareLinkController.revokeShareLink).not.toHaveBeenCalled();
+    });
+
+    it('checks the site named in the body when creating a link', async () => {
+        const refused = await request(app).post('/api/share-links').set('Authorization', tokenFor('operator'))
+            .send({ siteType: 'production', companyId: 2, siteId: 8, month: '042025' });
+        const created = await request(app).post('/api/share-links').set('Authorization', tokenFor('operator'))
+            .send({ siteType: 'production', companyId: 1, siteId: 8, month: '042025' });
+
+        expect(refused.status).toBe(403);
+        expect(created.status).toBe(201);
+        expect(shareLinkController.createShareLink).toHaveBeenCalledTimes(1);
+    });
+
+    it('lets an admin manage links for any company', async () => {
+        const response = await request(app).delete('/api/share-links/production/9/9/abc').set('Authorization', tokenFor('admin'));
+        expect(response.status).toBe(200);
+    });
+});
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const shareLinkDAL = require('./shareLinkDAL');
+const productionSiteDAL = require('../productionSite/productionSiteDAL');
+const consumptionSiteDAL = require('../consumptionSite/consumptionSiteDAL');
+const productionUnitDAL = require('../productionUnit/productionUnitDAL');
+const productionChargeDAL = require('../productionCharge/productionChargeDAL');
+const consumptionUnitDAL = require('../consumptionUnit/consumptionUnitDAL');
+const { SHARE_LINK_SETTINGS, SHARE_SITE_TYPES, SHARE_LINK_EVENTS } = require('../constants/shareLinks');
+const { ValidationError, NotFoundError, GoneError } = require('../utils/errors');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MONTH_PATTERN = /^(0[1-9]|1[0-2])\d{4}$/;
+const ID_PATTERN = /^\d+$/;
+const MAX_USER_AGENT_LENGTH = 512;
+const MAX_AUDIT_LIMIT = 500;
+
+const shareSecret = () => process.env.SHARE_LINK_SECRET || 'your-share-link-secret-key';
+
+const linkNotFound = () => new NotFoundError('Share link not found');
+
+const linkStatus = (link, now = new Date()) => {
+    if (link.revokedAt) return 'revoked';
+    if (new Date(link.expiresAt) <= now) return 'expired';
+    return 'active';
+};
+
+/**
+ * Validate the site a link is for
+ * @param {Object} scope - { siteType, companyId, siteId }
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+const validateSiteScope = ({ siteType, companyId, siteId }) => {
+    const errors = [];
+    if (!Object.prototype.hasOwnProperty.call(SHARE_SITE_TYPES, siteType)) {
+        errors.push(`siteType must be one of ${Object.keys(SHARE_SITE_TYPES).join(', ')}`);
+    }
+    if (!ID_PATTERN.test(String(companyId ?? ''))) {
+        errors.push('companyId must be a number');
+    }
+    if (!ID_PATTERN.test(String(siteId ?? ''))) {
+        errors.push('siteId must be a number');
+    }
+    return errors;
+};
+
+const assertSiteScope = (scope) => {
+    const errors = validateSiteScope(scope);
+    if (errors.length > 0) {
+        throw new ValidationError(errors.join('; '));
+    }
+};
+
+const getSite = (siteType, companyId, siteId) => (siteType === 'production'
+    ? productionSiteDAL.getItem(companyId, siteId)
+    : consumptionSiteDAL.getConsumptionSite(companyId, siteId));
+
+const recordEvent = (link, event, { actor = null, reason = null, ip = null, userAgent = null } = {}) => shareLinkDAL.createAuditEntry({
+    shareId: link.shareId,
+    siteType: link.siteType,
+    companyId: link.companyId,
+    siteId: link.siteId,
+    eventId: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    event,
+    actor,
+    reason,
+    ip,
+    userAgent: userAgent ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null
+});
+
+/**
+ * Create a link to one site's data for one month. The token is returned
+ * only here; the stored link keeps what is needed to expire, revoke and
+ * audit it.
+ * @param {Object} data - { siteType, companyId, siteId, month, expiresInHours }
+ * @param {string} createdBy - User creating the link
+ * @param {Object} [context] - { ip, userAgent } of the request
+ * @returns {Promise<{link: Object, token: string}>}
+ */
+const createShareLink = async (data, createdBy, context = {}) => {
+    const scope = {
+        siteType: data.siteType,
+        companyId: String(data.companyId ?? ''),
+        siteId: String(data.siteId ?? '')
+    };
+    const errors = validateSiteScope(scope);
+    if (!MONTH_PATTERN.test(data.month || '')) {
+        errors.push('month must be in MMYYYY format (e.g., 042025)');
+    }
+    const expiresInHours = data.expiresInHours === undefined || data.expiresInHours === null
+        ? SHARE_LINK_SETTINGS.DEFAULT_EXPIRY_HOURS
+        : Number(data.expiresInHours);
+    if (!Number.isInteger(expiresInHours) || expiresInHours < 1 || expiresInHours > SHARE_LINK_SETTINGS.MAX_EXPIRY_HOURS) {
+        errors.push(`expiresInHours must be a whole number from 1 to ${SHARE_LINK_SETTINGS.MAX_EXPIRY_HOURS}`);
+    }
+    if (errors.length > 0) {
+        throw new ValidationError(errors.join('; '));
+    }
+
+    const site = await getSite(scope.siteType, scope.companyId, scope.siteId);
+    if (!site) {
+        throw new NotFoundError(`${scope.siteType === 'production' ? 'Production' : 'Consumption'} site ${scope.companyId}_${scope.siteId} not found`);
+    }
+
+    const now = new Date();
+    const link = {
+        shareId: crypto.randomUUID(),
+        ...scope,
+        month: data.month,
+        createdBy,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + expiresInHours * HOUR_MS).toISOString(),
+        viewCount: 0
+    };
+    const token = jwt.sign(
+        {
+            shareId: link.shareId,
+            siteType: link.siteType,
+            companyId: link.companyId,
+            siteId: link.siteId,
+            month: link.month,
+            tokenType: 'share'
+        },
+        shareSecret(),
+        { expiresIn: expiresInHours * 60 * 60 }
+    );
+
+    await shareLinkDAL.createLink(link);
+    await recordEvent(link, SHARE_LINK_EVENTS.CREATED, { actor: createdBy, ...context });
+    logger.info(`[ShareLinkService] Share link ${link.shareId} created by ${createdBy} for ${link.siteType} site ${link.companyId}_${link.siteId}, month ${link.month}`);
+    return { link: { ...link, status: linkStatus(link, now) }, token };
+};
+
+/**
+ * A site's share links, newest first
+ * @param {Object} scope - { siteType, companyId, siteId }
+ * @returns {Promise<Array<Object>>}
+ */
+const listShareLinks = async (scope) => {
+    assertSiteScope(scope);
+    const now = new Date();
+    const links = await shareLinkDAL.getLinksBySite(scope.siteType, scope.companyId, scope.siteId);
+    return links
+        .map(link => ({ ...link, status: linkStatus(link, now) }))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Revoke a share link so its token stops working before it expires
+ * @param {Object} scope - { siteType, companyId, siteId }
+ * @param {string} shareId
+ * @param {string} revokedBy - User revoking the link
+ * @param {Object} [context] - { ip, userAgent } of the request
+ */
+const revokeShareLink = async (scope, shareId, revokedBy, context = {}) => {
+    assertSiteScope(scope);
+    const link = await shareLinkDAL.getLink(scope.siteType, scope.companyId, scope.siteId, shareId);
+    if (!link) {
+        throw linkNotFound();
+    }
+    const revokedAt = new Date().toISOString();
+    const changed = await shareLinkDAL.revokeLink(scope.siteType, scope.companyId, scope.siteId, shareId, { revokedAt, revokedBy });
+    if (!changed) {
+        throw new GoneError('Share link is already revoked');
+    }
+    await recordEvent(link, SHARE_LINK_EVENTS.REVOKED, { actor: revokedBy, ...context });
+    logger.info(`[ShareLinkService] Share link ${shareId} revoked by ${revokedBy}`);
+    return { ...link, revokedAt, revokedBy, status: 'revoked' };
+};
+
+/**
+ * Who created, used, was refused and revoked a link, most recent first
+ * @param {Object} scope - { siteType, companyId, siteId }
+ * @param {string} shareId
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<Array<Object>>}
+ */
+const getShareLinkAudit = async (scope, shareId, { limit } = {}) => {
+    assertSiteScope(scope);
+    const link = await shareLinkDAL.getLink(scope.siteType, scope.companyId, scope.siteId, shareId);
+    if (!link) {
+        throw linkNotFound();
+    }
+    const parsedLimit = limit === undefined ? undefined : Number(limit);
+    if (parsedLimit !== undefined && (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_AUDIT_LIMIT)) {
+        throw new ValidationError(`limit must be a whole number from 1 to ${MAX_AUDIT_LIMIT}`);
+    }
+    return shareLinkDAL.getAuditEntries(scope.siteType, scope.companyId, scope.siteId, shareId, { limit: parsedLimit });
+};
+
+/**
+ * Resolve a share token to the site and month it grants. Every use is
+ * audited, including refused uses of an expired or revoked link; the view
+ * is refused when it cannot be audited.
+ * @param {string} token - Token from the share URL
+ * @param {Object} [context] - { ip, userAgent } of the viewer
+ * @returns {Promise<Object>} { link, site, units, charges }
+ */
+const viewSharedSite = async (token, context = {}) => {
+    let claims;
+    let expired = false;
+    try {
+        claims = jwt.verify(token, shareSecret());
+    } catch (error) {
+        if (error.name !== 'TokenExpiredError') {
+            logger.warn(`[ShareLinkService] Invalid share token presented: ${error.message}`, { ip: context.ip || null });
+            throw linkNotFound();
+        }
+        // The signature was checked before the expiry, so the claims can be trusted for auditing
+        claims = jwt.decode(token);
+        expired = true;
+    }
+    if (claims?.tokenType !== 'share' || validateSiteScope(claims).length > 0 || !claims.shareId) {
+        throw linkNotFound();
+    }
+
+    const link = await shareLinkDAL.getLink(claims.siteType, claims.companyId, claims.siteId, claims.shareId);
+    if (!link) {
+        throw linkNotFound();
+    }
+
+    const status = expired ? 'expired' : linkStatus(link);
+    if (status !== 'active') {
+        await recordEvent(link, SHARE_LINK_EVENTS.REJECTED, { reason: status, ...context });
+        throw new GoneError(status === 'revoked' ? 'This share link has been revoked' : 'This share link has expired');
+    }
+
+    await recordEvent(link, SHARE_LINK_EVENTS.VIEWED, context);
+    await shareLinkDAL.recordView(link.siteType, link.companyId, link.siteId, link.shareId, new Date().toISOString());
+
+    const pk = `${link.companyId}_${link.siteId}`;
+    const site = await getSite(link.siteType, link.companyId, link.siteId);
+    if (!site) {
+        throw new NotFoundError('The shared site no longer exists');
+    }
+    const [units, charges] = link.siteType === 'production'
+        ? await Promise.all([
+            productionUnitDAL.getItem(pk, link.month),
+            productionChargeDAL.getItem(pk, link.month)
+        ])
+        : [await consumptionUnitDAL.getConsumptionUnit(pk, link.month), null];
+
+    return {
+        link: {
+            siteType: link.siteType,
+            companyId: link.companyId,
+            siteId: link.siteId,
+            month: link.month,
+            expiresAt: link.expiresAt
+        },
+        site,
+        units: units || null,
+        charges: charges || null
+    };
+};
+
+module.exports = {
+    validateSiteScope,
+    createShareLink,
+    listShareLinks,
+    revokeShareLink,
+    getShareLinkAudit,
+    viewSharedSite
+};
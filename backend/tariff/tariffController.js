@@ -0,0 +1,101 @@
+const tariffService = require('./tariffService');
+const logger = require('../utils/logger');
+const { resolveCompanyId } = require('../utils/requestCompany');
+
+const sendError = (res, error, fallbackMessage) => {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+        success: false,
+        message: statusCode === 500 ? fallbackMessage : error.message,
+        error: statusCode === 500 ? error.message : undefined
+    });
+};
+
+// Tariff identity from the route: /pair/:generatorCompanyId/:shareholderCompanyId/:effectiveFrom
+// or /site/:companyId/:consumptionSiteId/:effectiveFrom
+const getTariffKey = (req) => ({ ...req.params });
+
+// List the signed-in user's company tariffs, optionally filtered by ?scope=pair|site.
+// Admins may list another company's with ?companyId=
+exports.getTariffs = async (req, res) => {
+    try {
+        const { scope } = req.query;
+        const tariffs = await tariffService.listTariffs({ scope, companyId: resolveCompanyId(req) });
+        res.json({
+            success: true,
+            data: tariffs
+        });
+    } catch (error) {
+        logger.error('[TariffController] List Error:', error);
+        sendError(res, error, 'Error fetching tariffs');
+    }
+};
+
+// Rates in force for an allocation: ?month=MMYYYY&companyId=&consumptionSiteId=&shareholderCompanyId=
+exports.resolveTariff = async (req, res) => {
+    try {
+        const { month, consumptionSiteId, shareholderCompanyId } = req.query;
+        const tariff = await tariffService.resolveTariff(month, {
+            companyId: resolveCompanyId(req),
+            consumptionSiteId,
+            shareholderCompanyId
+        });
+
+        if (!tariff) {
+            return res.status(404).json({
+                success: false,
+                message: `No tariff in force for ${month}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: tariff
+        });
+    } catch (error) {
+        logger.error('[TariffController] Resolve Error:', error);
+        sendError(res, error, 'Error resolving tariff');
+    }
+};
+
+exports.createTariff = async (req, res) => {
+    try {
+        const tariff = await tariffService.createTariff(req.body, req.user?.username || null);
+        res.status(201).json({
+            success: true,
+            message: 'Tariff created successfully',
+            data: tariff
+        });
+    } catch (error) {
+        logger.error('[TariffController] Create Error:', error);
+        sendError(res, error, 'Error creating tariff');
+    }
+};
+
+exports.updateTariff = async (req, res) => {
+    try {
+        const tariff = await tariffService.updateTariff(getTariffKey(req), req.body, req.user?.username || null);
+        res.json({
+            success: true,
+            message: 'Tariff updated successfully',
+            data: tariff
+        });
+    } catch (error) {
+        logger.error('[TariffController] Update Error:', error);
+        sendError(res, error, 'Error updating tariff');
+    }
+};
+
+exports.deleteTariff = async (req, res) => {
+    try {
+        const tariff = await tariffService.deleteTariff(getTariffKey(req));
+        res.json({
+            success: true,
+            message: 'Tariff deleted successfully',
+            data: tariff
+        });
+    } catch (error) {
+        logger.error('[TariffController] Delete Error:', error);
+        sendError(res, error, 'Error deleting tariff');
+    }
+};
@@ -0,0 +1,147 @@
+const { PutCommand, GetCommand, QueryCommand, ScanCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const docClient = require('../utils/db');
+const TableNames = require('../constants/tableNames');
+const logger = require('../utils/logger');
+
+/**
+ * Tariffs are stored with pk = scope key (PAIR#<generator>#<shareholder> or
+ * SITE#<companyId>#<consumptionSiteId>) and sk = effectiveFrom (YYYY-MM-DD), so
+ * the rate in force on a date is the latest sk on or before it.
+ */
+class TariffDAL {
+    constructor() {
+        this.tableName = TableNames.TARIFF;
+    }
+
+    async createTariff(item) {
+        try {
+            await docClient.send(new PutCommand({
+                TableName: this.tableName,
+                Item: item,
+                ConditionExpression: 'attribute_not_exists(pk) AND attribute_not_exists(sk)'
+            }));
+            return item;
+        } catch (error) {
+            logger.error(`[TariffDAL] Error creating tariff: ${error.message}`, { pk: item.pk, sk: item.sk });
+            throw error;
+        }
+    }
+
+    async getTariff(pk, sk) {
+        try {
+            const { Item } = await docClient.send(new GetCommand({
+                TableName: this.tableName,
+                Key: { pk, sk }
+            }));
+            return Item || null;
+        } catch (error) {
+            logger.error(`[TariffDAL] Error fetching tariff: ${error.message}`, { pk, sk });
+            throw error;
+        }
+    }
+
+    /**
+     * Replace a tariff, failing with ConditionalCheckFailedException if it was
+     * changed since `expectedVersion` was read
+     */
+    async replaceTariff(item, expectedVersion) {
+        try {
+            await docClient.send(new PutCommand({
+                TableName: this.tableName,
+                Item: item,
+                ConditionExpression: 'attribute_exists(pk) AND #version = :expectedVersion',
+                ExpressionAttributeNames: { '#version': 'version' },
+                ExpressionAttributeValues: { ':expectedVersion': Number(expectedVersion) }
+            }));
+            return item;
+        } catch (error) {
+            logger.error(`[TariffDAL] Error updating tariff: ${error.message}`, { pk: item.pk, sk: item.sk });
+            throw error;
+        }
+    }
+
+    async deleteTariff(pk, sk) {
+        try {
+            const { Attributes } = await docClient.send(new DeleteCommand({
+                TableName: this.tableName,
+                Key: { pk, sk },
+                ReturnValues: 'ALL_OLD'
+            }));
+            return Attributes || null;
+        } catch (error) {
+            logger.error(`[TariffDAL] Error deleting tariff: ${error.message}`, { pk, sk });
+            throw error;
+        }
+    }
+
+    async getTariffsByScope(pk) {
+        try {
+            const items = [];
+            let lastEvaluatedKey;
+            do {
+                const response = await docClient.send(new QueryCommand({
+                    TableName: this.tableName,
+                    KeyConditionExpression: 'pk = :pk',
+                    ExpressionAttributeValues: { ':pk': pk },
+                    ExclusiveStartKey: lastEvaluatedKey
+                }));
+                items.push(...(response.Items || []));
+                lastEvaluatedKey = response.LastEvaluatedKey;
+            } while (lastEvaluatedKey);
+            return items;
+        } catch (error) {
+            logger.error(`[TariffDAL] Error listing tariffs: ${error.message}`, { pk });
+            throw error;
+        }
+    }
+
+    /**
+     * Tariffs a company is party to: site tariffs for its consumption sites and
+     * pair tariffs where it is the generator or the shareholder
+     * @param {string} companyId - Company ID
+     */
+    async getTariffsByCompany(companyId) {
+        try {
+            const items = [];
+            let lastEvaluatedKey;
+            do {
+                const response = await docClient.send(new ScanCommand({
+                    TableName: this.tableName,
+                    FilterExpression: 'companyId = :companyId OR generatorCompanyId = :companyId OR shareholderCompanyId = :companyId',
+                    ExpressionAttributeValues: { ':companyId': String(companyId) },
+                    ExclusiveStartKey: lastEvaluatedKey
+                }));
+                items.push(...(response.Items || []));
+                lastEvaluatedKey = response.LastEvaluatedKey;
+            } while (lastEvaluatedKey);
+            return items;
+        } catch (error) {
+            logger.error(`[TariffDAL] Error listing company tariffs: ${error.message}`, { companyId });
+            throw error;
+        }
+    }
+
+    /**
+     * Latest tariff for a scope whose effectiveFrom is on or before `date`
+     * @param {string} pk - Scope key
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @returns {Promise<Object|null>} Tariff record
+     */
+    async getTariffInForce(pk, date) {
+        try {
+            const { Items } = await docClient.send(new QueryCommand({
+                TableName: this.tableName,
+                KeyConditionExpression: 'pk = :pk AND sk <= :date',
+                ExpressionAttributeValues: { ':pk': pk, ':date': date },
+                ScanIndexForward: false,
+                Limit: 1
+            }));
+            return Items?.[0] || null;
+        } catch (error) {
+            logger.error(`[TariffDAL] Error resolving tariff: ${error.message}`, { pk, date });
+            throw error;
+        }
+    }
+}
+
+module.exports = new TariffDAL();
@@ -0,0 +1,24 @@
+const express = require('express');
+const tariffController = require('./tariffController');
+const validateJson = require('../middleware/validateJson');
+
+const router = express.Router();
+
+// List tariffs, filterable by ?scope=pair|site&companyId=
+router.get('/', tariffController.getTariffs);
+
+// Tariff in force for an allocation in a billing month
+router.get('/resolve', tariffController.resolveTariff);
+
+// Create a tariff (pair or site scope, effective from a date)
+router.post('/', validateJson, tariffController.createTariff);
+
+// Update or delete a generator/shareholder pair tariff
+router.put('/:scope(pair)/:generatorCompanyId/:shareholderCompanyId/:effectiveFrom', validateJson, tariffController.updateTariff);
+router.delete('/:scope(pair)/:generatorCompanyId/:shareholderCompanyId/:effectiveFrom', tariffController.deleteTariff);
+
+// Update or delete a consumption site tariff
+router.put('/:scope(site)/:companyId/:consumptionSiteId/:effectiveFrom', validateJson, tariffController.updateTariff);
+router.delete('/:scope(site)/:companyId/:consumptionSiteId/:effectiveFrom', tariffController.deleteTariff);
+
+module.exports = router;
@@ -0,0 +1,259 @@
+const tariffDAL = require('./tariffDAL');
+const logger = require('../utils/logger');
+const { ALL_PERIODS } = require('../constants/periods');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const TARIFF_SCOPE = {
+    PAIR: 'pair',
+    SITE: 'site'
+};
+
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const roundAmount = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Scope key a tariff is stored under. A site tariff prices every allocation to one
+ * consumption site; a pair tariff prices allocations from a generator company to
+ * a shareholder company.
+ */
+const buildScopeKey = ({ scope, generatorCompanyId, shareholderCompanyId, companyId, consumptionSiteId }) => {
+    return scope === TARIFF_SCOPE.SITE
+        ? `SITE#${companyId}#${consumptionSiteId}`
+        : `PAIR#${generatorCompanyId}#${shareholderCompanyId}`;
+};
+
+/**
+ * Validate tariff input
+ * @param {Object} data - Tariff fields
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+const validateTariff = (data) => {
+    const errors = [];
+    if (!Object.values(TARIFF_SCOPE).includes(data.scope)) {
+        errors.push(`scope must be one of: ${Object.values(TARIFF_SCOPE).join(', ')}`);
+    } else if (data.scope === TARIFF_SCOPE.PAIR && (!data.generatorCompanyId || !data.shareholderCompanyId)) {
+        errors.push('generatorCompanyId and shareholderCompanyId are required for a pair tariff');
+    } else if (data.scope === TARIFF_SCOPE.SITE && (!data.companyId || !data.consumptionSiteId)) {
+        errors.push('companyId and consumptionSiteId are required for a site tariff');
+    }
+
+    if (!DATE_PATTERN.test(data.effectiveFrom || '')) {
+        errors.push('effectiveFrom must be a date in YYYY-MM-DD format');
+    }
+    if (data.effectiveTo !== undefined && data.effectiveTo !== null) {
+        if (!DATE_PATTERN.test(data.effectiveTo)) {
+            errors.push('effectiveTo must be a date in YYYY-MM-DD format');
+        } else if (data.effectiveFrom && data.effectiveTo < data.effectiveFrom) {
+            errors.push('effectiveTo must not be before effectiveFrom');
+        }
+    }
+
+    if (!data.rates || typeof data.rates !== 'object') {
+        errors.push('rates must give a rate per kWh for each of c1-c5');
+    } else {
+        ALL_PERIODS.forEach(period => {
+            const rate = data.rates[period];
+            if (rate === undefined || rate === null || rate === '' || !Number.isFinite(Number(rate)) || Number(rate) < 0) {
+                errors.push(`rates.${period} must be a non-negative number`);
+            }
+        });
+    }
+    return errors;
+};
+
+const normalizeRates = (rates) => ALL_PERIODS.reduce((acc, period) => {
+    acc[period] = Number(rates[period]);
+    return acc;
+}, {});
+
+const assertValid = (data) => {
+    const errors = validateTariff(data);
+    if (errors.length > 0) {
+        throw new ValidationError(errors.join('; '));
+    }
+};
+
+/**
+ * Create a tariff. Only one tariff per scope can start on a given date.
+ * @param {Object} data - Tariff fields
+ * @param {string} [createdBy] - Username of the user creating it
+ * @returns {Promise<Object>} Stored tariff
+ */
+const createTariff = async (data, createdBy = null) => {
+    assertValid(data);
+
+    const now = new Date().toISOString();
+    const isSite = data.scope === TARIFF_SCOPE.SITE;
+    const item = {
+        pk: buildScopeKey(data),
+        sk: data.effectiveFrom,
+        scope: data.scope,
+        ...(isSite
+            ? { companyId: String(data.companyId), consumptionSiteId: String(data.consumptionSiteId) }
+            : { generatorCompanyId: String(data.generatorCompanyId), shareholderCompanyId: String(data.shareholderCompanyId) }),
+        effectiveFrom: data.effectiveFrom,
+        effectiveTo: data.effectiveTo || null,
+        rates: normalizeRates(data.rates),
+        description: data.description || '',
+        version: 1,
+        createdBy,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    try {
+        return await tariffDAL.createTariff(item);
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            throw new ConflictError(`A tariff for this ${data.scope} already starts on ${data.effectiveFrom}`);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Update the rates, end date or description of a tariff. The scope and start
+ * date identify the tariff and cannot change.
+ */
+const updateTariff = async (key, updates, updatedBy = null) => {
+    const pk = buildScopeKey(key);
+    const existing = await tariffDAL.getTariff(pk, key.effectiveFrom);
+    if (!existing) {
+        throw new NotFoundError(`No ${key.scope} tariff starting ${key.effectiveFrom}`);
+    }
+
+    const merged = {
+        ...existing,
+        rates: updates.rates !== undefined ? updates.rates : existing.rates,
+        effectiveTo: updates.effectiveTo !== undefined ? updates.effectiveTo : existing.effectiveTo,
+        description: updates.description !== undefined ? updates.description : existing.description
+    };
+    assertValid(merged);
+
+    const expectedVersion = updates.version !== undefined ? updates.version : existing.version;
+    const item = {
+        ...merged,
+        rates: normalizeRates(merged.rates),
+        effectiveTo: merged.effectiveTo || null,
+        version: Number(existing.version) + 1,
+        updatedBy,
+        updatedAt: new Date().toISOString()
+    };
+
+    try {
+        return await tariffDAL.replaceTariff(item, expectedVersion);
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            throw new ConflictError('Tariff was modified by another request, reload and try again');
+        }
+        throw error;
+    }
+};
+
+const deleteTariff = async (key) => {
+    const deleted = await tariffDAL.deleteTariff(buildScopeKey(key), key.effectiveFrom);
+    if (!deleted) {
+        throw new NotFoundError(`No ${key.scope} tariff starting ${key.effectiveFrom}`);
+    }
+    return deleted;
+};
+
+/**
+ * List the tariffs a company is party to (as generator, shareholder or
+ * consumption site owner), optionally narrowed to one scope
+ */
+const listTariffs = async ({ scope, companyId } = {}) => {
+    if (!companyId) {
+        throw new ValidationError('companyId is required');
+    }
+    const tariffs = await tariffDAL.getTariffsByCompany(companyId);
+    return tariffs
+        .filter(tariff => !scope || tariff.scope === scope)
+        .sort((a, b) => a.pk.localeCompare(b.pk) || a.sk.localeCompare(b.sk));
+};
+
+const inForce = (tariff, date) => tariff && (!tariff.effectiveTo || tariff.effectiveTo >= date) ? tariff : null;
+
+/**
+ * Find the rates that apply to an allocation in a billing month. A tariff for
+ * the consumption site takes precedence over one for the generator/shareholder pair.
+ * @param {string} month - Billing month in MMYYYY format
+ * @param {Object} parties
+ * @param {string} parties.companyId - Company the allocation belongs to (generator)
+ * @param {string} parties.consumptionSiteId - Consumption site receiving the units
+ * @param {string} [parties.shareholderCompanyId] - Company owning the consumption site
+ * @returns {Promise<Object|null>} Tariff in force, or null when none is set up
+ */
+const resolveTariff = async (month, { companyId, consumptionSiteId, shareholderCompanyId }) => {
+    if (!/^(0[1-9]|1[0-2])\d{4}$/.test(month || '')) {
+        throw new ValidationError(`Invalid month: ${month}. Must be in MMYYYY format (e.g., 042025)`);
+    }
+    const date = `${month.substring(2)}-${month.substring(0, 2)}-01`;
+
+    if (consumptionSiteId) {
+        const siteTariff = inForce(await tariffDAL.getTariffInForce(
+            buildScopeKey({ scope: TARIFF_SCOPE.SITE, companyId, consumptionSiteId }),
+            date
+        ), date);
+        if (siteTariff) return siteTariff;
+    }
+
+    if (shareholderCompanyId) {
+        return inForce(await tariffDAL.getTariffInForce(
+            buildScopeKey({ scope: TARIFF_SCOPE.PAIR, generatorCompanyId: companyId, shareholderCompanyId }),
+            date
+        ), date);
+    }
+
+    return null;
+};
+
+/**
+ * Price allocated units with a tariff's per-period rates
+ * @param {Object} units - { c1..c5 } unit counts
+ * @param {Object} rates - { c1..c5 } rupees per unit
+ * @returns {Object} { periods: { c1: { units, rate, amount } ... }, units, amount }
+ */
+const priceUnits = (units, rates) => {
+    const periods = {};
+    let totalUnits = 0;
+    let amount = 0;
+    ALL_PERIODS.forEach(period => {
+        const periodUnits = Number(units?.[period] || 0);
+        const rate = Number(rates?.[period] || 0);
+        const periodAmount = roundAmount(periodUnits * rate);
+        periods[period] = { units: periodUnits, rate, amount: periodAmount };
+        totalUnits += periodUnits;
+        amount += periodAmount;
+    });
+    return { periods, units: totalUnits, amount: roundAmount(amount) };
+};
+
+/**
+ * Price an allocation for a billing month. Returns null when no tariff applies,
+ * so callers can flag the row rather than bill it at zero.
+ */
+const priceAllocation = async (month, parties, units) => {
+    const tariff = await resolveTariff(month, parties);
+    if (!tariff) {
+        logger.warn(`[TariffService] No tariff for ${parties.companyId}/${parties.consumptionSiteId} in ${month}`);
+        return null;
+    }
+    return {
+        tariff: { pk: tariff.pk, effectiveFrom: tariff.effectiveFrom, scope: tariff.scope },
+        ...priceUnits(units, tariff.rates)
+    };
+};
+
+module.exports = {
+    TARIFF_SCOPE,
+    validateTariff,
+    createTariff,
+    updateTariff,
+    deleteTariff,
+    listTariffs,
+    resolveTariff,
+    priceUnits,
+    priceAllocation
+};
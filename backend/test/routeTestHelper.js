@@ -0,0 +1,62 @@
+// Shared setup for route tests that go through authenticateToken with supertest
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Users the mocked AuthDAL knows. The operator has one production site of
+// company 2 granted on top of its own company's sites.
+const TEST_USERS = {
+    admin: { username: 'admin', role: 'ADMIN', companyId: 1 },
+    operator: {
+        username: 'operator',
+        role: 'USER',
+        companyId: 1,
+        metadata: {
+            accessibleSites: {
+                productionSites: { L: [{ S: '2_7' }] },
+                consumptionSites: { L: [] }
+            }
+        }
+    },
+    viewer: { username: 'viewer', role: 'VIEWER', companyId: 1 }
+};
+
+/**
+ * Stand-in for the AuthDAL class, for use in a jest.mock factory:
+ *   jest.mock('../auth/authDal', () => require('../test/routeTestHelper').mockAuthDal());
+ * Roles are not found, so permissions come from the fallback role permissions.
+ * @returns {jest.Mock} Constructor of DALs that look users up in TEST_USERS
+ */
+const mockAuthDal = () => jest.fn().mockImplementation(() => ({
+    getUserByUsername: jest.fn(async (username) => TEST_USERS[username] || null),
+    getRoleById: jest.fn(async () => null),
+    extractCompanyIdFromUser: jest.fn(() => null)
+}));
+
+/**
+ * Authorization header value with an access token for a user
+ * @param {string} username
+ * @returns {string}
+ */
+const tokenFor = (username) => `Bearer ${jwt.sign({ username }, process.env.JWT_SECRET)}`;
+
+/**
+ * Express app with a JSON body parser and one mount
+ * @param {string} path - Mount path, e.g. '/api/user'
+ * @param {...Function} handlers - Middleware and router, as passed to app.use
+ * @returns {express.Application}
+ */
+const buildApp = (path, ...handlers) => {
+    const app = express();
+    app.use(express.json());
+    app.use(path, ...handlers);
+    return app;
+};
+
+module.exports = {
+    TEST_USERS,
+    mockAuthDal,
+    tokenFor,
+    buildApp
+};
@@ -1,5 +1,6 @@
 const logger = require('../utils/logger');
 const userDal = require('./userDal');
+const { hashNewPassword } = require('../auth/passwordService');
 const { transformUserRole, transformUsersRoles } = require('../utils/roleMapper');
 
 /**
@@ -195,6 +196,7 @@ const createUser = async (userData) => {
         const { mapRoleNameToId } = require('../utils/roleMapper');
         const processedData = {
             ...userData,
+            password: await hashNewPassword(userData.password, userData.username),
             roleId: mapRoleNameToId(userData.roleId)
         };
         const user = await userDal.createUser(processedData);
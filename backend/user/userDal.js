@@ -2,6 +2,7 @@ const { docClient } = require('../config/aws-config');
 const { ScanCommand, GetCommand, PutCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
 const logger = require('../utils/logger');
 const TableNames = require('../constants/tableNames');
+const { isPasswordHash } = require('../utils/password');
 
 class UserDAL {
     constructor() {
@@ -19,7 +20,7 @@ class UserDAL {
             
             const command = new ScanCommand({
                 TableName: this.userTable,
-                ProjectionExpression: 'username, email, roleId, createdAt, updatedAt, isActive, #version, #metadata',
+                ProjectionExpression: 'username, email, roleId, createdAt, updatedAt, isActive, #version, #metadata, lastLogin, failedLoginCount, lockedUntil',
                 ExpressionAttributeNames: {
                     '#version': 'version',
                     '#metadata': 'metadata'
@@ -67,18 +68,22 @@ class UserDAL {
 
     /**
      * Create a new user
-     * @param {Object} userData - User data including username, email, password, roleId, etc.
+     * @param {Object} userData - User data including username, email, password hash, roleId, etc.
      * @returns {Promise<Object>} Created user object
      */
     async createUser(userData) {
         try {
             logger.info(`[UserDAL] Creating new user: ${userData.username}`);
 
+            if (!isPasswordHash(userData.password)) {
+                throw new Error('createUser expects a bcrypt password hash, not a plaintext password');
+            }
+
             const now = new Date().toISOString();
             const user = {
                 username: userData.username.toString(),
                 email: userData.email || '',
-                password: userData.password || '',
+                password: userData.password,
                 roleId: userData.roleId || 'USER',
                 createdAt: now,
                 updatedAt: now,
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/authorization');
+const { authenticateToken, checkPermission } = require('../middleware/authorization');
 const {
     getUserById,
     getAllUsers,
@@ -8,7 +8,22 @@ const {
     updateUser,
     deleteUser
 } = require('./userController');
+const { resetPassword } = require('../auth/passwordService');
+const { unlockUser, getLoginHistory } = require('../auth/loginSecurityService');
+const { revokeAllSessions } = require('../auth/sessionService');
+const { SESSION_REVOKE_REASONS } = require('../constants/sessions');
 const logger = require('../utils/logger');
+const { ADMIN_ROLES } = require('../utils/requestCompany');
+
+const requireAdmin = (action) => (req, res, next) => {
+    if (!ADMIN_ROLES.includes(String(req.user?.role || '').toUpperCase())) {
+        return res.status(403).json({
+            success: false,
+            message: `Only administrators can ${action}`
+        });
+    }
+    next();
+};
 
 /**
  * @route   GET /api/user/all
@@ -106,7 +121,7 @@ router.get('/:username', authenticateToken, async (req, res) => {
  * @desc    Create a new user
  * @access  Private (Admin only)
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, checkPermission('users', 'CREATE'), async (req, res) => {
     try {
         const { username, email, password, roleId, metadata } = req.body;
 
@@ -138,6 +153,13 @@ router.post('/', authenticateToken, async (req, res) => {
         });
     } catch (error) {
         logger.error('Error creating user:', error);
+
+        if (error.statusCode === 400) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
         
         if (error.message.includes('already exists')) {
             return res.status(409).json({
@@ -159,7 +181,7 @@ router.post('/', authenticateToken, async (req, res) => {
  * @desc    Update an existing user
  * @access  Private (Admin only)
  */
-router.put('/:username', authenticateToken, async (req, res) => {
+router.put('/:username', authenticateToken, checkPermission('users', 'UPDATE'), async (req, res) => {
     try {
         const { username } = req.params;
         const updateData = req.body;
@@ -205,12 +227,118 @@ router.put('/:username', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/user/:username/reset-password
+ * @desc    Set a new password for another user
+ * @access  Private (Admin only)
+ */
+router.post('/:username/reset-password', authenticateToken, requireAdmin('reset passwords'), async (req, res) => {
+    try {
+        const { username } = req.params;
+
+        // Own password goes through change-password, which checks the current one
+        if (username === req.user.username) {
+            return res.status(400).json({
+                success: false,
+                message: 'Use change password for your own account'
+            });
+        }
+
+        await resetPassword(username, req.body.newPassword, req.user.username);
+
+        res.json({
+            success: true,
+            message: `Password reset for ${username}`
+        });
+    } catch (error) {
+        logger.error('Error resetting password:', error);
+        const statusCode = error.statusCode || 500;
+        res.status(statusCode).json({
+            success: false,
+            message: statusCode === 500 ? 'Failed to reset password' : error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/user/:username/unlock
+ * @desc    Clear a user's login lockout and failed-login count
+ * @access  Private (Admin only)
+ */
+router.post('/:username/unlock', authenticateToken, requireAdmin('unlock accounts'), async (req, res) => {
+    try {
+        await unlockUser(req.params.username, req.user.username);
+
+        res.json({
+            success: true,
+            message: `User ${req.params.username} unlocked`
+        });
+    } catch (error) {
+        logger.error('Error unlocking user:', error);
+        const statusCode = error.statusCode || 500;
+        res.status(statusCode).json({
+            success: false,
+            message: statusCode === 500 ? 'Failed to unlock user' : error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/user/:username/sign-out-everywhere
+ * @desc    Sign out every session of a user
+ * @access  Private (Admin only)
+ */
+router.post('/:username/sign-out-everywhere', authenticateToken, requireAdmin('sign out other users'), async (req, res) => {
+    try {
+        const count = await revokeAllSessions(req.params.username, {
+            reason: SESSION_REVOKE_REASONS.ADMIN_SIGN_OUT,
+            revokedBy: req.user.username
+        });
+
+        res.json({
+            success: true,
+            message: `Signed out ${count} session(s) of ${req.params.username}`,
+            data: { count }
+        });
+    } catch (error) {
+        logger.error('Error signing out user sessions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sign out user sessions'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/user/:username/login-history
+ * @desc    Login attempts for a user, most recent first (?limit, ?from, ?to)
+ * @access  Private (Admin only)
+ */
+router.get('/:username/login-history', authenticateToken, requireAdmin('view login history'), async (req, res) => {
+    try {
+        const history = await getLoginHistory(req.params.username, req.query);
+
+        res.json({
+            success: true,
+            data: history,
+            count: history.length
+        });
+    } catch (error) {
+        logger.error('Error fetching login history:', error);
+        const statusCode = error.statusCode || 500;
+        res.status(statusCode).json({
+            success: false,
+            message: statusCode === 500 ? 'Failed to retrieve login history' : error.message
+        });
+    }
+});
+
 /**
  * @route   DELETE /api/user/:username
  * @desc    Delete a user
  * @access  Private (Admin only)
  */
-router.delete('/:username', authenticateToken, async (req, res) => {
+router.delete('/:username', authenticateToken, checkPermission('users', 'DELETE'), async (req, res) => {
     try {
         const { username } = req.params;
 
@@ -0,0 +1,68 @@
+const request = require('supertest');
+const { tokenFor, buildApp } = require('../test/routeTestHelper');
+
+jest.mock('../utils/logger');
+jest.mock('../auth/sessionService', () => ({
+    isSessionActive: jest.fn().mockResolvedValue(true),
+    revokeAllSessions: jest.fn().mockResolvedValue(0)
+}));
+jest.mock('../auth/passwordService', () => ({
+    resetPassword: jest.fn().mockResolvedValue()
+}));
+jest.mock('../auth/loginSecurityService', () => ({
+    unlockUser: jest.fn().mockResolvedValue(),
+    getLoginHistory: jest.fn().mockResolvedValue([])
+}));
+jest.mock('./userController', () => ({
+    getUserById: jest.fn(),
+    getAllUsers: jest.fn(),
+    createUser: jest.fn(async (user) => user),
+    updateUser: jest.fn(async (username, user) => ({ username, ...user })),
+    deleteUser: jest.fn().mockResolvedValue()
+}));
+jest.mock('../auth/authDal', () => require('../test/routeTestHelper').mockAuthDal());
+
+const { authenticateToken } = require('../middleware/authorization');
+const userController = require('./userController');
+const userRoutes = require('./userRoutes');
+
+const app = buildApp('/api/user', authenticateToken, userRoutes);
+
+describe('user routes', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    it.each([
+        ['post', '/api/user'],
+        ['put', '/api/user/someone'],
+        ['delete', '/api/user/someone'],
+        ['post', '/api/user/someone/reset-password'],
+        ['post', '/api/user/someone/unlock'],
+        ['post', '/api/user/someone/sign-out-everywhere']
+    ])('refuses a viewer %s %s', async (method, path) => {
+        const response = await request(app)[method](path)
+            .set('Authorization', tokenFor('viewer'))
+            .send({ username: 'someone', password: 'Secret#123', newPassword: 'Secret#123' });
+
+        expect(response.status).toBe(403);
+        expect(userController.createUser).not.toHaveBeenCalled();
+        expect(userController.updateUser).not.toHaveBeenCalled();
+        expect(userController.deleteUser).not.toHaveBeenCalled();
+    });
+
+    it('lets an admin create a user', async () => {
+        const response = await request(app).post('/api/user')
+            .set('Authorization', tokenFor('admin'))
+            .send({ username: 'someone', password: 'Secret#123' });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data).not.toHaveProperty('password');
+        expect(userController.createUser).toHaveBeenCalledWith(expect.objectContaining({ username: 'someone' }));
+    });
+
+    it('lets an admin delete another user', async () => {
+        const response = await request(app).delete('/api/user/someone').set('Authorization', tokenFor('admin'));
+
+        expect(response.status).toBe(200);
+        expect(userController.deleteUser).toHaveBeenCalledWith('someone');
+    });
+});
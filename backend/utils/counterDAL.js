@@ -107,8 +107,32 @@ const resetCounter = async (counterId) => {
     }
 };
 
+/**
+ * Build a TransactWriteItems entry that moves a counter from expectedValue to
+ * expectedValue + 1. Committing it in the same transaction as the record that
+ * uses the new value means a failed write never consumes a number.
+ */
+const buildIncrementTransactItem = (counterId, expectedValue) => ({
+    Update: {
+        TableName: TableNames.COUNTERS,
+        Key: { pk: counterId },
+        UpdateExpression: 'SET #val = :next',
+        ConditionExpression: expectedValue === 0
+            ? 'attribute_not_exists(#val) OR #val = :current'
+            : '#val = :current',
+        ExpressionAttributeNames: {
+            '#val': 'currentValue'
+        },
+        ExpressionAttributeValues: {
+            ':current': expectedValue,
+            ':next': expectedValue + 1
+        }
+    }
+});
+
 module.exports = {
     getCurrentValue,
     getNextId,
-    resetCounter
+    resetCounter,
+    buildIncrementTransactItem
 };
\ No newline at end of file
@@ -154,9 +154,45 @@ const isValidMonthYearKey = (sk) => {
            year >= 2000 && year <= 2100;
 };
 
+/**
+ * Get the Indian financial year (April to March) a month belongs to
+ * @param {string} sk - Month in MMYYYY format
+ * @returns {string} Financial year in YYYY-YYYY format (e.g., "2024-2025")
+ */
+const getFinancialYear = (sk) => {
+    if (!isValidMonthYearKey(sk)) {
+        throw new Error(`Invalid month: ${sk}. Must be in MMYYYY format`);
+    }
+
+    const month = parseInt(sk.substring(0, 2));
+    const year = parseInt(sk.substring(2));
+    const startYear = month >= 4 ? year : year - 1;
+    return `${startYear}-${startYear + 1}`;
+};
+
+/**
+ * List the months of a financial year in order, April first
+ * @param {string} financialYear - Financial year in YYYY-YYYY format
+ * @returns {Array<string>} Months in MMYYYY format
+ */
+const getFinancialYearMonths = (financialYear) => {
+    if (!/^\d{4}-\d{4}$/.test(financialYear || '')) {
+        throw new Error(`Invalid financial year: ${financialYear}. Expected YYYY-YYYY`);
+    }
+
+    const startYear = parseInt(financialYear.split('-')[0]);
+    return Array.from({ length: 12 }, (_, i) => {
+        const month = ((i + 3) % 12) + 1;
+        const year = i < 9 ? startYear : startYear + 1;
+        return `${String(month).padStart(2, '0')}${year}`;
+    });
+};
+
 module.exports = {
     formatMonthYearKey,
     parseMonthYearKey,
     formatMonthYearDisplay,
-    isValidMonthYearKey
+    isValidMonthYearKey,
+    getFinancialYear,
+    getFinancialYearMonths
 };
\ No newline at end of file
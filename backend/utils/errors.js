@@ -19,6 +19,19 @@ class DatabaseError extends BaseError {
     }
 }
 
+class UnauthorizedError extends BaseError {
+    constructor(message, code = 'UNAUTHORIZED') {
+        super(message, 401);
+        this.code = code;
+    }
+}
+
+class ForbiddenError extends BaseError {
+    constructor(message) {
+        super(message, 403);
+    }
+}
+
 class NotFoundError extends BaseError {
     constructor(message) {
         super(message, 404);
@@ -31,10 +44,19 @@ class ConflictError extends BaseError {
     }
 }
 
+class GoneError extends BaseError {
+    constructor(message) {
+        super(message, 410);
+    }
+}
+
 module.exports = {
     BaseError,
     ValidationError,
     DatabaseError,
+    UnauthorizedError,
+    ForbiddenError,
     NotFoundError,
-    ConflictError
+    ConflictError,
+    GoneError
 };
\ No newline at end of file
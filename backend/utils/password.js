@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { PASSWORD_POLICY, BCRYPT_ROUNDS } = require('../constants/passwordPolicy');
+
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+/**
+ * Whether a stored password value is a bcrypt hash rather than a legacy plaintext password
+ * @param {string} value - Stored password attribute
+ * @returns {boolean}
+ */
+const isPasswordHash = (value) => typeof value === 'string' && BCRYPT_HASH_PATTERN.test(value);
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} bcrypt hash
+ */
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+/**
+ * Check a password against the stored value. Users created before hashing hold
+ * the password itself; those are compared directly and reported as needing a
+ * rehash, as are hashes made with fewer rounds than BCRYPT_ROUNDS.
+ * @param {string} password - Password supplied by the user
+ * @param {string} stored - Stored password attribute
+ * @returns {Promise<{valid: boolean, needsRehash: boolean}>}
+ */
+const verifyPassword = async (password, stored) => {
+    if (typeof password !== 'string' || typeof stored !== 'string' || !stored) {
+        return { valid: false, needsRehash: false };
+    }
+
+    if (isPasswordHash(stored)) {
+        const valid = await bcrypt.compare(password, stored);
+        return { valid, needsRehash: valid && bcrypt.getRounds(stored) < BCRYPT_ROUNDS };
+    }
+
+    const supplied = Buffer.from(password);
+    const legacy = Buffer.from(stored);
+    const valid = supplied.length === legacy.length && crypto.timingSafeEqual(supplied, legacy);
+    return { valid, needsRehash: valid };
+};
+
+/**
+ * Validate a new password against PASSWORD_POLICY
+ * @param {string} password - Proposed password
+ * @param {Object} [context]
+ * @param {string} [context.username] - The password may not equal the username
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+const validatePassword = (password, { username } = {}) => {
+    if (typeof password !== 'string' || !password) {
+        return ['Password is required'];
+    }
+
+    const errors = [];
+    if (password.length < PASSWORD_POLICY.MIN_LENGTH) {
+        errors.push(`Password must be at least ${PASSWORD_POLICY.MIN_LENGTH} characters`);
+    }
+    if (Buffer.byteLength(password) > PASSWORD_POLICY.MAX_BYTES) {
+        errors.push(`Password must be at most ${PASSWORD_POLICY.MAX_BYTES} bytes`);
+    }
+    if (PASSWORD_POLICY.REQUIRE_LETTER && !/[A-Za-z]/.test(password)) {
+        errors.push('Password must contain a letter');
+    }
+    if (PASSWORD_POLICY.REQUIRE_DIGIT && !/\d/.test(password)) {
+        errors.push('Password must contain a digit');
+    }
+    if (username && password.toLowerCase() === String(username).toLowerCase()) {
+        errors.push('Password cannot be the same as the username');
+    }
+    return errors;
+};
+
+module.exports = {
+    isPasswordHash,
+    hashPassword,
+    verifyPassword,
+    validatePassword
+};
@@ -0,0 +1,97 @@
+const bcrypt = require('bcryptjs');
+const { isPasswordHash, hashPassword, verifyPassword, validatePassword } = require('./password');
+const { BCRYPT_ROUNDS } = require('../constants/passwordPolicy');
+
+describe('password utilities', () => {
+    describe('hashing', () => {
+        it('hashes with the configured number of rounds', async () => {
+            const hash = await hashPassword('secret123');
+
+            expect(isPasswordHash(hash)).toBe(true);
+            expect(hash).not.toContain('secret123');
+            expect(bcrypt.getRounds(hash)).toBe(BCRYPT_ROUNDS);
+        });
+
+        it('salts each hash', async () => {
+            const [first, second] = await Promise.all([hashPassword('secret123'), hashPassword('secret123')]);
+
+            expect(first).not.toBe(second);
+        });
+
+        it('tells hashes apart from plaintext', () => {
+            expect(isPasswordHash('secret123')).toBe(false);
+            expect(isPasswordHash('$2a$10$short')).toBe(false);
+            expect(isPasswordHash(null)).toBe(false);
+        });
+    });
+
+    describe('verifying', () => {
+        it('accepts the password a current hash was made from', async () => {
+            const hash = await hashPassword('secret123');
+
+            await expect(verifyPassword('secret123', hash)).resolves.toEqual({ valid: true, needsRehash: false });
+            await expect(verifyPassword('secret124', hash)).resolves.toEqual({ valid: false, needsRehash: false });
+        });
+
+        it('asks for a rehash of a hash made with fewer rounds', async () => {
+            const weak = await bcrypt.hash('secret123', 4);
+
+            await expect(verifyPassword('secret123', weak)).resolves.toEqual({ valid: true, needsRehash: true });
+            await expect(verifyPassword('wrong1234', weak)).resolves.toEqual({ valid: false, needsRehash: false });
+        });
+
+        it('matches a legacy plaintext password and asks for it to be hashed', async () => {
+            await expect(verifyPassword('legacy123', 'legacy123')).resolves.toEqual({ valid: true, needsRehash: true });
+        });
+
+        it('rejects a wrong legacy plaintext password, including a prefix of it', async () => {
+            await expect(verifyPassword('legacy12', 'legacy123')).resolves.toEqual({ valid: false, needsRehash: false });
+            await expect(verifyPassword('Legacy123', 'legacy123')).resolves.toEqual({ valid: false, needsRehash: false });
+        });
+
+        it('rejects missing passwords and stored values', async () => {
+            await expect(verifyPassword(undefined, 'legacy123')).resolves.toEqual({ valid: false, needsRehash: false });
+            await expect(verifyPassword('', '')).resolves.toEqual({ valid: false, needsRehash: false });
+            await expect(verifyPassword('secret123', null)).resolves.toEqual({ valid: false, needsRehash: false });
+        });
+    });
+
+    describe('policy', () => {
+        it('accepts a password of at least 8 characters with a letter and a digit', () => {
+            expect(validatePassword('abcdefg1')).toEqual([]);
+        });
+
+        it('requires a password', () => {
+            expect(validatePassword('')).toEqual(['Password is required']);
+            expect(validatePassword(undefined)).toEqual(['Password is required']);
+        });
+
+        it('requires at least 8 characters', () => {
+            expect(validatePassword('abcdef1')).toEqual(['Password must be at least 8 characters']);
+        });
+
+        it('allows at most 72 bytes, counting multi-byte characters by their bytes', () => {
+            expect(validatePassword(`a1${'x'.repeat(70)}`)).toEqual([]);
+            expect(validatePassword(`a1${'x'.repeat(71)}`)).toEqual(['Password must be at most 72 bytes']);
+            // 24 characters but 3 bytes each
+            expect(validatePassword(`a1${'€'.repeat(24)}`)).toEqual(['Password must be at most 72 bytes']);
+        });
+
+        it('requires a letter and a digit', () => {
+            expect(validatePassword('12345678')).toEqual(['Password must contain a letter']);
+            expect(validatePassword('abcdefgh')).toEqual(['Password must contain a digit']);
+        });
+
+        it('rejects the username as the password, ignoring case', () => {
+            expect(validatePassword('Operator1', { username: 'operator1' }))
+                .toEqual(['Password cannot be the same as the username']);
+        });
+
+        it('reports every rule broken', () => {
+            expect(validatePassword('abc')).toEqual([
+                'Password must be at least 8 characters',
+                'Password must contain a digit'
+            ]);
+        });
+    });
+});
@@ -0,0 +1,58 @@
+const { ALL_PERIODS, DEFAULT_PERIOD_DEFINITION } = require('../constants/periods');
+
+/**
+ * Rules derived from a period definition (see constants/periods.js). Every
+ * helper falls back to the default definition, so callers without one keep
+ * the original c2/c3 peak behaviour.
+ */
+
+const getPeakPeriods = (definition = DEFAULT_PERIOD_DEFINITION) =>
+    definition.periods.filter(period => period.peak).map(period => period.code);
+
+const getNonPeakPeriods = (definition = DEFAULT_PERIOD_DEFINITION) =>
+    definition.periods.filter(period => !period.peak).map(period => period.code);
+
+const isPeakPeriod = (period, definition = DEFAULT_PERIOD_DEFINITION) =>
+    getPeakPeriods(definition).includes(period);
+
+/**
+ * Whether units of the source period may be allocated to the target period
+ */
+const isAllocationAllowed = (sourcePeriod, targetPeriod, definition = DEFAULT_PERIOD_DEFINITION) =>
+    sourcePeriod === targetPeriod || (definition.allocationMatrix[sourcePeriod] || []).includes(targetPeriod);
+
+/**
+ * Periods the units of a source period can serve, its own period first
+ */
+const getTargetPeriods = (sourcePeriod, definition = DEFAULT_PERIOD_DEFINITION) =>
+    [sourcePeriod, ...ALL_PERIODS.filter(period =>
+        period !== sourcePeriod && isAllocationAllowed(sourcePeriod, period, definition))];
+
+/**
+ * Source periods that can cover a target period, in the order they are drawn:
+ * the same period first, then peak periods, then any other period the matrix allows
+ */
+const getSourcePeriods = (targetPeriod, definition = DEFAULT_PERIOD_DEFINITION) => {
+    const others = ALL_PERIODS.filter(period =>
+        period !== targetPeriod && isAllocationAllowed(period, targetPeriod, definition));
+    const peak = getPeakPeriods(definition);
+    return [
+        targetPeriod,
+        ...others.filter(period => peak.includes(period)),
+        ...others.filter(period => !peak.includes(period))
+    ];
+};
+
+// Display name of a period, e.g. "C1" or the name given in the tariff order
+const getPeriodName = (period, definition = DEFAULT_PERIOD_DEFINITION) =>
+    definition.periods.find(item => item.code === period)?.name || period.toUpperCase();
+
+module.exports = {
+    getPeakPeriods,
+    getNonPeakPeriods,
+    isPeakPeriod,
+    isAllocationAllowed,
+    getTargetPeriods,
+    getSourcePeriods,
+    getPeriodName
+};
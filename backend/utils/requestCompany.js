@@ -0,0 +1,47 @@
+const { ForbiddenError } = require('./errors');
+
+const ADMIN_ROLES = ['ADMIN', 'SUPERADMIN', 'SUPER_ADMIN'];
+
+const isAdmin = (user) => ADMIN_ROLES.includes(String(user?.role || '').toUpperCase());
+
+/**
+ * Resolve the company a request acts on. This is the signed-in user's
+ * company; only admins may name another company in the body or query.
+ * @param {Object} req - Express request object (after authenticateToken)
+ * @returns {string|null} Company ID, or null when none can be resolved
+ * @throws {ForbiddenError} When a non-admin names a company other than their own
+ */
+const resolveCompanyId = (req) => {
+    const userCompanyId = req.user?.companyId !== undefined && req.user?.companyId !== null
+        ? String(req.user.companyId)
+        : null;
+    const requested = req.body?.companyId ?? req.query?.companyId;
+    if (requested === undefined || requested === null || requested === '') {
+        return userCompanyId;
+    }
+
+    const requestedCompanyId = String(requested);
+    if (requestedCompanyId !== userCompanyId && !isAdmin(req.user)) {
+        throw new ForbiddenError('You can only access data for your own company');
+    }
+    return requestedCompanyId;
+};
+
+/**
+ * Check a company named in the URL against the signed-in user
+ * @param {Object} req - Express request object (after authenticateToken)
+ * @param {string|number} companyId - Company from the route
+ * @throws {ForbiddenError} When a non-admin names a company other than their own
+ */
+const assertCompanyAccess = (req, companyId) => {
+    if (!isAdmin(req.user) && String(companyId) !== String(req.user?.companyId ?? '')) {
+        throw new ForbiddenError('You can only access data for your own company');
+    }
+};
+
+module.exports = {
+    ADMIN_ROLES,
+    isAdmin,
+    resolveCompanyId,
+    assertCompanyAccess
+};
@@ -0,0 +1,61 @@
+/**
+ * Helpers for reading rows of DISCOM/SLDC and generator statements, as sent
+ * by the client after reading a CSV or XLSX sheet (one object per row, keyed
+ * by column heading).
+ */
+
+const MONTH_PATTERN = /^(0[1-9]|1[0-2])\d{4}$/;
+
+// Headings are matched lower-cased with spaces, dots, underscores and dashes removed
+const normalizeHeading = (heading) => String(heading).toLowerCase().replace(/[\s._-]/g, '');
+
+/**
+ * Build a row mapper from { field: [heading aliases] }
+ * @returns {Function} row → { field: value } for the recognised, non-blank columns
+ */
+const createColumnMapper = (aliases) => {
+    const headingToField = Object.entries(aliases).reduce((acc, [field, headings]) => {
+        headings.forEach(heading => { acc[normalizeHeading(heading)] = field; });
+        return acc;
+    }, {});
+
+    return (row) => Object.entries(row || {}).reduce((acc, [heading, value]) => {
+        const field = headingToField[normalizeHeading(heading)];
+        if (field && value !== undefined && value !== null && String(value).trim() !== '') {
+            acc[field] = value;
+        }
+        return acc;
+    }, {});
+};
+
+const normalizeHtsc = (value) => String(value || '').trim().toUpperCase();
+
+/**
+ * Statement months come as MMYYYY, MM/YYYY, MM-YYYY or YYYY-MM
+ * @returns {string|null} Month in MMYYYY format
+ */
+const normalizeMonth = (value) => {
+    const text = String(value || '').trim();
+    const monthFirst = text.match(/^(\d{1,2})[/-]?(\d{4})$/);
+    const yearFirst = text.match(/^(\d{4})-(\d{1,2})$/);
+    const [month, year] = monthFirst
+        ? [monthFirst[1], monthFirst[2]]
+        : yearFirst ? [yearFirst[2], yearFirst[1]] : [];
+    if (!month) return null;
+    const normalized = `${month.padStart(2, '0')}${year}`;
+    return MONTH_PATTERN.test(normalized) ? normalized : null;
+};
+
+// Figures may carry thousands separators; blank cells count as zero, anything else unreadable is NaN
+const parseFigure = (value) => {
+    if (value === undefined) return 0;
+    const number = Number(String(value).replace(/,/g, '').trim());
+    return Number.isFinite(number) ? number : NaN;
+};
+
+module.exports = {
+    createColumnMapper,
+    normalizeHtsc,
+    normalizeMonth,
+    parseFigure
+};
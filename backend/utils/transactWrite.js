@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const docClient = require('./db');
+const logger = require('./logger');
+const { ConflictError, ValidationError } = require('./errors');
+
+// DynamoDB limit on actions in one TransactWriteItems call
+const MAX_TRANSACTION_ITEMS = 100;
+
+/**
+ * Build a Put that only succeeds if the stored item is still at expectedVersion.
+ * The written item carries version expectedVersion + 1.
+ * @param {string} tableName - Table to write to
+ * @param {Object} item - Full item, including pk and sk
+ * @param {number|null} expectedVersion - Version read before the change; null
+ *   when the item must not exist yet. 0 also matches items saved before
+ *   versioning was introduced.
+ */
+const buildVersionedPut = (tableName, item, expectedVersion) => {
+    const isNew = expectedVersion === null || expectedVersion === undefined;
+    const current = isNew ? 0 : Number(expectedVersion);
+
+    return {
+        Put: {
+            TableName: tableName,
+            Item: { ...item, version: current + 1 },
+            ConditionExpression: isNew
+                ? 'attribute_not_exists(pk)'
+                : (current === 0 ? 'attribute_not_exists(#version) OR #version = :expected' : '#version = :expected'),
+            ...(!isNew && {
+                ExpressionAttributeNames: { '#version': 'version' },
+                ExpressionAttributeValues: { ':expected': current }
+            })
+        }
+    };
+};
+
+/**
+ * Pack groups of transaction items into transactions of at most
+ * MAX_TRANSACTION_ITEMS. A group is never split, so everything in it commits
+ * or fails together.
+ * @param {Array<Array<Object>>} groups - TransactItems, grouped
+ * @returns {Array<Array<Object>>} TransactItems for each transaction
+ */
+const packTransactions = (groups) => {
+    const transactions = [];
+    let current = [];
+
+    groups.filter(group => group.length > 0).forEach(group => {
+        if (group.length > MAX_TRANSACTION_ITEMS) {
+            throw new ValidationError(
+                `A group of ${group.length} writes cannot be committed together (limit ${MAX_TRANSACTION_ITEMS})`
+            );
+        }
+        if (current.length + group.length > MAX_TRANSACTION_ITEMS) {
+            transactions.push(current);
+            current = [];
+        }
+        current.push(...group);
+    });
+
+    if (current.length > 0) transactions.push(current);
+    return transactions;
+};
+
+const getItemKey = (transactItem) => {
+    const action = Object.values(transactItem)[0];
+    const key = action.Key || action.Item || {};
+    return `${action.TableName}:${key.pk}:${key.sk}`;
+};
+
+/**
+ * ClientRequestToken for one transaction: the same idempotency key and items
+ * always give the same token, so a retried call is applied at most once.
+ */
+const buildClientRequestToken = (idempotencyKey, transactItems) => crypto
+    .createHash('sha256')
+    .update(`${idempotencyKey}|${transactItems.map(getItemKey).sort().join('|')}`)
+    .digest('hex')
+    .slice(0, 36);
+
+const hasConditionFailure = (error) => error.name === 'TransactionCanceledException' &&
+    (error.CancellationReasons || []).some(reason => reason.Code === 'ConditionalCheckFailed');
+
+/**
+ * Commit grouped writes with TransactWriteItems. Each group commits atomically;
+ * groups are packed into as few transactions as the item limit allows.
+ * @param {Array<Array<Object>>} groups - TransactItems, grouped
+ * @param {string} idempotencyKey - Key the client request tokens are derived from
+ * @returns {Promise<number>} Number of transactions committed
+ * @throws {ConflictError} When a version check fails or the key was reused for different writes
+ */
+const commitTransactions = async (groups, idempotencyKey) => {
+    const transactions = packTransactions(groups);
+
+    for (let index = 0; index < transactions.length; index++) {
+        const transactItems = transactions[index];
+        try {
+            await docClient.send(new TransactWriteCommand({
+                TransactItems: transactItems,
+                ClientRequestToken: buildClientRequestToken(idempotencyKey, transactItems)
+            }));
+        } catch (error) {
+            logger.error(`[TransactWrite] Transaction ${index + 1}/${transactions.length} failed: ${error.message}`, {
+                idempotencyKey,
+                reasons: error.CancellationReasons
+            });
+            if (hasConditionFailure(error)) {
+                throw new ConflictError('Records were changed by another request since they were loaded; reload and try again');
+            }
+            if (error.name === 'IdempotentParameterMismatchException') {
+                throw new ConflictError('This idempotency key was already used for a different set of changes');
+            }
+            throw error;
+        }
+    }
+
+    return transactions.length;
+};
+
+module.exports = {
+    MAX_TRANSACTION_ITEMS,
+    buildVersionedPut,
+    packTransactions,
+    commitTransactions
+};
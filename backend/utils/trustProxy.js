@@ -0,0 +1,18 @@
+/**
+ * The Express `trust proxy` setting from TRUST_PROXY. Without it req.ip is the
+ * address of the nearest proxy, so every client behind a load balancer would
+ * share one login throttle. Accepts a hop count ("1"), "true"/"false", or a
+ * comma-separated list of addresses, subnets or Express names ("loopback").
+ * Unset means no proxy is trusted and X-Forwarded-For is ignored.
+ * @param {string} [value] - The TRUST_PROXY value
+ * @returns {boolean|number|string[]}
+ */
+const parseTrustProxy = (value = process.env.TRUST_PROXY) => {
+    const setting = String(value ?? '').trim();
+    if (!setting || setting === 'false') return false;
+    if (setting === 'true') return true;
+    if (/^\d+$/.test(setting)) return Number(setting);
+    return setting.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+
+module.exports = { parseTrustProxy };
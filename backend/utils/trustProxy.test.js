@@ -0,0 +1,41 @@
+const { parseTrustProxy } = require('./trustProxy');
+
+describe('parseTrustProxy', () => {
+    it('trusts no proxy when unset, empty or "false"', () => {
+        expect(parseTrustProxy(undefined)).toBe(false);
+        expect(parseTrustProxy(null)).toBe(false);
+        expect(parseTrustProxy('')).toBe(false);
+        expect(parseTrustProxy('  ')).toBe(false);
+        expect(parseTrustProxy('false')).toBe(false);
+    });
+
+    it('trusts every proxy for "true"', () => {
+        expect(parseTrustProxy('true')).toBe(true);
+    });
+
+    it('reads a hop count as a number', () => {
+        expect(parseTrustProxy('1')).toBe(1);
+        expect(parseTrustProxy(' 2 ')).toBe(2);
+    });
+
+    it('splits a list of addresses, subnets and names', () => {
+        expect(parseTrustProxy('loopback, 10.0.0.0/8,,192.168.1.5 ')).toEqual(['loopback', '10.0.0.0/8', '192.168.1.5']);
+        expect(parseTrustProxy('uniquelocal')).toEqual(['uniquelocal']);
+    });
+
+    it('reads TRUST_PROXY when no value is given', () => {
+        const original = process.env.TRUST_PROXY;
+        try {
+            process.env.TRUST_PROXY = '3';
+            expect(parseTrustProxy()).toBe(3);
+            delete process.env.TRUST_PROXY;
+            expect(parseTrustProxy()).toBe(false);
+        } finally {
+            if (original === undefined) {
+                delete process.env.TRUST_PROXY;
+            } else {
+                process.env.TRUST_PROXY = original;
+            }
+        }
+    });
+});
@@ -27,6 +27,7 @@ const GraphicalReport = lazy(() => import("./components/GraphicalReport/Graphica
 const ConsumptionAllocation = lazy(() => import("./components/ConsumptionAllocation/ConsumptionAllocation"));
 const CompanyPage = lazy(() => import("./components/Company/CompanyPage"));
 const UserPage = lazy(() => import("./pages/UserPage"));
+const SharedSiteView = lazy(() => import("./pages/SharedSiteView"));
 // Loading component for suspense fallback
 const LoadingFallback = () => (
   <Box display="flex" justifyContent="center" alignItems="center" minHeight="100vh">
@@ -40,6 +41,7 @@ const AppRoutes = () => {
     <Suspense fallback={<LoadingFallback />}>
       <Routes>
         <Route path="/login" element={<Login />} />
+        <Route path="/shared/:token" element={<SharedSiteView />} />
         <Route element={
           <PrivateRoute>
             <Layout />
@@ -25,7 +25,8 @@ import {
 import {
   Assignment as AssignmentIcon,
   Refresh as RefreshIcon,
-  Autorenew as AutorenewIcon
+  Autorenew as AutorenewIcon,
+  Science as ScienceIcon
 } from '@mui/icons-material';
 import { useSnackbar } from 'notistack';
 import { useTheme } from '@mui/material/styles';
@@ -36,31 +37,57 @@ import consumptionSiteapi from '../../services/consumptionSiteApi';
 import bankingApi from '../../services/bankingApi';
 import allocationApi from '../../services/allocationApi';
 import captiveApi from '../../services/captiveApi';
+import periodDefinitionApi from '../../services/periodDefinitionApi';
 import ProductionUnitsTable from './ProductionUnitsTable';
 import BankingUnitsTable from './BankingUnitsTable';
 import ConsumptionUnitsTable from './ConsumptionUnitsTable';
 import AllocationDetailsTable from './AllocationDetailsTable';
 import AllocationSummary from './AllocationSummary';
+import ScenarioDialog from './ScenarioDialog';
+import BankingLedgerDialog from './BankingLedgerDialog';
 import { formatAllocationMonth, ALL_PERIODS } from '../../utils/allocationUtils';
 import { useAuth } from '../../context/AuthContext';
-import { calculateAllocations, filterConsumptionUnits, createIncludeExcludeSettings } from '../../utils/allocationCalculator';
 import { 
   loadAllocationPercentages, 
   convertToCaptiveDataFormat 
 } from '../../utils/allocationLocalStorage';
 
+// Captive entries with the percentages saved locally from the allocation
+// percentage dialog applied over the server's (local takes precedence)
+const mergeLocalCaptiveData = (serverCaptiveData = []) => {
+  const localCaptiveData = convertToCaptiveDataFormat(loadAllocationPercentages());
+  const mergedMap = new Map();
+
+  serverCaptiveData.forEach(entry => {
+    mergedMap.set(`${entry.generatorCompanyId}-${entry.shareholderCompanyId}`, { ...entry });
+  });
+  localCaptiveData.forEach(entry => {
+    const key = `${entry.generatorCompanyId}-${entry.shareholderCompanyId}`;
+    const existing = mergedMap.get(key);
+    mergedMap.set(key, existing
+      ? { ...existing, allocationPercentage: entry.allocationPercentage, allocationStatus: 'active' }
+      : { ...entry });
+  });
+
+  return Array.from(mergedMap.values());
+};
+
 const Allocation = () => {
   const { enqueueSnackbar } = useSnackbar();
   const { hasSiteAccess, user, hasCompanyAccess } = useAuth();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [captiveData, setCaptiveData] = useState([]);
+  const [scenarioDialogOpen, setScenarioDialogOpen] = useState(false);
   // Set default to previous month
   const currentDate = new Date();
   const prevMonthDate = new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1);
   const [selectedYear, setSelectedYear] = useState(prevMonthDate.getFullYear());
   const [selectedMonth, setSelectedMonth] = useState(prevMonthDate.getMonth() + 1);
   const [autoAllocationDialogOpen, setAutoAllocationDialogOpen] = useState(false);
+  const [minimiseLapse, setMinimiseLapse] = useState(false);
+  const [ledgerSite, setLedgerSite] = useState(null);
+  const [periodDefinition, setPeriodDefinition] = useState(null);
   const [selectedConsumptionSites, setSelectedConsumptionSites] = useState({});
   const [productionData, setProductionData] = useState([]);
   const [consumptionData, setConsumptionData] = useState([]);
@@ -73,7 +100,6 @@ const Allocation = () => {
   const [originalLapseAllocations, setOriginalLapseAllocations] = useState([]);
   const [shareholdings, setShareholdings] = useState([]);
   const [, setLoadingShareholdings] = useState(false);
-  const [manualAllocations, setManualAllocations] = useState({});
   const [showAllocations, setShowAllocations] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
   const [confirmDialogOpen, setConfirmDialogOpen] = useState(false);
@@ -237,7 +263,7 @@ const Allocation = () => {
     
     try {
       // Ensure we have the latest captive data
-      const latestCaptiveData = await fetchCaptiveData();
+      const latestCaptiveData = mergeLocalCaptiveData(await fetchCaptiveData());
       
       if (!latestCaptiveData || latestCaptiveData.length === 0) {
         console.warn('No captive data available for allocation');
@@ -247,13 +273,11 @@ const Allocation = () => {
         });
       }
       
-      // Recalculate allocations with current data
-      const result = calculateAllocations({
+      // Recalculate allocations on the server with current data
+      const result = await allocationApi.calculate({
         productionUnits: productionData,
         consumptionUnits: consumptionData,
         bankingUnits: bankingData,
-        manualAllocations,
-        shareholdings: currentShareholdings,
         month: `${String(selectedMonth).padStart(2, '0')}${selectedYear}`,
         productionSites: productionData,
         captiveData: latestCaptiveData,
@@ -305,7 +329,6 @@ const Allocation = () => {
     productionData, 
     consumptionData, 
     bankingData, 
-    manualAllocations, 
     shareholdings, 
     selectedMonth,
     selectedYear,
@@ -315,7 +338,8 @@ const Allocation = () => {
     companyId,
     enqueueSnackbar,
     fetchCaptiveData,
-    consumptionSitePriority
+    consumptionSitePriority,
+    consumptionSiteIncludeExclude
   ]);
 
   // Save handler: send each type to its respective API and log payloads
@@ -356,159 +380,71 @@ const Allocation = () => {
         generatorCompanyId: site.generatorCompanyId
       })));
 
-      // 1. Save allocations
-      if (allocations.length) {
-        const allocPayloads = allocations.map(a => {
-          const payload = prepareAllocationPayload(a, 'ALLOCATION', selectedMonth, selectedYear);
-          // Ensure IR fields are included
-          if (a.irType) payload.irType = a.irType;
-          if (a.injection) payload.injection = { ...a.injection };
-          if (a.reduction) payload.reduction = { ...a.reduction };
-          return payload;
-        });
-        console.log('[AllocationApi] Payload to allocation table:', JSON.stringify(allocPayloads, null, 2));
-        
-        // Verify all production sites exist before making API calls
-        for (const payload of allocPayloads) {
-          try {
-            // Log the payload being sent
-            console.log(`Creating allocation for production site: ${payload.productionSiteId}`, {
-              payload,
-              productionSiteId: payload.productionSiteId,
-              hasProductionSite: productionData.some(site => 
-                site.productionSiteId === payload.productionSiteId || site.id === payload.productionSiteId
-              )
-            });
-            
-            await allocationApi.createAllocation(payload);
-          } catch (error) {
-            const msg = error.message || '';
-            console.error('Error creating allocation:', {
-              error,
-              payload,
-              userCompanyId: companyId,
-              productionSites: productionData.map(s => ({
-                id: s.id,
-                productionSiteId: s.productionSiteId,
-                name: s.siteName,
-                companyId: s.companyId
-              }))
+      const allocPayloads = allocations.map(a => {
+        const payload = prepareAllocationPayload(a, 'ALLOCATION', selectedMonth, selectedYear);
+        // Ensure IR fields are included
+        if (a.irType) payload.irType = a.irType;
+        if (a.injection) payload.injection = { ...a.injection };
+        if (a.reduction) payload.reduction = { ...a.reduction };
+        return payload;
+      });
+
+      // Group banking allocations by production site and month
+      const bankingMap = new Map();
+      bankingAllocations.forEach(b => {
+        const payload = prepareAllocationPayload(b, 'BANKING', selectedMonth, selectedYear);
+        const key = `${payload.productionSiteId}_${payload.month}`;
+        if (!bankingMap.has(key)) {
+          bankingMap.set(key, { ...payload });
+        } else {
+          // Merge c1-c5 values for the same site/month
+          const existing = bankingMap.get(key);
+          ['c1', 'c2', 'c3', 'c4', 'c5'].forEach(field => {
+            existing[field] = (existing[field] || 0) + (payload[field] || 0);
+          });
+          // Units banked and drawn are merged too, for the banking ledger
+          if (payload.movements) {
+            const movements = { banked: { ...existing.movements?.banked }, drawn: { ...existing.movements?.drawn } };
+            ['banked', 'drawn'].forEach(movement => {
+              ['c1', 'c2', 'c3', 'c4', 'c5'].forEach(field => {
+                movements[movement][field] = (Number(movements[movement][field]) || 0) + (Number(payload.movements[movement]?.[field]) || 0);
+              });
             });
-            
-            if (msg.includes('User company information not found')) {
-              throw new Error(`User company information not found. Your company ID: ${companyId}. Please contact your administrator if this issue persists.`);
-            } else if (msg.includes('already exists')) {
-              // Duplicate: ask to update existing record
-              if (window.confirm(`${msg}. Do you want to update it instead?`)) {
-                await allocationApi.update(payload.pk, payload.sk, payload, 'ALLOCATION');
-              } else {
-                throw error;
-              }
-            } else {
-              // For production site not found errors, provide more context
-              if (msg.includes('Production site not found')) {
-                throw new Error(`${msg}. Available production sites: ${
-                  productionData.map(s => `${s.siteName} (ID: ${s.productionSiteId || s.id})`).join(', ')
-                }`);
-              }
-              throw error;
-            }
+            existing.movements = movements;
           }
-        }
-      }
-      // 2. Save banking allocations
-      if (bankingAllocations.length) {
-        console.log('[HandleSaveAllocation] Saving banking allocations:', bankingAllocations);
-        // Group banking allocations by production site and month
-        const bankingMap = new Map();
-        
-        bankingAllocations.forEach(b => {
-          const payload = prepareAllocationPayload(b, 'BANKING', selectedMonth, selectedYear);
-          // Use a composite key of productionSiteId and month to group
-          const key = `${payload.productionSiteId}_${payload.month}`;
-          
-          if (!bankingMap.has(key)) {
-            // Initialize with the first payload for this site/month
-            bankingMap.set(key, { ...payload });
-          } else {
-            // Merge c1-c5 values for the same site/month
-            const existing = bankingMap.get(key);
+          if (payload.bankingCharge) {
+            const bankingCharge = { ...existing.bankingCharge };
             ['c1', 'c2', 'c3', 'c4', 'c5'].forEach(field => {
-              existing[field] = (existing[field] || 0) + (payload[field] || 0);
-            });
-          }
-        });
-        
-        // Convert map values back to array
-        const consolidatedBanking = Array.from(bankingMap.values());
-        console.log('[HandleSaveAllocation] Consolidated banking allocations:', consolidatedBanking);
-        
-        // Process each unique banking allocation
-        for (const payload of consolidatedBanking) {
-          try {
-            console.log(`[HandleSaveAllocation] Creating banking allocation for site ${payload.productionSiteId}`);
-            await allocationApi.createBanking({
-              ...payload,
-              generatorCompanyId: companyId,
-              month: payload.month
+              bankingCharge[field] = (Number(bankingCharge[field]) || 0) + (Number(payload.bankingCharge[field]) || 0);
             });
-            console.log(`[HandleSaveAllocation] Successfully saved banking for site ${payload.productionSiteId}`);
-          } catch (error) {
-            console.error(`[BankingApi] Error processing banking for site ${payload.productionSiteId}:`, error);
-            throw error;
+            existing.bankingCharge = bankingCharge;
           }
         }
-      }
-      // 3. Save lapse allocations - handle potential duplicates with existence check
-      if (lapseAllocations.length) {
-        console.log('[HandleSaveAllocation] Saving lapse allocations:', lapseAllocations);
-        const lapsePayloads = lapseAllocations.map(l => prepareAllocationPayload(l, 'LAPSE', selectedMonth, selectedYear));
-        console.log('[LapseApi] Payload to lapse table:', lapsePayloads);
-        
-        for (const payload of lapsePayloads) {
-          try {
-            console.log(`[HandleSaveAllocation] Creating lapse allocation for site ${payload.productionSiteId}`, payload);
-            // Prepare the payload with generatorCompanyId
-            const lapsePayload = {
-              ...payload,
-              generatorCompanyId: companyId,
-              month: payload.month,
-              productionSiteId: payload.productionSiteId
-            };
+      });
 
-            // First, check if a LAPSE record already exists for this site/month
-            try {
-              await allocationApi.createLapse(lapsePayload);
-              console.log(`[HandleSaveAllocation] Successfully saved lapse for site ${payload.productionSiteId}`);
-            } catch (createError) {
-              if (createError.response?.status === 400 && 
-                  (createError.message?.includes('already exists') || 
-                   createError.response?.data?.message?.includes('already exists'))) {
-                // If record exists, update it
-                console.log(`[HandleSaveAllocation] Lapse record exists, updating for site ${payload.productionSiteId}`);
-                await allocationApi.update(lapsePayload.productionSiteId, lapsePayload.month, lapsePayload, 'LAPSE');
-                console.log(`[HandleSaveAllocation] Successfully updated lapse for site ${payload.productionSiteId}`);
-              } else {
-                throw createError;
-              }
-            }
-          } catch (error) {
-            const errorMessage = error.message || '';
-            const responseMessage = error.response?.data?.message || '';
-            const statusCode = error.response?.status;
-            
-            console.error(`[LapseApi] Error processing LAPSE record for site ${payload.productionSiteId}:`, {
-              error: errorMessage,
-              response: responseMessage,
-              statusCode,
-              payload
-            });
-            
-            throw new Error(`Failed to save LAPSE record: ${errorMessage || responseMessage || 'Unknown error'}`);
-          }
+      const lapsePayloads = lapseAllocations.map(l => prepareAllocationPayload(l, 'LAPSE', selectedMonth, selectedYear));
+
+      // Allocations, banking and lapse are committed together: either all of a
+      // production site's records are saved or none are
+      try {
+        await allocationApi.commit({
+          allocations: allocPayloads,
+          banking: Array.from(bankingMap.values()),
+          lapse: lapsePayloads
+        });
+      } catch (error) {
+        const msg = error.message || '';
+        if (msg.includes('User company information not found')) {
+          throw new Error(`User company information not found. Your company ID: ${companyId}. Please contact your administrator if this issue persists.`);
+        }
+        if (msg.includes('Production site not found')) {
+          throw new Error(`${msg}. Available production sites: ${
+            productionData.map(s => `${s.siteName} (ID: ${s.productionSiteId || s.id})`).join(', ')
+          }`);
         }
+        throw error;
       }
-      
+
       console.log('[HandleSaveAllocation] All allocations saved successfully');
       enqueueSnackbar(`Allocations saved successfully! (Regular: ${allocations.length}, Banking: ${bankingAllocations.length}, Lapse: ${lapseAllocations.length})`, { 
         variant: 'success',
@@ -643,96 +579,29 @@ const Allocation = () => {
     end: currentYear + 1   // Up to next year (2026)
   };
 
-  // Fetch captive data for the current company
-
-  // Get combined captive data from server and local storage
-  const getCombinedCaptiveData = useCallback(async () => {
+  const handleManualAllocationChange = async (prodId, consId, period, value) => {
+    // Recalculate allocations on the server
+    let result;
     try {
-      // Load local allocation percentages
-      const localAllocations = loadAllocationPercentages();
-      const localCaptiveData = convertToCaptiveDataFormat(localAllocations);
-      
-      console.log('Local allocation data loaded:', {
-        localEntriesCount: localCaptiveData.length,
-        localEntries: localCaptiveData.map(entry => ({
-          generatorCompanyId: entry.generatorCompanyId,
-          shareholderCompanyId: entry.shareholderCompanyId,
-          allocationPercentage: entry.allocationPercentage
-        }))
-      });
-      
-      // Fetch server captive data as fallback
-      const serverCaptiveData = await fetchCaptiveData();
-      
-      // Merge local data with server data (local takes precedence)
-      const mergedMap = new Map();
-      
-      // Add server data first
-      serverCaptiveData.forEach(entry => {
-        const key = `${entry.generatorCompanyId}-${entry.shareholderCompanyId}`;
-        mergedMap.set(key, { ...entry });
-      });
-      
-      // Override with local data
-      localCaptiveData.forEach(entry => {
-        const key = `${entry.generatorCompanyId}-${entry.shareholderCompanyId}`;
-        const existing = mergedMap.get(key);
-        
-        if (existing) {
-          // Update existing entry with local percentage
-          mergedMap.set(key, {
-            ...existing,
-            allocationPercentage: entry.allocationPercentage,
-            allocationStatus: 'active'
-          });
-        } else {
-          // Add new local entry
-          mergedMap.set(key, { ...entry });
-        }
-      });
-      
-      const combinedData = Array.from(mergedMap.values());
-      
-      console.log('Combined captive data created:', {
-        serverCount: serverCaptiveData.length,
-        localCount: localCaptiveData.length,
-        combinedCount: combinedData.length
+      result = await allocationApi.calculate({
+        productionUnits: productionData,
+        consumptionUnits: consumptionData,
+        bankingUnits: bankingData,
+        month: `${String(selectedMonth).padStart(2, '0')}${selectedYear}`,
+        productionSites: productionData,
+        captiveData: mergeLocalCaptiveData(captiveData),
+        consumptionSitePriorityMap: consumptionSitePriority,
+        consumptionSiteIncludeExclude: consumptionSiteIncludeExclude
       });
-      
-      return combinedData;
     } catch (error) {
-      console.error('Error creating combined captive data:', error);
-      // Fallback to server data only
-      return await fetchCaptiveData();
+      console.error('Error recalculating allocations:', error);
+      enqueueSnackbar(`Failed to update allocations: ${error.message}`, { variant: 'error' });
+      return;
     }
-  }, [fetchCaptiveData]);
-
-  const handleManualAllocationChange = (prodId, consId, period, value) => {
-    const key = `${prodId}_${consId}_${period}`;
-    const newValue = Math.max(0, Number(value) || 0);
-
-    // Only update the manualAllocations for the specific key
-    setManualAllocations(prev => ({ ...prev, [key]: newValue }));
-
-    // Recalculate allocations with updated manualAllocations
-    const updatedManualAllocations = { ...manualAllocations, [key]: newValue };
-    const result = calculateAllocations({
-      productionUnits: productionData,
-      consumptionUnits: consumptionData,
-      bankingUnits: bankingData,
-      manualAllocations: updatedManualAllocations,
-      shareholdings,
-      month: `${String(selectedMonth).padStart(2, '0')}${selectedYear}`,
-      productionSites: productionData,
-      captiveData,
-      consumptionSitePriorityMap: consumptionSitePriority,
-      consumptionSiteIncludeExclude: consumptionSiteIncludeExclude
-    });
 
-    // Filter allocations by type
-    const bankingAllocs = result.allocations.filter(a => a.type === 'BANKING');
-    const lapseAllocs = result.allocations.filter(a => a.type === 'LAPSE');
-    const regularAllocs = result.allocations.filter(a => !['BANKING', 'LAPSE'].includes(a.type));
+    const regularAllocs = result.allocations;
+    const bankingAllocs = result.bankingAllocations || [];
+    const lapseAllocs = result.lapseAllocations || [];
 
     // Save original banking/lapse allocations if not already set
     if (originalBankingAllocations.length === 0 && bankingAllocs.length > 0) {
@@ -1125,16 +994,6 @@ const Allocation = () => {
     setAutoAllocationDialogOpen(true);
   };
 
-  const handleSiteSelectionChange = (siteId, checked) => {
-    setSelectedConsumptionSites(prev => ({
-      ...prev,
-      [siteId]: {
-        ...prev[siteId],
-        selected: checked
-      }
-    }));
-  };
-
   const handlePriorityChange = (siteId, newPriority) => {
     setSelectedConsumptionSites(prev => {
       const updatedSites = { ...prev };
@@ -1246,30 +1105,38 @@ const Allocation = () => {
       setConsumptionSitePriority(priorityMap);
       
       // Run the allocation calculation with filtered consumption data and priority map
-      const result = calculateAllocations({
+      const result = await allocationApi.calculate({
         productionUnits: productionData,
         consumptionUnits: filteredConsumptionData,
         bankingUnits: bankingData,
-        manualAllocations,
-        shareholdings,
         month: `${String(selectedMonth).padStart(2, '0')}${selectedYear}`,
         productionSites: productionData,
-        captiveData,
+        captiveData: mergeLocalCaptiveData(captiveData),
         consumptionSitePriorityMap: priorityMap,
-        consumptionSiteIncludeExclude
+        consumptionSiteIncludeExclude,
+        mode: minimiseLapse ? 'optimal' : 'greedy'
       });
 
       // Update allocations with the result
-      const regularAllocs = result.allocations.filter(a => !['BANKING', 'LAPSE'].includes(a.type));
-      const bankingAllocs = result.allocations.filter(a => a.type === 'BANKING');
-      const lapseAllocs = result.allocations.filter(a => a.type === 'LAPSE');
+      const regularAllocs = result.allocations;
+      const bankingAllocs = result.bankingAllocations || [];
+      const lapseAllocs = result.lapseAllocations || [];
 
       setAllocations(regularAllocs);
       setBankingAllocations(bankingAllocs);
       setLapseAllocations(lapseAllocs);
       // Show the allocations table
       setShowAllocations(true);
-      enqueueSnackbar('Auto-allocation completed successfully', { variant: 'success' });
+      if (result.optimization) {
+        const { lapseSaved, bankingSaved } = result.optimization;
+        enqueueSnackbar(
+          `Auto-allocation completed: ${lapseSaved.toLocaleString('en-IN')} fewer units lapsed` +
+          ` and ${bankingSaved.toLocaleString('en-IN')} fewer banked than the standard order`,
+          { variant: 'success' }
+        );
+      } else {
+        enqueueSnackbar('Auto-allocation completed successfully', { variant: 'success' });
+      }
     } catch (error) {
       console.error('Auto-allocation failed:', error);
       enqueueSnackbar('Failed to perform auto-allocation', { variant: 'error' });
@@ -1336,6 +1203,8 @@ const Allocation = () => {
           map[pk] = {
             name: site.name || 'Unnamed Site',
             banking: Number(site.banking) || 0,
+            bankingChargePercentage: Number(site.bankingChargePercentage) || 0,
+            bankingChargeByPeriod: site.bankingChargeByPeriod || {},
             status: site.status || 'Active',
             productionSiteId: site.productionSiteId,
             type: site.type || 'UNKNOWN',
@@ -1456,6 +1325,8 @@ const Allocation = () => {
               ...unit,
               siteName: siteInfo.name || 'Unknown Site',
               banking: Number(siteInfo.banking) || 0,
+              bankingChargePercentage: siteInfo.bankingChargePercentage || 0,
+              bankingChargeByPeriod: siteInfo.bankingChargeByPeriod || {},
               status: ['Active', 'Inactive'].includes(siteInfo.status) ? siteInfo.status : 'Inactive',
               productionSiteId,
               companyId,
@@ -1556,6 +1427,8 @@ const Allocation = () => {
                                 banking.banking === 1
                     ) ? 'Available' : 'Not Available',
                     banking: Number(site.banking) || 0,
+                    bankingChargePercentage: Number(site.bankingChargePercentage) || 0,
+                    bankingChargeByPeriod: site.bankingChargeByPeriod || {},
                     productionSiteId: site.productionSiteId,
                     type: site.type || 'UNKNOWN',
                     dateOfCommission: site.dateOfCommission || null,
@@ -1763,7 +1636,7 @@ const Allocation = () => {
     } finally {
       setLoading(false);
     }
-  }, [enqueueSnackbar, selectedMonth, selectedYear, companyId, hasSiteAccess, hasCompanyAccess]);
+  }, [enqueueSnackbar, selectedMonth, selectedYear, companyId, hasSiteAccess]);
 
   // Fetch shareholdings on component mount or when companyId changes
   useEffect(() => {
@@ -1877,6 +1750,14 @@ const Allocation = () => {
     }
   }, [productionData, consumptionData, shareholdings, updateAllocationData, enqueueSnackbar, selectedMonth, selectedYear]);
 
+  // Period names, peak split and allocation matrix in force for the selected month
+  useEffect(() => {
+    const month = `${String(selectedMonth).padStart(2, '0')}${selectedYear}`;
+    periodDefinitionApi.resolve(month)
+      .then(response => setPeriodDefinition(response?.data || null))
+      .catch(() => setPeriodDefinition(null));
+  }, [selectedMonth, selectedYear]);
+
   // Fetch data when selectedYear, selectedMonth, or companyId changes
   useEffect(() => {
     if (companyId) {
@@ -1993,6 +1874,7 @@ const Allocation = () => {
       <ProductionUnitsTable 
         data={productionData}
         onManualAllocationChange={handleManualAllocationChange}
+        periodDefinition={periodDefinition}
       />
       
       <Box sx={{ mt: 4 }}>
@@ -2000,6 +1882,8 @@ const Allocation = () => {
           bankingData={aggregatedBankingData}
           selectedYear={selectedYear}
           selectedMonth={selectedMonth}
+          onViewLedger={setLedgerSite}
+          periodDefinition={periodDefinition}
         />
       </Box>
 
@@ -2011,9 +1895,18 @@ const Allocation = () => {
         isLoading={loading}
         onAllocationSaved={updateAllocationData}
         onAllocationPercentageChanged={handleAllocationPercentageChange}
+        periodDefinition={periodDefinition}
       />
 
-      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 4, mt: 2 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 2, mb: 4, mt: 2 }}>
+        <Button
+          variant="outlined"
+          startIcon={<ScienceIcon />}
+          onClick={() => setScenarioDialogOpen(true)}
+          disabled={loading || !productionData.length || !consumptionData.length}
+        >
+          What-if Scenarios
+        </Button>
         <Button
           variant="contained"
           color="primary"
@@ -2037,6 +1930,7 @@ const Allocation = () => {
             productionSites={productionData}
             consumptionSites={consumptionData}
             consumptionSitePriorityMap={consumptionSitePriority}
+            periodDefinition={periodDefinition}
           />
           <Box sx={{ mt: 3 }}>
             <AllocationSummary
@@ -2049,6 +1943,33 @@ const Allocation = () => {
           </Box>
         </>
       )}
+      <BankingLedgerDialog
+        open={Boolean(ledgerSite)}
+        onClose={() => setLedgerSite(null)}
+        companyId={companyId}
+        site={ledgerSite}
+        selectedMonth={selectedMonth}
+        selectedYear={selectedYear}
+      />
+      {scenarioDialogOpen && (
+        <ScenarioDialog
+          open={scenarioDialogOpen}
+          onClose={() => setScenarioDialogOpen(false)}
+          companyId={companyId}
+          inputs={{
+            month: `${String(selectedMonth).padStart(2, '0')}${selectedYear}`,
+            productionUnits: productionData,
+            consumptionUnits: consumptionData,
+            bankingUnits: bankingData,
+            productionSites: productionData,
+            captiveData: mergeLocalCaptiveData(captiveData),
+            consumptionSitePriorityMap: consumptionSitePriority,
+            consumptionSiteIncludeExclude
+          }}
+          consumptionSites={consumptionData}
+          productionSites={productionData}
+        />
+      )}
       {confirmDialogOpen && (
         <ConfirmationDialog
           open={confirmDialogOpen}
@@ -2115,6 +2036,22 @@ const Allocation = () => {
                   Excluded: {consumptionSiteIncludeExclude.excluded.size}
                 </Typography>
               </Grid>
+              <Grid item xs={12}>
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={minimiseLapse}
+                      onChange={(e) => setMinimiseLapse(e.target.checked)}
+                      color="primary"
+                    />
+                  }
+                  label="Minimise lapse"
+                />
+                <Typography variant="caption" display="block" color="text.secondary">
+                  Finds the allocation with the fewest lapsed units within the same captive and peak rules.
+                  Site priorities are not applied in this mode.
+                </Typography>
+              </Grid>
             </Grid>
           </Paper>
 
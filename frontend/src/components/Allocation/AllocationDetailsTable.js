@@ -36,7 +36,8 @@ const AllocationDetailsTable = ({
     error = null,
     productionSites = [],
     consumptionSites = [],
-    consumptionSitePriorityMap = {}
+    consumptionSitePriorityMap = {},
+    periodDefinition
 }) => {
     const [editDialog, setEditDialog] = useState(false);
     const [editingAllocation, setEditingAllocation] = useState(null);
@@ -331,7 +332,7 @@ const AllocationDetailsTable = ({
                                     {type === 'allocation' && (
                                         <TableCell sx={{ color: 'white', fontWeight: 'bold' }}>Consumption Site</TableCell>
                                     )}
-                                    {getAllocationPeriods().map(period => (
+                                    {getAllocationPeriods(periodDefinition).map(period => (
                                         <TableCell key={period.id} align="right" sx={{ color: 'white', fontWeight: 'bold' }}>
                                             {period.label}
                                         </TableCell>
@@ -392,7 +393,7 @@ const AllocationDetailsTable = ({
                                                     </Typography>
                                                 </TableCell>
                                             )}
-                                            {getAllocationPeriods().map(period => {
+                                            {getAllocationPeriods(periodDefinition).map(period => {
                                                 // Get value from either allocated object or root level
                                                 const val = allocation.allocated?.[period.id] ?? allocation[period.id] ?? 0;
                                                 const cellKey = `${rowKey}-${period.id}`;
@@ -565,7 +566,7 @@ const AllocationDetailsTable = ({
                             </Alert>
                         )}
                         <Grid container spacing={2}>
-                            {getAllocationPeriods().map(period => (
+                            {getAllocationPeriods(periodDefinition).map(period => (
                                 <Grid item xs={12} sm={6} key={period.id}>
                                     <TextField
                                         fullWidth
@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Box,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TextField
+} from '@mui/material';
+import { useSnackbar } from 'notistack';
+import bankingLedgerApi from '../../services/bankingLedgerApi';
+import { ALL_PERIODS, formatSortKey } from '../../utils/allocationUtils';
+
+const MOVEMENT_LABELS = {
+  opening: 'Opening Balance',
+  banked: 'Banked',
+  drawn: 'Drawn',
+  expired: 'Expired',
+  adjustment: 'Adjustment'
+};
+
+const emptyAdjustment = () => ({
+  reason: '',
+  ...ALL_PERIODS.reduce((acc, period) => ({ ...acc, [period]: '' }), {})
+});
+
+const formatUnits = (value) => Number(value || 0).toLocaleString('en-IN');
+
+const formatChange = (value) => (value > 0 ? `+${formatUnits(value)}` : formatUnits(value));
+
+const sumPeriods = (units = {}) => ALL_PERIODS.reduce((sum, period) => sum + (Number(units[period]) || 0), 0);
+
+// MMYYYY → "MM/YYYY"
+const formatMonth = (month = '') => `${month.slice(0, 2)}/${month.slice(2)}`;
+
+/**
+ * Banking ledger of one production site for the financial year up to the
+ * selected month: the opening balance, every banked, drawn, expired and
+ * adjusted movement with the running balance, and a form for manual
+ * corrections.
+ */
+const BankingLedgerDialog = ({ open, onClose, companyId, site, selectedMonth, selectedYear }) => {
+  const { enqueueSnackbar } = useSnackbar();
+  const [ledger, setLedger] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [adjustment, setAdjustment] = useState(emptyAdjustment);
+
+  const month = formatSortKey(selectedMonth, selectedYear);
+  // Financial year runs April to March
+  const fromMonth = formatSortKey(4, selectedMonth >= 4 ? selectedYear : selectedYear - 1);
+
+  const loadLedger = useCallback(async () => {
+    if (!site?.productionSiteId) return;
+    setLoading(true);
+    try {
+      setLedger(await bankingLedgerApi.getLedger(site.productionSiteId, { companyId, fromMonth, toMonth: month }));
+    } catch (error) {
+      enqueueSnackbar('Failed to load banking ledger', { variant: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, [site?.productionSiteId, companyId, fromMonth, month, enqueueSnackbar]);
+
+  useEffect(() => {
+    if (open) {
+      setAdjustment(emptyAdjustment());
+      loadLedger();
+    }
+  }, [open, loadLedger]);
+
+  const handleAdjust = async () => {
+    setSaving(true);
+    try {
+      await bankingLedgerApi.createAdjustment({
+        companyId,
+        productionSiteId: site.productionSiteId,
+        month,
+        reason: adjustment.reason,
+        units: ALL_PERIODS.reduce((acc, period) => ({ ...acc, [period]: Number(adjustment[period]) || 0 }), {})
+      });
+      enqueueSnackbar('Banking adjustment recorded', { variant: 'success' });
+      setAdjustment(emptyAdjustment());
+      loadLedger();
+    } catch (error) {
+      enqueueSnackbar(error.response?.data?.message || 'Failed to record adjustment', { variant: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const canAdjust = adjustment.reason.trim() && ALL_PERIODS.some(period => Number(adjustment[period]));
+
+  const renderBalanceRow = (label, balance) => (
+    <TableRow sx={{ backgroundColor: 'rgba(25, 118, 210, 0.08)' }}>
+      <TableCell colSpan={2}><strong>{label}</strong></TableCell>
+      {ALL_PERIODS.map(period => (
+        <TableCell key={period} align="right"><strong>{formatUnits(balance?.[period])}</strong></TableCell>
+      ))}
+      <TableCell align="right"><strong>{formatUnits(sumPeriods(balance))}</strong></TableCell>
+      <TableCell />
+    </TableRow>
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>
+        Banking Ledger{site?.siteName ? ` – ${site.siteName}` : ''}
+        <Typography variant="body2" color="textSecondary">
+          {formatMonth(fromMonth)} to {formatMonth(month)}
+        </Typography>
+      </DialogTitle>
+      <DialogContent dividers>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Month</TableCell>
+                  <TableCell>Movement</TableCell>
+                  {ALL_PERIODS.map(period => (
+                    <TableCell key={period} align="right">{period.toUpperCase()}</TableCell>
+                  ))}
+                  <TableCell align="right">Balance</TableCell>
+                  <TableCell>Reason</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {renderBalanceRow('Opening balance', ledger?.openingBalance)}
+                {(ledger?.entries || []).map(entry => (
+                  <TableRow key={entry.sk}>
+                    <TableCell>{formatMonth(entry.month)}</TableCell>
+                    <TableCell>{MOVEMENT_LABELS[entry.movementType] || entry.movementType}</TableCell>
+                    {ALL_PERIODS.map(period => (
+                      <TableCell
+                        key={period}
+                        align="right"
+                        sx={{ color: entry.change?.[period] < 0 ? 'error.main' : 'inherit' }}
+                      >
+                        {formatChange(entry.change?.[period])}
+                      </TableCell>
+                    ))}
+                    <TableCell align="right">{formatUnits(sumPeriods(entry.balance))}</TableCell>
+                    <TableCell>
+                      {entry.reason || ''}
+                      {entry.createdBy && (
+                        <Typography variant="caption" color="textSecondary" display="block">
+                          by {entry.createdBy}
+                        </Typography>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+                {ledger && ledger.entries.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={9} align="center" sx={{ py: 2 }}>
+                      <Typography color="textSecondary">No movements in this period</Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+                {renderBalanceRow('Closing balance', ledger?.closingBalance)}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+
+        <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+          Adjust balance for {formatMonth(month)}
+        </Typography>
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 1 }}>
+          Positive units add to the balance, negative units remove from it.
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+          {ALL_PERIODS.map(period => (
+            <TextField
+              key={period}
+              label={period.toUpperCase()}
+              type="number"
+              size="small"
+              value={adjustment[period]}
+              onChange={(e) => setAdjustment(prev => ({ ...prev, [period]: e.target.value }))}
+              sx={{ width: 110 }}
+            />
+          ))}
+          <TextField
+            label="Reason"
+            size="small"
+            required
+            value={adjustment.reason}
+            onChange={(e) => setAdjustment(prev => ({ ...prev, reason: e.target.value }))}
+            inputProps={{ maxLength: 500 }}
+            sx={{ flex: 1, minWidth: 240 }}
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        <Button
+          variant="contained"
+          onClick={handleAdjust}
+          disabled={!canAdjust || saving}
+          startIcon={saving ? <CircularProgress size={16} /> : null}
+        >
+          Record Adjustment
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default BankingLedgerDialog;
@@ -9,13 +9,16 @@ import {
   TableRow,
   Typography,
   Box,
-  Tooltip
+  Tooltip,
+  IconButton
 } from '@mui/material';
 import { styled } from '@mui/material/styles';
 import {
   AccountBalance as BankingIcon,
-  Info as InfoIcon
+  Info as InfoIcon,
+  ReceiptLong as LedgerIcon
 } from '@mui/icons-material';
+import { ALL_PERIODS, getAllocationPeriods } from '../../utils/allocationUtils';
 
 // Styled components for consistent styling
 const StyledTableHeader = styled(TableCell)(({ theme }) => ({
@@ -69,14 +72,11 @@ const TotalCell = styled(TableCell)(({ theme }) => ({
   }
 }));
 
-const BankingUnitsTable = ({ bankingData = [], selectedYear }) => {
-  const PEAK_PERIODS = ['c2', 'c3'];
-  const NON_PEAK_PERIODS = ['c1', 'c4', 'c5'];
-  const ALL_PERIODS = ['c1', 'c2', 'c3', 'c4', 'c5'];  // Ordered from c1 to c5
+const BankingUnitsTable = ({ bankingData = [], selectedYear, onViewLedger, periodDefinition }) => {
+  const periods = getAllocationPeriods(periodDefinition);
 
   const calculateNetBanking = (row) => {
-    const periods = ['c1', 'c2', 'c3', 'c4', 'c5'];
-    return periods.reduce((acc, period) => {
+    return ALL_PERIODS.reduce((acc, period) => {
       const oldValue = Number(row?.previousBalance?.[period] || 0);
       const newValue = Number(row?.allocated?.[period] || row?.[period] || 0);
       return {
@@ -119,46 +119,16 @@ const BankingUnitsTable = ({ bankingData = [], selectedYear }) => {
         <TableHead>
           <TableRow>
             <StyledTableHeader>Site Name</StyledTableHeader>
-            <StyledTableHeader align="right">
-              <Tooltip title="Non-Peak Period">
-                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end' }}>
-                  C1
-                  <InfoIcon sx={{ ml: 0.5, fontSize: '1rem', color: 'success.light' }} />
-                </Box>
-              </Tooltip>
-            </StyledTableHeader>
-            <StyledTableHeader align="right">
-              <Tooltip title="Peak Period">
-                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end' }}>
-                  C2
-                  <InfoIcon sx={{ ml: 0.5, fontSize: '1rem', color: 'warning.light' }} />
-                </Box>
-              </Tooltip>
-            </StyledTableHeader>
-            <StyledTableHeader align="right">
-              <Tooltip title="Peak Period">
-                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end' }}>
-                  C3
-                  <InfoIcon sx={{ ml: 0.5, fontSize: '1rem', color: 'warning.light' }} />
-                </Box>
-              </Tooltip>
-            </StyledTableHeader>
-            <StyledTableHeader align="right">
-              <Tooltip title="Non-Peak Period">
-                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end' }}>
-                  C4
-                  <InfoIcon sx={{ ml: 0.5, fontSize: '1rem', color: 'success.light' }} />
-                </Box>
-              </Tooltip>
-            </StyledTableHeader>
-            <StyledTableHeader align="right">
-              <Tooltip title="Non-Peak Period">
-                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end' }}>
-                  C5
-                  <InfoIcon sx={{ ml: 0.5, fontSize: '1rem', color: 'success.light' }} />
-                </Box>
-              </Tooltip>
-            </StyledTableHeader>
+            {periods.map(period => (
+              <StyledTableHeader key={period.id} align="right">
+                <Tooltip title={period.isPeak ? 'Peak Period' : 'Non-Peak Period'}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end' }}>
+                    {period.label}
+                    <InfoIcon sx={{ ml: 0.5, fontSize: '1rem', color: period.isPeak ? 'warning.light' : 'success.light' }} />
+                  </Box>
+                </Tooltip>
+              </StyledTableHeader>
+            ))}
             <StyledTableHeader align="right">Previous Balance</StyledTableHeader>
             <StyledTableHeader align="right">Current Balance</StyledTableHeader>
             <StyledTableHeader align="right">Net Balance</StyledTableHeader>
@@ -178,23 +148,20 @@ const BankingUnitsTable = ({ bankingData = [], selectedYear }) => {
                 <TableCell>
                   <Box sx={{ display: 'flex', alignItems: 'center' }}>
                     {row.siteName}
+                    {onViewLedger && (
+                      <Tooltip title="View banking ledger">
+                        <IconButton size="small" sx={{ ml: 1 }} onClick={() => onViewLedger(row)}>
+                          <LedgerIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    )}
                   </Box>
                 </TableCell>
-                <StyledTableCell align="right" isPeak={false}>
-                  {formatValue(netValues.c1)}
-                </StyledTableCell>
-                <StyledTableCell align="right" isPeak={true}>
-                  {formatValue(netValues.c2)}
-                </StyledTableCell>
-                <StyledTableCell align="right" isPeak={true}>
-                  {formatValue(netValues.c3)}
-                </StyledTableCell>
-                <StyledTableCell align="right" isPeak={false}>
-                  {formatValue(netValues.c4)}
-                </StyledTableCell>
-                <StyledTableCell align="right" isPeak={false}>
-                  {formatValue(netValues.c5)}
-                </StyledTableCell>
+                {periods.map(period => (
+                  <StyledTableCell key={period.id} align="right" isPeak={period.isPeak}>
+                    {formatValue(netValues[period.id])}
+                  </StyledTableCell>
+                ))}
                 <TotalCell align="right" className="non-peak">
                   {calculatePeriodTotal(row.previousBalance, ALL_PERIODS)}
                 </TotalCell>
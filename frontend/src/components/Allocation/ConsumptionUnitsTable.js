@@ -20,10 +20,7 @@ import { Edit as EditIcon, Info as InfoIcon, TrendingDown } from "@mui/icons-mat
 import { styled } from "@mui/material/styles";
 import { format } from "date-fns";
 import AllocationPercentageDialog from "./AllocationPercentageDialog";
-
-// Constants
-const PEAK_PERIODS = ['c2', 'c3'];
-const NON_PEAK_PERIODS = ['c1', 'c4', 'c5'];
+import { ALL_PERIODS, getAllocationPeriods, getPeakPeriods, getNonPeakPeriods } from "../../utils/allocationUtils";
 
 // Styled components for consistent styling
 const StyledTableHeader = styled(TableCell)(({ theme }) => ({
@@ -103,7 +100,8 @@ const ConsumptionUnitsTable = ({
   isLoading, 
   error,
   onAllocationSaved,
-  onAllocationPercentageChanged 
+  onAllocationPercentageChanged,
+  periodDefinition
 }) => {
   const { user } = useAuth();
   const [allocationDialogOpen, setAllocationDialogOpen] = useState(false);
@@ -128,18 +126,20 @@ const ConsumptionUnitsTable = ({
     console.log('Dialog open state:', allocationDialogOpen);
   }, [allocationDialogOpen]);
 
-  const calculateTotal = useCallback((row, periods = ['c1', 'c2', 'c3', 'c4', 'c5']) => {
-    return periods.reduce((sum, key) => sum + (Number(row[key]) || 0), 0);
+  const periods = useMemo(() => getAllocationPeriods(periodDefinition), [periodDefinition]);
+
+  const calculateTotal = useCallback((row, periodIds = ALL_PERIODS) => {
+    return periodIds.reduce((sum, key) => sum + (Number(row[key]) || 0), 0);
   }, []);
 
   const calculatePeakTotal = useCallback((row) => 
-    calculateTotal(row, PEAK_PERIODS), 
-    [calculateTotal]
+    calculateTotal(row, getPeakPeriods(periodDefinition)), 
+    [calculateTotal, periodDefinition]
   );
 
   const calculateNonPeakTotal = useCallback((row) => 
-    calculateTotal(row, NON_PEAK_PERIODS), 
-    [calculateTotal]
+    calculateTotal(row, getNonPeakPeriods(periodDefinition)), 
+    [calculateTotal, periodDefinition]
   );
 
   const handleAllocationClick = useCallback(() => {
@@ -205,7 +205,7 @@ const ConsumptionUnitsTable = ({
     };
 
     consumptionData.forEach(row => {
-      ['c1', 'c2', 'c3', 'c4', 'c5'].forEach(period => {
+      ALL_PERIODS.forEach(period => {
         const value = Number(row[period]) || 0;
         sums[period] += value;
       });
@@ -253,46 +253,16 @@ const ConsumptionUnitsTable = ({
               <TableRow>
                 <StyledTableHeader>Month</StyledTableHeader>
                 <StyledTableHeader>Site Name</StyledTableHeader>
-                <StyledTableHeader align="right">
-                  <Tooltip title="Non-Peak Period">
-                    <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end' }}>
-                      C1
-                      <InfoIcon sx={{ ml: 0.5, fontSize: '1rem', color: 'success.light' }} />
-                    </Box>
-                  </Tooltip>
-                </StyledTableHeader>
-                <StyledTableHeader align="right">
-                  <Tooltip title="Peak Period">
-                    <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end' }}>
-                      C2
-                      <InfoIcon sx={{ ml: 0.5, fontSize: '1rem', color: 'warning.light' }} />
-                    </Box>
-                  </Tooltip>
-                </StyledTableHeader>
-                <StyledTableHeader align="right">
-                  <Tooltip title="Peak Period">
-                    <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end' }}>
-                      C3
-                      <InfoIcon sx={{ ml: 0.5, fontSize: '1rem', color: 'warning.light' }} />
-                    </Box>
-                  </Tooltip>
-                </StyledTableHeader>
-                <StyledTableHeader align="right">
-                  <Tooltip title="Non-Peak Period">
-                    <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end' }}>
-                      C4
-                      <InfoIcon sx={{ ml: 0.5, fontSize: '1rem', color: 'success.light' }} />
-                    </Box>
-                  </Tooltip>
-                </StyledTableHeader>
-                <StyledTableHeader align="right">
-                  <Tooltip title="Non-Peak Period">
-                    <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end' }}>
-                      C5
-                      <InfoIcon sx={{ ml: 0.5, fontSize: '1rem', color: 'success.light' }} />
-                    </Box>
-                  </Tooltip>
-                </StyledTableHeader>
+                {periods.map(period => (
+                  <StyledTableHeader key={period.id} align="right">
+                    <Tooltip title={period.isPeak ? 'Peak Period' : 'Non-Peak Period'}>
+                      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end' }}>
+                        {period.label}
+                        <InfoIcon sx={{ ml: 0.5, fontSize: '1rem', color: period.isPeak ? 'warning.light' : 'success.light' }} />
+                      </Box>
+                    </Tooltip>
+                  </StyledTableHeader>
+                ))}
                 <StyledTableHeader align="right">Peak Total</StyledTableHeader>
                 <StyledTableHeader align="right">Non-Peak Total</StyledTableHeader>
                 <StyledTableHeader align="right">Total Units</StyledTableHeader>
@@ -314,21 +284,11 @@ const ConsumptionUnitsTable = ({
                       </TableCell>
                     )}
                     <TableCell>{row.siteName}</TableCell>
-                    <StyledTableCell align="right" isPeak={false}>
-                      {Math.round(Number(row.c1) || 0)}
-                    </StyledTableCell>
-                    <StyledTableCell align="right" isPeak={true}>
-                      {Math.round(Number(row.c2) || 0)}
-                    </StyledTableCell>
-                    <StyledTableCell align="right" isPeak={true}>
-                      {Math.round(Number(row.c3) || 0)}
-                    </StyledTableCell>
-                    <StyledTableCell align="right" isPeak={false}>
-                      {Math.round(Number(row.c4) || 0)}
-                    </StyledTableCell>
-                    <StyledTableCell align="right" isPeak={false}>
-                      {Math.round(Number(row.c5) || 0)}
-                    </StyledTableCell>
+                    {periods.map(period => (
+                      <StyledTableCell key={period.id} align="right" isPeak={period.isPeak}>
+                        {Math.round(Number(row[period.id]) || 0)}
+                      </StyledTableCell>
+                    ))}
                     <TotalCell align="right" className="peak">
                       {calculatePeakTotal(row).toLocaleString()}
                     </TotalCell>
@@ -344,11 +304,11 @@ const ConsumptionUnitsTable = ({
               {totals && (
                 <TotalRow>
                   <TableCell colSpan={2}><strong>Total</strong></TableCell>
-                  <TotalCell align="right">{totals.c1.toLocaleString()}</TotalCell>
-                  <TotalCell align="right" className="peak">{totals.c2.toLocaleString()}</TotalCell>
-                  <TotalCell align="right" className="peak">{totals.c3.toLocaleString()}</TotalCell>
-                  <TotalCell align="right">{totals.c4.toLocaleString()}</TotalCell>
-                  <TotalCell align="right">{totals.c5.toLocaleString()}</TotalCell>
+                  {periods.map(period => (
+                    <TotalCell key={period.id} align="right" className={period.isPeak ? 'peak' : undefined}>
+                      {totals[period.id].toLocaleString()}
+                    </TotalCell>
+                  ))}
                   <TotalCell align="right" className="peak">{totals.peak.toLocaleString()}</TotalCell>
                   <TotalCell align="right" className="non-peak">{totals.nonPeak.toLocaleString()}</TotalCell>
                   <TotalCell align="right">{totals.total.toLocaleString()}</TotalCell>
@@ -14,6 +14,7 @@ import {
 } from '@mui/material';
 import { CheckCircle, Cancel, Info as InfoIcon, Factory as FactoryIcon } from '@mui/icons-material';
 import { styled } from '@mui/material/styles';
+import { ALL_PERIODS, getAllocationPeriods, getPeakPeriods, getNonPeakPeriods } from '../../utils/allocationUtils';
 
 // Styled components for consistent styling
 const StyledTableHeader = styled(TableCell)(({ theme }) => ({
@@ -60,10 +61,10 @@ const TotalCell = styled(TableCell)(({ theme }) => ({
   }
 }));
 
-const ProductionUnitsTable = ({ data = [] }) => {
-  const PEAK_PERIODS = ['c2', 'c3'];
-  const NON_PEAK_PERIODS = ['c1', 'c4', 'c5'];
-  const ALL_PERIODS = ['c1', 'c2', 'c3', 'c4', 'c5'];  // Ordered from c1 to c5
+const ProductionUnitsTable = ({ data = [], periodDefinition }) => {
+  const periods = getAllocationPeriods(periodDefinition);
+  const PEAK_PERIODS = getPeakPeriods(periodDefinition);
+  const NON_PEAK_PERIODS = getNonPeakPeriods(periodDefinition);
 
   const calculateTotal = (row) => {
     return ALL_PERIODS.reduce((sum, key) => sum + (Number(row[key]) || 0), 0);
@@ -88,125 +89,67 @@ const ProductionUnitsTable = ({ data = [] }) => {
           <TableRow>
             <StyledTableHeader>Site Name</StyledTableHeader>
             <StyledTableHeader>Banking Status</StyledTableHeader>
-            <StyledTableHeader align="right">
-              <Tooltip title="Non-Peak Period">
-                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end' }}>
-                  C1
-                  <InfoIcon sx={{ ml: 0.5, fontSize: '1rem', color: 'success.light' }} />
-                </Box>
-              </Tooltip>
-            </StyledTableHeader>
-            <StyledTableHeader align="right">
-              <Tooltip title="Peak Period">
-                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end' }}>
-                  C2
-                  <InfoIcon sx={{ ml: 0.5, fontSize: '1rem', color: 'warning.light' }} />
-                </Box>
-              </Tooltip>
-            </StyledTableHeader>
-            <StyledTableHeader align="right">
-              <Tooltip title="Peak Period">
-                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end' }}>
-                  C3
-                  <InfoIcon sx={{ ml: 0.5, fontSize: '1rem', color: 'warning.light' }} />
-                </Box>
-              </Tooltip>
-            </StyledTableHeader>
-            <StyledTableHeader align="right">
-              <Tooltip title="Non-Peak Period">
-                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end' }}>
-                  C4
-                  <InfoIcon sx={{ ml: 0.5, fontSize: '1rem', color: 'success.light' }} />
-                </Box>
-              </Tooltip>
-            </StyledTableHeader>
-            <StyledTableHeader align="right">
-              <Tooltip title="Non-Peak Period">
-                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end' }}>
-                  C5
-                  <InfoIcon sx={{ ml: 0.5, fontSize: '1rem', color: 'success.light' }} />
-                </Box>
-              </Tooltip>
-            </StyledTableHeader>
+            {periods.map(period => (
+              <StyledTableHeader key={period.id} align="right">
+                <Tooltip title={period.isPeak ? 'Peak Period' : 'Non-Peak Period'}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end' }}>
+                    {period.label}
+                    <InfoIcon sx={{ ml: 0.5, fontSize: '1rem', color: period.isPeak ? 'warning.light' : 'success.light' }} />
+                  </Box>
+                </Tooltip>
+              </StyledTableHeader>
+            ))}
             <StyledTableHeader align="right">Peak Total</StyledTableHeader>
             <StyledTableHeader align="right">Non-Peak Total</StyledTableHeader>
             <StyledTableHeader align="right">Total Units</StyledTableHeader>
           </TableRow>
         </TableHead>
         <TableBody>
-          {data && data.length > 0 && data.map((row, index) => {
-            const c1 = Number(row.c1) || 0;
-            const c2 = Number(row.c2) || 0;
-            const c3 = Number(row.c3) || 0;
-            const c4 = Number(row.c4) || 0;
-            const c5 = Number(row.c5) || 0;
-            
-            return (
-              <TableRow key={index}>
-                <TableCell>{row.siteName || row.productionSite}</TableCell>
-                <TableCell>
-                  <Chip
-                    icon={row.banking === 1 ? <CheckCircle /> : <Cancel />}
-                    label={row.banking === 1 ? 'Available' : 'Not Available'}
-                    color={row.banking === 1 ? 'success' : 'error'}
-                    variant="outlined"
-                    size="small"
-                  />
-                </TableCell>
-                <StyledTableCell align="right" isPeak={false}>
-                  {c1}
+          {data && data.length > 0 && data.map((row, index) => (
+            <TableRow key={index}>
+              <TableCell>{row.siteName || row.productionSite}</TableCell>
+              <TableCell>
+                <Chip
+                  icon={row.banking === 1 ? <CheckCircle /> : <Cancel />}
+                  label={row.banking === 1 ? 'Available' : 'Not Available'}
+                  color={row.banking === 1 ? 'success' : 'error'}
+                  variant="outlined"
+                  size="small"
+                />
+              </TableCell>
+              {periods.map(period => (
+                <StyledTableCell key={period.id} align="right" isPeak={period.isPeak}>
+                  {Number(row[period.id]) || 0}
                 </StyledTableCell>
-                <StyledTableCell align="right" isPeak={true}>
-                  {c2}
-                </StyledTableCell>
-                <StyledTableCell align="right" isPeak={true}>
-                  {c3}
-                </StyledTableCell>
-                <StyledTableCell align="right" isPeak={false}>
-                  {c4}
-                </StyledTableCell>
-                <StyledTableCell align="right" isPeak={false}>
-                  {c5}
-                </StyledTableCell>
-                <TotalCell align="right" className="peak">
-                  {c2 + c3}
-                </TotalCell>
-                <TotalCell align="right" className="non-peak">
-                  {c1 + c4 + c5}
-                </TotalCell>
-                <TotalCell align="right">
-                  {c1 + c2 + c3 + c4 + c5}
-                </TotalCell>
-              </TableRow>
-            );
-          })}
-          {data && data.length > 0 && (
-            <TableRow sx={{ backgroundColor: 'rgba(0, 0, 0, 0.04)' }}>
-              <TableCell sx={{ fontWeight: 'bold' }}>Total</TableCell>
-              <TableCell />
-              <TotalCell align="right">
-                {data.reduce((sum, row) => sum + (Number(row.c1) || 0), 0)}
-              </TotalCell>
-              <TotalCell align="right" className="peak">
-                {data.reduce((sum, row) => sum + (Number(row.c2) || 0), 0)}
-              </TotalCell>
+              ))}
               <TotalCell align="right" className="peak">
-                {data.reduce((sum, row) => sum + (Number(row.c3) || 0), 0)}
+                {calculatePeakTotal(row)}
               </TotalCell>
-              <TotalCell align="right">
-                {data.reduce((sum, row) => sum + (Number(row.c4) || 0), 0)}
+              <TotalCell align="right" className="non-peak">
+                {calculateNonPeakTotal(row)}
               </TotalCell>
               <TotalCell align="right">
-                {data.reduce((sum, row) => sum + (Number(row.c5) || 0), 0)}
+                {calculateTotal(row)}
               </TotalCell>
+            </TableRow>
+          ))}
+          {data && data.length > 0 && (
+            <TableRow sx={{ backgroundColor: 'rgba(0, 0, 0, 0.04)' }}>
+              <TableCell sx={{ fontWeight: 'bold' }}>Total</TableCell>
+              <TableCell />
+              {periods.map(period => (
+                <TotalCell key={period.id} align="right" className={period.isPeak ? 'peak' : undefined}>
+                  {data.reduce((sum, row) => sum + (Number(row[period.id]) || 0), 0)}
+                </TotalCell>
+              ))}
               <TotalCell align="right" className="peak">
-                {data.reduce((sum, row) => sum + (Number(row.c2) || 0) + (Number(row.c3) || 0), 0)}
+                {data.reduce((sum, row) => sum + calculatePeakTotal(row), 0)}
               </TotalCell>
               <TotalCell align="right">
-                {data.reduce((sum, row) => sum + (Number(row.c1) || 0) + (Number(row.c4) || 0) + (Number(row.c5) || 0), 0)}
+                {data.reduce((sum, row) => sum + calculateNonPeakTotal(row), 0)}
               </TotalCell>
               <TotalCell align="right">
-                {data.reduce((sum, row) => sum + (Number(row.c1) || 0) + (Number(row.c2) || 0) + (Number(row.c3) || 0) + (Number(row.c4) || 0) + (Number(row.c5) || 0), 0)}
+                {data.reduce((sum, row) => sum + calculateTotal(row), 0)}
               </TotalCell>
             </TableRow>
           )}
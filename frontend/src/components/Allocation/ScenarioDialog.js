@@ -0,0 +1,350 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Box,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TextField,
+  Checkbox,
+  FormControlLabel,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import { Delete as DeleteIcon } from '@mui/icons-material';
+import { useSnackbar } from 'notistack';
+import allocationScenarioApi from '../../services/allocationScenarioApi';
+import { ALL_PERIODS } from '../../utils/allocationUtils';
+
+const SUMMARY_COLUMNS = [
+  { key: 'allocated', label: 'Allocated' },
+  { key: 'banked', label: 'Banked' },
+  { key: 'lapsed', label: 'Lapsed' },
+  { key: 'unmetDemand', label: 'Unmet demand' }
+];
+
+const getCaptiveKey = (entry) => `${entry.generatorCompanyId}-${entry.shareholderCompanyId}`;
+
+const formatUnits = (value) => Number(value || 0).toLocaleString('en-IN');
+
+const formatDifference = (value) => {
+  if (!value) return '';
+  return ` (${value > 0 ? '+' : ''}${formatUnits(value)})`;
+};
+
+/**
+ * What-if scenarios for the month on the Allocation page: change captive
+ * percentages, leave out consumption sites or assume a different banking
+ * balance, compare the totals with the allocation as it stands and save the
+ * scenario under a name. Nothing here changes allocation records.
+ */
+const ScenarioDialog = ({ open, onClose, companyId, inputs, consumptionSites = [], productionSites = [] }) => {
+  const { enqueueSnackbar } = useSnackbar();
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [captivePercentages, setCaptivePercentages] = useState({});
+  const [excludedSites, setExcludedSites] = useState([]);
+  const [bankingBalances, setBankingBalances] = useState({});
+  const [comparison, setComparison] = useState(null);
+  const [savedScenarios, setSavedScenarios] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  const captiveEntries = inputs?.captiveData || [];
+  const bankingSites = productionSites.filter(site => Number(site.banking) === 1);
+
+  const loadScenarios = useCallback(async () => {
+    if (!companyId || !inputs?.month) return;
+    try {
+      setSavedScenarios(await allocationScenarioApi.getAll({ companyId, month: inputs.month }));
+    } catch (error) {
+      enqueueSnackbar('Failed to load saved scenarios', { variant: 'error' });
+    }
+  }, [companyId, inputs?.month, enqueueSnackbar]);
+
+  useEffect(() => {
+    if (open) {
+      loadScenarios();
+    }
+  }, [open, loadScenarios]);
+
+  const buildOverrides = () => ({
+    captivePercentages: captiveEntries
+      .filter(entry => captivePercentages[getCaptiveKey(entry)] !== undefined &&
+        captivePercentages[getCaptiveKey(entry)] !== '')
+      .map(entry => ({
+        generatorCompanyId: entry.generatorCompanyId,
+        shareholderCompanyId: entry.shareholderCompanyId,
+        allocationPercentage: Number(captivePercentages[getCaptiveKey(entry)])
+      })),
+    excludedConsumptionSites: excludedSites,
+    bankingBalances: Object.entries(bankingBalances).map(([productionSiteId, balance]) => ({
+      productionSiteId,
+      ...Object.fromEntries(ALL_PERIODS.map(period => [period, Number(balance[period]) || 0]))
+    }))
+  });
+
+  const getBankedUnits = (siteId, period) => {
+    const unit = (inputs?.bankingUnits || []).find(b => String(b.productionSiteId) === String(siteId));
+    return unit ? Number(unit[period] || 0) : 0;
+  };
+
+  const handleBankingChange = (siteId, period, value) => {
+    setBankingBalances(prev => {
+      const current = prev[siteId] ||
+        Object.fromEntries(ALL_PERIODS.map(p => [p, getBankedUnits(siteId, p)]));
+      return { ...prev, [siteId]: { ...current, [period]: value } };
+    });
+  };
+
+  const handleToggleSite = (siteId) => {
+    setExcludedSites(prev => (prev.includes(siteId) ? prev.filter(id => id !== siteId) : [...prev, siteId]));
+  };
+
+  const handleRun = async () => {
+    try {
+      setBusy(true);
+      const result = await allocationScenarioApi.simulate(inputs, [
+        { name: name.trim() || 'This scenario', overrides: buildOverrides() }
+      ]);
+      setComparison(result);
+    } catch (error) {
+      enqueueSnackbar(error.response?.data?.message || 'Failed to run scenario', { variant: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      enqueueSnackbar('Give the scenario a name before saving', { variant: 'warning' });
+      return;
+    }
+    try {
+      setBusy(true);
+      await allocationScenarioApi.save(inputs, {
+        companyId,
+        name: name.trim(),
+        description: description.trim() || undefined,
+        overrides: buildOverrides()
+      });
+      enqueueSnackbar(`Scenario "${name.trim()}" saved`, { variant: 'success' });
+      await loadScenarios();
+    } catch (error) {
+      enqueueSnackbar(error.response?.data?.message || 'Failed to save scenario', { variant: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (scenario) => {
+    try {
+      await allocationScenarioApi.delete(scenario.scenarioId, { companyId });
+      setSavedScenarios(prev => prev.filter(s => s.scenarioId !== scenario.scenarioId));
+    } catch (error) {
+      enqueueSnackbar('Failed to delete scenario', { variant: 'error' });
+    }
+  };
+
+  // Rows for the side-by-side table: the allocation as it stands, the scenario
+  // just run, then saved scenarios (each compared with the baseline it was saved against)
+  const comparisonRows = [
+    ...(comparison ? [
+      { key: 'baseline', label: 'Current allocation', summary: comparison.baseline.summary },
+      ...comparison.scenarios.map((scenario, index) => ({
+        key: `run-${index}`,
+        label: `${scenario.name} (not saved)`,
+        summary: scenario.summary,
+        difference: scenario.difference
+      }))
+    ] : []),
+    ...savedScenarios.map(scenario => ({
+      key: scenario.scenarioId,
+      label: scenario.name,
+      description: scenario.description,
+      summary: scenario.summary,
+      difference: scenario.difference,
+      scenario
+    }))
+  ];
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>What-if scenarios{inputs?.month ? ` for ${inputs.month}` : ''}</DialogTitle>
+      <DialogContent dividers>
+        <Box sx={{ display: 'flex', gap: 2, mb: 3 }}>
+          <TextField
+            label="Scenario name"
+            size="small"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            sx={{ flex: 1 }}
+          />
+          <TextField
+            label="Description"
+            size="small"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            sx={{ flex: 2 }}
+          />
+        </Box>
+
+        <Typography variant="subtitle1" gutterBottom>Captive percentages</Typography>
+        <TableContainer component={Paper} variant="outlined" sx={{ mb: 3 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Generator</TableCell>
+                <TableCell>Shareholder</TableCell>
+                <TableCell align="right">Current %</TableCell>
+                <TableCell align="right">Scenario %</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {captiveEntries.map(entry => (
+                <TableRow key={getCaptiveKey(entry)}>
+                  <TableCell>{entry.generatorCompanyName || entry.generatorCompanyId}</TableCell>
+                  <TableCell>{entry.shareholderCompanyName || entry.shareholderCompanyId}</TableCell>
+                  <TableCell align="right">{entry.allocationPercentage}</TableCell>
+                  <TableCell align="right">
+                    <TextField
+                      type="number"
+                      size="small"
+                      placeholder={String(entry.allocationPercentage)}
+                      value={captivePercentages[getCaptiveKey(entry)] ?? ''}
+                      onChange={(e) => setCaptivePercentages(prev => ({ ...prev, [getCaptiveKey(entry)]: e.target.value }))}
+                      inputProps={{ min: 0, max: 100 }}
+                      sx={{ width: 100 }}
+                    />
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        <Typography variant="subtitle1" gutterBottom>Leave out consumption sites</Typography>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', mb: 3 }}>
+          {consumptionSites.map(site => {
+            const siteId = String(site.consumptionSiteId || site.id);
+            return (
+              <FormControlLabel
+                key={siteId}
+                control={<Checkbox checked={excludedSites.includes(siteId)} onChange={() => handleToggleSite(siteId)} />}
+                label={site.siteName || site.name || siteId}
+              />
+            );
+          })}
+        </Box>
+
+        {bankingSites.length > 0 && (
+          <>
+            <Typography variant="subtitle1" gutterBottom>Banking balance</Typography>
+            <TableContainer component={Paper} variant="outlined" sx={{ mb: 3 }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Production site</TableCell>
+                    {ALL_PERIODS.map(period => (
+                      <TableCell key={period} align="right">{period.toUpperCase()}</TableCell>
+                    ))}
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {bankingSites.map(site => {
+                    const siteId = String(site.productionSiteId || site.id);
+                    return (
+                      <TableRow key={siteId}>
+                        <TableCell>{site.siteName || site.name || siteId}</TableCell>
+                        {ALL_PERIODS.map(period => (
+                          <TableCell key={period} align="right">
+                            <TextField
+                              type="number"
+                              size="small"
+                              placeholder={String(getBankedUnits(siteId, period))}
+                              value={bankingBalances[siteId]?.[period] ?? ''}
+                              onChange={(e) => handleBankingChange(siteId, period, e.target.value)}
+                              inputProps={{ min: 0 }}
+                              sx={{ width: 100 }}
+                            />
+                          </TableCell>
+                        ))}
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+
+        <Typography variant="subtitle1" gutterBottom>Comparison</Typography>
+        {comparisonRows.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            Run a scenario to compare it with the current allocation.
+          </Typography>
+        ) : (
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Scenario</TableCell>
+                  {SUMMARY_COLUMNS.map(column => (
+                    <TableCell key={column.key} align="right">{column.label}</TableCell>
+                  ))}
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {comparisonRows.map(row => (
+                  <TableRow key={row.key}>
+                    <TableCell>
+                      {row.label}
+                      {row.description && (
+                        <Typography variant="caption" display="block" color="text.secondary">
+                          {row.description}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    {SUMMARY_COLUMNS.map(column => (
+                      <TableCell key={column.key} align="right">
+                        {formatUnits(row.summary?.[column.key])}
+                        {formatDifference(row.difference?.[column.key])}
+                      </TableCell>
+                    ))}
+                    <TableCell align="right">
+                      {row.scenario && (
+                        <Tooltip title="Delete scenario">
+                          <IconButton size="small" onClick={() => handleDelete(row.scenario)}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {busy && <CircularProgress size={20} sx={{ mr: 1 }} />}
+        <Button onClick={onClose}>Close</Button>
+        <Button onClick={handleRun} disabled={busy || !inputs}>Run scenario</Button>
+        <Button variant="contained" onClick={handleSave} disabled={busy || !inputs}>Save scenario</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ScenarioDialog;
@@ -24,11 +24,13 @@ import {
   ViewModule as ViewModuleIcon,
   Delete as DeleteIcon,
   Edit as EditIcon,
-  ElectricalServices as ElectricalServicesIcon
+  ElectricalServices as ElectricalServicesIcon,
+  UploadFile as UploadFileIcon
 } from '@mui/icons-material';
 import consumptionSiteApi from '../../services/consumptionSiteApi';
 import ConsumptionSiteCard from './ConsumptionSiteCard';
 import ConsumptionSiteDialog from './ConsumptionSiteDialog';
+import MeterReadingImportDialog from '../common/MeterReadingImportDialog';
 import { useAuth } from '../../context/AuthContext';
 import { hasPermission } from '../../utils/permissions';
 
@@ -49,13 +51,15 @@ const Consumption = () => {
   const [selectedSite, setSelectedSite] = useState(null);
   const [isDialogLoading, setIsDialogLoading] = useState(false);
   const [viewMode, setViewMode] = useState('card'); // 'card' or 'table'
+  const [importDialogOpen, setImportDialogOpen] = useState(false);
   
   // Permissions
   const permissions = useMemo(() => ({
     create: hasPermission(user, 'consumption', 'CREATE'),
     read: hasPermission(user, 'consumption', 'READ'),
     update: hasPermission(user, 'consumption', 'UPDATE'),
-    delete: hasPermission(user, 'consumption', 'DELETE')
+    delete: hasPermission(user, 'consumption', 'DELETE'),
+    importReadings: hasPermission(user, 'production-units', 'CREATE') && hasPermission(user, 'consumption-units', 'CREATE')
   }), [user]);
 
   // Get accessible sites for the current user
@@ -384,6 +388,13 @@ const Consumption = () => {
         permissions={permissions}
       />
 
+      <MeterReadingImportDialog
+        open={importDialogOpen}
+        onClose={() => setImportDialogOpen(false)}
+        companyId={user?.companyId}
+        onImported={fetchSites}
+      />
+
       {/* Header */}
       <Box sx={{ 
         display: 'flex', 
@@ -417,6 +428,21 @@ const Consumption = () => {
               Add Site
             </Button>
           )}
+          {permissions?.importReadings && (
+            <Button
+              variant="outlined"
+              startIcon={<UploadFileIcon />}
+              onClick={() => setImportDialogOpen(true)}
+              size="medium"
+              sx={{ 
+                fontWeight: 500,
+                textTransform: 'none',
+                borderRadius: 1.5
+              }}
+            >
+              Import Readings
+            </Button>
+          )}
           <Button
             variant="outlined"
             startIcon={<RefreshIcon />}
@@ -12,13 +12,14 @@ import {
   Alert,
   IconButton
 } from '@mui/material';
-import { ArrowBack as ArrowBackIcon, Add as AddIcon } from '@mui/icons-material';
+import { ArrowBack as ArrowBackIcon, Add as AddIcon, Share as ShareIcon } from '@mui/icons-material';
 import { useSnackbar } from 'notistack';
 import consumptionSiteApi from '../../services/consumptionSiteApi';
 import consumptionUnitApi from '../../services/consumptionUnitApi';
 import SiteInfoCard from './SiteInfoCard';
 import ConsumptionDataTable from './ConsumptionDataTable';
 import ConsumptionSiteDataForm from './ConsumptionSiteDataForm';
+import ShareLinkDialog from '../common/ShareLinkDialog';
 import { formatSK, formatDisplayDate } from '../../utils/dateUtils';
 import { useAuth } from '../../context/AuthContext';
 import { hasPermission } from '../../utils/permissions';
@@ -42,6 +43,7 @@ const ConsumptionSiteDetails = () => {
     data: null,
     isCopy: false
   });
+  const [isShareOpen, setIsShareOpen] = useState(false);
 
   const fetchData = useCallback(async () => {
     try {
@@ -111,7 +113,8 @@ const ConsumptionSiteDetails = () => {
     create: hasPermission(user, 'consumption-units', 'CREATE'),
     read: hasPermission(user, 'consumption-units', 'READ'),
     update: hasPermission(user, 'consumption-units', 'UPDATE'),
-    delete: hasPermission(user, 'consumption-units', 'DELETE')
+    delete: hasPermission(user, 'consumption-units', 'DELETE'),
+    share: hasPermission(user, 'consumption', 'UPDATE')
   }), [user]);
 
   const checkExistingDate = useCallback((date) => {
@@ -286,6 +289,16 @@ const ConsumptionSiteDetails = () => {
         }}>
           Consumption Site Details
         </Typography>
+        {permissions.share && (
+          <Button
+            variant="outlined"
+            startIcon={<ShareIcon />}
+            onClick={() => setIsShareOpen(true)}
+            sx={{ ml: 'auto' }}
+          >
+            Share
+          </Button>
+        )}
       </Box>
 
       {error && (
@@ -324,6 +337,15 @@ const ConsumptionSiteDetails = () => {
               />
             </DialogContent>
           </Dialog>
+
+          <ShareLinkDialog
+            open={isShareOpen}
+            onClose={() => setIsShareOpen(false)}
+            siteType="consumption"
+            companyId={companyId}
+            siteId={consumptionSiteId}
+            siteName={siteData.site?.name}
+          />
         </>
       )}
     </Box>
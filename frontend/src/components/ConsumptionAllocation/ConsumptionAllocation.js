@@ -11,7 +11,9 @@ import {
   TableRow,
   TableCell,
   TableBody,
-  Divider
+  Divider,
+  Button,
+  Chip
 } from '@mui/material';
 import { useSnackbar } from 'notistack';
 import { useAuth } from '../../context/AuthContext';
@@ -22,6 +24,9 @@ import consumptionUnitApi from '../../services/consumptionUnitApi';
 import bankingApi from '../../services/bankingApi';
 import lapseApi from '../../services/lapseApi';
 import productionChargeApi from '../../services/productionChargeApi';
+import chargeCodeApi from '../../services/chargeCodeApi';
+import chargeApportionmentApi from '../../services/chargeApportionmentApi';
+import { hasPermission } from '../../utils/permissions';
 
 const monthOptions = Array.from({ length: 12 }, (_, i) => ({ value: i + 1, label: new Date(2000, i, 1).toLocaleString('en-US', { month: 'long' }) }));
 const currentYear = new Date().getFullYear();
@@ -93,24 +98,30 @@ const ConsumptionAllocation = () => {
   const [consUnitsBySite, setConsUnitsBySite] = useState({}); // { [consId]: { c1,c2,c3,c4,c5,total } }
   const [bankingData, setBankingData] = useState({}); // { [prodSiteId]: { c1,c2,c3,c4,c5,total } }
   const [lapseData, setLapseData] = useState({}); // { [prodSiteId]: { c1,c2,c3,c4,c5,total } }
-  const [oaChargesData, setOaChargesData] = useState({}); // { [prodSiteId]: { c001, c002, ..., c011 } }
+  const [oaChargesData, setOaChargesData] = useState({}); // { [prodSiteId]: { c001, c002, ... } }
 
-  // OA Adjustment Charges charge codes configuration - memoized to prevent dependency issues
-  const oaChargeCodesConfig = useMemo(() => [
-    { code: 'C001', description: 'AMR Meter Reading Charges' },
-    { code: 'C002', description: 'O&M Charges' },
-    { code: 'C003', description: 'Transmission Charges' },
-    { code: 'C004', description: 'System Operation Charges' },
-    { code: 'C005', description: 'RKvah Penalty' },
-    { code: 'C006', description: 'Import Energy Charges' },
-    { code: 'C007', description: 'Scheduling Charges' },
-    { code: 'C008', description: 'Other Charges' },
-    { code: 'C010', description: 'DSM Charges' },
-    { code: 'C011', description: 'WHLC' }
-  ], []);
+  // OA Adjustment Charges charge codes active in the month, from the charge-code master
+  const [oaChargeCodes, setOaChargeCodes] = useState([]);
+  const [apportionments, setApportionments] = useState({}); // { [prodSiteId]: saved apportionment }
+  const [apportioning, setApportioning] = useState(false);
+  const canApportion = hasPermission(user, 'production-charges', 'UPDATE');
 
   const monthKey = useMemo(() => formatMonthKey(selectedMonth, selectedYear), [selectedMonth, selectedYear]);
 
+  useEffect(() => {
+    let cancelled = false;
+    chargeCodeApi.getAll(monthKey)
+      .then(response => {
+        if (!cancelled) setOaChargeCodes(response.data || []);
+      })
+      .catch(() => {
+        if (cancelled) return;
+        setOaChargeCodes([]);
+        enqueueSnackbar('Failed to load charge codes', { variant: 'error' });
+      });
+    return () => { cancelled = true; };
+  }, [monthKey, enqueueSnackbar]);
+
   // Format number with thousands separators and no decimal places
   const formatNumber = (num) => {
     return Number(num || 0).toLocaleString(undefined, {
@@ -119,6 +130,9 @@ const ConsumptionAllocation = () => {
     });
   };
 
+  // Apportioned share, or a dash when the month has not been apportioned
+  const formatShare = (share) => (share === null ? '-' : formatNumber(share));
+
   const fetchSites = useCallback(async () => {
     try {
       const [consResp, prodResp] = await Promise.all([
@@ -495,33 +509,18 @@ const ConsumptionAllocation = () => {
           
           if (monthCharge) {
             console.log(`Found charge for site ${siteId}:`, monthCharge);
-            chargesBySite[siteId] = {
-              c001: Number(monthCharge.c001 || 0),
-              c002: Number(monthCharge.c002 || 0),
-              c003: Number(monthCharge.c003 || 0),
-              c004: Number(monthCharge.c004 || 0),
-              c005: Number(monthCharge.c005 || 0),
-              c006: Number(monthCharge.c006 || 0),
-              c007: Number(monthCharge.c007 || 0),
-              c008: Number(monthCharge.c008 || 0),
-              c010: Number(monthCharge.c010 || 0),
-              c011: Number(monthCharge.c011 || 0)
-            };
+            // Keep every charge attribute (c001, c002, ...); the charge codes decide which are shown
+            chargesBySite[siteId] = Object.fromEntries(Object.entries(monthCharge)
+              .filter(([field]) => /^c\d{3}$/.test(field))
+              .map(([field, amount]) => [field, Number(amount || 0)]));
           } else {
-            // Initialize with zeros if no charge record found
+            // Missing charges count as zero
             console.warn(`No charge record found for site ${siteId} for month ${monthKey}`);
-            chargesBySite[siteId] = {
-              c001: 0, c002: 0, c003: 0, c004: 0, c005: 0,
-              c006: 0, c007: 0, c008: 0, c010: 0, c011: 0
-            };
+            chargesBySite[siteId] = {};
           }
         } catch (error) {
           console.warn(`Could not fetch charges for site ${siteId}:`, error);
-          // Initialize with zeros on error
-          chargesBySite[siteId] = {
-            c001: 0, c002: 0, c003: 0, c004: 0, c005: 0,
-            c006: 0, c007: 0, c008: 0, c010: 0, c011: 0
-          };
+          chargesBySite[siteId] = {};
         }
       }
       
@@ -539,6 +538,41 @@ const ConsumptionAllocation = () => {
     }
   }, [prodSiteMap, fetchOAChargesData]);
 
+  // Saved split of each production site's charges across the consumption sites it supplied
+  const fetchApportionments = useCallback(async () => {
+    const companyId = String(user?.companyId || user?.metadata?.companyId || '');
+    if (!companyId) return;
+    try {
+      const response = await chargeApportionmentApi.getAll(companyId, monthKey);
+      setApportionments(Object.fromEntries((response.data || []).map(item => [String(item.productionSiteId), item])));
+    } catch (error) {
+      console.warn('Could not fetch charge apportionments:', error);
+      setApportionments({});
+    }
+  }, [monthKey, user?.companyId, user?.metadata?.companyId]);
+
+  useEffect(() => {
+    fetchApportionments();
+  }, [fetchApportionments]);
+
+  const handleApportion = async () => {
+    setApportioning(true);
+    try {
+      const companyId = String(user?.companyId || user?.metadata?.companyId || '');
+      const result = await chargeApportionmentApi.apportion({ companyId, month: monthKey });
+      enqueueSnackbar(result.message || 'Charges apportioned', { variant: 'success' });
+      const warnings = (result.data?.apportionments || []).flatMap(item => item.warnings || []);
+      if (warnings.length > 0) {
+        enqueueSnackbar(warnings.join('; '), { variant: 'warning' });
+      }
+      await fetchApportionments();
+    } catch (error) {
+      enqueueSnackbar(error.response?.data?.message || 'Failed to apportion charges', { variant: 'error' });
+    } finally {
+      setApportioning(false);
+    }
+  };
+
   // When sites are loaded or month changes, load consumption units for that month
   useEffect(() => {
     if (Object.keys(siteMap).length > 0) {
@@ -555,20 +589,26 @@ const ConsumptionAllocation = () => {
     return ids;
   }, [grouped, siteMap, selectedConsumptionSiteId]);
   
-  // Function to get charges for a specific production site
-  const getChargesForSite = useCallback((siteId) => {
+  // Function to get charges for a specific production site, with the consumption site's apportioned share
+  const getChargesForSite = useCallback((siteId, consId) => {
     const siteCharges = oaChargesData[siteId] || {};
-    return oaChargeCodesConfig.map(config => ({
-      ...config,
-      amount: Number(siteCharges[config.code.toLowerCase()] || 0)
+    const share = apportionments[siteId]?.shares.find(item => String(item.consumptionSiteId) === String(consId));
+    return oaChargeCodes.map(({ code, description }) => ({
+      code,
+      description,
+      amount: Number(siteCharges[code.toLowerCase()] || 0),
+      share: apportionments[siteId] ? Number(share?.charges[code] || 0) : null
     }));
-  }, [oaChargesData, oaChargeCodesConfig]);
+  }, [oaChargesData, oaChargeCodes, apportionments]);
 
   // Function to calculate total charges for a site
-  const getTotalChargesForSite = useCallback((siteId) => {
-    const charges = getChargesForSite(siteId);
-    return charges.reduce((sum, charge) => sum + (charge.amount || 0), 0);
-  }, [getChargesForSite]);
+  const getTotalChargesForSite = useCallback((siteId, consId) => {
+    const charges = getChargesForSite(siteId, consId);
+    return {
+      amount: charges.reduce((sum, charge) => sum + (charge.amount || 0), 0),
+      share: apportionments[siteId] ? charges.reduce((sum, charge) => sum + (charge.share || 0), 0) : null
+    };
+  }, [getChargesForSite, apportionments]);
   const prodSitesWithBanking = useMemo(() => {
     return Object.entries(bankingData).map(([siteId, bankData]) => ({
       id: siteId,
@@ -1102,9 +1142,16 @@ const ConsumptionAllocation = () => {
             {Object.keys(prodSiteMap).length > 0 && (
               <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2, mb: 3 }}>
                 <Box sx={{ width: '100%', maxWidth: '900px' }}>
-                  <Typography variant="subtitle2" sx={{ mb: 1.5, fontWeight: 'bold', color: '#1976d2', textAlign: 'center', fontSize: '0.9rem' }}>
-                    OA Adjustment Charges
-                  </Typography>
+                  <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 2, mb: 1.5 }}>
+                    <Typography variant="subtitle2" sx={{ fontWeight: 'bold', color: '#1976d2', fontSize: '0.9rem' }}>
+                      OA Adjustment Charges
+                    </Typography>
+                    {canApportion && (
+                      <Button size="small" variant="outlined" onClick={handleApportion} disabled={apportioning}>
+                        {apportioning ? 'Apportioning...' : 'Apportion Charges'}
+                      </Button>
+                    )}
+                  </Box>
 
                 {/* Render each production site with its charges */}
                 {Object.entries(prodSiteMap).map(([siteId, siteData]) => (
@@ -1149,14 +1196,20 @@ const ConsumptionAllocation = () => {
                     }}>
                       <TableHead>
                         <TableRow>
-                          <TableCell sx={{ width: '30%', textAlign: 'left' }}>CHARGE CODE</TableCell>
-                          <TableCell sx={{ width: '50%', textAlign: 'left' }}>CHARGE DESCRIPTION</TableCell>
+                          <TableCell sx={{ width: '20%', textAlign: 'left' }}>CHARGE CODE</TableCell>
+                          <TableCell sx={{ width: '40%', textAlign: 'left' }}>CHARGE DESCRIPTION</TableCell>
                           <TableCell sx={{ width: '20%', textAlign: 'right' }}>CHARGE AMOUNT</TableCell>
+                          <TableCell sx={{ width: '20%', textAlign: 'right' }}>
+                            SITE SHARE
+                            {apportionments[siteId]?.stale && (
+                              <Chip label="stale" color="warning" size="small" sx={{ ml: 1, height: 18 }} />
+                            )}
+                          </TableCell>
                         </TableRow>
                       </TableHead>
                       <TableBody>
                         {/* Charge Data Rows */}
-                        {getChargesForSite(siteId).map((charge, idx) => (
+                        {getChargesForSite(siteId, consId).map((charge, idx) => (
                           <TableRow key={`charge-${siteId}-${idx}`} sx={{ '&:hover': { backgroundColor: '#f9f9f9' } }}>
                             <TableCell sx={{ fontWeight: '600', fontSize: '0.75rem', textAlign: 'left', color: '#000' }}>
                               {charge.code}
@@ -1167,6 +1220,9 @@ const ConsumptionAllocation = () => {
                             <TableCell sx={{ fontWeight: '500', color: '#000', fontSize: '0.75rem', textAlign: 'right' }}>
                               {formatNumber(charge.amount)}
                             </TableCell>
+                            <TableCell sx={{ fontWeight: '500', color: '#000', fontSize: '0.75rem', textAlign: 'right' }}>
+                              {formatShare(charge.share)}
+                            </TableCell>
                           </TableRow>
                         ))}
 
@@ -1176,7 +1232,10 @@ const ConsumptionAllocation = () => {
                             Total:
                           </TableCell>
                           <TableCell sx={{ fontWeight: 'bold', color: '#000', fontSize: '0.75rem', textAlign: 'right', borderTop: '2px solid #333' }}>
-                            {formatNumber(getTotalChargesForSite(siteId))}
+                            {formatNumber(getTotalChargesForSite(siteId, consId).amount)}
+                          </TableCell>
+                          <TableCell sx={{ fontWeight: 'bold', color: '#000', fontSize: '0.75rem', textAlign: 'right', borderTop: '2px solid #333' }}>
+                            {formatShare(getTotalChargesForSite(siteId, consId).share)}
                           </TableCell>
                         </TableRow>
                       </TableBody>
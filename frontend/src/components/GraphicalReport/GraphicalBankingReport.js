@@ -11,6 +11,8 @@ import { getAccessibleSiteIds } from '../../utils/siteAccessUtils';
 import { useAuth } from '../../context/AuthContext';
 import productionSiteApi from '../../services/productionSiteApi';
 import bankingApi from '../../services/bankingApi';
+import periodDefinitionApi from '../../services/periodDefinitionApi';
+import { getPeriodLabel } from '../../utils/allocationUtils';
 
 // Helper to make array of months for financial year: ["042024", ..., "122024", "012025",..., "032025"]
 function getFinancialYearMonths(fy) {
@@ -38,7 +40,7 @@ function processBankingData(bankingData, site, siteKey, months) {
   months.forEach(month =>
     byMonth[month] = {
       month,
-      c1: 0, c2: 0, c3: 0, c4: 0, c5: 0, total: 0,
+      c1: 0, c2: 0, c3: 0, c4: 0, c5: 0, total: 0, charge: 0,
       name: site?.name || 'Unknown Site', siteKey
     }
   );
@@ -57,6 +59,9 @@ function processBankingData(bankingData, site, siteKey, months) {
     byMonth[month].total =
       byMonth[month].c1 + byMonth[month].c2 + byMonth[month].c3 +
       byMonth[month].c4 + byMonth[month].c5;
+    // Units deducted as banking charge when the surplus was banked
+    byMonth[month].charge += Number(record.totalBankingCharge) ||
+      ['c1','c2','c3','c4','c5'].reduce((sum, c) => sum + Number(record.bankingCharge?.[c] || 0), 0);
   });
   return Object.values(byMonth);
 }
@@ -65,7 +70,6 @@ const palette = [
   '#4E79A7', '#F28E2B', '#E15759', '#76B7B2', '#59A14F',
   '#EDC948', '#B07AA1', '#FF9DA7', '#9C755F', '#BAB0AC'
 ];
-const cLabels = { c1: "C1", c2: "C2", c3: "C3", c4: "C4", c5: "C5" };
 
 const GraphicalBankingReport = () => {
   const currentYear = new Date().getFullYear();
@@ -77,6 +81,7 @@ const GraphicalBankingReport = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [graphType, setGraphType] = useState('line');
+  const [periodDefinition, setPeriodDefinition] = useState(null);
   const { user } = useAuth();
 
   // Sort months for the financial year (April to March)
@@ -104,6 +109,14 @@ const GraphicalBankingReport = () => {
     });
   }
 
+  // Period names in force at the end of the financial year
+  useEffect(() => {
+    const months = getFinancialYearMonths(financialYear);
+    periodDefinitionApi.resolve(months[months.length - 1])
+      .then(response => setPeriodDefinition(response?.data || null))
+      .catch(() => setPeriodDefinition(null));
+  }, [financialYear]);
+
   useEffect(() => {
     setLoading(true);
     setError('');
@@ -180,6 +193,14 @@ const GraphicalBankingReport = () => {
     );
   });
 
+  const bankingCharges = selectedSites
+    .map(siteKey => ({
+      siteKey,
+      name: availableSites.find(s => s.key === siteKey)?.name || siteKey,
+      charge: (siteDataMap[siteKey] || []).reduce((sum, item) => sum + (item.charge || 0), 0)
+    }))
+    .filter(site => site.charge > 0);
+
   return (
     <Paper elevation={3} sx={{ p: 4, my: 2, borderRadius: 2, boxShadow: '0 4px 20px 0 rgba(0,0,0,0.1)' }}>
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 4, borderBottom: '1px solid #e0e0e0', pb: 2 }}>
@@ -287,7 +308,7 @@ const GraphicalBankingReport = () => {
                           if (i < 0) return [value, name];
                           const site = name.substring(0, i);
                           const cat = name.substring(i + 1);
-                          return [value, `${site} ${cLabels[cat] || cat}`];
+                          return [value, `${site} ${getPeriodLabel(cat, periodDefinition)}`];
                         }}
                         labelFormatter={label => `Month: ${label}`}
                       />
@@ -296,7 +317,7 @@ const GraphicalBankingReport = () => {
                         if (i < 0) return name;
                         const site = name.substring(0, i);
                         const cat = name.substring(i + 1);
-                        return `${site} ${cLabels[cat] || cat}`;
+                        return `${site} ${getPeriodLabel(cat, periodDefinition)}`;
                       }} />
                       {seriesKeys.map(({ key, color }) => (
                         <Line
@@ -322,7 +343,7 @@ const GraphicalBankingReport = () => {
                           if (i < 0) return [value, name];
                           const site = name.substring(0, i);
                           const cat = name.substring(i + 1);
-                          return [value, `${site} ${cLabels[cat] || cat}`];
+                          return [value, `${site} ${getPeriodLabel(cat, periodDefinition)}`];
                         }}
                         labelFormatter={label => `Month: ${label}`}
                       />
@@ -331,7 +352,7 @@ const GraphicalBankingReport = () => {
                         if (i < 0) return name;
                         const site = name.substring(0, i);
                         const cat = name.substring(i + 1);
-                        return `${site} ${cLabels[cat] || cat}`;
+                        return `${site} ${getPeriodLabel(cat, periodDefinition)}`;
                       }} />
                       {seriesKeys.map(({ key, color }) => (
                         <Bar
@@ -349,6 +370,18 @@ const GraphicalBankingReport = () => {
               )
         }
       </Box>
+      {!loading && !error && bankingCharges.length > 0 && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="subtitle2" sx={{ fontWeight: 600, color: '#2c3e50' }}>
+            Banking charge deducted ({financialYear})
+          </Typography>
+          {bankingCharges.map(site => (
+            <Typography key={site.siteKey} variant="body2" color="textSecondary">
+              {site.name}: {site.charge.toLocaleString('en-IN')} units
+            </Typography>
+          ))}
+        </Box>
+      )}
     </Paper>
   );
 };
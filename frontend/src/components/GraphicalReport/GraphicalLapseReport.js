@@ -10,6 +10,8 @@ import {
 } from '@mui/material';
 import productionSiteApi from '../../services/productionSiteApi';
 import lapseApi from '../../services/lapseApi';
+import periodDefinitionApi from '../../services/periodDefinitionApi';
+import { getPeriodLabel } from '../../utils/allocationUtils';
 
 // Get months from April of start year to March of next year
 function getFinancialYearMonths(fy) {
@@ -36,7 +38,6 @@ const palette = [
   '#4E79A7', '#F28E2B', '#E15759', '#76B7B2', '#59A14F',
   '#EDC948', '#B07AA1', '#FF9DA7', '#9C755F', '#BAB0AC'
 ];
-const cLabels = { c1: "C1", c2: "C2", c3: "C3", c4: "C4", c5: "C5" };
 
 function processLapseData(lapseData, site, siteKey, months) {
   const byMonth = {};
@@ -76,6 +77,7 @@ const GraphicalLapseReport = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [graphType, setGraphType] = useState('line');
+  const [periodDefinition, setPeriodDefinition] = useState(null);
   const { user } = useAuth();
 
   // Build dropdown years from 2020–current+1
@@ -87,6 +89,14 @@ const GraphicalLapseReport = () => {
     });
   }
 
+  // Period names in force at the end of the financial year
+  useEffect(() => {
+    const months = getFinancialYearMonths(financialYear);
+    periodDefinitionApi.resolve(months[months.length - 1])
+      .then(response => setPeriodDefinition(response?.data || null))
+      .catch(() => setPeriodDefinition(null));
+  }, [financialYear]);
+
   useEffect(() => {
     setLoading(true);
     setError('');
@@ -280,7 +290,7 @@ const GraphicalLapseReport = () => {
                     const i = name.lastIndexOf('_');
                     const site = name.substring(0, i);
                     const cat = name.substring(i + 1);
-                    return [value, `${site} ${cLabels[cat] || cat}`];
+                    return [value, `${site} ${getPeriodLabel(cat, periodDefinition)}`];
                   }}
                   labelFormatter={label => `Month: ${label}`}
                 />
@@ -289,7 +299,7 @@ const GraphicalLapseReport = () => {
                     const i = name.lastIndexOf('_');
                     const site = name.substring(0, i);
                     const cat = name.substring(i + 1);
-                    return `${site} ${cLabels[cat] || cat}`;
+                    return `${site} ${getPeriodLabel(cat, periodDefinition)}`;
                   }}
                 />
                 {seriesKeys.map(({ key, color }) => (
@@ -314,7 +324,7 @@ const GraphicalLapseReport = () => {
                     const i = name.lastIndexOf('_');
                     const site = name.substring(0, i);
                     const cat = name.substring(i + 1);
-                    return [value, `${site} ${cLabels[cat] || cat}`];
+                    return [value, `${site} ${getPeriodLabel(cat, periodDefinition)}`];
                   }}
                   labelFormatter={label => `Month: ${label}`}
                 />
@@ -323,7 +333,7 @@ const GraphicalLapseReport = () => {
                     const i = name.lastIndexOf('_');
                     const site = name.substring(0, i);
                     const cat = name.substring(i + 1);
-                    return `${site} ${cLabels[cat] || cat}`;
+                    return `${site} ${getPeriodLabel(cat, periodDefinition)}`;
                   }}
                 />
                 {seriesKeys.map(({ key, color }) => (
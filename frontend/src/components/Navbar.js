@@ -47,11 +47,17 @@ import {
   Person as PersonIcon,
   Business as BusinessIcon,
   History as HistoryIcon,
-  Edit as EditIcon
+  Edit as EditIcon,
+  Lock as LockIcon,
+  Devices as DevicesIcon
 } from '@mui/icons-material';
+import { useSnackbar } from 'notistack';
 import { useAuth } from '../context/AuthContext';
 import { useNavigation } from '../context/NavigationContext';
 import { hasPermission } from '../utils/permissions';
+import userApi from '../services/userApi';
+import PasswordDialog from './common/PasswordDialog';
+import SessionsDialog from './common/SessionsDialog';
 import logo from '../assets/logo.png'; 
 
 const roleColors = {
@@ -68,12 +74,15 @@ const Navbar = () => {
   const navigate = useNavigation();
   const location = useLocation();
   const { user, logout } = useAuth();
+  const { enqueueSnackbar } = useSnackbar();
   
   // State
   const [anchorEl, setAnchorEl] = useState(null);
   const [mobileOpen, setMobileOpen] = useState(false);
   const [isLogouting, setIsLogouting] = useState(false);
   const [isProfileOpen, setIsProfileOpen] = useState(false);
+  const [isChangePasswordOpen, setIsChangePasswordOpen] = useState(false);
+  const [isSessionsOpen, setIsSessionsOpen] = useState(false);
 
   // Ref for anchor element
   const anchorRef = useRef(null);
@@ -238,6 +247,24 @@ const Navbar = () => {
   };
 
 
+  const handleOpenChangePassword = () => {
+    setIsChangePasswordOpen(true);
+    handleUserMenuClose();
+  };
+
+
+  const handleChangePassword = async ({ currentPassword, newPassword }) => {
+    await userApi.changePassword(currentPassword, newPassword);
+    enqueueSnackbar('Password changed successfully', { variant: 'success' });
+  };
+
+
+  const handleOpenSessions = () => {
+    setIsSessionsOpen(true);
+    handleUserMenuClose();
+  };
+
+
   const getRoleColor = (role) => {
     if (!role) return roleColors.user;
     const roleLower = role.toLowerCase();
@@ -414,6 +441,16 @@ const Navbar = () => {
         View Full Profile
       </MenuItem>
 
+      <MenuItem onClick={handleOpenChangePassword}>
+        <LockIcon sx={{ mr: 1, color: 'primary.main' }} />
+        Change Password
+      </MenuItem>
+
+      <MenuItem onClick={handleOpenSessions}>
+        <DevicesIcon sx={{ mr: 1, color: 'primary.main' }} />
+        Active Sessions
+      </MenuItem>
+
       {isSuperAdmin && (
         <MenuItem onClick={() => handleNavigation('/users')}>
           <PeopleIcon sx={{ mr: 1, color: 'secondary.main' }} />
@@ -670,6 +707,20 @@ const Navbar = () => {
         <UserMenu />
         {isMobile && <MobileDrawer />}
 
+        <PasswordDialog
+          open={isChangePasswordOpen}
+          onClose={() => setIsChangePasswordOpen(false)}
+          onSubmit={handleChangePassword}
+          title="Change Password"
+          requireCurrent
+        />
+
+        <SessionsDialog
+          open={isSessionsOpen}
+          onClose={() => setIsSessionsOpen(false)}
+          onSignedOut={(message) => enqueueSnackbar(message, { variant: 'success' })}
+        />
+
         {/* Profile Dialog */}
         <Dialog
           open={isProfileOpen}
@@ -6,10 +6,12 @@ import {
   Table, TableBody, TableCell, TableContainer, TableHead, TableRow,
   Switch, FormControlLabel
 } from '@mui/material';
-import { Add as AddIcon, Refresh as RefreshIcon, Edit as EditIcon, Delete as DeleteIcon, ViewModule as ViewModuleIcon, ViewList as ViewListIcon, Factory as FactoryIcon } from '@mui/icons-material';
+import { Add as AddIcon, Refresh as RefreshIcon, Edit as EditIcon, Delete as DeleteIcon, ViewModule as ViewModuleIcon, ViewList as ViewListIcon, Factory as FactoryIcon, UploadFile as UploadFileIcon } from '@mui/icons-material';
 import productionSiteApi from '../../services/productionSiteApi';
 import ProductionSiteCard from './ProductionSiteCard';
 import ProductionSiteDialog from './ProductionSiteDialog';
+import MeterReadingImportDialog from '../common/MeterReadingImportDialog';
+import ProductionChargeImportDialog from './ProductionChargeImportDialog';
 import { useAuth } from '../../context/AuthContext';
 import { hasPermission } from '../../utils/permissions';
 import useSiteAccess from '../../hooks/useSiteAccess';
@@ -38,6 +40,8 @@ const Production = () => {
   const [selectedSite, setSelectedSite] = useState(null);
   const [isEditing, setIsEditing] = useState(false);
   const [viewMode, setViewMode] = useState('card'); // 'card' or 'table'
+  const [importDialogOpen, setImportDialogOpen] = useState(false);
+  const [chargeImportDialogOpen, setChargeImportDialogOpen] = useState(false);
   const [retryCount, setRetryCount] = useState(0);
 
   const { updateSiteAccess, updatingAccess: accessUpdating } = useSiteAccess();
@@ -64,7 +68,9 @@ const Production = () => {
     create: hasPermission(user, 'production', 'CREATE'),
     read: hasPermission(user, 'production', 'READ'),
     update: hasPermission(user, 'production', 'UPDATE'),
-    delete: hasPermission(user, 'production', 'DELETE')
+    delete: hasPermission(user, 'production', 'DELETE'),
+    importReadings: hasPermission(user, 'production-units', 'CREATE') && hasPermission(user, 'consumption-units', 'CREATE'),
+    importCharges: hasPermission(user, 'production-charges', 'CREATE')
   }), [user]);
 
   // Check if user has access to any production sites or can create new ones
@@ -991,6 +997,20 @@ const Production = () => {
         isEditing={isEditing}
       />
 
+      <MeterReadingImportDialog
+        open={importDialogOpen}
+        onClose={() => setImportDialogOpen(false)}
+        companyId={user?.companyId}
+        onImported={fetchSites}
+      />
+
+      <ProductionChargeImportDialog
+        open={chargeImportDialogOpen}
+        onClose={() => setChargeImportDialogOpen(false)}
+        companyId={user?.companyId}
+        onImported={fetchSites}
+      />
+
       {/* Header */}
       <Box sx={{ 
         display: 'flex', 
@@ -1028,6 +1048,36 @@ const Production = () => {
               Add Site
             </Button>
           )}
+          {(permissions.importReadings || isAdmin()) && (
+            <Button
+              variant="outlined"
+              startIcon={<UploadFileIcon />}
+              onClick={() => setImportDialogOpen(true)}
+              size="medium"
+              sx={{ 
+                fontWeight: 500,
+                textTransform: 'none',
+                borderRadius: 1.5
+              }}
+            >
+              Import Readings
+            </Button>
+          )}
+          {(permissions.importCharges || isAdmin()) && (
+            <Button
+              variant="outlined"
+              startIcon={<UploadFileIcon />}
+              onClick={() => setChargeImportDialogOpen(true)}
+              size="medium"
+              sx={{ 
+                fontWeight: 500,
+                textTransform: 'none',
+                borderRadius: 1.5
+              }}
+            >
+              Import Charges
+            </Button>
+          )}
           <Button
             variant="outlined"
             startIcon={<RefreshIcon />}
@@ -0,0 +1,215 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useSnackbar } from 'notistack';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  TextField,
+  Typography,
+  Alert,
+  Chip,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { UploadFile as UploadFileIcon } from '@mui/icons-material';
+import productionChargeApi from '../../services/productionChargeapi';
+import { readStatementFile, toStatementMonth } from '../../utils/statementFile';
+
+const STATUS_COLORS = {
+  new: 'success',
+  changed: 'warning',
+  unchanged: 'default'
+};
+
+const describeCharges = (charge) => (
+  charge.status === 'changed'
+    ? charge.changes.map(change => `${change.field}: ${change.from} → ${change.to}`).join('; ')
+    : Object.entries(charge.charges).map(([field, amount]) => `${field.toUpperCase()}: ${amount}`).join('; ')
+);
+
+/**
+ * Upload a month's generator charge statement (CSV or XLSX) covering all
+ * production sites, check it against the charge-code master and review the
+ * changes before saving.
+ */
+const ProductionChargeImportDialog = ({ open, onClose, companyId, onImported }) => {
+  const { enqueueSnackbar } = useSnackbar();
+  const [file, setFile] = useState(null);
+  const [month, setMonth] = useState('');
+  const [rows, setRows] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reset = () => {
+    setFile(null);
+    setRows([]);
+    setPreview(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handleFileChange = (event) => {
+    reset();
+    setFile(event.target.files?.[0] || null);
+    event.target.value = '';
+  };
+
+  const handlePreview = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const statementRows = await readStatementFile(file);
+      const result = await productionChargeApi.previewImport({
+        companyId,
+        month: toStatementMonth(month),
+        rows: statementRows
+      });
+      setRows(statementRows);
+      setPreview(result);
+    } catch (err) {
+      setPreview(null);
+      setError(err.response?.data?.message || err.message || 'Could not read the statement');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const versions = Object.fromEntries(preview.charges.map(charge => [
+        `${charge.productionSiteId}_${charge.month}`,
+        charge.version
+      ]));
+      const result = await productionChargeApi.importCharges({
+        companyId,
+        month: toStatementMonth(month),
+        rows,
+        versions
+      });
+      enqueueSnackbar(result.message || 'Charges imported', { variant: 'success' });
+      onImported?.(result.data);
+      handleClose();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Import failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const summary = preview?.summary;
+  const failedRows = preview ? preview.rows.filter(row => row.errors.length > 0) : [];
+  const canImport = summary && summary.errors === 0 && summary.new + summary.changed > 0;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Import Production Charges</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Upload the generator statement as CSV or XLSX with an HTSC number per row and either one column per
+          charge code in the charge-code master (C001, C002, ...) or Charge Code and Amount columns. Choose the
+          statement month if the file has no month column.
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+          <Button variant="outlined" component="label" startIcon={<UploadFileIcon />} disabled={loading}>
+            {file ? file.name : 'Choose file'}
+            <input type="file" hidden accept=".csv,.xlsx,.xls" onChange={handleFileChange} />
+          </Button>
+          <TextField
+            label="Statement month"
+            type="month"
+            size="small"
+            value={month}
+            onChange={(event) => { setMonth(event.target.value); setPreview(null); }}
+            InputLabelProps={{ shrink: true }}
+          />
+          <Button variant="contained" onClick={handlePreview} disabled={!file || loading}>
+            Preview
+          </Button>
+          {loading && <CircularProgress size={24} />}
+        </Box>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {summary && (
+          <>
+            <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+              <Chip label={`${summary.new} new`} color="success" size="small" />
+              <Chip label={`${summary.changed} changed`} color="warning" size="small" />
+              <Chip label={`${summary.unchanged} unchanged`} size="small" />
+              <Chip label={`${summary.errors} row(s) with errors`} color="error" size="small" />
+            </Box>
+            {failedRows.length > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                <Typography variant="body2" sx={{ mb: 1 }}>
+                  Fix these rows in the statement and preview it again; nothing is saved until every row is valid.
+                </Typography>
+                {failedRows.map(row => (
+                  <Typography key={row.rowNumber} variant="body2">
+                    Row {row.rowNumber}{row.htscNo ? ` (${row.htscNo})` : ''}: {row.errors.join('; ')}
+                  </Typography>
+                ))}
+              </Alert>
+            )}
+            <TableContainer sx={{ maxHeight: 420 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Site</TableCell>
+                    <TableCell>Month</TableCell>
+                    <TableCell>Rows</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Charges</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {preview.charges.map(charge => (
+                    <TableRow key={`${charge.productionSiteId}_${charge.month}`}>
+                      <TableCell>{charge.siteName}</TableCell>
+                      <TableCell>{charge.month}</TableCell>
+                      <TableCell>{charge.rowNumbers.join(', ')}</TableCell>
+                      <TableCell>
+                        <Chip label={charge.status} color={STATUS_COLORS[charge.status]} size="small" variant="outlined" />
+                      </TableCell>
+                      <TableCell>{describeCharges(charge) || '-'}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={loading}>Cancel</Button>
+        <Button onClick={handleImport} variant="contained" disabled={!canImport || loading}>
+          {summary ? `Import ${summary.new + summary.changed} site month(s)` : 'Import'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+ProductionChargeImportDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  companyId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  onImported: PropTypes.func
+};
+
+export default ProductionChargeImportDialog;
@@ -12,7 +12,7 @@ import {
   Alert,
   IconButton
 } from '@mui/material';
-import { ArrowBack as ArrowBackIcon, Add as AddIcon } from '@mui/icons-material';
+import { ArrowBack as ArrowBackIcon, Add as AddIcon, Share as ShareIcon } from '@mui/icons-material';
 import { useSnackbar } from 'notistack';
 import productionSiteApi from '../../services/productionSiteApi';
 import productionUnitApi from '../../services/productionUnitApi';
@@ -20,6 +20,7 @@ import productionChargeApi from '../../services/productionChargeApi';
 import SiteInfoCard from './SiteInfoCard';
 import ProductionChargeTable from './ProductionChargeTable';
 import UnitTable from './UnitTable';
+import ShareLinkDialog from '../common/ShareLinkDialog';
 import ProductionSiteDataForm from './ProductionSiteDataForm';
 import { formatSK, formatDisplayDate } from '../../utils/dateUtils';
 import { useAuth } from '../../context/AuthContext';
@@ -42,6 +43,7 @@ const ProductionSiteDetails = () => {
     data: null,
     isCopy: false
   });
+  const [isShareOpen, setIsShareOpen] = useState(false);
 
   // Define fetchData first
   const fetchData = useCallback(async () => {
@@ -86,7 +88,8 @@ const ProductionSiteDetails = () => {
       read: hasPermission(user, 'production-charges', 'READ'),
       update: hasPermission(user, 'production-charges', 'UPDATE'),
       delete: hasPermission(user, 'production-charges', 'DELETE')
-    }
+    },
+    share: hasPermission(user, 'production', 'UPDATE')
   }), [user]);
 
   // Handlers that depend on fetchData
@@ -361,6 +364,16 @@ const ProductionSiteDetails = () => {
           <ArrowBackIcon />
         </IconButton>
         <Typography variant="h5" color="primary">Production Site Details</Typography>
+        {permissions.share && (
+          <Button
+            variant="outlined"
+            startIcon={<ShareIcon />}
+            onClick={() => setIsShareOpen(true)}
+            sx={{ ml: 'auto' }}
+          >
+            Share
+          </Button>
+        )}
       </Box>
 
       {error && (
@@ -400,6 +413,15 @@ const ProductionSiteDetails = () => {
               />
             </DialogContent>
           </Dialog>
+
+          <ShareLinkDialog
+            open={isShareOpen}
+            onClose={() => setIsShareOpen(false)}
+            siteType="production"
+            companyId={companyId}
+            siteId={productionSiteId}
+            siteName={siteData.site?.name}
+          />
         </>
       )}
     </Box>
@@ -35,6 +35,8 @@ const INITIAL_FORM_STATE = {
   type: '',
   status: '',
   banking: 0,
+  bankingChargePercentage: '',
+  bankingChargeByPeriod: {},
   annualProduction_L: '',
   revenuePerUnit: '',
   dateOfCommission: null,
@@ -166,6 +168,8 @@ const ProductionSiteForm = ({ initialData, onSubmit, onCancel, loading, site, co
             revenuePerUnit: site.revenuePerUnit != null ? parseFloat(site.revenuePerUnit) : '',
             status: validStatus,
             banking: validStatus && INACTIVE_STATUSES.includes(validStatus) ? 0 : (site.banking ? 1 : 0),
+            bankingChargePercentage: site.bankingChargePercentage != null ? parseFloat(site.bankingChargePercentage) : '',
+            bankingChargeByPeriod: site.bankingChargeByPeriod || {},
             dateOfCommission: parsedDateOfCommission,
             companyId: siteCompanyId,
             companyName: company.companyName,
@@ -222,6 +226,9 @@ const ProductionSiteForm = ({ initialData, onSubmit, onCancel, loading, site, co
       newErrors.annualProduction_L = 'Annual production cannot be negative';
     if (data.revenuePerUnit !== undefined && data.revenuePerUnit !== '' && (isNaN(data.revenuePerUnit) || data.revenuePerUnit < 0))
       newErrors.revenuePerUnit = 'Revenue per unit cannot be negative';
+    if (data.bankingChargePercentage !== undefined && data.bankingChargePercentage !== '' &&
+        (isNaN(data.bankingChargePercentage) || data.bankingChargePercentage < 0 || data.bankingChargePercentage > 100))
+      newErrors.bankingChargePercentage = 'Banking charge must be between 0 and 100%';
     if (data.dateOfCommission && new Date(data.dateOfCommission) > new Date())
       newErrors.dateOfCommission = 'Date of commission cannot be in the future';
 
@@ -476,6 +483,20 @@ const ProductionSiteForm = ({ initialData, onSubmit, onCancel, loading, site, co
                 />
               </Grid>
 
+              {!!formData.banking && (
+                <Grid item xs={12} sm={6}>
+                  <TextField
+                    fullWidth type="number" name="bankingChargePercentage" label="Banking Charge (%)"
+                    value={formData.bankingChargePercentage} onChange={handleChange}
+                    inputProps={{ step: '0.01', min: '0', max: '100' }}
+                    error={touched.bankingChargePercentage && !!errors.bankingChargePercentage}
+                    helperText={(touched.bankingChargePercentage && errors.bankingChargePercentage) ||
+                      'Deducted from surplus units when they are banked'}
+                    InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+                  />
+                </Grid>
+              )}
+
               <Grid item xs={12} sm={6}>
                 <TextField
                   fullWidth type="number" name="annualProduction_L" label="Annual Production (L)"
@@ -79,6 +79,7 @@ export const createFormVAWorksheet = (workbook, apiResponse, financialYear) => {
     // Parse all numeric values safely
     const totalGenerated = safeParseNumber(data.totalGeneratedUnits);
     const auxiliaryConsumption = safeParseNumber(data.auxiliaryConsumption);
+    const bankingCharge = safeParseNumber(data.bankingChargeUnits);
     const aggregateGeneration = safeParseNumber(data.aggregateGeneration);
     const fiftyOnePercent = safeParseNumber(data.percentage51);
     const actualConsumed = safeParseNumber(data.totalAllocatedUnits);
@@ -99,6 +100,7 @@ export const createFormVAWorksheet = (workbook, apiResponse, financialYear) => {
       // Data rows
       [1, 'Total Generated units of a generating plant / Station identified for captive use', totalGenerated],
       [2, 'Less : Auxiliary Consumption in the above in units', auxiliaryConsumption],
+      ...(bankingCharge > 0 ? [['2(a)', 'Less : Banking charge (units deducted when banked)', bankingCharge]] : []),
       [3, 'Net units available for captive consumption (Aggregate generation for captive use)', aggregateGeneration],
       [4, '51% of aggregate generation available for captive consumption in units', fiftyOnePercent],
       [5, 'Actual Adjusted / Consumed units by the captive users', actualConsumed],
@@ -137,6 +139,7 @@ export const createFormVAWorksheet = (workbook, apiResponse, financialYear) => {
       { hpt: 40 },  // Header row
       { hpt: 30 },  // Data row 1
       { hpt: 30 },  // Data row 2
+      ...(bankingCharge > 0 ? [{ hpt: 30 }] : []),  // Data row 2(a)
       { hpt: 35 },  // Data row 3 (slightly taller)
       { hpt: 35 },  // Data row 4
       { hpt: 30 },  // Data row 5
@@ -284,6 +284,7 @@ const Report = () => {
     console.log('Form V-A Data:', {
       totalGeneratedUnits: data.totalGeneratedUnits,
       auxiliaryConsumption: data.auxiliaryConsumption,
+      bankingChargeUnits: data.bankingChargeUnits,
       aggregateGeneration: data.aggregateGeneration,
       percentage51: data.percentage51,
       totalAllocatedUnits: data.totalAllocatedUnits,
@@ -302,6 +303,11 @@ const Report = () => {
         'Particulars': 'Less : Auxiliary Consumption in the above in units', 
         'Energy in Units': formatNumber(data.auxiliaryConsumption)
       },
+      ...(Number(data.bankingChargeUnits) > 0 ? [{
+        'Sl.No.': '2(a)',
+        'Particulars': 'Less : Banking charge (units deducted when banked)',
+        'Energy in Units': formatNumber(data.bankingChargeUnits)
+      }] : []),
       { 
         'Sl.No.': 3, 
         'Particulars': 'Net units available for captive consumption (Aggregate generation for captive use)', 
@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useSnackbar } from 'notistack';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  TextField,
+  Typography,
+  Alert,
+  Chip,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tooltip
+} from '@mui/material';
+import { UploadFile as UploadFileIcon } from '@mui/icons-material';
+import meterReadingApi from '../../services/meterReadingApi';
+import { readStatementFile, toStatementMonth } from '../../utils/statementFile';
+
+const STATUS_COLORS = {
+  new: 'success',
+  changed: 'warning',
+  unchanged: 'default',
+  error: 'error'
+};
+
+const describeRow = (row) => {
+  if (row.errors.length > 0) return row.errors.join('; ');
+  const changes = row.changes.map(change => `${change.field}: ${change.from} → ${change.to}`);
+  return [...changes, ...row.warnings].join('; ');
+};
+
+/**
+ * Upload a DISCOM/SLDC monthly energy statement (CSV or XLSX), review how
+ * each HTSC number maps to a site and what would change, then save the
+ * production and consumption units in one go.
+ */
+const MeterReadingImportDialog = ({ open, onClose, companyId, onImported }) => {
+  const { enqueueSnackbar } = useSnackbar();
+  const [file, setFile] = useState(null);
+  const [month, setMonth] = useState('');
+  const [rows, setRows] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reset = () => {
+    setFile(null);
+    setRows([]);
+    setPreview(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handleFileChange = (event) => {
+    reset();
+    setFile(event.target.files?.[0] || null);
+    event.target.value = '';
+  };
+
+  const handlePreview = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const statementRows = await readStatementFile(file);
+      const result = await meterReadingApi.previewImport({
+        companyId,
+        month: toStatementMonth(month),
+        rows: statementRows
+      });
+      setRows(statementRows);
+      setPreview(result);
+    } catch (err) {
+      setPreview(null);
+      setError(err.response?.data?.message || err.message || 'Could not read the statement');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const versions = Object.fromEntries(preview.rows.map(row => [row.rowNumber, row.version]));
+      const result = await meterReadingApi.importReadings({
+        companyId,
+        month: toStatementMonth(month),
+        rows,
+        versions
+      });
+      enqueueSnackbar(result.message || 'Meter readings imported', { variant: 'success' });
+      onImported?.(result.data);
+      handleClose();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Import failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const summary = preview?.summary;
+  const canImport = summary && summary.error === 0 && summary.new + summary.changed > 0;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Import Meter Readings</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Upload the monthly energy statement as CSV or XLSX. Each row needs an HTSC number; production
+          sites need export_c1 to export_c5 (and import_c1 to import_c5), consumption sites need c1 to c5.
+          Choose the statement month if the file has no month column.
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+          <Button variant="outlined" component="label" startIcon={<UploadFileIcon />} disabled={loading}>
+            {file ? file.name : 'Choose file'}
+            <input type="file" hidden accept=".csv,.xlsx,.xls" onChange={handleFileChange} />
+          </Button>
+          <TextField
+            label="Statement month"
+            type="month"
+            size="small"
+            value={month}
+            onChange={(event) => { setMonth(event.target.value); setPreview(null); }}
+            InputLabelProps={{ shrink: true }}
+          />
+          <Button variant="contained" onClick={handlePreview} disabled={!file || loading}>
+            Preview
+          </Button>
+          {loading && <CircularProgress size={24} />}
+        </Box>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {summary && (
+          <>
+            <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+              <Chip label={`${summary.new} new`} color="success" size="small" />
+              <Chip label={`${summary.changed} changed`} color="warning" size="small" />
+              <Chip label={`${summary.unchanged} unchanged`} size="small" />
+              <Chip label={`${summary.error} with errors`} color="error" size="small" />
+            </Box>
+            {summary.error > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                Fix the rows with errors in the statement and preview it again; nothing is saved until every row is valid.
+              </Alert>
+            )}
+            <TableContainer sx={{ maxHeight: 420 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Row</TableCell>
+                    <TableCell>HTSC No</TableCell>
+                    <TableCell>Month</TableCell>
+                    <TableCell>Site</TableCell>
+                    <TableCell>Type</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Details</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {preview.rows.map(row => (
+                    <TableRow key={row.rowNumber}>
+                      <TableCell>{row.rowNumber}</TableCell>
+                      <TableCell>{row.htscNo || '-'}</TableCell>
+                      <TableCell>{row.month || '-'}</TableCell>
+                      <TableCell>{row.siteName || '-'}</TableCell>
+                      <TableCell>{row.siteType || '-'}</TableCell>
+                      <TableCell>
+                        <Chip label={row.status} color={STATUS_COLORS[row.status]} size="small" variant="outlined" />
+                      </TableCell>
+                      <TableCell sx={{ maxWidth: 420 }}>
+                        <Tooltip title={describeRow(row)}>
+                          <Typography variant="body2" noWrap color={row.errors.length > 0 ? 'error' : 'text.primary'}>
+                            {describeRow(row) || '-'}
+                          </Typography>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={loading}>Cancel</Button>
+        <Button onClick={handleImport} variant="contained" disabled={!canImport || loading}>
+          {summary ? `Import ${summary.new + summary.changed} reading(s)` : 'Import'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+MeterReadingImportDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  companyId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  onImported: PropTypes.func
+};
+
+export default MeterReadingImportDialog;
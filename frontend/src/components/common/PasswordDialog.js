@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Alert,
+  Stack,
+  CircularProgress
+} from '@mui/material';
+
+const PASSWORD_HINT = 'At least 8 characters, including a letter and a digit';
+
+/**
+ * Dialog for changing your own password (requireCurrent) or setting another
+ * user's password as an administrator. The server applies the password policy
+ * and its message is shown when the password is rejected.
+ */
+const PasswordDialog = ({ open, onClose, onSubmit, title, requireCurrent }) => {
+  const [values, setValues] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setValues({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      setError(null);
+    }
+  }, [open]);
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setValues(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (requireCurrent && !values.currentPassword) {
+      setError('Current password is required');
+      return;
+    }
+    if (values.newPassword !== values.confirmPassword) {
+      setError('New passwords do not match');
+      return;
+    }
+
+    setError(null);
+    setSubmitting(true);
+    try {
+      await onSubmit({
+        currentPassword: requireCurrent ? values.currentPassword : undefined,
+        newPassword: values.newPassword
+      });
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to save password');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={submitting ? undefined : onClose} maxWidth="xs" fullWidth>
+      <form onSubmit={handleSubmit} noValidate>
+        <DialogTitle>{title}</DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            {error && <Alert severity="error">{error}</Alert>}
+            {requireCurrent && (
+              <TextField
+                name="currentPassword"
+                label="Current Password"
+                type="password"
+                autoComplete="current-password"
+                value={values.currentPassword}
+                onChange={handleChange}
+                fullWidth
+                required
+              />
+            )}
+            <TextField
+              name="newPassword"
+              label="New Password"
+              type="password"
+              autoComplete="new-password"
+              value={values.newPassword}
+              onChange={handleChange}
+              helperText={PASSWORD_HINT}
+              fullWidth
+              required
+            />
+            <TextField
+              name="confirmPassword"
+              label="Confirm New Password"
+              type="password"
+              autoComplete="new-password"
+              value={values.confirmPassword}
+              onChange={handleChange}
+              fullWidth
+              required
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose} disabled={submitting}>Cancel</Button>
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={submitting || !values.newPassword}
+            startIcon={submitting ? <CircularProgress size={18} color="inherit" /> : null}
+          >
+            Save Password
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+PasswordDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  title: PropTypes.string.isRequired,
+  requireCurrent: PropTypes.bool
+};
+
+PasswordDialog.defaultProps = {
+  requireCurrent: false
+};
+
+export default PasswordDialog;
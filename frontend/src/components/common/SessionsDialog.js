@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Alert,
+  Chip,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import userApi from '../../services/userApi';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+/**
+ * Lists the signed-in user's active sessions, one per login, with sign-out
+ * for any single session or for all sessions but the current one.
+ */
+const SessionsDialog = ({ open, onClose, onSignedOut }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadSessions = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await userApi.getSessions();
+      setSessions(response?.data || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) {
+      loadSessions();
+    }
+  }, [open, loadSessions]);
+
+  const handleSignOut = async (sessionId) => {
+    setBusyId(sessionId);
+    setError(null);
+    try {
+      const response = await userApi.revokeSession(sessionId);
+      onSignedOut?.(response?.message || 'Session signed out');
+      await loadSessions();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to sign out session');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSignOutOthers = async () => {
+    setBusyId('others');
+    setError(null);
+    try {
+      const response = await userApi.revokeOtherSessions();
+      onSignedOut?.(response?.message || 'Signed out other sessions');
+      await loadSessions();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to sign out sessions');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const hasOtherSessions = sessions.some(session => !session.current);
+
+  return (
+    <Dialog open={open} onClose={busyId ? undefined : onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Active Sessions</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {loading ? (
+          <CircularProgress size={24} />
+        ) : sessions.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">No active sessions</Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Device</TableCell>
+                <TableCell>IP Address</TableCell>
+                <TableCell>Signed In</TableCell>
+                <TableCell>Last Active</TableCell>
+                <TableCell align="right" />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {sessions.map(session => (
+                <TableRow key={session.sessionId}>
+                  <TableCell sx={{ maxWidth: 260, wordBreak: 'break-word' }}>
+                    {session.userAgent || 'Unknown device'}
+                    {session.current && (
+                      <Chip label="This session" size="small" color="primary" sx={{ ml: 1 }} />
+                    )}
+                  </TableCell>
+                  <TableCell>{session.ip || '-'}</TableCell>
+                  <TableCell>{formatDateTime(session.createdAt)}</TableCell>
+                  <TableCell>{formatDateTime(session.lastUsedAt)}</TableCell>
+                  <TableCell align="right">
+                    {!session.current && (
+                      <Button
+                        size="small"
+                        color="error"
+                        onClick={() => handleSignOut(session.sessionId)}
+                        disabled={Boolean(busyId)}
+                      >
+                        {busyId === session.sessionId ? <CircularProgress size={16} /> : 'Sign Out'}
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button
+          color="error"
+          onClick={handleSignOutOthers}
+          disabled={Boolean(busyId) || !hasOtherSessions}
+          startIcon={busyId === 'others' ? <CircularProgress size={18} color="inherit" /> : null}
+        >
+          Sign Out Other Sessions
+        </Button>
+        <Button onClick={onClose} disabled={Boolean(busyId)}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+SessionsDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSignedOut: PropTypes.func
+};
+
+SessionsDialog.defaultProps = {
+  onSignedOut: null
+};
+
+export default SessionsDialog;
@@ -0,0 +1,313 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  MenuItem,
+  Alert,
+  Stack,
+  Chip,
+  CircularProgress,
+  IconButton,
+  InputAdornment,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  ContentCopy as CopyIcon,
+  History as HistoryIcon,
+  LinkOff as LinkOffIcon
+} from '@mui/icons-material';
+import shareLinkApi from '../../services/shareLinkApi';
+import { formatDisplayDate } from '../../utils/dateUtils';
+
+const EXPIRY_OPTIONS = [
+  { hours: 24, label: '1 day' },
+  { hours: 72, label: '3 days' },
+  { hours: 168, label: '7 days' },
+  { hours: 720, label: '30 days' }
+];
+
+const STATUS_COLORS = { active: 'success', expired: 'default', revoked: 'error' };
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+// <input type="month"> value (YYYY-MM) → MMYYYY used for site data
+const toMonthKey = (value) => (value ? `${value.slice(5, 7)}${value.slice(0, 4)}` : '');
+
+const currentMonthValue = () => new Date().toISOString().slice(0, 7);
+
+/**
+ * Create, list and revoke share links for one site. A link opens that site's
+ * data for a single month without signing in, until it expires or is revoked.
+ */
+const ShareLinkDialog = ({ open, onClose, siteType, companyId, siteId, siteName }) => {
+  const [month, setMonth] = useState(currentMonthValue());
+  const [expiresInHours, setExpiresInHours] = useState(72);
+  const [links, setLinks] = useState([]);
+  const [createdUrl, setCreatedUrl] = useState(null);
+  const [audit, setAudit] = useState({ shareId: null, entries: [], loading: false });
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadLinks = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await shareLinkApi.getBySite(siteType, companyId, siteId);
+      setLinks(response?.data || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load share links');
+    } finally {
+      setLoading(false);
+    }
+  }, [siteType, companyId, siteId]);
+
+  useEffect(() => {
+    if (open) {
+      setCreatedUrl(null);
+      setAudit({ shareId: null, entries: [], loading: false });
+      setError(null);
+      loadLinks();
+    }
+  }, [open, loadLinks]);
+
+  const handleCreate = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await shareLinkApi.create({
+        siteType,
+        companyId,
+        siteId,
+        month: toMonthKey(month),
+        expiresInHours
+      });
+      setCreatedUrl(`${window.location.origin}/shared/${response.data.token}`);
+      await loadLinks();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to create share link');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdUrl);
+    } catch (err) {
+      setError('Could not copy the link; select and copy it instead');
+    }
+  };
+
+  const handleRevoke = async (link) => {
+    if (!window.confirm(`Revoke the link for ${formatDisplayDate(link.month)}? Anyone holding it will lose access.`)) {
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    try {
+      await shareLinkApi.revoke(link);
+      await loadLinks();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to revoke share link');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleShowAudit = async (link) => {
+    if (audit.shareId === link.shareId) {
+      setAudit({ shareId: null, entries: [], loading: false });
+      return;
+    }
+    setAudit({ shareId: link.shareId, entries: [], loading: true });
+    try {
+      const response = await shareLinkApi.getAudit(link);
+      setAudit({ shareId: link.shareId, entries: response?.data || [], loading: false });
+    } catch (err) {
+      setAudit({ shareId: null, entries: [], loading: false });
+      setError(err.response?.data?.message || err.message || 'Failed to load share link audit');
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={busy ? undefined : onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Share {siteName || 'Site'}</DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          {error && <Alert severity="error">{error}</Alert>}
+
+          <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'center' }}>
+            <TextField
+              label="Month"
+              type="month"
+              value={month}
+              onChange={(event) => setMonth(event.target.value)}
+              InputLabelProps={{ shrink: true }}
+              size="small"
+            />
+            <TextField
+              select
+              label="Expires after"
+              value={expiresInHours}
+              onChange={(event) => setExpiresInHours(Number(event.target.value))}
+              size="small"
+              sx={{ minWidth: 160 }}
+            >
+              {EXPIRY_OPTIONS.map(option => (
+                <MenuItem key={option.hours} value={option.hours}>{option.label}</MenuItem>
+              ))}
+            </TextField>
+            <Button
+              variant="contained"
+              onClick={handleCreate}
+              disabled={busy || !month}
+              startIcon={busy ? <CircularProgress size={18} color="inherit" /> : null}
+            >
+              Create Link
+            </Button>
+          </Stack>
+
+          {createdUrl && (
+            <Alert severity="success">
+              Copy this link now; it is not shown again.
+              <TextField
+                value={createdUrl}
+                fullWidth
+                size="small"
+                sx={{ mt: 1 }}
+                InputProps={{
+                  readOnly: true,
+                  endAdornment: (
+                    <InputAdornment position="end">
+                      <IconButton size="small" onClick={handleCopy} aria-label="copy link">
+                        <CopyIcon fontSize="small" />
+                      </IconButton>
+                    </InputAdornment>
+                  )
+                }}
+              />
+            </Alert>
+          )}
+
+          <Typography variant="subtitle1">Links for this site</Typography>
+          {loading ? (
+            <CircularProgress size={24} />
+          ) : links.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">No links have been created</Typography>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Month</TableCell>
+                  <TableCell>Created By</TableCell>
+                  <TableCell>Created</TableCell>
+                  <TableCell>Expires</TableCell>
+                  <TableCell align="right">Views</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right" />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {links.map(link => (
+                  <TableRow key={link.shareId} selected={audit.shareId === link.shareId}>
+                    <TableCell>{formatDisplayDate(link.month)}</TableCell>
+                    <TableCell>{link.createdBy}</TableCell>
+                    <TableCell>{formatDateTime(link.createdAt)}</TableCell>
+                    <TableCell>{formatDateTime(link.expiresAt)}</TableCell>
+                    <TableCell align="right">{link.viewCount || 0}</TableCell>
+                    <TableCell>
+                      <Chip label={link.status} size="small" color={STATUS_COLORS[link.status] || 'default'} />
+                    </TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      <Tooltip title="Audit Trail">
+                        <IconButton size="small" onClick={() => handleShowAudit(link)} aria-label="audit trail">
+                          <HistoryIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      {link.status === 'active' && (
+                        <Tooltip title="Revoke">
+                          <span>
+                            <IconButton
+                              size="small"
+                              color="error"
+                              onClick={() => handleRevoke(link)}
+                              disabled={busy}
+                              aria-label="revoke"
+                            >
+                              <LinkOffIcon fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+
+          {audit.shareId && (
+            <>
+              <Typography variant="subtitle1">Audit Trail</Typography>
+              {audit.loading ? (
+                <CircularProgress size={24} />
+              ) : (
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Time</TableCell>
+                      <TableCell>Event</TableCell>
+                      <TableCell>By</TableCell>
+                      <TableCell>IP Address</TableCell>
+                      <TableCell>Device</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {audit.entries.map(entry => (
+                      <TableRow key={entry.eventId}>
+                        <TableCell>{formatDateTime(entry.timestamp)}</TableCell>
+                        <TableCell>{entry.reason ? `${entry.event} (${entry.reason})` : entry.event}</TableCell>
+                        <TableCell>{entry.actor || 'Link holder'}</TableCell>
+                        <TableCell>{entry.ip || '-'}</TableCell>
+                        <TableCell sx={{ maxWidth: 220, wordBreak: 'break-word' }}>{entry.userAgent || '-'}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </>
+          )}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={busy}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+ShareLinkDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  siteType: PropTypes.oneOf(['production', 'consumption']).isRequired,
+  companyId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  siteId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  siteName: PropTypes.string
+};
+
+ShareLinkDialog.defaultProps = {
+  siteName: null
+};
+
+export default ShareLinkDialog;
@@ -6,6 +6,8 @@ import consumptionSiteApi from '../../services/consumptionSiteApi';
 import bankingApi from '../../services/bankingApi';
 import allocationApi from '../../services/allocationApi';
 import productionUnitApi from '../../services/productionUnitApi';
+import productionChargeApi from '../../services/productionChargeapi';
+import invoiceService from '../../services/invoiceService';
 import { enqueueSnackbar } from 'notistack';
 
 // Utility function to format numbers with Indian locale
@@ -16,17 +18,61 @@ const formatNumber = (num) =>
 const formatCurrency = (num) =>
   num === null || num === undefined || num === '' ? '' : `₹${Number(num).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
 
-// Default invoice data structure
-const getDefaultInvoiceData = (billMonth) => ({
+// Default invoice data structure. Invoice numbers are assigned by the backend
+// when an invoice is issued, so there are none until then.
+const getDefaultInvoiceData = () => ({
   windData: [],
   chargesData: [],
+  taxBreakdown: null,
   windHeaders: [],
-  invoiceNumber: [
-    `STR/001/${billMonth?.split('-')[1] || '08'}/${billMonth?.split('-')[0] || '2025'}`,
-    `STR/002/${billMonth?.split('-')[1] || '08'}/${billMonth?.split('-')[0] || '2025'}`,
-  ],
+  invoiceNumber: [],
 });
 
+// Numbers of the invoices issued for the bill month, cancelled ones excluded
+const getIssuedInvoiceNumbers = (invoicesResponse) => {
+  const invoices = Array.isArray(invoicesResponse?.data?.data) ? invoicesResponse.data.data : [];
+  return invoices
+    .filter(invoice => (invoice.documentType || 'invoice') === 'invoice')
+    .filter(invoice => invoice.invoiceNumber && invoice.status !== 'cancelled')
+    .map(invoice => invoice.invoiceNumber);
+};
+
+// OA charges recorded for the bill month, as { code, amount } with zero amounts dropped
+const getMonthCharges = (chargesResponse, formattedMonth) => {
+  const record = (chargesResponse?.data || []).find(charge => charge.sk === formattedMonth);
+  if (!record) return [];
+  return Object.keys(record)
+    .filter(key => /^c\d{3}$/.test(key) && Number(record[key]))
+    .sort()
+    .map(key => ({ code: key.toUpperCase(), amount: Number(record[key]) }));
+};
+
+// Charge rows for the invoice table, built from the backend tax breakdown so the
+// figures match the stored invoice exactly
+const buildChargesData = (taxBreakdown, consumptionSites) => {
+  if (!taxBreakdown) return [];
+  const blanks = consumptionSites.map(() => '');
+  const rows = [
+    {
+      description: 'OA Adjustment Charges',
+      values: [taxBreakdown.subtotal, ...blanks],
+      details: taxBreakdown.lines.map(line => ({
+        code: line.code,
+        description: line.exempt ? 'Exempt' : `GST ${line.rate}%`,
+        amount: line.amount
+      }))
+    },
+    ...taxBreakdown.taxLines.map(line => ({
+      description: `${line.label} @ ${line.rate}%`,
+      values: [line.amount, ...blanks]
+    }))
+  ];
+  if (taxBreakdown.roundOff) {
+    rows.push({ description: 'Round off', values: [taxBreakdown.roundOff, ...blanks] });
+  }
+  return rows.map((row, index) => ({ slNo: index + 1, ...row }));
+};
+
 const useInvoiceCalculator = (billMonth, selectedSite, siteType, consumptionSite) => {
   const { user } = useAuth();
   
@@ -37,7 +83,7 @@ const useInvoiceCalculator = (billMonth, selectedSite, siteType, consumptionSite
   const [companyName, setCompanyName] = useState('');
   const [productionSites, setProductionSites] = useState([]);
   const [consumptionSites, setConsumptionSites] = useState([]);
-  const [invoiceData, setInvoiceData] = useState(() => getDefaultInvoiceData(billMonth));
+  const [invoiceData, setInvoiceData] = useState(() => getDefaultInvoiceData());
   
   // Memoized values
   const siteTypes = useMemo(() => ['wind', 'solar', 'hybrid'], []);
@@ -193,6 +239,7 @@ const useInvoiceCalculator = (billMonth, selectedSite, siteType, consumptionSite
       return {
         windData: [],
         chargesData: [],
+        taxBreakdown: null,
         windHeaders: [],
         sites: productionSites,
         siteTypes,
@@ -211,10 +258,12 @@ const useInvoiceCalculator = (billMonth, selectedSite, siteType, consumptionSite
       const selectedProdSite = productionSites.find(site => site.id === selectedSite);
       if (!selectedProdSite) throw new Error('Selected production site not found');
       // Fetch invoice-related data
-      const [productionResponse, bankingData, allocationData] = await Promise.all([
+      const [productionResponse, bankingData, allocationData, invoicesResponse, chargesResponse] = await Promise.all([
         productionUnitApi.fetchAll(companyId, selectedSite),
         bankingApi.fetchByPeriod(formattedMonth, companyId),
         allocationApi.fetchAll(formattedMonth, companyId),
+        invoiceService.getInvoices(companyId, { month: formattedMonth }),
+        productionChargeApi.fetchAll(companyId, selectedSite).catch(() => ({ data: [] })),
       ]);
       if (!productionResponse?.data) throw new Error('Failed to fetch production data');
       // Find the correct production data entry
@@ -387,19 +436,28 @@ const useInvoiceCalculator = (billMonth, selectedSite, siteType, consumptionSite
         }
       };
 
+      // Tax is worked out by the backend, the same calculation used for stored invoices
+      const monthCharges = getMonthCharges(chargesResponse, formattedMonth);
+      const taxResult = monthCharges.length > 0
+        ? await invoiceService.calculateTax(companyId, monthCharges)
+        : null;
+      const taxBreakdown = taxResult?.success ? taxResult.data : null;
+
       return {
         windData: createWindData(),
-        chargesData: [], // To implement if needed
+        chargesData: buildChargesData(taxBreakdown, consumptionSites),
+        taxBreakdown,
         windHeaders: headers,
         sites: productionSites,
         siteTypes,
-        invoiceNumber: invoiceData.invoiceNumber,
+        invoiceNumber: getIssuedInvoiceNumbers(invoicesResponse),
       };
     } catch (error) {
       console.error('Error calculating invoice data:', error);
       return {
         windData: [],
         chargesData: [],
+        taxBreakdown: null,
         windHeaders: [],
         sites: productionSites,
         siteTypes,
@@ -460,8 +518,7 @@ const useInvoiceCalculator = (billMonth, selectedSite, siteType, consumptionSite
         setInvoiceData(prev => ({
           ...prev,
           ...calculatedData,
-          // Preserve invoice number if already set
-          invoiceNumber: prev.invoiceNumber || calculatedData.invoiceNumber
+          invoiceNumber: calculatedData.invoiceNumber || prev.invoiceNumber
         }));
       } catch (error) {
         console.error('Error updating invoice data:', error);
@@ -34,7 +34,6 @@ import { startOfMonth, format, parseISO, isValid, subMonths } from 'date-fns';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useReactToPrint } from 'react-to-print';
 import { saveAs } from 'file-saver';
-import { PDFDownloadLink } from '@react-pdf/renderer';
 import { enqueueSnackbar } from 'notistack';
 
 import { useAuth } from '../../context/AuthContext';
@@ -42,7 +41,6 @@ import invoiceService from '../../services/invoiceService';
 import api from '../../services/api';
 import { API_CONFIG } from '../../config/api.config';
 import InvoiceTemplate from './InvoiceTemplate';
-import InvoicePDF from './InvoicePDF';
 import useInvoiceCalculator from './InvoiceCalculator';
 
 const PageWrapper = styled(Container)(({ theme }) => ({
@@ -105,6 +103,7 @@ const InvoicePage = () => {
   const [error, setError] = useState(null);
   const [generatingInvoice, setGeneratingInvoice] = useState(false);
   const [saving, setSaving] = useState(false);
+  const [downloadingPdf, setDownloadingPdf] = useState(false);
   const [siteErrorState, setSiteErrorState] = useState(null);
   const [selectedSite, setSelectedSite] = useState(null);
   const [selectedConsumptionSite, setSelectedConsumptionSite] = useState(null);
@@ -198,9 +197,22 @@ const InvoicePage = () => {
   });
 
   // Handle download as PDF
-  const handleDownloadPdf = () => {
-    // This will be handled by the PDFDownloadLink component
+  const handleDownloadPdf = async () => {
     handleMenuClose();
+    if (!invoice?.invoiceId) return;
+
+    setDownloadingPdf(true);
+    try {
+      const result = await invoiceService.downloadInvoicePdf(invoice.invoiceId, { companyId: user?.companyId });
+      if (!result.success) throw new Error(result.error);
+
+      const fileName = (invoice.invoiceNumber || `invoice-${format(selectedDate, 'yyyy-MM')}`).replace(/[^\w.-]+/g, '-');
+      saveAs(result.data, `${fileName}.pdf`);
+    } catch (err) {
+      enqueueSnackbar(err.message || 'Failed to download invoice PDF', { variant: 'error' });
+    } finally {
+      setDownloadingPdf(false);
+    }
   };
 
   // Fetch invoice data
@@ -244,7 +256,8 @@ const InvoicePage = () => {
 
       if (result.error) throw new Error(result.error);
       
-      const generatedInvoice = result.data;
+      // The service wraps the API response, which itself wraps the stored invoice
+      const generatedInvoice = result.data?.data || result.data;
 
       // Format the invoice data to match our template's expected format
       const formattedInvoice = {
@@ -382,18 +395,10 @@ const InvoicePage = () => {
                   <MenuItem onClick={handlePrint}>
                     <PrintIcon sx={{ mr: 1 }} /> Print
                   </MenuItem>
-                  <PDFDownloadLink
-                    document={<InvoicePDF invoice={invoice} />}
-                    fileName={`invoice-${format(selectedDate, 'yyyy-MM')}.pdf`}
-                    style={{ textDecoration: 'none', color: 'inherit' }}
-                  >
-                    {({ loading }) => (
-                      <MenuItem onClick={handleDownloadPdf} disabled={loading}>
-                        <PdfIcon sx={{ mr: 1 }} />
-                        {loading ? 'Generating PDF...' : 'Download PDF'}
-                      </MenuItem>
-                    )}
-                  </PDFDownloadLink>
+                  <MenuItem onClick={handleDownloadPdf} disabled={downloadingPdf}>
+                    <PdfIcon sx={{ mr: 1 }} />
+                    {downloadingPdf ? 'Generating PDF...' : 'Download PDF'}
+                  </MenuItem>
                   <MenuItem onClick={handleEmailDialogOpen}>
                     <EmailIcon sx={{ mr: 1 }} /> Email Invoice
                   </MenuItem>
@@ -101,7 +101,7 @@ const InvoiceTemplate = ({
     windData = [],
     chargesData = [],
     windHeaders = [],
-    invoiceNumber,
+    invoiceNumber = [],
     formatNumber = (num) => num?.toLocaleString() || '0',
     formatCurrency = (num) => `₹${num?.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
     recalculateInvoice,
@@ -325,7 +325,7 @@ const InvoiceTemplate = ({
 
     {/* Invoice Numbers and Totals */}
     <Box mt={3}>
-      <Typography variant="body1"><b>Invoice Numbers:</b> {invoiceNumber.join(', ')}</Typography>
+      <Typography variant="body1"><b>Invoice Numbers:</b> {invoiceNumber.length > 0 ? invoiceNumber.join(', ') : 'Not yet issued'}</Typography>
     </Box>
     <Box mt={1}>
       <Typography variant="body2" color="textSecondary">
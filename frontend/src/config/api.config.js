@@ -56,7 +56,8 @@ export const API_CONFIG = {
             GET_BY_COMPANIES: (generatorCompanyId, shareholderCompanyId) => `/captive/${generatorCompanyId}/${shareholderCompanyId}`,
             CREATE: '/captive',
             UPDATE: (generatorCompanyId, shareholderCompanyId) => `/captive/${generatorCompanyId}/${shareholderCompanyId}`,
-            DELETE: (generatorCompanyId, shareholderCompanyId) => `/captive/${generatorCompanyId}/${shareholderCompanyId}`
+            DELETE: (generatorCompanyId, shareholderCompanyId) => `/captive/${generatorCompanyId}/${shareholderCompanyId}`,
+            COMPLIANCE: (generatorCompanyId) => `/captive/compliance/${generatorCompanyId}`
         },
         ROLES: {
             BASE: '/roles',
@@ -91,6 +92,9 @@ export const API_CONFIG = {
             },
             CHARGE: {
                 BASE: '/production-charge',
+                CODES: '/production-charge/codes',
+                PREVIEW_IMPORT: '/production-charge/import/preview',
+                IMPORT: '/production-charge/import',
                 GET_ALL: (companyId, productionSiteId) => 
                     `/production-charge/${companyId}/${productionSiteId}/all`,
                 GET_ONE: (companyId, productionSiteId, chargeId) => 
@@ -121,13 +125,19 @@ export const API_CONFIG = {
                 DELETE: (companyId, siteId, sk) => `/consumption-unit/${companyId}/${siteId}/${sk}`
             }
         },
+        METER_READING: {
+            PREVIEW_IMPORT: '/meter-readings/import/preview',
+            IMPORT: '/meter-readings/import'
+        },
         ALLOCATION: {
             BASE: '/allocation',
             GET_ALL: '/allocation/month',
             CREATE: '/allocation',
             UPDATE: (pk, sk) => `/allocation/${pk}/${sk}`,
             DELETE: (pk, sk) => `/allocation/${pk}/${sk}`,
-            BATCH: '/allocation/batch'
+            BATCH: '/allocation/batch',
+            COMMIT: '/allocation/commit',
+            CALCULATE: '/allocation/calculate'
         },
         BANKING: {
             BASE: '/banking',
@@ -139,6 +149,10 @@ export const API_CONFIG = {
             GET_BY_PERIOD: (pk, period) => `/banking/${pk}/period/${period}`,
             GET_BY_MONTH: (month) => `/banking/month/${month}`
         },
+        BANKING_LEDGER: {
+            GET_BY_SITE: (productionSiteId) => `/banking/ledger/${productionSiteId}`,
+            ADJUSTMENTS: '/banking/ledger/adjustments'
+        },
         LAPSE: {
             BASE: '/lapse',
             GET_ALL: '/lapse',
@@ -160,9 +174,58 @@ export const API_CONFIG = {
         INVOICE: {
             BASE: '/invoice',
             GENERATE: '/invoice/generate',
+            CALCULATE_TAX: '/invoice/tax/calculate',
             GET_ALL: '/invoice',
             GET_ONE: (invoiceId) => `/invoice/${invoiceId}`,
-            DOWNLOAD_PDF: (invoiceId) => `/invoice/${invoiceId}/download`
+            UPDATE: (invoiceId) => `/invoice/${invoiceId}`,
+            UPDATE_STATUS: (invoiceId) => `/invoice/${invoiceId}/status`,
+            DOWNLOAD_PDF: (invoiceId) => `/invoice/${invoiceId}/pdf`,
+            ADJUSTMENTS: (invoiceId) => `/invoice/${invoiceId}/adjustments`
+        },
+        TARIFF: {
+            BASE: '/tariff',
+            GET_ALL: '/tariff',
+            RESOLVE: '/tariff/resolve',
+            CREATE: '/tariff',
+            // Pair tariffs: pair/<generatorCompanyId>/<shareholderCompanyId>; site tariffs: site/<companyId>/<consumptionSiteId>
+            UPDATE: (scopePath, effectiveFrom) => `/tariff/${scopePath}/${effectiveFrom}`,
+            DELETE: (scopePath, effectiveFrom) => `/tariff/${scopePath}/${effectiveFrom}`
+        },
+        PERIODS: {
+            BASE: '/periods',
+            GET_ALL: '/periods',
+            RESOLVE: '/periods/resolve',
+            CREATE: '/periods',
+            UPDATE: (effectiveFrom) => `/periods/${effectiveFrom}`,
+            DELETE: (effectiveFrom) => `/periods/${effectiveFrom}`
+        },
+        CHARGE_CODES: {
+            BASE: '/charge-codes',
+            GET_ALL: '/charge-codes',
+            CREATE: '/charge-codes',
+            UPDATE: (code) => `/charge-codes/${code}`,
+            DELETE: (code) => `/charge-codes/${code}`
+        },
+        CHARGE_APPORTIONMENT: {
+            BASE: '/charge-apportionment',
+            GET_ALL: '/charge-apportionment',
+            PREVIEW: '/charge-apportionment/preview',
+            APPORTION: '/charge-apportionment',
+            CONSUMPTION_SITE: (consumptionSiteId) => `/charge-apportionment/consumption-site/${consumptionSiteId}`
+        },
+        ALLOCATION_SCENARIO: {
+            BASE: '/allocation/scenarios',
+            SIMULATE: '/allocation/scenarios/simulate',
+            GET_ONE: (scenarioId) => `/allocation/scenarios/${scenarioId}`,
+            DELETE: (scenarioId) => `/allocation/scenarios/${scenarioId}`
+        },
+        SHARE_LINKS: {
+            BASE: '/share-links',
+            CREATE: '/share-links',
+            GET_BY_SITE: (siteType, companyId, siteId) => `/share-links/${siteType}/${companyId}/${siteId}`,
+            REVOKE: (siteType, companyId, siteId, shareId) => `/share-links/${siteType}/${companyId}/${siteId}/${shareId}`,
+            AUDIT: (siteType, companyId, siteId, shareId) => `/share-links/${siteType}/${companyId}/${siteId}/${shareId}/audit`,
+            VIEW: (token) => `/share-links/view/${token}`
         },
 
     }
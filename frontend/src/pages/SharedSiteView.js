@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import {
+  Box,
+  Paper,
+  Typography,
+  CircularProgress,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableRow
+} from '@mui/material';
+import shareLinkApi from '../services/shareLinkApi';
+import { formatDisplayDate } from '../utils/dateUtils';
+
+// Record keys and bookkeeping fields left out of the shared view
+const HIDDEN_FIELDS = ['pk', 'sk', 'companyId', 'productionSiteId', 'consumptionSiteId', 'version', 'createdat', 'updatedat', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy'];
+
+const visibleEntries = (record) => Object.entries(record || {})
+  .filter(([key, value]) => !HIDDEN_FIELDS.includes(key) && (typeof value !== 'object' || value === null));
+
+const ValuesTable = ({ title, record, emptyText }) => (
+  <Paper sx={{ p: 2, mb: 3 }}>
+    <Typography variant="h6" sx={{ mb: 1 }}>{title}</Typography>
+    {record ? (
+      <Table size="small">
+        <TableBody>
+          {visibleEntries(record).map(([key, value]) => (
+            <TableRow key={key}>
+              <TableCell sx={{ fontWeight: 'bold', width: '40%' }}>{key}</TableCell>
+              <TableCell>{value === null ? '-' : String(value)}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    ) : (
+      <Typography variant="body2" color="text.secondary">{emptyText}</Typography>
+    )}
+  </Paper>
+);
+
+/**
+ * Read-only view of one site's data for one month, opened from a share link
+ * without signing in
+ */
+const SharedSiteView = () => {
+  const { token } = useParams();
+  const [shared, setShared] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    shareLinkApi.view(token)
+      .then(response => {
+        if (!cancelled) setShared(response?.data || null);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.message || 'This share link could not be opened');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="100vh">
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error || !shared) {
+    return (
+      <Box sx={{ p: 3, maxWidth: 600, mx: 'auto' }}>
+        <Alert severity="error">{error || 'This share link could not be opened'}</Alert>
+      </Box>
+    );
+  }
+
+  const { link, site, units, charges } = shared;
+  const isProduction = link.siteType === 'production';
+
+  return (
+    <Box sx={{ p: 3, maxWidth: 900, mx: 'auto' }}>
+      <Typography variant="h5" color="primary">
+        {site.name || 'Site'} ({isProduction ? 'Production' : 'Consumption'})
+      </Typography>
+      <Typography variant="subtitle1" color="text.secondary" sx={{ mb: 3 }}>
+        {formatDisplayDate(link.month)} · shared link valid until {new Date(link.expiresAt).toLocaleString()}
+      </Typography>
+
+      <ValuesTable title="Site" record={site} emptyText="No site details" />
+      <ValuesTable
+        title={isProduction ? 'Production Units' : 'Consumption Units'}
+        record={units}
+        emptyText="No unit data for this month"
+      />
+      {isProduction && (
+        <ValuesTable title="Charges" record={charges} emptyText="No charges for this month" />
+      )}
+    </Box>
+  );
+};
+
+export default SharedSiteView;
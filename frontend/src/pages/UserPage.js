@@ -19,11 +19,24 @@ import {
   Lock as LockIcon,
   Visibility as ViewIcon,
   Business as BusinessIcon,
-  History as HistoryIcon
+  History as HistoryIcon,
+  LockOpen as LockOpenIcon,
+  PhonelinkErase as SignOutEverywhereIcon
 } from '@mui/icons-material';
 import userApi from '../services/userApi';
 import { useAuth } from '../context/AuthContext';
 import { hasPermission } from '../utils/permissions';
+import PasswordDialog from '../components/common/PasswordDialog';
+
+// Accounts are locked after repeated failed logins until lockedUntil passes or an admin unlocks them
+const isLocked = (userObj) => Boolean(userObj?.lockedUntil) && new Date(userObj.lockedUntil) > new Date();
+
+const LOGIN_OUTCOME_COLORS = {
+  success: 'success',
+  failure: 'error',
+  locked: 'warning',
+  throttled: 'warning'
+};
 
 const UserPage = () => {
   const { enqueueSnackbar } = useSnackbar();
@@ -46,6 +59,9 @@ const UserPage = () => {
   const [selectedUser, setSelectedUser] = useState(null);
   const [isDeleteOpen, setIsDeleteOpen] = useState(false);
   const [isDetailsOpen, setIsDetailsOpen] = useState(false);
+  const [resetPasswordUser, setResetPasswordUser] = useState(null);
+  const [loginHistory, setLoginHistory] = useState([]);
+  const [loginHistoryLoading, setLoginHistoryLoading] = useState(false);
 
   // State for table and pagination
   const [page, setPage] = useState(0);
@@ -309,6 +325,54 @@ const UserPage = () => {
     setIsDeleteOpen(true);
   }, [selectedUser]);
 
+  const handleResetPassword = useCallback(async ({ newPassword }) => {
+    await userApi.resetPassword(resetPasswordUser.username, newPassword);
+    enqueueSnackbar(`Password reset for "${resetPasswordUser.username}"`, { variant: 'success' });
+  }, [resetPasswordUser, enqueueSnackbar]);
+
+  const handleUnlock = useCallback(async (userObj) => {
+    try {
+      await userApi.unlock(userObj.username);
+      enqueueSnackbar(`User "${userObj.username}" unlocked`, { variant: 'success' });
+      await fetchUsers(false);
+    } catch (err) {
+      enqueueSnackbar(err.response?.data?.message || 'Failed to unlock user', { variant: 'error' });
+    }
+  }, [fetchUsers, enqueueSnackbar]);
+
+  const handleSignOutEverywhere = useCallback(async (userObj) => {
+    if (!window.confirm(`Sign "${userObj.username}" out of every session?`)) {
+      return;
+    }
+    try {
+      const response = await userApi.signOutEverywhere(userObj.username);
+      enqueueSnackbar(response?.message || `User "${userObj.username}" signed out everywhere`, { variant: 'success' });
+    } catch (err) {
+      enqueueSnackbar(err.response?.data?.message || 'Failed to sign out user', { variant: 'error' });
+    }
+  }, [enqueueSnackbar]);
+
+  useEffect(() => {
+    if (!isDetailsOpen || !selectedUser?.username) {
+      return undefined;
+    }
+    let cancelled = false;
+    setLoginHistoryLoading(true);
+    userApi.getLoginHistory(selectedUser.username, { limit: 20 })
+      .then(result => {
+        if (!cancelled) setLoginHistory(result?.data || []);
+      })
+      .catch(() => {
+        if (!cancelled) setLoginHistory([]);
+      })
+      .finally(() => {
+        if (!cancelled) setLoginHistoryLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isDetailsOpen, selectedUser]);
+
   const handleOpenCreate = useCallback(() => {
     setIsEditMode(false);
     setSelectedUser(null);
@@ -472,7 +536,15 @@ const UserPage = () => {
     );
   }, [sortedUsers, page, rowsPerPage]);
 
-  const renderStatusChip = useCallback((isActive) => {
+  const renderStatusChip = useCallback((userObj) => {
+    if (isLocked(userObj)) {
+      return (
+        <Tooltip title={`Locked until ${new Date(userObj.lockedUntil).toLocaleString()}`}>
+          <Chip label="Locked" color="warning" size="small" variant="filled" />
+        </Tooltip>
+      );
+    }
+    const isActive = userObj.isActive;
     return (
       <Chip
         label={isActive ? 'Active' : 'Inactive'}
@@ -523,6 +595,49 @@ const UserPage = () => {
         </span>
       </Tooltip>
 
+      {isLocked(userObj) && (
+        <Tooltip title="Unlock">
+          <span>
+            <IconButton
+              size="small"
+              color="success"
+              onClick={() => handleUnlock(userObj)}
+              aria-label="unlock"
+            >
+              <LockOpenIcon fontSize="small" />
+            </IconButton>
+          </span>
+        </Tooltip>
+      )}
+
+      <Tooltip title={userObj.username === currentUser?.userId ? 'Use Active Sessions for your own account' : 'Sign Out Everywhere'}>
+        <span>
+          <IconButton
+            size="small"
+            color="warning"
+            onClick={() => handleSignOutEverywhere(userObj)}
+            disabled={userObj.username === currentUser?.userId}
+            aria-label="sign out everywhere"
+          >
+            <SignOutEverywhereIcon fontSize="small" />
+          </IconButton>
+        </span>
+      </Tooltip>
+
+      <Tooltip title={userObj.username === currentUser?.userId ? 'Use Change Password for your own account' : 'Reset Password'}>
+        <span>
+          <IconButton
+            size="small"
+            color="warning"
+            onClick={() => setResetPasswordUser(userObj)}
+            disabled={userObj.username === currentUser?.userId}
+            aria-label="reset password"
+          >
+            <LockIcon fontSize="small" />
+          </IconButton>
+        </span>
+      </Tooltip>
+
       <Tooltip title={userObj.username === currentUser?.userId ? 'Cannot delete yourself' : 'Delete'}>
         <span>
           <IconButton
@@ -537,7 +652,7 @@ const UserPage = () => {
         </span>
       </Tooltip>
     </Box>
-  ), [currentUser, handleEdit, handleDelete, handleViewDetails]);
+  ), [currentUser, handleEdit, handleDelete, handleViewDetails, handleUnlock, handleSignOutEverywhere]);
 
   const EnhancedTableHead = () => (
     <TableHead>
@@ -590,7 +705,7 @@ const UserPage = () => {
               </Typography>
               <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                 <strong>Status:</strong>
-                {renderStatusChip(userObj.isActive)}
+                {renderStatusChip(userObj)}
               </Box>
             </CardContent>
             <Divider />
@@ -641,7 +756,7 @@ const UserPage = () => {
                 <Chip label={userObj.roleId} size="small" variant="outlined" />
               </TableCell>
               <TableCell>
-                {renderStatusChip(userObj.isActive)}
+                {renderStatusChip(userObj)}
               </TableCell>
               <TableCell>
                 {userObj.createdAt
@@ -1449,6 +1564,51 @@ const UserPage = () => {
                       )}
                     </Box>
 
+                    <Box sx={{ mt: 3 }}>
+                      <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+                        Recent Login Attempts
+                      </Typography>
+                      {loginHistoryLoading ? (
+                        <CircularProgress size={20} />
+                      ) : loginHistory.length === 0 ? (
+                        <Typography variant="body2">No login attempts recorded</Typography>
+                      ) : (
+                        <TableContainer sx={{ maxHeight: 240 }}>
+                          <Table size="small" stickyHeader>
+                            <TableHead>
+                              <TableRow>
+                                <TableCell>Time</TableCell>
+                                <TableCell>Outcome</TableCell>
+                                <TableCell>IP Address</TableCell>
+                                <TableCell>Browser</TableCell>
+                              </TableRow>
+                            </TableHead>
+                            <TableBody>
+                              {loginHistory.map(entry => (
+                                <TableRow key={entry.attemptId}>
+                                  <TableCell>{new Date(entry.timestamp).toLocaleString()}</TableCell>
+                                  <TableCell>
+                                    <Tooltip title={entry.reason || ''}>
+                                      <Chip
+                                        label={entry.outcome}
+                                        color={LOGIN_OUTCOME_COLORS[entry.outcome] || 'default'}
+                                        size="small"
+                                        variant="outlined"
+                                      />
+                                    </Tooltip>
+                                  </TableCell>
+                                  <TableCell>{entry.ip || 'N/A'}</TableCell>
+                                  <TableCell sx={{ maxWidth: 220, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                    {entry.userAgent || 'N/A'}
+                                  </TableCell>
+                                </TableRow>
+                              ))}
+                            </TableBody>
+                          </Table>
+                        </TableContainer>
+                      )}
+                    </Box>
+
                     {/* Display additional metadata if available */}
                     {selectedUser?.metadata && Object.keys(selectedUser.metadata).length > 0 && (
                       <Box sx={{ mt: 3 }}>
@@ -1674,6 +1834,13 @@ const UserPage = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      <PasswordDialog
+        open={Boolean(resetPasswordUser)}
+        onClose={() => setResetPasswordUser(null)}
+        onSubmit={handleResetPassword}
+        title={`Reset Password${resetPasswordUser ? ` for ${resetPasswordUser.username}` : ''}`}
+      />
     </Box>
   );
 };
@@ -1,6 +1,10 @@
 import api from './apiUtils';
 import { API_CONFIG } from '../config/api.config';
 
+const createIdempotencyKey = () => (window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`);
+
 class AllocationApi {
     formatAllocationData(data, type = 'ALLOCATION') {
         const allocated = data.allocated || {};
@@ -211,6 +215,81 @@ class AllocationApi {
         }
     }
 
+    /**
+     * Save allocations with their banking and lapse records in one request.
+     * Each production site's records are committed together on the server,
+     * with version checks against concurrent changes.
+     * @param {Object} batch - { allocations, banking, lapse }
+     * @param {string} [idempotencyKey] - Reuse only to retry the same batch; a new key is made when omitted
+     * @returns {Promise<Object>} { transactionId, allocations, banking, lapse }
+     */
+    async commit({ allocations = [], banking = [], lapse = [] }, idempotencyKey = createIdempotencyKey()) {
+        try {
+            const toSiteRecord = (data, type) => {
+                const { c1, c2, c3, c4, c5 } = this.formatAllocationData(data, type);
+                return {
+                    productionSiteId: data.productionSiteId,
+                    month: data.month || data.sk,
+                    siteName: data.productionSiteName || data.siteName,
+                    c1, c2, c3, c4, c5,
+                    ...(data.version !== undefined && { version: data.version }),
+                    // Banked and drawn units for the banking ledger
+                    ...(type === 'BANKING' && data.movements && { movements: data.movements }),
+                    // Units deducted as banking charge
+                    ...(type === 'BANKING' && data.bankingCharge && { bankingCharge: data.bankingCharge })
+                };
+            };
+
+            const response = await api.post(API_CONFIG.ENDPOINTS.ALLOCATION.COMMIT, {
+                allocations: allocations.map(data => {
+                    const { allocated, ...payload } = this.formatAllocationData(data, 'ALLOCATION');
+                    return {
+                        ...payload,
+                        sk: payload.sk || data.month,
+                        type: 'ALLOCATION',
+                        productionSiteId: data.productionSiteId,
+                        ...(data.irType && { irType: data.irType }),
+                        ...(data.injection && { injection: data.injection }),
+                        ...(data.reduction && { reduction: data.reduction })
+                    };
+                }),
+                banking: banking.map(data => toSiteRecord(data, 'BANKING')),
+                lapse: lapse.map(data => toSiteRecord(data, 'LAPSE'))
+            }, {
+                headers: { 'Idempotency-Key': idempotencyKey }
+            });
+            return response.data?.data;
+        } catch (error) {
+            throw this.handleError(error);
+        }
+    }
+
+    /**
+     * Run the server allocation engine for a month. Nothing is saved; the
+     * result is what saving the page would persist.
+     * @param {Object} params - month, productionUnits, consumptionUnits, bankingUnits,
+     *   captiveData, productionSites, consumptionSitePriorityMap, consumptionSiteIncludeExclude,
+     *   mode ('greedy' or 'optimal' to minimise lapse)
+     * @returns {Promise<Object>} { allocations, bankingAllocations, lapseAllocations, remainingConsumption, summary },
+     *   plus `optimization` (savings against greedy) in optimal mode
+     */
+    async calculate({ consumptionSiteIncludeExclude = {}, ...params }) {
+        try {
+            const { included, excluded, excludeByDefault } = consumptionSiteIncludeExclude;
+            const response = await api.post(API_CONFIG.ENDPOINTS.ALLOCATION.CALCULATE, {
+                ...params,
+                consumptionSiteIncludeExclude: {
+                    included: Array.from(included || []),
+                    excluded: Array.from(excluded || []),
+                    excludeByDefault: Boolean(excludeByDefault)
+                }
+            });
+            return response.data?.data;
+        } catch (error) {
+            throw this.handleError(error);
+        }
+    }
+
     async createLapse(data) {
         try {
             const formattedData = this.formatAllocationData(data, 'LAPSE');
@@ -0,0 +1,86 @@
+import api from './apiUtils';
+import { API_CONFIG } from '../config/api.config';
+
+// Include/exclude settings are kept as Sets on the Allocation page; send them as arrays
+const serializeInputs = ({ consumptionSiteIncludeExclude = {}, ...inputs }) => ({
+    ...inputs,
+    consumptionSiteIncludeExclude: {
+        included: Array.from(consumptionSiteIncludeExclude.included || []),
+        excluded: Array.from(consumptionSiteIncludeExclude.excluded || []),
+        excludeByDefault: Boolean(consumptionSiteIncludeExclude.excludeByDefault)
+    }
+});
+
+class AllocationScenarioApi {
+    // Run scenarios ({ name, overrides }) against the month's inputs and compare them with the
+    // allocation as it stands. Nothing is saved.
+    async simulate(inputs, scenarios) {
+        try {
+            const response = await api.post(API_CONFIG.ENDPOINTS.ALLOCATION_SCENARIO.SIMULATE, {
+                ...serializeInputs(inputs),
+                scenarios
+            });
+            return response.data?.data;
+        } catch (error) {
+            console.error('[AllocationScenarioApi] Error simulating scenarios:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Saved scenarios for a company and month (MMYYYY), without their full allocation results
+    async getAll({ companyId, month } = {}) {
+        try {
+            const response = await api.get(API_CONFIG.ENDPOINTS.ALLOCATION_SCENARIO.BASE, {
+                params: { companyId, month }
+            });
+            return response.data?.data || [];
+        } catch (error) {
+            console.error('[AllocationScenarioApi] Error fetching scenarios:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async get(scenarioId, { companyId } = {}) {
+        try {
+            const response = await api.get(API_CONFIG.ENDPOINTS.ALLOCATION_SCENARIO.GET_ONE(scenarioId), {
+                params: { companyId }
+            });
+            return response.data?.data;
+        } catch (error) {
+            console.error('[AllocationScenarioApi] Error fetching scenario:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Run a scenario and save it under a name: { companyId, name, description, overrides }
+    async save(inputs, { companyId, name, description, overrides }) {
+        try {
+            const response = await api.post(API_CONFIG.ENDPOINTS.ALLOCATION_SCENARIO.BASE, {
+                ...serializeInputs(inputs),
+                companyId,
+                name,
+                description,
+                overrides
+            });
+            return response.data?.data;
+        } catch (error) {
+            console.error('[AllocationScenarioApi] Error saving scenario:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async delete(scenarioId, { companyId } = {}) {
+        try {
+            const response = await api.delete(API_CONFIG.ENDPOINTS.ALLOCATION_SCENARIO.DELETE(scenarioId), {
+                params: { companyId }
+            });
+            return response.data;
+        } catch (error) {
+            console.error('[AllocationScenarioApi] Error deleting scenario:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+}
+
+const allocationScenarioApi = new AllocationScenarioApi();
+export default allocationScenarioApi;
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { API_BASE_URL, API_HEADERS } from '../config/api.config';
+import { refreshSession } from './apiUtils';
 
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -25,7 +26,21 @@ api.interceptors.request.use(
 
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry) {
+      originalRequest._retry = true;
+      try {
+        const accessToken = await refreshSession();
+        if (accessToken) {
+          originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+          return api(originalRequest);
+        }
+      } catch (refreshError) {
+        console.error('[API] Token refresh failed:', refreshError);
+      }
+    }
+
     console.error('[API] Response Error:', error);
     if (error.response?.status === 404) {
       console.error('[API] Endpoint not found:', error.config.url);
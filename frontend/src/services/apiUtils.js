@@ -28,6 +28,36 @@ api.interceptors.request.use(
   }
 );
 
+// Refresh tokens are single-use, so requests that fail together share one refresh
+let refreshInFlight = null;
+
+export const refreshSession = () => {
+  if (!refreshInFlight) {
+    refreshInFlight = (async () => {
+      const refreshToken = localStorage.getItem('refresh_token');
+      if (!refreshToken) {
+        return null;
+      }
+      const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+      const { accessToken, refreshToken: newRefreshToken } = response.data;
+      if (!accessToken) {
+        return null;
+      }
+      // Update stored tokens; a refresh that raced another tab gets an access
+      // token only, and the other tab has already stored the new refresh token
+      localStorage.setItem('auth_token', accessToken);
+      if (newRefreshToken) {
+        localStorage.setItem('refresh_token', newRefreshToken);
+      }
+      api.defaults.headers.Authorization = `Bearer ${accessToken}`;
+      return accessToken;
+    })().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+};
+
 // Add response interceptor for error handling
 api.interceptors.response.use(
   (response) => response,
@@ -39,40 +69,23 @@ api.interceptors.response.use(
       originalRequest._retry = true;
 
       try {
-        const refreshToken = localStorage.getItem('refresh_token');
-        if (refreshToken) {
-          // Try to refresh the token
-          const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
-          const { accessToken, refreshToken: newRefreshToken } = response.data;
+        const accessToken = await refreshSession();
+        if (accessToken) {
+          originalRequest.headers.Authorization = `Bearer ${accessToken}`;
 
-          if (accessToken && newRefreshToken) {
-            // Update stored tokens
-            localStorage.setItem('auth_token', accessToken);
-            localStorage.setItem('refresh_token', newRefreshToken);
-            api.defaults.headers.Authorization = `Bearer ${accessToken}`;
-            originalRequest.headers.Authorization = `Bearer ${accessToken}`;
-
-            // Retry the original request
-            return api(originalRequest);
-          }
+          // Retry the original request
+          return api(originalRequest);
         }
       } catch (refreshError) {
         console.error('[API] Token refresh failed:', refreshError);
       }
 
-      // If refresh failed or no refresh token available
-      const isPublicRoute = window.location.pathname.match(/\/(production|consumption)\/\d+\/\d+/);
-      if (!isPublicRoute) {
-        // Clear credentials and redirect to login
-        console.warn('[API] Authentication failed - clearing credentials');
-        localStorage.removeItem('auth_token');
-        localStorage.removeItem('refresh_token');
-        localStorage.removeItem('auth_user');
-        window.location.href = '/login';
-      } else {
-        // For public routes, don't redirect on auth errors
-        console.warn('[API] Auth error on public route - continuing');
-      }
+      // If refresh failed or no refresh token available, clear credentials and redirect to login
+      console.warn('[API] Authentication failed - clearing credentials');
+      localStorage.removeItem('auth_token');
+      localStorage.removeItem('refresh_token');
+      localStorage.removeItem('auth_user');
+      window.location.href = '/login';
     }
     
     // Enhance error message
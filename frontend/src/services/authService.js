@@ -3,6 +3,7 @@ import { API_MESSAGES } from '../config/api.config';
 import { hasPermission } from '../utils/permissions';
 
 const TOKEN_KEY = 'auth_token';
+const REFRESH_TOKEN_KEY = 'refresh_token';
 const USER_KEY = 'auth_user';
 
 const authService = {    login: async (username, password) => {
@@ -14,7 +15,7 @@ const authService = {    login: async (username, password) => {
             });
 
             if (response.data?.success) {
-                const { token, user } = response.data;
+                const { token, refreshToken, user } = response.data;
                 console.info('Login response:', { token: !!token, user });
 
                 // Validate user object
@@ -106,6 +107,9 @@ const authService = {    login: async (username, password) => {
                 });
 
                 localStorage.setItem(TOKEN_KEY, token);
+                if (refreshToken) {
+                    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+                }
                 localStorage.setItem(USER_KEY, JSON.stringify(userData));
                 
                 console.info('User data stored successfully');
@@ -126,8 +130,17 @@ const authService = {    login: async (username, password) => {
     },
 
     logout: () => {
+        const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
         localStorage.removeItem(TOKEN_KEY);
+        localStorage.removeItem(REFRESH_TOKEN_KEY);
         localStorage.removeItem(USER_KEY);
+
+        // End the session on the server too; local sign-out does not wait for it
+        if (refreshToken) {
+            api.post('/auth/logout', { refreshToken }).catch((error) => {
+                console.warn('Could not end session on server:', error.message);
+            });
+        }
     },
 
     getCurrentUser: () => {
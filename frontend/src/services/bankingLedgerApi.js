@@ -0,0 +1,32 @@
+import api from './apiUtils';
+import { API_CONFIG } from '../config/api.config';
+
+class BankingLedgerApi {
+    // Movements of a production site with the running balance after each:
+    // { openingBalance, entries, totals, closingBalance }. Months are MMYYYY.
+    async getLedger(productionSiteId, { companyId, fromMonth, toMonth } = {}) {
+        try {
+            const response = await api.get(API_CONFIG.ENDPOINTS.BANKING_LEDGER.GET_BY_SITE(productionSiteId), {
+                params: { companyId, fromMonth, toMonth }
+            });
+            return response.data?.data;
+        } catch (error) {
+            console.error('[BankingLedgerApi] Error fetching ledger:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Manual correction: { companyId, productionSiteId, month, units (signed c1-c5), reason }
+    async createAdjustment(adjustment) {
+        try {
+            const response = await api.post(API_CONFIG.ENDPOINTS.BANKING_LEDGER.ADJUSTMENTS, adjustment);
+            return response.data?.data;
+        } catch (error) {
+            console.error('[BankingLedgerApi] Error recording adjustment:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+}
+
+const bankingLedgerApi = new BankingLedgerApi();
+export default bankingLedgerApi;
@@ -74,6 +74,19 @@ class CaptiveApi {
         }
     }
 
+    // 26% ownership / 51% consumption check of a generator's captive plant for a financial year (e.g. 2024-2025)
+    async getCompliance(companyId, financialYear, productionSiteId) {
+        try {
+            const response = await api.get(`${this.BASE_URL}/compliance/${companyId}`, {
+                params: { financialYear, ...(productionSiteId && { productionSiteId }) }
+            });
+            return response.data?.data || null;
+        } catch (error) {
+            console.error(`Error checking captive compliance for company ${companyId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
     async getByShareholder(shareholderId) {
         try {
             console.log(`Fetching captive entries for shareholder: ${shareholderId}`);
@@ -0,0 +1,62 @@
+import api from './apiUtils';
+import { API_CONFIG } from '../config/api.config';
+import { createIdempotencyKey } from '../utils/statementFile';
+
+class ChargeApportionmentApi {
+    // Saved apportionments of a month (MMYYYY), each flagged stale once its charges change
+    async getAll(companyId, month, productionSiteId) {
+        try {
+            const response = await api.get(API_CONFIG.ENDPOINTS.CHARGE_APPORTIONMENT.GET_ALL, {
+                params: { companyId, month, ...(productionSiteId && { productionSiteId }) }
+            });
+            return response.data;
+        } catch (error) {
+            console.error('[ChargeApportionmentApi] Error fetching apportionments:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Apportionment as it would be saved now, without saving it
+    async preview(companyId, month, productionSiteId) {
+        try {
+            const response = await api.get(API_CONFIG.ENDPOINTS.CHARGE_APPORTIONMENT.PREVIEW, {
+                params: { companyId, month, ...(productionSiteId && { productionSiteId }) }
+            });
+            return response.data;
+        } catch (error) {
+            console.error('[ChargeApportionmentApi] Error previewing apportionments:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Charges a consumption site bears for a month, per supplying production site
+    async getConsumptionSiteCharges(companyId, consumptionSiteId, month) {
+        try {
+            const response = await api.get(API_CONFIG.ENDPOINTS.CHARGE_APPORTIONMENT.CONSUMPTION_SITE(consumptionSiteId), {
+                params: { companyId, month }
+            });
+            return response.data;
+        } catch (error) {
+            console.error('[ChargeApportionmentApi] Error fetching consumption site charges:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Apportion and save the month's charges of one or all production sites
+    async apportion({ companyId, month, productionSiteId }, idempotencyKey = createIdempotencyKey()) {
+        try {
+            const response = await api.post(API_CONFIG.ENDPOINTS.CHARGE_APPORTIONMENT.APPORTION, {
+                companyId, month, productionSiteId
+            }, {
+                headers: { 'Idempotency-Key': idempotencyKey }
+            });
+            return response.data;
+        } catch (error) {
+            console.error('[ChargeApportionmentApi] Error apportioning charges:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+}
+
+const chargeApportionmentApi = new ChargeApportionmentApi();
+export default chargeApportionmentApi;
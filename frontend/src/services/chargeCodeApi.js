@@ -0,0 +1,55 @@
+import api from './apiUtils';
+import { API_CONFIG } from '../config/api.config';
+
+class ChargeCodeApi {
+    // Charge-code catalogue in code order; pass a month (MMYYYY) for only the codes active that month
+    async getAll(month) {
+        try {
+            const response = await api.get(API_CONFIG.ENDPOINTS.CHARGE_CODES.GET_ALL, {
+                params: month ? { month } : undefined
+            });
+            return response.data;
+        } catch (error) {
+            console.error('[ChargeCodeApi] Error fetching charge codes:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Add a code: { code, description, taxable, apportionmentBasis, activeFrom, activeTo }
+    async create(chargeCode) {
+        try {
+            const response = await api.post(API_CONFIG.ENDPOINTS.CHARGE_CODES.CREATE, chargeCode);
+            return response.data;
+        } catch (error) {
+            console.error('[ChargeCodeApi] Error creating charge code:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Update the description, taxability, apportionment basis or active months of a code
+    async update(chargeCode, updates) {
+        try {
+            const response = await api.put(
+                API_CONFIG.ENDPOINTS.CHARGE_CODES.UPDATE(chargeCode.code),
+                { ...updates, version: chargeCode.version }
+            );
+            return response.data;
+        } catch (error) {
+            console.error('[ChargeCodeApi] Error updating charge code:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async delete(chargeCode) {
+        try {
+            const response = await api.delete(API_CONFIG.ENDPOINTS.CHARGE_CODES.DELETE(chargeCode.code));
+            return response.data;
+        } catch (error) {
+            console.error('[ChargeCodeApi] Error deleting charge code:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+}
+
+const chargeCodeApi = new ChargeCodeApi();
+export default chargeCodeApi;
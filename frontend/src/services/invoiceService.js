@@ -100,12 +100,15 @@ class InvoiceService {
   /**
    * Get all invoices for a company
    * @param {string} companyId - Company ID
+   * @param {Object} [filters] - Optional filters
+   * @param {string} [filters.month] - Month in MMYYYY format
+   * @param {string} [filters.status] - draft, issued, paid or cancelled
    * @returns {Promise<Object>} List of invoices
    */
-  async getInvoices(companyId) {
+  async getInvoices(companyId, { month, status } = {}) {
     try {
       const response = await api.get(API_CONFIG.ENDPOINTS.INVOICE.BASE, { 
-        params: { companyId } 
+        params: { companyId, month, status } 
       });
       return { success: true, data: response.data };
     } catch (error) {
@@ -116,6 +119,98 @@ class InvoiceService {
       };
     }
   }
+
+  /**
+   * Calculate the tax breakdown for a set of charges using the company's tax
+   * configuration. Invoices generated by the backend use the same calculation.
+   * @param {string} companyId - Company ID
+   * @param {Array} charges - [{ code, amount }]
+   * @returns {Promise<Object>} Tax breakdown
+   */
+  async calculateTax(companyId, charges) {
+    try {
+      const response = await api.post(API_CONFIG.ENDPOINTS.INVOICE.CALCULATE_TAX, { companyId, charges });
+      return { success: true, data: response.data?.data };
+    } catch (error) {
+      console.error('Error calculating invoice tax:', error);
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to calculate tax'
+      };
+    }
+  }
+
+  /**
+   * Download the server-rendered PDF of a stored invoice
+   * @param {string} invoiceId - Invoice ID
+   * @param {Object} [options]
+   * @param {string} [options.companyId] - Company ID
+   * @returns {Promise<Object>} PDF blob
+   */
+  async downloadInvoicePdf(invoiceId, { companyId } = {}) {
+    try {
+      const response = await api.get(API_CONFIG.ENDPOINTS.INVOICE.DOWNLOAD_PDF(invoiceId), {
+        params: { companyId },
+        responseType: 'blob',
+        headers: { Accept: 'application/pdf' }
+      });
+      return { success: true, data: response.data };
+    } catch (error) {
+      console.error('Error downloading invoice PDF:', error);
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to download invoice PDF'
+      };
+    }
+  }
+
+  /**
+   * Get the credit and debit notes raised against an invoice
+   * @param {string} invoiceId - Original invoice ID
+   * @param {Object} [options]
+   * @param {string} [options.companyId] - Company ID
+   * @returns {Promise<Object>} List of notes
+   */
+  async getAdjustmentNotes(invoiceId, { companyId } = {}) {
+    try {
+      const response = await api.get(API_CONFIG.ENDPOINTS.INVOICE.ADJUSTMENTS(invoiceId), {
+        params: { companyId }
+      });
+      return { success: true, data: response.data?.data || [] };
+    } catch (error) {
+      console.error('Error fetching adjustment notes:', error);
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to fetch adjustment notes'
+      };
+    }
+  }
+
+  /**
+   * Change the status of an invoice (issue, mark paid, cancel)
+   * @param {string} invoiceId - Invoice ID
+   * @param {string} status - Target status
+   * @param {Object} [options]
+   * @param {string} [options.companyId] - Company ID
+   * @param {string} [options.reason] - Required when cancelling
+   * @returns {Promise<Object>} Updated invoice
+   */
+  async updateInvoiceStatus(invoiceId, status, { companyId, reason } = {}) {
+    try {
+      const response = await api.put(API_CONFIG.ENDPOINTS.INVOICE.UPDATE_STATUS(invoiceId), {
+        companyId,
+        status,
+        reason
+      });
+      return { success: true, data: response.data };
+    } catch (error) {
+      console.error('Error updating invoice status:', error);
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to update invoice status'
+      };
+    }
+  }
 }
 
 export default new InvoiceService();
@@ -0,0 +1,40 @@
+import api from './apiUtils';
+import { API_CONFIG } from '../config/api.config';
+import { createIdempotencyKey } from '../utils/statementFile';
+
+class MeterReadingApi {
+    // Map, validate and diff statement rows against stored units; nothing is saved
+    async previewImport({ companyId, month, rows }) {
+        try {
+            const response = await api.post(API_CONFIG.ENDPOINTS.METER_READING.PREVIEW_IMPORT, {
+                companyId, month, rows
+            });
+            return response.data?.data;
+        } catch (error) {
+            console.error('[MeterReadingApi] Error previewing statement:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Save the new and changed readings of a previewed statement. `versions`
+     * (row number → version shown in the preview) makes the save fail if a unit
+     * changed after the preview.
+     */
+    async importReadings({ companyId, month, rows, versions }, idempotencyKey = createIdempotencyKey()) {
+        try {
+            const response = await api.post(API_CONFIG.ENDPOINTS.METER_READING.IMPORT, {
+                companyId, month, rows, versions
+            }, {
+                headers: { 'Idempotency-Key': idempotencyKey }
+            });
+            return response.data;
+        } catch (error) {
+            console.error('[MeterReadingApi] Error importing statement:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+}
+
+const meterReadingApi = new MeterReadingApi();
+export default meterReadingApi;
@@ -0,0 +1,64 @@
+import api from './apiUtils';
+import { API_CONFIG } from '../config/api.config';
+
+class PeriodDefinitionApi {
+    // Stored period definitions, oldest effective month first
+    async getAll() {
+        try {
+            const response = await api.get(API_CONFIG.ENDPOINTS.PERIODS.GET_ALL);
+            return response.data;
+        } catch (error) {
+            console.error('[PeriodDefinitionApi] Error fetching period definitions:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Period definitions in force for a month (MMYYYY); the default c2/c3 peak split when none is stored
+    async resolve(month) {
+        try {
+            const response = await api.get(API_CONFIG.ENDPOINTS.PERIODS.RESOLVE, { params: { month } });
+            return response.data;
+        } catch (error) {
+            console.error('[PeriodDefinitionApi] Error resolving period definitions:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Create definitions: { effectiveFrom, periods: [{ code, name, hours: [{ from, to }], peak }], allocationMatrix, description }
+    async create(definition) {
+        try {
+            const response = await api.post(API_CONFIG.ENDPOINTS.PERIODS.CREATE, definition);
+            return response.data;
+        } catch (error) {
+            console.error('[PeriodDefinitionApi] Error creating period definitions:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Update the periods, allocation matrix or description of existing definitions
+    async update(definition, updates) {
+        try {
+            const response = await api.put(
+                API_CONFIG.ENDPOINTS.PERIODS.UPDATE(definition.effectiveFrom),
+                { ...updates, version: definition.version }
+            );
+            return response.data;
+        } catch (error) {
+            console.error('[PeriodDefinitionApi] Error updating period definitions:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async delete(definition) {
+        try {
+            const response = await api.delete(API_CONFIG.ENDPOINTS.PERIODS.DELETE(definition.effectiveFrom));
+            return response.data;
+        } catch (error) {
+            console.error('[PeriodDefinitionApi] Error deleting period definitions:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+}
+
+const periodDefinitionApi = new PeriodDefinitionApi();
+export default periodDefinitionApi;
@@ -2,6 +2,7 @@ import api from './apiUtils';
 import { API_CONFIG } from '../config/api.config';
 import { format } from 'date-fns';
 import { formatSK } from '../utils/dateUtils';
+import { createIdempotencyKey } from '../utils/statementFile';
 
 const productionChargeApi = {
   fetchAll: async (companyId, productionSiteId) => {
@@ -105,6 +106,49 @@ const productionChargeApi = {
     } catch (error) {
       throw error;
     }
+  },
+
+  // Charge-code master: [{ code, description }]
+  fetchCodes: async () => {
+    try {
+      const response = await api.get(API_CONFIG.ENDPOINTS.PRODUCTION.CHARGE.CODES);
+      return response.data?.data || [];
+    } catch (error) {
+      console.error('[ProductionChargeAPI] Fetch Codes Error:', error);
+      throw error;
+    }
+  },
+
+  // Map, validate and diff a month's charge statement (rows read from CSV/XLSX); nothing is saved
+  previewImport: async ({ companyId, month, rows }) => {
+    try {
+      const response = await api.post(API_CONFIG.ENDPOINTS.PRODUCTION.CHARGE.PREVIEW_IMPORT, {
+        companyId, month, rows
+      });
+      return response.data?.data;
+    } catch (error) {
+      console.error('[ProductionChargeAPI] Preview Import Error:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  /**
+   * Save the new and changed charges of a previewed statement. `versions`
+   * (`${productionSiteId}_${month}` → version shown in the preview) makes the
+   * save fail if a charge was edited after the preview.
+   */
+  importCharges: async ({ companyId, month, rows, versions }, idempotencyKey = createIdempotencyKey()) => {
+    try {
+      const response = await api.post(API_CONFIG.ENDPOINTS.PRODUCTION.CHARGE.IMPORT, {
+        companyId, month, rows, versions
+      }, {
+        headers: { 'Idempotency-Key': idempotencyKey }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('[ProductionChargeAPI] Import Error:', error.response?.data || error.message);
+      throw error;
+    }
   }
 };
 
@@ -49,6 +49,8 @@ const formatSiteData = (data) => {
       revenuePerUnit: data.revenuePerUnit != null ? parseFloat(data.revenuePerUnit) : 0,
       htscNo: data.htscNo ? Number(data.htscNo) : 0,
       banking: Number(data.banking || 0),
+      bankingChargePercentage: Number(data.bankingChargePercentage || 0),
+      bankingChargeByPeriod: data.bankingChargeByPeriod || {},
       status: ['active', 'inactive', 'maintenance'].includes(String(data.status || '').toLowerCase()) ? String(data.status).toLowerCase() : 'active',
       dateOfCommission: data.dateOfCommission ? new Date(data.dateOfCommission).toISOString() : null,
       version: Number(data.version || 1),
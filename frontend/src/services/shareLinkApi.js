@@ -0,0 +1,66 @@
+import api from './apiUtils';
+import { API_CONFIG } from '../config/api.config';
+
+class ShareLinkApi {
+    // Links created for one site, newest first
+    async getBySite(siteType, companyId, siteId) {
+        try {
+            const response = await api.get(API_CONFIG.ENDPOINTS.SHARE_LINKS.GET_BY_SITE(siteType, companyId, siteId));
+            return response.data;
+        } catch (error) {
+            console.error('[ShareLinkApi] Error fetching share links:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Create a link to one site and month: { siteType, companyId, siteId, month, expiresInHours }.
+    // The response carries the token; it is not returned again.
+    async create(shareLink) {
+        try {
+            const response = await api.post(API_CONFIG.ENDPOINTS.SHARE_LINKS.CREATE, shareLink);
+            return response.data;
+        } catch (error) {
+            console.error('[ShareLinkApi] Error creating share link:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async revoke(link) {
+        try {
+            const response = await api.delete(
+                API_CONFIG.ENDPOINTS.SHARE_LINKS.REVOKE(link.siteType, link.companyId, link.siteId, link.shareId)
+            );
+            return response.data;
+        } catch (error) {
+            console.error('[ShareLinkApi] Error revoking share link:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Who created, opened, was refused and revoked a link, most recent first
+    async getAudit(link) {
+        try {
+            const response = await api.get(
+                API_CONFIG.ENDPOINTS.SHARE_LINKS.AUDIT(link.siteType, link.companyId, link.siteId, link.shareId)
+            );
+            return response.data;
+        } catch (error) {
+            console.error('[ShareLinkApi] Error fetching share link audit:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Open a link; needs no sign-in
+    async view(token) {
+        try {
+            const response = await api.get(API_CONFIG.ENDPOINTS.SHARE_LINKS.VIEW(token));
+            return response.data;
+        } catch (error) {
+            console.error('[ShareLinkApi] Error opening share link:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+}
+
+const shareLinkApi = new ShareLinkApi();
+export default shareLinkApi;
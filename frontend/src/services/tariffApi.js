@@ -0,0 +1,80 @@
+import api from './apiUtils';
+import { API_CONFIG } from '../config/api.config';
+
+// Path segment identifying a tariff's scope, as used by the update and delete routes
+const getScopePath = (tariff) => (
+    tariff.scope === 'site'
+        ? `site/${tariff.companyId}/${tariff.consumptionSiteId}`
+        : `pair/${tariff.generatorCompanyId}/${tariff.shareholderCompanyId}`
+);
+
+class TariffApi {
+    // List tariffs, optionally filtered by scope ('pair' or 'site') and company
+    async getAll({ scope, companyId } = {}) {
+        try {
+            const response = await api.get(API_CONFIG.ENDPOINTS.TARIFF.GET_ALL, {
+                params: { scope, companyId }
+            });
+            return response.data;
+        } catch (error) {
+            console.error('[TariffApi] Error fetching tariffs:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Tariff in force for a consumption site in a billing month (MMYYYY)
+    async resolve({ month, companyId, consumptionSiteId, shareholderCompanyId }) {
+        try {
+            const response = await api.get(API_CONFIG.ENDPOINTS.TARIFF.RESOLVE, {
+                params: { month, companyId, consumptionSiteId, shareholderCompanyId }
+            });
+            return response.data;
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return { success: false, data: null };
+            }
+            console.error('[TariffApi] Error resolving tariff:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Create a tariff: { scope, generatorCompanyId, shareholderCompanyId | companyId, consumptionSiteId, effectiveFrom, effectiveTo, rates: { c1..c5 } }
+    async create(tariff) {
+        try {
+            const response = await api.post(API_CONFIG.ENDPOINTS.TARIFF.CREATE, tariff);
+            return response.data;
+        } catch (error) {
+            console.error('[TariffApi] Error creating tariff:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    // Update the rates, end date or description of an existing tariff
+    async update(tariff, updates) {
+        try {
+            const response = await api.put(
+                API_CONFIG.ENDPOINTS.TARIFF.UPDATE(getScopePath(tariff), tariff.effectiveFrom),
+                { ...updates, version: tariff.version }
+            );
+            return response.data;
+        } catch (error) {
+            console.error('[TariffApi] Error updating tariff:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async delete(tariff) {
+        try {
+            const response = await api.delete(
+                API_CONFIG.ENDPOINTS.TARIFF.DELETE(getScopePath(tariff), tariff.effectiveFrom)
+            );
+            return response.data;
+        } catch (error) {
+            console.error('[TariffApi] Error deleting tariff:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+}
+
+const tariffApi = new TariffApi();
+export default tariffApi;
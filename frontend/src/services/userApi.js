@@ -90,6 +90,127 @@ class UserApi {
     }
   }
 
+  /**
+   * Change the signed-in user's password
+   * @param {string} currentPassword - Password the user signed in with
+   * @param {string} newPassword - Replacement password
+   * @returns {Promise} Response confirming the change
+   */
+  async changePassword(currentPassword, newPassword) {
+    try {
+      const response = await api.post('/auth/change-password', { currentPassword, newPassword });
+      return response.data;
+    } catch (error) {
+      console.error('[UserApi] Error changing password:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a new password for another user (administrators only)
+   * @param {string} username - User whose password is reset
+   * @param {string} newPassword - Replacement password
+   * @returns {Promise} Response confirming the reset
+   */
+  async resetPassword(username, newPassword) {
+    try {
+      const response = await api.post(`/user/${username}/reset-password`, { newPassword });
+      return response.data;
+    } catch (error) {
+      console.error('[UserApi] Error resetting password:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear a user's login lockout (administrators only)
+   * @param {string} username - User to unlock
+   * @returns {Promise} Response confirming the unlock
+   */
+  async unlock(username) {
+    try {
+      const response = await api.post(`/user/${username}/unlock`);
+      return response.data;
+    } catch (error) {
+      console.error('[UserApi] Error unlocking user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's login attempts, most recent first (administrators only)
+   * @param {string} username - User whose history is fetched
+   * @param {Object} [params] - Optional limit, from and to (ISO dates)
+   * @returns {Promise} Response containing login attempts
+   */
+  async getLoginHistory(username, params = {}) {
+    try {
+      const response = await api.get(`/user/${username}/login-history`, { params });
+      return response.data;
+    } catch (error) {
+      console.error('[UserApi] Error fetching login history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the current user's signed-in sessions, most recently used first
+   * @returns {Promise} Response containing the sessions; the caller's own is marked `current`
+   */
+  async getSessions() {
+    try {
+      const response = await api.get('/auth/sessions');
+      return response.data;
+    } catch (error) {
+      console.error('[UserApi] Error fetching sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign out one of the current user's sessions
+   * @param {string} sessionId - Session to sign out
+   * @returns {Promise} Response confirming the sign-out
+   */
+  async revokeSession(sessionId) {
+    try {
+      const response = await api.delete(`/auth/sessions/${sessionId}`);
+      return response.data;
+    } catch (error) {
+      console.error('[UserApi] Error signing out session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign out all of the current user's sessions except this one
+   * @returns {Promise} Response with the number of sessions signed out
+   */
+  async revokeOtherSessions() {
+    try {
+      const response = await api.delete('/auth/sessions');
+      return response.data;
+    } catch (error) {
+      console.error('[UserApi] Error signing out other sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign a user out of every session (administrators only)
+   * @param {string} username - User to sign out
+   * @returns {Promise} Response with the number of sessions signed out
+   */
+  async signOutEverywhere(username) {
+    try {
+      const response = await api.post(`/user/${username}/sign-out-everywhere`);
+      return response.data;
+    } catch (error) {
+      console.error('[UserApi] Error signing user out everywhere:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get all companies
    * @returns {Promise} Response containing all companies
@@ -9,8 +9,31 @@ export const ALLOCATION_TYPES = {
     LAPSE: 'Lapse'
 };
 
-export const isPeakPeriod = (period) => PEAK_PERIODS.includes(period);
-export const isNonPeakPeriod = (period) => NON_PEAK_PERIODS.includes(period);
+/**
+ * Period definitions in force for a month come from the period master
+ * (/periods/resolve). Helpers below take one optionally and fall back to the
+ * default c2/c3 peak split when it is not loaded.
+ */
+export const getPeakPeriods = (periodDefinition) => (
+    periodDefinition?.periods
+        ? periodDefinition.periods.filter(period => period.peak).map(period => period.code)
+        : PEAK_PERIODS
+);
+
+export const getNonPeakPeriods = (periodDefinition) => (
+    periodDefinition?.periods
+        ? periodDefinition.periods.filter(period => !period.peak).map(period => period.code)
+        : NON_PEAK_PERIODS
+);
+
+// Display name of a period code, e.g. "C1"; anything else is returned as given
+export const getPeriodLabel = (period, periodDefinition) => {
+    if (!ALL_PERIODS.includes(period)) return period;
+    return periodDefinition?.periods?.find(item => item.code === period)?.name || period.toUpperCase();
+};
+
+export const isPeakPeriod = (period, periodDefinition) => getPeakPeriods(periodDefinition).includes(period);
+export const isNonPeakPeriod = (period, periodDefinition) => getNonPeakPeriods(periodDefinition).includes(period);
 
 /**
  * Get display name for allocation type
@@ -103,7 +126,7 @@ export const validateAllocation = (allocation) => {
 /**
  * Validates period rules for allocations
  */
-export const validatePeriodRules = (allocation) => {
+export const validatePeriodRules = (allocation, periodDefinition) => {
     const errors = [];
     if (!allocation?.allocated) {
         return { isValid: false, errors: ['No allocation data provided'] };
@@ -113,8 +136,8 @@ export const validatePeriodRules = (allocation) => {
     const { allocated } = roundedAllocation;
 
     // Check mixing of peak and non-peak periods
-    const hasPeak = PEAK_PERIODS.some(p => Math.round(Number(allocated[p] || 0)) > 0);
-    const hasNonPeak = NON_PEAK_PERIODS.some(p => Math.round(Number(allocated[p] || 0)) > 0);
+    const hasPeak = getPeakPeriods(periodDefinition).some(p => Math.round(Number(allocated[p] || 0)) > 0);
+    const hasNonPeak = getNonPeakPeriods(periodDefinition).some(p => Math.round(Number(allocated[p] || 0)) > 0);
     
     if (hasPeak && hasNonPeak) {
         errors.push('Cannot mix peak and non-peak period allocations');
@@ -292,15 +315,14 @@ export const sortAllocationsByDate = (allocations) => {
 };
 
 /**
- * Get available allocation periods
+ * Get available allocation periods, labelled and classified by the period
+ * definition when one is given
  */
-export const getAllocationPeriods = () => ([
-  { id: 'c1', label: 'C1', isPeak: false },
-  { id: 'c2', label: 'C2', isPeak: true },
-  { id: 'c3', label: 'C3', isPeak: true },
-  { id: 'c4', label: 'C4', isPeak: false },
-  { id: 'c5', label: 'C5', isPeak: false }
-]);
+export const getAllocationPeriods = (periodDefinition) => ALL_PERIODS.map(period => ({
+  id: period,
+  label: getPeriodLabel(period, periodDefinition),
+  isPeak: isPeakPeriod(period, periodDefinition)
+}));
 
 /**
  * Validates banking balance
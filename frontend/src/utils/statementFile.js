@@ -0,0 +1,25 @@
+import * as XLSX from 'xlsx-js-style';
+
+/**
+ * Read the first sheet of a CSV or XLSX statement into rows keyed by column
+ * heading. Column mapping and validation happen on the server.
+ * @param {File} file - Statement selected by the user
+ * @returns {Promise<Array<Object>>} Rows
+ */
+export const readStatementFile = async (file) => {
+  const data = await file.arrayBuffer();
+  const workbook = XLSX.read(data, { type: 'array' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    throw new Error('The file has no sheets');
+  }
+  // Formatted text keeps HTSC numbers with leading zeros intact
+  return XLSX.utils.sheet_to_json(sheet, { raw: false, defval: '' });
+};
+
+// <input type="month"> gives YYYY-MM; statement APIs expect MMYYYY
+export const toStatementMonth = (value) => (value ? `${value.slice(5, 7)}${value.slice(0, 4)}` : undefined);
+
+export const createIdempotencyKey = () => (window.crypto?.randomUUID
+  ? window.crypto.randomUUID()
+  : `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`);
@@ -5,7 +5,9 @@ const {
     ScanCommand,
     DeleteCommand
 } = require("@aws-sdk/lib-dynamodb");
+const bcrypt = require('bcryptjs');
 const TableNames = require('../backend/constants/tableNames');
+const { BCRYPT_ROUNDS } = require('../backend/constants/passwordPolicy');
 
 const client = new DynamoDBClient({
     region: 'local',
@@ -56,6 +58,10 @@ const createRoleTable = async () => {
                     lapse: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
                     captive: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
                     company: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    invoice: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    tariffs: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    periods: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    'charge-codes': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
                     users: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
                     roles: ['CREATE', 'READ', 'UPDATE', 'DELETE']
                 },
@@ -81,6 +87,10 @@ const createRoleTable = async () => {
                     lapse: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
                     captive: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
                     company: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    invoice: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    tariffs: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    periods: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    'charge-codes': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
                     roles: ['READ']
                 },
                 metadata: {
@@ -105,6 +115,10 @@ const createRoleTable = async () => {
                     lapse: ['READ', 'UPDATE'],
                     captive: ['READ'],
                     company: ['READ'],
+                    invoice: ['READ'],
+                    tariffs: ['READ'],
+                    periods: ['READ'],
+                    'charge-codes': ['READ'],
                     users: ['READ'],
                     roles: ['READ']
                 },
@@ -130,6 +144,10 @@ const createRoleTable = async () => {
                     lapse: ['READ'],
                     captive: ['READ'],
                     company: ['READ'],
+                    invoice: ['READ'],
+                    tariffs: ['READ'],
+                    periods: ['READ'],
+                    'charge-codes': ['READ'],
                     users: ['READ'],
                     roles: ['READ']
                 },
@@ -1131,6 +1149,423 @@ const createUserTable = async () => {
     }
 };
 
+const createInvoiceTable = async () => {
+    try {
+        // Check if table already exists
+        await client.send(new DescribeTableCommand({ TableName: TableNames.INVOICE }));
+        console.log('Invoice table already exists, skipping creation');
+        return;
+    } catch (error) {
+        if (error.name !== 'ResourceNotFoundException') {
+            throw error;
+        }
+    }
+
+    // pk = companyId, sk = invoiceId
+    const params = {
+        TableName: TableNames.INVOICE,
+        KeySchema: [
+            { AttributeName: 'pk', KeyType: 'HASH' },
+            { AttributeName: 'sk', KeyType: 'RANGE' }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: 'pk', AttributeType: 'S' },
+            { AttributeName: 'sk', AttributeType: 'S' }
+        ],
+        BillingMode: 'PAY_PER_REQUEST'
+    };
+
+    try {
+        await client.send(new CreateTableCommand(params));
+        console.log('Invoice table created successfully');
+    } catch (error) {
+        console.error('Error creating Invoice table:', error);
+        throw error;
+    }
+};
+
+const createCounterTable = async () => {
+    try {
+        // Check if table already exists
+        await client.send(new DescribeTableCommand({ TableName: TableNames.COUNTERS }));
+        console.log('Counter table already exists, skipping creation');
+        return;
+    } catch (error) {
+        if (error.name !== 'ResourceNotFoundException') {
+            throw error;
+        }
+    }
+
+    const params = {
+        TableName: TableNames.COUNTERS,
+        KeySchema: [
+            { AttributeName: 'pk', KeyType: 'HASH' }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: 'pk', AttributeType: 'S' }
+        ],
+        BillingMode: 'PAY_PER_REQUEST'
+    };
+
+    try {
+        await client.send(new CreateTableCommand(params));
+        console.log('Counter table created successfully');
+    } catch (error) {
+        console.error('Error creating Counter table:', error);
+        throw error;
+    }
+};
+
+const createTariffTable = async () => {
+    try {
+        // Check if table already exists
+        await client.send(new DescribeTableCommand({ TableName: TableNames.TARIFF }));
+        console.log('Tariff table already exists, skipping creation');
+        return;
+    } catch (error) {
+        if (error.name !== 'ResourceNotFoundException') {
+            throw error;
+        }
+    }
+
+    // pk = PAIR#<generatorCompanyId>#<shareholderCompanyId> or SITE#<companyId>#<consumptionSiteId>, sk = effectiveFrom (YYYY-MM-DD)
+    const params = {
+        TableName: TableNames.TARIFF,
+        KeySchema: [
+            { AttributeName: 'pk', KeyType: 'HASH' },
+            { AttributeName: 'sk', KeyType: 'RANGE' }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: 'pk', AttributeType: 'S' },
+            { AttributeName: 'sk', AttributeType: 'S' }
+        ],
+        BillingMode: 'PAY_PER_REQUEST'
+    };
+
+    try {
+        await client.send(new CreateTableCommand(params));
+        console.log('Tariff table created successfully');
+    } catch (error) {
+        console.error('Error creating Tariff table:', error);
+        throw error;
+    }
+};
+
+const createAllocationScenarioTable = async () => {
+    try {
+        // Check if table already exists
+        await client.send(new DescribeTableCommand({ TableName: TableNames.ALLOCATION_SCENARIO }));
+        console.log('Allocation scenario table already exists, skipping creation');
+        return;
+    } catch (error) {
+        if (error.name !== 'ResourceNotFoundException') {
+            throw error;
+        }
+    }
+
+    // pk = companyId, sk = scenarioId, scenarioId#PART#nnnn (result parts) or NAME#month#name
+    const params = {
+        TableName: TableNames.ALLOCATION_SCENARIO,
+        KeySchema: [
+            { AttributeName: 'pk', KeyType: 'HASH' },
+            { AttributeName: 'sk', KeyType: 'RANGE' }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: 'pk', AttributeType: 'S' },
+            { AttributeName: 'sk', AttributeType: 'S' }
+        ],
+        BillingMode: 'PAY_PER_REQUEST'
+    };
+
+    try {
+        await client.send(new CreateTableCommand(params));
+        console.log('Allocation scenario table created successfully');
+    } catch (error) {
+        console.error('Error creating Allocation scenario table:', error);
+        throw error;
+    }
+};
+
+const createBankingLedgerTable = async () => {
+    try {
+        // Check if table already exists
+        await client.send(new DescribeTableCommand({ TableName: TableNames.BANKING_LEDGER }));
+        console.log('Banking ledger table already exists, skipping creation');
+        return;
+    } catch (error) {
+        if (error.name !== 'ResourceNotFoundException') {
+            throw error;
+        }
+    }
+
+    // pk = companyId_productionSiteId, sk = YYYYMM#order#entry (chronological)
+    const params = {
+        TableName: TableNames.BANKING_LEDGER,
+        KeySchema: [
+            { AttributeName: 'pk', KeyType: 'HASH' },
+            { AttributeName: 'sk', KeyType: 'RANGE' }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: 'pk', AttributeType: 'S' },
+            { AttributeName: 'sk', AttributeType: 'S' }
+        ],
+        BillingMode: 'PAY_PER_REQUEST'
+    };
+
+    try {
+        await client.send(new CreateTableCommand(params));
+        console.log('Banking ledger table created successfully');
+    } catch (error) {
+        console.error('Error creating Banking ledger table:', error);
+        throw error;
+    }
+};
+
+const createBankingSettlementTable = async () => {
+    try {
+        // Check if table already exists
+        await client.send(new DescribeTableCommand({ TableName: TableNames.BANKING_SETTLEMENT }));
+        console.log('Banking settlement table already exists, skipping creation');
+        return;
+    } catch (error) {
+        if (error.name !== 'ResourceNotFoundException') {
+            throw error;
+        }
+    }
+
+    // pk = companyId_financialYear, sk = productionSiteId
+    const params = {
+        TableName: TableNames.BANKING_SETTLEMENT,
+        KeySchema: [
+            { AttributeName: 'pk', KeyType: 'HASH' },
+            { AttributeName: 'sk', KeyType: 'RANGE' }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: 'pk', AttributeType: 'S' },
+            { AttributeName: 'sk', AttributeType: 'S' }
+        ],
+        BillingMode: 'PAY_PER_REQUEST'
+    };
+
+    try {
+        await client.send(new CreateTableCommand(params));
+        console.log('Banking settlement table created successfully');
+    } catch (error) {
+        console.error('Error creating Banking settlement table:', error);
+        throw error;
+    }
+};
+
+const createPeriodDefinitionTable = async () => {
+    try {
+        // Check if table already exists
+        await client.send(new DescribeTableCommand({ TableName: TableNames.PERIOD_DEFINITION }));
+        console.log('Period definition table already exists, skipping creation');
+        return;
+    } catch (error) {
+        if (error.name !== 'ResourceNotFoundException') {
+            throw error;
+        }
+    }
+
+    // pk = PERIODS, sk = effectiveFrom month (YYYY-MM)
+    const params = {
+        TableName: TableNames.PERIOD_DEFINITION,
+        KeySchema: [
+            { AttributeName: 'pk', KeyType: 'HASH' },
+            { AttributeName: 'sk', KeyType: 'RANGE' }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: 'pk', AttributeType: 'S' },
+            { AttributeName: 'sk', AttributeType: 'S' }
+        ],
+        BillingMode: 'PAY_PER_REQUEST'
+    };
+
+    try {
+        await client.send(new CreateTableCommand(params));
+        console.log('Period definition table created successfully');
+    } catch (error) {
+        console.error('Error creating Period definition table:', error);
+        throw error;
+    }
+};
+
+const createChargeCodeTable = async () => {
+    try {
+        // Check if table already exists
+        await client.send(new DescribeTableCommand({ TableName: TableNames.CHARGE_CODE }));
+        console.log('Charge code table already exists, skipping creation');
+        return;
+    } catch (error) {
+        if (error.name !== 'ResourceNotFoundException') {
+            throw error;
+        }
+    }
+
+    // pk = CHARGE_CODES, sk = charge code (C001)
+    const params = {
+        TableName: TableNames.CHARGE_CODE,
+        KeySchema: [
+            { AttributeName: 'pk', KeyType: 'HASH' },
+            { AttributeName: 'sk', KeyType: 'RANGE' }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: 'pk', AttributeType: 'S' },
+            { AttributeName: 'sk', AttributeType: 'S' }
+        ],
+        BillingMode: 'PAY_PER_REQUEST'
+    };
+
+    try {
+        await client.send(new CreateTableCommand(params));
+        console.log('Charge code table created successfully');
+    } catch (error) {
+        console.error('Error creating Charge code table:', error);
+        throw error;
+    }
+};
+
+const createChargeApportionmentTable = async () => {
+    try {
+        // Check if table already exists
+        await client.send(new DescribeTableCommand({ TableName: TableNames.CHARGE_APPORTIONMENT }));
+        console.log('Charge apportionment table already exists, skipping creation');
+        return;
+    } catch (error) {
+        if (error.name !== 'ResourceNotFoundException') {
+            throw error;
+        }
+    }
+
+    // pk = companyId_productionSiteId, sk = month (MMYYYY), as on ProductionChargeTable
+    const params = {
+        TableName: TableNames.CHARGE_APPORTIONMENT,
+        KeySchema: [
+            { AttributeName: 'pk', KeyType: 'HASH' },
+            { AttributeName: 'sk', KeyType: 'RANGE' }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: 'pk', AttributeType: 'S' },
+            { AttributeName: 'sk', AttributeType: 'S' }
+        ],
+        BillingMode: 'PAY_PER_REQUEST'
+    };
+
+    try {
+        await client.send(new CreateTableCommand(params));
+        console.log('Charge apportionment table created successfully');
+    } catch (error) {
+        console.error('Error creating Charge apportionment table:', error);
+        throw error;
+    }
+};
+
+const createLoginAuditTable = async () => {
+    try {
+        // Check if table already exists
+        await client.send(new DescribeTableCommand({ TableName: TableNames.LOGIN_AUDIT }));
+        console.log('Login audit table already exists, skipping creation');
+        return;
+    } catch (error) {
+        if (error.name !== 'ResourceNotFoundException') {
+            throw error;
+        }
+    }
+
+    // pk = username as typed at login, sk = ISO timestamp#attemptId
+    const params = {
+        TableName: TableNames.LOGIN_AUDIT,
+        KeySchema: [
+            { AttributeName: 'pk', KeyType: 'HASH' },
+            { AttributeName: 'sk', KeyType: 'RANGE' }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: 'pk', AttributeType: 'S' },
+            { AttributeName: 'sk', AttributeType: 'S' }
+        ],
+        BillingMode: 'PAY_PER_REQUEST'
+    };
+
+    try {
+        await client.send(new CreateTableCommand(params));
+        console.log('Login audit table created successfully');
+    } catch (error) {
+        console.error('Error creating Login audit table:', error);
+        throw error;
+    }
+};
+
+const createAuthSessionTable = async () => {
+    try {
+        // Check if table already exists
+        await client.send(new DescribeTableCommand({ TableName: TableNames.AUTH_SESSION }));
+        console.log('Auth session table already exists, skipping creation');
+        return;
+    } catch (error) {
+        if (error.name !== 'ResourceNotFoundException') {
+            throw error;
+        }
+    }
+
+    // pk = username, sk = sessionId
+    const params = {
+        TableName: TableNames.AUTH_SESSION,
+        KeySchema: [
+            { AttributeName: 'pk', KeyType: 'HASH' },
+            { AttributeName: 'sk', KeyType: 'RANGE' }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: 'pk', AttributeType: 'S' },
+            { AttributeName: 'sk', AttributeType: 'S' }
+        ],
+        BillingMode: 'PAY_PER_REQUEST'
+    };
+
+    try {
+        await client.send(new CreateTableCommand(params));
+        console.log('Auth session table created successfully');
+    } catch (error) {
+        console.error('Error creating Auth session table:', error);
+        throw error;
+    }
+};
+
+const createShareLinkTable = async () => {
+    try {
+        // Check if table already exists
+        await client.send(new DescribeTableCommand({ TableName: TableNames.SHARE_LINK }));
+        console.log('Share link table already exists, skipping creation');
+        return;
+    } catch (error) {
+        if (error.name !== 'ResourceNotFoundException') {
+            throw error;
+        }
+    }
+
+    // pk = siteType#companyId_siteId, sk = LINK#shareId for links and AUDIT#shareId#timestamp#eventId for their audit
+    const params = {
+        TableName: TableNames.SHARE_LINK,
+        KeySchema: [
+            { AttributeName: 'pk', KeyType: 'HASH' },
+            { AttributeName: 'sk', KeyType: 'RANGE' }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: 'pk', AttributeType: 'S' },
+            { AttributeName: 'sk', AttributeType: 'S' }
+        ],
+        BillingMode: 'PAY_PER_REQUEST'
+    };
+
+    try {
+        await client.send(new CreateTableCommand(params));
+        console.log('Share link table created successfully');
+    } catch (error) {
+        console.error('Error creating Share link table:', error);
+        throw error;
+    }
+};
+
 const createDefaultUsers = async () => {
     const users = [
         // Super Admin
@@ -1388,7 +1823,7 @@ const createDefaultUsers = async () => {
         try {
             await docClient.send(new PutCommand({
                 TableName: 'UserTable',
-                Item: user
+                Item: { ...user, password: await bcrypt.hash(user.password, BCRYPT_ROUNDS) }
             }));
             console.log(`Created user: ${user.username}`);
         } catch (error) {
@@ -1562,6 +1997,18 @@ const init = async () => {
         await createCaptiveTable();
         await createCompanyTable();
         await createUserTable();
+        await createInvoiceTable();
+        await createCounterTable();
+        await createTariffTable();
+        await createAllocationScenarioTable();
+        await createBankingLedgerTable();
+        await createBankingSettlementTable();
+        await createPeriodDefinitionTable();
+        await createChargeCodeTable();
+        await createChargeApportionmentTable();
+        await createLoginAuditTable();
+        await createAuthSessionTable();
+        await createShareLinkTable();
         
         // Create default data
         await createDefaultCompanies();
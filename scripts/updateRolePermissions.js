@@ -28,6 +28,10 @@ const updateRolePermissions = async () => {
                     lapse: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
                     captive: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
                     company: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    invoice: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    tariffs: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    periods: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
+                    'charge-codes': ['CREATE', 'READ', 'UPDATE', 'DELETE'],
                     users: ['CREATE', 'READ', 'UPDATE', 'DELETE'],
                     roles: ['READ']
                 }
@@ -45,6 +49,10 @@ const updateRolePermissions = async () => {
                     lapse: ['READ', 'UPDATE'],
                     captive: ['READ'],
                     company: ['READ'],
+                    invoice: ['READ'],
+                    tariffs: ['READ'],
+                    periods: ['READ'],
+                    'charge-codes': ['READ'],
                     users: ['READ'],
                     roles: ['READ']
                 }
@@ -62,6 +70,10 @@ const updateRolePermissions = async () => {
                     lapse: ['READ'],
                     captive: ['READ'],
                     company: ['READ'],
+                    invoice: ['READ'],
+                    tariffs: ['READ'],
+                    periods: ['READ'],
+                    'charge-codes': ['READ'],
                     users: ['READ'],
                     roles: ['READ']
                 }